@@ -0,0 +1,94 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getFestivalMergeStore, MERGE_CANDIDATE_STATUSES } from '../../../../lib/festivals/merge-store';
+
+/**
+ * GET handler for the duplicate festival review queue
+ * Lists candidates (?status=pending|confirmed|rejected, default pending) with counts per status
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const status = searchParams.get('status') || 'pending';
+    const limit = Math.min(parseInt(searchParams.get('limit') || '100', 10) || 100, 500);
+
+    if (!MERGE_CANDIDATE_STATUSES.includes(status)) {
+      return NextResponse.json({
+        error: `Invalid status, expected one of: ${MERGE_CANDIDATE_STATUSES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    const store = getFestivalMergeStore();
+    const [candidates, counts] = await Promise.all([
+      store.list(status, limit),
+      store.counts()
+    ]);
+
+    return NextResponse.json({ candidates, counts });
+  } catch (error) {
+    console.error('Admin: Error listing merge candidates:', error);
+    return NextResponse.json({
+      error: 'Failed to list merge candidates',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for reviewing a candidate or scanning for new ones
+ * Body: { action: 'scan', threshold? }
+ *     | { action: 'confirm', candidateId, canonicalId }
+ *     | { action: 'reject', candidateId }
+ */
+export async function POST(req) {
+  try {
+    const { action, candidateId, canonicalId, threshold } = await req.json();
+    const store = getFestivalMergeStore();
+
+    if (action === 'scan') {
+      if (threshold !== undefined && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+        return NextResponse.json({ error: 'threshold must be a number between 0 and 1' }, { status: 400 });
+      }
+      const result = await store.scan(threshold);
+      return NextResponse.json({ success: true, ...result });
+    }
+
+    if (action !== 'confirm' && action !== 'reject') {
+      return NextResponse.json({
+        error: 'Invalid action, expected one of: scan, confirm, reject'
+      }, { status: 400 });
+    }
+    if (!candidateId) {
+      return NextResponse.json({ error: 'candidateId is required' }, { status: 400 });
+    }
+
+    if (action === 'reject') {
+      const rejected = await store.reject(candidateId);
+      if (!rejected) {
+        return NextResponse.json({ error: 'Candidate not found or already reviewed' }, { status: 404 });
+      }
+      console.log(`Admin: Rejected merge candidate ${candidateId}`);
+      return NextResponse.json({ success: true });
+    }
+
+    if (!canonicalId) {
+      return NextResponse.json({ error: 'canonicalId is required' }, { status: 400 });
+    }
+
+    const festival = await store.confirm(candidateId, canonicalId);
+    if (!festival) {
+      return NextResponse.json({ error: 'Candidate not found or already reviewed' }, { status: 404 });
+    }
+
+    console.log(`Admin: Confirmed merge candidate ${candidateId}, kept festival ${canonicalId}`);
+    return NextResponse.json({ success: true, festival });
+  } catch (error) {
+    console.error('Admin: Error reviewing merge candidates:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
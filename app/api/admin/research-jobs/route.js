@@ -0,0 +1,79 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { supabase } from '../../../../lib/supabase-client.js';
+import { getResearchJobQueue } from '../../../../lib/research/job-queue';
+
+const STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * GET handler for the research job queue
+ * Lists jobs (optionally filtered by ?status=) together with counts per status
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const status = searchParams.get('status');
+    const limit = Math.min(parseInt(searchParams.get('limit') || '100', 10) || 100, 500);
+
+    if (status && !STATUSES.includes(status)) {
+      return NextResponse.json({
+        error: `Invalid status, expected one of: ${STATUSES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    const queue = getResearchJobQueue();
+    const [jobs, counts] = await Promise.all([
+      queue.list(status || undefined, limit),
+      queue.counts()
+    ]);
+
+    return NextResponse.json({ jobs, counts });
+  } catch (error) {
+    console.error('Admin: Error listing research jobs:', error);
+    return NextResponse.json({
+      error: 'Failed to list research jobs',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for requeueing a dead or queued job
+ * Body: { jobId }
+ */
+export async function POST(req) {
+  try {
+    const { jobId } = await req.json();
+    if (!jobId) {
+      return NextResponse.json({ error: 'jobId is required' }, { status: 400 });
+    }
+
+    const job = await getResearchJobQueue().retry(jobId);
+    if (!job) {
+      return NextResponse.json({
+        error: 'Job not found or currently running'
+      }, { status: 404 });
+    }
+
+    // The research entry goes back to pending while the job is queued
+    await supabase
+      .from('festival_research')
+      .update({
+        status: 'pending',
+        research_log: 'Research requeued...',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.research_id);
+
+    console.log(`Admin: Requeued research job ${jobId}`);
+    return NextResponse.json({ success: true, job });
+  } catch (error) {
+    console.error('Admin: Error requeueing research job:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,111 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getUsageLedger } from '../../../../lib/research/usage-ledger';
+import { USAGE_PROVIDERS, getBudgetPeriodStart } from '../../../../lib/research/research-usage';
+
+const PROVIDER_IDS = USAGE_PROVIDERS.map(provider => provider.id);
+const BUDGET_ACTIONS = ['block', 'downgrade'];
+
+/**
+ * GET handler for research usage
+ * Spend per provider and per festival for a month (?month=YYYY-MM, default current month)
+ * together with the monthly budgets and this month's spend against them
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const month = searchParams.get('month');
+    const limit = Math.min(parseInt(searchParams.get('limit') || '50', 10) || 50, 500);
+
+    let since = getBudgetPeriodStart();
+    if (month) {
+      if (!/^\d{4}-\d{2}$/.test(month)) {
+        return NextResponse.json({ error: 'Invalid month, expected YYYY-MM' }, { status: 400 });
+      }
+      since = new Date(`${month}-01T00:00:00Z`);
+    }
+    const until = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + 1, 1));
+
+    const ledger = getUsageLedger();
+    const [providers, festivals, budgets] = await Promise.all([
+      ledger.getSpendByProvider(since, until),
+      ledger.getSpendByFestival(since, until, limit),
+      ledger.getBudgetStatuses()
+    ]);
+
+    return NextResponse.json({
+      period: { start: since.toISOString(), end: until.toISOString() },
+      providers,
+      festivals,
+      budgets
+    });
+  } catch (error) {
+    console.error('Admin: Error loading research usage:', error);
+    return NextResponse.json({
+      error: 'Failed to load research usage',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT handler for setting a provider's monthly budget
+ * Body: { provider, monthlyLimitUsd, onExceeded: 'block' | 'downgrade' }
+ */
+export async function PUT(req) {
+  try {
+    const { provider, monthlyLimitUsd, onExceeded = 'block' } = await req.json();
+
+    if (!PROVIDER_IDS.includes(provider)) {
+      return NextResponse.json({
+        error: `Invalid provider, expected one of: ${PROVIDER_IDS.join(', ')}`
+      }, { status: 400 });
+    }
+    if (typeof monthlyLimitUsd !== 'number' || !(monthlyLimitUsd >= 0)) {
+      return NextResponse.json({ error: 'monthlyLimitUsd must be a non-negative number' }, { status: 400 });
+    }
+    if (!BUDGET_ACTIONS.includes(onExceeded)) {
+      return NextResponse.json({
+        error: `Invalid onExceeded, expected one of: ${BUDGET_ACTIONS.join(', ')}`
+      }, { status: 400 });
+    }
+
+    await getUsageLedger().setBudget(provider, monthlyLimitUsd, onExceeded);
+
+    console.log(`Admin: Set ${provider} research budget to $${monthlyLimitUsd} (${onExceeded})`);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Admin: Error saving research budget:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE handler for removing a provider's budget (?provider=)
+ */
+export async function DELETE(req) {
+  try {
+    const provider = new URL(req.url).searchParams.get('provider');
+    if (!PROVIDER_IDS.includes(provider)) {
+      return NextResponse.json({
+        error: `Invalid provider, expected one of: ${PROVIDER_IDS.join(', ')}`
+      }, { status: 400 });
+    }
+
+    await getUsageLedger().removeBudget(provider);
+
+    console.log(`Admin: Removed ${provider} research budget`);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Admin: Error removing research budget:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
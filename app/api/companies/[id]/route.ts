@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { getCompanyStore } from '../../../../lib/festivals/company-store';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * A company's portfolio: its festivals with the team's sales stages, the combined
+ * sales status and the known contacts. Signed in, each festival also has the user's
+ * own stage.
+ * GET /api/companies/[id]
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const user = await getRequestUser(request);
+    const portfolio = await getCompanyStore().getPortfolio(id, user?.id ?? null);
+
+    if (!portfolio) {
+      return NextResponse.json({ success: false, message: 'Company not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: portfolio });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading company portfolio:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading company portfolio',
+      error: error.message
+    }, { status: 500 });
+  }
+}
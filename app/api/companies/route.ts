@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getCompanyStore } from '../../../lib/festivals/company-store';
+
+/**
+ * Organizing companies with their number of festivals, most festivals first.
+ * GET /api/companies?search=
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const search = request.nextUrl.searchParams.get('search') || undefined;
+    const companies = await getCompanyStore().listCompanies(search);
+
+    return NextResponse.json({ success: true, data: companies });
+  } catch (error: any) {
+    console.error('Error loading companies:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading companies',
+      error: error.message
+    }, { status: 500 });
+  }
+}
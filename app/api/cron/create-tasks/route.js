@@ -0,0 +1,40 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getTaskStore } from '../../../../lib/festivals/task-store';
+
+/**
+ * Cron job to run the date-based task rules
+ * Runs daily via Vercel Cron: favorited festivals that start soon and that nobody
+ * contacted yet get a "reach out now" task. Stage rules need no cron; the database
+ * applies them when a festival changes stage.
+ */
+export async function GET(req) {
+  try {
+    console.log('📝 [CRON] Starting task rules...');
+
+    // Verify this is a legitimate cron request
+    const authHeader = req.headers.get('authorization');
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      console.log('❌ [CRON] Unauthorized cron request');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const result = await getTaskStore().applyDateRules();
+
+    console.log(`🎉 [CRON] Task rules complete! ${result.created} tasks created for ${result.checked} festivals`);
+
+    return NextResponse.json({
+      message: 'Task rules complete',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Critical error in task rules job:', error);
+    return NextResponse.json({
+      error: 'Critical task rules error',
+      details: error.message
+    }, { status: 500 });
+  }
+}
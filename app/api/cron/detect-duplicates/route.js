@@ -0,0 +1,42 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getFestivalMergeStore } from '../../../../lib/festivals/merge-store';
+
+// Maximum duration for cron job
+export const maxDuration = 300; // 5 minutes
+
+/**
+ * Cron job to queue likely duplicate festivals for review
+ * Runs nightly via Vercel Cron so festivals imported during the day by the scrapers,
+ * the Chrome extension or by hand show up in the merge review queue.
+ */
+export async function GET(req) {
+  try {
+    console.log('🧬 [CRON] Starting duplicate festival detection...');
+
+    // Verify this is a legitimate cron request
+    const authHeader = req.headers.get('authorization');
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      console.log('❌ [CRON] Unauthorized cron request');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const result = await getFestivalMergeStore().scan();
+
+    console.log(`🎉 [CRON] Duplicate detection complete! ${result.queued} new candidates (${result.found} above threshold)`);
+
+    return NextResponse.json({
+      message: 'Duplicate detection complete',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Critical error in duplicate detection job:', error);
+    return NextResponse.json({
+      error: 'Critical duplicate detection error',
+      details: error.message
+    }, { status: 500 });
+  }
+}
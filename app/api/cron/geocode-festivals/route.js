@@ -0,0 +1,46 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getFestivalGeocodingStore } from '../../../../lib/festivals/geocoding-store';
+
+// Maximum duration for cron job
+export const maxDuration = 300; // 5 minutes
+
+/**
+ * Cron job to geocode festival locations against the offline gazetteer
+ * Runs every 15 minutes via Vercel Cron and picks up festivals imported without
+ * geocoding and festivals whose location was edited, so they show up on the map.
+ * Optional query param: ?limit= (defaults to 500)
+ */
+export async function GET(req) {
+  try {
+    console.log('🗺️ [CRON] Starting festival geocoding...');
+
+    // Verify this is a legitimate cron request
+    const authHeader = req.headers.get('authorization');
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      console.log('❌ [CRON] Unauthorized cron request');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const limit = parseInt(searchParams.get('limit') || '', 10) || undefined;
+
+    const result = await getFestivalGeocodingStore().geocodePending(limit);
+
+    console.log(`🎉 [CRON] Geocoding complete! ${result.located} of ${result.checked} festivals located, ${result.remaining} remaining`);
+
+    return NextResponse.json({
+      message: 'Geocoding complete',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Critical error in geocoding job:', error);
+    return NextResponse.json({
+      error: 'Critical geocoding error',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -6,13 +6,25 @@ import { supabase } from '../../../../lib/supabase-client.js';
 import { generateFestivalResearch } from '../../../../lib/openai-client.js';
 import { generateFestivalResearchWithPerplexity } from '../../../../lib/perplexity-client.js';
 import { generateFestivalResearchWithExa } from '../../../../lib/exa-client.js';
+import { getResearchJobQueue, LeaseLostError } from '../../../../lib/research/job-queue';
+import {
+  createOrchestrator,
+  saveResearchResult,
+  getResearchVersionStore,
+  getUsageLedger,
+  runWithUsageContext,
+  getResilientApifyClient
+} from '../../../../lib/research';
 
 // Maximum duration for cron job
 export const maxDuration = 300; // 5 minutes
 
+const PROVIDERS = ['exa', 'perplexity', 'openai', 'orchestrated'];
+
 /**
- * Cron job to process pending research requests
- * Runs every 2 minutes via Vercel Cron
+ * Cron job to process queued research jobs
+ * Runs every 2 minutes via Vercel Cron. Jobs are claimed with a lease per provider,
+ * so overlapping runs never pick up the same job.
  */
 export async function GET(req) {
   try {
@@ -25,134 +37,51 @@ export async function GET(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    // Get all pending research entries
-    const { data: pendingResearch, error: fetchError } = await supabase
-      .from('festival_research')
-      .select('*')
-      .eq('status', 'pending')
-      .order('created_at', { ascending: true })
-      .limit(5); // Process max 5 at a time to avoid timeouts
+    const queue = getResearchJobQueue();
+    const workerId = `cron-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-    if (fetchError) {
-      console.error('❌ [CRON] Error fetching pending research:', fetchError);
-      return NextResponse.json({ error: 'Database error' }, { status: 500 });
+    // Claim jobs for every provider up to its concurrency limit
+    const claimed = [];
+    for (const provider of PROVIDERS) {
+      try {
+        const jobs = await queue.claim(provider, workerId);
+        claimed.push(...jobs);
+      } catch (error) {
+        console.error(`❌ [CRON] Error claiming ${provider} jobs:`, error);
+      }
     }
 
-    if (!pendingResearch || pendingResearch.length === 0) {
-      console.log('😴 [CRON] No pending research found, job complete');
+    if (claimed.length === 0) {
+      console.log('😴 [CRON] No queued research jobs, job complete');
       return NextResponse.json({ 
         message: 'No pending research to process',
         processed: 0 
       });
     }
 
-    console.log(`🔄 [CRON] Found ${pendingResearch.length} pending research entries to process`);
+    console.log(`🔄 [CRON] Claimed ${claimed.length} research jobs (worker ${workerId})`);
 
-    let processed = 0;
-    let errors = 0;
+    // Claimed jobs already respect the per-provider limits, so run them side by side.
+    // API usage of each job is recorded against its festival and job id.
+    const results = await Promise.all(claimed.map(job =>
+      runWithUsageContext({ festivalId: job.festival_id, runId: job.id }, () => processJob(queue, job))
+    ));
 
-    // Process each pending research entry
-    for (const research of pendingResearch) {
-      try {
-        console.log(`🔬 [CRON] Processing research ID: ${research.id} for festival: ${research.festival_id}`);
-        
-        // Get festival details
-        const { data: festival, error: festivalError } = await supabase
-          .from('festivals')
-          .select('name')
-          .eq('id', research.festival_id)
-          .single();
-
-        if (festivalError || !festival) {
-          console.error(`❌ [CRON] Festival not found for research ID: ${research.id}`);
-          // Mark as failed
-          await supabase
-            .from('festival_research')
-            .update({
-              status: 'failed',
-              research_log: 'Festival not found',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', research.id);
-          errors++;
-          continue;
-        }
-
-        const festivalName = festival.name;
-        const aiService = research.ai_service || 'exa';
-
-        console.log(`📡 [CRON] Starting ${aiService} research for: ${festivalName}`);
-
-        // Generate research based on AI service
-        let researchContent;
-        const startTime = Date.now();
-
-        if (aiService === 'perplexity') {
-          researchContent = await generateFestivalResearchWithPerplexity(festivalName);
-        } else if (aiService === 'exa') {
-          researchContent = await generateFestivalResearchWithExa(festivalName);
-        } else {
-          researchContent = await generateFestivalResearch(festivalName);
-        }
-
-        const researchTime = ((Date.now() - startTime) / 1000).toFixed(1);
-        console.log(`✅ [CRON] ${aiService} research completed for ${festivalName} in ${researchTime}s`);
-
-        if (!researchContent || researchContent.length < 100) {
-          throw new Error(`${aiService} returned insufficient research content (${researchContent?.length || 0} characters)`);
-        }
-
-        // Update research entry with results
-        const { error: updateError } = await supabase
-          .from('festival_research')
-          .update({
-            research_log: researchContent,
-            status: 'complete',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', research.id);
-
-        if (updateError) {
-          console.error(`❌ [CRON] Error updating research for ${festivalName}:`, updateError);
-          errors++;
-          continue;
-        }
-
-        console.log(`✅ [CRON] Research completed and saved for: ${festivalName}`);
-
-        // Extract and save emails
-        await extractAndSaveEmails(research.festival_id, researchContent, festivalName);
-
-        processed++;
+    const processed = results.filter(status => status === 'completed').length;
+    const retrying = results.filter(status => status === 'queued').length;
+    const dead = results.filter(status => status === 'dead').length;
+    const lost = results.filter(status => status === 'lost').length;
 
-      } catch (error) {
-        console.error(`❌ [CRON] Error processing research ID ${research.id}:`, error);
-        
-        // Mark research as failed
-        try {
-          await supabase
-            .from('festival_research')
-            .update({
-              research_log: `Cron processing failed: ${error.message}`,
-              status: 'failed',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', research.id);
-        } catch (updateError) {
-          console.error(`❌ [CRON] Error updating failed research status:`, updateError);
-        }
-
-        errors++;
-      }
-    }
-
-    console.log(`🎉 [CRON] Job complete! Processed: ${processed}, Errors: ${errors}`);
+    console.log(`🎉 [CRON] Job complete! Processed: ${processed}, Retrying: ${retrying}, Failed permanently: ${dead}, Lease lost: ${lost}`);
 
     return NextResponse.json({
       message: 'Research processing complete',
       processed,
-      errors,
-      total: pendingResearch.length
+      retrying,
+      dead,
+      lost,
+      errors: retrying + dead,
+      total: claimed.length
     });
 
   } catch (error) {
@@ -164,6 +93,200 @@ export async function GET(req) {
   }
 }
 
+/**
+ * Run a single claimed job and record the outcome on the job and the research entry.
+ * Returns the resulting job status, or 'lost' when another run took over the job and
+ * nothing was written.
+ */
+async function processJob(queue, job) {
+  // A job whose lease expired after its last attempt is not run again
+  if (job.attempts > job.max_attempts) {
+    return failJob(queue, job, 'Research timed out on every attempt');
+  }
+
+  try {
+    console.log(`🔬 [CRON] Processing job ${job.id} (attempt ${job.attempts}/${job.max_attempts}) for festival: ${job.festival_id}`);
+    
+    // Get festival details
+    const { data: festival, error: festivalError } = await supabase
+      .from('festivals')
+      .select('name, url, homepage_url')
+      .eq('id', job.festival_id)
+      .single();
+
+    // PGRST116: no row. Retrying cannot bring the festival back; other errors are retried
+    if (festivalError?.code === 'PGRST116') {
+      return failJob(queue, { ...job, attempts: job.max_attempts }, 'Festival not found');
+    }
+    if (festivalError || !festival) {
+      return failJob(queue, job, `Failed to load festival: ${festivalError?.message || 'no data'}`);
+    }
+
+    const festivalName = festival.name;
+
+    // Monthly budgets can block the provider or downgrade to a cheaper one
+    const decision = await getUsageLedger().resolveResearchProvider(job.provider);
+    if (!decision.provider) {
+      return failJob(queue, job, `Research blocked: ${decision.reason}`);
+    }
+    const aiService = decision.provider;
+    if (decision.downgradedFrom) {
+      console.log(`💸 [CRON] Downgraded ${decision.downgradedFrom} research to ${aiService} for ${festivalName}: ${decision.reason}`);
+    }
+
+    console.log(`📡 [CRON] Starting ${aiService} research for: ${festivalName}`);
+
+    // Generate research based on AI service
+    let researchContent;
+    const startTime = Date.now();
+
+    if (aiService === 'orchestrated') {
+      researchContent = await runOrchestratedResearch(job, festival);
+    } else if (aiService === 'perplexity') {
+      researchContent = await generateFestivalResearchWithPerplexity(festivalName);
+    } else if (aiService === 'exa') {
+      researchContent = await generateFestivalResearchWithExa(festivalName);
+    } else {
+      researchContent = await generateFestivalResearch(festivalName);
+    }
+
+    const researchTime = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ [CRON] ${aiService} research completed for ${festivalName} in ${researchTime}s`);
+
+    if (!researchContent || researchContent.length < 100) {
+      throw new Error(`${aiService} returned insufficient research content (${researchContent?.length || 0} characters)`);
+    }
+
+    if (decision.downgradedFrom) {
+      researchContent = `> Researched with ${aiService} instead of ${decision.downgradedFrom}: ${decision.reason}\n\n${researchContent}`;
+    }
+
+    // Another run may have claimed the job while this one was still researching
+    await queue.extendLease(job);
+
+    // Update research entry with results
+    const { error: updateError } = await supabase
+      .from('festival_research')
+      .update({
+        research_log: researchContent,
+        status: 'complete',
+        ai_service: aiService,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.research_id);
+
+    if (updateError) {
+      throw new Error(`Error saving research: ${updateError.message}`);
+    }
+
+    if (!await queue.complete(job)) {
+      console.warn(`⚠️ [CRON] Job ${job.id} saved but could not be marked completed`);
+    }
+    console.log(`✅ [CRON] Research completed and saved for: ${festivalName}`);
+
+    // Orchestrated runs are versioned with their structured data when saved
+    if (aiService !== 'orchestrated') {
+      await getResearchVersionStore().record({
+        festivalId: job.festival_id,
+        provider: aiService,
+        researchId: job.research_id,
+        researchLog: researchContent
+      });
+    }
+
+    // Extract and save emails
+    await extractAndSaveEmails(job.festival_id, researchContent, festivalName);
+
+    return 'completed';
+  } catch (error) {
+    if (error instanceof LeaseLostError) {
+      console.warn(`⚠️ [CRON] Lost the lease on job ${job.id}, leaving its results to the new run`);
+      return 'lost';
+    }
+    console.error(`❌ [CRON] Error processing job ${job.id}:`, error);
+    return failJob(queue, job, error.message);
+  }
+}
+
+/**
+ * Run the self-healing orchestrator for a job, resuming from its checkpoint when a
+ * previous attempt timed out. Results are saved on the festival row; the returned
+ * summary becomes the research log.
+ */
+async function runOrchestratedResearch(job, festival) {
+  const festivalId = job.festival_id;
+  if (!getResilientApifyClient().isConfigured()) {
+    throw new Error('APIFY_API_TOKEN not configured');
+  }
+
+  const orchestrator = createOrchestrator({
+    maxRetries: 3,
+    enableAIValidation: true,
+    parallelExecution: true,
+    fallbackToBasicSearch: true,
+    minConfidenceToPass: 0.3,
+  });
+
+  const result = await orchestrator.resume(festivalId) ?? await orchestrator.runResearch(
+    festivalId,
+    festival.name,
+    festival.url || festival.homepage_url || undefined
+  );
+
+  if (result.phase !== 'completed') {
+    throw new Error(result.errors[result.errors.length - 1]?.message || 'Orchestrated research did not complete');
+  }
+
+  await getResearchJobQueue().extendLease(job);
+  const saved = await saveResearchResult(festivalId, result, job.research_id);
+  if (!saved) {
+    throw new Error('Failed to save orchestrated research');
+  }
+
+  const confidence = Math.round(result.overallConfidence * 100);
+  return [
+    `# Orchestrated research for ${festival.name}`,
+    '',
+    `Overall confidence: ${confidence}% (${result.confidenceLevel})`,
+    `Website: ${result.discoveredHomepage || 'not found'}`,
+    `Organizing company: ${result.organizingCompany?.name || 'not found'}`,
+    `LinkedIn people: ${result.linkedInResults?.people.length || 0}`,
+    `News articles: ${result.newsResults?.articles.length || 0}`,
+    `Calendar listings: ${result.calendarResults?.sources.filter(s => s.found).length || 0}`,
+  ].join('\n');
+}
+
+/**
+ * Record a failed attempt. The research entry stays pending while the job
+ * will be retried and is only marked failed once the job is dead. A worker
+ * that lost the lease leaves both to the run that holds it now.
+ */
+async function failJob(queue, job, message) {
+  const status = await queue.fail(job, message);
+  if (!status) {
+    console.warn(`⚠️ [CRON] Could not record failure of job ${job.id}: ${message}`);
+    return 'lost';
+  }
+
+  try {
+    await supabase
+      .from('festival_research')
+      .update(status === 'dead' ? {
+        research_log: `Cron processing failed after ${job.attempts} attempts: ${message}`,
+        status: 'failed',
+        updated_at: new Date().toISOString()
+      } : {
+        research_log: `Attempt ${job.attempts} failed (${message}), retrying...`,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.research_id);
+  } catch (updateError) {
+    console.error(`❌ [CRON] Error updating failed research status:`, updateError);
+  }
+
+  return status;
+}
+
 /**
  * Extract emails from research content and save to database
  */
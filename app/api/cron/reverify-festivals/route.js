@@ -0,0 +1,110 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getApifyClient } from '../../../../lib/apify/client';
+import {
+  getFestivalsDueForVerification,
+  reverifyFestival,
+  getVerificationMaxAgeDays
+} from '../../../../lib/research/reverification';
+import { runWithUsageContext } from '../../../../lib/research/usage-ledger';
+
+// Maximum duration for cron job
+export const maxDuration = 300; // 5 minutes
+
+// Stop picking up festivals after this long so the run finishes within maxDuration
+const TIME_BUDGET_MS = 240 * 1000;
+
+const DEFAULT_BATCH_SIZE = 8;
+
+/**
+ * Cron job to re-verify favorited and in-pipeline festivals on the calendar sources
+ * Runs hourly via Vercel Cron and handles the festivals with the oldest last_verified first.
+ * Optional query params: ?maxAgeDays= (defaults to VERIFICATION_MAX_AGE_DAYS or 30) and ?limit=
+ */
+export async function GET(req) {
+  try {
+    console.log('🔎 [CRON] Starting festival re-verification job...');
+
+    // Verify this is a legitimate cron request
+    const authHeader = req.headers.get('authorization');
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      console.log('❌ [CRON] Unauthorized cron request');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    if (!getApifyClient().isConfigured()) {
+      console.log('⚠️ [CRON] Apify API token not configured, skipping re-verification');
+      return NextResponse.json({ message: 'Apify API token not configured', verified: 0 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const maxAgeDays = parseInt(searchParams.get('maxAgeDays') || '', 10) || getVerificationMaxAgeDays();
+    const limit = parseInt(searchParams.get('limit') || '', 10)
+      || parseInt(process.env.VERIFICATION_BATCH_SIZE || '', 10)
+      || DEFAULT_BATCH_SIZE;
+
+    const festivals = await getFestivalsDueForVerification(maxAgeDays, limit);
+
+    if (festivals.length === 0) {
+      console.log(`😴 [CRON] No festivals older than ${maxAgeDays} days to re-verify`);
+      return NextResponse.json({ message: 'No festivals due for verification', maxAgeDays, verified: 0 });
+    }
+
+    console.log(`📋 [CRON] Re-verifying ${festivals.length} festivals (max age ${maxAgeDays} days)`);
+
+    // One festival at a time; each already checks all calendar sources in parallel
+    const startedAt = Date.now();
+    const runId = `reverify-${startedAt}`;
+    const verified = [];
+    const failed = [];
+    for (const festival of festivals) {
+      if (Date.now() - startedAt > TIME_BUDGET_MS) {
+        console.log('⏱️ [CRON] Time budget used up, leaving the rest for the next run');
+        break;
+      }
+
+      try {
+        const outcome = await runWithUsageContext(
+          { festivalId: festival.id, runId },
+          () => reverifyFestival(festival)
+        );
+        verified.push(outcome);
+
+        if (outcome.newFlags.length > 0) {
+          console.log(`🚩 [CRON] ${festival.name}: ${outcome.newFlags.join(', ')}`);
+        } else {
+          console.log(`✅ [CRON] ${festival.name}: found on ${outcome.foundOn}/${outcome.totalSources} calendars`);
+        }
+      } catch (error) {
+        console.error(`❌ [CRON] Error re-verifying ${festival.name}:`, error);
+        failed.push({ festivalId: festival.id, festivalName: festival.name, error: error.message });
+      }
+    }
+
+    const flagged = verified.filter(outcome => outcome.newFlags.length > 0);
+
+    console.log(`🎉 [CRON] Re-verification complete! Verified: ${verified.length}, Flagged: ${flagged.length}, Failed: ${failed.length}`);
+
+    return NextResponse.json({
+      message: 'Festival re-verification complete',
+      maxAgeDays,
+      verified: verified.length,
+      flagged: flagged.map(outcome => ({
+        festivalId: outcome.festivalId,
+        festivalName: outcome.festivalName,
+        flags: outcome.newFlags
+      })),
+      failed,
+      remaining: festivals.length - verified.length - failed.length
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Critical error in festival re-verification job:', error);
+    return NextResponse.json({
+      error: 'Critical re-verification error',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getFestivalActivityStore } from '../../../../../lib/festivals/activity-store';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: Activity timeline of a festival, newest first: stage changes, notes edits,
+ * contacts added, research runs and rate card changes with who did them
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const activity = await getFestivalActivityStore().listForFestival(id);
+    return NextResponse.json({ success: true, data: activity });
+  } catch (error: any) {
+    console.error('Error loading festival activity:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load festival activity',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,5 +1,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../../../lib/festivals/preference-store';
 
 interface Params {
   id: string;
@@ -26,6 +28,31 @@ export async function POST(
       }, { status: 400 });
     }
     
+    // Signed-in users archive for themselves; only requests without an Authorization header use the shared column
+    const user = await getRequestUser(request);
+    
+    // Refuse writes based on a value that was changed elsewhere in the meantime
+    if (body.expected !== undefined) {
+      const conflict = await getFestivalPreferenceStore().findConflict(user, id, 'archived', body.expected, archived);
+      if (conflict) {
+        return NextResponse.json({ 
+          success: false, 
+          conflict: true,
+          message: 'Archive status was changed elsewhere',
+          current: conflict.current
+        }, { status: 409 });
+      }
+    }
+    
+    if (user) {
+      const preference = await getFestivalPreferenceStore().setPreference(user, id, { archived });
+      return NextResponse.json({ 
+        success: true, 
+        message: `Festival ${archived ? 'archived' : 'unarchived'}`,
+        data: preference 
+      });
+    }
+    
     // Update the festival archive status in the database
     const { data, error } = await supabase
       .from('festivals')
@@ -51,6 +78,12 @@ export async function POST(
     });
     
   } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
     console.error('Error processing archive update:', error);
     return NextResponse.json({ 
       success: false, 
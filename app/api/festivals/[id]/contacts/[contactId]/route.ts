@@ -0,0 +1,96 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { ContactConflictError, getContactStore } from '../../../../../../lib/festivals/contact-store';
+import { CONTACT_SOURCES, normalizeContactInput } from '../../../../../../lib/festivals/contacts';
+
+interface Params {
+  id: string;
+  contactId: string;
+}
+
+/**
+ * PATCH: Edit a contact: its facts, verification status or last-contacted date.
+ * Changes apply to the contact on all its festivals.
+ */
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { contactId } = await params;
+
+  try {
+    const body = await request.json();
+
+    let update;
+    try {
+      update = normalizeContactInput(body || {});
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return NextResponse.json({
+        success: false,
+        message: 'Nothing to update'
+      }, { status: 400 });
+    }
+
+    const store = getContactStore();
+    if (!(await store.getContact(contactId))) {
+      return NextResponse.json({
+        success: false,
+        message: 'Contact not found'
+      }, { status: 404 });
+    }
+
+    const contact = await store.updateContact(contactId, update, CONTACT_SOURCES.manual);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: contact
+    });
+  } catch (error: any) {
+    if (error instanceof ContactConflictError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error updating contact:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update contact',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE: Remove a contact from this festival
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, contactId } = await params;
+
+  try {
+    await getContactStore().unlinkFromFestival(id, contactId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Contact removed from festival'
+    });
+  } catch (error: any) {
+    console.error('Error removing contact:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to remove contact',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,93 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getContactStore } from '../../../../../lib/festivals/contact-store';
+import { CONTACT_SOURCES, normalizeContactInput } from '../../../../../lib/festivals/contacts';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: Contacts linked to a festival
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const contacts = await getContactStore().listForFestival(id);
+    return NextResponse.json({ success: true, data: contacts });
+  } catch (error: any) {
+    console.error('Error loading contacts:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load contacts',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST: Add a contact to a festival, merged into an existing contact with the same
+ * email or LinkedIn URL. Body: contact fields and the `source` that found them
+ * (defaults to "manual").
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const body = await request.json();
+    const { source = CONTACT_SOURCES.manual, ...fields } = body || {};
+
+    if (typeof source !== 'string' || !source.trim() || source.length > 50) {
+      return NextResponse.json({
+        success: false,
+        message: 'Source must be a short string'
+      }, { status: 400 });
+    }
+
+    let input;
+    try {
+      input = normalizeContactInput(fields);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    if (!input.email && !input.linkedin_url && !input.name) {
+      return NextResponse.json({
+        success: false,
+        message: 'A contact needs a name, an email or a LinkedIn URL'
+      }, { status: 400 });
+    }
+
+    const user = await getRequestUser(request);
+    const { contact, created, alreadyLinked } = await getContactStore().saveContact(input, source.trim(), id, user?.id ?? null);
+
+    return NextResponse.json({
+      success: true,
+      message: alreadyLinked ? 'Contact already linked to this festival' : 'Contact added successfully',
+      data: { contact, created, alreadyLinked }
+    }, { status: created ? 201 : 200 });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error adding contact:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to add contact',
+      error: error.message
+    }, { status: 500 });
+  }
+}
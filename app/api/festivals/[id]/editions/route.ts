@@ -0,0 +1,103 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getFestivalSeriesStore } from '../../../../../lib/festivals/series-store';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * Editions of the festival series this festival belongs to.
+ * GET /api/festivals/[id]/editions
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const result = await getFestivalSeriesStore().getEditions(id);
+    if (!result) {
+      return NextResponse.json({ success: false, message: 'Festival not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: result });
+
+  } catch (error: any) {
+    console.error('Error loading festival editions:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading festival editions',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Attach this festival to the series of another festival.
+ * PUT /api/festivals/[id]/editions with body { festivalId }
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const { festivalId } = await request.json();
+
+    if (!festivalId || festivalId === id) {
+      return NextResponse.json({
+        success: false,
+        message: 'festivalId of another festival is required'
+      }, { status: 400 });
+    }
+
+    const linked = await getFestivalSeriesStore().linkToFestival(id, festivalId);
+    if (!linked) {
+      return NextResponse.json({ success: false, message: 'Festival not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Festival linked as an edition' });
+
+  } catch (error: any) {
+    console.error('Error linking festival edition:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error linking festival edition',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Split this festival off into a series of its own.
+ * DELETE /api/festivals/[id]/editions
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const series = await getFestivalSeriesStore().detach(id);
+    if (!series) {
+      return NextResponse.json({ success: false, message: 'Festival not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Festival detached from its series',
+      data: { series_id: series.id }
+    });
+
+  } catch (error: any) {
+    console.error('Error detaching festival edition:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error detaching festival edition',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,5 +1,8 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getContactStore } from '../../../../../lib/festivals/contact-store';
+import { CONTACT_SOURCES, normalizeEmail } from '../../../../../lib/festivals/contacts';
 
 interface Params {
   id: string;
@@ -31,10 +34,9 @@ export async function POST(
       }, { status: 400 });
     }
 
-    // Get current festival data
     const { data: festival, error: fetchError } = await supabase
       .from('festivals')
-      .select('emails')
+      .select('id')
       .eq('id', id)
       .single();
 
@@ -47,36 +49,33 @@ export async function POST(
       }, { status: 404 });
     }
 
-    // Get current emails array or initialize empty array
-    const currentEmails = festival.emails || [];
-    
-    // Check if email already exists
-    if (currentEmails.includes(email.trim())) {
+    // Emails are stored as contacts; festivals.emails follows them
+    const user = await getRequestUser(request);
+    const { alreadyLinked } = await getContactStore().saveContact(
+      { email: normalizeEmail(email) },
+      CONTACT_SOURCES.manual,
+      festival.id,
+      user?.id ?? null
+    );
+
+    if (alreadyLinked) {
       return NextResponse.json({ 
         success: false, 
         message: 'Email already exists for this festival' 
       }, { status: 409 });
     }
 
-    // Add new email to the array
-    const updatedEmails = [...currentEmails, email.trim()];
-
-    // Update the festival with new emails array
     const { data, error } = await supabase
       .from('festivals')
-      .update({ 
-        emails: updatedEmails,
-        updated_at: new Date().toISOString()
-      })
+      .select('id, emails')
       .eq('id', id)
-      .select()
       .single();
 
     if (error) {
-      console.error('Error updating festival emails:', error);
+      console.error('Error loading festival emails:', error);
       return NextResponse.json({ 
         success: false, 
-        message: 'Database error when updating emails',
+        message: 'Database error when loading emails',
         error: error.message
       }, { status: 500 });
     }
@@ -91,6 +90,12 @@ export async function POST(
     });
     
   } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
     console.error('Error processing email update:', error);
     return NextResponse.json({ 
       success: false, 
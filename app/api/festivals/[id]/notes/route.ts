@@ -1,5 +1,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../../../lib/festivals/preference-store';
 
 interface Params {
   id: string;
@@ -11,13 +13,29 @@ export async function POST(
 ) {
   try {
     const { id } = await params;
-    const { notes } = await request.json();
+    const { notes, expected } = await request.json();
 
     if (typeof notes !== 'string') {
       console.error('Invalid input type for notes:', notes);
       return NextResponse.json({ error: 'Invalid input' }, { status: 400 });
     }
 
+    // Signed-in users keep their own notes; only requests without an Authorization header use the shared column
+    const user = await getRequestUser(request);
+
+    // Refuse writes based on notes that were changed elsewhere in the meantime
+    if (expected !== undefined) {
+      const conflict = await getFestivalPreferenceStore().findConflict(user, id, 'notes', expected, notes);
+      if (conflict) {
+        return NextResponse.json({ error: 'Notes were changed elsewhere', current: conflict.current }, { status: 409 });
+      }
+    }
+
+    if (user) {
+      const preference = await getFestivalPreferenceStore().setPreference(user, id, { notes });
+      return NextResponse.json(preference);
+    }
+
     const { data, error } = await supabase
       .from('festivals')
       .update({ notes })
@@ -32,6 +50,9 @@ export async function POST(
 
     return NextResponse.json(data);
   } catch (error) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
     console.error('Error in notes route:', error);
     return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
   }
@@ -0,0 +1,135 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getOutreachStore, InvalidOutreachError, OutreachSendError } from '../../../../../lib/festivals/outreach-store';
+import { isMailerConfigured } from '../../../../../lib/festivals/outreach-mailer';
+import { normalizeOutreachSendInput } from '../../../../../lib/festivals/outreach';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: What the outreach templates of a festival are filled in with, who it can be
+ * mailed to, the mails sent so far (newest first) and whether SMTP is set up
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const user = await getRequestUser(request);
+    const store = getOutreachStore();
+    const [context, messages] = await Promise.all([
+      store.getContext(id, user),
+      store.listMessages(id),
+    ]);
+
+    if (!context) {
+      return NextResponse.json({
+        success: false,
+        message: 'Festival not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: { context, messages, mailer_configured: isMailerConfigured() }
+    });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading festival outreach:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load outreach',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST: Send a mail about the festival to one of its linked contacts or festival
+ * addresses. Body: { to_email, subject, body, language, contact_id?, template_id? } with
+ * the merge fields already filled in. The first mail moves a festival still in the
+ * entry stage to outreach.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const user = await getRequestUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, message: 'Sign in to send mail' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizeOutreachSendInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    if (!isMailerConfigured()) {
+      return NextResponse.json({
+        success: false,
+        message: 'Sending mail is not set up. Set SMTP_HOST and SMTP_FROM.'
+      }, { status: 503 });
+    }
+
+    const result = await getOutreachStore().send(id, input, user);
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        message: 'Festival not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: result.moved_to
+        ? `Mail sent to ${input.to_email}, festival moved to ${result.moved_to}`
+        : `Mail sent to ${input.to_email}`,
+      data: result
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    if (error instanceof InvalidOutreachError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 400 });
+    }
+    if (error instanceof OutreachSendError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 502 });
+    }
+
+    console.error('Error sending outreach mail:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to send mail',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,59 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRateCardStore } from '../../../../../../../../lib/festivals/rate-card-store';
+import { RateCardParseError, isRateCardParserAvailable } from '../../../../../../../../lib/festivals/rate-card-parser';
+
+interface Params {
+  id: string;
+  documentId: string;
+}
+
+/**
+ * POST: Read the prices off a rate card again, replacing its line items
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, documentId } = await params;
+
+  if (!isRateCardParserAvailable()) {
+    return NextResponse.json({
+      success: false,
+      message: 'Rate card parsing is not configured',
+      error: 'ANTHROPIC_API_KEY not configured'
+    }, { status: 503 });
+  }
+
+  try {
+    const store = getRateCardStore();
+    const document = await store.getDocument(documentId);
+    if (!document || document.festival_id !== id) {
+      return NextResponse.json({
+        success: false,
+        message: 'Rate card not found'
+      }, { status: 404 });
+    }
+
+    const parsed = await store.parseDocument(document);
+
+    return NextResponse.json({
+      success: true,
+      message: `Read ${parsed.line_items.length} prices from the rate card`,
+      data: parsed
+    });
+  } catch (error: any) {
+    if (error instanceof RateCardParseError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 422 });
+    }
+
+    console.error('Error parsing rate card:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to parse rate card',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,115 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRateCardStore } from '../../../../../../../lib/festivals/rate-card-store';
+import { normalizeLineItems } from '../../../../../../../lib/festivals/rate-cards';
+
+interface Params {
+  id: string;
+  documentId: string;
+}
+
+async function findDocument(festivalId: string, documentId: string) {
+  const document = await getRateCardStore().getDocument(documentId);
+  return document && document.festival_id === festivalId ? document : null;
+}
+
+const notFound = () => NextResponse.json({
+  success: false,
+  message: 'Rate card not found'
+}, { status: 404 });
+
+/**
+ * GET: A rate card with a short-lived download link to its file
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, documentId } = await params;
+
+  try {
+    const document = await findDocument(id, documentId);
+    if (!document) return notFound();
+
+    const url = await getRateCardStore().getDownloadUrl(document);
+    return NextResponse.json({ success: true, data: { ...document, url } });
+  } catch (error: any) {
+    console.error('Error loading rate card:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load rate card',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT: Replace the line items of a rate card, e.g. after checking the parsed prices.
+ * Body: { line_items: [{ description, amount, currency?, unit? }] }
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, documentId } = await params;
+
+  try {
+    const body = await request.json();
+
+    let items;
+    try {
+      items = normalizeLineItems(body?.line_items);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    if (!(await findDocument(id, documentId))) return notFound();
+
+    const store = getRateCardStore();
+    await store.saveLineItems(documentId, items);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rate card prices saved',
+      data: await store.getDocument(documentId)
+    });
+  } catch (error: any) {
+    console.error('Error saving rate card line items:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to save rate card prices',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE: Delete a rate card and its file
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, documentId } = await params;
+
+  try {
+    const document = await findDocument(id, documentId);
+    if (!document) return notFound();
+
+    await getRateCardStore().deleteDocument(document);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rate card deleted'
+    });
+  } catch (error: any) {
+    console.error('Error deleting rate card:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete rate card',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,90 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../../lib/auth';
+import { InvalidRateCardError, getRateCardStore } from '../../../../../../lib/festivals/rate-card-store';
+import { isRateCardParserAvailable } from '../../../../../../lib/festivals/rate-card-parser';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * POST: Upload a received rate card (PDF or image) as multipart form data with `file`,
+ * optionally the `request_id` it answers, and `parse=false` to skip reading the prices.
+ * The upload succeeds even when parsing fails; the document then says why.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    let form: FormData;
+    try {
+      form = await request.formData();
+    } catch {
+      return NextResponse.json({
+        success: false,
+        message: 'Send the rate card as multipart form data'
+      }, { status: 400 });
+    }
+
+    const file = form.get('file');
+    if (!(file instanceof File)) {
+      return NextResponse.json({
+        success: false,
+        message: 'No file. Send the rate card in the "file" field.'
+      }, { status: 400 });
+    }
+
+    const requestId = form.get('request_id');
+    const user = await getRequestUser(request);
+    const store = getRateCardStore();
+
+    let document = await store.uploadDocument(
+      id,
+      { fileName: file.name, contentType: file.type, data: Buffer.from(await file.arrayBuffer()) },
+      typeof requestId === 'string' && requestId ? requestId : null,
+      user?.id ?? null
+    );
+
+    let parseError: string | null = null;
+    if (form.get('parse') !== 'false' && isRateCardParserAvailable()) {
+      try {
+        document = await store.parseDocument(document);
+      } catch (error: any) {
+        console.error('Error parsing rate card:', error);
+        parseError = error.message;
+        document = (await store.getDocument(document.id)) || document;
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: parseError
+        ? `Rate card stored, but its prices could not be read: ${parseError}`
+        : `Rate card stored${document.parse_status === 'parsed' ? ` with ${document.line_items.length} prices` : ''}`,
+      data: document
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    if (error instanceof InvalidRateCardError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 400 });
+    }
+
+    console.error('Error uploading rate card:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to upload rate card',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,62 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../../../lib/auth';
+import { getRateCardStore } from '../../../../../../../lib/festivals/rate-card-store';
+import { RATE_CARD_REQUEST_STATUSES, isRateCardRequestStatus } from '../../../../../../../lib/festivals/rate-cards';
+
+interface Params {
+  id: string;
+  requestId: string;
+}
+
+/**
+ * PATCH: Record the answer to a rate card request. Body: { status } — "received" when
+ * the rate card came in without a file, "declined", or "pending" to reopen it.
+ */
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id, requestId } = await params;
+
+  try {
+    const { status } = await request.json();
+
+    if (!isRateCardRequestStatus(status)) {
+      return NextResponse.json({
+        success: false,
+        message: `Invalid status. Must be one of: ${RATE_CARD_REQUEST_STATUSES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    const store = getRateCardStore();
+    const existing = await store.getRequest(requestId);
+    if (!existing || existing.festival_id !== id) {
+      return NextResponse.json({
+        success: false,
+        message: 'Rate card request not found'
+      }, { status: 404 });
+    }
+
+    const user = await getRequestUser(request);
+    const rateCardRequest = await store.setRequestStatus(requestId, status, user?.id ?? null);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rate card request updated',
+      data: rateCardRequest
+    });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error updating rate card request:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update rate card request',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,62 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../../lib/auth';
+import { InvalidRateCardError, getRateCardStore } from '../../../../../../lib/festivals/rate-card-store';
+import { normalizeRateCardRequestInput } from '../../../../../../lib/festivals/rate-cards';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * POST: Log a rate card request. Body: { contact_id?, channel?, message?, requested_at? };
+ * the contact must be linked to the festival. Marks the festival's rate card as requested.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizeRateCardRequestInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const user = await getRequestUser(request);
+    const rateCardRequest = await getRateCardStore().createRequest(id, input, user?.id ?? null);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rate card request logged',
+      data: rateCardRequest
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    if (error instanceof InvalidRateCardError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 400 });
+    }
+
+    console.error('Error logging rate card request:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to log rate card request',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,103 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { supabase } from '../../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getRateCardStore } from '../../../../../lib/festivals/rate-card-store';
+import type { RateCardUpdatePayload } from '../../../../../lib/types/rate-card';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: The rate card requests of a festival and the rate cards received, with their line items
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const rateCards = await getRateCardStore().getForFestival(id);
+    return NextResponse.json({ success: true, data: rateCards });
+  } catch (error: any) {
+    console.error('Error loading rate cards:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load rate cards',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Update the rate card status of a festival. Rate cards are shared by the whole team.
+ * POST /api/festivals/[id]/rate-card with body { requested?, received?, date?, notes? }
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const updates: RateCardUpdatePayload = await request.json();
+
+    const update: Record<string, unknown> = {};
+    if (updates.requested !== undefined) update.rate_card_requested = !!updates.requested;
+    if (updates.received !== undefined) update.rate_card_received = !!updates.received;
+    if (updates.date !== undefined) update.rate_card_date = updates.date || null;
+    if (updates.notes !== undefined) update.rate_card_notes = updates.notes || null;
+
+    if (Object.keys(update).length === 0) {
+      return NextResponse.json({
+        success: false,
+        message: 'Nothing to update. Provide requested, received, date or notes.'
+      }, { status: 400 });
+    }
+
+    // A received rate card was requested; a dated one was received
+    if (update.rate_card_date) update.rate_card_received = true;
+    if (update.rate_card_received) update.rate_card_requested = true;
+
+    // Recorded with the change in the festival's activity log
+    const user = await getRequestUser(request);
+    update.rate_card_updated_by = user?.id ?? null;
+
+    const { data, error } = await supabase
+      .from('festivals')
+      .update(update)
+      .eq('id', id)
+      .select('id, rate_card_requested, rate_card_received, rate_card_date, rate_card_notes')
+      .single();
+
+    if (error) {
+      console.error('Error updating rate card:', error);
+      return NextResponse.json({
+        success: false,
+        message: 'Database error when updating rate card',
+        error: error.message
+      }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Rate card information updated',
+      data
+    });
+
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error processing rate card update:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error processing request',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -23,6 +23,8 @@ export async function POST(req, { params }) {
     // Get request body to check for AI service preference
     const body = await req.json();
     const aiService = body.aiService || 'exa'; // Default to EXA
+    // Run again even when research is complete; earlier runs stay in research_versions
+    const force = body.force === true;
     
     console.log(`POST initiating research for festival ID: ${id} using ${aiService}`);
     
@@ -42,7 +44,7 @@ export async function POST(req, { params }) {
     }
     
     // If research already exists and is complete, return it
-    if (existing && existing.status === 'complete') {
+    if (existing && existing.status === 'complete' && !force) {
       console.log(`Research already exists for festival ID: ${id} and is complete`);
       return NextResponse.json({
         message: 'Research already exists',
@@ -72,9 +74,9 @@ export async function POST(req, { params }) {
       });
     }
     
-    // If research already exists but failed, we'll recreate it
-    if (existing && existing.status === 'failed') {
-      console.log(`Previous research failed for festival ID: ${id}, recreating`);
+    // If research already exists but failed (or a re-run is forced), we'll recreate it
+    if (existing && (existing.status === 'failed' || existing.status === 'complete')) {
+      console.log(`Previous research ${existing.status} for festival ID: ${id}, recreating`);
       
       // Delete the failed entry
       const { error: deleteError } = await supabase
@@ -0,0 +1,41 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getResearchVersionStore } from '../../../../../../../lib/research/version-store';
+import { diffResearchVersions } from '../../../../../../../lib/research/research-versions';
+
+/**
+ * GET handler for a single research version
+ * Returns the version content and what changed compared to the run before it
+ */
+export async function GET(req, { params }) {
+  try {
+    const { id, versionId } = await params;
+    const store = getResearchVersionStore();
+
+    const version = await store.get(id, versionId);
+    if (!version) {
+      return NextResponse.json({ error: 'Research version not found' }, { status: 404 });
+    }
+
+    const previous = await store.getPrevious(version);
+
+    return NextResponse.json({
+      version,
+      previous: previous ? {
+        id: previous.id,
+        provider: previous.provider,
+        quality_score: previous.quality_score,
+        created_at: previous.created_at
+      } : null,
+      diff: previous ? diffResearchVersions(previous, version) : null
+    });
+  } catch (error) {
+    console.error('Error fetching research version:', error);
+    return NextResponse.json({
+      error: 'Failed to fetch research version',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { getResearchVersionStore } from '../../../../../../lib/research/version-store';
+
+/**
+ * GET handler for research history
+ * Lists every completed research run of a festival, newest first (without content)
+ */
+export async function GET(req, { params }) {
+  try {
+    const { id } = await params;
+    const versions = await getResearchVersionStore().list(id);
+    return NextResponse.json({ versions });
+  } catch (error) {
+    console.error('Error fetching research versions:', error);
+    return NextResponse.json({
+      error: 'Failed to fetch research versions',
+      details: error.message
+    }, { status: 500 });
+  }
+}
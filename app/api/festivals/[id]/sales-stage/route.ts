@@ -1,5 +1,9 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../../../lib/festivals/preference-store';
+import { getSalesPipelineStore, InvalidStageError } from '../../../../../lib/festivals/pipeline-store';
+import { normalizeLostReason } from '../../../../../lib/festivals/pipelines';
 
 interface Params {
   id: string;
@@ -26,19 +30,63 @@ export async function POST(
       }, { status: 400 });
     }
     
-    // Validate the sales stage value
-    const validStages = ['favorited', 'outreach', 'talking', 'offer', 'deal'];
-    if (!validStages.includes(sales_stage)) {
+    if (body.pipeline_id !== undefined && (typeof body.pipeline_id !== 'string' || !body.pipeline_id)) {
       return NextResponse.json({ 
         success: false, 
-        message: `Invalid sales stage. Must be one of: ${validStages.join(', ')}` 
+        message: 'Invalid input. "pipeline_id" must be a pipeline id.' 
       }, { status: 400 });
     }
     
+    let lost_reason: string | null;
+    try {
+      lost_reason = normalizeLostReason(body.lost_reason);
+    } catch (reasonError: any) {
+      return NextResponse.json({ success: false, message: reasonError.message }, { status: 400 });
+    }
+    
+    // Signed-in users track their own pipeline; only requests without an Authorization header use the shared column
+    const user = await getRequestUser(request);
+    
+    // Validate the stage against the pipeline it moves into, which is the festival's
+    // current pipeline unless another one is given
+    const pipelineId: string | null = body.pipeline_id ?? await getFestivalPreferenceStore().getPipelineId(user, id);
+    let pipeline_id: string;
+    try {
+      const { pipeline } = await getSalesPipelineStore().resolveStage(pipelineId, sales_stage, lost_reason);
+      pipeline_id = pipeline.id;
+    } catch (stageError) {
+      if (stageError instanceof InvalidStageError) {
+        return NextResponse.json({ success: false, message: stageError.message }, { status: 400 });
+      }
+      throw stageError;
+    }
+    
+    // Refuse writes based on a value that was changed elsewhere in the meantime
+    if (body.expected !== undefined) {
+      const conflict = await getFestivalPreferenceStore().findConflict(user, id, 'sales_stage', body.expected, sales_stage);
+      if (conflict) {
+        return NextResponse.json({ 
+          success: false, 
+          conflict: true,
+          message: 'Sales stage was changed elsewhere',
+          current: conflict.current
+        }, { status: 409 });
+      }
+    }
+    
+    if (user) {
+      const preference = await getFestivalPreferenceStore().setPreference(user, id, { sales_stage, pipeline_id, lost_reason });
+      return NextResponse.json({ 
+        success: true, 
+        message: `Festival sales stage updated to "${sales_stage}"`,
+        data: preference 
+      });
+    }
+    
     // Update the festival sales stage in the database
     const { data, error } = await supabase
       .from('festivals')
-      .update({ sales_stage })
+      .update({ sales_stage, pipeline_id, lost_reason })
       .eq('id', id)
       .select()
       .single();
@@ -60,6 +108,12 @@ export async function POST(
     });
     
   } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
     console.error('Error processing sales stage update:', error);
     return NextResponse.json({ 
       success: false, 
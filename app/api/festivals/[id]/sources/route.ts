@@ -0,0 +1,35 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getFestivalMergeStore } from '../../../../../lib/festivals/merge-store';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * Source records merged into a festival.
+ * GET /api/festivals/[id]/sources lists the eblive2, festivalinfo, Chrome extension and
+ * manual records that were merged into this canonical festival.
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const sources = await getFestivalMergeStore().getSourceRecords(id);
+
+    return NextResponse.json({
+      success: true,
+      data: sources
+    });
+
+  } catch (error: any) {
+    console.error('Error loading festival source records:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading source records',
+      error: error.message
+    }, { status: 500 });
+  }
+}
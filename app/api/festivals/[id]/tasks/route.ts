@@ -0,0 +1,84 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../../lib/auth';
+import { InvalidTaskError, getTaskStore } from '../../../../../lib/festivals/task-store';
+import { normalizeTaskInput } from '../../../../../lib/festivals/tasks';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: All tasks of a festival, open ones first
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const tasks = await getTaskStore().listForFestival(id);
+    return NextResponse.json({ success: true, data: tasks });
+  } catch (error: any) {
+    console.error('Error loading festival tasks:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load tasks',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST: Add a task. Body: { title, due_date, task_type?, assignee_id?, notes? };
+ * without an assignee_id the task goes to the signed-in user.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizeTaskInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const user = await getRequestUser(request);
+    const task = await getTaskStore().createTask(id, input, user);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Task added',
+      data: task
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    if (error instanceof InvalidTaskError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 404 });
+    }
+
+    console.error('Error adding task:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to add task',
+      error: error.message
+    }, { status: 500 });
+  }
+}
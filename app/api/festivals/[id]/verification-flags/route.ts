@@ -0,0 +1,81 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { supabase } from '../../../../../lib/supabase-client';
+import { VERIFICATION_FLAGS, type VerificationFlag } from '../../../../../lib/research/reverification';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * Dismiss re-verification flags of a festival.
+ * DELETE /api/festivals/[id]/verification-flags?flag=new_edition clears one flag,
+ * without ?flag all flags are cleared.
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const flag = request.nextUrl.searchParams.get('flag');
+
+    if (flag && !VERIFICATION_FLAGS.includes(flag as VerificationFlag)) {
+      return NextResponse.json({
+        success: false,
+        message: `Invalid flag. Must be one of: ${VERIFICATION_FLAGS.join(', ')}`
+      }, { status: 400 });
+    }
+
+    const { data: festival, error: fetchError } = await supabase
+      .from('festivals')
+      .select('verification_flags')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error loading verification flags:', fetchError);
+      return NextResponse.json({
+        success: false,
+        message: 'Database error when loading verification flags',
+        error: fetchError.message
+      }, { status: 500 });
+    }
+
+    if (!festival) {
+      return NextResponse.json({ success: false, message: 'Festival not found' }, { status: 404 });
+    }
+
+    const verification_flags = flag
+      ? (festival.verification_flags || []).filter((existing: string) => existing !== flag)
+      : [];
+
+    const { error } = await supabase
+      .from('festivals')
+      .update({ verification_flags })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error clearing verification flags:', error);
+      return NextResponse.json({
+        success: false,
+        message: 'Database error when clearing verification flags',
+        error: error.message
+      }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: flag ? `Verification flag "${flag}" dismissed` : 'Verification flags dismissed',
+      data: { verification_flags }
+    });
+
+  } catch (error: any) {
+    console.error('Error processing verification flag dismissal:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error processing request',
+      error: error.message
+    }, { status: 500 });
+  }
+}
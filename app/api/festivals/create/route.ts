@@ -1,6 +1,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../lib/supabase-client';
 import { validateExtensionApiKey } from '../../../../lib/auth';
+import { geocodeColumns } from '../../../../lib/festivals/geocoding';
 
 interface CreateFestivalRequest {
   name: string;
@@ -49,14 +50,18 @@ export async function POST(request: NextRequest) {
     }
 
     // Prepare festival data for database
+    const location = body.location?.trim() || null;
+    const country = body.country?.trim() || null;
     const festivalData = {
       name: body.name.trim(),
       start_date: body.start_date || null,
       end_date: body.end_date || null,
-      location: body.location?.trim() || null,
-      country: body.country?.trim() || null,
+      location,
+      country,
+      ...geocodeColumns(location, country),
       url: body.url.trim(),
       source: body.source || 'chrome-extension',
+      // Become contacts with this source through the import_festival_emails trigger
       emails: body.emails || [],
       notes: body.notes?.trim() || null,
       favorite: false,
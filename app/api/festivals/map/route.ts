@@ -0,0 +1,74 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { FestivalQueryError, MAX_PAGE_SIZE, parseFestivalQuery } from '../../../../lib/festivals/festival-query';
+import { getFestivalQueryStore } from '../../../../lib/festivals/festival-query-store';
+
+// More markers than this make the map unreadable; narrow the filters instead
+const MAX_MARKERS = 5000;
+
+/**
+ * The geocoded festivals matching the festivals API filters, as map markers.
+ * GET /api/festivals/map?from=2025-07-01&to=2025-07-31&salesStage=outreach&near=52.09,5.12&radius=50
+ * Returns { data: markers, truncated }; with near, markers are sorted nearest first.
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const query = parseFestivalQuery(request.nextUrl.searchParams);
+    query.mapped = true;
+    query.sort = query.sort || (query.near ? 'distance' : 'start_date');
+    query.limit = MAX_PAGE_SIZE;
+    delete query.includeTotal;
+
+    const user = await getRequestUser(request);
+    const store = getFestivalQueryStore();
+    const markers: Record<string, unknown>[] = [];
+
+    do {
+      const { festivals, pageInfo } = await store.queryFestivals(query, user?.id ?? null);
+      for (const festival of festivals) {
+        markers.push({
+          id: festival.id,
+          name: festival.name,
+          start_date: festival.start_date,
+          end_date: festival.end_date,
+          location: festival.location,
+          city: festival.city,
+          province: festival.province,
+          country_code: festival.country_code,
+          latitude: festival.latitude,
+          longitude: festival.longitude,
+          distance_km: festival.distance_km,
+          sales_stage: festival.sales_stage,
+          favorite: festival.favorite,
+          archived: festival.archived,
+        });
+      }
+      query.cursor = pageInfo.nextCursor;
+    } while (query.cursor && markers.length < MAX_MARKERS);
+
+    return NextResponse.json({ success: true, data: markers, truncated: Boolean(query.cursor) }, {
+      headers: {
+        // Responses contain the user's preferences
+        'Cache-Control': 'private, max-age=10',
+        'Vary': 'Accept-Encoding, Authorization',
+      }
+    });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    if (error instanceof FestivalQueryError) {
+      return NextResponse.json({ success: false, message: error.message, error: error.message }, { status: 400 });
+    }
+
+    console.error('Error loading festival map:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading festival map',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../../lib/festivals/preference-store';
+
+/**
+ * The signed-in user's favorite, archived, notes and sales stage of every festival
+ * they set one for.
+ * GET /api/festivals/preferences
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const user = await getRequestUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, message: 'Sign in to load your preferences' }, { status: 401 });
+    }
+
+    const store = getFestivalPreferenceStore();
+    const [preferences] = await Promise.all([
+      store.getPreferences(user.id),
+      store.registerUser(user),
+    ]);
+
+    return NextResponse.json({ success: true, data: preferences }, {
+      // Per user, and the browser cache does not key on Authorization
+      headers: { 'Cache-Control': 'private, no-store' }
+    });
+
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading festival preferences:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading festival preferences',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,168 @@
+// @ts-nocheck
+// Force ESM mode
+
+import { NextResponse } from 'next/server';
+import { supabase } from '../../../../../lib/supabase-client.js';
+import {
+  BULK_RESEARCH_PROVIDERS,
+  MAX_BULK_RESEARCH_FESTIVALS,
+  isBulkResearchProvider,
+  estimateBulkResearchCost
+} from '../../../../../lib/research/bulk-research';
+
+/**
+ * POST handler for bulk research
+ * Queues research for many festivals at once. Each festival gets a pending
+ * festival_research row, which enqueues a background job for the cron worker.
+ * Body: { festivalIds: string[], aiService, skipCompleted?: boolean }
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json();
+    const festivalIds = [...new Set(Array.isArray(body.festivalIds) ? body.festivalIds : [])];
+    const aiService = body.aiService || 'exa';
+    const skipCompleted = body.skipCompleted !== false;
+
+    if (festivalIds.length === 0) {
+      return NextResponse.json({ error: 'festivalIds is required' }, { status: 400 });
+    }
+    if (festivalIds.length > MAX_BULK_RESEARCH_FESTIVALS) {
+      return NextResponse.json({
+        error: `At most ${MAX_BULK_RESEARCH_FESTIVALS} festivals can be researched at once`
+      }, { status: 400 });
+    }
+    if (!isBulkResearchProvider(aiService)) {
+      return NextResponse.json({
+        error: `Invalid aiService, expected one of: ${BULK_RESEARCH_PROVIDERS.map(p => p.id).join(', ')}`
+      }, { status: 400 });
+    }
+
+    console.log(`Bulk research: queueing ${festivalIds.length} festivals using ${aiService}`);
+
+    // Look up existing research so pending runs are not duplicated
+    const { data: existing, error: existingError } = await supabase
+      .from('festival_research')
+      .select('id, festival_id, status')
+      .in('festival_id', festivalIds);
+
+    if (existingError) {
+      console.error('Bulk research: error checking existing research:', existingError);
+      return NextResponse.json({
+        error: 'Failed to check for existing research',
+        details: existingError.message
+      }, { status: 500 });
+    }
+
+    const existingByFestival = new Map((existing || []).map(row => [row.festival_id, row]));
+    const skipped = [];
+    const alreadyPending = [];
+    const toQueue = [];
+    const toReplace = [];
+
+    for (const festivalId of festivalIds) {
+      const row = existingByFestival.get(festivalId);
+      if (!row) {
+        toQueue.push(festivalId);
+      } else if (row.status === 'pending') {
+        alreadyPending.push(festivalId);
+      } else if (row.status === 'complete' && skipCompleted) {
+        skipped.push(festivalId);
+      } else {
+        toQueue.push(festivalId);
+        toReplace.push(row.id);
+      }
+    }
+
+    // Failed (or re-researched) entries are recreated, like the single-festival endpoint does
+    if (toReplace.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('festival_research')
+        .delete()
+        .in('id', toReplace);
+
+      if (deleteError) {
+        console.error('Bulk research: error deleting previous research:', deleteError);
+      }
+    }
+
+    let queued = [];
+    if (toQueue.length > 0) {
+      const { data: inserted, error: insertError } = await supabase
+        .from('festival_research')
+        .insert(toQueue.map(festivalId => ({
+          festival_id: festivalId,
+          research_log: `Research queued using ${aiService.toUpperCase()}...`,
+          status: 'pending',
+          ai_service: aiService
+        })))
+        .select('id, festival_id, status');
+
+      if (insertError) {
+        console.error('Bulk research: error creating research entries:', insertError);
+        return NextResponse.json({
+          error: 'Failed to create research entries',
+          details: insertError.message
+        }, { status: 500 });
+      }
+      queued = inserted || [];
+    }
+
+    console.log(`Bulk research: queued ${queued.length}, already pending ${alreadyPending.length}, skipped ${skipped.length}`);
+
+    return NextResponse.json({
+      message: 'Bulk research queued',
+      aiService,
+      queued: queued.map(row => row.festival_id),
+      alreadyPending,
+      skipped,
+      estimatedCost: estimateBulkResearchCost(aiService, queued.length)
+    });
+  } catch (error) {
+    console.error('Bulk research: unexpected error:', error);
+    return NextResponse.json({
+      error: 'An unexpected error occurred',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * GET handler for bulk research progress
+ * Returns the research status of the given festivals: ?festivalIds=a,b,c
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const festivalIds = (searchParams.get('festivalIds') || '').split(',').filter(Boolean);
+
+    if (festivalIds.length === 0) {
+      return NextResponse.json({ error: 'festivalIds is required' }, { status: 400 });
+    }
+    if (festivalIds.length > MAX_BULK_RESEARCH_FESTIVALS) {
+      return NextResponse.json({
+        error: `At most ${MAX_BULK_RESEARCH_FESTIVALS} festivals can be tracked at once`
+      }, { status: 400 });
+    }
+
+    const { data, error } = await supabase
+      .from('festival_research')
+      .select('id, festival_id, status, ai_service, updated_at')
+      .in('festival_id', festivalIds);
+
+    if (error) {
+      console.error('Bulk research: error fetching progress:', error);
+      return NextResponse.json({
+        error: 'Failed to fetch research progress',
+        details: error.message
+      }, { status: 500 });
+    }
+
+    return NextResponse.json({ research: data || [] });
+  } catch (error) {
+    console.error('Bulk research: unexpected error fetching progress:', error);
+    return NextResponse.json({
+      error: 'An unexpected error occurred',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,60 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { getFestivalQueryStore } from '../../../../lib/festivals/festival-query-store';
+import { MIN_SEARCH_LENGTH, normalizeSearchText } from '../../../../lib/festivals/search';
+
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Typeahead for the global search box: the best matching festivals with where they matched.
+ * GET /api/festivals/search?q=lowlands&limit=8
+ */
+export async function GET(request: NextRequest) {
+  const q = request.nextUrl.searchParams.get('q')?.trim() || '';
+  const limit = Math.min(
+    parseInt(request.nextUrl.searchParams.get('limit') || '', 10) || DEFAULT_SUGGESTIONS,
+    MAX_SUGGESTIONS
+  );
+
+  if (normalizeSearchText(q).length < MIN_SEARCH_LENGTH) {
+    return NextResponse.json({ success: true, data: [] });
+  }
+
+  try {
+    // Signed in, the user's own notes are searched too
+    const user = await getRequestUser(request);
+    const { festivals } = await getFestivalQueryStore().queryFestivals(
+      { search: q, sort: 'relevance', direction: 'desc', limit },
+      user?.id ?? null
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: festivals.map(festival => ({
+        id: festival.id,
+        name: festival.name,
+        start_date: festival.start_date,
+        end_date: festival.end_date,
+        location: festival.location,
+        archived: festival.archived,
+        match: festival.search_match,
+      })),
+    }, {
+      headers: { 'Cache-Control': 'private, max-age=10' }
+    });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error searching festivals:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error searching festivals',
+      error: error.message
+    }, { status: 500 });
+  }
+}
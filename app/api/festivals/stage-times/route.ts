@@ -0,0 +1,35 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { getFestivalActivityStore } from '../../../../lib/festivals/activity-store';
+import { summarizeStageTimes } from '../../../../lib/festivals/activity';
+
+/**
+ * How long the signed-in user's festivals have been in their sales stage, and the
+ * average time a festival stays in each stage. Without a user, for the shared stages.
+ * GET /api/festivals/stage-times
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const user = await getRequestUser(request);
+    const changes = await getFestivalActivityStore().listStageChanges(user?.id ?? null);
+
+    return NextResponse.json({ success: true, data: summarizeStageTimes(changes) }, {
+      // The user's own stage times; a browser would serve them to the next account
+      headers: { 'Cache-Control': 'private, no-store' }
+    });
+
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading stage times:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading stage times',
+      error: error.message
+    }, { status: 500 });
+  }
+}
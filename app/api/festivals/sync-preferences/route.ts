@@ -1,109 +1,159 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { supabase } from '../../../../lib/supabase-client';
+import { getRequestUser, InvalidSessionError } from '../../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../../lib/festivals/preference-store';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Values that mean "never set" for the shared festival columns
+const isUnset = (value: any) => value === null || value === undefined || value === false || value === '' || value === 'favorited';
+
+/**
+ * One-time import of preferences and rate cards the browser used to keep in localStorage.
+ * Only fills in what the database doesn't have yet: the database is the source of truth,
+ * so stale browser data never overwrites newer changes.
+ * POST /api/festivals/sync-preferences with body { favorites, archived, notes, salesStages, rateCards }
+ */
 export async function POST(request: NextRequest) {
   try {
     // Parse the request body containing localStorage data
     const body = await request.json();
-    const { favorites, archived, notes, salesStages } = body;
-    
-    console.log('Syncing user preferences to database:', {
+    const { favorites, archived, notes, salesStages, rateCards } = body;
+
+    console.log('Importing browser preferences into database:', {
       favoritesCount: Object.keys(favorites || {}).length,
       archivedCount: Object.keys(archived || {}).length,
       notesCount: Object.keys(notes || {}).length,
-      salesStagesCount: Object.keys(salesStages || {}).length
+      salesStagesCount: Object.keys(salesStages || {}).length,
+      rateCardsCount: Object.keys(rateCards || {}).length
     });
-    
-    // Collect all festival IDs that need updates
+
+    // Collect all festival IDs that need updates; old browsers stored some invalid IDs
     const allFestivalIds = new Set([
       ...Object.keys(favorites || {}),
       ...Object.keys(archived || {}),
       ...Object.keys(notes || {}),
-      ...Object.keys(salesStages || {})
-    ]);
-    
+      ...Object.keys(salesStages || {}),
+      ...Object.keys(rateCards || {})
+    ].filter(id => UUID_PATTERN.test(id)));
+
     if (allFestivalIds.size === 0) {
-      return NextResponse.json({ 
-        success: true, 
+      return NextResponse.json({
+        success: true,
         message: 'No preferences to sync',
         synced: 0
       });
     }
-    
+
+    // Signed-in users import into their own preferences instead of the shared columns
+    const user = await getRequestUser(request);
+
     // Process festivals in batches to avoid overwhelming the database
     const batchSize = 50;
     const festivalIds = Array.from(allFestivalIds);
     let syncedCount = 0;
     let errorCount = 0;
-    
+
     for (let i = 0; i < festivalIds.length; i += batchSize) {
       const batch = festivalIds.slice(i, i + batchSize);
-      
-      // Prepare update objects for this batch
-      const updates = batch.map(festivalId => {
-        const updates: any = { id: festivalId };
-        
-        // Only update fields that have values in localStorage
+
+      const { data: currentRows, error: loadError } = await supabase
+        .from('festivals')
+        .select('id, favorite, archived, notes, sales_stage, rate_card_requested, rate_card_received, rate_card_date, rate_card_notes')
+        .in('id', batch);
+
+      if (loadError) {
+        console.error('Error loading festivals to import into:', loadError);
+        errorCount += batch.length;
+        continue;
+      }
+
+      // Festivals deleted since the browser stored them are skipped
+      for (const current of currentRows || []) {
+        const festivalId = current.id;
+
+        // Only fields that have values in localStorage
+        const preference: any = {};
         if (favorites && favorites[festivalId] !== undefined) {
-          updates.favorite = !!favorites[festivalId];
+          preference.favorite = !!favorites[festivalId];
         }
-        
         if (archived && archived[festivalId] !== undefined) {
-          updates.archived = !!archived[festivalId];
+          preference.archived = !!archived[festivalId];
         }
-        
-        if (notes && notes[festivalId] !== undefined) {
-          updates.notes = notes[festivalId];
+        if (notes && notes[festivalId]) {
+          preference.notes = notes[festivalId];
         }
-        
         if (salesStages && salesStages[festivalId] !== undefined) {
-          updates.sales_stage = salesStages[festivalId];
+          preference.sales_stage = salesStages[festivalId];
         }
-        
+
         // Apply smart favoriting logic
-        if (updates.sales_stage && updates.sales_stage !== 'favorited') {
-          updates.favorite = true; // Auto-favorite festivals in active sales stages
+        if (preference.sales_stage && preference.sales_stage !== 'favorited') {
+          preference.favorite = true; // Auto-favorite festivals in active sales stages
         }
-        
-        return updates;
-      });
-      
-      // Update festivals in this batch
-      for (const updateData of updates) {
+
+        // Rate cards belong to the festival, not to a user
+        const rateCard = rateCards?.[festivalId];
+        const sharedUpdate: any = {};
+        if (rateCard) {
+          if (rateCard.requested && !current.rate_card_requested) sharedUpdate.rate_card_requested = true;
+          if (rateCard.received && !current.rate_card_received) sharedUpdate.rate_card_received = true;
+          if (rateCard.date && !current.rate_card_date) sharedUpdate.rate_card_date = rateCard.date;
+          if (rateCard.notes && !current.rate_card_notes) sharedUpdate.rate_card_notes = rateCard.notes;
+        }
+
         try {
-          const { error } = await supabase
-            .from('festivals')
-            .update(updateData)
-            .eq('id', updateData.id);
-          
-          if (error) {
-            console.error(`Error updating festival ${updateData.id}:`, error);
-            errorCount++;
-          } else {
-            syncedCount++;
+          let imported = false;
+
+          if (user && Object.keys(preference).length > 0) {
+            imported = await getFestivalPreferenceStore().fillPreference(user, festivalId, preference);
+          } else if (!user) {
+            for (const [field, value] of Object.entries(preference)) {
+              if (isUnset(current[field])) sharedUpdate[field] = value;
+            }
           }
+
+          if (Object.keys(sharedUpdate).length > 0) {
+            const { error } = await supabase
+              .from('festivals')
+              .update(sharedUpdate)
+              .eq('id', festivalId);
+
+            if (error) {
+              throw error;
+            }
+            imported = true;
+          }
+
+          if (imported) syncedCount++;
         } catch (error) {
-          console.error(`Unexpected error updating festival ${updateData.id}:`, error);
+          console.error(`Error importing preferences for festival ${festivalId}:`, error);
           errorCount++;
         }
       }
     }
-    
-    console.log(`Preferences sync completed: ${syncedCount} synced, ${errorCount} errors`);
-    
-    return NextResponse.json({ 
-      success: true, 
-      message: `Synced preferences for ${syncedCount} festivals`,
+
+    console.log(`Preferences import completed: ${syncedCount} imported, ${errorCount} errors`);
+
+    return NextResponse.json({
+      success: true,
+      message: `Imported preferences for ${syncedCount} festivals`,
       synced: syncedCount,
       errors: errorCount
     });
-    
+
   } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
     console.error('Error syncing preferences to database:', error);
-    return NextResponse.json({ 
-      success: false, 
+    return NextResponse.json({
+      success: false,
       message: 'Error syncing preferences',
       error: error.message
     }, { status: 500 });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,85 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getOutreachStore, InvalidOutreachError } from '../../../../lib/festivals/outreach-store';
+import { normalizeTemplateInput } from '../../../../lib/festivals/outreach';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * PUT: Replace a template variant. Body: { name, language, subject, body }
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizeTemplateInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const template = await getOutreachStore().saveTemplate(input, id);
+    if (!template) {
+      return NextResponse.json({
+        success: false,
+        message: 'Template not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Template saved',
+      data: template
+    });
+  } catch (error: any) {
+    if (error instanceof InvalidOutreachError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error saving outreach template:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to save template',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE: Remove a template variant. Mails sent with it keep their text.
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    await getOutreachStore().deleteTemplate(id);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error: any) {
+    console.error('Error deleting outreach template:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete template',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,63 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getOutreachStore, InvalidOutreachError } from '../../../lib/festivals/outreach-store';
+import { normalizeTemplateInput } from '../../../lib/festivals/outreach';
+
+/**
+ * Outreach templates, one entry per language variant.
+ * GET /api/outreach-templates
+ */
+export async function GET() {
+  try {
+    const templates = await getOutreachStore().listTemplates();
+    return NextResponse.json({ success: true, data: templates });
+  } catch (error: any) {
+    console.error('Error loading outreach templates:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load outreach templates',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST: Add a template variant. Body: { name, language (nl or en), subject, body };
+ * another language of an existing template uses the same name.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizeTemplateInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const template = await getOutreachStore().saveTemplate(input);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Template added',
+      data: template
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof InvalidOutreachError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error adding outreach template:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to add template',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,131 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSalesPipelineStore, PipelineConflictError } from '../../../../lib/festivals/pipeline-store';
+import { normalizePipelineInput } from '../../../../lib/festivals/pipelines';
+
+interface Params {
+  id: string;
+}
+
+/**
+ * GET: One pipeline with its stages
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const pipeline = await getSalesPipelineStore().getPipeline(id);
+    if (!pipeline) {
+      return NextResponse.json({
+        success: false,
+        message: 'Pipeline not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: pipeline });
+  } catch (error: any) {
+    console.error('Error loading sales pipeline:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load pipeline',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT: Replace a pipeline's definition. Stages left out are removed, which is refused
+ * with a 409 while festivals are in them.
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizePipelineInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const store = getSalesPipelineStore();
+    const existing = await store.getPipeline(id);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Pipeline not found'
+      }, { status: 404 });
+    }
+    if (existing.is_default && !input.is_default) {
+      return NextResponse.json({
+        success: false,
+        message: 'Make another pipeline the default instead'
+      }, { status: 400 });
+    }
+
+    const pipeline = await store.savePipeline(input, id);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Pipeline updated successfully',
+      data: pipeline
+    });
+  } catch (error: any) {
+    if (error instanceof PipelineConflictError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error updating sales pipeline:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update pipeline',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE: Remove a pipeline no festival is in. The default pipeline stays.
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { id } = await params;
+
+  try {
+    await getSalesPipelineStore().deletePipeline(id);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Pipeline deleted'
+    });
+  } catch (error: any) {
+    if (error instanceof PipelineConflictError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error deleting sales pipeline:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete pipeline',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,63 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSalesPipelineStore, PipelineConflictError } from '../../../lib/festivals/pipeline-store';
+import { normalizePipelineInput } from '../../../lib/festivals/pipelines';
+
+/**
+ * Sales pipelines with their stages in order, default pipeline first.
+ * GET /api/pipelines
+ */
+export async function GET() {
+  try {
+    const pipelines = await getSalesPipelineStore().listPipelines();
+    return NextResponse.json({ success: true, data: pipelines });
+  } catch (error: any) {
+    console.error('Error loading sales pipelines:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load sales pipelines',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST: Create a pipeline. Body: name, description, is_default and the stages in
+ * order, each with a label, color and outcome (open, won or lost).
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json();
+
+    let input;
+    try {
+      input = normalizePipelineInput(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const pipeline = await getSalesPipelineStore().savePipeline(input);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Pipeline created successfully',
+      data: pipeline
+    }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof PipelineConflictError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 409 });
+    }
+
+    console.error('Error creating sales pipeline:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to create pipeline',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRateCardReminderDays, getRateCardStore } from '../../../../lib/festivals/rate-card-store';
+
+/**
+ * Rate card requests nobody answered, longest waiting first.
+ * GET /api/rate-cards/overdue?days=14 (defaults to RATE_CARD_REMINDER_DAYS)
+ */
+export async function GET(request: NextRequest) {
+  const daysParam = request.nextUrl.searchParams.get('days');
+  const days = daysParam === null ? getRateCardReminderDays() : Number(daysParam);
+
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return NextResponse.json({
+      success: false,
+      message: 'days must be a whole number from 0 to 365'
+    }, { status: 400 });
+  }
+
+  try {
+    const requests = await getRateCardStore().listOverdueRequests(days);
+    return NextResponse.json({ success: true, data: { days, requests } });
+  } catch (error: any) {
+    console.error('Error loading overdue rate card requests:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load overdue rate card requests',
+      error: error.message
+    }, { status: 500 });
+  }
+}
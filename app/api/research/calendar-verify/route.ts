@@ -10,13 +10,12 @@
 
 import { NextRequest, NextResponse } from 'next/server';
 import { z } from 'zod';
-import { getApifyClient, APIFY_ACTORS } from '../../../../lib/apify/client';
-import { 
-  FESTIVAL_CALENDAR_SOURCES, 
-  type CalendarVerificationResult,
-  type FullVerificationResult,
-  type CalendarSourceKey 
-} from '../../../../lib/apify/calendar-tools';
+import { getApifyClient } from '../../../../lib/apify/client';
+import {
+  verifyCalendarPresence,
+  buildCalendarPresence,
+} from '../../../../lib/apify/calendar-verification';
+import type { CalendarSourceKey } from '../../../../lib/apify/calendar-tools';
 
 // Request schema - updated with extractYear option
 const CalendarVerifyRequestSchema = z.object({
@@ -30,70 +29,6 @@ const CalendarVerifyRequestSchema = z.object({
   updateDatabase: z.boolean().default(false),
 });
 
-// Extended result type with year information
-interface CalendarResultWithYear extends CalendarVerificationResult {
-  editionYear?: number | null;
-  isCurrent?: boolean;
-}
-
-/**
- * Extract edition year from text content
- */
-function extractEditionYear(text: string): number | null {
-  const currentYear = new Date().getFullYear();
-  const nextYear = currentYear + 1;
-  
-  // Look for years in the text (current year, next year, or previous year)
-  const yearPattern = new RegExp(`\\b(${currentYear - 1}|${currentYear}|${nextYear})\\b`, 'g');
-  const matches = text.match(yearPattern);
-  
-  if (!matches) return null;
-  
-  // Parse all found years
-  const years = matches.map(y => parseInt(y, 10));
-  
-  // Prefer current or next year over previous year
-  if (years.includes(nextYear)) return nextYear;
-  if (years.includes(currentYear)) return currentYear;
-  if (years.includes(currentYear - 1)) return currentYear - 1;
-  
-  // Return the highest year found
-  return Math.max(...years);
-}
-
-/**
- * Check if a year is considered "current" (this year or next year)
- */
-function isCurrentEdition(year: number | null): boolean {
-  if (!year) return false;
-  const currentYear = new Date().getFullYear();
-  return year >= currentYear;
-}
-
-/**
- * Extract date information from search result
- */
-function extractDateFromResult(item: any): string | null {
-  const text = `${item.title || ''} ${item.description || ''} ${item.snippet || ''}`;
-  
-  // Look for date patterns
-  const datePatterns = [
-    // "15 juni 2025", "15 juni"
-    /\b(\d{1,2})\s+(januari|februari|maart|april|mei|juni|juli|augustus|september|oktober|november|december)(?:\s+(202[4-6]))?\b/gi,
-    // "15-06-2025", "15/06/2025"
-    /\b(\d{1,2})[-/](\d{1,2})[-/](202[4-6])\b/g,
-  ];
-  
-  for (const pattern of datePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      return match[0];
-    }
-  }
-  
-  return null;
-}
-
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
@@ -115,120 +50,24 @@ export async function POST(request: NextRequest) {
     const { festivalName, extractYear } = validatedInput;
     console.log(`Calendar verification for: ${festivalName} (extractYear: ${extractYear})`);
 
-    // Determine which sources to check
+    // Determine which sources to check (an empty list means all of them)
     const sourcesToCheck = validatedInput.sources.includes('all')
-      ? Object.keys(FESTIVAL_CALENDAR_SOURCES) as CalendarSourceKey[]
+      ? []
       : validatedInput.sources.filter(s => s !== 'all') as CalendarSourceKey[];
 
-    // Check ALL sources in PARALLEL for speed (7x faster!)
-    const searchPromises = sourcesToCheck.map(async (sourceKey) => {
-      const source = FESTIVAL_CALENDAR_SOURCES[sourceKey];
-      
-      try {
-        console.log(`Checking ${source.name}...`);
-        
-        // Use site-restricted Google search
-        const hostname = new URL(source.url).hostname;
-        const searchQuery = `site:${hostname} "${festivalName}"`;
-        
-        const { items } = await client.runActor(
-          APIFY_ACTORS.GOOGLE_SEARCH_SCRAPER,
-          {
-            queries: searchQuery,
-            maxPagesPerQuery: 1,
-            resultsPerPage: 3,
-          },
-          { waitForFinish: 25 }
-        );
-
-        const found = (items as any[]).length > 0;
-        const firstResult = (items as any[])[0];
-        
-        // Extract year from the search result
-        let editionYear: number | null = null;
-        let dateFound: string | null = null;
-        
-        if (found && firstResult && extractYear) {
-          const combinedText = `${firstResult.title || ''} ${firstResult.description || ''} ${firstResult.snippet || ''}`;
-          editionYear = extractEditionYear(combinedText);
-          dateFound = extractDateFromResult(firstResult);
-        }
-
-        const result: CalendarResultWithYear = {
-          source: source.name,
-          sourceUrl: source.url,
-          found,
-          festivalUrl: found ? (firstResult?.url || firstResult?.link) : undefined,
-          listingDetails: found ? {
-            name: firstResult?.title,
-            date: dateFound || undefined,
-          } : undefined,
-          editionYear,
-          isCurrent: isCurrentEdition(editionYear),
-          checkedAt: new Date().toISOString(),
-        };
-        
-        return result;
-        
-      } catch (error: any) {
-        console.error(`Error checking ${source.name}:`, error);
-        return {
-          source: source.name,
-          sourceUrl: source.url,
-          found: false,
-          checkedAt: new Date().toISOString(),
-          error: error.message,
-        } as CalendarResultWithYear;
-      }
+    const fullResult = await verifyCalendarPresence(festivalName, {
+      sources: sourcesToCheck,
+      extractYear,
     });
-
-    const results = await Promise.all(searchPromises);
-
-    // Calculate summary with year information
-    const foundCount = results.filter(r => r.found).length;
-    const currentListings = results.filter(r => r.found && r.isCurrent).length;
-    const errorCount = results.filter(r => r.error).length;
-    
-    // Determine if festival is actively listed (found on current year calendars)
-    const isActiveOnCalendars = currentListings > 0 || foundCount >= 2;
-
-    const fullResult: FullVerificationResult & { 
-      summary: FullVerificationResult['summary'] & { 
-        currentListings: number;
-        isActiveOnCalendars: boolean;
-      } 
-    } = {
-      festivalName,
-      verifiedAt: new Date().toISOString(),
-      sources: results,
-      summary: {
-        totalSources: results.length,
-        foundOn: foundCount,
-        notFoundOn: results.length - foundCount - errorCount,
-        errors: errorCount,
-        currentListings,
-        isActiveOnCalendars,
-      },
-      isActive: foundCount > 0,
-    };
+    const results = fullResult.sources;
+    const { foundOn: foundCount, currentListings } = fullResult.summary;
 
     // Optionally update the database
     if (validatedInput.updateDatabase && validatedInput.festivalId) {
       try {
         const { supabase } = await import('../../../../lib/supabase-client');
         
-        // Build calendar_presence object
-        const calendarPresence: Record<string, any> = {};
-        for (const result of results) {
-          const key = result.source.toLowerCase().replace(/[^a-z]/g, '');
-          calendarPresence[key] = {
-            found: result.found,
-            url: result.festivalUrl,
-            editionYear: result.editionYear,
-            isCurrent: result.isCurrent,
-            lastChecked: result.checkedAt,
-          };
-        }
+        const calendarPresence = buildCalendarPresence(results);
 
         await supabase
           .from('festivals')
@@ -9,9 +9,10 @@
 
 import { NextRequest, NextResponse } from 'next/server';
 import { ResearchOrchestrator, ResearchQuerySchema } from '../../../../lib/orchestrator';
+import { isFixtureReplay } from '../../../../lib/research/provider-fixtures';
 
-// Check for API key at startup
-const hasApiKey = !!process.env.ANTHROPIC_API_KEY;
+// Check for API key at startup; replayed fixtures don't need one
+const hasApiKey = !!process.env.ANTHROPIC_API_KEY || isFixtureReplay();
 
 export async function POST(request: NextRequest) {
   // Verify API key is configured
@@ -3,12 +3,21 @@
  * 
  * Uses the self-healing orchestrator for comprehensive festival research
  * with automatic retries, AI validation, and confidence scoring.
+ * Progress is streamed as Server-Sent Events: phase changes, findings,
+ * warnings and errors are forwarded live, followed by a final `complete` event.
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { z } from 'zod';
-import { supabase } from '../../../../lib/supabase-client';
-import { createOrchestrator, ResearchPhase } from '../../../../lib/research';
+import {
+  createOrchestrator,
+  ResearchPhase,
+  saveResearchResult,
+  getUsageLedger,
+  runWithUsageContext,
+  getResilientApifyClient,
+} from '../../../../lib/research';
+import { getFixtureMode } from '../../../../lib/research/provider-fixtures';
 
 // Input validation schema
 const ResearchRequestSchema = z.object({
@@ -19,16 +28,27 @@ const ResearchRequestSchema = z.object({
     maxRetries: z.number().min(1).max(5).optional(),
     enableAIValidation: z.boolean().optional(),
     parallelExecution: z.boolean().optional(),
+    // Turn research phases on or off for this request (see GET for phase ids)
+    enabledPhases: z.array(z.string()).optional(),
+    disabledPhases: z.array(z.string()).optional(),
   }).optional(),
+  // Continue an interrupted run from its last checkpoint instead of starting over
+  resume: z.boolean().optional(),
 });
 
 // Supabase client is imported from centralized client with fallback defaults
 
+// Research runs can take several minutes
+export const maxDuration = 300;
+
+// Keep proxies from closing an idle stream while a slow phase runs
+const HEARTBEAT_INTERVAL_MS = 15000;
+
 export async function POST(request: NextRequest) {
   const encoder = new TextEncoder();
   
-  // Check for Apify configuration
-  if (!process.env.APIFY_API_TOKEN) {
+  // Check for Apify configuration (or fixture replay)
+  if (!getResilientApifyClient().isConfigured()) {
     return NextResponse.json(
       { 
         success: false, 
@@ -46,6 +66,22 @@ export async function POST(request: NextRequest) {
     const body = await request.json();
     const input = ResearchRequestSchema.parse(body);
 
+    // Streaming results only exist for orchestrated research, so an exceeded budget
+    // blocks here even when it allows downgrading queued research
+    const decision = await getUsageLedger().resolveResearchProvider('orchestrated');
+    if (decision.provider !== 'orchestrated') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Research budget exceeded',
+          message: decision.downgradedFrom
+            ? `${decision.reason}. Queue research with ${decision.provider} instead.`
+            : decision.reason,
+        },
+        { status: 402 }
+      );
+    }
+
     // Create orchestrator with options
     const orchestrator = createOrchestrator({
       maxRetries: input.options?.maxRetries ?? 3,
@@ -53,126 +89,140 @@ export async function POST(request: NextRequest) {
       parallelExecution: input.options?.parallelExecution ?? true,
       fallbackToBasicSearch: true,
       minConfidenceToPass: 0.3,
+      enabledPhases: input.options?.enabledPhases,
+      disabledPhases: input.options?.disabledPhases,
     });
 
     // For streaming progress updates, create a readable stream
     const stream = new ReadableStream({
       async start(controller) {
-        // Set up progress callback
-        orchestrator.onProgress((state) => {
-          const progressEvent = {
-            type: 'progress',
-            phase: state.phase,
-            confidence: state.overallConfidence,
-            data: {
-              company: state.organizingCompany,
-              linkedin: state.linkedInResults ? {
-                count: state.linkedInResults.people.length,
-                confidence: state.linkedInResults.confidence,
-              } : null,
-              news: state.newsResults ? {
-                count: state.newsResults.articles.length,
-                confidence: state.newsResults.confidence,
-              } : null,
-              calendar: state.calendarResults ? {
-                found: state.calendarResults.sources.filter(s => s.found).length,
-                total: state.calendarResults.sources.length,
-                confidence: state.calendarResults.confidence,
-              } : null,
-            },
-            warnings: state.warnings.length,
-            errors: state.errors.length,
-          };
+        let closed = false;
+        const send = (event: Record<string, any>) => {
+          if (closed) return;
+          try {
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+          } catch {
+            // Client disconnected - keep researching so results are still saved
+            closed = true;
+          }
+        };
 
-          controller.enqueue(
-            encoder.encode(`data: ${JSON.stringify(progressEvent)}\n\n`)
-          );
-        });
+        const heartbeat = setInterval(() => {
+          if (closed) return;
+          try {
+            controller.enqueue(encoder.encode(': keep-alive\n\n'));
+          } catch {
+            closed = true;
+          }
+        }, HEARTBEAT_INTERVAL_MS);
 
-        // Run the research
-        const result = await orchestrator.runResearch(
-          input.festivalId,
-          input.festivalName,
-          input.festivalUrl || undefined
-        );
+        request.signal.addEventListener('abort', () => {
+          closed = true;
+        });
 
-        // Save results to Supabase using the centralized client
-        let savedToDatabase = false;
         try {
-          
-          const updatePayload: Record<string, any> = {
-            research_data: {
-              company: result.organizingCompany,
-              linkedin: result.linkedInResults,
-              news: result.newsResults,
-              calendar: result.calendarResults,
-              confidence: {
-                overall: result.overallConfidence,
-                level: result.confidenceLevel,
+          // Forward phase changes, findings, warnings and errors as they happen
+          orchestrator.onEvent(send);
+
+          // Set up progress callback
+          orchestrator.onProgress((state) => {
+            const progressEvent = {
+              type: 'progress',
+              phase: state.phase,
+              confidence: state.overallConfidence,
+              data: {
+                company: state.organizingCompany,
+                linkedin: state.linkedInResults ? {
+                  count: state.linkedInResults.people.length,
+                  confidence: state.linkedInResults.confidence,
+                } : null,
+                news: state.newsResults ? {
+                  count: state.newsResults.articles.length,
+                  confidence: state.newsResults.confidence,
+                } : null,
+                calendar: state.calendarResults ? {
+                  found: state.calendarResults.sources.filter(s => s.found).length,
+                  total: state.calendarResults.sources.length,
+                  confidence: state.calendarResults.confidence,
+                } : null,
               },
-              meta: {
+              runningPhases: state.runningPhases,
+              warnings: state.warnings.length,
+              errors: state.errors.length,
+            };
+
+            send(progressEvent);
+          });
+
+          // API usage of this run is recorded against the festival
+          const usageContext = { festivalId: input.festivalId, runId: crypto.randomUUID() };
+          const { result, resumed, savedToDatabase } = await runWithUsageContext(usageContext, async () => {
+            // Continue an interrupted run if one was checkpointed, otherwise start fresh
+            const resumedResult = input.resume !== false
+              ? await orchestrator.resume(input.festivalId)
+              : null;
+
+            if (resumedResult) {
+              console.log('[Orchestrator] Resumed interrupted research for festival:', input.festivalId);
+            }
+
+            const result = resumedResult ?? await orchestrator.runResearch(
+              input.festivalId,
+              input.festivalName,
+              input.festivalUrl || undefined
+            );
+
+            // Save results to Supabase using the centralized client
+            const savedToDatabase = await saveResearchResult(input.festivalId, result);
+            return { result, resumed: !!resumedResult, savedToDatabase };
+          });
+
+          // Send final result
+          const finalEvent = {
+            type: 'complete',
+            success: result.phase === ResearchPhase.COMPLETED,
+            savedToDatabase,
+            resumed,
+            result: {
+              phase: result.phase,
+              festivalId: result.festivalId,
+              discoveredHomepage: result.discoveredHomepage,
+              organizingCompany: result.organizingCompany,
+              companyLinkedIn: result.companyLinkedIn,
+              linkedInConnections: result.linkedInConnections,
+              linkedInResults: result.linkedInResults,
+              newsResults: result.newsResults,
+              calendarResults: result.calendarResults,
+              overallConfidence: result.overallConfidence,
+              confidenceLevel: result.confidenceLevel,
+              qualityScore: result.qualityScore,
+              attempts: result.attempts,
+              retryHistory: result.retryHistory,
+              errors: result.errors,
+              warnings: result.warnings,
+              duration: {
                 startedAt: result.startedAt,
                 completedAt: result.lastUpdatedAt,
-                phase: result.phase,
-                attempts: result.attempts,
-                errors: result.errors,
-                warnings: result.warnings,
               },
             },
-            last_verified: new Date().toISOString(),
           };
 
-          // Update additional fields if discovered
-          if (result.discoveredHomepage) {
-            updatePayload.homepage_url = result.discoveredHomepage;
+          send(finalEvent);
+        } catch (error: any) {
+          // Tell the client instead of leaving the stream hanging
+          console.error('[Orchestrator] Research stream failed:', error);
+          send({
+            type: 'error',
+            message: error?.message || 'Research failed',
+            timestamp: new Date().toISOString(),
+          });
+        } finally {
+          clearInterval(heartbeat);
+          if (!closed) {
+            closed = true;
+            controller.close();
           }
-          if (result.organizingCompany?.name) {
-            updatePayload.organizing_company = result.organizingCompany.name;
-          }
-
-          const { error } = await supabase
-            .from('festivals')
-            .update(updatePayload)
-            .eq('id', input.festivalId);
-
-          if (!error) {
-            savedToDatabase = true;
-            console.log('[Orchestrator] Research saved to database for festival:', input.festivalId);
-          } else {
-            console.error('[Orchestrator] Failed to save research to database:', error);
-          }
-        } catch (dbError: any) {
-          console.error('[Orchestrator] Database save error:', dbError.message);
         }
-
-        // Send final result
-        const finalEvent = {
-          type: 'complete',
-          success: result.phase === ResearchPhase.COMPLETED,
-          savedToDatabase,
-          result: {
-            phase: result.phase,
-            festivalId: result.festivalId,
-            discoveredHomepage: result.discoveredHomepage,
-            organizingCompany: result.organizingCompany,
-            linkedInResults: result.linkedInResults,
-            newsResults: result.newsResults,
-            calendarResults: result.calendarResults,
-            overallConfidence: result.overallConfidence,
-            confidenceLevel: result.confidenceLevel,
-            errors: result.errors,
-            warnings: result.warnings,
-            duration: {
-              startedAt: result.startedAt,
-              completedAt: result.lastUpdatedAt,
-            },
-          },
-        };
-
-        controller.enqueue(
-          encoder.encode(`data: ${JSON.stringify(finalEvent)}\n\n`)
-        );
-        controller.close();
       },
     });
 
@@ -219,16 +269,22 @@ export async function GET(request: NextRequest) {
             maxRetries: 'number (1-5, default: 3)',
             enableAIValidation: 'boolean (default: true)',
             parallelExecution: 'boolean (default: true)',
+            enabledPhases: 'string[] (optional) - opt-in phase ids to run',
+            disabledPhases: 'string[] (optional) - phase ids to skip',
           },
+          resume: 'boolean (default: true) - continue an interrupted run from its last checkpoint',
         },
-        response: 'Server-Sent Events stream with progress updates',
+        response: 'Server-Sent Events stream: phase_start, phase_complete, phase_skipped, finding, warning, error, retry and progress events, then complete',
       },
     },
+    phases: createOrchestrator().getPhases(),
     features: [
       'Self-healing with automatic retries',
       'Circuit breaker for Apify failures',
       'AI validation of results (requires ANTHROPIC_API_KEY)',
       'Confidence scoring',
+      'Phase checkpoints with resume after timeouts',
+      'Pluggable phases run in parallel along their dependency graph',
       'Automatic database persistence',
       'Graceful degradation when services unavailable',
     ],
@@ -236,6 +292,7 @@ export async function GET(request: NextRequest) {
       apifyConfigured: !!process.env.APIFY_API_TOKEN,
       anthropicConfigured: !!process.env.ANTHROPIC_API_KEY,
       supabaseConfigured: !!process.env.NEXT_PUBLIC_SUPABASE_URL,
+      fixtureMode: getFixtureMode(),
     },
   });
 }
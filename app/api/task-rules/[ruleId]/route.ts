@@ -0,0 +1,53 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getTaskStore } from '../../../../lib/festivals/task-store';
+import { normalizeTaskRuleUpdate } from '../../../../lib/festivals/tasks';
+
+interface Params {
+  ruleId: string;
+}
+
+/**
+ * PATCH: Change a task rule. Body: any of { enabled, days, task_type, title };
+ * tasks it already created stay as they are.
+ */
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { ruleId } = await params;
+
+  try {
+    const body = await request.json();
+
+    let update;
+    try {
+      update = normalizeTaskRuleUpdate(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const rule = await getTaskStore().updateRule(ruleId, update);
+    if (!rule) {
+      return NextResponse.json({
+        success: false,
+        message: 'Task rule not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Rule "${rule.name}" ${update.enabled === false ? 'turned off' : 'saved'}`,
+      data: rule
+    });
+  } catch (error: any) {
+    console.error('Error updating task rule:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update task rule',
+      error: error.message
+    }, { status: 500 });
+  }
+}
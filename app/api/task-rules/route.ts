@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { getTaskStore } from '../../../lib/festivals/task-store';
+
+/**
+ * The rules that create tasks automatically.
+ * GET /api/task-rules
+ */
+export async function GET() {
+  try {
+    const rules = await getTaskStore().listRules();
+    return NextResponse.json({ success: true, data: rules });
+  } catch (error: any) {
+    console.error('Error loading task rules:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load task rules',
+      error: error.message
+    }, { status: 500 });
+  }
+}
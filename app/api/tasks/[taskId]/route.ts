@@ -0,0 +1,84 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getTaskStore } from '../../../../lib/festivals/task-store';
+import { normalizeTaskUpdate } from '../../../../lib/festivals/tasks';
+
+interface Params {
+  taskId: string;
+}
+
+const notFound = () => NextResponse.json({
+  success: false,
+  message: 'Task not found'
+}, { status: 404 });
+
+/**
+ * PATCH: Change a task. Body: any of { title, task_type, due_date, assignee_id, notes,
+ * status }; status "done" or "dismissed" closes it, "open" reopens it.
+ */
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { taskId } = await params;
+
+  try {
+    const body = await request.json();
+
+    let update;
+    try {
+      update = normalizeTaskUpdate(body);
+    } catch (validationError: any) {
+      return NextResponse.json({
+        success: false,
+        message: validationError.message
+      }, { status: 400 });
+    }
+
+    const store = getTaskStore();
+    if (!(await store.getTask(taskId))) return notFound();
+
+    const task = await store.updateTask(taskId, update);
+
+    return NextResponse.json({
+      success: true,
+      message: update.status === 'done' ? 'Task done' : 'Task updated',
+      data: task
+    });
+  } catch (error: any) {
+    console.error('Error updating task:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update task',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE: Delete a task
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<Params> }
+) {
+  const { taskId } = await params;
+
+  try {
+    const store = getTaskStore();
+    if (!(await store.getTask(taskId))) return notFound();
+
+    await store.deleteTask(taskId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Task deleted'
+    });
+  } catch (error: any) {
+    console.error('Error deleting task:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete task',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { getTaskStore } from '../../../../lib/festivals/task-store';
+
+/**
+ * Festivals with open tasks past their due date, for the overdue badges.
+ * GET /api/tasks/overdue
+ */
+export async function GET() {
+  try {
+    const overdue = await getTaskStore().listOverdue();
+    return NextResponse.json({ success: true, data: overdue });
+  } catch (error: any) {
+    console.error('Error loading overdue tasks:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load overdue tasks',
+      error: error.message
+    }, { status: 500 });
+  }
+}
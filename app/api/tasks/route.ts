@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../lib/auth';
+import { getTaskStore } from '../../../lib/festivals/task-store';
+
+/**
+ * The signed-in user's tasks, soonest due first.
+ * GET /api/tasks (open tasks) or /api/tasks?closed=true (done and dismissed ones too)
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const user = await getRequestUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, message: 'Sign in to see your tasks' }, { status: 401 });
+    }
+
+    const includeClosed = request.nextUrl.searchParams.get('closed') === 'true';
+    const tasks = await getTaskStore().listForAssignee(user.id, includeClosed);
+
+    return NextResponse.json({ success: true, data: tasks });
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading tasks:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to load tasks',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,80 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getRequestUser, InvalidSessionError } from '../../../lib/auth';
+import { getFestivalPreferenceStore } from '../../../lib/festivals/preference-store';
+
+/**
+ * The signed-in user's team, its members and who owns which lead.
+ * GET /api/team
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const user = await getRequestUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, message: 'Sign in to see your team' }, { status: 401 });
+    }
+
+    const store = getFestivalPreferenceStore();
+    await store.registerUser(user);
+    const overview = await store.getTeamOverview(user.id);
+
+    return NextResponse.json({ success: true, data: { ...overview, userId: user.id } });
+
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error loading team overview:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error loading team overview',
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Join a team by name (created if new); an empty name leaves the current team.
+ * POST /api/team with body { name }
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const user = await getRequestUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, message: 'Sign in to join a team' }, { status: 401 });
+    }
+
+    const { name } = await request.json();
+
+    if (typeof name !== 'string') {
+      return NextResponse.json({
+        success: false,
+        message: 'Invalid input. "name" must be a string.'
+      }, { status: 400 });
+    }
+
+    const team = await getFestivalPreferenceStore().setTeam(user, name);
+
+    return NextResponse.json({
+      success: true,
+      message: team ? `Joined team "${team.name}"` : 'Left team',
+      data: team
+    });
+
+  } catch (error: any) {
+    if (error instanceof InvalidSessionError) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: 401 });
+    }
+    console.error('Error updating team:', error);
+    return NextResponse.json({
+      success: false,
+      message: 'Error updating team',
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,233 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { Building2, RefreshCw, Loader2, Star, Linkedin, Mail, ArrowLeft } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { useFestival } from '../../contexts/FestivalContext';
+import { formatDateRange } from '../../../utils/dateUtils';
+import type { CompanyPortfolio } from '../../../lib/festivals/companies';
+import { CONTACT_ROLE_LABELS, VERIFICATION_STATUS_LABELS, contactDisplayName } from '../../../lib/festivals/contacts';
+import { buildStageIndex, stageBadgeStyle, stageLabel, stageRank } from '../../../lib/festivals/pipelines';
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const CompanyPage: React.FC = () => {
+  const params = useParams<{ id: string }>();
+  const id = params?.id;
+  const { session } = useAuth();
+  const { showError } = useNotification();
+  const { pipelines } = useFestival();
+  const stageIndex = useMemo(() => buildStageIndex(pipelines), [pipelines]);
+  const badgeStyle = (stage: string) => stageBadgeStyle(stageIndex.get(stage)?.color);
+  const [portfolio, setPortfolio] = useState<CompanyPortfolio | null>(null);
+  const [notFound, setNotFound] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const accessToken = session?.access_token;
+
+  const loadPortfolio = useCallback(async () => {
+    if (!id) return;
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/companies/${id}`, {
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : undefined,
+      });
+      const data = await response.json();
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load company');
+      }
+      setPortfolio(data.data);
+    } catch (error) {
+      console.error('Error loading company portfolio:', error);
+      showError(`Failed to load company: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id, accessToken, showError]);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio]);
+
+  if (!id || notFound) {
+    return (
+      <div className="p-6 max-w-5xl mx-auto">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Company not found</h1>
+        <Link href="/companies" className="text-blue-600 hover:underline">Back to companies</Link>
+      </div>
+    );
+  }
+
+  const festivalNames = new Map((portfolio?.festivals || []).map(festival => [festival.id, festival.name]));
+  const salesStatus = portfolio?.salesStatus;
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <Link href="/companies" className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="w-4 h-4" />
+        Companies
+      </Link>
+
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Building2 className="w-6 h-6" />
+            {portfolio?.company.name || 'Company'}
+          </h1>
+          <p className="text-gray-600 mt-1">
+            {portfolio?.company.kvk_number ? `KvK ${portfolio.company.kvk_number} · ` : ''}
+            {portfolio ? `${portfolio.festivals.length} festival${portfolio.festivals.length === 1 ? '' : 's'}` : 'Loading...'}
+          </p>
+        </div>
+        <button
+          onClick={loadPortfolio}
+          disabled={isLoading}
+          className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          Refresh
+        </button>
+      </div>
+
+      {salesStatus && portfolio && portfolio.festivals.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <span className="text-sm font-medium text-gray-700">Relationship</span>
+            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium" style={badgeStyle(salesStatus.stage)}>
+              {stageLabel(stageIndex, salesStatus.stage)}
+            </span>
+            <span className="text-sm text-gray-500">
+              {salesStatus.inPipeline} of {portfolio.festivals.length} festivals in the pipeline
+            </span>
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {Object.keys(salesStatus.counts)
+              .sort((a, b) => stageRank(stageIndex.get(a)) - stageRank(stageIndex.get(b)))
+              .map(stage => (
+                <span key={stage} className="px-2 py-1 rounded text-xs" style={badgeStyle(stage)}>
+                  {stageLabel(stageIndex, stage)}: {salesStatus.counts[stage]}
+                </span>
+              ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <h2 className="px-4 py-3 text-sm font-semibold text-gray-900 border-b border-gray-100">Festivals</h2>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Festival</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Stage</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Owners</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {(portfolio?.festivals || []).map(festival => (
+              <tr key={festival.id}>
+                <td className="px-4 py-3 text-sm">
+                  <Link
+                    href={`/festivals?search=${encodeURIComponent(festival.name)}`}
+                    className="font-medium text-blue-600 hover:underline"
+                  >
+                    {festival.name}
+                  </Link>
+                  <div className="text-gray-500">{festival.location || '—'}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                  {formatDateRange(festival.start_date, festival.end_date) || '—'}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium" style={badgeStyle(festival.sales_stage)}>
+                    {stageLabel(stageIndex, festival.sales_stage)}
+                  </span>
+                  {festival.my_sales_stage && festival.my_sales_stage !== festival.sales_stage && (
+                    <div className="text-xs text-gray-500 mt-1">You: {stageLabel(stageIndex, festival.my_sales_stage)}</div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <div className="flex flex-wrap gap-1">
+                    {festival.owners.map(owner => (
+                      <span
+                        key={owner.user_id}
+                        className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium"
+                        style={badgeStyle(owner.sales_stage)}
+                        title={`Updated ${formatDate(owner.updated_at)}`}
+                      >
+                        {owner.favorite && <Star size={10} className="mr-1" />}
+                        {owner.name} · {stageLabel(stageIndex, owner.sales_stage)}
+                      </span>
+                    ))}
+                    {festival.owners.length === 0 && <span className="text-gray-400">—</span>}
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {portfolio && portfolio.festivals.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-8 text-center text-sm text-gray-500">No festivals</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg">
+        <h2 className="px-4 py-3 text-sm font-semibold text-gray-900 border-b border-gray-100">Contacts</h2>
+        <ul className="divide-y divide-gray-100">
+          {(portfolio?.contacts || []).map(contact => (
+            <li key={contact.id} className="px-4 py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900">
+                  {contactDisplayName(contact)}
+                  {contact.title && <span className="font-normal text-gray-500"> · {contact.title}</span>}
+                </div>
+                <div className="text-xs text-gray-500 mt-0.5">
+                  {[
+                    contact.role !== 'unknown' ? CONTACT_ROLE_LABELS[contact.role] : null,
+                    VERIFICATION_STATUS_LABELS[contact.verification_status],
+                    contact.last_contacted_at ? `contacted ${formatDate(contact.last_contacted_at)}` : null,
+                  ].filter(Boolean).join(' · ')}
+                </div>
+                <div className="text-xs text-gray-500 mt-0.5 truncate">
+                  {contact.festival_ids.map(festivalId => festivalNames.get(festivalId)).filter(Boolean).join(', ')}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                {contact.email && (
+                  <a href={`mailto:${contact.email}`} className="text-gray-400 hover:text-blue-600" title={contact.email}>
+                    <Mail className="w-4 h-4" />
+                  </a>
+                )}
+                {contact.linkedin_url && (
+                  <a
+                    href={contact.linkedin_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-gray-400 hover:text-[#0A66C2]"
+                    title="LinkedIn profile"
+                  >
+                    <Linkedin className="w-4 h-4" />
+                  </a>
+                )}
+              </div>
+            </li>
+          ))}
+          {portfolio && portfolio.contacts.length === 0 && (
+            <li className="px-4 py-8 text-center text-sm text-gray-500">No contacts at these festivals yet</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CompanyPage;
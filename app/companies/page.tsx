@@ -0,0 +1,120 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, Suspense } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { Building2, Search, Loader2 } from 'lucide-react';
+import { useNotification } from '../contexts/NotificationContext';
+import type { CompanySummary } from '../../lib/festivals/companies';
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const CompaniesContent: React.FC = () => {
+  const searchParams = useSearchParams();
+  const { showError } = useNotification();
+  const [companies, setCompanies] = useState<CompanySummary[]>([]);
+  const [search, setSearch] = useState(searchParams?.get('search') || '');
+  const [debouncedSearch, setDebouncedSearch] = useState(search);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadCompanies = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = debouncedSearch ? `?search=${encodeURIComponent(debouncedSearch)}` : '';
+      const response = await fetch(`/api/companies${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load companies');
+      }
+      setCompanies(data.data || []);
+    } catch (error) {
+      console.error('Error loading companies:', error);
+      showError(`Failed to load companies: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [debouncedSearch, showError]);
+
+  useEffect(() => {
+    loadCompanies();
+  }, [loadCompanies]);
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <Building2 className="w-6 h-6" />
+          Companies
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Festival organizers and how many festivals each of them runs
+        </p>
+      </div>
+
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search organizers..."
+          className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">KvK</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Festivals</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Next festival</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {companies.map(company => (
+              <tr key={company.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3 text-sm">
+                  <Link href={`/companies/${company.id}`} className="font-medium text-blue-600 hover:underline">
+                    {company.name}
+                  </Link>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600">{company.kvk_number || '—'}</td>
+                <td className="px-4 py-3 text-sm text-gray-900 text-right">{company.festival_count}</td>
+                <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{formatDate(company.next_start_date)}</td>
+              </tr>
+            ))}
+            {companies.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-8 text-center text-sm text-gray-500">
+                  {isLoading ? (
+                    <Loader2 className="w-5 h-5 animate-spin inline-block" />
+                  ) : debouncedSearch ? (
+                    `No organizers match "${debouncedSearch}"`
+                  ) : (
+                    'No organizers yet. Research a festival to discover its organizer.'
+                  )}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Reading the search parameter needs a Suspense boundary
+const CompaniesPage: React.FC = () => (
+  <Suspense fallback={null}>
+    <CompaniesContent />
+  </Suspense>
+);
+
+export default CompaniesPage;
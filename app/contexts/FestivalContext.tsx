@@ -3,7 +3,18 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode, useRef } from 'react';
 import { useStorage } from './StorageContext';
 import { useNotification } from './NotificationContext';
+import { useAuth } from './AuthContext';
 import { FestivalWithRateCard, RateCardUpdatePayload } from '../../lib/types/rate-card';
+import { supabase } from '../../lib/supabase';
+import {
+  PreferenceWriteQueue,
+  samePreferenceValue,
+  type PreferenceField,
+  type PreferenceFlushResult,
+} from '../../lib/festivals/preference-queue';
+import { toSearchParams, type FestivalPageInfo, type FestivalQuery } from '../../lib/festivals/festival-query';
+import { normalizeEmail, type ContactRole, type FestivalContact } from '../../lib/festivals/contacts';
+import { ENTRY_STAGE, type SalesPipeline } from '../../lib/festivals/pipelines';
 
 // Define types
 interface Festival {
@@ -27,11 +38,20 @@ interface Festival {
   organizing_company?: string;
   homepage_url?: string;
   last_verified?: string;
+  verification_flags?: string[];
+  // Festival series this edition belongs to
+  series_id?: string | null;
+  edition_year?: number | null;
   // Add user preference fields that now come from database
   favorite?: boolean;
   archived?: boolean;
   notes?: string;
   sales_stage?: string;
+  pipeline_id?: string;
+  lost_reason?: string | null;
+  // Latest research, as returned by the festivals API
+  research_id?: string | null;
+  research_status?: string;
 }
 
 interface ResearchStatus {
@@ -51,6 +71,14 @@ interface FestivalWithPreferences extends Festival {
   research?: ResearchStatus | null;
 }
 
+export interface FestivalQueryPage {
+  // Festivals of the page in order; render them from `festivals` by these ids so later
+  // edits show up
+  ids: string[];
+  festivals: FestivalWithPreferences[];
+  pageInfo: FestivalPageInfo;
+}
+
 interface FestivalContextType {
   festivals: FestivalWithPreferences[];
   loading: boolean;
@@ -60,15 +88,19 @@ interface FestivalContextType {
     percentage: number;
     isChunkedLoading: boolean;
   } | null;
+  // Whether `festivals` holds every festival rather than only the pages queried so far
+  allLoaded: boolean;
   fetchFestivals: (forceRefresh?: boolean) => Promise<void>;
+  queryFestivals: (query: FestivalQuery) => Promise<FestivalQueryPage>;
   updateFestival: (festivalId: string, updates: Partial<FestivalWithPreferences>) => void;
   toggleFavorite: (festivalId: string, isFavorite: boolean) => void;
   toggleArchived: (festivalId: string, isArchived: boolean) => void;
   updateNotes: (festivalId: string, notes: string) => void;
   updateDates: (festivalId: string, startDate: string, endDate: string) => void;
-  updateSalesStage: (festivalId: string, salesStage: string) => void;
+  updateSalesStage: (festivalId: string, salesStage: string, options?: SalesStageOptions) => void;
   updateRateCard: (festivalId: string, updates: RateCardUpdatePayload) => Promise<boolean>;
-  updateEmails: (festivalId: string, email: string) => Promise<void>;
+  updateEmails: (festivalId: string, email: string, details?: { name?: string; role?: ContactRole }) => Promise<void>;
+  removeContact: (festivalId: string, contact: FestivalContact) => Promise<void>;
   updateLinkedIn: (festivalId: string, linkedinUrl: string) => Promise<void>;
   initiateResearch: (festivalId: string, aiService?: string) => Promise<ResearchStatus>;
   getResearchStatus: (festivalId: string) => ResearchStatus | null;
@@ -77,15 +109,40 @@ interface FestivalContextType {
   clearAllResearchData: () => Promise<void>;
   fetchFestivalsWithResearch: () => Promise<void>;
   researchStatus: { [festivalId: string]: ResearchStatus };
+  // Sales pipelines with their stages, default pipeline first
+  pipelines: SalesPipeline[];
+  fetchPipelines: () => Promise<void>;
 }
 
-// LocalStorage keys
+export interface SalesStageOptions {
+  // Move into another pipeline; defaults to the festival's current one
+  pipelineId?: string;
+  // Required for a lost stage
+  lostReason?: string | null;
+}
+
+// LocalStorage keys of the old browser-side mirror, only read once to import into the database
 const FAVORITES_STORAGE_KEY = 'festifind-favorites';
 const ARCHIVED_STORAGE_KEY = 'festifind-archived';
 const NOTES_STORAGE_KEY = 'festifind-notes';
 const SALES_STAGE_STORAGE_KEY = 'festifind-sales-stages';
 const RATE_CARD_STORAGE_KEY = 'festifind-rate-cards';
 const RESEARCH_STATUS_KEY = 'festifind-research-status';
+const LEGACY_SYNC_KEY = 'festifind-preferences-synced';
+const LEGACY_IMPORTED_KEY = 'festifind-local-data-imported';
+
+// Preference fields that belong to the signed-in user rather than the festival
+const PREFERENCE_FIELDS: PreferenceField[] = ['favorite', 'archived', 'notes', 'sales_stage'];
+
+// Sent and kept together with sales_stage
+const STAGE_PLACEMENT_FIELDS = ['pipeline_id', 'lost_reason'] as const;
+
+const PREFERENCE_LABELS: Record<PreferenceField, string> = {
+  favorite: 'Favorite status',
+  archived: 'Archive status',
+  notes: 'Notes',
+  sales_stage: 'Sales stage',
+};
 
 // Create context
 const FestivalContext = createContext<FestivalContextType | undefined>(undefined);
@@ -94,7 +151,9 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
   const [festivals, setFestivals] = useState<FestivalWithPreferences[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
   const [initialized, setInitialized] = useState<boolean>(false);
+  const [allLoaded, setAllLoaded] = useState<boolean>(false);
   const [researchStatus, setResearchStatus] = useState<{[key: string]: ResearchStatus}>({});
+  const [pipelines, setPipelines] = useState<SalesPipeline[]>([]);
   const [loadingProgress, setLoadingProgress] = useState<{
     loaded: number;
     total: number;
@@ -110,35 +169,63 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
   
   const storage = useStorage();
   const { showSuccess, showError, showInfo } = useNotification();
+  const { user, session, loading: authLoading } = useAuth();
 
-  // Load research status from localStorage
-  const loadResearchStatus = () => {
-    try {
-      const savedResearch = storage.getItem(RESEARCH_STATUS_KEY);
-      if (savedResearch) {
-        const parsedResearch = JSON.parse(savedResearch);
-        setResearchStatus(parsedResearch);
-        return parsedResearch;
-      }
-    } catch (error) {
-      console.error('Error loading research status:', error);
+  // Favorite, archived, notes and sales stage are per user; the routes identify the
+  // user by the session token. Refs so async loaders always see the current session.
+  const accessTokenRef = useRef<string | null>(null);
+  accessTokenRef.current = session?.access_token ?? null;
+  const loadedForUserRef = useRef<string | null | undefined>(undefined);
+
+  const preferenceHeaders = (): HeadersInit => {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (accessTokenRef.current) {
+      headers.Authorization = `Bearer ${accessTokenRef.current}`;
     }
-    return {};
+    return headers;
   };
 
-  // Save research status to localStorage
-  const saveResearchStatus = (newStatus: {[key: string]: ResearchStatus}) => {
-    try {
-      storage.setItem(RESEARCH_STATUS_KEY, JSON.stringify(newStatus));
-    } catch (error) {
-      console.error('Error saving research status:', error);
+  // Preference writes wait here until the API confirms them, so nothing is lost offline
+  const writeQueueRef = useRef<PreferenceWriteQueue | null>(null);
+  if (!writeQueueRef.current) {
+    writeQueueRef.current = new PreferenceWriteQueue(storage, preferenceHeaders);
+  }
+  const writeQueue = writeQueueRef.current;
+  const userIdRef = useRef<string | null>(null);
+  userIdRef.current = user?.id ?? null;
+  const festivalsRef = useRef<FestivalWithPreferences[]>(festivals);
+  festivalsRef.current = festivals;
+  const offlineNoticeShownRef = useRef(false);
+
+  // The signed-in user's preferences by festival id, or null without a session
+  const fetchUserPreferences = async (): Promise<Map<string, any> | null> => {
+    if (!accessTokenRef.current) return null;
+
+    const response = await fetch('/api/festivals/preferences', { headers: preferenceHeaders() });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch your festival preferences: ${response.statusText}`);
+    }
+    const result = await response.json();
+    return new Map((result.data || []).map((preference: any) => [preference.festival_id, preference]));
+  };
+
+  // One page of festivals from the query API, with the user's preferences applied
+  const fetchFestivalPage = async (query: FestivalQuery): Promise<{ data: FestivalWithPreferences[]; pageInfo: FestivalPageInfo }> => {
+    const response = await fetch(`/api/festivals?${toSearchParams(query)}`, { headers: preferenceHeaders() });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Failed to fetch festivals: ${response.statusText}`);
     }
+    return {
+      data: processAndMergeFestivalData(result.data || []),
+      pageInfo: result.pageInfo,
+    };
   };
 
-  // Fetch festivals data from API
+  // Fetch every festival, for the views that summarize all of them
   const fetchFestivals = async (forceRefresh: boolean = false) => {
-    // Skip if we already have data (unless force refresh is requested)
-    if (festivals.length > 0 && !forceRefresh) {
+    // Skip if we already have everything (unless force refresh is requested)
+    if (allLoaded && !forceRefresh) {
       console.log(`Skipping festival fetch - already have ${festivals.length} festivals`);
       return;
     }
@@ -158,107 +245,36 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       
       console.log('🚀 Starting festival fetch...');
       
-      // First, get the first chunk to determine total count
-      const firstResponse = await fetch('/api/festivals?chunked=true&page=1&limit=1000');
-      
-      if (!firstResponse.ok) {
-        throw new Error(`Failed to fetch festivals: ${firstResponse.statusText}`);
-      }
-      
-      const firstData = await firstResponse.json();
-      
-      if (!firstData.pagination) {
-        // Fallback to non-chunked loading if pagination not supported
-        console.log('Chunked loading not supported, falling back to single request');
-        const response = await fetch('/api/festivals');
-        if (!response.ok) {
-          throw new Error(`Failed to fetch festivals: ${response.statusText}`);
-        }
-        let data = await response.json();
-        console.log(`API returned ${data.length} total festivals`);
-        
-        // Process data as before
-        const processedData = await processAndMergeFestivalData(data);
-        setFestivals(processedData);
-        setInitialized(true);
-        showSuccess(`Loaded ${processedData.length} festivals`);
-        setLoadingProgress(null);
-        return;
-      }
-      
-      const { total, totalPages } = firstData.pagination;
-      let allFestivals = [...firstData.data];
-      
-      // Update progress with first chunk
-      setLoadingProgress({
-        loaded: firstData.data.length,
-        total,
-        percentage: Math.round((firstData.data.length / total) * 100),
-        isChunkedLoading: true
-      });
-      
-      console.log(`📊 Starting chunked loading: ${totalPages} pages, ${total} total festivals`);
-      console.log(`✅ First chunk loaded: ${firstData.data.length} festivals`);
-      
-      // Fetch remaining chunks sequentially to avoid overwhelming the server
-      for (let page = 2; page <= totalPages; page++) {
-        try {
-          console.log(`📥 Fetching page ${page}/${totalPages}...`);
-          const response = await fetch(`/api/festivals?chunked=true&page=${page}&limit=1000`);
-          
-          if (!response.ok) {
-            console.error(`❌ Failed to fetch page ${page}: ${response.statusText}`);
-            throw new Error(`Failed to fetch page ${page}: ${response.statusText}`);
-          }
-          
-          const data = await response.json();
-          
-          if (data.data && Array.isArray(data.data)) {
-            // Add the new chunk to our collection
-            allFestivals.push(...data.data);
-            
-            // Update progress with accurate count
-            const currentLoaded = allFestivals.length;
-            setLoadingProgress(prev => prev ? {
-              ...prev,
-              loaded: currentLoaded,
-              percentage: Math.round((currentLoaded / total) * 100)
-            } : null);
-            
-            console.log(`✅ Loaded page ${page}/${totalPages}: ${data.data.length} festivals (total so far: ${currentLoaded}/${total})`);
-          } else {
-            console.warn(`⚠️ Page ${page} returned invalid data:`, data);
-          }
-          
-          // Small delay between requests to be nice to the server
-          if (page < totalPages) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        } catch (error) {
-          console.error(`❌ Error fetching page ${page}:`, error);
-          // Continue with other pages even if one fails
-          showError(`Failed to load page ${page} of festivals`);
+      const allFestivals: FestivalWithPreferences[] = [];
+      let cursor: string | null = null;
+      let total = 0;
+
+      // Pages follow each other by cursor, so they are fetched one after the other
+      do {
+        const page = await fetchFestivalPage({ limit: 1000, cursor, includeTotal: cursor === null });
+        if (cursor === null) {
+          total = page.pageInfo.total ?? 0;
+          console.log(`📊 Starting chunked loading: ${total} total festivals`);
         }
-      }
+        allFestivals.push(...page.data);
+        cursor = page.pageInfo.nextCursor;
+
+        const loaded = allFestivals.length;
+        setLoadingProgress({
+          loaded,
+          total,
+          percentage: total > 0 ? Math.round((loaded / total) * 100) : 100,
+          isChunkedLoading: true
+        });
+        console.log(`✅ Loaded ${page.data.length} festivals (total so far: ${loaded}/${total})`);
+      } while (cursor);
       
       console.log(`🎉 Chunked loading complete: ${allFestivals.length} festivals loaded (expected: ${total})`);
       
-      // Verify we got all the data we expected
-      if (allFestivals.length !== total) {
-        console.warn(`⚠️ Warning: Expected ${total} festivals but got ${allFestivals.length}`);
-        showError(`Warning: Expected ${total} festivals but only loaded ${allFestivals.length}`);
-      } else {
-        console.log(`✅ Successfully loaded all ${allFestivals.length} festivals`);
-      }
-      
-      // Process and merge with localStorage data
-      console.log('🔄 Processing and merging festival data...');
-      const processedData = await processAndMergeFestivalData(allFestivals);
-      
       // Store all festivals
-      setFestivals(processedData);
-      setInitialized(true);
-      showSuccess(`Loaded ${processedData.length} festivals`);
+      setFestivals(allFestivals);
+      setAllLoaded(true);
+      showSuccess(`Loaded ${allFestivals.length} festivals`);
       
       // Clear loading progress
       setLoadingProgress(null);
@@ -276,45 +292,56 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
-  // Helper function to process and merge festival data with localStorage
-  const processAndMergeFestivalData = async (data: Festival[]) => {
-    // CHANGED: Now prioritize database data over localStorage
-    // Only use localStorage as fallback for festivals that don't have database values
-    
-    // Get saved preferences from localStorage (for fallback only)
-    const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-    const favorites = savedFavorites ? JSON.parse(savedFavorites) : {};
-    
-    const savedArchived = storage.getItem(ARCHIVED_STORAGE_KEY);
-    const archived = savedArchived ? JSON.parse(savedArchived) : {};
-    
-    const savedNotes = storage.getItem(NOTES_STORAGE_KEY);
-    const notes = savedNotes ? JSON.parse(savedNotes) : {};
-    
-    const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-    const salesStages = savedSalesStages ? JSON.parse(savedSalesStages) : {};
-    
-    // Get saved rate card information from localStorage
-    const savedRateCards = storage.getItem(RATE_CARD_STORAGE_KEY);
-    const rateCards = savedRateCards ? JSON.parse(savedRateCards) : {};
-    
-    // Get saved research status
-    const research = loadResearchStatus();
-    
-    // Merge with API data - DATABASE TAKES PRIORITY
-    return data.map((festival: Festival) => ({
-      ...festival,
-      // Use database values if they exist, fallback to localStorage
-      favorite: festival.favorite !== undefined ? festival.favorite : (!!favorites[festival.id]),
-      archived: festival.archived !== undefined ? festival.archived : (!!archived[festival.id]),
-      notes: festival.notes !== undefined ? festival.notes : (notes[festival.id] || ''),
-      sales_stage: festival.sales_stage !== undefined ? festival.sales_stage : (salesStages[festival.id] || 'favorited'),
-      rate_card_requested: festival.rate_card_requested || rateCards[festival.id]?.requested || false,
-      rate_card_received: festival.rate_card_received || rateCards[festival.id]?.received || false,
-      rate_card_date: festival.rate_card_date || rateCards[festival.id]?.date || null,
-      rate_card_notes: festival.rate_card_notes || rateCards[festival.id]?.notes || null,
-      research: research[festival.id] || null
-    }));
+  // Fetch only the festivals one view shows. The rows join the context's festivals, so
+  // edits and live updates apply to them; render them by the returned ids.
+  const queryFestivals = async (query: FestivalQuery): Promise<FestivalQueryPage> => {
+    const page = await fetchFestivalPage(query);
+    const byId = new Map(page.data.map(festival => [festival.id, festival]));
+
+    setFestivals(prev => {
+      const merged = prev.map(festival => byId.get(festival.id) || festival);
+      const known = new Set(prev.map(festival => festival.id));
+      return [...merged, ...page.data.filter(festival => !known.has(festival.id))];
+    });
+
+    return { ids: page.data.map(festival => festival.id), festivals: page.data, pageInfo: page.pageInfo };
+  };
+
+  // Helper function to put unsent changes and research status on the festivals. The
+  // API already returns the signed-in user's own preferences.
+  const processAndMergeFestivalData = (data: Festival[]): FestivalWithPreferences[] => {
+    loadedForUserRef.current = user?.id ?? null;
+
+    // Changes that haven't reached the server yet stay visible
+    const pendingByFestival = new Map<string, Partial<Festival>>();
+    for (const write of writeQueue.pending(user?.id ?? null)) {
+      pendingByFestival.set(write.festivalId, {
+        ...pendingByFestival.get(write.festivalId),
+        ...write.details,
+        [write.field]: write.value,
+      });
+    }
+
+    return data.map((festival: Festival) => {
+      const { research_id, research_status, ...fields } = festival;
+      const research: ResearchStatus | null = research_id && research_status && research_status !== 'none'
+        ? { id: research_id, status: research_status as ResearchStatus['status'] }
+        : null;
+
+      return {
+        ...fields,
+        favorite: festival.favorite ?? false,
+        archived: festival.archived ?? false,
+        notes: festival.notes ?? '',
+        sales_stage: festival.sales_stage ?? ENTRY_STAGE,
+        ...pendingByFestival.get(festival.id),
+        rate_card_requested: festival.rate_card_requested || false,
+        rate_card_received: festival.rate_card_received || false,
+        rate_card_date: festival.rate_card_date || null,
+        rate_card_notes: festival.rate_card_notes || null,
+        research: research || researchStatus[festival.id] || null
+      };
+    });
   };
 
   // Refresh research status for a festival
@@ -363,7 +390,6 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
           [festivalId]: newStatus
         };
         setResearchStatus(updatedResearchStatus);
-        saveResearchStatus(updatedResearchStatus);
         
         // Update festivals array
         setFestivals(prevFestivals => 
@@ -442,9 +468,8 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         };
       });
       
-      // Update state and localStorage
+      // Update state
       setResearchStatus(newResearchStatus);
-      saveResearchStatus(newResearchStatus);
       
       // Update the festivals array with research data
       setFestivals(prevFestivals => 
@@ -490,17 +515,11 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
-  // Clear all research data from localStorage and state
+  // Clear all research data from state and the database
   const clearAllResearchData = async (): Promise<void> => {
     try {
       console.log('🗑️ DEV TOOLS: Clearing all research data...');
       
-      // Clear localStorage
-      if (typeof window !== 'undefined') {
-        storage.removeItem(RESEARCH_STATUS_KEY);
-        console.log('🗑️ DEV TOOLS: Cleared localStorage research data');
-      }
-      
       // Clear in-memory state
       setResearchStatus({});
       
@@ -539,419 +558,162 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
+  // Pipeline definitions, for showing and validating sales stages
+  const fetchPipelines = async (): Promise<void> => {
+    try {
+      const response = await fetch('/api/pipelines');
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `Failed to fetch sales pipelines: ${response.statusText}`);
+      }
+      setPipelines(result.data || []);
+    } catch (error) {
+      console.error('Error loading sales pipelines:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchPipelines();
+  }, []);
+
   // Initial setup and sync
   useEffect(() => {
     const initializeContext = async () => {
-      // Sync localStorage preferences to database (one-time migration)
-      await syncLocalStorageToDatabase();
-      
-      // Then fetch festivals
-      if (!initialized) {
-        await fetchFestivals();
-      }
+      // Import what older versions kept in localStorage (one-time migration)
+      await importLocalStorageData();
+
+      // Festivals are fetched by the pages, either all of them or just what they show
+      setInitialized(true);
+      setLoading(false);
     };
     
+    // Wait for the session so the first load already has the user's preferences
+    if (authLoading || initialized) return;
     initializeContext();
-  }, [initialized]); // Run once when context initializes
+  }, [initialized, authLoading]); // Run once when context initializes
 
-  // Load research data after festivals are loaded
+  // Reload when another user signs in or the user signs out. Queried pages are
+  // dropped; the pages showing them query again for the new user.
   useEffect(() => {
-    if (festivals.length > 0 && !loading) {
-      console.log('[RESEARCH] Festivals loaded, fetching research data...');
-      fetchFestivalsWithResearch(false); // Don't show notifications on initial load
-    }
-  }, [festivals.length, loading]);
-
-  // Clean up localStorage by removing invalid UUIDs
-  const cleanupLocalStorage = () => {
-    try {
-      // Clean up favorites
-      const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-      if (savedFavorites) {
-        const favoritesObj = JSON.parse(savedFavorites);
-        const cleanedFavorites = Object.keys(favoritesObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = favoritesObj[key];
-            return obj;
-          }, {});
-        storage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(cleanedFavorites));
-      }
-      
-      // Clean up archived
-      const savedArchived = storage.getItem(ARCHIVED_STORAGE_KEY);
-      if (savedArchived) {
-        const archivedObj = JSON.parse(savedArchived);
-        const cleanedArchived = Object.keys(archivedObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = archivedObj[key];
-            return obj;
-          }, {});
-        storage.setItem(ARCHIVED_STORAGE_KEY, JSON.stringify(cleanedArchived));
-      }
-      
-      // Clean up notes
-      const savedNotes = storage.getItem(NOTES_STORAGE_KEY);
-      if (savedNotes) {
-        const notesObj = JSON.parse(savedNotes);
-        const cleanedNotes = Object.keys(notesObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = notesObj[key];
-            return obj;
-          }, {});
-        storage.setItem(NOTES_STORAGE_KEY, JSON.stringify(cleanedNotes));
-      }
-      
-      // Clean up sales stages
-      const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-      if (savedSalesStages) {
-        const salesStagesObj = JSON.parse(savedSalesStages);
-        const cleanedSalesStages = Object.keys(salesStagesObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = salesStagesObj[key];
-            return obj;
-          }, {});
-        storage.setItem(SALES_STAGE_STORAGE_KEY, JSON.stringify(cleanedSalesStages));
-      }
-      
-      // Clean up rate cards
-      const savedRateCards = storage.getItem(RATE_CARD_STORAGE_KEY);
-      if (savedRateCards) {
-        const rateCardsObj = JSON.parse(savedRateCards);
-        const cleanedRateCards = Object.keys(rateCardsObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = rateCardsObj[key];
-            return obj;
-          }, {});
-        storage.setItem(RATE_CARD_STORAGE_KEY, JSON.stringify(cleanedRateCards));
-      }
-      
-      // Clean up research status
-      const savedResearch = storage.getItem(RESEARCH_STATUS_KEY);
-      if (savedResearch) {
-        const researchObj = JSON.parse(savedResearch);
-        const cleanedResearch = Object.keys(researchObj)
-          .filter(isValidUUID)
-          .reduce((obj, key) => {
-            obj[key] = researchObj[key];
-            return obj;
-          }, {});
-        storage.setItem(RESEARCH_STATUS_KEY, JSON.stringify(cleanedResearch));
+    if (authLoading || !initialized || loadedForUserRef.current === undefined) return;
+    if (loadedForUserRef.current !== (user?.id ?? null)) {
+      if (allLoaded) {
+        fetchFestivals(true);
+      } else {
+        loadedForUserRef.current = user?.id ?? null;
+        setFestivals([]);
       }
-      
-      console.log('Local storage cleanup completed');
-    } catch (error) {
-      console.error('Error cleaning up localStorage:', error);
     }
-  };
+  }, [user?.id, authLoading, initialized]);
 
-  // Helper function to validate UUID
-  const isValidUUID = (id: string) => {
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    return uuidRegex.test(id);
-  };
+  // Festival columns changed by someone else; the user's own preference fields and
+  // changes still waiting in the queue are left alone
+  const applyFestivalChange = (row: Record<string, any>) => {
+    if (!row?.id) return;
+    if (row.merged_into) {
+      setFestivals(prev => prev.filter(f => f.id !== row.id));
+      return;
+    }
 
-  // Sync all notes from localStorage to the database once
-  const syncNotesToDatabase = async () => {
-    try {
-      const savedNotes = storage.getItem(NOTES_STORAGE_KEY);
-      if (!savedNotes) return;
-      
-      const notesObj = JSON.parse(savedNotes);
-      const festivalIds = Object.keys(notesObj).filter(isValidUUID);
-      
-      if (festivalIds.length === 0) return;
-      
-      console.log(`Syncing ${festivalIds.length} notes to database...`);
-      
-      // Process in batches to avoid too many simultaneous requests
-      const batchSize = 5;
-      for (let i = 0; i < festivalIds.length; i += batchSize) {
-        const batch = festivalIds.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (festivalId) => {
-            const notes = notesObj[festivalId];
-            if (!notes) return;
-            
-            try {
-              const response = await fetch(`/api/festivals/${festivalId}/notes`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ notes }),
-              });
-              
-              if (!response.ok) {
-                // Handle different response statuses
-                if (response.status === 404) {
-                  console.warn(`Festival ${festivalId} not found. Skipping notes sync.`);
-                  // Remove the invalid ID from localStorage to prevent future attempts
-                  delete notesObj[festivalId];
-                } else {
-                  throw new Error(`Error syncing notes for festival ${festivalId}. Status: ${response.status}`);
-                }
-              }
-            } catch (error) {
-              console.error(`Failed to sync notes for festival ${festivalId}:`, error);
-            }
-          })
-        );
-      }
-      
-      // Update localStorage with cleaned data
-      storage.setItem(NOTES_STORAGE_KEY, JSON.stringify(notesObj));
-      
-      console.log('Notes sync completed');
-    } catch (error) {
-      console.error('Error syncing notes to database:', error);
+    const pendingFields = new Set(
+      writeQueue.pending(userIdRef.current).filter(write => write.festivalId === row.id).map(write => write.field)
+    );
+    const changes: Record<string, any> = { ...row };
+    for (const field of PREFERENCE_FIELDS) {
+      if (userIdRef.current || pendingFields.has(field)) delete changes[field];
     }
-  };
-  
-  // Sync all favorites from localStorage to the database once
-  const syncFavoritesToDatabase = async () => {
-    try {
-      const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-      if (!savedFavorites) return;
-      
-      const favoritesObj = JSON.parse(savedFavorites);
-      const festivalIds = Object.keys(favoritesObj).filter(isValidUUID);
-      
-      if (festivalIds.length === 0) return;
-      
-      console.log(`Syncing ${festivalIds.length} favorites to database...`);
-      
-      // Process in batches to avoid too many simultaneous requests
-      const batchSize = 5;
-      for (let i = 0; i < festivalIds.length; i += batchSize) {
-        const batch = festivalIds.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (festivalId) => {
-            if (!favoritesObj[festivalId]) return;
-            
-            try {
-              const response = await fetch(`/api/festivals/${festivalId}/favorite`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ favorite: true }),
-              });
-              
-              if (!response.ok) {
-                // Handle different response statuses
-                if (response.status === 404) {
-                  console.warn(`Festival ${festivalId} not found. Skipping favorite sync.`);
-                  // Remove the invalid ID from localStorage to prevent future attempts
-                  delete favoritesObj[festivalId];
-                } else {
-                  const errorData = await response.json().catch(() => ({}));
-                  throw new Error(`Error syncing favorite status for festival ${festivalId}. Status: ${response.status}. Message: ${errorData.message || 'Unknown error'}`);
-                }
-              }
-            } catch (error) {
-              console.error(`Failed to sync favorite status for festival ${festivalId}:`, error);
-            }
-          })
-        );
-      }
-      
-      // Update localStorage with cleaned data
-      storage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favoritesObj));
-      
-      console.log('Favorites sync completed');
-    } catch (error) {
-      console.error('Error syncing favorites to database:', error);
+    for (const field of STAGE_PLACEMENT_FIELDS) {
+      if (userIdRef.current || pendingFields.has('sales_stage')) delete changes[field];
     }
+    if (changes.notes === null) changes.notes = '';
+
+    updateFestival(row.id, changes);
   };
-  
-  // Sync all archived festivals from localStorage to the database once
-  const syncArchivedToDatabase = async () => {
-    try {
-      const savedArchived = storage.getItem(ARCHIVED_STORAGE_KEY);
-      if (!savedArchived) return;
-      
-      const archivedObj = JSON.parse(savedArchived);
-      const festivalIds = Object.keys(archivedObj).filter(isValidUUID);
-      
-      if (festivalIds.length === 0) return;
-      
-      console.log(`Syncing ${festivalIds.length} archived festivals to database...`);
-      
-      // Process in batches to avoid too many simultaneous requests
-      const batchSize = 5;
-      for (let i = 0; i < festivalIds.length; i += batchSize) {
-        const batch = festivalIds.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (festivalId) => {
-            if (!archivedObj[festivalId]) return;
-            
-            try {
-              const response = await fetch(`/api/festivals/${festivalId}/archive`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ archived: true }),
-              });
-              
-              if (!response.ok) {
-                // Handle different response statuses
-                if (response.status === 404) {
-                  console.warn(`Festival ${festivalId} not found. Skipping archive sync.`);
-                  // Remove the invalid ID from localStorage to prevent future attempts
-                  delete archivedObj[festivalId];
-                } else {
-                  const errorData = await response.json().catch(() => ({}));
-                  throw new Error(`Error syncing archive status for festival ${festivalId}. Status: ${response.status}. Message: ${errorData.message || 'Unknown error'}`);
-                }
-              }
-            } catch (error) {
-              console.error(`Failed to sync archive status for festival ${festivalId}:`, error);
-            }
-          })
-        );
+
+  // The user's preferences changed in another tab or on another device
+  const applyPreferences = (rows: Record<string, any>[]) => {
+    const pending = writeQueue.pending(userIdRef.current);
+    const byFestival = new Map(rows.map(row => [row.festival_id, row]));
+
+    setFestivals(prev => prev.map(festival => {
+      const row = byFestival.get(festival.id);
+      if (!row) return festival;
+
+      const changes: Partial<FestivalWithPreferences> = {};
+      for (const field of PREFERENCE_FIELDS) {
+        if (pending.some(write => write.festivalId === festival.id && write.field === field)) continue;
+        (changes as any)[field] = field === 'notes' ? (row.notes ?? '') : row[field];
+        if (field === 'sales_stage') {
+          for (const placementField of STAGE_PLACEMENT_FIELDS) (changes as any)[placementField] = row[placementField];
+        }
       }
-      
-      // Update localStorage with cleaned data
-      storage.setItem(ARCHIVED_STORAGE_KEY, JSON.stringify(archivedObj));
-      
-      console.log('Archived festivals sync completed');
-    } catch (error) {
-      console.error('Error syncing archived festivals to database:', error);
-    }
+      return { ...festival, ...changes };
+    }));
   };
-  
-  // Sync all sales stages from localStorage to the database once
-  const syncSalesStagesToDatabase = async () => {
-    try {
-      const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-      if (!savedSalesStages) return;
-      
-      const salesStagesObj = JSON.parse(savedSalesStages);
-      const festivalIds = Object.keys(salesStagesObj).filter(isValidUUID);
-      
-      if (festivalIds.length === 0) return;
-      
-      console.log(`Syncing ${festivalIds.length} sales stages to database...`);
-      
-      // Process in batches to avoid too many simultaneous requests
-      const batchSize = 5;
-      for (let i = 0; i < festivalIds.length; i += batchSize) {
-        const batch = festivalIds.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (festivalId) => {
-            const salesStage = salesStagesObj[festivalId];
-            if (!salesStage) return;
-            
-            try {
-              const response = await fetch(`/api/festivals/${festivalId}/sales-stage`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ sales_stage: salesStage }),
-              });
-              
-              if (!response.ok) {
-                // Handle different response statuses
-                if (response.status === 404) {
-                  console.warn(`Festival ${festivalId} not found. Skipping sales stage sync.`);
-                  // Remove the invalid ID from localStorage to prevent future attempts
-                  delete salesStagesObj[festivalId];
-                } else {
-                  const errorData = await response.json().catch(() => ({}));
-                  throw new Error(`Error syncing sales stage for festival ${festivalId}. Status: ${response.status}. Message: ${errorData.message || 'Unknown error'}`);
-                }
-              }
-            } catch (error) {
-              console.error(`Failed to sync sales stage for festival ${festivalId}:`, error);
-            }
-          })
-        );
-      }
-      
-      // Update localStorage with cleaned data
-      storage.setItem(SALES_STAGE_STORAGE_KEY, JSON.stringify(salesStagesObj));
-      
-      console.log('Sales stages sync completed');
-    } catch (error) {
-      console.error('Error syncing sales stages to database:', error);
+
+  // Live updates from other tabs, devices and colleagues
+  useEffect(() => {
+    if (!initialized) return;
+    const userId = user?.id ?? null;
+    let subscribedBefore = false;
+
+    const channel = supabase
+      .channel(`festival-sync-${userId ?? 'anonymous'}`)
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'festivals' }, payload => {
+        applyFestivalChange(payload.new);
+      });
+
+    if (userId) {
+      channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'festival_user_preferences', filter: `user_id=eq.${userId}` },
+        payload => {
+          if ((payload.new as any)?.festival_id) applyPreferences([payload.new]);
+        }
+      );
     }
-  };
-  
-  // New function to sync rate card information to database
-  const syncRateCardsToDatabase = async () => {
-    try {
-      const savedRateCards = storage.getItem(RATE_CARD_STORAGE_KEY);
-      if (!savedRateCards) return;
-      
-      const rateCardsObj = JSON.parse(savedRateCards);
-      const festivalIds = Object.keys(rateCardsObj).filter(isValidUUID);
-      
-      if (festivalIds.length === 0) return;
-      
-      console.log(`Syncing ${festivalIds.length} rate cards to database...`);
-      
-      // Process in batches to avoid too many simultaneous requests
-      const batchSize = 5;
-      for (let i = 0; i < festivalIds.length; i += batchSize) {
-        const batch = festivalIds.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (festivalId) => {
-            const rateCardInfo = rateCardsObj[festivalId];
-            if (!rateCardInfo) return;
-            
-            try {
-              const response = await fetch(`/api/festivals/${festivalId}/rate-card`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(rateCardInfo),
-              });
-              
-              if (!response.ok) {
-                // Handle different response statuses
-                if (response.status === 404) {
-                  console.warn(`Festival ${festivalId} not found. Skipping rate card sync.`);
-                  // Remove the invalid ID from localStorage to prevent future attempts
-                  delete rateCardsObj[festivalId];
-                } else {
-                  const errorData = await response.json().catch(() => ({}));
-                  throw new Error(`Error syncing rate card for festival ${festivalId}. Status: ${response.status}. Message: ${errorData.message || 'Unknown error'}`);
-                }
-              }
-            } catch (error) {
-              console.error(`Failed to sync rate card for festival ${festivalId}:`, error);
-            }
-          })
-        );
+
+    channel.subscribe(status => {
+      if (status !== 'SUBSCRIBED') return;
+
+      // Send what was queued while disconnected, and after a reconnect catch up on
+      // preference changes missed in the meantime
+      flushPreferenceWrites();
+      if (subscribedBefore && userId) {
+        fetchUserPreferences()
+          .then(preferences => preferences && applyPreferences(Array.from(preferences.values())))
+          .catch(error => console.error('Error refreshing preferences after reconnect:', error));
       }
-      
-      // Update localStorage with cleaned data
-      storage.setItem(RATE_CARD_STORAGE_KEY, JSON.stringify(rateCardsObj));
-      
-      console.log('Rate cards sync completed');
-    } catch (error) {
-      console.error('Error syncing rate cards to database:', error);
-    }
-  };
-  
-  // Run sync once after initialization
+      subscribedBefore = true;
+    });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [initialized, user?.id]);
+
+  // Retry queued writes as soon as the browser is back online
   useEffect(() => {
-    if (initialized && !loading) {
-      syncNotesToDatabase();
-      syncFavoritesToDatabase();
-      syncArchivedToDatabase();
-      syncSalesStagesToDatabase();
-      syncRateCardsToDatabase();
+    const handleOnline = () => {
+      flushPreferenceWrites();
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [user?.id]);
+
+  // Load research data after festivals are loaded
+  useEffect(() => {
+    if (allLoaded && !loading) {
+      console.log('[RESEARCH] Festivals loaded, fetching research data...');
+      fetchFestivalsWithResearch(false); // Don't show notifications on initial load
     }
-  }, [initialized, loading]);
+  }, [allLoaded, loading]);
+
+  // Helper function to validate UUID
+  const isValidUUID = (id: string) => {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    return uuidRegex.test(id);
+  };
 
   // Update a festival
   const updateFestival = (festivalId: string, updates: Partial<FestivalWithPreferences>) => {
@@ -964,6 +726,90 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     );
   };
 
+  // Show preference changes right away and queue them for the server. `stageDetails`
+  // travel with the sales stage write.
+  const savePreferences = (
+    festivalId: string,
+    changes: Partial<FestivalWithPreferences>,
+    stageDetails?: Pick<FestivalWithPreferences, 'pipeline_id' | 'lost_reason'>
+  ) => {
+    const currentFestival = festivalsRef.current.find(f => f.id === festivalId);
+    const userId = user?.id ?? null;
+
+    for (const field of PREFERENCE_FIELDS) {
+      if (!(field in changes)) continue;
+      writeQueue.enqueue({
+        festivalId,
+        userId,
+        field,
+        value: changes[field],
+        // Unknown festivals are written without a conflict check
+        expected: currentFestival ? currentFestival[field] : undefined,
+        details: field === 'sales_stage' ? stageDetails : undefined,
+        expectedDetails: field === 'sales_stage' && stageDetails && currentFestival
+          ? {
+            pipeline_id: currentFestival.pipeline_id ?? null,
+            lost_reason: currentFestival.lost_reason ?? null,
+          }
+          : undefined,
+      });
+    }
+
+    updateFestival(festivalId, { ...changes, ...stageDetails });
+    flushPreferenceWrites();
+  };
+
+  // Report what happened to queued writes; conflicting changes are replaced by the server's value
+  // and refused changes are rolled back, unless they were changed again since
+  const handleFlushResult = (result: PreferenceFlushResult) => {
+    for (const conflict of result.conflicts) {
+      const festival = festivalsRef.current.find(f => f.id === conflict.festivalId);
+      const current = conflict.field === 'notes' ? (conflict.current ?? '') : conflict.current;
+      updateFestival(conflict.festivalId, { [conflict.field]: current });
+      showInfo(`${PREFERENCE_LABELS[conflict.field]}${festival ? ` of ${festival.name}` : ''} was changed elsewhere; kept the newer version`);
+    }
+
+    const pending = writeQueue.pending(userIdRef.current);
+    for (const failure of result.failed) {
+      const festival = festivalsRef.current.find(f => f.id === failure.festivalId);
+      const changedSince = pending.some(write => write.festivalId === failure.festivalId && write.field === failure.field);
+      if (festival && !changedSince && samePreferenceValue(festival[failure.field], failure.value)) {
+        const expected = failure.field === 'notes' ? (failure.expected ?? '') : failure.expected;
+        updateFestival(failure.festivalId, { [failure.field]: expected, ...failure.expectedDetails });
+      }
+    }
+
+    if (result.failed.length === 1) {
+      const [failure] = result.failed;
+      const festival = festivalsRef.current.find(f => f.id === failure.festivalId);
+      showError(`${PREFERENCE_LABELS[failure.field]}${festival ? ` of ${festival.name}` : ''} could not be saved${failure.error ? `: ${failure.error}` : ''}`);
+    } else if (result.failed.length > 1) {
+      showError(`${result.failed.length} festival changes could not be saved`);
+    }
+
+    if (result.offline && !offlineNoticeShownRef.current) {
+      offlineNoticeShownRef.current = true;
+      showInfo('You are offline. Changes will be saved when the connection is back.');
+    } else if (!result.offline && result.written > 0 && offlineNoticeShownRef.current) {
+      offlineNoticeShownRef.current = false;
+      showSuccess('Back online, your changes are saved');
+    }
+  };
+
+  const flushPreferenceWrites = async (): Promise<void> => {
+    try {
+      const result = await writeQueue.flush(userIdRef.current);
+      handleFlushResult(result);
+
+      // Changes made while this flush was running
+      if (!result.offline && writeQueue.pending(userIdRef.current).length > 0) {
+        await flushPreferenceWrites();
+      }
+    } catch (error) {
+      console.error('Error saving festival changes:', error);
+    }
+  };
+
   // Toggle favorite status
   const toggleFavorite = (festivalId: string, isFavorite: boolean) => {
     // Validate festival ID
@@ -979,71 +825,13 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     const currentFestival = festivals.find(f => f.id === festivalId);
     const updatesObject: Partial<FestivalWithPreferences> = { favorite: isFavorite };
     
-    if (!isFavorite && currentFestival?.sales_stage && currentFestival.sales_stage !== 'favorited') {
+    if (!isFavorite && currentFestival?.sales_stage && currentFestival.sales_stage !== ENTRY_STAGE) {
       // Unfavoriting a festival in a sales stage - remove from sales monitor
-      updatesObject.sales_stage = 'favorited';
+      updatesObject.sales_stage = ENTRY_STAGE;
       showInfo(`Festival removed from sales monitor`);
     }
     
-    // Update state
-    updateFestival(festivalId, updatesObject);
-    
-    // Update localStorage (keeping for backward compatibility)
-    const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-    const favoritesObj = savedFavorites ? JSON.parse(savedFavorites) : {};
-    
-    if (isFavorite) {
-      favoritesObj[festivalId] = true;
-    } else {
-      delete favoritesObj[festivalId];
-    }
-    
-    storage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favoritesObj));
-    
-    // Update sales stage localStorage if needed
-    if (updatesObject.sales_stage) {
-      const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-      const salesStagesObj = savedSalesStages ? JSON.parse(savedSalesStages) : {};
-      salesStagesObj[festivalId] = updatesObject.sales_stage;
-      storage.setItem(SALES_STAGE_STORAGE_KEY, JSON.stringify(salesStagesObj));
-    }
-    
-    // Save both favorite status and sales stage to database
-    Promise.all([
-      // Update favorite status
-      fetch(`/api/festivals/${festivalId}/favorite`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ favorite: isFavorite }),
-      }),
-      // Update sales stage if needed
-      updatesObject.sales_stage ? fetch(`/api/festivals/${festivalId}/sales-stage`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ sales_stage: updatesObject.sales_stage }),
-      }) : null
-    ])
-    .then(async ([favoriteResponse, salesStageResponse]) => {
-      if (!favoriteResponse.ok) {
-        throw new Error('Failed to save favorite status to database');
-      }
-      if (salesStageResponse && !salesStageResponse.ok) {
-        throw new Error('Failed to save sales stage to database');
-      }
-      // Parse responses
-      await favoriteResponse.json();
-      if (salesStageResponse) {
-        await salesStageResponse.json();
-      }
-    })
-    .catch(error => {
-      console.error('Error saving to database:', error);
-      showError(`Error updating festival: ${error.message}`);
-    });
+    savePreferences(festivalId, updatesObject);
   };
 
   // Toggle archived status
@@ -1055,39 +843,7 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       return;
     }
     
-    // Update state
-    updateFestival(festivalId, { archived: isArchived });
-    
-    // Update localStorage
-    const savedArchived = storage.getItem(ARCHIVED_STORAGE_KEY);
-    const archived = savedArchived ? JSON.parse(savedArchived) : {};
-    
-    if (isArchived) {
-      archived[festivalId] = true;
-    } else {
-      delete archived[festivalId];
-    }
-    
-    storage.setItem(ARCHIVED_STORAGE_KEY, JSON.stringify(archived));
-    
-    // Also save to the database via API
-    fetch(`/api/festivals/${festivalId}/archive`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ archived: isArchived }),
-    })
-    .then(response => {
-      if (!response.ok) {
-        throw new Error('Failed to save archive status to database');
-      }
-      return response.json();
-    })
-    .catch(error => {
-      console.error('Error saving archive status to database:', error);
-      showError(`Error updating archive status: ${error.message}`);
-    });
+    savePreferences(festivalId, { archived: isArchived });
   };
 
   // Update notes
@@ -1099,35 +855,7 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       return;
     }
     
-    // Update state
-    updateFestival(festivalId, { notes });
-    
-    // Update localStorage
-    const savedNotes = storage.getItem(NOTES_STORAGE_KEY);
-    const notesObj = savedNotes ? JSON.parse(savedNotes) : {};
-    
-    notesObj[festivalId] = notes;
-    
-    storage.setItem(NOTES_STORAGE_KEY, JSON.stringify(notesObj));
-    
-    // Also save to the database via API
-    fetch(`/api/festivals/${festivalId}/notes`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ notes }),
-    })
-    .then(response => {
-      if (!response.ok) {
-        throw new Error('Failed to save notes to database');
-      }
-      return response.json();
-    })
-    .catch(error => {
-      console.error('Error saving notes to database:', error);
-      showError(`Error saving notes: ${error.message}`);
-    });
+    savePreferences(festivalId, { notes });
   };
 
   // Update dates
@@ -1146,8 +874,8 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     // This could be implemented with an API call
   };
 
-  // Update sales stage
-  const updateSalesStage = (festivalId: string, salesStage: string) => {
+  // Update sales stage, optionally moving the festival into another pipeline
+  const updateSalesStage = (festivalId: string, salesStage: string, options: SalesStageOptions = {}) => {
     // Validate festival ID
     if (!isValidUUID(festivalId)) {
       console.error(`Invalid festival ID format: ${festivalId}`);
@@ -1160,63 +888,16 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     // it should automatically be favorited
     const updatesObject: Partial<FestivalWithPreferences> = { sales_stage: salesStage };
     
-    if (salesStage !== 'favorited') {
+    if (salesStage !== ENTRY_STAGE) {
       // Moving to an active sales stage - auto-favorite
       updatesObject.favorite = true;
     }
     
-    // Update state
-    updateFestival(festivalId, updatesObject);
-    
-    // Update localStorage
-    const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-    const salesStagesObj = savedSalesStages ? JSON.parse(savedSalesStages) : {};
-    salesStagesObj[festivalId] = salesStage;
-    storage.setItem(SALES_STAGE_STORAGE_KEY, JSON.stringify(salesStagesObj));
-    
-    // Update favorites localStorage if auto-favoriting
-    if (updatesObject.favorite) {
-      const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-      const favoritesObj = savedFavorites ? JSON.parse(savedFavorites) : {};
-      favoritesObj[festivalId] = true;
-      storage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favoritesObj));
-    }
-    
-    // Save both sales stage and favorite status to database
-    Promise.all([
-      // Update sales stage
-      fetch(`/api/festivals/${festivalId}/sales-stage`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ sales_stage: salesStage }),
-      }),
-      // Update favorite status if needed
-      updatesObject.favorite ? fetch(`/api/festivals/${festivalId}/favorite`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ favorite: updatesObject.favorite }),
-      }) : null
-    ])
-    .then(async ([salesStageResponse, favoriteResponse]) => {
-      if (!salesStageResponse.ok) {
-        throw new Error('Failed to save sales stage to database');
-      }
-      if (favoriteResponse && !favoriteResponse.ok) {
-        throw new Error('Failed to save favorite status to database');
-      }
-      // Parse responses
-      await salesStageResponse.json();
-      if (favoriteResponse) {
-        await favoriteResponse.json();
-      }
-    })
-    .catch(error => {
-      console.error('Error saving sales stage to database:', error);
-      showError(`Error updating sales stage: ${error.message}`);
+    const currentFestival = festivalsRef.current.find(f => f.id === festivalId);
+    const pipelineId = options.pipelineId ?? currentFestival?.pipeline_id;
+    savePreferences(festivalId, updatesObject, {
+      ...(pipelineId ? { pipeline_id: pipelineId } : {}),
+      lost_reason: options.lostReason ?? null,
     });
   };
 
@@ -1231,44 +912,18 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       }
 
       // Optimistic update in state
-      updateFestival(festivalId, {
-        rate_card_requested: updates.requested !== undefined ? updates.requested : undefined,
-        rate_card_received: updates.received !== undefined ? updates.received : undefined,
-        rate_card_date: updates.date !== undefined ? updates.date : undefined,
-        rate_card_notes: updates.notes !== undefined ? updates.notes : undefined,
-      });
+      const optimistic: Partial<FestivalWithPreferences> = {};
+      if (updates.requested !== undefined) optimistic.rate_card_requested = updates.requested;
+      if (updates.received !== undefined) optimistic.rate_card_received = updates.received;
+      if (updates.date !== undefined) optimistic.rate_card_date = updates.date;
+      if (updates.notes !== undefined) optimistic.rate_card_notes = updates.notes;
+      updateFestival(festivalId, optimistic);
 
-      // Also update in localStorage for persistence
-      const savedRateCards = storage.getItem(RATE_CARD_STORAGE_KEY);
-      const rateCardsObj = savedRateCards ? JSON.parse(savedRateCards) : {};
-      
-      // Merge new values with existing ones
-      rateCardsObj[festivalId] = {
-        ...rateCardsObj[festivalId],
-        requested: updates.requested !== undefined ? updates.requested : rateCardsObj[festivalId]?.requested || false,
-        received: updates.received !== undefined ? updates.received : rateCardsObj[festivalId]?.received || false,
-        date: updates.date !== undefined ? updates.date : rateCardsObj[festivalId]?.date || null,
-        notes: updates.notes !== undefined ? updates.notes : rateCardsObj[festivalId]?.notes || null,
-      };
-      
-      // Ensure consistency with constraints
-      if (rateCardsObj[festivalId].received) {
-        rateCardsObj[festivalId].requested = true;
-      }
-      
-      if (rateCardsObj[festivalId].date) {
-        rateCardsObj[festivalId].received = true;
-        rateCardsObj[festivalId].requested = true;
-      }
-      
-      storage.setItem(RATE_CARD_STORAGE_KEY, JSON.stringify(rateCardsObj));
-      
       // Send update to API
       const response = await fetch(`/api/festivals/${festivalId}/rate-card`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        // The session identifies who did it in the festival's activity log
+        headers: preferenceHeaders(),
         body: JSON.stringify(updates),
       });
       
@@ -1279,6 +934,9 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       const result = await response.json();
       
       if (result.success) {
+        // The server completes the status (a received rate card was also requested)
+        const { id: _id, ...rateCard } = result.data || {};
+        updateFestival(festivalId, rateCard);
         showSuccess('Rate card information updated');
         return true;
       } else {
@@ -1293,8 +951,12 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
-  // Update festival emails
-  const updateEmails = async (festivalId: string, email: string): Promise<void> => {
+  // Add a contact by email; festivals.emails follows the festival's contacts
+  const updateEmails = async (
+    festivalId: string,
+    email: string,
+    details?: { name?: string; role?: ContactRole }
+  ): Promise<void> => {
     try {
       // Validate festival ID
       if (!isValidUUID(festivalId)) {
@@ -1303,32 +965,33 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         return;
       }
 
-      // Call API to add email
-      const response = await fetch(`/api/festivals/${festivalId}/emails`, {
+      const response = await fetch(`/api/festivals/${festivalId}/contacts`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email }),
+        // The session identifies who did it in the festival's activity log
+        headers: preferenceHeaders(),
+        body: JSON.stringify({ email, ...details, source: 'manual' }),
       });
 
+      const result = await response.json();
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to add email');
+        throw new Error(result.message || 'Failed to add email');
       }
 
-      const result = await response.json();
-      
-      // Update the festival in local state with new emails
+      if (result.data.alreadyLinked) {
+        showError('This email is already a contact of this festival');
+        return;
+      }
+
+      const added = result.data.contact.email || normalizeEmail(email);
       setFestivals(prevFestivals => 
         prevFestivals.map(f => 
-          f.id === festivalId 
-            ? { ...f, emails: result.data.emails }
+          f.id === festivalId && added && !(f.emails || []).includes(added)
+            ? { ...f, emails: [...(f.emails || []), added] }
             : f
         )
       );
 
-      showSuccess('Email address added successfully');
+      showSuccess('Contact added successfully');
     } catch (error) {
       console.error('Error updating emails:', error);
       showError(`Error adding email: ${error.message}`);
@@ -1336,6 +999,36 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
+  // Remove a contact from a festival
+  const removeContact = async (festivalId: string, contact: FestivalContact): Promise<void> => {
+    try {
+      const response = await fetch(`/api/festivals/${festivalId}/contacts/${contact.id}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to remove contact');
+      }
+
+      if (contact.email) {
+        setFestivals(prevFestivals =>
+          prevFestivals.map(f =>
+            f.id === festivalId
+              ? { ...f, emails: (f.emails || []).filter(e => e !== contact.email) }
+              : f
+          )
+        );
+      }
+
+      showSuccess('Contact removed');
+    } catch (error) {
+      console.error('Error removing contact:', error);
+      showError(`Error removing contact: ${error.message}`);
+      throw error;
+    }
+  };
+
   // Update festival LinkedIn URL
   const updateLinkedIn = async (festivalId: string, linkedinUrl: string): Promise<void> => {
     try {
@@ -1419,7 +1112,6 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         const updatedResearchStatus = { ...researchStatus };
         delete updatedResearchStatus[festivalId];
         setResearchStatus(updatedResearchStatus);
-        saveResearchStatus(updatedResearchStatus);
         
         // Update the festivals array to remove research data for this festival
         setFestivals(prevFestivals => 
@@ -1459,7 +1151,6 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
       });
       
       setResearchStatus(updatedResearchStatus);
-      saveResearchStatus(updatedResearchStatus);
       
       // Update the festivals state
       setFestivals(prevFestivals => 
@@ -1584,8 +1275,10 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
               const festivalName = festivals.find(f => f.id === festivalId)?.name || festivalId;
               console.log(`📧 Refreshing festival data for ${festivalName} to capture emails`);
               
-              // Single refresh after a short delay to ensure emails are captured
+              // Single refresh after a short delay to ensure emails are captured; queried
+              // pages get the new emails through the live festival updates
               setTimeout(() => {
+                if (!allLoaded) return;
                 console.log(`📧 Email refresh for ${festivalName}`);
                 fetchFestivals(true);
               }, 1000);
@@ -1672,75 +1365,65 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
     };
   }, []);
 
-  // One-time sync from localStorage to database
-  const syncLocalStorageToDatabase = async () => {
-    const SYNC_COMPLETED_KEY = 'festifind-preferences-synced';
-    
-    // Check if sync has already been completed
-    const syncCompleted = storage.getItem(SYNC_COMPLETED_KEY);
-    if (syncCompleted === 'true') {
-      console.log('Preferences already synced to database, skipping...');
-      return;
-    }
-    
-    console.log('Starting one-time sync of localStorage preferences to database...');
-    
-    try {
-      // Get all localStorage data
-      const savedFavorites = storage.getItem(FAVORITES_STORAGE_KEY);
-      const favorites = savedFavorites ? JSON.parse(savedFavorites) : {};
-      
-      const savedArchived = storage.getItem(ARCHIVED_STORAGE_KEY);
-      const archived = savedArchived ? JSON.parse(savedArchived) : {};
-      
-      const savedNotes = storage.getItem(NOTES_STORAGE_KEY);
-      const notes = savedNotes ? JSON.parse(savedNotes) : {};
-      
-      const savedSalesStages = storage.getItem(SALES_STAGE_STORAGE_KEY);
-      const salesStages = savedSalesStages ? JSON.parse(savedSalesStages) : {};
-      
-      // Check if there's any data to sync
-      const totalItems = Object.keys(favorites).length + Object.keys(archived).length + 
-                        Object.keys(notes).length + Object.keys(salesStages).length;
-      
-      if (totalItems === 0) {
-        console.log('No localStorage preferences to sync');
-        storage.setItem(SYNC_COMPLETED_KEY, 'true');
-        return;
+  // One-time import of what older versions kept in localStorage. The database only takes
+  // values it doesn't have yet; the browser copies are removed afterwards.
+  const importLocalStorageData = async () => {
+    if (storage.getItem(LEGACY_IMPORTED_KEY) === 'true') return;
+
+    const readLegacy = (key: string) => {
+      try {
+        const saved = storage.getItem(key);
+        return saved ? JSON.parse(saved) : {};
+      } catch (error) {
+        console.error(`Error reading ${key} from localStorage:`, error);
+        return {};
       }
-      
-      console.log(`Syncing ${totalItems} preference items to database...`);
-      
-      // Send data to sync API
-      const response = await fetch('/api/festivals/sync-preferences', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          favorites,
-          archived,
-          notes,
-          salesStages
-        }),
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Sync failed: ${response.statusText}`);
+    };
+
+    const favorites = readLegacy(FAVORITES_STORAGE_KEY);
+    const archived = readLegacy(ARCHIVED_STORAGE_KEY);
+    const notes = readLegacy(NOTES_STORAGE_KEY);
+    const salesStages = readLegacy(SALES_STAGE_STORAGE_KEY);
+    const rateCards = readLegacy(RATE_CARD_STORAGE_KEY);
+
+    const totalItems = [favorites, archived, notes, salesStages, rateCards]
+      .reduce((total, items) => total + Object.keys(items).length, 0);
+
+    try {
+      if (totalItems > 0) {
+        console.log(`Importing ${totalItems} locally stored festival preferences into the database...`);
+
+        const response = await fetch('/api/festivals/sync-preferences', {
+          method: 'POST',
+          headers: preferenceHeaders(),
+          body: JSON.stringify({ favorites, archived, notes, salesStages, rateCards }),
+        });
+
+        if (!response.ok) {
+          throw new Error(`Import failed: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        console.log('Local preferences import completed:', result);
+        if (result.synced > 0) {
+          showSuccess(`Imported ${result.synced} festival preferences saved in this browser`);
+        }
       }
-      
-      const result = await response.json();
-      console.log('Preferences sync completed:', result);
-      
-      // Mark sync as completed
-      storage.setItem(SYNC_COMPLETED_KEY, 'true');
-      
-      // Show success notification
-      showSuccess(`Synced ${result.synced} festival preferences to database`);
-      
+
+      [
+        FAVORITES_STORAGE_KEY,
+        ARCHIVED_STORAGE_KEY,
+        NOTES_STORAGE_KEY,
+        SALES_STAGE_STORAGE_KEY,
+        RATE_CARD_STORAGE_KEY,
+        RESEARCH_STATUS_KEY,
+        LEGACY_SYNC_KEY,
+      ].forEach(key => storage.removeItem(key));
+      storage.setItem(LEGACY_IMPORTED_KEY, 'true');
     } catch (error) {
-      console.error('Error syncing preferences to database:', error);
-      showError(`Error syncing preferences: ${error.message}`);
+      // Kept for the next visit
+      console.error('Error importing local preferences:', error);
+      showError(`Error importing preferences saved in this browser: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   };
 
@@ -1750,7 +1433,9 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         festivals,
         loading,
         loadingProgress,
+        allLoaded,
         fetchFestivals,
+        queryFestivals,
         updateFestival,
         toggleFavorite,
         toggleArchived,
@@ -1759,6 +1444,7 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         updateSalesStage,
         updateRateCard,
         updateEmails,
+        removeContact,
         updateLinkedIn,
         initiateResearch,
         getResearchStatus,
@@ -1766,7 +1452,9 @@ export const FestivalProvider: React.FC<{ children: ReactNode }> = ({ children }
         forceRefreshResearchStatus,
         clearAllResearchData,
         fetchFestivalsWithResearch,
-        researchStatus
+        researchStatus,
+        pipelines,
+        fetchPipelines
       }}
     >
       {children}
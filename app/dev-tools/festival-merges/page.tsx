@@ -0,0 +1,293 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, RefreshCw, Loader2, GitMerge, XCircle, CheckCircle, Clock, Search } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import type { MatchableFestival, MatchSignal } from '../../../lib/festivals/entity-resolution';
+import type { MergeCandidateStatus, MergeCandidateWithFestivals } from '../../../lib/festivals/merge-store';
+
+const STATUS_TABS: { status: MergeCandidateStatus; label: string; icon: React.ElementType; className: string }[] = [
+  { status: 'pending', label: 'To review', icon: Clock, className: 'text-blue-600' },
+  { status: 'confirmed', label: 'Merged', icon: CheckCircle, className: 'text-green-600' },
+  { status: 'rejected', label: 'Not duplicates', icon: XCircle, className: 'text-gray-600' },
+];
+
+const SIGNAL_LABELS: Record<MatchSignal, string> = {
+  name: 'Name',
+  dates: 'Dates',
+  location: 'Location',
+  domain: 'Website',
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const formatPercent = (value: number) => `${Math.round(value * 100)}%`;
+
+const signalClassName = (value: number | null) => {
+  if (value === null) return 'bg-gray-100 text-gray-500';
+  if (value >= 0.8) return 'bg-green-100 text-green-800';
+  if (value >= 0.5) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+};
+
+const FestivalSummary: React.FC<{ festival: MatchableFestival | null }> = ({ festival }) => {
+  if (!festival) {
+    return <div className="text-sm text-gray-500">Festival no longer exists</div>;
+  }
+
+  return (
+    <div className="space-y-1 text-sm">
+      <div className="font-medium text-gray-900">{festival.name}</div>
+      <div className="text-gray-600">
+        <span className="uppercase text-xs font-medium text-gray-500 mr-2">{festival.source || 'manual'}</span>
+        {formatDate(festival.start_date)}
+        {festival.end_date && festival.end_date !== festival.start_date && ` – ${formatDate(festival.end_date)}`}
+      </div>
+      <div className="text-gray-600">{[festival.location, festival.country].filter(Boolean).join(', ') || '—'}</div>
+      {(festival.homepage_url || festival.url) && (
+        <a
+          href={festival.homepage_url || festival.url || undefined}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="block text-blue-600 hover:underline truncate"
+        >
+          {festival.homepage_url || festival.url}
+        </a>
+      )}
+      <div className="text-xs text-gray-500">
+        {festival.emails?.length || 0} emails
+        {festival.notes ? ' · notes' : ''}
+        {festival.research_data ? ' · research' : ''}
+        {festival.favorite ? ' · favorite' : ''}
+        {festival.sales_stage && festival.sales_stage !== 'favorited' ? ` · ${festival.sales_stage}` : ''}
+      </div>
+    </div>
+  );
+};
+
+const FestivalMergesPage: React.FC = () => {
+  const [activeStatus, setActiveStatus] = useState<MergeCandidateStatus>('pending');
+  const [candidates, setCandidates] = useState<MergeCandidateWithFestivals[]>([]);
+  const [counts, setCounts] = useState<Partial<Record<MergeCandidateStatus, number>>>({});
+  // Festival to keep per candidate, defaults to the suggested one
+  const [keepIds, setKeepIds] = useState<Record<string, string>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [reviewingId, setReviewingId] = useState<string | null>(null);
+  const { showSuccess, showError } = useNotification();
+
+  const loadCandidates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/admin/festival-merges?status=${activeStatus}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load candidates');
+      }
+      setCandidates(data.candidates);
+      setCounts(data.counts);
+    } catch (error) {
+      console.error('Error loading merge candidates:', error);
+      showError(`Failed to load duplicates: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [activeStatus, showError]);
+
+  useEffect(() => {
+    loadCandidates();
+  }, [loadCandidates]);
+
+  const postAction = async (body: Record<string, unknown>) => {
+    const response = await fetch('/api/admin/festival-merges', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const handleScan = async () => {
+    try {
+      setIsScanning(true);
+      const result = await postAction({ action: 'scan' });
+      showSuccess(`Compared ${result.compared.toLocaleString()} pairs, ${result.queued} new possible duplicates`);
+      await loadCandidates();
+    } catch (error) {
+      showError(`Failed to scan for duplicates: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  const handleReview = async (candidate: MergeCandidateWithFestivals, action: 'confirm' | 'reject') => {
+    try {
+      setReviewingId(candidate.id);
+      const canonicalId = keepIds[candidate.id] || candidate.suggestedCanonicalId;
+      await postAction({ action, candidateId: candidate.id, canonicalId });
+      showSuccess(action === 'confirm' ? 'Festivals merged' : 'Marked as not a duplicate');
+      await loadCandidates();
+    } catch (error) {
+      showError(`Failed to review duplicate: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <Link href="/dev-tools" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Developer Tools
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Duplicate Festivals</h1>
+            <p className="text-gray-600 mt-2">
+              Festivals that look like the same event from different sources. Merging keeps one festival
+              and combines the emails, notes and research of both.
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleScan}
+              disabled={isScanning}
+              className="flex items-center px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              {isScanning ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Search className="h-4 w-4 mr-2" />}
+              Scan now
+            </button>
+            <button
+              onClick={loadCandidates}
+              disabled={isLoading}
+              className="flex items-center px-4 py-2 rounded-md text-sm font-medium bg-white border border-gray-200 hover:bg-gray-50 text-gray-700"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {/* Status tabs */}
+        <div className="grid grid-cols-3 gap-4">
+          {STATUS_TABS.map(({ status, label, icon: Icon, className }) => (
+            <button
+              key={status}
+              onClick={() => setActiveStatus(status)}
+              className={`bg-white border rounded-xl shadow-sm p-4 text-left transition-colors ${
+                activeStatus === status ? 'border-blue-500 ring-1 ring-blue-500' : 'border-gray-200 hover:border-gray-300'
+              }`}
+            >
+              <div className={`flex items-center text-sm font-medium ${className}`}>
+                <Icon className="h-4 w-4 mr-2" />
+                {label}
+              </div>
+              <div className="text-2xl font-bold text-gray-900 mt-1">{counts[status] ?? 0}</div>
+            </button>
+          ))}
+        </div>
+
+        {/* Candidates */}
+        {candidates.length === 0 ? (
+          <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-8 text-center text-sm text-gray-500">
+            {isLoading ? 'Loading duplicates...' : 'No duplicates with this status'}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {candidates.map(candidate => {
+              const keepId = keepIds[candidate.id] || candidate.suggestedCanonicalId;
+              const isPending = candidate.status === 'pending';
+
+              return (
+                <div key={candidate.id} className="bg-white border border-gray-200 rounded-xl shadow-sm p-4 space-y-4">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="text-sm font-semibold text-gray-900">Match {formatPercent(candidate.score)}</span>
+                      {(Object.keys(SIGNAL_LABELS) as MatchSignal[]).map(signal => (
+                        <span
+                          key={signal}
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${signalClassName(candidate.signals[signal])}`}
+                        >
+                          {SIGNAL_LABELS[signal]} {candidate.signals[signal] === null ? 'n/a' : formatPercent(candidate.signals[signal] as number)}
+                        </span>
+                      ))}
+                    </div>
+                    {!isPending && (
+                      <span className="text-xs text-gray-500">Reviewed {formatDate(candidate.reviewed_at)}</span>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {[candidate.festivalA, candidate.festivalB].map((festival, index) => {
+                      const festivalId = index === 0 ? candidate.festival_a : candidate.festival_b;
+                      const isKept = keepId === festivalId;
+                      return (
+                        <label
+                          key={festivalId}
+                          className={`block border rounded-lg p-3 ${
+                            isKept ? 'border-green-500 bg-green-50' : 'border-gray-200'
+                          } ${isPending ? 'cursor-pointer' : ''}`}
+                        >
+                          {isPending && (
+                            <div className="flex items-center text-xs font-medium text-gray-600 mb-2">
+                              <input
+                                type="radio"
+                                name={`keep-${candidate.id}`}
+                                checked={isKept}
+                                onChange={() => setKeepIds(prev => ({ ...prev, [candidate.id]: festivalId }))}
+                                className="mr-2"
+                              />
+                              Keep this festival
+                            </div>
+                          )}
+                          {!isPending && isKept && candidate.status === 'confirmed' && (
+                            <div className="text-xs font-medium text-green-700 mb-2">Kept</div>
+                          )}
+                          <FestivalSummary festival={festival} />
+                        </label>
+                      );
+                    })}
+                  </div>
+
+                  {isPending && (
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => handleReview(candidate, 'reject')}
+                        disabled={reviewingId === candidate.id}
+                        className="inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium bg-white border border-gray-200 hover:bg-gray-50 text-gray-700"
+                      >
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Not a duplicate
+                      </button>
+                      <button
+                        onClick={() => handleReview(candidate, 'confirm')}
+                        disabled={reviewingId === candidate.id || !keepId}
+                        className="inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium bg-green-600 hover:bg-green-700 text-white"
+                      >
+                        {reviewingId === candidate.id ? (
+                          <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                        ) : (
+                          <GitMerge className="h-4 w-4 mr-1" />
+                        )}
+                        Merge
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FestivalMergesPage;
@@ -1,7 +1,8 @@
 'use client';
 
 import React, { useState } from 'react';
-import { Trash2, AlertTriangle, CheckCircle, Loader2 } from 'lucide-react';
+import Link from 'next/link';
+import { Trash2, AlertTriangle, CheckCircle, Loader2, ListChecks, Wallet, GitMerge } from 'lucide-react';
 import { useFestival } from '../contexts/FestivalContext';
 import { useNotification } from '../contexts/NotificationContext';
 
@@ -128,6 +129,69 @@ const DevToolsPage: React.FC = () => {
           </div>
         </div>
 
+        {/* Research Job Queue */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
+          <div className="flex items-start justify-between">
+            <div className="flex-1">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                📋 Research Job Queue
+              </h2>
+              <p className="text-gray-600">
+                Inspect queued, running and permanently failed background research jobs and requeue failed ones.
+              </p>
+            </div>
+            <Link
+              href="/dev-tools/research-jobs"
+              className="ml-6 flex items-center px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <ListChecks className="h-4 w-4 mr-2" />
+              Open Queue
+            </Link>
+          </div>
+        </div>
+
+        {/* Research Usage */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
+          <div className="flex items-start justify-between">
+            <div className="flex-1">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                💸 Research Usage &amp; Budgets
+              </h2>
+              <p className="text-gray-600">
+                See API spend per provider and festival and set monthly budgets that block or downgrade research.
+              </p>
+            </div>
+            <Link
+              href="/dev-tools/research-usage"
+              className="ml-6 flex items-center px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <Wallet className="h-4 w-4 mr-2" />
+              Open Usage
+            </Link>
+          </div>
+        </div>
+
+        {/* Duplicate Festivals */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
+          <div className="flex items-start justify-between">
+            <div className="flex-1">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                🧬 Duplicate Festivals
+              </h2>
+              <p className="text-gray-600">
+                Review festivals imported more than once from different sources and merge them into one.
+              </p>
+            </div>
+            <Link
+              href="/dev-tools/festival-merges"
+              className="ml-6 flex items-center px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <GitMerge className="h-4 w-4 mr-2" />
+              Open Review
+            </Link>
+          </div>
+        </div>
+
         {/* System Information */}
         <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">
@@ -0,0 +1,176 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, RefreshCw, RotateCcw, Loader2, Clock, PlayCircle, CheckCircle, XCircle } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import type { ResearchJobStatus, ResearchJobWithFestival } from '../../../lib/research/job-queue';
+
+const STATUS_TABS: { status: ResearchJobStatus; label: string; icon: React.ElementType; className: string }[] = [
+  { status: 'queued', label: 'Queued', icon: Clock, className: 'text-blue-600' },
+  { status: 'running', label: 'Running', icon: PlayCircle, className: 'text-yellow-600' },
+  { status: 'dead', label: 'Failed', icon: XCircle, className: 'text-red-600' },
+  { status: 'completed', label: 'Completed', icon: CheckCircle, className: 'text-green-600' },
+];
+
+const formatTime = (value: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+const ResearchJobsPage: React.FC = () => {
+  const [activeStatus, setActiveStatus] = useState<ResearchJobStatus>('queued');
+  const [jobs, setJobs] = useState<ResearchJobWithFestival[]>([]);
+  const [counts, setCounts] = useState<Partial<Record<ResearchJobStatus, number>>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [retryingId, setRetryingId] = useState<string | null>(null);
+  const { showSuccess, showError } = useNotification();
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/admin/research-jobs?status=${activeStatus}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load jobs');
+      }
+      setJobs(data.jobs);
+      setCounts(data.counts);
+    } catch (error) {
+      console.error('Error loading research jobs:', error);
+      showError(`Failed to load research jobs: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [activeStatus, showError]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleRetry = async (jobId: string) => {
+    try {
+      setRetryingId(jobId);
+      const response = await fetch('/api/admin/research-jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to requeue job');
+      }
+      showSuccess('Job requeued');
+      await loadJobs();
+    } catch (error) {
+      showError(`Failed to requeue job: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <Link href="/dev-tools" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Developer Tools
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Research Jobs</h1>
+            <p className="text-gray-600 mt-2">
+              Background research queue processed by the cron job every 2 minutes.
+            </p>
+          </div>
+          <button
+            onClick={loadJobs}
+            disabled={isLoading}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium bg-white border border-gray-200 hover:bg-gray-50 text-gray-700"
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {/* Status tabs */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {STATUS_TABS.map(({ status, label, icon: Icon, className }) => (
+            <button
+              key={status}
+              onClick={() => setActiveStatus(status)}
+              className={`bg-white border rounded-xl shadow-sm p-4 text-left transition-colors ${
+                activeStatus === status ? 'border-blue-500 ring-1 ring-blue-500' : 'border-gray-200 hover:border-gray-300'
+              }`}
+            >
+              <div className={`flex items-center text-sm font-medium ${className}`}>
+                <Icon className="h-4 w-4 mr-2" />
+                {label}
+              </div>
+              <div className="text-2xl font-bold text-gray-900 mt-1">{counts[status] ?? 0}</div>
+            </button>
+          ))}
+        </div>
+
+        {/* Job list */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
+          {jobs.length === 0 ? (
+            <div className="p-8 text-center text-sm text-gray-500">
+              {isLoading ? 'Loading jobs...' : 'No jobs with this status'}
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Festival</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Provider</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Attempts</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">
+                    {activeStatus === 'running' ? 'Lease expires' : activeStatus === 'queued' ? 'Next run' : 'Updated'}
+                  </th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Last error</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {jobs.map(job => (
+                  <tr key={job.id}>
+                    <td className="px-4 py-2 text-gray-900">{job.festivals?.name || job.festival_id}</td>
+                    <td className="px-4 py-2 text-gray-600 uppercase">{job.provider}</td>
+                    <td className="px-4 py-2 text-gray-600">{job.attempts}/{job.max_attempts}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {formatTime(
+                        activeStatus === 'running' ? job.lease_expires_at
+                          : activeStatus === 'queued' ? job.run_at
+                          : job.updated_at
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-red-600 max-w-xs truncate" title={job.last_error || undefined}>
+                      {job.last_error || ''}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {(job.status === 'dead' || job.status === 'queued') && (
+                        <button
+                          onClick={() => handleRetry(job.id)}
+                          disabled={retryingId === job.id}
+                          className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white"
+                        >
+                          {retryingId === job.id ? (
+                            <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                          ) : (
+                            <RotateCcw className="h-3 w-3 mr-1" />
+                          )}
+                          {job.status === 'dead' ? 'Retry' : 'Run now'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResearchJobsPage;
@@ -0,0 +1,302 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, RefreshCw, Loader2, Save, Trash2 } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import {
+  USAGE_PROVIDERS,
+  formatUsd,
+  type BudgetAction,
+  type BudgetStatus,
+  type FestivalUsageSummary,
+  type ProviderUsageSummary,
+  type UsageProvider,
+} from '../../../lib/research/research-usage';
+
+interface BudgetDraft {
+  limit: string;
+  action: BudgetAction;
+}
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const formatNumber = (value: number) => Math.round(value).toLocaleString();
+
+const ResearchUsagePage: React.FC = () => {
+  const [month, setMonth] = useState(currentMonth());
+  const [providers, setProviders] = useState<ProviderUsageSummary[]>([]);
+  const [festivals, setFestivals] = useState<FestivalUsageSummary[]>([]);
+  const [budgets, setBudgets] = useState<BudgetStatus[]>([]);
+  const [drafts, setDrafts] = useState<Partial<Record<UsageProvider, BudgetDraft>>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [savingProvider, setSavingProvider] = useState<UsageProvider | null>(null);
+  const { showSuccess, showError } = useNotification();
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/admin/research-usage?month=${month}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load usage');
+      }
+      setProviders(data.providers);
+      setFestivals(data.festivals);
+      setBudgets(data.budgets);
+      setDrafts(Object.fromEntries(
+        (data.budgets as BudgetStatus[]).map(budget => [
+          budget.provider,
+          { limit: String(budget.limitUsd ?? ''), action: budget.action ?? 'block' },
+        ])
+      ));
+    } catch (error) {
+      console.error('Error loading research usage:', error);
+      showError(`Failed to load research usage: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [month, showError]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const updateDraft = (provider: UsageProvider, changes: Partial<BudgetDraft>) => {
+    setDrafts(current => ({
+      ...current,
+      [provider]: { limit: '', action: 'block', ...current[provider], ...changes },
+    }));
+  };
+
+  const handleSaveBudget = async (provider: UsageProvider) => {
+    const draft = drafts[provider];
+    const monthlyLimitUsd = parseFloat(draft?.limit || '');
+    if (!draft || isNaN(monthlyLimitUsd) || monthlyLimitUsd < 0) {
+      showError('Enter a monthly limit in USD');
+      return;
+    }
+
+    try {
+      setSavingProvider(provider);
+      const response = await fetch('/api/admin/research-usage', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ provider, monthlyLimitUsd, onExceeded: draft.action }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save budget');
+      }
+      showSuccess('Budget saved');
+      await loadUsage();
+    } catch (error) {
+      showError(`Failed to save budget: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setSavingProvider(null);
+    }
+  };
+
+  const handleRemoveBudget = async (provider: UsageProvider) => {
+    try {
+      setSavingProvider(provider);
+      const response = await fetch(`/api/admin/research-usage?provider=${provider}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to remove budget');
+      }
+      showSuccess('Budget removed');
+      await loadUsage();
+    } catch (error) {
+      showError(`Failed to remove budget: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setSavingProvider(null);
+    }
+  };
+
+  const totalCost = providers.reduce((sum, row) => sum + row.cost_usd, 0);
+  const isCurrentMonth = month === currentMonth();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <Link href="/dev-tools" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Developer Tools
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Research Usage</h1>
+            <p className="text-gray-600 mt-2">
+              API spend per provider and festival. Budgets apply to the current calendar month (UTC).
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="month"
+              value={month}
+              max={currentMonth()}
+              onChange={(e) => setMonth(e.target.value || currentMonth())}
+              className="px-3 py-2 rounded-md text-sm border border-gray-200 bg-white text-gray-700"
+            />
+            <button
+              onClick={loadUsage}
+              disabled={isLoading}
+              className="flex items-center px-4 py-2 rounded-md text-sm font-medium bg-white border border-gray-200 hover:bg-gray-50 text-gray-700"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {/* Spend per provider with budgets */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Per provider</h2>
+            <span className="text-sm text-gray-600">Total {formatUsd(totalCost)}</span>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Provider</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Requests</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Usage</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Spend</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Monthly budget</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {USAGE_PROVIDERS.map(({ id, label, unit }) => {
+                const usage = providers.find(row => row.provider === id);
+                const budget = budgets.find(row => row.provider === id);
+                const draft = drafts[id];
+                const percentage = budget?.limitUsd ? Math.min(100, (budget.spentUsd / budget.limitUsd) * 100) : 0;
+
+                return (
+                  <tr key={id}>
+                    <td className="px-4 py-3 font-medium text-gray-900">{label}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{formatNumber(usage?.requests ?? 0)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">
+                      {unit === 'tokens'
+                        ? `${formatNumber((usage?.input_tokens ?? 0) + (usage?.output_tokens ?? 0))} tokens`
+                        : unit === 'compute units'
+                          ? `${(usage?.compute_units ?? 0).toFixed(2)} CU`
+                          : `${formatNumber(usage?.requests ?? 0)} ${unit}`}
+                    </td>
+                    <td className="px-4 py-3 text-right font-medium text-gray-900">{formatUsd(usage?.cost_usd ?? 0)}</td>
+                    <td className="px-4 py-3">
+                      {budget && (
+                        <div className="mb-2">
+                          <div className="flex justify-between text-xs text-gray-500 mb-1">
+                            <span>{formatUsd(budget.spentUsd)} of {formatUsd(budget.limitUsd ?? 0)} this month</span>
+                            {budget.exceeded && (
+                              <span className="font-medium text-red-600">
+                                {budget.action === 'downgrade' ? 'Exceeded, downgrading' : 'Exceeded, blocked'}
+                              </span>
+                            )}
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-1.5">
+                            <div
+                              className={`h-1.5 rounded-full ${budget.exceeded ? 'bg-red-500' : percentage > 80 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                              style={{ width: `${percentage}%` }}
+                            />
+                          </div>
+                        </div>
+                      )}
+                      <div className="flex items-center space-x-2">
+                        <span className="text-gray-500">$</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          placeholder="No limit"
+                          value={draft?.limit ?? ''}
+                          onChange={(e) => updateDraft(id, { limit: e.target.value })}
+                          className="w-24 px-2 py-1 border border-gray-200 rounded-md text-sm"
+                        />
+                        <select
+                          value={draft?.action ?? 'block'}
+                          onChange={(e) => updateDraft(id, { action: e.target.value as BudgetAction })}
+                          className="px-2 py-1 border border-gray-200 rounded-md text-sm bg-white"
+                        >
+                          <option value="block">Block</option>
+                          <option value="downgrade">Downgrade</option>
+                        </select>
+                        <button
+                          onClick={() => handleSaveBudget(id)}
+                          disabled={savingProvider === id}
+                          className="p-1.5 rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                          title="Save budget"
+                        >
+                          {savingProvider === id ? <Loader2 className="h-3 w-3 animate-spin" /> : <Save className="h-3 w-3" />}
+                        </button>
+                        {budget && (
+                          <button
+                            onClick={() => handleRemoveBudget(id)}
+                            disabled={savingProvider === id}
+                            className="p-1.5 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50"
+                            title="Remove budget"
+                          >
+                            <Trash2 className="h-3 w-3" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="px-4 py-2 text-xs text-gray-500 border-t border-gray-100">
+            Block fails research that needs the provider. Downgrade runs queued research with the most
+            capable cheaper provider that is still within budget.
+            {!isCurrentMonth && ' Budget bars always show the current month.'}
+          </p>
+        </div>
+
+        {/* Spend per festival */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Per festival</h2>
+          </div>
+          {festivals.length === 0 ? (
+            <div className="p-8 text-center text-sm text-gray-500">
+              {isLoading ? 'Loading usage...' : 'No research spend recorded for festivals this month'}
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Festival</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Runs</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Requests</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">By provider</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Spend</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {festivals.map(festival => (
+                  <tr key={festival.festival_id}>
+                    <td className="px-4 py-2 text-gray-900">{festival.festival_name}</td>
+                    <td className="px-4 py-2 text-right text-gray-600">{festival.runs}</td>
+                    <td className="px-4 py-2 text-right text-gray-600">{formatNumber(festival.requests)}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {Object.entries(festival.cost_by_provider)
+                        .map(([provider, cost]) => `${provider} ${formatUsd(Number(cost))}`)
+                        .join(' · ')}
+                    </td>
+                    <td className="px-4 py-2 text-right font-medium text-gray-900">{formatUsd(festival.cost_usd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResearchUsagePage;
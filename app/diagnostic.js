@@ -20,7 +20,7 @@ export default function DiagnosticPage() {
           status: apiResponse.status,
           ok: apiResponse.ok,
           data: apiData,
-          count: Array.isArray(apiData) ? apiData.length : 'not an array'
+          count: Array.isArray(apiData.data) ? apiData.data.length : 'not an array'
         });
         
         // Check diagnostic endpoint
@@ -11,6 +11,7 @@ function ExtensionFeedContent() {
   const { 
     festivals: allFestivals, 
     loading: isLoading,
+    allLoaded,
     fetchFestivals,
     toggleFavorite,
     toggleArchived,
@@ -69,12 +70,12 @@ function ExtensionFeedContent() {
 
   // Fetch festivals on component mount
   useEffect(() => {
-    if (allFestivals.length === 0 && !isLoading) {
+    if (!allLoaded && !isLoading) {
       fetchFestivals();
-    } else if (allFestivals.length > 0) {
+    } else if (allLoaded) {
       setLoading(false);
     }
-  }, [allFestivals.length, isLoading, fetchFestivals]);
+  }, [allLoaded, allFestivals.length, isLoading, fetchFestivals]);
 
   // Handle search
   const handleSearch = (e) => {
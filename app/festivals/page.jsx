@@ -1,10 +1,13 @@
 'use client';
 
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
 import { NotificationProvider, useNotification } from '../contexts/NotificationContext.js';
 import { useStorage } from '../contexts/StorageContext';
 import { useFestival } from '../contexts/FestivalContext';
+import { useAuth } from '../contexts/AuthContext';
 import FestivalTable from '../../components/festival/FestivalTable';
+import MonthPaginator from '../../components/festival/MonthPaginator';
 import * as dateFns from 'date-fns';
 import { Search, CreditCard, ChevronLeft, ChevronRight, Calendar } from 'lucide-react';
 
@@ -25,15 +28,15 @@ const {
   isSameDay
 } = dateFns;
 
-// LocalStorage keys
-const FAVORITES_STORAGE_KEY = 'festifind-favorites';
+// Festivals per page; only the visible page is fetched
+const PAGE_SIZE = 50;
 
 // Main component content
 function FestivalsContent() {
   const { 
     festivals: allFestivals, 
     loading: isLoading,
-    fetchFestivals,
+    queryFestivals,
     toggleFavorite,
     toggleArchived,
     updateNotes,
@@ -41,6 +44,7 @@ function FestivalsContent() {
     updateSalesStage,
     updateRateCard,
     updateEmails,
+    removeContact,
     updateLinkedIn,
     initiateResearch,
     refreshResearchStatus,
@@ -67,83 +71,70 @@ function FestivalsContent() {
   const storage = useStorage();
   const initialMessageShown = useRef(false);
 
-  // Compute displayedFestivals instead of storing in state
-  const displayedFestivals = useMemo(() => {
-    if (allFestivals.length === 0) return [];
-    
-    let filteredFestivals = [...allFestivals];
-    
-    // Apply favorite/archived filter
+  const { user } = useAuth();
+  const searchParams = useSearchParams();
+  // Chosen by clicking a column header; otherwise search results come best match first
+  const [chosenSort, setChosenSort] = useState(null);
+  const searchActive = isSearching && searchTerm.trim() !== '';
+  const sort = chosenSort || (searchActive && !showAllFestivals
+    ? { field: 'relevance', direction: 'desc' }
+    : { field: 'start_date', direction: 'asc' });
+  const [pageIds, setPageIds] = useState([]);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [pageIndex, setPageIndex] = useState(0);
+  // Cursor to fetch each page visited so far; the first page has none
+  const [pageCursors, setPageCursors] = useState([null]);
+  const latestPageRequest = useRef(0);
+
+  // The filters on screen as a festivals API query
+  const festivalQuery = useMemo(() => {
+    const query = { sort: sort.field, direction: sort.direction, limit: PAGE_SIZE };
+
+    // Apply favorite/archived filter; in "all", archived festivals are left out
     if (filter === 'favorites') {
-      filteredFestivals = filteredFestivals.filter(festival => festival.favorite && !festival.archived);
+      query.favorite = true;
+      query.archived = false;
     } else if (filter === 'archived') {
-      filteredFestivals = filteredFestivals.filter(festival => festival.archived);
+      query.archived = true;
     } else {
-      // In "all" filter, exclude archived items
-      filteredFestivals = filteredFestivals.filter(festival => !festival.archived);
-    }
-    
-    if (showAllFestivals) {
-      return filteredFestivals;
+      query.archived = false;
     }
-    
-    // Apply rate card filters if active
+
     if (showRateCardRequested) {
-      return filteredFestivals.filter(festival => festival.rate_card_requested === true);
+      query.rateCard = 'requested';
+    } else if (showRateCardReceived) {
+      query.rateCard = 'received';
+    } else if (showRateCardPending) {
+      query.rateCard = 'pending';
     }
-    else if (showRateCardReceived) {
-      return filteredFestivals.filter(festival => festival.rate_card_received === true);
-    }
-    else if (showRateCardPending) {
-      return filteredFestivals.filter(festival => 
-        festival.rate_card_requested === true && festival.rate_card_received === false
-      );
+
+    if (showAllFestivals) {
+      return query;
     }
-    // Search filtering
-    else if (isSearching && searchTerm.trim()) {
-      const searchLower = searchTerm.toLowerCase();
-      return filteredFestivals.filter(festival => 
-        (festival.name && festival.name.toLowerCase().includes(searchLower)) ||
-        (festival.location && festival.location.toLowerCase().includes(searchLower))
-      );
-    } 
-    // Date filtering
-    else if (showNullDates) {
-      // Filter festivals with null dates
-      return filteredFestivals.filter(
-        festival => !festival.start_date && !festival.end_date
-      );
-    } 
-    else {
-      // Calculate date range based on current month or week
+
+    if (isSearching && searchTerm.trim()) {
+      query.search = searchTerm.trim();
+    } else if (showNullDates) {
+      query.dateless = true;
+    } else {
+      // Festivals overlapping the current month or the selected week
       let startDate, endDate;
-      
       if (weekFilterActive && selectedWeek) {
-        // Calculate start and end dates for the selected week
         const weekDate = setWeek(new Date(currentMonth.getFullYear(), 0, 1), selectedWeek);
         startDate = startOfWeek(weekDate, { weekStartsOn: 1 }); // Monday
         endDate = endOfWeek(weekDate, { weekStartsOn: 1 }); // Sunday
       } else {
-        // Calculate start and end dates for current month
         startDate = startOfMonth(currentMonth);
         endDate = endOfMonth(currentMonth);
       }
-      
-      // Filter festivals that overlap with the date range
-      return filteredFestivals.filter(festival => {
-        if (!festival.start_date || !festival.end_date) return false;
-        
-        const festivalStartDate = parseISO(festival.start_date);
-        const festivalEndDate = parseISO(festival.end_date);
-        
-        // Festival overlaps with range if:
-        // (festival start <= range end) AND (festival end >= range start)
-        return (festivalStartDate.getTime() <= endDate.getTime()) && 
-               (festivalEndDate.getTime() >= startDate.getTime());
-      });
+      query.dateFrom = format(startDate, 'yyyy-MM-dd');
+      query.dateTo = format(endDate, 'yyyy-MM-dd');
     }
+
+    return query;
   }, [
-    allFestivals, 
+    sort.field,
+    sort.direction,
     filter, 
     showAllFestivals, 
     showRateCardRequested, 
@@ -157,16 +148,81 @@ function FestivalsContent() {
     currentMonth
   ]);
 
-  // Ensure we have festivals data
+  // Fetch one page; the rows land in the context so edits to them show right away
+  const loadPage = async (cursor, index) => {
+    const requestId = ++latestPageRequest.current;
+    setLoading(true);
+
+    try {
+      const page = await queryFestivals({ ...festivalQuery, cursor, includeTotal: index === 0 });
+      // A newer page was asked for while this one loaded
+      if (requestId !== latestPageRequest.current) return;
+
+      setPageIds(page.ids);
+      setPageInfo(prev => ({ ...page.pageInfo, total: page.pageInfo.total ?? prev?.total ?? null }));
+      setPageIndex(index);
+      setPageCursors(prev => [...prev.slice(0, index), cursor, page.pageInfo.nextCursor]);
+      setInitialLoadComplete(true);
+
+      // Earlier editions are usually in another month; fetch them for the edition history
+      const seriesIds = [...new Set(page.festivals.map(festival => festival.series_id).filter(Boolean))];
+      if (seriesIds.length > 0) {
+        queryFestivals({ seriesIds, limit: 1000 }).catch(error => {
+          console.error('Error loading earlier editions:', error);
+        });
+      }
+    } catch (error) {
+      if (requestId !== latestPageRequest.current) return;
+      console.error('Error loading festivals:', error);
+      showError(`Failed to load festivals: ${error.message || 'Unknown error'}`);
+    } finally {
+      if (requestId === latestPageRequest.current) setLoading(false);
+    }
+  };
+
+  // Back to the first page whenever the filters, the sort or the user change
+  const festivalQueryKey = JSON.stringify(festivalQuery);
+  useEffect(() => {
+    if (isLoading) return;
+    setPageCursors([null]);
+    loadPage(null, 0);
+  }, [festivalQueryKey, user?.id, isLoading]);
+
+  const goToNextPage = () => {
+    if (pageInfo?.nextCursor) loadPage(pageInfo.nextCursor, pageIndex + 1);
+  };
+
+  const goToPreviousPage = () => {
+    if (pageIndex > 0) loadPage(pageCursors[pageIndex - 1], pageIndex - 1);
+  };
+
+  const handleSortChange = (field, direction) => {
+    setChosenSort({ field, direction });
+  };
+
+  // Searches opened from the global search box
+  const searchParam = searchParams.get('search');
+  useEffect(() => {
+    if (!searchParam) return;
+    setSearchTerm(searchParam);
+    setIsSearching(true);
+    setShowAllFestivals(false);
+    setChosenSort(null);
+  }, [searchParam]);
+
+  // The page's festivals as they are in the context now
+  const displayedFestivals = useMemo(() => {
+    const festivalsById = new Map(allFestivals.map(festival => [festival.id, festival]));
+    return pageIds.map(id => festivalsById.get(id)).filter(Boolean);
+  }, [allFestivals, pageIds]);
+
+  // Show initial message about the month filter on first load - only once
   useEffect(() => {
-    if (allFestivals.length === 0 && !isLoading) {
-      fetchFestivals();
-    } else if (allFestivals.length > 0 && initialLoadComplete && !showAllFestivals && !isSearching && !showNullDates && !initialMessageShown.current) {
-      // Show initial message about January filter on first load - only once
+    if (initialLoadComplete && !showAllFestivals && !isSearching && !showNullDates && !initialMessageShown.current) {
       showInfo(`Showing festivals for ${format(currentMonth, 'MMMM yyyy')}`);
       initialMessageShown.current = true;
     }
-  }, [allFestivals.length, isLoading, fetchFestivals, initialLoadComplete, showAllFestivals, isSearching, showNullDates, currentMonth, showInfo]);
+  }, [initialLoadComplete, showAllFestivals, isSearching, showNullDates, currentMonth, showInfo]);
 
   // DISABLED: Refresh research status when festivals load to prevent excessive API calls
   const researchRefreshRequestedRef = useRef(false);
@@ -180,13 +236,6 @@ function FestivalsContent() {
     }
   }, [allFestivals.length, isLoading]);
 
-  // Update loading state when festivals change
-  useEffect(() => {
-    if (allFestivals.length === 0) return;
-    setInitialLoadComplete(true);
-    setLoading(false);
-  }, [allFestivals]);
-
   // Handle search submit
   const handleSearch = (e) => {
     e?.preventDefault();
@@ -198,7 +247,8 @@ function FestivalsContent() {
     
     setShowAllFestivals(false); // Exit "show all" mode when searching
     setIsSearching(true);
-    // The filtering will happen automatically in the useEffect
+    setChosenSort(null);
+    // The new query is fetched automatically by the effect above
   };
   
   // Clear search and return to month view
@@ -276,24 +326,21 @@ function FestivalsContent() {
   const handleUpdateDates = async (festivalId, startDate, endDate) => {
     updateDates(festivalId, startDate, endDate);
     showSuccess('Festival dates updated');
-    
-    // Re-apply filters if we're in the "Unknown" section or date filtering is active
-    if (showNullDates || (!isSearching && !showNullDates)) {
-      // The filtering will happen automatically in the useEffect
-    }
   };
 
-  // Get available months for quick navigation
+  // Month shortcuts for the year being browsed
   const availableMonths = [];
-  const now = new Date();
-  const startYear = 2025;
-  const endYear = 2025;
-  
-  for (let year = startYear; year <= endYear; year++) {
-    for (let month = 0; month < 12; month++) {
-      availableMonths.push(new Date(year, month, 1));
-    }
+  for (let month = 0; month < 12; month++) {
+    availableMonths.push(new Date(currentMonth.getFullYear(), month, 1));
   }
+
+  const handleMonthChange = (month) => {
+    setCurrentMonth(month);
+    setShowAllFestivals(false);
+    setShowNullDates(false);
+    setWeekFilterActive(false);
+    setSelectedWeek(null);
+  };
   
   // Get available weeks for the current month
   const getWeeksInMonth = () => {
@@ -402,9 +449,9 @@ function FestivalsContent() {
   };
   
   // Handle email update
-  const handleEmailUpdate = async (festivalId, email) => {
+  const handleEmailUpdate = async (festivalId, email, details) => {
     try {
-      await updateEmails(festivalId, email);
+      await updateEmails(festivalId, email, details);
     } catch (error) {
       console.error('Error updating email:', error);
       // Error handling is done in the context function
@@ -442,7 +489,7 @@ function FestivalsContent() {
   };
   
   // Loading state
-  if (isLoading && allFestivals.length === 0) {
+  if (isLoading && !pageInfo) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 flex justify-center items-center">
         <div className="text-center">
@@ -504,6 +551,8 @@ function FestivalsContent() {
         {/* Month Navigation Card */}
         <div className="bg-white border border-gray-200 p-6 rounded-xl shadow-sm">
           <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-4">Date Navigation</h3>
+
+          <MonthPaginator currentMonth={currentMonth} onMonthChange={handleMonthChange} />
           
           {/* Month Shortcuts */}
           <div className="flex flex-wrap gap-2 justify-center mb-4">
@@ -521,12 +570,7 @@ function FestivalsContent() {
             {availableMonths.map((month, index) => (
               <button
                 key={index}
-                onClick={() => {
-                  setCurrentMonth(month);
-                  setShowAllFestivals(false);
-                  setWeekFilterActive(false);
-                  setSelectedWeek(null);
-                }}
+                onClick={() => handleMonthChange(month)}
                 className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
                   !showAllFestivals && !showNullDates && !weekFilterActive && 
                   month.getMonth() === currentMonth.getMonth() && 
@@ -635,7 +679,7 @@ function FestivalsContent() {
       
         {/* Loading spinner or table */}
         <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
-          {loading ? (
+          {loading && !pageInfo ? (
             <div className="flex justify-center p-8">
               <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
             </div>
@@ -649,8 +693,13 @@ function FestivalsContent() {
                 onUpdateDates={handleUpdateDates}
                 onUpdateRateCard={handleUpdateRateCard}
                 onEmailUpdate={handleEmailUpdate}
+                onContactRemove={removeContact}
                 onLinkedInUpdate={handleLinkedInUpdate}
                 onResearch={handleResearch}
+                allFestivals={allFestivals}
+                onBulkResearchFinished={fetchFestivalsWithResearch}
+                sort={sort}
+                onSortChange={handleSortChange}
               />
             </div>
           )}
@@ -659,20 +708,47 @@ function FestivalsContent() {
         {/* Stats footer */}
         <div className="flex justify-between items-center py-2">
           <div className="text-sm text-gray-600">
-            Showing <span className="font-semibold text-gray-900">{displayedFestivals.length}</span> festivals
-            {!showAllFestivals && (
+            Showing <span className="font-semibold text-gray-900">
+              {displayedFestivals.length > 0 ? `${pageIndex * PAGE_SIZE + 1}–${pageIndex * PAGE_SIZE + displayedFestivals.length}` : 0}
+            </span>
+            {pageInfo?.total != null && (
+              <span> of <span className="font-semibold text-gray-900">{pageInfo.total}</span></span>
+            )} festivals
+            {!showAllFestivals && !isSearching && !showNullDates && (
               <span> from <span className="font-semibold text-gray-900">{format(currentMonth, 'MMMM yyyy')}</span></span>
             )}
           </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={goToPreviousPage}
+              disabled={pageIndex === 0 || loading}
+              className="flex items-center px-3 py-1.5 text-sm font-medium rounded-lg bg-white border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="h-4 w-4 mr-1" />
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={goToNextPage}
+              disabled={!pageInfo?.hasMore || loading}
+              className="flex items-center px-3 py-1.5 text-sm font-medium rounded-lg bg-white border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight className="h-4 w-4 ml-1" />
+            </button>
+          </div>
         </div>
       </div>
     </div>
   );
 }
 
-// Wrapper component
+// Wrapper component; reading the search parameter needs a Suspense boundary
 export default function Festivals() {
   return (
-    <FestivalsContent />
+    <Suspense fallback={null}>
+      <FestivalsContent />
+    </Suspense>
   );
 } 
\ No newline at end of file
@@ -1,19 +1,38 @@
 'use client';
 
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Calendar, Wrench, Settings, Database } from 'lucide-react';
 import Link from 'next/link';
 import { useFestival } from '../contexts/FestivalContext';
+import { ENTRY_STAGE, defaultPipeline, pipelineFor } from '../../lib/festivals/pipelines';
 
 export default function Home() {
   const { 
     festivals, 
     loading, 
     loadingProgress,
+    allLoaded,
     fetchFestivals,
-    fetchFestivalsWithResearch 
+    fetchFestivalsWithResearch,
+    pipelines
   } = useFestival();
+
+  // The sales charts show one pipeline at a time
+  const [chartPipelineId, setChartPipelineId] = useState<string | null>(null);
+  const chartPipeline = pipelineFor(pipelines, chartPipelineId);
+  const defaultPipelineId = defaultPipeline(pipelines)?.id;
+  const pipelineFestivals = festivals.filter(f => (f.pipeline_id || defaultPipelineId) === chartPipeline?.id);
   
+  // Open duplicate candidates; merged duplicates are already left out of `festivals` by the API
+  const [pendingDuplicates, setPendingDuplicates] = useState<number | null>(null);
+
+  useEffect(() => {
+    fetch('/api/admin/festival-merges?limit=1')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setPendingDuplicates(data?.counts?.pending ?? null))
+      .catch(error => console.error('Error loading duplicate count:', error));
+  }, []);
+
   // Track if we've already done the initial research fetch
   const initialResearchFetchDone = useRef(false);
   
@@ -25,8 +44,8 @@ export default function Home() {
         console.log('Home page: festivals.length =', festivals.length);
         console.log('Home page: loading =', loading);
         
-        // Start loading festivals immediately if we don't have any
-        if (festivals.length === 0 && !loading) {
+        // Start loading festivals immediately if we don't have all of them
+        if (!allLoaded && !loading) {
           console.log('Home page: Starting festival loading...');
           await fetchFestivals();
         }
@@ -48,7 +67,7 @@ export default function Home() {
     // The research data will only be fetched once on initial load
     // Users can manually refresh if needed
     
-  }, [festivals.length, loading, fetchFestivals]); // Removed fetchFestivalsWithResearch from dependencies
+  }, [festivals.length, allLoaded, loading, fetchFestivals]); // Removed fetchFestivalsWithResearch from dependencies
   
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
@@ -115,27 +134,11 @@ export default function Home() {
               <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
                 <div className="text-center">
                   <div className="text-3xl font-bold text-orange-600">
-                    {(() => {
-                      // Deduplicate festivals based on similar names
-                      const uniqueFestivals = festivals.filter((festival, index, arr) => {
-                        const festivalName = festival.name?.toLowerCase().trim() || '';
-                        if (!festivalName) return true;
-                        
-                        // Check if there's an earlier festival with a similar name
-                        return !arr.slice(0, index).some(other => {
-                          const otherName = other.name?.toLowerCase().trim() || '';
-                          if (!otherName) return false;
-                          
-                          // Simple similarity check: if names are very similar or one contains the other
-                          return festivalName === otherName || 
-                                 festivalName.includes(otherName) || 
-                                 otherName.includes(festivalName);
-                        });
-                      });
-                      return uniqueFestivals.length.toLocaleString();
-                    })()}
+                    {pendingDuplicates === null ? '—' : pendingDuplicates.toLocaleString()}
                   </div>
-                  <div className="text-sm text-gray-500 mt-1">Festivals Filtered</div>
+                  <Link href="/dev-tools/festival-merges" className="text-sm text-gray-500 hover:text-gray-700 mt-1 inline-block">
+                    Duplicates to Review
+                  </Link>
                 </div>
               </div>
               <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
@@ -153,26 +156,11 @@ export default function Home() {
         {/* Festivals Per Month Chart */}
         {!loadingProgress && festivals.length > 0 && (
           <section>
-            <h2 className="text-lg font-semibold text-gray-900 mb-4">Festivals Per Month (Deduplicated)</h2>
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Festivals Per Month</h2>
             <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
             {(() => {
-              // Apply same deduplication logic
-              const uniqueFestivals = festivals.filter((festival, index, arr) => {
-                const festivalName = festival.name?.toLowerCase().trim() || '';
-                if (!festivalName) return true;
-                
-                return !arr.slice(0, index).some(other => {
-                  const otherName = other.name?.toLowerCase().trim() || '';
-                  if (!otherName) return false;
-                  
-                  return festivalName === otherName || 
-                         festivalName.includes(otherName) || 
-                         otherName.includes(festivalName);
-                });
-              });
-
               // Group by month
-              const monthCounts = uniqueFestivals.reduce((acc, festival) => {
+              const monthCounts = festivals.reduce((acc, festival) => {
                 if (festival.start_date) {
                   try {
                     const date = new Date(festival.start_date);
@@ -210,7 +198,7 @@ export default function Home() {
                     })}
                   </div>
                   <div className="text-center text-sm text-gray-600 dark:text-gray-400">
-                    Showing {uniqueFestivals.filter(f => f.start_date).length.toLocaleString()} festivals with valid dates
+                    Showing {festivals.filter(f => f.start_date).length.toLocaleString()} festivals with valid dates
                   </div>
                 </div>
               );
@@ -220,30 +208,35 @@ export default function Home() {
       )}
 
         {/* Sales Funnel Visualization */}
-        {!loadingProgress && festivals.length > 0 && (
+        {!loadingProgress && festivals.length > 0 && chartPipeline && (
           <section>
-            <h2 className="text-lg font-semibold text-gray-900 mb-4">Sales Funnel</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Sales Funnel</h2>
+              {pipelines.length > 1 && (
+                <select
+                  value={chartPipeline.id}
+                  onChange={(e) => setChartPipelineId(e.target.value)}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                >
+                  {pipelines.map(pipeline => (
+                    <option key={pipeline.id} value={pipeline.id}>{pipeline.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
             <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
             {(() => {
-              // Sales stages in funnel order
-              const salesStages = [
-                { id: 'favorited', title: 'Favorited', color: 'bg-gray-500' },
-                { id: 'outreach', title: 'Outreach', color: 'bg-red-500' },
-                { id: 'talking', title: 'Talking', color: 'bg-orange-500' },
-                { id: 'offer', title: 'Offer', color: 'bg-yellow-500' },
-                { id: 'deal', title: 'Deal', color: 'bg-green-500' }
-              ];
-
-              // Count festivals in each stage
-              const stageCounts = salesStages.map(stage => {
+              // Count festivals in each stage of the pipeline, in funnel order
+              const stageCounts = chartPipeline.stages.map(stage => {
                 let count = 0;
-                if (stage.id === 'favorited') {
-                  count = festivals.filter(f => f.favorite === true && (!f.sales_stage || f.sales_stage === 'favorited')).length;
+                if (stage.key === ENTRY_STAGE) {
+                  count = pipelineFestivals.filter(f => f.favorite === true && (!f.sales_stage || f.sales_stage === ENTRY_STAGE)).length;
                 } else {
-                  count = festivals.filter(f => f.sales_stage === stage.id).length;
+                  count = pipelineFestivals.filter(f => f.sales_stage === stage.key).length;
                 }
                 return { ...stage, count };
               });
+              const wonCount = stageCounts.filter(s => s.outcome === 'won').reduce((sum, s) => sum + s.count, 0);
 
               const totalFestivals = stageCounts.reduce((sum, stage) => sum + stage.count, 0);
               const maxCount = Math.max(...stageCounts.map(s => s.count), 1);
@@ -256,16 +249,16 @@ export default function Home() {
                       const width = maxCount > 0 ? (stage.count / maxCount * 100) : 0;
                       
                       return (
-                        <div key={stage.id} className="relative">
+                        <div key={stage.key} className="relative">
                           {/* Stage bar */}
                           <div className="flex items-center space-x-4">
                             <div className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">
-                              {stage.title}
+                              {stage.label}
                             </div>
                             <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-8 relative overflow-hidden">
                               <div 
-                                className={`h-full ${stage.color} transition-all duration-500 rounded-full flex items-center justify-end pr-3`}
-                                style={{ width: `${Math.max(width, stage.count > 0 ? 10 : 0)}%` }}
+                                className="h-full transition-all duration-500 rounded-full flex items-center justify-end pr-3"
+                                style={{ width: `${Math.max(width, stage.count > 0 ? 10 : 0)}%`, backgroundColor: stage.color }}
                               >
                                 <span className="text-white text-sm font-medium">
                                   {stage.count}
@@ -299,19 +292,19 @@ export default function Home() {
                       </div>
                       <div>
                         <div className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">
-                          {stageCounts.filter(s => ['talking', 'offer'].includes(s.id)).reduce((sum, s) => sum + s.count, 0).toLocaleString()}
+                          {stageCounts.filter(s => s.outcome === 'open' && s.key !== ENTRY_STAGE).reduce((sum, s) => sum + s.count, 0).toLocaleString()}
                         </div>
                         <div className="text-sm text-gray-600 dark:text-gray-400">Active Negotiations</div>
                       </div>
                       <div>
                         <div className="text-2xl font-bold text-green-600 dark:text-green-400">
-                          {stageCounts.find(s => s.id === 'deal')?.count || 0}
+                          {wonCount}
                         </div>
                         <div className="text-sm text-gray-600 dark:text-gray-400">Closed Deals</div>
                       </div>
                       <div>
                         <div className="text-2xl font-bold text-purple-600 dark:text-purple-400">
-                          {totalFestivals > 0 ? ((stageCounts.find(s => s.id === 'deal')?.count || 0) / totalFestivals * 100).toFixed(1) : 0}%
+                          {totalFestivals > 0 ? (wonCount / totalFestivals * 100).toFixed(1) : 0}%
                         </div>
                         <div className="text-sm text-gray-600 dark:text-gray-400">Conversion Rate</div>
                       </div>
@@ -325,19 +318,13 @@ export default function Home() {
       )}
 
         {/* Monthly Sales State Distribution */}
-        {!loadingProgress && festivals.length > 0 && (
+        {!loadingProgress && festivals.length > 0 && chartPipeline && (
           <section>
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Monthly Sales State Distribution</h2>
             <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-6">
             {(() => {
               // Sales stages with colors (same as funnel)
-              const salesStages = [
-                { id: 'favorited', title: 'Favorited', color: 'bg-gray-500', colorClass: 'bg-gray-500' },
-                { id: 'outreach', title: 'Outreach', color: 'bg-red-500', colorClass: 'bg-red-500' },
-                { id: 'talking', title: 'Talking', color: 'bg-orange-500', colorClass: 'bg-orange-500' },
-                { id: 'offer', title: 'Offer', color: 'bg-yellow-500', colorClass: 'bg-yellow-500' },
-                { id: 'deal', title: 'Deal', color: 'bg-green-500', colorClass: 'bg-green-500' }
-              ];
+              const salesStages = chartPipeline.stages;
 
               // Group festivals by month and sales stage
               const monthlyData = {};
@@ -347,33 +334,29 @@ export default function Home() {
               months.forEach((month, index) => {
                 monthlyData[index] = {
                   month: month,
-                  favorited: 0,
-                  outreach: 0,
-                  talking: 0,
-                  offer: 0,
-                  deal: 0,
+                  ...Object.fromEntries(salesStages.map(stage => [stage.key, 0])),
                   total: 0
                 };
               });
 
               // Count festivals by month and sales stage
-              festivals.forEach(festival => {
+              pipelineFestivals.forEach(festival => {
                 if (festival.start_date) {
                   try {
                     const date = new Date(festival.start_date);
                     const monthIndex = date.getMonth();
                     
                     let salesStage: string | null = null;
-                    if (festival.sales_stage && festival.sales_stage !== 'favorited') {
+                    if (festival.sales_stage && festival.sales_stage !== ENTRY_STAGE) {
                       // Festival is in active sales stage
                       salesStage = festival.sales_stage;
                     } else if (festival.favorite === true) {
                       // Festival is favorited but not in active sales
-                      salesStage = 'favorited';
+                      salesStage = ENTRY_STAGE;
                     }
                     // If festival is not favorited and has no sales stage, don't count it
                     
-                    if (salesStage && monthlyData[monthIndex]) {
+                    if (salesStage && monthlyData[monthIndex] && monthlyData[monthIndex][salesStage] !== undefined) {
                       monthlyData[monthIndex][salesStage]++;
                       monthlyData[monthIndex].total++;
                     }
@@ -391,9 +374,9 @@ export default function Home() {
                   {/* Legend */}
                   <div className="flex flex-wrap justify-center gap-4 mb-6">
                     {salesStages.map(stage => (
-                      <div key={stage.id} className="flex items-center space-x-2">
-                        <div className={`w-4 h-4 ${stage.colorClass} rounded`}></div>
-                        <span className="text-sm text-gray-700 dark:text-gray-300">{stage.title}</span>
+                      <div key={stage.key} className="flex items-center space-x-2">
+                        <div className="w-4 h-4 rounded" style={{ backgroundColor: stage.color }}></div>
+                        <span className="text-sm text-gray-700 dark:text-gray-300">{stage.label}</span>
                       </div>
                     ))}
                   </div>
@@ -412,50 +395,15 @@ export default function Home() {
                           >
                             {data.total > 0 && (
                               <>
-                                {/* Deal (Green) - Bottom */}
-                                {data.deal > 0 && (
-                                  <div 
-                                    className="w-full bg-green-500 transition-all duration-300"
-                                    style={{ height: `${(data.deal / data.total) * height}px` }}
-                                    title={`${data.deal} Deal${data.deal !== 1 ? 's' : ''}`}
-                                  ></div>
-                                )}
-                                
-                                {/* Offer (Yellow) */}
-                                {data.offer > 0 && (
-                                  <div 
-                                    className="w-full bg-yellow-500 transition-all duration-300"
-                                    style={{ height: `${(data.offer / data.total) * height}px` }}
-                                    title={`${data.offer} Offer${data.offer !== 1 ? 's' : ''}`}
-                                  ></div>
-                                )}
-                                
-                                {/* Talking (Orange) */}
-                                {data.talking > 0 && (
-                                  <div 
-                                    className="w-full bg-orange-500 transition-all duration-300"
-                                    style={{ height: `${(data.talking / data.total) * height}px` }}
-                                    title={`${data.talking} Talking`}
-                                  ></div>
-                                )}
-                                
-                                {/* Outreach (Red) */}
-                                {data.outreach > 0 && (
-                                  <div 
-                                    className="w-full bg-red-500 transition-all duration-300"
-                                    style={{ height: `${(data.outreach / data.total) * height}px` }}
-                                    title={`${data.outreach} Outreach`}
-                                  ></div>
-                                )}
-                                
-                                {/* Favorited (Gray) - Top */}
-                                {data.favorited > 0 && (
+                                {/* Last stage at the bottom, first stage on top */}
+                                {[...salesStages].reverse().map(stage => data[stage.key] > 0 && (
                                   <div 
-                                    className="w-full bg-gray-500 transition-all duration-300"
-                                    style={{ height: `${(data.favorited / data.total) * height}px` }}
-                                    title={`${data.favorited} Favorited`}
+                                    key={stage.key}
+                                    className="w-full transition-all duration-300"
+                                    style={{ height: `${(data[stage.key] / data.total) * height}px`, backgroundColor: stage.color }}
+                                    title={`${data[stage.key]} ${stage.label}`}
                                   ></div>
-                                )}
+                                ))}
                               </>
                             )}
                           </div>
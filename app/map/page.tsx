@@ -0,0 +1,290 @@
+'use client';
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import Link from 'next/link';
+import { Map as MapIcon, MapPin, Loader2, X } from 'lucide-react';
+import { format, endOfMonth } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { useFestival } from '../contexts/FestivalContext';
+import FestivalMap, { type FestivalMarker } from '../../components/festival/FestivalMap';
+import { buildStageIndex, stageLabel } from '../../lib/festivals/pipelines';
+import { toSearchParams, type FestivalQuery } from '../../lib/festivals/festival-query';
+import { geocodeLocation, type GeoPoint } from '../../lib/festivals/geocoding';
+import { PLACES } from '../../lib/festivals/gazetteer';
+import { formatDateRange } from '../../utils/dateUtils';
+import type { SalesStage } from '../../lib/types';
+
+const RADIUS_OPTIONS_KM = [10, 25, 50, 100, 200];
+const DEFAULT_RADIUS_KM = 50;
+
+// Festivals listed below the map for a radius search
+const MAX_LISTED = 50;
+
+interface RadiusSearch {
+  place: string;
+  center: GeoPoint;
+  radiusKm: number;
+}
+
+// This year and next, for the month filter
+const monthOptions = (): Date[] => {
+  const year = new Date().getFullYear();
+  return Array.from({ length: 24 }, (_, index) => new Date(year, index, 1));
+};
+
+const MapPage: React.FC = () => {
+  const { session } = useAuth();
+  const { showError } = useNotification();
+  const { pipelines } = useFestival();
+  const stageIndex = useMemo(() => buildStageIndex(pipelines), [pipelines]);
+  const [markers, setMarkers] = useState<FestivalMarker[]>([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [month, setMonth] = useState<string>('');
+  const [stages, setStages] = useState<SalesStage[]>([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [placeInput, setPlaceInput] = useState('');
+  const [radiusInput, setRadiusInput] = useState(DEFAULT_RADIUS_KM);
+  const [radiusSearch, setRadiusSearch] = useState<RadiusSearch | null>(null);
+
+  const accessToken = session?.access_token;
+  const months = useMemo(monthOptions, []);
+  const placeNames = useMemo(() => [...new Set(PLACES.map(place => place.name))].sort(), []);
+
+  const query = useMemo<FestivalQuery>(() => {
+    const monthStart = month ? new Date(`${month}-01T00:00:00`) : null;
+    return {
+      dateFrom: monthStart ? `${month}-01` : undefined,
+      dateTo: monthStart ? format(endOfMonth(monthStart), 'yyyy-MM-dd') : undefined,
+      salesStages: stages.length > 0 ? stages : undefined,
+      archived: showArchived ? undefined : false,
+      near: radiusSearch?.center,
+      radiusKm: radiusSearch?.radiusKm,
+    };
+  }, [month, stages, showArchived, radiusSearch]);
+
+  const queryString = toSearchParams(query).toString();
+
+  const loadMarkers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/festivals/map?${queryString}`, {
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load the map');
+      }
+      setMarkers(result.data || []);
+      setTruncated(Boolean(result.truncated));
+    } catch (error) {
+      console.error('Error loading festival map:', error);
+      showError(`Failed to load the map: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [queryString, accessToken, showError]);
+
+  useEffect(() => {
+    loadMarkers();
+  }, [loadMarkers]);
+
+  const handleRadiusSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!placeInput.trim()) {
+      setRadiusSearch(null);
+      return;
+    }
+    const geocoded = geocodeLocation(placeInput);
+    if (!geocoded || geocoded.latitude === null || geocoded.longitude === null) {
+      showError(`Unknown place "${placeInput.trim()}". Try a city or town in the Netherlands, Belgium or Germany.`);
+      return;
+    }
+    setRadiusSearch({
+      place: geocoded.city || placeInput.trim(),
+      center: { lat: geocoded.latitude, lng: geocoded.longitude },
+      radiusKm: radiusInput,
+    });
+  };
+
+  const clearRadiusSearch = () => {
+    setRadiusSearch(null);
+    setPlaceInput('');
+  };
+
+  const toggleStage = (stage: SalesStage) => {
+    setStages(current => current.includes(stage) ? current.filter(s => s !== stage) : [...current, stage]);
+  };
+
+  const monthLabel = month ? format(new Date(`${month}-01T00:00:00`), 'MMMM yyyy') : null;
+
+  return (
+    <div className="p-6 space-y-4">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <MapIcon className="w-6 h-6" />
+          Festival Map
+        </h1>
+        <p className="text-gray-600 mt-1">
+          {loading ? 'Loading festivals...' : (
+            <>
+              {markers.length} festival{markers.length === 1 ? '' : 's'}
+              {radiusSearch && ` within ${radiusSearch.radiusKm} km of ${radiusSearch.place}`}
+              {monthLabel && ` in ${monthLabel}`}
+            </>
+          )}
+        </p>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+          <select
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All dates</option>
+            {months.map(date => (
+              <option key={date.toISOString()} value={format(date, 'yyyy-MM')}>
+                {format(date, 'MMMM yyyy')}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sales stage</label>
+          <div className="flex flex-wrap gap-1">
+            {[...stageIndex.values()].map(stage => (
+              <button
+                key={stage.key}
+                type="button"
+                onClick={() => toggleStage(stage.key)}
+                className={`flex items-center gap-1.5 px-2.5 py-1.5 text-xs rounded-full border ${
+                  stages.includes(stage.key) ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: stage.color }} />
+                {stage.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <form onSubmit={handleRadiusSearch} className="flex items-end gap-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Near</label>
+            <div className="relative">
+              <MapPin className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                list="map-places"
+                value={placeInput}
+                onChange={(e) => setPlaceInput(e.target.value)}
+                placeholder="e.g. Utrecht"
+                className="w-48 pl-8 pr-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <datalist id="map-places">
+                {placeNames.map(name => <option key={name} value={name} />)}
+              </datalist>
+            </div>
+          </div>
+          <select
+            value={radiusInput}
+            onChange={(e) => setRadiusInput(Number(e.target.value))}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Radius"
+          >
+            {RADIUS_OPTIONS_KM.map(km => <option key={km} value={km}>{km} km</option>)}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+          >
+            Search
+          </button>
+          {radiusSearch && (
+            <button
+              type="button"
+              onClick={clearRadiusSearch}
+              className="p-2 text-gray-500 hover:text-gray-700"
+              aria-label="Clear radius search"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </form>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+          Show archived
+        </label>
+      </div>
+
+      {truncated && (
+        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2">
+          Only the first {markers.length} festivals are shown. Pick a month or a radius to see the rest.
+        </p>
+      )}
+
+      <div className="relative">
+        <FestivalMap
+          markers={markers}
+          stages={stageIndex}
+          circle={radiusSearch ? { center: radiusSearch.center, radiusKm: radiusSearch.radiusKm } : null}
+          fitKey={queryString}
+          className="h-[calc(100vh-20rem)] min-h-[400px] rounded-lg border border-gray-200"
+        />
+        {loading && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white/40 pointer-events-none">
+            <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Festivals whose location couldn&apos;t be matched to a place are not on the map.
+      </p>
+
+      {radiusSearch && markers.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <h2 className="px-4 py-3 text-sm font-semibold text-gray-900 border-b border-gray-100">
+            Nearest to {radiusSearch.place}
+          </h2>
+          <ul className="divide-y divide-gray-100">
+            {markers.slice(0, MAX_LISTED).map(marker => (
+              <li key={marker.id} className="px-4 py-2 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <Link
+                    href={`/festivals?search=${encodeURIComponent(marker.name)}`}
+                    className="text-sm font-medium text-blue-600 hover:underline"
+                  >
+                    {marker.name}
+                  </Link>
+                  <div className="text-xs text-gray-500 truncate">
+                    {[formatDateRange(marker.start_date, marker.end_date), marker.city || marker.location].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 shrink-0 text-xs text-gray-600">
+                  <span className="flex items-center gap-1">
+                    <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: stageIndex.get(marker.sales_stage)?.color }} />
+                    {stageLabel(stageIndex, marker.sales_stage)}
+                  </span>
+                  {marker.distance_km != null && <span>{Math.round(marker.distance_km)} km</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapPage;
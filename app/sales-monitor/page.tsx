@@ -1,12 +1,33 @@
 'use client';
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Calendar, MapPin, Globe, Star, MoveHorizontal, ChevronLeft, ChevronRight, Search, RefreshCw, FileText } from 'lucide-react';
+import Link from 'next/link';
+import { Calendar, MapPin, Globe, Star, MoveHorizontal, ChevronLeft, ChevronRight, ChevronDown, Search, RefreshCw, FileText, History, Clock, Trophy, XCircle, Settings, AlertTriangle, Keyboard, FileSpreadsheet, ListTodo, Mail, Send } from 'lucide-react';
 import { formatDateRange } from '../../utils/dateUtils';
 import { SalesStage, ResearchStatus } from '../../lib/types';
 import { useFestival } from '../contexts/FestivalContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
 import * as dateFns from 'date-fns';
 import ResearchModal from '../../components/festival/ResearchModal';
+import EditionHistoryBadge from '../../components/festival/EditionHistoryBadge';
+import { buildEditionIndex } from '../../lib/festivals/series';
+import FestivalActivityDrawer from '../../components/festival/FestivalActivityDrawer';
+import RateCardDrawer from '../../components/festival/RateCardDrawer';
+import FestivalTasksDrawer from '../../components/festival/FestivalTasksDrawer';
+import OutreachDrawer from '../../components/festival/OutreachDrawer';
+import OverdueTaskBadge from '../../components/festival/OverdueTaskBadge';
+import { formatDuration, type StageTimes } from '../../lib/festivals/activity';
+import {
+  ENTRY_STAGE,
+  defaultPipeline,
+  isOverWipLimit,
+  pipelineFor,
+  type PipelineStage
+} from '../../lib/festivals/pipelines';
+import type { TeamOverview } from '../../lib/festivals/preference-store';
+import type { OverdueRateCardRequest } from '../../lib/festivals/rate-cards';
+import type { OverdueTaskSummary } from '../../lib/festivals/tasks';
 
 // Destructure date-fns functions to ensure they're properly accessible
 const {
@@ -28,18 +49,124 @@ const {
 // Get the FestivalWithPreferences type from the context
 type FestivalWithPreferences = ReturnType<typeof useFestival>['festivals'][0];
 
-// Sales stage badge colors
-const salesStageBadgeColors = {
-  favorited: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
-  outreach: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
-  talking: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
-  offer: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
-  deal: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+// Rows of the board: every column split by month of the festival date or by lead owner
+type SwimlaneMode = 'none' | 'month' | 'owner';
+
+interface Swimlane {
+  key: string;
+  title: string | null;
+  festivalsByStage: Record<SalesStage, FestivalWithPreferences[]>;
+}
+
+// Sorts after every month and owner
+const OTHER_LANE = '~';
+
+const monthLane = (festival: FestivalWithPreferences) => (
+  festival.start_date
+    ? { key: festival.start_date.slice(0, 7), title: format(parseISO(festival.start_date), 'MMMM yyyy') }
+    : { key: OTHER_LANE, title: 'Unknown dates' }
+);
+
+const ownerLane = (festival: FestivalWithPreferences, leadOwners: Map<string, string>) => {
+  const owner = leadOwners.get(festival.id);
+  return owner ? { key: owner, title: owner } : { key: OTHER_LANE, title: 'No owner' };
+};
+
+const buildSwimlanes = (
+  festivalsByStage: Record<SalesStage, FestivalWithPreferences[]>,
+  mode: SwimlaneMode,
+  leadOwners: Map<string, string>
+): Swimlane[] => {
+  if (mode === 'none') return [{ key: 'all', title: null, festivalsByStage }];
+
+  const lanes = new Map<string, Swimlane>();
+  for (const [stageKey, stageFestivals] of Object.entries(festivalsByStage)) {
+    for (const festival of stageFestivals) {
+      const { key, title } = mode === 'month' ? monthLane(festival) : ownerLane(festival, leadOwners);
+      if (!lanes.has(key)) lanes.set(key, { key, title, festivalsByStage: {} });
+      const lane = lanes.get(key)!;
+      (lane.festivalsByStage[stageKey] ||= []).push(festival);
+    }
+  }
+  return Array.from(lanes.values()).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// Keys a focused card listens to, listed under the board
+const CARD_SHORTCUTS = [
+  ['←  →', 'move to the previous or next stage'],
+  ['1-9', 'move to that stage'],
+  ['X', 'mark as lost'],
+  ['↑  ↓', 'go to the card above or below'],
+];
+
+// Asks why a festival was lost before it moves into a lost stage
+const LostReasonDialog = ({ festivalName, stage, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState('');
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onClick={onCancel}>
+      <form
+        className="w-full max-w-sm bg-white dark:bg-gray-800 rounded-lg shadow-xl p-4"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (reason.trim()) onConfirm(reason.trim());
+        }}
+      >
+        <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Move to {stage.label}</h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Why was {festivalName} lost?</p>
+        <textarea
+          autoFocus
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          rows={3}
+          placeholder="e.g. Went with another supplier"
+          className="w-full p-2 border rounded text-sm dark:bg-gray-700 dark:border-gray-600"
+        />
+        <div className="flex justify-end gap-2 mt-3">
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-sm rounded bg-gray-200 hover:bg-gray-300 text-gray-800">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!reason.trim()}
+            className="px-3 py-1 text-sm rounded bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            Mark as {stage.label}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
 };
 
 // Function to render a festival card (extract for reusability)
-const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previousStage }) => {
+const FestivalCard = ({
+  festival,
+  onMoveStage,
+  currentStage,
+  nextStage,
+  previousStage,
+  lostStage,
+  pipelines,
+  currentPipeline,
+  onMovePipeline,
+  editionHistory,
+  stageSince,
+  rateCardWaitingDays,
+  overdueTasks,
+  onTasksChange,
+  isDragging,
+  onDragStart,
+  onDragEnd,
+  onKeyDown
+}) => {
   const [showResearchModal, setShowResearchModal] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [showRateCard, setShowRateCard] = useState(false);
+  const [showTasks, setShowTasks] = useState(false);
+  const [showOutreach, setShowOutreach] = useState(false);
 
   // Check if festival has completed research
   const hasCompletedResearch = festival.research?.status === 'complete';
@@ -51,10 +178,48 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
   };
 
   return (
-    <div className="bg-white dark:bg-gray-800 rounded-md shadow-md p-3 mb-2 hover:shadow-lg transition-shadow border border-gray-200 dark:border-gray-700">
+    <div
+      data-festival-id={festival.id}
+      tabIndex={0}
+      draggable
+      onDragStart={(e) => onDragStart(e, festival, currentStage)}
+      onDragEnd={onDragEnd}
+      onKeyDown={(e) => onKeyDown(e, festival, currentStage, { nextStage, previousStage, lostStage })}
+      className={`bg-white dark:bg-gray-800 rounded-md shadow-md p-3 mb-2 hover:shadow-lg transition-shadow border border-gray-200 dark:border-gray-700 cursor-grab focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+        isDragging ? 'opacity-40' : ''
+      }`}
+    >
       <div className="flex justify-between items-start">
         <h3 className="text-sm font-medium text-gray-900 dark:text-white">{festival.name}</h3>
         <div className="flex space-x-2">
+          <button
+            onClick={() => setShowActivity(true)}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            title="View activity"
+          >
+            <History className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setShowRateCard(true)}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            title="Rate card"
+          >
+            <FileSpreadsheet className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setShowTasks(true)}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            title="Tasks"
+          >
+            <ListTodo className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setShowOutreach(true)}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            title="Email"
+          >
+            <Mail className="h-4 w-4" />
+          </button>
           {/* Research button - only shows when research is complete */}
           {hasCompletedResearch && (
             <button
@@ -65,20 +230,29 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
               <FileText className="h-4 w-4" />
             </button>
           )}
+          {lostStage && (
+            <button
+              onClick={() => onMoveStage(festival.id, currentStage, lostStage)}
+              className="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
+              title={`Mark as ${lostStage.label}`}
+            >
+              <XCircle className="h-4 w-4" />
+            </button>
+          )}
           {previousStage && (
             <button
               onClick={() => onMoveStage(festival.id, currentStage, previousStage)}
               className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
-              title={`Move back to ${previousStage}`}
+              title={`Move back to ${previousStage.label}`}
             >
               <ChevronLeft className="h-4 w-4" />
             </button>
           )}
-          {nextStage !== currentStage && (
+          {nextStage && (
             <button
               onClick={() => onMoveStage(festival.id, currentStage, nextStage)}
               className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
-              title={`Move to ${nextStage}`}
+              title={`Move to ${nextStage.label}`}
             >
               <ChevronRight className="h-4 w-4" />
             </button>
@@ -86,6 +260,9 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
         </div>
       </div>
       
+      <EditionHistoryBadge history={editionHistory} />
+      <OverdueTaskBadge overdue={overdueTasks} onClick={() => setShowTasks(true)} />
+
       <div className="mt-1 text-xs text-gray-600 dark:text-gray-400">
         <div className="flex items-center">
           <MapPin className="h-3 w-3 mr-1" />
@@ -101,6 +278,26 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
           </span>
         </div>
         
+        {stageSince && (
+          <div className="flex items-center mt-1" title={`In this stage since ${new Date(stageSince).toLocaleString()}`}>
+            <Clock className="h-3 w-3 mr-1" />
+            <span>{formatDuration(Date.now() - Date.parse(stageSince))} in stage</span>
+          </div>
+        )}
+
+        {rateCardWaitingDays != null && (
+          <div className="flex items-center mt-1 text-amber-700 dark:text-amber-400">
+            <AlertTriangle className="h-3 w-3 mr-1" />
+            <span>Rate card requested {rateCardWaitingDays} days ago, no answer</span>
+          </div>
+        )}
+
+        {festival.lost_reason && currentStage.outcome === 'lost' && (
+          <div className="mt-1 text-xs bg-red-50 text-red-800 p-2 rounded border border-red-200 dark:bg-red-900 dark:text-red-200 dark:border-red-700">
+            {festival.lost_reason}
+          </div>
+        )}
+
         {/* Notes Preview */}
         {festival.notes && (
           <div className="mt-1 text-xs bg-green-50 text-green-800 p-2 rounded border border-green-600 dark:bg-green-900 dark:text-green-200 dark:border-green-700 line-clamp-2">
@@ -109,6 +306,20 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
         )}
       </div>
 
+      {pipelines.length > 1 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onMovePipeline(festival.id, e.target.value)}
+          className="mt-2 w-full text-xs p-1 border rounded text-gray-600 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+          title="Start over in another pipeline"
+        >
+          <option value="">Move to pipeline...</option>
+          {pipelines.filter(pipeline => pipeline.id !== currentPipeline.id).map(pipeline => (
+            <option key={pipeline.id} value={pipeline.id}>{pipeline.name}</option>
+          ))}
+        </select>
+      )}
+
       {/* Research Modal */}
       {showResearchModal && (
         <ResearchModal
@@ -118,6 +329,39 @@ const FestivalCard = ({ festival, onMoveStage, currentStage, nextStage, previous
           onClose={() => setShowResearchModal(false)}
         />
       )}
+
+      {showActivity && (
+        <FestivalActivityDrawer
+          festivalId={festival.id}
+          festivalName={festival.name}
+          onClose={() => setShowActivity(false)}
+        />
+      )}
+
+      {showRateCard && (
+        <RateCardDrawer
+          festivalId={festival.id}
+          festivalName={festival.name}
+          onClose={() => setShowRateCard(false)}
+        />
+      )}
+
+      {showTasks && (
+        <FestivalTasksDrawer
+          festivalId={festival.id}
+          festivalName={festival.name}
+          onClose={() => setShowTasks(false)}
+          onChange={onTasksChange}
+        />
+      )}
+
+      {showOutreach && (
+        <OutreachDrawer
+          festivalId={festival.id}
+          festivalName={festival.name}
+          onClose={() => setShowOutreach(false)}
+        />
+      )}
     </div>
   );
 };
@@ -127,30 +371,64 @@ const SalesMonitor = () => {
   const { 
     festivals: allFestivals, 
     loading: contextLoading, 
+    allLoaded,
     fetchFestivals,
     updateSalesStage,
-    fetchFestivalsWithResearch
+    fetchFestivalsWithResearch,
+    pipelines
   } = useFestival();
+  const { session } = useAuth();
+  const { showInfo } = useNotification();
+  const accessToken = session?.access_token;
+
+  // The pipeline on the board; its stages are the columns
+  const [selectedPipelineId, setSelectedPipelineId] = useState<string | null>(null);
+  const pipeline = pipelineFor(pipelines, selectedPipelineId);
+  const stages = useMemo(() => pipeline?.stages ?? [], [pipeline]);
 
-  // Define the sales stages
-  const stages = [
-    { id: 'favorited' as SalesStage, title: 'Favorited' },
-    { id: 'outreach' as SalesStage, title: 'Outreach' },
-    { id: 'talking' as SalesStage, title: 'Talking' },
-    { id: 'offer' as SalesStage, title: 'Offer' },
-    { id: 'deal' as SalesStage, title: 'Deal' },
-  ];
+  // Open and won stages in order, for moving cards left and right; lost is off to the side
+  const flowStages = useMemo(() => stages.filter(stage => stage.outcome !== 'lost'), [stages]);
+  const lostStage = stages.find(stage => stage.outcome === 'lost') || null;
 
   // State to store festivals by stage
-  const [festivalsByStage, setFestivalsByStage] = useState<{
-    [key in SalesStage]: FestivalWithPreferences[];
-  }>({
-    favorited: [],
-    outreach: [],
-    talking: [],
-    offer: [],
-    deal: [],
-  });
+  const [festivalsByStage, setFestivalsByStage] = useState<Record<SalesStage, FestivalWithPreferences[]>>({});
+
+  // A move into a lost stage waiting for its reason
+  const [pendingLoss, setPendingLoss] = useState<{ festival: FestivalWithPreferences; stage: PipelineStage } | null>(null);
+
+  // Swimlanes, and who leads each festival for the owner lanes
+  const [swimlaneMode, setSwimlaneMode] = useState<SwimlaneMode>('none');
+  const [leadOwners, setLeadOwners] = useState<Map<string, string>>(new Map());
+  const [collapsedLanes, setCollapsedLanes] = useState<Set<string>>(new Set());
+
+  // The card being dragged and the column it hovers over
+  const [dragging, setDragging] = useState<{ festivalId: string; stage: PipelineStage } | null>(null);
+  const [dropTarget, setDropTarget] = useState<SalesStage | null>(null);
+
+  // A card moved with the keyboard keeps focus in its new column
+  const [focusTarget, setFocusTarget] = useState<{ festivalId: string; stage: SalesStage } | null>(null);
+
+  // Earlier editions of each festival, for the returning festival badge
+  const editionIndex = useMemo(() => buildEditionIndex(allFestivals), [allFestivals]);
+
+  // Festivals per stage of the pipeline regardless of the filters, for the WIP limits
+  const stageCounts = useMemo(() => {
+    const defaultPipelineId = defaultPipeline(pipelines)?.id;
+    const counts: Record<SalesStage, number> = {};
+    for (const festival of allFestivals) {
+      if ((festival.pipeline_id || defaultPipelineId) !== pipeline?.id) continue;
+      const stage = festival.sales_stage || ENTRY_STAGE;
+      if (stage === ENTRY_STAGE && festival.favorite !== true) continue;
+      counts[stage] = (counts[stage] || 0) + 1;
+    }
+    return counts;
+  }, [allFestivals, pipelines, pipeline]);
+
+  // When each festival entered its stage, and the average time per stage
+  const [stageTimes, setStageTimes] = useState<StageTimes | null>(null);
+  // Festivals whose rate card request went unanswered, with the days waited
+  const [overdueRateCards, setOverdueRateCards] = useState<Map<string, number>>(new Map());
+  const [overdueTasks, setOverdueTasks] = useState<Map<string, OverdueTaskSummary>>(new Map());
 
   // Local state for UI
   const [refreshing, setRefreshing] = useState(false);
@@ -174,7 +452,7 @@ const SalesMonitor = () => {
     setRefreshing(true);
     try {
       // Refresh research data
-      await fetchFestivalsWithResearch();
+      await Promise.all([fetchFestivalsWithResearch(), fetchStageTimes(), fetchOverdueRateCards(), fetchOverdueTasks()]);
       setLastUpdated(new Date());
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An error occurred while refreshing data');
@@ -184,12 +462,96 @@ const SalesMonitor = () => {
     }
   }, []); // Removed fetchFestivalsWithResearch to prevent infinite loops
 
+  const fetchStageTimes = useCallback(async () => {
+    try {
+      const response = await fetch('/api/festivals/stage-times', {
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load stage times');
+      }
+      setStageTimes(result.data);
+    } catch (err) {
+      console.error('Error loading stage times:', err);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    fetchStageTimes();
+  }, [fetchStageTimes]);
+
+  const fetchOverdueRateCards = useCallback(async () => {
+    try {
+      const response = await fetch('/api/rate-cards/overdue');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load overdue rate cards');
+      }
+      const waiting = new Map<string, number>();
+      // Oldest first, so a festival keeps its longest wait
+      (result.data.requests as OverdueRateCardRequest[]).forEach(request => {
+        if (!waiting.has(request.festival_id)) waiting.set(request.festival_id, request.days_waiting);
+      });
+      setOverdueRateCards(waiting);
+    } catch (err) {
+      console.error('Error loading overdue rate cards:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOverdueRateCards();
+  }, [fetchOverdueRateCards]);
+
+  const fetchOverdueTasks = useCallback(async () => {
+    try {
+      const response = await fetch('/api/tasks/overdue');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load overdue tasks');
+      }
+      setOverdueTasks(new Map((result.data as OverdueTaskSummary[]).map(summary => [summary.festival_id, summary])));
+    } catch (err) {
+      console.error('Error loading overdue tasks:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOverdueTasks();
+  }, [fetchOverdueTasks]);
+
+  // The lead owner of a festival is the teammate furthest along with it
+  const fetchLeadOwners = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await fetch('/api/team', {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load lead owners');
+      }
+      const overview: TeamOverview & { userId: string } = result.data;
+      setLeadOwners(new Map(
+        overview.leads
+          .filter(lead => lead.owners.length > 0)
+          .map(lead => [lead.festival.id, lead.owners[0].user_id === overview.userId ? 'You' : lead.owners[0].name])
+      ));
+    } catch (err) {
+      console.error('Error loading lead owners:', err);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (swimlaneMode === 'owner') fetchLeadOwners();
+  }, [swimlaneMode, fetchLeadOwners]);
+
   // Ensure festivals are loaded
   useEffect(() => {
-    if (allFestivals.length === 0 && !contextLoading) {
+    if (!allLoaded && !contextLoading) {
       fetchFestivals();
     }
-  }, [allFestivals.length, contextLoading, fetchFestivals]);
+  }, [allLoaded, contextLoading, fetchFestivals]);
 
   // Apply filters to festivals
   const applyFilters = useCallback((festivals = allFestivals) => {
@@ -219,16 +581,15 @@ const SalesMonitor = () => {
     }
 
     // Create a new object to store festivals by stage
-    const stageMapByName = {
-      favorited: new Map<string, FestivalWithPreferences>(),
-      outreach: new Map<string, FestivalWithPreferences>(),
-      talking: new Map<string, FestivalWithPreferences>(),
-      offer: new Map<string, FestivalWithPreferences>(),
-      deal: new Map<string, FestivalWithPreferences>(),
-    };
+    const stageMapByName: Record<SalesStage, Map<string, FestivalWithPreferences>> = Object.fromEntries(
+      stages.map(stage => [stage.key, new Map<string, FestivalWithPreferences>()])
+    );
 
+    // Only the festivals in the pipeline on the board
+    const defaultPipelineId = defaultPipeline(pipelines)?.id;
+    let filteredFestivals = festivals.filter(festival => (festival.pipeline_id || defaultPipelineId) === pipeline?.id);
+    
     // Filter festivals based on search term and filter mode
-    let filteredFestivals = [...festivals];
     
     // Apply search filter
     if (isSearching && searchTerm.trim()) {
@@ -306,7 +667,7 @@ const SalesMonitor = () => {
 
     // Group filtered festivals by stage
     filteredFestivals.forEach(festival => {
-      const stage = festival.sales_stage || 'favorited';
+      const stage = festival.sales_stage || ENTRY_STAGE;
       
       // Special debug for IJsbeelden
       if (festival.name && festival.name.toLowerCase().includes('ijsbeelden')) {
@@ -321,10 +682,10 @@ const SalesMonitor = () => {
       // FIXED SMART FAVORITING LOGIC:
       // Only add festivals to lanes if they meet the criteria
       
-      if (stage === 'favorited') {
+      if (stage === ENTRY_STAGE) {
         // For favorited lane, only show festivals that are actually marked as favorites
         if (festival.favorite === true) {
-          stageMapByName[stage].set(festival.name, festival);
+          stageMapByName[stage]?.set(festival.name, festival);
           
           // Debug specifically for IJsbeelden
           if (festival.name && festival.name.toLowerCase().includes('ijsbeelden')) {
@@ -339,7 +700,7 @@ const SalesMonitor = () => {
       } else {
         // For active sales stages, festivals should automatically be considered favorited
         // But only add them if they're truly in an active sales stage
-        stageMapByName[stage].set(festival.name, festival);
+        stageMapByName[stage]?.set(festival.name, festival);
         
         // Debug specifically for IJsbeelden
         if (festival.name && festival.name.toLowerCase().includes('ijsbeelden')) {
@@ -349,16 +710,12 @@ const SalesMonitor = () => {
     });
 
     // Convert maps to arrays for each stage
-    const stageMap: { [key in SalesStage]: FestivalWithPreferences[] } = {
-      favorited: Array.from(stageMapByName.favorited.values()),
-      outreach: Array.from(stageMapByName.outreach.values()),
-      talking: Array.from(stageMapByName.talking.values()),
-      offer: Array.from(stageMapByName.offer.values()),
-      deal: Array.from(stageMapByName.deal.values()),
-    };
+    const stageMap: Record<SalesStage, FestivalWithPreferences[]> = Object.fromEntries(
+      Object.entries(stageMapByName).map(([stage, byName]) => [stage, Array.from(byName.values())])
+    );
 
     // DEBUG: Check final state for IJsbeelden
-    const favoritedIJsbeelden = stageMap.favorited.find(f => f.name && f.name.toLowerCase().includes('ijsbeelden'));
+    const favoritedIJsbeelden = (stageMap[ENTRY_STAGE] || []).find(f => f.name && f.name.toLowerCase().includes('ijsbeelden'));
     if (favoritedIJsbeelden) {
       console.log("IJSBEELDEN IN FINAL FAVORITED ARRAY");
     } else {
@@ -373,16 +730,12 @@ const SalesMonitor = () => {
 
     // DEBUG: Log final counts for each stage
     console.log('🔍 FINAL STAGE COUNTS:', {
-      favorited: stageMap.favorited.length,
-      outreach: stageMap.outreach.length,
-      talking: stageMap.talking.length,
-      offer: stageMap.offer.length,
-      deal: stageMap.deal.length,
+      ...Object.fromEntries(Object.entries(stageMap).map(([stage, stageFestivals]) => [stage, stageFestivals.length])),
       total: Object.values(stageMap).reduce((acc, arr) => acc + arr.length, 0)
     });
 
     setFestivalsByStage(stageMap);
-  }, [allFestivals, isSearching, searchTerm, filterMode, currentMonth, showAllFestivals, showNullDates, weekFilterActive, selectedWeek]);
+  }, [allFestivals, isSearching, searchTerm, filterMode, currentMonth, showAllFestivals, showNullDates, weekFilterActive, selectedWeek, pipelines, pipeline, stages]);
 
   // DISABLED: Set up periodic refresh for research data to prevent excessive API calls
   useEffect(() => {
@@ -404,15 +757,26 @@ const SalesMonitor = () => {
   }, [allFestivals, isSearching, searchTerm, filterMode, currentMonth, showAllFestivals, showNullDates, weekFilterActive, selectedWeek, applyFilters]);
 
   // Function to move a festival to a different stage
-  const moveFestival = async (festivalId: string, fromStage: SalesStage, toStage: SalesStage) => {
+  const moveFestival = async (festivalId: string, fromStage: PipelineStage, toStage: PipelineStage, lostReason?: string) => {
     try {
       // Find the festival in the current stage
-      const festival = festivalsByStage[fromStage].find(f => f.id === festivalId);
+      const festival = festivalsByStage[fromStage.key]?.find(f => f.id === festivalId);
       
-      if (!festival) return;
+      if (!festival || !pipeline) return;
+
+      // Losing a festival needs a reason; ask first
+      if (toStage.outcome === 'lost' && !lostReason) {
+        setPendingLoss({ festival, stage: toStage });
+        return;
+      }
       
-      // Update using FestivalContext
-      updateSalesStage(festivalId, toStage);
+      // Update using FestivalContext; a move the API refuses is rolled back there
+      updateSalesStage(festivalId, toStage.key, { pipelineId: pipeline.id, lostReason: lostReason ?? null });
+      recordStageStart(festivalId, toStage.key);
+
+      if (isOverWipLimit(toStage, (stageCounts[toStage.key] || 0) + 1)) {
+        showInfo(`${toStage.label} is over its WIP limit of ${toStage.wip_limit}`);
+      }
       
       // The UI will update automatically when the context updates
     } catch (err) {
@@ -420,6 +784,105 @@ const SalesMonitor = () => {
       console.error('Error moving festival:', err);
     }
   };
+
+  // Start the festival over at the first stage of another pipeline
+  const moveToPipeline = (festivalId: string, pipelineId: string) => {
+    updateSalesStage(festivalId, ENTRY_STAGE, { pipelineId });
+    recordStageStart(festivalId, ENTRY_STAGE);
+  };
+
+  const handleDragStart = (e: React.DragEvent, festival: FestivalWithPreferences, stage: PipelineStage) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', festival.id);
+    setDragging({ festivalId: festival.id, stage });
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Any other column takes the card
+  const handleDragOver = (e: React.DragEvent, stage: PipelineStage) => {
+    if (!dragging || dragging.stage.key === stage.key) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== stage.key) setDropTarget(stage.key);
+  };
+
+  const handleDragLeave = (e: React.DragEvent) => {
+    if (!e.currentTarget.contains(e.relatedTarget as Node | null)) setDropTarget(null);
+  };
+
+  const handleDrop = (e: React.DragEvent, stage: PipelineStage) => {
+    e.preventDefault();
+    const move = dragging;
+    handleDragEnd();
+    if (move && move.stage.key !== stage.key) moveFestival(move.festivalId, move.stage, stage);
+  };
+
+  const handleCardKeyDown = (
+    e: React.KeyboardEvent<HTMLElement>,
+    festival: FestivalWithPreferences,
+    stage: PipelineStage,
+    moves: { nextStage: PipelineStage | null; previousStage: PipelineStage | null; lostStage: PipelineStage | null }
+  ) => {
+    // Keys typed into the pipeline select or a button belong to them
+    if (e.target !== e.currentTarget || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      const cards = Array.from(e.currentTarget.parentElement?.querySelectorAll<HTMLElement>('[data-festival-id]') || []);
+      cards[cards.indexOf(e.currentTarget) + (e.key === 'ArrowUp' ? -1 : 1)]?.focus();
+      return;
+    }
+
+    let toStage: PipelineStage | null;
+    if (e.key === 'ArrowRight') toStage = moves.nextStage;
+    else if (e.key === 'ArrowLeft') toStage = moves.previousStage;
+    else if (e.key === 'x' || e.key === 'X') toStage = moves.lostStage;
+    else if (/^[1-9]$/.test(e.key)) toStage = stages[Number(e.key) - 1] || null;
+    else return;
+
+    e.preventDefault();
+    if (!toStage || toStage.key === stage.key) return;
+    // The loss reason dialog takes focus instead
+    if (toStage.outcome !== 'lost') setFocusTarget({ festivalId: festival.id, stage: toStage.key });
+    moveFestival(festival.id, stage, toStage);
+  };
+
+  useEffect(() => {
+    if (!focusTarget) return;
+    const card = document.querySelector<HTMLElement>(
+      `[data-stage="${focusTarget.stage}"] [data-festival-id="${focusTarget.festivalId}"]`
+    );
+    if (card) {
+      card.focus();
+      setFocusTarget(null);
+    }
+  }, [festivalsByStage, focusTarget]);
+
+  const toggleLane = (laneKey: string) => {
+    setCollapsedLanes(prev => {
+      const next = new Set(prev);
+      if (next.has(laneKey)) next.delete(laneKey);
+      else next.add(laneKey);
+      return next;
+    });
+  };
+
+  const swimlanes = useMemo(
+    () => buildSwimlanes(festivalsByStage, swimlaneMode, leadOwners),
+    [festivalsByStage, swimlaneMode, leadOwners]
+  );
+
+  // A move starts a new stay; the activity log records it on the server
+  const recordStageStart = (festivalId: string, stage: SalesStage) => {
+    setStageTimes(prev => prev && {
+      ...prev,
+      current: { ...prev.current, [festivalId]: { stage, since: new Date().toISOString() } }
+    });
+  };
   
   // Clear search
   const clearSearch = () => {
@@ -502,7 +965,49 @@ const SalesMonitor = () => {
   return (
     <div className="p-4 max-w-full mx-auto">
       <div className="flex justify-between items-center mb-6">
-        <h1 className="text-2xl font-bold">Sales Monitor</h1>
+        <div className="flex items-center gap-3">
+          <h1 className="text-2xl font-bold">Sales Monitor</h1>
+          {pipelines.length > 1 && (
+            <select
+              value={pipeline?.id || ''}
+              onChange={(e) => setSelectedPipelineId(e.target.value)}
+              className="p-2 border rounded text-sm"
+              title="Pipeline"
+            >
+              {pipelines.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={swimlaneMode}
+            onChange={(e) => setSwimlaneMode(e.target.value as SwimlaneMode)}
+            className="p-2 border rounded text-sm"
+            title="Swimlanes"
+          >
+            <option value="none">No swimlanes</option>
+            <option value="month">Swimlanes by month</option>
+            <option value="owner" disabled={!accessToken}>
+              Swimlanes by owner{accessToken ? '' : ' (sign in)'}
+            </option>
+          </select>
+          <Link
+            href="/sales-monitor/pipelines"
+            className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700"
+            title="Edit pipelines and stages"
+          >
+            <Settings className="h-4 w-4" />
+            <span>Pipelines</span>
+          </Link>
+          <Link
+            href="/sales-monitor/templates"
+            className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700"
+            title="Edit outreach email templates"
+          >
+            <Send className="h-4 w-4" />
+            <span>Templates</span>
+          </Link>
+        </div>
         
         {/* Refresh button and last updated time */}
         <div className="flex items-center gap-2">
@@ -686,48 +1191,162 @@ const SalesMonitor = () => {
         </div>
       )}
       
-      {contextLoading ? (
+      {contextLoading || !pipeline ? (
         <div className="flex justify-center items-center h-64">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
         </div>
       ) : (
-        <div className="flex gap-2 overflow-x-auto pb-2 mt-4">
-          {stages.map((stage, index) => (
-            <div 
-              key={stage.id} 
-              className="flex-1 min-w-[250px] bg-gray-50 dark:bg-gray-850 rounded-md p-2 border border-gray-200 dark:border-gray-700"
-            >
-              <div className="flex justify-between items-center mb-2 sticky top-0 bg-gray-50 dark:bg-gray-850 p-2">
-                <h2 className="text-sm font-medium text-gray-900 dark:text-white">
-                  {stage.title}
-                  <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
-                    ({festivalsByStage[stage.id]?.length || 0})
-                  </span>
-                </h2>
-              </div>
-              
-              <div className="space-y-2">
-                {festivalsByStage[stage.id]?.map(festival => (
-                  <FestivalCard
-                    key={festival.id}
-                    festival={festival}
-                    onMoveStage={moveFestival}
-                    currentStage={stage.id}
-                    nextStage={stages[Math.min(index + 1, stages.length - 1)].id}
-                    previousStage={stages[Math.max(index - 1, 0)].id}
-                  />
-                ))}
-                
-                {festivalsByStage[stage.id]?.length === 0 && (
-                  <div className="text-center py-4 text-sm text-gray-500 dark:text-gray-400">
-                    No festivals in this stage
+        <div className="overflow-x-auto pb-2 mt-4">
+          <div className="flex gap-2">
+            {stages.map(stage => {
+              const count = stageCounts[stage.key] || 0;
+              const overLimit = isOverWipLimit(stage, count);
+              return (
+                <div
+                  key={stage.key}
+                  className={`flex-1 min-w-[250px] flex justify-between items-center rounded-t-md p-2 border border-b-0 border-t-4 ${
+                    overLimit ? 'bg-red-50 border-red-300 dark:bg-red-950' : 'bg-gray-50 border-gray-200 dark:bg-gray-850 dark:border-gray-700'
+                  }`}
+                  style={{ borderTopColor: stage.color }}
+                >
+                  <h2 className="text-sm font-medium text-gray-900 dark:text-white flex items-center gap-1">
+                    {stage.outcome === 'won' && <Trophy className="h-4 w-4" style={{ color: stage.color }} />}
+                    {stage.outcome === 'lost' && <XCircle className="h-4 w-4" style={{ color: stage.color }} />}
+                    {stage.label}
+                    <span
+                      className={`ml-1 text-xs ${overLimit ? 'text-red-600 font-semibold' : 'text-gray-500 dark:text-gray-400'}`}
+                      title={stage.wip_limit != null ? `${count} of at most ${stage.wip_limit} festivals in this stage` : undefined}
+                    >
+                      ({stage.wip_limit != null ? `${count}/${stage.wip_limit}` : festivalsByStage[stage.key]?.length || 0})
+                    </span>
+                    {overLimit && (
+                      <span title={`Over the WIP limit of ${stage.wip_limit}`}>
+                        <AlertTriangle className="h-4 w-4 text-red-600" />
+                      </span>
+                    )}
+                  </h2>
+                  {stageTimes?.averages[stage.key] != null && (
+                    <span
+                      className="text-xs text-gray-500 dark:text-gray-400"
+                      title="Average time a festival stays in this stage"
+                    >
+                      avg {formatDuration(stageTimes.averages[stage.key]!)}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {swimlanes.map(lane => {
+            const collapsed = collapsedLanes.has(lane.key);
+            return (
+              <div key={lane.key}>
+                {lane.title && (
+                  <button
+                    onClick={() => toggleLane(lane.key)}
+                    className="w-full flex items-center gap-1 px-2 py-1 mt-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 rounded"
+                  >
+                    {collapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                    {lane.title}
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      ({Object.values(lane.festivalsByStage).reduce((acc, arr) => acc + arr.length, 0)})
+                    </span>
+                  </button>
+                )}
+
+                {!collapsed && (
+                  <div className="flex gap-2">
+                    {stages.map(stage => {
+                      const flowIndex = flowStages.indexOf(stage);
+                      const laneFestivals = lane.festivalsByStage[stage.key] || [];
+                      return (
+                        <div
+                          key={stage.key}
+                          data-stage={stage.key}
+                          onDragOver={(e) => handleDragOver(e, stage)}
+                          onDragLeave={handleDragLeave}
+                          onDrop={(e) => handleDrop(e, stage)}
+                          className={`flex-1 min-w-[250px] p-2 border transition-colors ${
+                            lane.title ? 'rounded-md mt-1' : 'border-t-0 rounded-b-md'
+                          } ${
+                            dropTarget === stage.key
+                              ? 'bg-blue-50 border-blue-300 dark:bg-blue-950'
+                              : 'bg-gray-50 border-gray-200 dark:bg-gray-850 dark:border-gray-700'
+                          }`}
+                        >
+                          <div className="space-y-2 min-h-[3rem]">
+                            {laneFestivals.map(festival => (
+                              <FestivalCard
+                                key={festival.id}
+                                festival={festival}
+                                onMoveStage={moveFestival}
+                                currentStage={stage}
+                                // A lost festival can only be reopened at the first stage
+                                nextStage={flowIndex >= 0 ? flowStages[flowIndex + 1] || null : null}
+                                previousStage={flowIndex > 0 ? flowStages[flowIndex - 1] : flowIndex < 0 ? flowStages[0] || null : null}
+                                lostStage={stage.outcome === 'open' ? lostStage : null}
+                                pipelines={pipelines}
+                                currentPipeline={pipeline}
+                                onMovePipeline={moveToPipeline}
+                                editionHistory={editionIndex.get(festival.id)}
+                                stageSince={stageTimes?.current[festival.id]?.stage === stage.key ? stageTimes.current[festival.id].since : null}
+                                rateCardWaitingDays={overdueRateCards.get(festival.id)}
+                                overdueTasks={overdueTasks.get(festival.id)}
+                                onTasksChange={fetchOverdueTasks}
+                                isDragging={dragging?.festivalId === festival.id}
+                                onDragStart={handleDragStart}
+                                onDragEnd={handleDragEnd}
+                                onKeyDown={handleCardKeyDown}
+                              />
+                            ))}
+
+                            {!lane.title && laneFestivals.length === 0 && (
+                              <div className="text-center py-4 text-sm text-gray-500 dark:text-gray-400">
+                                No festivals in this stage
+                              </div>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
                 )}
               </div>
+            );
+          })}
+
+          {swimlanes.length === 0 && (
+            <div className="text-center py-8 text-sm text-gray-500 dark:text-gray-400">
+              No festivals match the filters
             </div>
-          ))}
+          )}
+
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs text-gray-500 dark:text-gray-400">
+            <Keyboard className="h-4 w-4" />
+            <span>Drag cards to any column, or focus a card and press</span>
+            {CARD_SHORTCUTS.map(([keys, action]) => (
+              <span key={keys}>
+                <kbd className="px-1 py-0.5 rounded border border-gray-300 bg-white dark:bg-gray-800 dark:border-gray-600 font-mono">{keys}</kbd> {action}
+              </span>
+            ))}
+          </div>
         </div>
       )}
+
+      {pendingLoss && (
+        <LostReasonDialog
+          festivalName={pendingLoss.festival.name}
+          stage={pendingLoss.stage}
+          onCancel={() => setPendingLoss(null)}
+          onConfirm={(reason: string) => {
+            const { festival, stage } = pendingLoss;
+            setPendingLoss(null);
+            const fromStage = stages.find(candidate => candidate.key === festival.sales_stage);
+            if (fromStage) moveFestival(festival.id, fromStage, stage, reason);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,341 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, ArrowUp, ArrowDown, Plus, Trash2, Save, Loader2, Star } from 'lucide-react';
+import { useFestival } from '../../contexts/FestivalContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import {
+  ENTRY_STAGE,
+  STAGE_OUTCOMES,
+  STAGE_OUTCOME_LABELS,
+  type PipelineStageInput,
+  type SalesPipeline,
+  type StageOutcome
+} from '../../../lib/festivals/pipelines';
+
+interface DraftStage extends PipelineStageInput {
+  // Stages already saved keep their key; new ones get one from their label
+  saved: boolean;
+}
+
+interface DraftPipeline {
+  id: string | null;
+  name: string;
+  description: string;
+  is_default: boolean;
+  stages: DraftStage[];
+}
+
+const NEW_PIPELINE: DraftPipeline = {
+  id: null,
+  name: '',
+  description: '',
+  is_default: false,
+  stages: [
+    { key: ENTRY_STAGE, label: 'Favorited', color: '#6b7280', outcome: 'open', saved: false },
+    { label: 'Deal', color: '#22c55e', outcome: 'won', saved: false },
+    { label: 'Lost', color: '#475569', outcome: 'lost', saved: false },
+  ],
+};
+
+const toDraft = (pipeline: SalesPipeline): DraftPipeline => ({
+  id: pipeline.id,
+  name: pipeline.name,
+  description: pipeline.description || '',
+  is_default: pipeline.is_default,
+  stages: pipeline.stages.map(stage => ({
+    key: stage.key,
+    label: stage.label,
+    color: stage.color,
+    outcome: stage.outcome,
+    wip_limit: stage.wip_limit,
+    saved: true,
+  })),
+});
+
+const PipelinesPage: React.FC = () => {
+  const { pipelines, fetchPipelines } = useFestival();
+  const { showSuccess, showError } = useNotification();
+  const [draft, setDraft] = useState<DraftPipeline | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start with the default pipeline once the pipelines are there
+  useEffect(() => {
+    if (!draft && pipelines.length > 0) setDraft(toDraft(pipelines[0]));
+  }, [pipelines, draft]);
+
+  const updateStage = (index: number, changes: Partial<DraftStage>) => {
+    setDraft(prev => prev && {
+      ...prev,
+      stages: prev.stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)),
+    });
+  };
+
+  const moveStage = (index: number, offset: number) => {
+    setDraft(prev => {
+      if (!prev) return prev;
+      const stages = [...prev.stages];
+      [stages[index], stages[index + offset]] = [stages[index + offset], stages[index]];
+      return { ...prev, stages };
+    });
+  };
+
+  const removeStage = (index: number) => {
+    setDraft(prev => prev && { ...prev, stages: prev.stages.filter((_, i) => i !== index) });
+  };
+
+  const addStage = () => {
+    setDraft(prev => {
+      if (!prev) return prev;
+      // New open stages go before the won and lost stages
+      const firstClosed = prev.stages.findIndex(stage => stage.outcome !== 'open');
+      const at = firstClosed >= 0 ? firstClosed : prev.stages.length;
+      const stages = [...prev.stages];
+      stages.splice(at, 0, { label: '', color: '#3b82f6', outcome: 'open', saved: false });
+      return { ...prev, stages };
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    try {
+      setIsSaving(true);
+      const response = await fetch(draft.id ? `/api/pipelines/${draft.id}` : '/api/pipelines', {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: draft.name,
+          description: draft.description,
+          is_default: draft.is_default,
+          stages: draft.stages.map(({ saved, ...stage }) => stage),
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to save pipeline');
+      }
+      showSuccess(data.message);
+      setDraft(toDraft(data.data));
+      await fetchPipelines();
+    } catch (error) {
+      console.error('Error saving pipeline:', error);
+      showError(`Failed to save pipeline: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!draft?.id || !window.confirm(`Delete the pipeline "${draft.name}"?`)) return;
+    try {
+      setIsSaving(true);
+      const response = await fetch(`/api/pipelines/${draft.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to delete pipeline');
+      }
+      showSuccess(data.message);
+      setDraft(null);
+      await fetchPipelines();
+    } catch (error) {
+      console.error('Error deleting pipeline:', error);
+      showError(`Failed to delete pipeline: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const savedDefault = pipelines.find(pipeline => pipeline.id === draft?.id)?.is_default ?? false;
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <div>
+        <Link href="/sales-monitor" className="text-sm text-blue-600 hover:underline flex items-center gap-1 mb-2">
+          <ArrowLeft className="w-4 h-4" />
+          Sales Monitor
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">Sales pipelines</h1>
+        <p className="text-gray-600 mt-1">
+          The stages festivals move through. Every pipeline starts at Favorited and has a won stage;
+          a lost stage asks why the festival was lost. A WIP limit makes the board warn when a
+          stage holds more festivals than that.
+        </p>
+      </div>
+
+      <div className="flex gap-6">
+        <div className="w-56 shrink-0 space-y-1">
+          {pipelines.map(pipeline => (
+            <button
+              key={pipeline.id}
+              onClick={() => setDraft(toDraft(pipeline))}
+              className={`w-full text-left px-3 py-2 text-sm rounded-md flex items-center justify-between ${
+                draft?.id === pipeline.id ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 hover:bg-gray-50 text-gray-800'
+              }`}
+            >
+              <span className="truncate">{pipeline.name}</span>
+              {pipeline.is_default && <span title="Default pipeline"><Star className="w-3 h-3 shrink-0" /></span>}
+            </button>
+          ))}
+          <button
+            onClick={() => setDraft(NEW_PIPELINE)}
+            className={`w-full text-left px-3 py-2 text-sm rounded-md flex items-center gap-1 ${
+              draft && !draft.id ? 'bg-blue-600 text-white' : 'border border-dashed border-gray-300 hover:bg-gray-50 text-gray-600'
+            }`}
+          >
+            <Plus className="w-4 h-4" />
+            New pipeline
+          </button>
+        </div>
+
+        {draft ? (
+          <form onSubmit={handleSave} className="flex-1 bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="e.g. Returning clients"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  value={draft.description}
+                  onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={draft.is_default}
+                disabled={savedDefault}
+                onChange={(e) => setDraft({ ...draft, is_default: e.target.checked })}
+              />
+              Default pipeline for festivals nobody moved into a pipeline yet
+            </label>
+
+            <div>
+              <h2 className="text-sm font-medium text-gray-700 mb-2">Stages</h2>
+              <div className="space-y-2">
+                {draft.stages.map((stage, index) => {
+                  const isEntry = index === 0;
+                  return (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        value={stage.color}
+                        onChange={(e) => updateStage(index, { color: e.target.value })}
+                        className="h-8 w-8 p-0 border border-gray-300 rounded cursor-pointer"
+                        title="Color"
+                      />
+                      <input
+                        type="text"
+                        value={stage.label}
+                        onChange={(e) => updateStage(index, { label: e.target.value })}
+                        placeholder="Stage name"
+                        className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <span className="w-28 text-xs text-gray-400 truncate" title="Stored stage key">
+                        {stage.saved || isEntry ? stage.key : 'new'}
+                      </span>
+                      <select
+                        value={stage.outcome}
+                        disabled={isEntry}
+                        onChange={(e) => updateStage(index, { outcome: e.target.value as StageOutcome })}
+                        className="px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+                      >
+                        {STAGE_OUTCOMES.map(outcome => (
+                          <option key={outcome} value={outcome}>{STAGE_OUTCOME_LABELS[outcome]}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min={1}
+                        value={stage.wip_limit ?? ''}
+                        onChange={(e) => updateStage(index, { wip_limit: e.target.value ? Number(e.target.value) : null })}
+                        placeholder="No limit"
+                        className="w-24 px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        title="WIP limit: warn when the stage holds more festivals"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => moveStage(index, -1)}
+                        disabled={index <= 1}
+                        className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveStage(index, 1)}
+                        disabled={isEntry || index === draft.stages.length - 1}
+                        className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeStage(index)}
+                        disabled={isEntry}
+                        className="p-1 text-red-500 hover:text-red-700 disabled:opacity-30"
+                        title="Remove stage"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              <button
+                type="button"
+                onClick={addStage}
+                className="mt-2 flex items-center gap-1 text-sm text-blue-600 hover:underline"
+              >
+                <Plus className="w-4 h-4" />
+                Add stage
+              </button>
+            </div>
+
+            <div className="flex justify-between pt-2 border-t border-gray-100">
+              {draft.id && !savedDefault ? (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm font-medium text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                >
+                  Delete pipeline
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={isSaving || !draft.name.trim()}
+                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                {draft.id ? 'Save pipeline' : 'Create pipeline'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex-1 flex justify-center py-12">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PipelinesPage;
@@ -0,0 +1,297 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, Plus, Save, Loader2, Languages } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import {
+  MERGE_FIELDS,
+  MERGE_FIELD_LABELS,
+  OUTREACH_LANGUAGES,
+  OUTREACH_LANGUAGE_LABELS,
+  templateVariants,
+  type OutreachLanguage,
+  type OutreachTemplate,
+  type OutreachTemplateInput
+} from '../../../lib/festivals/outreach';
+
+interface DraftTemplate extends OutreachTemplateInput {
+  id: string | null;
+}
+
+const NEW_TEMPLATE: DraftTemplate = {
+  id: null,
+  name: '',
+  language: 'nl',
+  subject: '',
+  body: '',
+};
+
+const toDraft = (template: OutreachTemplate): DraftTemplate => ({
+  id: template.id,
+  name: template.name,
+  language: template.language,
+  subject: template.subject,
+  body: template.body,
+});
+
+const OutreachTemplatesPage: React.FC = () => {
+  const { showSuccess, showError } = useNotification();
+  const [templates, setTemplates] = useState<OutreachTemplate[]>([]);
+  const [draft, setDraft] = useState<DraftTemplate | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const bodyRef = useRef<HTMLTextAreaElement>(null);
+
+  const loadTemplates = useCallback(async (): Promise<OutreachTemplate[]> => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/outreach-templates');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load templates');
+      }
+      setTemplates(data.data);
+      return data.data;
+    } catch (error) {
+      console.error('Error loading outreach templates:', error);
+      showError(`Failed to load templates: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showError]);
+
+  // Start with the first template once the templates are there
+  useEffect(() => {
+    loadTemplates().then(loaded => {
+      setDraft(current => current || (loaded.length > 0 ? toDraft(loaded[0]) : NEW_TEMPLATE));
+    });
+  }, [loadTemplates]);
+
+  // Put a merge field where the cursor is in the body
+  const insertField = (field: string) => {
+    if (!draft) return;
+    const placeholder = `{{${field}}}`;
+    const textarea = bodyRef.current;
+    const at = textarea ? textarea.selectionStart : draft.body.length;
+    const end = textarea ? textarea.selectionEnd : draft.body.length;
+    setDraft({ ...draft, body: draft.body.slice(0, at) + placeholder + draft.body.slice(end) });
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(at + placeholder.length, at + placeholder.length);
+    });
+  };
+
+  // Start the other language of a template from this one's text
+  const addTranslation = (language: OutreachLanguage) => {
+    if (!draft) return;
+    setDraft({ ...draft, id: null, language });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    try {
+      setIsSaving(true);
+      const { id, ...input } = draft;
+      const response = await fetch(id ? `/api/outreach-templates/${id}` : '/api/outreach-templates', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(input)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to save template');
+      }
+      showSuccess(data.message);
+      setDraft(toDraft(data.data));
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error saving outreach template:', error);
+      showError(`Failed to save template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!draft?.id || !window.confirm(`Delete the ${OUTREACH_LANGUAGE_LABELS[draft.language]} version of "${draft.name}"?`)) return;
+    try {
+      setIsSaving(true);
+      const response = await fetch(`/api/outreach-templates/${draft.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to delete template');
+      }
+      showSuccess(data.message);
+      const remaining = await loadTemplates();
+      setDraft(remaining.length > 0 ? toDraft(remaining[0]) : NEW_TEMPLATE);
+    } catch (error) {
+      console.error('Error deleting outreach template:', error);
+      showError(`Failed to delete template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const variants = templateVariants(templates);
+  const savedVariants = draft ? variants.get(draft.name) || {} : {};
+  const missingLanguages = draft?.id ? OUTREACH_LANGUAGES.filter(language => !savedVariants[language]) : [];
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <div>
+        <Link href="/sales-monitor" className="text-sm text-blue-600 hover:underline flex items-center gap-1 mb-2">
+          <ArrowLeft className="w-4 h-4" />
+          Sales Monitor
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">Outreach templates</h1>
+        <p className="text-gray-600 mt-1">
+          The mails sent to festival contacts from the sales monitor. Merge fields are filled in
+          for each festival and contact before sending; write {'{{field|text}}'} to use that text
+          when the festival has no value for the field. Give a template a Dutch and an English
+          version under the same name.
+        </p>
+      </div>
+
+      <div className="flex gap-6">
+        <div className="w-56 shrink-0 space-y-1">
+          {Array.from(variants.entries()).map(([name, byLanguage]) => (
+            <div key={name} className="space-y-1">
+              {OUTREACH_LANGUAGES.filter(language => byLanguage[language]).map(language => {
+                const template = byLanguage[language]!;
+                return (
+                  <button
+                    key={template.id}
+                    onClick={() => setDraft(toDraft(template))}
+                    className={`w-full text-left px-3 py-2 text-sm rounded-md flex items-center justify-between ${
+                      draft?.id === template.id ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 hover:bg-gray-50 text-gray-800'
+                    }`}
+                  >
+                    <span className="truncate">{name}</span>
+                    <span className="text-xs uppercase shrink-0 ml-2">{language}</span>
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+          <button
+            onClick={() => setDraft(NEW_TEMPLATE)}
+            className={`w-full text-left px-3 py-2 text-sm rounded-md flex items-center gap-1 ${
+              draft && !draft.id && !variants.has(draft.name) ? 'bg-blue-600 text-white' : 'border border-dashed border-gray-300 hover:bg-gray-50 text-gray-600'
+            }`}
+          >
+            <Plus className="w-4 h-4" />
+            New template
+          </button>
+        </div>
+
+        {draft ? (
+          <form onSubmit={handleSave} className="flex-1 bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  maxLength={100}
+                  placeholder="e.g. Introduction"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Language</label>
+                <select
+                  value={draft.language}
+                  onChange={(e) => setDraft({ ...draft, language: e.target.value as OutreachLanguage })}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                >
+                  {OUTREACH_LANGUAGES.map(language => (
+                    <option key={language} value={language}>{OUTREACH_LANGUAGE_LABELS[language]}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+              <input
+                type="text"
+                value={draft.subject}
+                onChange={(e) => setDraft({ ...draft, subject: e.target.value })}
+                maxLength={300}
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Message</label>
+              <textarea
+                ref={bodyRef}
+                value={draft.body}
+                onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                rows={14}
+                className="w-full px-3 py-2 text-sm font-mono border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex flex-wrap gap-1 mt-1">
+                {MERGE_FIELDS.map(field => (
+                  <button
+                    key={field}
+                    type="button"
+                    onClick={() => insertField(field)}
+                    className="px-2 py-0.5 text-xs rounded bg-gray-100 hover:bg-gray-200 text-gray-700 font-mono"
+                    title={MERGE_FIELD_LABELS[field]}
+                  >
+                    {`{{${field}}}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-between pt-2 border-t border-gray-100">
+              <div className="flex gap-2">
+                {draft.id && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    disabled={isSaving}
+                    className="px-4 py-2 text-sm font-medium text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                )}
+                {missingLanguages.map(language => (
+                  <button
+                    key={language}
+                    type="button"
+                    onClick={() => addTranslation(language)}
+                    className="flex items-center gap-1 px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    <Languages className="w-4 h-4" />
+                    Add {OUTREACH_LANGUAGE_LABELS[language]} version
+                  </button>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={isSaving || !draft.name.trim() || !draft.subject.trim() || !draft.body.trim()}
+                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                {draft.id ? 'Save template' : 'Add template'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex-1 flex justify-center py-12">
+            {isLoading && <Loader2 className="w-6 h-6 animate-spin text-gray-400" />}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OutreachTemplatesPage;
@@ -0,0 +1,326 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import Link from 'next/link';
+import { ListTodo, RefreshCw, Loader2, Check, X, RotateCcw, Zap, MapPin } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { useFestival } from '../contexts/FestivalContext';
+import { buildStageIndex, stageLabel } from '../../lib/festivals/pipelines';
+import {
+  TASK_STATUS_LABELS,
+  TASK_TYPES,
+  TASK_TYPE_LABELS,
+  daysOverdue,
+  describeTaskRule,
+  toDateKey,
+  type FestivalTask,
+  type TaskRule,
+  type TaskStatus,
+  type TaskType
+} from '../../lib/festivals/tasks';
+
+const formatDueDate = (dateKey: string) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+const GROUPS = [
+  { key: 'overdue', label: 'Overdue', className: 'text-orange-700' },
+  { key: 'today', label: 'Today', className: 'text-gray-900' },
+  { key: 'upcoming', label: 'Upcoming', className: 'text-gray-900' },
+  { key: 'closed', label: 'Done and dismissed', className: 'text-gray-500' },
+] as const;
+
+type GroupKey = typeof GROUPS[number]['key'];
+
+const groupFor = (task: FestivalTask, today: string): GroupKey => {
+  if (task.status !== 'open') return 'closed';
+  if (task.due_date < today) return 'overdue';
+  return task.due_date === today ? 'today' : 'upcoming';
+};
+
+const MyTasksPage: React.FC = () => {
+  const { session, loading: authLoading } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const { pipelines } = useFestival();
+  const stageIndex = useMemo(() => buildStageIndex(pipelines), [pipelines]);
+  const [tasks, setTasks] = useState<FestivalTask[]>([]);
+  const [rules, setRules] = useState<TaskRule[]>([]);
+  const [showClosed, setShowClosed] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const accessToken = session?.access_token;
+
+  const loadTasks = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/tasks${showClosed ? '?closed=true' : ''}`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load tasks');
+      }
+      setTasks(data.data);
+    } catch (error) {
+      console.error('Error loading tasks:', error);
+      showError(`Failed to load tasks: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [accessToken, showClosed, showError]);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await fetch('/api/task-rules');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load task rules');
+      }
+      setRules(data.data);
+    } catch (error) {
+      console.error('Error loading task rules:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const setStatus = async (task: FestivalTask, status: TaskStatus) => {
+    if (!accessToken) return;
+    try {
+      setSavingId(task.id);
+      const response = await fetch(`/api/tasks/${task.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+        body: JSON.stringify({ status })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to update task');
+      }
+      setTasks(current => showClosed || status === 'open'
+        ? current.map(existing => (existing.id === task.id ? { ...existing, ...data.data } : existing))
+        : current.filter(existing => existing.id !== task.id));
+      showSuccess(data.message);
+    } catch (error) {
+      console.error('Error updating task:', error);
+      showError(`Failed to update task: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const updateRule = async (rule: TaskRule, changes: Partial<Pick<TaskRule, 'enabled' | 'days' | 'task_type'>>) => {
+    try {
+      setSavingId(rule.id);
+      const response = await fetch(`/api/task-rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to update rule');
+      }
+      setRules(current => current.map(existing => (existing.id === rule.id ? data.data : existing)));
+      showSuccess(data.message);
+    } catch (error) {
+      console.error('Error updating task rule:', error);
+      showError(`Failed to update rule: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!authLoading && !session) {
+    return (
+      <div className="p-6 max-w-5xl mx-auto">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">My tasks</h1>
+        <p className="text-gray-600">Sign in to see the follow-ups assigned to you.</p>
+      </div>
+    );
+  }
+
+  const today = toDateKey(new Date());
+  const grouped = new Map<GroupKey, FestivalTask[]>();
+  for (const task of tasks) {
+    const key = groupFor(task, today);
+    grouped.set(key, [...(grouped.get(key) || []), task]);
+  }
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ListTodo className="w-6 h-6" />
+            My tasks
+          </h1>
+          <p className="text-gray-600 mt-1">Follow-ups assigned to you, soonest due first</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showClosed}
+              onChange={(e) => setShowClosed(e.target.checked)}
+            />
+            Show done
+          </label>
+          <button
+            onClick={loadTasks}
+            disabled={isLoading}
+            className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {tasks.length === 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg px-4 py-8 text-center text-sm text-gray-500">
+          {isLoading || authLoading ? 'Loading tasks...' : 'Nothing to follow up. Add tasks from the cards on the sales monitor.'}
+        </div>
+      )}
+
+      {GROUPS.filter(group => grouped.has(group.key)).map(group => (
+        <section key={group.key}>
+          <h2 className={`text-sm font-semibold uppercase mb-2 ${group.className}`}>
+            {group.label} ({grouped.get(group.key)!.length})
+          </h2>
+          <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {grouped.get(group.key)!.map(task => (
+              <li key={task.id} className={`px-4 py-3 flex items-center justify-between gap-4 ${task.status !== 'open' ? 'opacity-60' : ''}`}>
+                <div className="min-w-0">
+                  <div className={`text-sm font-medium text-gray-900 ${task.status !== 'open' ? 'line-through' : ''}`}>
+                    {task.title}
+                    {task.rule_id && <Zap size={12} className="inline ml-1 text-gray-400" aria-label="Created by a rule" />}
+                  </div>
+                  <div className="text-sm text-gray-600 flex flex-wrap items-center gap-x-2">
+                    <span>{TASK_TYPE_LABELS[task.task_type]}</span>
+                    <span>·</span>
+                    <Link
+                      href={`/festivals?search=${encodeURIComponent(task.festival?.name || '')}`}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {task.festival?.name || 'Unknown festival'}
+                    </Link>
+                    {task.festival?.location && (
+                      <span className="inline-flex items-center text-gray-500">
+                        <MapPin size={12} className="mr-0.5" />
+                        {task.festival.location}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <span className={`text-sm whitespace-nowrap ${group.key === 'overdue' ? 'text-orange-700 font-medium' : 'text-gray-600'}`}>
+                    {task.status !== 'open'
+                      ? TASK_STATUS_LABELS[task.status]
+                      : group.key === 'overdue'
+                        ? `${daysOverdue(task.due_date, today)}d overdue`
+                        : formatDueDate(task.due_date)}
+                  </span>
+                  {task.status === 'open' ? (
+                    <>
+                      <button
+                        onClick={() => setStatus(task, 'done')}
+                        disabled={savingId === task.id}
+                        className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                        title="Done"
+                      >
+                        <Check size={16} />
+                      </button>
+                      <button
+                        onClick={() => setStatus(task, 'dismissed')}
+                        disabled={savingId === task.id}
+                        className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                        title="Dismiss"
+                      >
+                        <X size={16} />
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => setStatus(task, 'open')}
+                      disabled={savingId === task.id}
+                      className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                      title="Reopen"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+
+      {rules.length > 0 && (
+        <section>
+          <h2 className="text-sm font-semibold uppercase text-gray-500 mb-2 flex items-center gap-1">
+            <Zap size={14} />
+            Automatic tasks
+          </h2>
+          <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {rules.map(rule => (
+              <li key={rule.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                <label className="flex items-center gap-2 text-sm text-gray-800 min-w-0">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={savingId === rule.id}
+                    onChange={(e) => updateRule(rule, { enabled: e.target.checked })}
+                  />
+                  <span className={rule.enabled ? '' : 'text-gray-400'}>
+                    {describeTaskRule(rule, rule.stage_key ? stageLabel(stageIndex, rule.stage_key) : undefined)}
+                  </span>
+                </label>
+                <div className="flex items-center gap-2 shrink-0">
+                  <select
+                    value={rule.task_type}
+                    disabled={savingId === rule.id}
+                    onChange={(e) => updateRule(rule, { task_type: e.target.value as TaskType })}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  >
+                    {TASK_TYPES.map(type => (
+                      <option key={type} value={type}>{TASK_TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min={0}
+                    max={365}
+                    defaultValue={rule.days}
+                    key={`${rule.id}-${rule.days}`}
+                    disabled={savingId === rule.id}
+                    onBlur={(e) => {
+                      const days = Number(e.target.value);
+                      if (days !== rule.days) updateRule(rule, { days });
+                    }}
+                    className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    title="Days"
+                  />
+                  <span className="text-sm text-gray-500">days</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default MyTasksPage;
@@ -0,0 +1,200 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Users, RefreshCw, Loader2, Star } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { useFestival } from '../contexts/FestivalContext';
+import type { TeamOverview } from '../../lib/festivals/preference-store';
+import { buildStageIndex, stageBadgeStyle, stageLabel } from '../../lib/festivals/pipelines';
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const TeamPage: React.FC = () => {
+  const { session, loading: authLoading } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const { pipelines } = useFestival();
+  const stageIndex = useMemo(() => buildStageIndex(pipelines), [pipelines]);
+  const [overview, setOverview] = useState<(TeamOverview & { userId: string }) | null>(null);
+  const [teamName, setTeamName] = useState('');
+  const [ownerFilter, setOwnerFilter] = useState<string>('all');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const accessToken = session?.access_token;
+
+  const loadOverview = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/team', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to load team');
+      }
+      setOverview(data.data);
+      setTeamName(data.data.team?.name || '');
+    } catch (error) {
+      console.error('Error loading team overview:', error);
+      showError(`Failed to load team: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [accessToken, showError]);
+
+  useEffect(() => {
+    loadOverview();
+  }, [loadOverview]);
+
+  const handleSaveTeam = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!accessToken) return;
+    try {
+      setIsSaving(true);
+      const response = await fetch('/api/team', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+        body: JSON.stringify({ name: teamName })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to update team');
+      }
+      showSuccess(data.message);
+      setOwnerFilter('all');
+      await loadOverview();
+    } catch (error) {
+      console.error('Error updating team:', error);
+      showError(`Failed to update team: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!authLoading && !session) {
+    return (
+      <div className="p-6 max-w-5xl mx-auto">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Team</h1>
+        <p className="text-gray-600">Sign in to see who on your team owns which lead.</p>
+      </div>
+    );
+  }
+
+  const leads = (overview?.leads || []).filter(lead =>
+    ownerFilter === 'all' || lead.owners.some(owner => owner.user_id === ownerFilter)
+  );
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Users className="w-6 h-6" />
+            {overview?.team ? overview.team.name : 'Team'}
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Festivals your {overview?.team ? 'team members' : 'colleagues'} favorited or moved into their pipeline
+          </p>
+        </div>
+        <button
+          onClick={loadOverview}
+          disabled={isLoading}
+          className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          Refresh
+        </button>
+      </div>
+
+      <form onSubmit={handleSaveTeam} className="bg-white border border-gray-200 rounded-lg p-4 flex items-end gap-3">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Your team</label>
+          <input
+            type="text"
+            value={teamName}
+            onChange={(e) => setTeamName(e.target.value)}
+            placeholder="No team – showing everyone's leads"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving || teamName.trim() === (overview?.team?.name || '')}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : teamName.trim() ? 'Join team' : 'Leave team'}
+        </button>
+      </form>
+
+      {overview && overview.members.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setOwnerFilter('all')}
+            className={`px-3 py-1 text-sm rounded-full border ${ownerFilter === 'all' ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            Everyone
+          </button>
+          {overview.members.map(member => (
+            <button
+              key={member.user_id}
+              onClick={() => setOwnerFilter(member.user_id)}
+              className={`px-3 py-1 text-sm rounded-full border ${ownerFilter === member.user_id ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+            >
+              {member.display_name || member.email || member.user_id.slice(0, 8)}
+              {member.user_id === overview.userId && ' (you)'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Festival</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Owners</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {leads.map(lead => (
+              <tr key={lead.festival.id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">{lead.festival.name}</div>
+                  <div className="text-gray-500">{lead.festival.location || '—'}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{formatDate(lead.festival.start_date)}</td>
+                <td className="px-4 py-3 text-sm">
+                  <div className="flex flex-wrap gap-1">
+                    {lead.owners.map(owner => (
+                      <span
+                        key={owner.user_id}
+                        className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium"
+                        style={stageBadgeStyle(stageIndex.get(owner.sales_stage)?.color)}
+                        title={`Updated ${formatDate(owner.updated_at)}`}
+                      >
+                        {owner.favorite && <Star size={10} className="mr-1" />}
+                        {owner.name} · {stageLabel(stageIndex, owner.sales_stage)}
+                      </span>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {leads.length === 0 && (
+              <tr>
+                <td colSpan={3} className="px-4 py-8 text-center text-sm text-gray-500">
+                  {isLoading || authLoading ? 'Loading leads...' : 'No leads yet'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TeamPage;
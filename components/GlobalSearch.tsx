@@ -0,0 +1,184 @@
+'use client';
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import { Search, Loader2, Archive } from 'lucide-react';
+import { useAuth } from '../app/contexts/AuthContext';
+import SearchSnippet from './festival/SearchSnippet';
+import { formatDateRange } from '../utils/dateUtils';
+import { MIN_SEARCH_LENGTH, normalizeSearchText, type SearchMatch } from '../lib/festivals/search';
+
+interface Suggestion {
+  id: string;
+  name: string;
+  start_date: string | null;
+  end_date: string | null;
+  location: string | null;
+  archived: boolean;
+  match: SearchMatch | null;
+}
+
+// Wait for a pause in typing before asking for suggestions
+const TYPEAHEAD_DELAY_MS = 200;
+
+/**
+ * Search box for the sidebar: suggests festivals while typing and opens the festivals
+ * page searching for the chosen festival, or for the typed text on Enter
+ */
+const GlobalSearch: React.FC = () => {
+  const router = useRouter();
+  const { session } = useAuth();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  const accessToken = session?.access_token;
+
+  useEffect(() => {
+    if (normalizeSearchText(query).length < MIN_SEARCH_LENGTH) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`/api/festivals/search?q=${encodeURIComponent(query)}`, {
+          headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : undefined,
+          signal: controller.signal,
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || result.message || 'Search failed');
+        }
+        setSuggestions(result.data || []);
+        setActiveIndex(-1);
+      } catch (error) {
+        if ((error as Error).name !== 'AbortError') {
+          console.error('Error loading search suggestions:', error);
+          setSuggestions([]);
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, TYPEAHEAD_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, accessToken]);
+
+  // Close the suggestions when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const openSearch = (term: string) => {
+    if (!term.trim()) return;
+    setOpen(false);
+    router.push(`/festivals?search=${encodeURIComponent(term.trim())}`);
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const suggestion = suggestions[activeIndex];
+      openSearch(suggestion ? suggestion.name : query);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showSuggestions = open && normalizeSearchText(query).length >= MIN_SEARCH_LENGTH;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="relative">
+        <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search festivals..."
+          className="w-full pl-8 pr-8 py-2 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Search festivals"
+          aria-expanded={showSuggestions}
+          role="combobox"
+        />
+        {loading && (
+          <Loader2 className="absolute right-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 animate-spin" />
+        )}
+      </div>
+
+      {showSuggestions && (
+        <ul
+          role="listbox"
+          className="absolute z-50 mt-1 w-80 max-h-96 overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg py-1"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                openSearch(suggestion.name);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-blue-50' : ''}`}
+            >
+              <div className="flex items-center gap-1 text-sm font-medium text-gray-900">
+                {suggestion.archived && <Archive className="w-3 h-3 text-gray-400" />}
+                <span className="truncate">{suggestion.name}</span>
+              </div>
+              <div className="text-xs text-gray-500 truncate">
+                {[formatDateRange(suggestion.start_date, suggestion.end_date), suggestion.location].filter(Boolean).join(' · ')}
+              </div>
+              {suggestion.match && suggestion.match.field !== 'name' && (
+                <SearchSnippet match={suggestion.match} className="block mt-0.5" />
+              )}
+            </li>
+          ))}
+          {!loading && suggestions.length === 0 && (
+            <li className="px-3 py-2 text-sm text-gray-500">No festivals found</li>
+          )}
+          <li
+            onMouseDown={(e) => {
+              e.preventDefault();
+              openSearch(query);
+            }}
+            className="px-3 py-2 text-sm text-blue-600 border-t border-gray-100 cursor-pointer hover:bg-blue-50"
+          >
+            Search all festivals for &ldquo;{query.trim()}&rdquo;
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
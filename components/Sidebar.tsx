@@ -14,9 +14,14 @@ import {
   ChevronDown,
   ChevronRight,
   Settings,
-  Wrench
+  Users,
+  Wrench,
+  Map as MapIcon,
+  Building2,
+  ListTodo
 } from 'lucide-react';
 import { useAuth } from '../app/contexts/AuthContext';
+import GlobalSearch from './GlobalSearch';
 import {
   Sidebar,
   SidebarContent,
@@ -84,7 +89,11 @@ const AppSidebar = () => {
       items: [
         { title: 'Home', url: '/home', icon: Home },
         { title: 'Festivals', url: '/festivals', icon: Calendar },
+        { title: 'Map', url: '/map', icon: MapIcon },
+        { title: 'Companies', url: '/companies', icon: Building2 },
         { title: 'Sales Monitor', url: '/sales-monitor', icon: BarChart },
+        { title: 'My Tasks', url: '/tasks', icon: ListTodo },
+        { title: 'Team', url: '/team', icon: Users },
       ]
     },
     {
@@ -117,6 +126,9 @@ const AppSidebar = () => {
             <p className="text-xs text-gray-500">Festival Discovery</p>
           </div>
         </div>
+        <div className="mt-4">
+          <GlobalSearch />
+        </div>
       </SidebarHeader>
 
       <SidebarContent className="p-3">
@@ -23,6 +23,8 @@ import {
   BarChart3
 } from 'lucide-react';
 import LinkedInConnectionsBox, { type LinkedInConnection, type CompanyLinkedIn } from './LinkedInConnectionsBox';
+import ResearchTimeline from './ResearchTimeline';
+import type { ResearchEvent } from '../../lib/types/research-events';
 
 interface ApifyResearchPanelProps {
   festivalId: string;
@@ -123,9 +125,12 @@ interface ResearchResult {
 
 type ResearchStatus = Record<string, ResearchResult>;
 
+// Timeline event types streamed by the orchestrated API
+const TIMELINE_EVENT_TYPES = ['phase_start', 'phase_complete', 'phase_skipped', 'finding', 'warning', 'error', 'retry'];
+
 // Progress event from orchestrated API
 interface OrchestratedProgress {
-  type: 'progress' | 'complete';
+  type: 'progress' | 'complete' | ResearchEvent['type'];
   phase?: string;
   confidence?: number;
   data?: {
@@ -165,6 +170,7 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
   const [confidenceLevel, setConfidenceLevel] = useState<'high' | 'medium' | 'low'>('low');
   const [warningsCount, setWarningsCount] = useState(0);
   const [errorsCount, setErrorsCount] = useState(0);
+  const [timeline, setTimeline] = useState<ResearchEvent[]>([]);
   const abortControllerRef = useRef<AbortController | null>(null);
 
   // Update result for a specific research type
@@ -416,6 +422,7 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
     setOrchestratorPhase('starting');
     setWarningsCount(0);
     setErrorsCount(0);
+    setTimeline([]);
     
     // Create abort controller for cancellation
     abortControllerRef.current = new AbortController();
@@ -450,17 +457,31 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
 
       if (!reader) throw new Error('No response body');
 
+      // SSE events are separated by a blank line and may be split across chunks
+      let buffer = '';
+
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.startsWith('data: '));
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || '';
+        const lines = blocks.flatMap(block => block.split('\n')).filter(line => line.startsWith('data: '));
 
         for (const line of lines) {
           try {
             const data: OrchestratedProgress = JSON.parse(line.slice(6));
             
+            // Live timeline events (phase changes, findings, warnings)
+            if (TIMELINE_EVENT_TYPES.includes(data.type)) {
+              setTimeline(prev => [...prev, data as unknown as ResearchEvent]);
+              if (data.type === 'phase_start' && data.phase) {
+                setOrchestratorPhase(data.phase);
+              }
+              continue;
+            }
+
             // Update phase
             if (data.phase) {
               setOrchestratorPhase(data.phase);
@@ -741,6 +762,8 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
       'discovering_website': 'Finding website...',
       'extracting_company': 'Extracting company...',
       'searching_linkedin': 'Searching LinkedIn...',
+      'searching_linkedin_company': 'Finding LinkedIn company page...',
+      'searching_linkedin_employees': 'Searching LinkedIn employees...',
       'fetching_news': 'Fetching news...',
       'verifying_calendars': 'Verifying calendars...',
       'validating_results': 'Validating results...',
@@ -751,6 +774,10 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
     return phaseMap[phase] || phase;
   };
 
+  // Phase names in the timeline, without the trailing ellipsis
+  const getTimelinePhaseDisplay = (phase: string): string =>
+    getPhaseDisplay(phase).replace(/\.\.\.$/, '');
+
   // Confidence badge color
   const getConfidenceColor = (level: 'high' | 'medium' | 'low'): string => {
     switch (level) {
@@ -774,9 +801,13 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
             <Loader2 size={14} className="animate-spin text-blue-500" />
           )}
           {discoveredCompany && (
-            <span className="text-xs bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300 px-2 py-0.5 rounded">
+            <a
+              href={`/companies?search=${encodeURIComponent(discoveredCompany)}`}
+              className="text-xs bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300 px-2 py-0.5 rounded hover:underline"
+              title="Other festivals of this organizer"
+            >
               {discoveredCompany}
-            </span>
+            </a>
           )}
         </div>
         <div className="flex items-center space-x-2">
@@ -860,6 +891,18 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
               <Shield size={10} className="opacity-50" />
             </div>
           </div>
+          {timeline.length > 0 && (
+            <div className="mt-1">
+              <ResearchTimeline events={timeline} isRunning getPhaseDisplay={getTimelinePhaseDisplay} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Research log from the last run */}
+      {!isRunningPipeline && timeline.length > 0 && (
+        <div className="px-3 py-1 border-b border-gray-200 dark:border-gray-700">
+          <ResearchTimeline events={timeline} getPhaseDisplay={getTimelinePhaseDisplay} />
         </div>
       )}
 
@@ -925,6 +968,7 @@ const ApifyResearchPanel: React.FC<ApifyResearchPanelProps> = ({
           companyLinkedIn={researchData?.companyLinkedIn}
           companyName={discoveredCompany}
           isLoading={results.linkedin?.status === 'loading'}
+          festivalId={festivalId}
         />
         
         {/* Fallback for legacy LinkedIn data if no connections yet */}
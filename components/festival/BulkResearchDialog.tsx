@@ -0,0 +1,276 @@
+'use client';
+
+import React, { useState, useMemo } from 'react';
+import { X, Layers, Loader2, DollarSign } from 'lucide-react';
+import { format } from 'date-fns';
+import { safeParseDate } from '../../utils/dateUtils';
+import {
+  BULK_RESEARCH_PROVIDERS,
+  MAX_BULK_RESEARCH_FESTIVALS,
+  estimateBulkResearchCost,
+  type BulkResearchProvider
+} from '../../lib/research/bulk-research';
+
+interface BulkResearchFestival {
+  id: string;
+  name: string;
+  start_date: string;
+  favorite: boolean;
+  archived: boolean;
+  research?: { status: 'pending' | 'complete' | 'failed' } | null;
+}
+
+export interface BulkResearchLaunch {
+  aiService: BulkResearchProvider;
+  festivalIds: string[];
+  queued: string[];
+  alreadyPending: string[];
+  skipped: string[];
+  estimatedCost: number;
+}
+
+interface BulkResearchDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+  // Festivals ticked in the table
+  selectedFestivals: BulkResearchFestival[];
+  // Every loaded festival, used for the "favorites in month" scope
+  allFestivals: BulkResearchFestival[];
+  onLaunched: (launch: BulkResearchLaunch) => void;
+}
+
+type Scope = 'selected' | 'favorites_month';
+
+const monthKey = (date: Date) => format(date, 'yyyy-MM');
+
+const BulkResearchDialog: React.FC<BulkResearchDialogProps> = ({
+  isOpen,
+  onClose,
+  selectedFestivals,
+  allFestivals,
+  onLaunched
+}) => {
+  const [scope, setScope] = useState<Scope>(selectedFestivals.length > 0 ? 'selected' : 'favorites_month');
+  const [provider, setProvider] = useState<BulkResearchProvider>('exa');
+  const [skipCompleted, setSkipCompleted] = useState(true);
+  const [isLaunching, setIsLaunching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Months that contain at least one active favorite
+  const favoriteMonths = useMemo(() => {
+    const months = new Map<string, Date>();
+    allFestivals.forEach(festival => {
+      if (!festival.favorite || festival.archived) return;
+      const date = safeParseDate(festival.start_date);
+      if (date) months.set(monthKey(date), date);
+    });
+    return Array.from(months.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, date]) => ({ key, label: format(date, 'MMMM yyyy') }));
+  }, [allFestivals]);
+
+  const [month, setMonth] = useState<string>('');
+  const activeMonth = month || favoriteMonths[0]?.key || '';
+
+  const scopedFestivals = useMemo(() => {
+    if (scope === 'selected') return selectedFestivals;
+    return allFestivals.filter(festival => {
+      if (!festival.favorite || festival.archived) return false;
+      const date = safeParseDate(festival.start_date);
+      return !!date && monthKey(date) === activeMonth;
+    });
+  }, [scope, selectedFestivals, allFestivals, activeMonth]);
+
+  // Festivals that will actually get a new research run
+  const festivalsToResearch = scopedFestivals.filter(festival => {
+    const status = festival.research?.status;
+    if (status === 'pending') return false;
+    if (status === 'complete' && skipCompleted) return false;
+    return true;
+  });
+
+  const estimatedCost = estimateBulkResearchCost(provider, festivalsToResearch.length);
+  const tooMany = scopedFestivals.length > MAX_BULK_RESEARCH_FESTIVALS;
+
+  const handleLaunch = async () => {
+    if (scopedFestivals.length === 0 || tooMany) return;
+
+    try {
+      setIsLaunching(true);
+      setError(null);
+      const festivalIds = scopedFestivals.map(festival => festival.id);
+
+      const response = await fetch('/api/festivals/research/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ festivalIds, aiService: provider, skipCompleted })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to queue research');
+      }
+
+      onLaunched({
+        aiService: provider,
+        festivalIds,
+        queued: data.queued,
+        alreadyPending: data.alreadyPending,
+        skipped: data.skipped,
+        estimatedCost: data.estimatedCost
+      });
+      onClose();
+    } catch (err) {
+      console.error('Error launching bulk research:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setIsLaunching(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black bg-opacity-50"
+        onClick={onClose}
+      />
+
+      <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg overflow-hidden">
+        {/* Header */}
+        <div className="flex justify-between items-center p-4 border-b dark:border-gray-700 bg-purple-50 dark:bg-purple-900">
+          <h2 className="flex items-center text-xl font-semibold text-purple-800 dark:text-purple-200">
+            <Layers size={20} className="mr-2" />
+            Bulk research
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-purple-600 hover:text-purple-800 dark:text-purple-300 hover:bg-purple-100 dark:hover:bg-purple-800 rounded-full"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-5 text-sm">
+          {/* Scope */}
+          <div>
+            <label className="block font-medium mb-2">Festivals</label>
+            <div className="space-y-2">
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  name="bulk-scope"
+                  checked={scope === 'selected'}
+                  onChange={() => setScope('selected')}
+                  disabled={selectedFestivals.length === 0}
+                  className="h-4 w-4 text-purple-600 border-gray-300 focus:ring-purple-500"
+                />
+                <span className={`ml-2 ${selectedFestivals.length === 0 ? 'text-gray-400' : ''}`}>
+                  Selected festivals ({selectedFestivals.length})
+                </span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  name="bulk-scope"
+                  checked={scope === 'favorites_month'}
+                  onChange={() => setScope('favorites_month')}
+                  disabled={favoriteMonths.length === 0}
+                  className="h-4 w-4 text-purple-600 border-gray-300 focus:ring-purple-500"
+                />
+                <span className={`ml-2 ${favoriteMonths.length === 0 ? 'text-gray-400' : ''}`}>All favorites in</span>
+                <select
+                  value={activeMonth}
+                  onChange={(e) => { setMonth(e.target.value); setScope('favorites_month'); }}
+                  disabled={favoriteMonths.length === 0}
+                  className="ml-2 pl-2 pr-8 py-1 text-sm border-gray-300 rounded-md focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:border-gray-600"
+                >
+                  {favoriteMonths.map(m => (
+                    <option key={m.key} value={m.key}>{m.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          {/* Provider */}
+          <div>
+            <label className="block font-medium mb-2">Provider</label>
+            <div className="grid grid-cols-2 gap-2">
+              {BULK_RESEARCH_PROVIDERS.map(p => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onClick={() => setProvider(p.id)}
+                  className={`text-left p-2 rounded-md border transition-colors ${
+                    provider === p.id
+                      ? 'border-purple-500 bg-purple-50 dark:bg-purple-900/30'
+                      : 'border-gray-200 dark:border-gray-700 hover:border-purple-300'
+                  }`}
+                >
+                  <div className="font-medium">{p.label}</div>
+                  <div className="text-xs text-gray-500">{p.description}</div>
+                  <div className="text-xs text-gray-400 mt-1">~${p.estimatedCostPerFestival.toFixed(2)} / festival</div>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={skipCompleted}
+              onChange={(e) => setSkipCompleted(e.target.checked)}
+              className="h-4 w-4 text-purple-600 border-gray-300 rounded focus:ring-purple-500"
+            />
+            <span className="ml-2">Skip festivals that already have completed research</span>
+          </label>
+
+          {/* Estimate */}
+          <div className="flex items-start p-3 rounded-md bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700">
+            <DollarSign size={16} className="mr-2 mt-0.5 text-gray-500 flex-shrink-0" />
+            <div>
+              <div className="font-medium">
+                Estimated cost: ${estimatedCost.toFixed(2)}
+              </div>
+              <div className="text-xs text-gray-500 mt-0.5">
+                {festivalsToResearch.length} of {scopedFestivals.length} festivals will be researched
+                {scopedFestivals.length - festivalsToResearch.length > 0 && ' (others are pending or already complete)'}
+              </div>
+              {tooMany && (
+                <div className="text-xs text-red-600 mt-1">
+                  At most {MAX_BULK_RESEARCH_FESTIVALS} festivals can be researched at once
+                </div>
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-600">{error}</div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 text-sm font-medium bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/80 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleLaunch}
+            disabled={isLaunching || festivalsToResearch.length === 0 || tooMany}
+            className="flex items-center px-3 py-1.5 text-sm font-medium bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            {isLaunching && <Loader2 size={14} className="mr-2 animate-spin" />}
+            Queue research for {festivalsToResearch.length} festivals
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkResearchDialog;
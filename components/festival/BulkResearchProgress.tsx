@@ -0,0 +1,136 @@
+'use client';
+
+import React, { useEffect, useState, useCallback } from 'react';
+import { Layers, Loader2, CheckCircle, XCircle, X } from 'lucide-react';
+import type { BulkResearchLaunch } from './BulkResearchDialog';
+
+interface BulkResearchProgressProps {
+  launch: BulkResearchLaunch;
+  // Festival names for the failed list
+  festivalNames: Record<string, string>;
+  onDismiss: () => void;
+  // Called once every tracked festival has finished
+  onFinished?: () => void;
+}
+
+interface ResearchRow {
+  festival_id: string;
+  status: 'pending' | 'complete' | 'failed';
+}
+
+// Background jobs are picked up by the cron worker every 2 minutes
+const POLL_INTERVAL_MS = 15000;
+
+const BulkResearchProgress: React.FC<BulkResearchProgressProps> = ({
+  launch,
+  festivalNames,
+  onDismiss,
+  onFinished
+}) => {
+  // Skipped festivals already have complete research and are not tracked
+  const trackedIds = React.useMemo(
+    () => [...launch.queued, ...launch.alreadyPending],
+    [launch]
+  );
+  const [statuses, setStatuses] = useState<Record<string, ResearchRow['status']>>({});
+  const [lastChecked, setLastChecked] = useState<Date | null>(null);
+
+  const counts = trackedIds.reduce(
+    (acc, id) => {
+      const status = statuses[id] || 'pending';
+      acc[status]++;
+      return acc;
+    },
+    { pending: 0, complete: 0, failed: 0 }
+  );
+  const finished = trackedIds.length > 0 && counts.pending === 0;
+
+  const fetchProgress = useCallback(async () => {
+    if (trackedIds.length === 0) return;
+    try {
+      const response = await fetch(`/api/festivals/research/bulk?festivalIds=${trackedIds.join(',')}`, {
+        cache: 'no-store'
+      });
+      if (!response.ok) return;
+      const data = await response.json();
+      const next: Record<string, ResearchRow['status']> = {};
+      (data.research as ResearchRow[]).forEach(row => {
+        next[row.festival_id] = row.status;
+      });
+      setStatuses(next);
+      setLastChecked(new Date());
+    } catch (error) {
+      console.error('Error fetching bulk research progress:', error);
+    }
+  }, [trackedIds]);
+
+  // Poll until every festival has finished
+  useEffect(() => {
+    if (finished) return;
+    fetchProgress();
+    const interval = setInterval(fetchProgress, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchProgress, finished]);
+
+  // Notify once, even if the parent passes a new callback on every render
+  const notifiedRef = React.useRef(false);
+  useEffect(() => {
+    if (finished && onFinished && !notifiedRef.current) {
+      notifiedRef.current = true;
+      onFinished();
+    }
+  }, [finished, onFinished]);
+
+  const percentage = trackedIds.length > 0
+    ? Math.round(((counts.complete + counts.failed) / trackedIds.length) * 100)
+    : 100;
+  const failedIds = trackedIds.filter(id => statuses[id] === 'failed');
+
+  return (
+    <div className="mb-3 p-3 rounded-lg border border-purple-200 bg-purple-50 dark:bg-purple-900/20 dark:border-purple-800 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-purple-800 dark:text-purple-200 font-medium">
+          {finished ? (
+            <CheckCircle size={16} className="mr-2 text-green-600" />
+          ) : (
+            <Loader2 size={16} className="mr-2 animate-spin" />
+          )}
+          <Layers size={14} className="mr-1" />
+          Bulk research ({launch.aiService}) • {counts.complete + counts.failed}/{trackedIds.length} done
+        </div>
+        <button
+          onClick={onDismiss}
+          className="p-1 text-purple-500 hover:text-purple-700 rounded"
+          title={finished ? 'Dismiss' : 'Hide (research keeps running in the background)'}
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="mt-2 h-2 w-full bg-purple-100 dark:bg-purple-900 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-purple-600 transition-all duration-500"
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+
+      <div className="mt-2 flex flex-wrap gap-x-4 text-xs text-gray-600 dark:text-gray-300">
+        <span>{counts.pending} pending</span>
+        <span className="text-green-700">{counts.complete} complete</span>
+        {counts.failed > 0 && <span className="text-red-600">{counts.failed} failed</span>}
+        {launch.skipped.length > 0 && <span>{launch.skipped.length} skipped (already complete)</span>}
+        <span>est. ${launch.estimatedCost.toFixed(2)}</span>
+        {lastChecked && <span className="text-gray-400">checked {lastChecked.toLocaleTimeString()}</span>}
+      </div>
+
+      {failedIds.length > 0 && (
+        <div className="mt-2 flex items-start text-xs text-red-600">
+          <XCircle size={12} className="mr-1 mt-0.5 flex-shrink-0" />
+          <span>Failed: {failedIds.map(id => festivalNames[id] || id).join(', ')}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkResearchProgress;
@@ -0,0 +1,63 @@
+'use client';
+
+import React, { useState, useMemo } from 'react';
+import { History, ChevronDown, ChevronUp } from 'lucide-react';
+import { describeEditionOutcome, getEditionYear, isWonEdition, type EditionHistory } from '../../lib/festivals/series';
+import { buildStageIndex } from '../../lib/festivals/pipelines';
+import { useFestival } from '../../app/contexts/FestivalContext';
+
+interface EditionHistoryBadgeProps {
+  history?: EditionHistory | null;
+}
+
+/**
+ * "Returning festival" badge with last year's sales outcome; expands to list all
+ * earlier editions with their stage and notes
+ */
+const EditionHistoryBadge: React.FC<EditionHistoryBadgeProps> = ({ history }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { pipelines } = useFestival();
+  const stageIndex = useMemo(() => buildStageIndex(pipelines), [pipelines]);
+
+  if (!history || !history.isReturning || !history.lastEdition) return null;
+
+  const lastWasDeal = isWonEdition(history.lastEdition, stageIndex);
+  const firstYear = getEditionYear(history.previousEditions[history.previousEditions.length - 1]);
+
+  return (
+    <div className="mt-1">
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          setExpanded(!expanded);
+        }}
+        className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+          lastWasDeal
+            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+            : 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
+        }`}
+        title={`Returning festival${firstYear ? ` since ${firstYear}` : ''}, ${history.previousEditions.length} earlier edition${history.previousEditions.length === 1 ? '' : 's'}`}
+      >
+        <History size={12} className="mr-1" />
+        Returning · {describeEditionOutcome(history.lastEdition, stageIndex)}
+        {expanded ? <ChevronUp size={10} className="ml-1" /> : <ChevronDown size={10} className="ml-1" />}
+      </button>
+
+      {expanded && (
+        <ul className="mt-1 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+          {history.previousEditions.map(edition => (
+            <li key={edition.id} className="border-l-2 border-purple-200 dark:border-purple-800 pl-2">
+              <span className="font-medium text-gray-800 dark:text-gray-200">{describeEditionOutcome(edition, stageIndex)}</span>
+              {edition.archived && <span className="ml-1 text-gray-400">(archived)</span>}
+              {edition.notes && (
+                <div className="line-clamp-2" title={edition.notes}>{edition.notes}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EditionHistoryBadge;
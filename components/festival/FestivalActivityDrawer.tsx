@@ -0,0 +1,149 @@
+'use client';
+
+import React from 'react';
+import {
+  X,
+  History,
+  ArrowRightCircle,
+  StickyNote,
+  UserPlus,
+  Search,
+  Mail,
+  FileSpreadsheet,
+  Loader2,
+  RefreshCw
+} from 'lucide-react';
+import {
+  describeActivity,
+  type ActivityType,
+  type FestivalActivityEntry
+} from '../../lib/festivals/activity';
+import { buildStageIndex } from '../../lib/festivals/pipelines';
+import { useFestival } from '../../app/contexts/FestivalContext';
+
+interface FestivalActivityDrawerProps {
+  festivalId: string;
+  festivalName: string;
+  onClose: () => void;
+}
+
+const ACTIVITY_ICONS: Record<ActivityType, React.ReactNode> = {
+  stage_change: <ArrowRightCircle size={14} className="text-blue-500" />,
+  notes_edit: <StickyNote size={14} className="text-green-600" />,
+  contact_added: <UserPlus size={14} className="text-purple-500" />,
+  research_run: <Search size={14} className="text-orange-500" />,
+  rate_card: <FileSpreadsheet size={14} className="text-yellow-600" />,
+  email_sent: <Mail size={14} className="text-sky-600" />,
+};
+
+const formatTime = (value: string) => new Date(value).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * Slide-over with the activity timeline of one festival
+ */
+const FestivalActivityDrawer: React.FC<FestivalActivityDrawerProps> = ({ festivalId, festivalName, onClose }) => {
+  const [activity, setActivity] = React.useState<FestivalActivityEntry[]>([]);
+  const [isLoading, setIsLoading] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+  const { pipelines } = useFestival();
+  const stageIndex = React.useMemo(() => buildStageIndex(pipelines), [pipelines]);
+
+  const loadActivity = React.useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await fetch(`/api/festivals/${festivalId}/activity`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load activity');
+      }
+      setActivity(result.data || []);
+    } catch (loadError) {
+      console.error('Error loading festival activity:', loadError);
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load activity');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [festivalId]);
+
+  React.useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-white dark:bg-gray-800 shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <History size={16} />
+              Activity
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{festivalName}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadActivity}
+              disabled={isLoading}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3">
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded p-2 mb-3">{error}</div>
+          )}
+
+          {isLoading && activity.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+            </div>
+          ) : activity.length === 0 && !error ? (
+            <p className="text-sm text-gray-500 text-center py-8">Nothing has happened to this festival yet</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2">
+              {activity.map(entry => (
+                <li key={entry.id} className="mb-4 ml-4">
+                  <span className="absolute -left-[8px] flex items-center justify-center w-4 h-4 bg-white dark:bg-gray-800 rounded-full">
+                    {ACTIVITY_ICONS[entry.activity_type]}
+                  </span>
+                  <div className="text-sm text-gray-900 dark:text-gray-100">{describeActivity(entry, stageIndex)}</div>
+                  {entry.activity_type === 'notes_edit' && entry.to_value && (
+                    <div className="mt-1 text-xs bg-green-50 text-green-800 p-2 rounded border border-green-200 dark:bg-green-900 dark:text-green-200 dark:border-green-700 line-clamp-3 whitespace-pre-line">
+                      {entry.to_value}
+                    </div>
+                  )}
+                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                    {entry.actor_name || 'System'} · {formatTime(entry.created_at)}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FestivalActivityDrawer;
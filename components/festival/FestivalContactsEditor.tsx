@@ -0,0 +1,222 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, X, Linkedin } from 'lucide-react';
+import {
+  CONTACT_ROLES,
+  CONTACT_ROLE_LABELS,
+  VERIFICATION_STATUS_LABELS,
+  contactDisplayName,
+  contactSourceLabel,
+  isValidEmail,
+  type ContactRole,
+  type FestivalContact,
+} from '../../lib/festivals/contacts';
+
+export interface NewContactDetails {
+  name?: string;
+  role?: ContactRole;
+}
+
+interface FestivalContactsEditorProps {
+  festivalId: string;
+  onAdd?: (festivalId: string, email: string, details?: NewContactDetails) => Promise<void>;
+  onRemove?: (festivalId: string, contact: FestivalContact) => Promise<void>;
+  onClose: () => void;
+}
+
+const verificationBadgeColors: Record<FestivalContact['verification_status'], string> = {
+  unverified: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+  verified: 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300',
+  bounced: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300',
+  invalid: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300',
+};
+
+/**
+ * The contacts of a festival with where each was found, and a form to add one by
+ * email. Opened from the emails column of the festival table.
+ */
+const FestivalContactsEditor: React.FC<FestivalContactsEditorProps> = ({
+  festivalId,
+  onAdd,
+  onRemove,
+  onClose,
+}) => {
+  const [contacts, setContacts] = useState<FestivalContact[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [role, setRole] = useState<ContactRole>('unknown');
+
+  const loadContacts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/festivals/${festivalId}/contacts`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load contacts');
+      }
+      setContacts(result.data || []);
+    } catch (error) {
+      console.error('Error loading contacts:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [festivalId]);
+
+  useEffect(() => {
+    loadContacts();
+  }, [loadContacts]);
+
+  const handleAdd = async (e?: React.FormEvent) => {
+    e?.preventDefault();
+    const trimmed = email.trim();
+    if (!trimmed || !onAdd) return;
+
+    if (!isValidEmail(trimmed)) {
+      alert('Please enter a valid email address');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onAdd(festivalId, trimmed, { name: name.trim() || undefined, role });
+      setEmail('');
+      setName('');
+      setRole('unknown');
+      await loadContacts();
+    } catch (error) {
+      console.error('Error adding contact:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (contact: FestivalContact) => {
+    if (!onRemove) return;
+    if (!confirm(`Remove ${contactDisplayName(contact)} from this festival?`)) return;
+
+    try {
+      await onRemove(festivalId, contact);
+      setContacts(current => current.filter(c => c.id !== contact.id));
+    } catch (error) {
+      console.error('Error removing contact:', error);
+    }
+  };
+
+  return (
+    <div className="mt-2 w-72 p-2 space-y-2 border border-border rounded-md bg-background shadow-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-foreground">Contacts</span>
+        <button
+          onClick={onClose}
+          className="p-0.5 text-muted-foreground hover:text-foreground rounded"
+          title="Close"
+        >
+          <X size={12} />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-2">
+          <Loader2 size={14} className="animate-spin text-muted-foreground" />
+        </div>
+      ) : contacts.length === 0 ? (
+        <div className="text-xs text-muted-foreground italic">No contacts yet</div>
+      ) : (
+        <ul className="space-y-1.5 max-h-48 overflow-y-auto">
+          {contacts.map(contact => (
+            <li key={contact.id} className="flex items-start justify-between gap-2 text-xs">
+              <div className="min-w-0">
+                <div className="flex items-center gap-1">
+                  <span className="font-medium text-foreground truncate">
+                    {contact.name || contact.email || contactDisplayName(contact)}
+                  </span>
+                  {contact.linkedin_url && (
+                    <a
+                      href={contact.linkedin_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-[#0A66C2] flex-shrink-0"
+                      title="LinkedIn profile"
+                    >
+                      <Linkedin size={10} />
+                    </a>
+                  )}
+                </div>
+                {contact.name && contact.email && (
+                  <a href={`mailto:${contact.email}`} className="block text-blue-600 hover:underline break-all">
+                    {contact.email}
+                  </a>
+                )}
+                <div className="flex flex-wrap items-center gap-1 mt-0.5 text-[10px] text-muted-foreground">
+                  {contact.role !== 'unknown' && <span>{CONTACT_ROLE_LABELS[contact.role]}</span>}
+                  <span className={`px-1 rounded ${verificationBadgeColors[contact.verification_status]}`}>
+                    {VERIFICATION_STATUS_LABELS[contact.verification_status]}
+                  </span>
+                  <span title={`Email found ${contact.sources.email?.found_at ? new Date(contact.sources.email.found_at).toLocaleDateString() : ''}`}>
+                    via {contactSourceLabel(contact.sources.email?.source || contact.link_source)}
+                  </span>
+                  {contact.last_contacted_at && (
+                    <span>· contacted {new Date(contact.last_contacted_at).toLocaleDateString()}</span>
+                  )}
+                </div>
+              </div>
+              {onRemove && (
+                <button
+                  onClick={() => handleRemove(contact)}
+                  className="p-0.5 text-muted-foreground hover:text-red-600 rounded flex-shrink-0"
+                  title="Remove from festival"
+                >
+                  <X size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onAdd && (
+        <form onSubmit={handleAdd} className="space-y-1.5 pt-2 border-t border-border">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email address"
+            className="w-full px-2 py-1.5 text-xs border border-input rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-ring"
+            autoFocus
+          />
+          <div className="flex gap-1.5">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name (optional)"
+              className="flex-1 min-w-0 px-2 py-1.5 text-xs border border-input rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-ring"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value as ContactRole)}
+              className="px-1.5 py-1.5 text-xs border border-input rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-ring"
+              aria-label="Role"
+            >
+              {CONTACT_ROLES.map(value => (
+                <option key={value} value={value}>{CONTACT_ROLE_LABELS[value]}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={saving || !email.trim()}
+            className="w-full px-2.5 py-1.5 text-xs font-medium bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : 'Add contact'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FestivalContactsEditor;
@@ -0,0 +1,318 @@
+'use client';
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import Link from 'next/link';
+import { Plus, Minus, X } from 'lucide-react';
+import { formatDateRange } from '../../utils/dateUtils';
+import type { SalesStage } from '../../lib/types';
+import type { GeoPoint } from '../../lib/festivals/geocoding';
+import { stageLabel, type PipelineStage } from '../../lib/festivals/pipelines';
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  TILE_SIZE,
+  clusterMarkers,
+  fitBounds,
+  pixelsPerKm,
+  project,
+  unproject,
+  type MapCluster,
+  type MapMarker,
+} from '../../lib/festivals/festival-map';
+
+export interface FestivalMarker extends MapMarker {
+  name: string;
+  start_date: string | null;
+  end_date: string | null;
+  location: string | null;
+  city: string | null;
+  sales_stage: SalesStage;
+  favorite: boolean;
+  distance_km?: number | null;
+}
+
+// Color of markers whose stage no pipeline has
+const UNKNOWN_STAGE_COLOR = '#6b7280';
+
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Around the Netherlands, Belgium and the west of Germany
+const DEFAULT_VIEW = { center: { lat: 51.6, lng: 6.0 }, zoom: 7 };
+
+// Festivals listed in the popup of a cluster
+const MAX_POPUP_FESTIVALS = 25;
+
+interface FestivalMapProps {
+  markers: FestivalMarker[];
+  // Sales stages by key (see buildStageIndex), for marker colors and labels
+  stages: Map<string, PipelineStage>;
+  // Radius search area, drawn as a circle
+  circle?: { center: GeoPoint; radiusKm: number } | null;
+  // The map zooms to fit the markers and circle whenever this changes
+  fitKey?: string;
+  className?: string;
+}
+
+/**
+ * Festivals on an OpenStreetMap map, clustered where they overlap. Drag to pan,
+ * scroll or use the buttons to zoom; clicking a cluster zooms in on it, or lists its
+ * festivals once it can't be split any further.
+ */
+const FestivalMap: React.FC<FestivalMapProps> = ({ markers, stages, circle, fitKey, className = '' }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const dragRef = useRef<{ pointerX: number; pointerY: number; centerX: number; centerY: number } | null>(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [selectedKey, setSelectedKey] = useState<string | null>(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Only refit for new results, not on every marker update, so the effect reads the
+  // latest markers and circle from a ref
+  const fitRef = useRef({ markers, circle, size });
+  fitRef.current = { markers, circle, size };
+  const hasSize = size.width > 0;
+
+  // Zoom to the results when they change
+  useEffect(() => {
+    if (!hasSize) return;
+    const { markers, circle, size } = fitRef.current;
+    const points: GeoPoint[] = markers.map(marker => ({ lat: marker.latitude, lng: marker.longitude }));
+    if (circle) {
+      const latOffset = circle.radiusKm / 111.32;
+      const lngOffset = circle.radiusKm / (111.32 * Math.cos((circle.center.lat * Math.PI) / 180));
+      points.push(
+        { lat: circle.center.lat + latOffset, lng: circle.center.lng - lngOffset },
+        { lat: circle.center.lat - latOffset, lng: circle.center.lng + lngOffset }
+      );
+    }
+    const fitted = fitBounds(points, size.width, size.height);
+    if (fitted) setView(fitted);
+    setSelectedKey(null);
+  }, [fitKey, hasSize]);
+
+  const centerPoint = project(view.center, view.zoom);
+  const origin = { x: centerPoint.x - size.width / 2, y: centerPoint.y - size.height / 2 };
+
+  const zoomTo = (zoom: number, anchor?: { x: number; y: number }) => {
+    const nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    if (nextZoom === view.zoom) return;
+    // Keep the point under the anchor (default: the center) in place
+    const screen = anchor || { x: size.width / 2, y: size.height / 2 };
+    const anchorGeo = unproject({ x: origin.x + screen.x, y: origin.y + screen.y }, view.zoom);
+    const anchorWorld = project(anchorGeo, nextZoom);
+    const center = unproject({
+      x: anchorWorld.x - screen.x + size.width / 2,
+      y: anchorWorld.y - screen.y + size.height / 2,
+    }, nextZoom);
+    setView({ center, zoom: nextZoom });
+    setSelectedKey(null);
+  };
+
+  // React's wheel listener is passive, so the page would scroll along
+  const zoomToRef = useRef(zoomTo);
+  zoomToRef.current = zoomTo;
+  const zoomRef = useRef(view.zoom);
+  zoomRef.current = view.zoom;
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const handleWheel = (event: WheelEvent) => {
+      event.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomToRef.current(zoomRef.current + (event.deltaY < 0 ? 1 : -1), {
+        x: event.clientX - rect.left,
+        y: event.clientY - rect.top,
+      });
+    };
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLDivElement>) => {
+    if ((e.target as HTMLElement).closest('[data-map-control]')) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerX: e.clientX, pointerY: e.clientY, centerX: centerPoint.x, centerY: centerPoint.y };
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLDivElement>) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const center = unproject({
+      x: drag.centerX - (e.clientX - drag.pointerX),
+      y: drag.centerY - (e.clientY - drag.pointerY),
+    }, view.zoom);
+    setView(current => ({ ...current, center }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const clusters = useMemo(() => clusterMarkers(markers, view.zoom), [markers, view.zoom]);
+  const selected = clusters.find(cluster => cluster.key === selectedKey) || null;
+
+  const handleClusterClick = (cluster: MapCluster<FestivalMarker>) => {
+    const sameSpot = cluster.markers.every(marker =>
+      marker.latitude === cluster.markers[0].latitude && marker.longitude === cluster.markers[0].longitude
+    );
+    if (cluster.markers.length > 1 && !sameSpot && view.zoom < MAX_ZOOM) {
+      const center = unproject(cluster.position, view.zoom);
+      setView({ center, zoom: Math.min(MAX_ZOOM, view.zoom + 2) });
+      setSelectedKey(null);
+    } else {
+      setSelectedKey(cluster.key === selectedKey ? null : cluster.key);
+    }
+  };
+
+  // Tiles covering the viewport; x wraps around the world, y doesn't
+  const tiles: { key: string; url: string; left: number; top: number }[] = [];
+  const tileCount = Math.pow(2, view.zoom);
+  if (size.width > 0) {
+    for (let tileX = Math.floor(origin.x / TILE_SIZE); tileX * TILE_SIZE < origin.x + size.width; tileX++) {
+      for (let tileY = Math.floor(origin.y / TILE_SIZE); tileY * TILE_SIZE < origin.y + size.height; tileY++) {
+        if (tileY < 0 || tileY >= tileCount) continue;
+        const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+        tiles.push({
+          key: `${view.zoom}/${tileX}/${tileY}`,
+          url: TILE_URL.replace('{z}', String(view.zoom)).replace('{x}', String(wrappedX)).replace('{y}', String(tileY)),
+          left: tileX * TILE_SIZE - origin.x,
+          top: tileY * TILE_SIZE - origin.y,
+        });
+      }
+    }
+  }
+
+  const circleCenter = circle ? project(circle.center, view.zoom) : null;
+  const circleRadius = circle ? circle.radiusKm * pixelsPerKm(circle.center.lat, view.zoom) : 0;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative overflow-hidden bg-slate-100 select-none touch-none cursor-grab active:cursor-grabbing ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {tiles.map(tile => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          draggable={false}
+          className="absolute max-w-none pointer-events-none"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+
+      {circleCenter && (
+        <svg className="absolute inset-0 pointer-events-none" width={size.width} height={size.height}>
+          <circle
+            cx={circleCenter.x - origin.x}
+            cy={circleCenter.y - origin.y}
+            r={circleRadius}
+            fill="rgba(37, 99, 235, 0.08)"
+            stroke="rgb(37, 99, 235)"
+            strokeWidth={2}
+            strokeDasharray="6 4"
+          />
+        </svg>
+      )}
+
+      {clusters.map(cluster => {
+        const left = cluster.position.x - origin.x;
+        const top = cluster.position.y - origin.y;
+        if (left < -40 || top < -40 || left > size.width + 40 || top > size.height + 40) return null;
+
+        const single = cluster.markers.length === 1 ? cluster.markers[0] : null;
+        return (
+          <button
+            key={cluster.key}
+            type="button"
+            data-map-control
+            onClick={() => handleClusterClick(cluster)}
+            title={single ? single.name : `${cluster.markers.length} festivals`}
+            className={`absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow-md text-white text-xs font-semibold flex items-center justify-center ${
+              single ? 'w-4 h-4' : 'bg-blue-600 min-w-[2rem] h-8 px-1.5'
+            }`}
+            style={{ left, top, backgroundColor: single ? stages.get(single.sales_stage)?.color || UNKNOWN_STAGE_COLOR : undefined }}
+          >
+            {!single && cluster.markers.length}
+          </button>
+        );
+      })}
+
+      {selected && (
+        <div
+          data-map-control
+          className="absolute z-10 w-72 max-h-80 overflow-auto bg-white rounded-lg shadow-lg border border-gray-200 cursor-auto"
+          style={{
+            left: Math.min(Math.max(selected.position.x - origin.x + 12, 8), size.width - 296),
+            top: Math.min(Math.max(selected.position.y - origin.y + 12, 8), size.height - 200),
+          }}
+        >
+          <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+            <span className="text-sm font-medium text-gray-900">
+              {selected.markers.length === 1 ? (selected.markers[0].city || selected.markers[0].location) : `${selected.markers.length} festivals`}
+            </span>
+            <button type="button" onClick={() => setSelectedKey(null)} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {selected.markers.slice(0, MAX_POPUP_FESTIVALS).map(marker => (
+              <li key={marker.id} className="px-3 py-2">
+                <Link
+                  href={`/festivals?search=${encodeURIComponent(marker.name)}`}
+                  className="text-sm font-medium text-blue-600 hover:underline"
+                >
+                  {marker.name}
+                </Link>
+                <div className="text-xs text-gray-500">
+                  {[
+                    formatDateRange(marker.start_date, marker.end_date),
+                    marker.city || marker.location,
+                    marker.distance_km != null ? `${Math.round(marker.distance_km)} km` : null,
+                  ].filter(Boolean).join(' · ')}
+                </div>
+                <div className="flex items-center gap-1 mt-0.5 text-xs text-gray-600">
+                  <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: stages.get(marker.sales_stage)?.color || UNKNOWN_STAGE_COLOR }} />
+                  {stageLabel(stages, marker.sales_stage)}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {selected.markers.length > MAX_POPUP_FESTIVALS && (
+            <div className="px-3 py-2 text-xs text-gray-500 border-t border-gray-100">
+              And {selected.markers.length - MAX_POPUP_FESTIVALS} more; zoom in or narrow the filters
+            </div>
+          )}
+        </div>
+      )}
+
+      <div data-map-control className="absolute top-3 right-3 flex flex-col bg-white rounded-md shadow border border-gray-200 cursor-auto">
+        <button type="button" onClick={() => zoomTo(view.zoom + 1)} disabled={view.zoom >= MAX_ZOOM} className="p-1.5 hover:bg-gray-50 disabled:opacity-40" aria-label="Zoom in">
+          <Plus className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={() => zoomTo(view.zoom - 1)} disabled={view.zoom <= MIN_ZOOM} className="p-1.5 border-t border-gray-200 hover:bg-gray-50 disabled:opacity-40" aria-label="Zoom out">
+          <Minus className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div data-map-control className="absolute bottom-0 right-0 bg-white/80 px-1.5 py-0.5 text-[10px] text-gray-600">
+        © <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="underline">OpenStreetMap</a> contributors
+      </div>
+    </div>
+  );
+};
+
+export default FestivalMap;
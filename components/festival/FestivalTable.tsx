@@ -1,13 +1,27 @@
 'use client';
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Calendar, MapPin, Star, Archive, ExternalLink, ChevronLeft, ChevronRight, Edit3, Copy, Globe, Linkedin, Search, ChevronDown, Loader2 } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Calendar, MapPin, Star, Archive, ExternalLink, ChevronLeft, ChevronRight, Edit3, Copy, Globe, Linkedin, Search, ChevronDown, Loader2, Layers } from 'lucide-react';
 import { safeParseDate, formatDateRange } from '../../utils/dateUtils';
 import { format, addMonths, startOfMonth, endOfMonth, getDay, isSameMonth, isSameDay, isAfter, isBefore, parse, getDaysInMonth } from 'date-fns';
 import { RateCardUpdatePayload } from '../../lib/types/rate-card';
 import ResearchButton from './ResearchButton';
 import ResearchModal from './ResearchModal';
 import ApifyResearchPanel from './ApifyResearchPanel';
+import BulkResearchDialog, { BulkResearchLaunch } from './BulkResearchDialog';
+import BulkResearchProgress from './BulkResearchProgress';
+import VerificationFlagBadges from './VerificationFlagBadges';
+import EditionHistoryBadge from './EditionHistoryBadge';
+import SearchSnippet from './SearchSnippet';
+import FestivalContactsEditor, { type NewContactDetails } from './FestivalContactsEditor';
+import OverdueTaskBadge from './OverdueTaskBadge';
+import FestivalTasksDrawer from './FestivalTasksDrawer';
+import { buildEditionIndex } from '../../lib/festivals/series';
+import type { FestivalSortField, SortDirection } from '../../lib/festivals/festival-query';
+import type { SearchMatch } from '../../lib/festivals/search';
+import type { FestivalContact } from '../../lib/festivals/contacts';
+import type { SalesStage } from '../../lib/types';
+import type { OverdueTaskSummary } from '../../lib/festivals/tasks';
 
 // CSS for pulsating animation
 const pulseKeyframes = `
@@ -40,6 +54,9 @@ interface Festival {
   organizing_company?: string;
   homepage_url?: string;
   last_verified?: string;
+  verification_flags?: string[];
+  series_id?: string | null;
+  edition_year?: number | null;
 }
 
 interface ResearchStatus {
@@ -51,12 +68,14 @@ interface FestivalWithPreferences extends Festival {
   favorite: boolean;
   archived: boolean;
   notes?: string;
-  sales_stage?: 'favorited' | 'outreach' | 'talking' | 'offer' | 'deal';
+  sales_stage?: SalesStage;
   rate_card_requested?: boolean;
   rate_card_received?: boolean;
   rate_card_date?: string | null;
   rate_card_notes?: string | null;
   research?: ResearchStatus | null;
+  // Where the festival matched the current search
+  search_match?: SearchMatch | null;
 }
 
 interface FestivalTableProps {
@@ -67,19 +86,18 @@ interface FestivalTableProps {
   onUpdateDates?: (festivalId: string, startDate: string, endDate: string) => void;
   onUpdateRateCard?: (festivalId: string, updates: RateCardUpdatePayload) => Promise<boolean>;
   onResearch?: (festivalId: string) => Promise<void>;
-  onEmailUpdate?: (festivalId: string, email: string) => Promise<void>;
+  onEmailUpdate?: (festivalId: string, email: string, details?: NewContactDetails) => Promise<void>;
+  onContactRemove?: (festivalId: string, contact: FestivalContact) => Promise<void>;
   onLinkedInUpdate?: (festivalId: string, linkedinUrl: string) => Promise<void>;
+  // Unfiltered festival list for the bulk research "favorites in month" scope
+  allFestivals?: FestivalWithPreferences[];
+  onBulkResearchFinished?: () => void;
+  // Sorted by the server: festivals are shown in the given order and header clicks
+  // are reported instead of sorting the rows here
+  sort?: { field: FestivalSortField; direction: SortDirection };
+  onSortChange?: (field: FestivalSortField, direction: SortDirection) => void;
 }
 
-// Sales stage badge colors
-const salesStageBadgeColors = {
-  favorited: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
-  outreach: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
-  talking: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
-  offer: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
-  deal: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
-};
-
 const FestivalTable: React.FC<FestivalTableProps> = ({
   festivals,
   onFavoriteToggle,
@@ -89,10 +107,17 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
   onUpdateRateCard,
   onResearch,
   onEmailUpdate,
+  onContactRemove,
   onLinkedInUpdate,
+  allFestivals,
+  onBulkResearchFinished,
+  sort,
+  onSortChange,
 }) => {
-  const [sortField, setSortField] = useState<keyof Festival>('start_date');
-  const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('asc');
+  const [localSortField, setSortField] = useState<FestivalSortField>('start_date');
+  const [localSortDirection, setSortDirection] = useState<'asc' | 'desc'>('asc');
+  const sortField = sort ? sort.field : localSortField;
+  const sortDirection = sort ? sort.direction : localSortDirection;
   const [notes, setNotes] = useState<{ [key: string]: string }>({});
   const textareaRefs = useRef<{ [key: string]: HTMLTextAreaElement | null }>({});
   const saveTimersRef = useRef<{ [key: string]: NodeJS.Timeout }>({});
@@ -106,7 +131,6 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
   const [researchModalOpen, setResearchModalOpen] = useState(false);
   const [selectedFestival, setSelectedFestival] = useState<FestivalWithPreferences | null>(null);
   const [editingEmail, setEditingEmail] = useState<string | null>(null);
-  const [newEmail, setNewEmail] = useState('');
   const [editingLinkedIn, setEditingLinkedIn] = useState<string | null>(null);
   const [newLinkedInUrl, setNewLinkedInUrl] = useState('');
   const [expandedResearchPanel, setExpandedResearchPanel] = useState<string | null>(null);
@@ -118,6 +142,32 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
   // Store research abort controllers to allow cancellation
   const researchControllersRef = useRef<Map<string, AbortController>>(new Map());
 
+  // Bulk research selection and the currently tracked bulk run
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+  const [bulkDialogOpen, setBulkDialogOpen] = useState(false);
+  const [bulkLaunch, setBulkLaunch] = useState<BulkResearchLaunch | null>(null);
+
+  // Festivals with open tasks past their due date, and the festival whose tasks are open
+  const [overdueTasks, setOverdueTasks] = useState<Map<string, OverdueTaskSummary>>(new Map());
+  const [tasksFestival, setTasksFestival] = useState<FestivalWithPreferences | null>(null);
+
+  const loadOverdueTasks = useCallback(async () => {
+    try {
+      const response = await fetch('/api/tasks/overdue');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load overdue tasks');
+      }
+      setOverdueTasks(new Map((result.data as OverdueTaskSummary[]).map(summary => [summary.festival_id, summary])));
+    } catch (error) {
+      console.error('Error loading overdue tasks:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOverdueTasks();
+  }, [loadOverdueTasks]);
+
   // Initialize notes from festivals data when component mounts
   useEffect(() => {
     const initialNotes: { [key: string]: string } = {};
@@ -198,8 +248,10 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
   }, [festivals, onNoteSave]);
 
   // Handle sorting
-  const handleSort = (field: keyof Festival) => {
-    if (field === sortField) {
+  const handleSort = (field: FestivalSortField) => {
+    if (onSortChange) {
+      onSortChange(field, field === sortField && sortDirection === 'asc' ? 'desc' : 'asc');
+    } else if (field === sortField) {
       // Toggle direction if same field
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
     } else {
@@ -330,8 +382,8 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
     return dateA.getTime() - dateB.getTime();
   };
 
-  // Sort festivals
-  const sortedFestivals = [...festivals].sort((a, b) => {
+  // Sort festivals, unless the server already did
+  const sortedFestivals = sort ? festivals : [...festivals].sort((a, b) => {
     let comparison = 0;
 
     if (sortField === 'start_date' || sortField === 'end_date') {
@@ -509,40 +561,13 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
     }
   };
 
-  // Email editing handlers
+  // Contacts editor, opened from the emails column
   const handleEmailEditClick = (festivalId: string) => {
     setEditingEmail(festivalId);
-    setNewEmail('');
   };
 
   const handleEmailCancel = () => {
     setEditingEmail(null);
-    setNewEmail('');
-  };
-
-  const handleEmailSubmit = async (festivalId: string, e?: React.KeyboardEvent) => {
-    if (e && e.key !== 'Enter') return;
-    
-    const email = newEmail.trim();
-    if (!email) return;
-
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      alert('Please enter a valid email address');
-      return;
-    }
-
-    try {
-      if (onEmailUpdate) {
-        await onEmailUpdate(festivalId, email);
-      }
-      setEditingEmail(null);
-      setNewEmail('');
-    } catch (error) {
-      console.error('Error updating email:', error);
-      alert('Failed to save email. Please try again.');
-    }
   };
 
   // Research state handlers
@@ -606,16 +631,89 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
     }
   };
 
+  // Bulk selection handlers
+  const toggleSelected = (festivalId: string) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(festivalId)) {
+        next.delete(festivalId);
+      } else {
+        next.add(festivalId);
+      }
+      return next;
+    });
+  };
+
+  const allVisibleSelected = sortedFestivals.length > 0 && sortedFestivals.every(f => selectedIds.has(f.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allVisibleSelected ? new Set() : new Set(sortedFestivals.map(f => f.id)));
+  };
+
+  const selectedFestivals = festivals.filter(f => selectedIds.has(f.id));
+  const bulkFestivalPool = allFestivals || festivals;
+  // Earlier editions come from the unfiltered list, they're usually in another month
+  const editionIndex = useMemo(() => buildEditionIndex(bulkFestivalPool), [bulkFestivalPool]);
+
+  const handleBulkLaunched = (launch: BulkResearchLaunch) => {
+    setBulkLaunch(launch);
+    setSelectedIds(new Set());
+  };
+
   return (
     <div className="w-full">
       {/* Inject pulse animation CSS */}
       <style dangerouslySetInnerHTML={{ __html: pulseKeyframes }} />
+
+      {/* Bulk research toolbar */}
+      <div className="flex items-center justify-between px-3 py-2 border-b text-sm">
+        <span className="text-muted-foreground">
+          {selectedIds.size > 0 ? `${selectedIds.size} selected` : 'Select festivals to research them in bulk'}
+        </span>
+        <div className="flex items-center gap-2">
+          {selectedIds.size > 0 && (
+            <button
+              onClick={() => setSelectedIds(new Set())}
+              className="px-2.5 py-1.5 text-xs font-medium bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/80 transition-colors"
+            >
+              Clear selection
+            </button>
+          )}
+          <button
+            onClick={() => setBulkDialogOpen(true)}
+            className="flex items-center px-2.5 py-1.5 text-xs font-medium bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+          >
+            <Layers size={14} className="mr-1" />
+            Bulk research
+          </button>
+        </div>
+      </div>
+
+      {bulkLaunch && (
+        <div className="px-3 pt-3">
+          <BulkResearchProgress
+            launch={bulkLaunch}
+            festivalNames={Object.fromEntries(bulkFestivalPool.map(f => [f.id, f.name]))}
+            onDismiss={() => setBulkLaunch(null)}
+            onFinished={onBulkResearchFinished}
+          />
+        </div>
+      )}
       <div className="relative w-full overflow-auto">
         <table className="w-full min-w-[1400px] caption-bottom text-sm table-fixed">
           <thead className="[&_tr]:border-b bg-muted/50">
             <tr className="border-b transition-colors">
-              <th scope="col" className="h-10 px-3 text-left align-middle font-medium text-muted-foreground w-24">
-                Actions
+              <th scope="col" className="h-10 px-3 text-left align-middle font-medium text-muted-foreground w-32">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={allVisibleSelected}
+                    onChange={toggleSelectAll}
+                    className="mr-2 h-4 w-4 rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                    title="Select all festivals"
+                  />
+                  Actions
+                </div>
               </th>
               <th scope="col" className="h-10 px-3 text-left align-middle font-medium text-muted-foreground w-64">
                 <button
@@ -681,7 +779,14 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
                 className={`border-b transition-colors hover:bg-muted/50 ${festival.archived ? 'bg-muted/30' : ''}`}
               >
                 <td className="p-3 align-middle text-sm font-medium">
-                  <div className="flex space-x-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(festival.id)}
+                      onChange={() => toggleSelected(festival.id)}
+                      className="h-4 w-4 rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                      title="Select for bulk research"
+                    />
                     <button
                       onClick={() => onFavoriteToggle && onFavoriteToggle(festival.id, !festival.favorite)}
                       className={`flex items-center justify-center w-8 h-8 rounded-full transition-colors ${
@@ -749,7 +854,19 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
                     >
                       <Globe size={14} />
                     </button>
-                    <div className="text-sm font-medium text-foreground">{truncateName(festival.name)}</div>
+                    <div>
+                      <div className="text-sm font-medium text-foreground">{truncateName(festival.name)}</div>
+                      {festival.search_match && festival.search_match.field !== 'name' && (
+                        <SearchSnippet match={festival.search_match} className="block max-w-xs" />
+                      )}
+                      <VerificationFlagBadges
+                        festivalId={festival.id}
+                        flags={festival.verification_flags}
+                        lastVerified={festival.last_verified}
+                      />
+                      <EditionHistoryBadge history={editionIndex.get(festival.id)} />
+                      <OverdueTaskBadge overdue={overdueTasks.get(festival.id)} onClick={() => setTasksFestival(festival)} />
+                    </div>
                   </div>
                 </td>
                 <td className="p-3 align-middle">
@@ -855,9 +972,9 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
                 <td className="p-3 align-middle">
                   <div className="text-sm text-foreground">
                     {festival.emails && festival.emails.length > 0 ? (
-                      <div className="space-y-1 max-h-24 overflow-y-auto">
+                      <div className="space-y-1">
                         <div className="flex items-center justify-between">
-                          <div className="flex-1">
+                          <div className="flex-1 max-h-24 overflow-y-auto">
                             {festival.emails.slice(0, 3).map((email, index) => (
                               <div key={index} className="flex items-center">
                                 <a 
@@ -878,68 +995,34 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
                           <button
                             onClick={() => handleEmailEditClick(festival.id)}
                             className="ml-2 p-1 text-muted-foreground hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
-                            title="Add another email address"
+                            title="Edit contacts"
                           >
                             <Edit3 size={12} />
                           </button>
                         </div>
                         {editingEmail === festival.id && (
-                          <div className="mt-2 flex items-center gap-2">
-                            <input
-                              type="email"
-                              value={newEmail}
-                              onChange={(e) => setNewEmail(e.target.value)}
-                              onKeyDown={(e) => handleEmailSubmit(festival.id, e)}
-                              placeholder="Enter email address"
-                              className="flex-1 px-2 py-1.5 text-xs border border-input rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-ring"
-                              autoFocus
-                            />
-                            <button
-                              onClick={() => handleEmailSubmit(festival.id)}
-                              className="px-2.5 py-1.5 text-xs font-medium bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
-                            >
-                              Add
-                            </button>
-                            <button
-                              onClick={handleEmailCancel}
-                              className="px-2.5 py-1.5 text-xs font-medium bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/80 transition-colors"
-                            >
-                              Cancel
-                            </button>
-                          </div>
+                          <FestivalContactsEditor
+                            festivalId={festival.id}
+                            onAdd={onEmailUpdate}
+                            onRemove={onContactRemove}
+                            onClose={handleEmailCancel}
+                          />
                         )}
                       </div>
                     ) : editingEmail === festival.id ? (
-                      <div className="flex items-center gap-2">
-                        <input
-                          type="email"
-                          value={newEmail}
-                          onChange={(e) => setNewEmail(e.target.value)}
-                          onKeyDown={(e) => handleEmailSubmit(festival.id, e)}
-                          placeholder="Enter email address"
-                          className="flex-1 px-2 py-1.5 text-xs border border-input rounded-md bg-background focus:outline-none focus:ring-2 focus:ring-ring"
-                          autoFocus
-                        />
-                        <button
-                          onClick={() => handleEmailSubmit(festival.id)}
-                          className="px-2.5 py-1.5 text-xs font-medium bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
-                        >
-                          Add
-                        </button>
-                        <button
-                          onClick={handleEmailCancel}
-                          className="px-2.5 py-1.5 text-xs font-medium bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/80 transition-colors"
-                        >
-                          Cancel
-                        </button>
-                      </div>
+                      <FestivalContactsEditor
+                        festivalId={festival.id}
+                        onAdd={onEmailUpdate}
+                        onRemove={onContactRemove}
+                        onClose={handleEmailCancel}
+                      />
                     ) : (
                       <div className="flex items-center">
                         <span className="text-muted-foreground italic text-xs">No emails</span>
                         <button
                           onClick={() => handleEmailEditClick(festival.id)}
                           className="ml-2 p-1 text-muted-foreground hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
-                          title="Add email address"
+                          title="Add contact"
                         >
                           <Edit3 size={12} />
                         </button>
@@ -1100,6 +1183,17 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
         </table>
       </div>
       
+      {/* Bulk Research Dialog */}
+      {bulkDialogOpen && (
+        <BulkResearchDialog
+          isOpen={bulkDialogOpen}
+          onClose={() => setBulkDialogOpen(false)}
+          selectedFestivals={selectedFestivals}
+          allFestivals={bulkFestivalPool}
+          onLaunched={handleBulkLaunched}
+        />
+      )}
+
       {/* Research Modal */}
       {selectedFestival && (
         <ResearchModal
@@ -1109,6 +1203,15 @@ const FestivalTable: React.FC<FestivalTableProps> = ({
           onClose={handleCloseResearchModal}
         />
       )}
+
+      {tasksFestival && (
+        <FestivalTasksDrawer
+          festivalId={tasksFestival.id}
+          festivalName={tasksFestival.name}
+          onClose={() => setTasksFestival(null)}
+          onChange={loadOverdueTasks}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,332 @@
+'use client';
+
+import React from 'react';
+import { X, ListTodo, Loader2, RefreshCw, Plus, Check, RotateCcw, Trash2, Zap } from 'lucide-react';
+import { useAuth } from '../../app/contexts/AuthContext';
+import { useNotification } from '../../app/contexts/NotificationContext';
+import type { UserProfile } from '../../lib/festivals/preference-store';
+import {
+  TASK_TYPES,
+  TASK_TYPE_LABELS,
+  TASK_STATUS_LABELS,
+  addDaysToDateKey,
+  isTaskOverdue,
+  toDateKey,
+  type FestivalTask,
+  type TaskType
+} from '../../lib/festivals/tasks';
+
+interface FestivalTasksDrawerProps {
+  festivalId: string;
+  festivalName: string;
+  onClose: () => void;
+  // Called after a task was added, changed or deleted
+  onChange?: () => void;
+}
+
+const memberName = (member: UserProfile | undefined, userId: string) =>
+  member?.display_name || member?.email || userId.slice(0, 8);
+
+const formatDueDate = (dateKey: string) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+/**
+ * Slide-over with the follow-up tasks of one festival: add a task, tick it off or
+ * dismiss it
+ */
+const FestivalTasksDrawer: React.FC<FestivalTasksDrawerProps> = ({ festivalId, festivalName, onClose, onChange }) => {
+  const { session } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [tasks, setTasks] = React.useState<FestivalTask[]>([]);
+  const [members, setMembers] = React.useState<UserProfile[]>([]);
+  const [userId, setUserId] = React.useState<string | null>(null);
+  const [isLoading, setIsLoading] = React.useState(false);
+  const [isSaving, setIsSaving] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+
+  // New task
+  const [title, setTitle] = React.useState('');
+  const [taskType, setTaskType] = React.useState<TaskType>('call');
+  const [dueDate, setDueDate] = React.useState(() => addDaysToDateKey(toDateKey(new Date()), 1));
+  const [assigneeId, setAssigneeId] = React.useState('');
+
+  const accessToken = session?.access_token;
+  const authHeaders: Record<string, string> = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+  const membersById = React.useMemo(() => new Map(members.map(member => [member.user_id, member])), [members]);
+
+  const loadTasks = React.useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await fetch(`/api/festivals/${festivalId}/tasks`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load tasks');
+      }
+      setTasks(result.data);
+    } catch (loadError) {
+      console.error('Error loading tasks:', loadError);
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load tasks');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [festivalId]);
+
+  // Teammates a task can be assigned to
+  const loadMembers = React.useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await fetch('/api/team', {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to load team');
+      }
+      setMembers(result.data.members);
+      setUserId(result.data.userId);
+      setAssigneeId(current => current || result.data.userId);
+    } catch (loadError) {
+      console.error('Error loading team members:', loadError);
+    }
+  }, [accessToken]);
+
+  React.useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  React.useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const send = async (what: string, path: string, init: RequestInit): Promise<boolean> => {
+    try {
+      setIsSaving(true);
+      const response = await fetch(path, { ...init, headers: { ...authHeaders, ...init.headers } });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || `Failed to ${what}`);
+      }
+      showSuccess(result.message);
+      await loadTasks();
+      onChange?.();
+      return true;
+    } catch (sendError) {
+      console.error(`Error trying to ${what}:`, sendError);
+      showError(`Failed to ${what}: ${sendError instanceof Error ? sendError.message : 'Unknown error'}`);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddTask = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const added = await send('add the task', `/api/festivals/${festivalId}/tasks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title,
+        task_type: taskType,
+        due_date: dueDate,
+        // Without a session there is nobody to assign it to
+        ...(assigneeId ? { assignee_id: assigneeId } : {}),
+      }),
+    });
+    if (added) setTitle('');
+  };
+
+  const setStatus = (task: FestivalTask, status: FestivalTask['status']) =>
+    send('update the task', `/api/tasks/${task.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+
+  const assigneeName = (task: FestivalTask) => {
+    if (!task.assignee_id) return 'Unassigned';
+    if (task.assignee_id === userId) return 'You';
+    return memberName(membersById.get(task.assignee_id), task.assignee_id);
+  };
+
+  const today = toDateKey(new Date());
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-md h-full bg-white dark:bg-gray-800 shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <ListTodo size={16} />
+              Tasks
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{festivalName}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadTasks}
+              disabled={isLoading}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4">
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded p-2">{error}</div>
+          )}
+
+          <form onSubmit={handleAddTask} className="space-y-2">
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={200}
+              placeholder="What needs to happen"
+              className="w-full p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+            />
+            <div className="flex gap-2">
+              <select
+                value={taskType}
+                onChange={(e) => setTaskType(e.target.value as TaskType)}
+                className="p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+              >
+                {TASK_TYPES.map(type => (
+                  <option key={type} value={type}>{TASK_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+                className="p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                title="Due date"
+              />
+              {members.length > 1 && (
+                <select
+                  value={assigneeId}
+                  onChange={(e) => setAssigneeId(e.target.value)}
+                  className="flex-1 min-w-0 p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="Who does it"
+                >
+                  {members.map(member => (
+                    <option key={member.user_id} value={member.user_id}>
+                      {member.user_id === userId ? 'Me' : memberName(member, member.user_id)}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <button
+              type="submit"
+              disabled={isSaving || !title.trim() || !dueDate}
+              className="flex items-center gap-1 px-3 py-1 text-sm rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+            >
+              <Plus size={14} />
+              Add task
+            </button>
+          </form>
+
+          {isLoading && tasks.length === 0 ? (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+            </div>
+          ) : tasks.length === 0 ? (
+            <p className="text-sm text-gray-500">No tasks for this festival</p>
+          ) : (
+            <ul className="space-y-2">
+              {tasks.map(task => {
+                const overdue = isTaskOverdue(task, today);
+                return (
+                  <li
+                    key={task.id}
+                    className={`border rounded p-2 text-sm ${
+                      task.status === 'open' ? 'border-gray-200 dark:border-gray-700' : 'border-gray-100 dark:border-gray-700 opacity-60'
+                    }`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className={`text-gray-900 dark:text-gray-100 ${task.status !== 'open' ? 'line-through' : ''}`}>
+                          {task.title}
+                          {task.rule_id && (
+                            <Zap size={12} className="inline ml-1 text-gray-400" aria-label="Created by a rule" />
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {TASK_TYPE_LABELS[task.task_type]} · {assigneeName(task)} ·{' '}
+                          <span className={overdue ? 'text-orange-700 font-medium' : ''}>
+                            {task.status === 'open' ? `due ${formatDueDate(task.due_date)}` : TASK_STATUS_LABELS[task.status]}
+                          </span>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        {task.status === 'open' ? (
+                          <>
+                            <button
+                              onClick={() => setStatus(task, 'done')}
+                              disabled={isSaving}
+                              className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                              title="Done"
+                            >
+                              <Check size={14} />
+                            </button>
+                            <button
+                              onClick={() => setStatus(task, 'dismissed')}
+                              disabled={isSaving}
+                              className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                              title="Dismiss"
+                            >
+                              <X size={14} />
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => setStatus(task, 'open')}
+                            disabled={isSaving}
+                            className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                            title="Reopen"
+                          >
+                            <RotateCcw size={14} />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => {
+                            if (window.confirm(`Delete "${task.title}"?`)) {
+                              send('delete the task', `/api/tasks/${task.id}`, { method: 'DELETE' });
+                            }
+                          }}
+                          disabled={isSaving}
+                          className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                          title="Delete task"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FestivalTasksDrawer;
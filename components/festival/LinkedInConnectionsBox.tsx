@@ -13,8 +13,16 @@ import {
   UserCircle,
   Shield,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  UserPlus,
+  UserCheck
 } from 'lucide-react';
+import {
+  CONTACT_SOURCES,
+  normalizeLinkedInUrl,
+  type FestivalContact
+} from '../../lib/festivals/contacts';
+import { useAuth } from '../../app/contexts/AuthContext';
 
 export interface LinkedInConnection {
   name: string;
@@ -47,17 +55,107 @@ interface LinkedInConnectionsBoxProps {
   companyName?: string | null;
   isLoading?: boolean;
   onConnectionClick?: (connection: LinkedInConnection) => void;
+  // Shows the festival's saved LinkedIn contacts too, and lets connections be saved as contacts
+  festivalId?: string;
 }
 
+// A saved contact shown as a connection
+const contactToConnection = (contact: FestivalContact): LinkedInConnection => ({
+  name: contact.name || contact.linkedin_url || 'Unknown',
+  title: contact.title || undefined,
+  url: contact.linkedin_url || '',
+  company: contact.organizing_company || undefined,
+  role: contact.role,
+  employmentVerified: contact.verification_status === 'verified',
+});
+
 const LinkedInConnectionsBox: React.FC<LinkedInConnectionsBoxProps> = ({
-  connections,
+  connections: researchConnections,
   companyLinkedIn,
   companyName,
   isLoading = false,
-  onConnectionClick
+  onConnectionClick,
+  festivalId
 }) => {
   const [isExpanded, setIsExpanded] = React.useState(true);
   const [showAll, setShowAll] = React.useState(false);
+  const [contacts, setContacts] = React.useState<FestivalContact[]>([]);
+  const [savingUrl, setSavingUrl] = React.useState<string | null>(null);
+  const { session } = useAuth();
+
+  React.useEffect(() => {
+    if (!festivalId) return;
+    let cancelled = false;
+
+    fetch(`/api/festivals/${festivalId}/contacts`)
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled && result.success) setContacts(result.data || []);
+      })
+      .catch(error => console.error('Error loading contacts:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [festivalId]);
+
+  // Saved contacts by normalized LinkedIn URL
+  const savedUrls = React.useMemo(
+    () => new Set(contacts.map(contact => contact.linkedin_url).filter(Boolean)),
+    [contacts]
+  );
+
+  const isSaved = (connection: LinkedInConnection) => {
+    const url = normalizeLinkedInUrl(connection.url);
+    return Boolean(url && savedUrls.has(url));
+  };
+
+  // Research results plus LinkedIn contacts saved earlier that this research didn't find
+  const connections = React.useMemo(() => {
+    const found = new Set(researchConnections.map(c => normalizeLinkedInUrl(c.url)).filter(Boolean));
+    const savedOnly = contacts
+      .filter(contact => contact.linkedin_url && !found.has(contact.linkedin_url))
+      .map(contactToConnection);
+    return [...researchConnections, ...savedOnly];
+  }, [researchConnections, contacts]);
+
+  const saveAsContact = async (connection: LinkedInConnection) => {
+    if (!festivalId) return;
+    try {
+      setSavingUrl(connection.url);
+      const response = await fetch(`/api/festivals/${festivalId}/contacts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}),
+        },
+        body: JSON.stringify({
+          name: connection.name,
+          title: connection.title || null,
+          role: connection.role,
+          linkedin_url: connection.url,
+          organizing_company: connection.company || companyName || null,
+          verification_status: connection.employmentVerified ? 'verified' : 'unverified',
+          source: CONTACT_SOURCES.linkedinResearch,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save contact');
+      }
+      const saved: FestivalContact = {
+        ...result.data.contact,
+        link_source: CONTACT_SOURCES.linkedinResearch,
+        linked_at: new Date().toISOString(),
+      };
+      setContacts(current => [...current.filter(c => c.id !== saved.id), saved]);
+    } catch (error) {
+      console.error('Error saving contact:', error);
+      alert(`Failed to save contact: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setSavingUrl(null);
+    }
+  };
 
   // Group connections by role
   const groupedConnections = React.useMemo(() => {
@@ -172,6 +270,25 @@ const LinkedInConnectionsBox: React.FC<LinkedInConnectionsBoxProps> = ({
           )}
         </div>
       </div>
+      {festivalId && (
+        isSaved(connection) ? (
+          <span className="flex-shrink-0 p-1" title="Saved as contact">
+            <UserCheck size={14} className="text-green-500" />
+          </span>
+        ) : (
+          <button
+            className="flex-shrink-0 p-1 hover:bg-blue-100 dark:hover:bg-blue-900 rounded disabled:opacity-50"
+            onClick={(e) => {
+              e.stopPropagation();
+              saveAsContact(connection);
+            }}
+            disabled={savingUrl === connection.url}
+            title="Save as contact"
+          >
+            <UserPlus size={14} className="text-gray-400 hover:text-blue-500" />
+          </button>
+        )
+      )}
       <a 
         href={connection.url}
         target="_blank"
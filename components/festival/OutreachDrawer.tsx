@@ -0,0 +1,379 @@
+'use client';
+
+import React from 'react';
+import Link from 'next/link';
+import { X, Mail, Loader2, RefreshCw, Send, AlertTriangle, Reply, Settings } from 'lucide-react';
+import { useAuth } from '../../app/contexts/AuthContext';
+import { useNotification } from '../../app/contexts/NotificationContext';
+import {
+  MERGE_FIELD_LABELS,
+  OUTREACH_LANGUAGES,
+  OUTREACH_LANGUAGE_LABELS,
+  buildMergeValues,
+  groupThreads,
+  renderOutreach,
+  templateVariants,
+  type MergeField,
+  type OutreachContext,
+  type OutreachLanguage,
+  type OutreachMessage,
+  type OutreachTemplate
+} from '../../lib/festivals/outreach';
+
+interface OutreachDrawerProps {
+  festivalId: string;
+  festivalName: string;
+  onClose: () => void;
+}
+
+interface FestivalOutreach {
+  context: OutreachContext;
+  messages: OutreachMessage[];
+  mailer_configured: boolean;
+}
+
+const formatTime = (value: string) => new Date(value).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * Slide-over for mailing a festival's contacts: pick a recipient and a template, check
+ * the filled-in mail, send it, and see the threads sent so far
+ */
+const OutreachDrawer: React.FC<OutreachDrawerProps> = ({ festivalId, festivalName, onClose }) => {
+  const { session } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [outreach, setOutreach] = React.useState<FestivalOutreach | null>(null);
+  const [templates, setTemplates] = React.useState<OutreachTemplate[]>([]);
+  const [isLoading, setIsLoading] = React.useState(false);
+  const [isSending, setIsSending] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+
+  // The mail being written
+  const [recipient, setRecipient] = React.useState('');
+  const [templateName, setTemplateName] = React.useState('');
+  const [language, setLanguage] = React.useState<OutreachLanguage>('nl');
+  const [subject, setSubject] = React.useState('');
+  const [body, setBody] = React.useState('');
+  const [missing, setMissing] = React.useState<MergeField[]>([]);
+
+  const accessToken = session?.access_token;
+  const authHeaders: Record<string, string> = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+  const variants = React.useMemo(() => templateVariants(templates), [templates]);
+
+  const loadOutreach = React.useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const [outreachResponse, templatesResponse] = await Promise.all([
+        fetch(`/api/festivals/${festivalId}/outreach`, {
+          headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+        }),
+        fetch('/api/outreach-templates'),
+      ]);
+      const [outreachResult, templatesResult] = await Promise.all([outreachResponse.json(), templatesResponse.json()]);
+      if (!outreachResponse.ok) {
+        throw new Error(outreachResult.error || outreachResult.message || 'Failed to load outreach');
+      }
+      if (!templatesResponse.ok) {
+        throw new Error(templatesResult.error || templatesResult.message || 'Failed to load templates');
+      }
+      setOutreach(outreachResult.data);
+      setTemplates(templatesResult.data);
+    } catch (loadError) {
+      console.error('Error loading outreach:', loadError);
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load outreach');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [festivalId, accessToken]);
+
+  React.useEffect(() => {
+    loadOutreach();
+  }, [loadOutreach]);
+
+  // Fill in a template for a recipient; replaces whatever was written
+  const compose = React.useCallback((email: string, name: string, mailLanguage: OutreachLanguage) => {
+    if (!outreach) return;
+    const byLanguage = variants.get(name);
+    const template = byLanguage?.[mailLanguage];
+    if (!template) return;
+    const contact = outreach.context.recipients.find(option => option.email === email) || null;
+    const rendered = renderOutreach(template, buildMergeValues(outreach.context, contact, mailLanguage));
+    setSubject(rendered.subject);
+    setBody(rendered.body);
+    setMissing(rendered.missing);
+  }, [outreach, variants]);
+
+  // Start with the first recipient and template once both are there
+  React.useEffect(() => {
+    if (!outreach || templateName || templates.length === 0) return;
+    const firstRecipient = outreach.context.recipients[0]?.email || '';
+    const [firstName, byLanguage] = Array.from(variants.entries())[0];
+    const firstLanguage = byLanguage.nl ? 'nl' : 'en';
+    setRecipient(firstRecipient);
+    setTemplateName(firstName);
+    setLanguage(firstLanguage);
+    compose(firstRecipient, firstName, firstLanguage);
+  }, [outreach, templates, variants, templateName, compose]);
+
+  const chooseRecipient = (email: string) => {
+    setRecipient(email);
+    compose(email, templateName, language);
+  };
+
+  const chooseTemplate = (name: string) => {
+    const byLanguage = variants.get(name) || {};
+    const mailLanguage = byLanguage[language] ? language : (OUTREACH_LANGUAGES.find(option => byLanguage[option]) || language);
+    setTemplateName(name);
+    setLanguage(mailLanguage);
+    compose(recipient, name, mailLanguage);
+  };
+
+  const chooseLanguage = (mailLanguage: OutreachLanguage) => {
+    setLanguage(mailLanguage);
+    compose(recipient, templateName, mailLanguage);
+  };
+
+  // Continue a thread: same address, subject as a reply
+  const followUp = (email: string, threadSubject: string) => {
+    setRecipient(email);
+    setSubject(/^re:/i.test(threadSubject) ? threadSubject : `Re: ${threadSubject}`);
+    setBody('');
+    setMissing([]);
+  };
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!outreach) return;
+    const contact = outreach.context.recipients.find(option => option.email === recipient);
+    try {
+      setIsSending(true);
+      const response = await fetch(`/api/festivals/${festivalId}/outreach`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({
+          to_email: recipient,
+          contact_id: contact?.contact_id ?? null,
+          template_id: variants.get(templateName)?.[language]?.id ?? null,
+          language,
+          subject,
+          body,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to send mail');
+      }
+      showSuccess(result.message);
+      await loadOutreach();
+    } catch (sendError) {
+      console.error('Error sending outreach mail:', sendError);
+      showError(`Failed to send mail: ${sendError instanceof Error ? sendError.message : 'Unknown error'}`);
+      // A failed attempt is stored too
+      await loadOutreach();
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const threads = outreach ? groupThreads(outreach.messages) : [];
+  const templateLanguages = OUTREACH_LANGUAGES.filter(option => variants.get(templateName)?.[option]);
+  // Mail only goes to the festival's own contacts and addresses
+  const isRecipient = (email: string) => !!outreach?.context.recipients.some(option => option.email === email);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-lg h-full bg-white dark:bg-gray-800 shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <Mail size={16} />
+              Outreach
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{festivalName}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Link
+              href="/sales-monitor/templates"
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              title="Edit templates"
+            >
+              <Settings size={16} />
+            </Link>
+            <button
+              onClick={loadOutreach}
+              disabled={isLoading}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4">
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded p-2">{error}</div>
+          )}
+
+          {outreach && !outreach.mailer_configured && (
+            <div className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded p-2">
+              Sending mail is not set up on this server. Set SMTP_HOST and SMTP_FROM.
+            </div>
+          )}
+
+          {!outreach ? (
+            <div className="flex justify-center py-4">
+              {isLoading && <Loader2 className="w-5 h-5 animate-spin text-gray-400" />}
+            </div>
+          ) : templates.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No templates yet.{' '}
+              <Link href="/sales-monitor/templates" className="text-blue-600 hover:underline">Add one</Link>
+            </p>
+          ) : (
+            <form onSubmit={handleSend} className="space-y-2">
+              {outreach.context.recipients.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No contacts or addresses to mail. Link a contact or add an address to the festival first.
+                </p>
+              ) : (
+                <select
+                  value={recipient}
+                  onChange={(e) => chooseRecipient(e.target.value)}
+                  className="w-full p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="To"
+                >
+                  {outreach.context.recipients.map(option => (
+                    <option key={option.email} value={option.email}>
+                      {option.name ? `${option.name} <${option.email}>` : option.email}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <div className="flex gap-2">
+                <select
+                  value={templateName}
+                  onChange={(e) => chooseTemplate(e.target.value)}
+                  className="flex-1 min-w-0 p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="Template"
+                >
+                  {Array.from(variants.keys()).map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                <select
+                  value={language}
+                  onChange={(e) => chooseLanguage(e.target.value as OutreachLanguage)}
+                  className="p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="Language"
+                >
+                  {templateLanguages.map(option => (
+                    <option key={option} value={option}>{OUTREACH_LANGUAGE_LABELS[option]}</option>
+                  ))}
+                </select>
+              </div>
+              <input
+                type="text"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                maxLength={300}
+                placeholder="Subject"
+                className="w-full p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+              <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                rows={12}
+                className="w-full p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+              {missing.length > 0 && (
+                <div className="flex items-start gap-1 text-xs text-amber-700 dark:text-amber-400">
+                  <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                  <span>
+                    Not known for this festival, left empty: {missing.map(field => MERGE_FIELD_LABELS[field]).join(', ')}
+                  </span>
+                </div>
+              )}
+              <button
+                type="submit"
+                disabled={isSending || !accessToken || !outreach.mailer_configured || !isRecipient(recipient) || !subject.trim() || !body.trim()}
+                className="flex items-center gap-1 px-3 py-1 text-sm rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                title={accessToken ? undefined : 'Sign in to send mail'}
+              >
+                {isSending ? <Loader2 size={14} className="animate-spin" /> : <Send size={14} />}
+                Send
+              </button>
+            </form>
+          )}
+
+          {outreach && (
+            <div>
+              <h3 className="text-xs font-semibold uppercase text-gray-500 mb-2">Sent</h3>
+              {threads.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing sent about this festival yet</p>
+              ) : (
+                <ul className="space-y-3">
+                  {threads.map(thread => (
+                    <li key={thread.id} className="border border-gray-200 dark:border-gray-700 rounded p-2">
+                      <div className="flex items-center justify-between gap-2 mb-1">
+                        <span className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{thread.to_email}</span>
+                        {isRecipient(thread.to_email) && (
+                          <button
+                            onClick={() => followUp(thread.to_email, thread.messages[0].subject)}
+                            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                            title="Follow up in this thread"
+                          >
+                            <Reply size={14} />
+                          </button>
+                        )}
+                      </div>
+                      <ul className="space-y-1">
+                        {thread.messages.map(message => (
+                          <li key={message.id} className="text-sm">
+                            <details>
+                              <summary className="cursor-pointer text-gray-800 dark:text-gray-200">
+                                {message.subject}
+                                <span className="text-xs text-gray-500 ml-1">· {formatTime(message.created_at)}</span>
+                                {message.status === 'failed' && (
+                                  <span className="text-xs text-red-600 ml-1" title={message.error || undefined}>· not sent</span>
+                                )}
+                              </summary>
+                              <div className="mt-1 text-xs text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-700 p-2 rounded whitespace-pre-line">
+                                {message.body}
+                              </div>
+                              {message.error && (
+                                <div className="mt-1 text-xs text-red-600">{message.error}</div>
+                              )}
+                            </details>
+                          </li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutreachDrawer;
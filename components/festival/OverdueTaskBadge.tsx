@@ -0,0 +1,35 @@
+'use client';
+
+import React from 'react';
+import { AlarmClock } from 'lucide-react';
+import { daysOverdue, type OverdueTaskSummary } from '../../lib/festivals/tasks';
+
+interface OverdueTaskBadgeProps {
+  overdue?: OverdueTaskSummary;
+  onClick?: () => void;
+}
+
+/**
+ * Badge for a festival with open tasks past their due date
+ */
+const OverdueTaskBadge: React.FC<OverdueTaskBadgeProps> = ({ overdue, onClick }) => {
+  if (!overdue) return null;
+
+  const days = daysOverdue(overdue.oldest_due_date);
+  const label = overdue.count === 1 ? '1 overdue task' : `${overdue.count} overdue tasks`;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!onClick}
+      className="inline-flex items-center mt-1 px-2 py-0.5 rounded text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200 disabled:cursor-default"
+      title={`"${overdue.title}" was due ${days === 1 ? 'yesterday' : `${days} days ago`}`}
+    >
+      <AlarmClock size={12} className="mr-1" />
+      {label}
+    </button>
+  );
+};
+
+export default OverdueTaskBadge;
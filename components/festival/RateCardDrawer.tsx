@@ -0,0 +1,530 @@
+'use client';
+
+import React from 'react';
+import {
+  X,
+  FileSpreadsheet,
+  Loader2,
+  RefreshCw,
+  Send,
+  Upload,
+  ExternalLink,
+  Trash2,
+  Plus,
+  Save,
+  Sparkles,
+  AlertTriangle
+} from 'lucide-react';
+import { useAuth } from '../../app/contexts/AuthContext';
+import { useNotification } from '../../app/contexts/NotificationContext';
+import { contactDisplayName, type FestivalContact } from '../../lib/festivals/contacts';
+import {
+  DEFAULT_REMINDER_DAYS,
+  RATE_CARD_CHANNELS,
+  RATE_CARD_CHANNEL_LABELS,
+  RATE_CARD_CONTENT_TYPES,
+  RATE_CARD_REQUEST_STATUS_LABELS,
+  daysWaiting,
+  formatPrice,
+  isOverdue,
+  type FestivalRateCards,
+  type RateCardChannel,
+  type RateCardDocument,
+  type RateCardLineItem,
+  type RateCardRequestStatus
+} from '../../lib/festivals/rate-cards';
+
+interface RateCardDrawerProps {
+  festivalId: string;
+  festivalName: string;
+  onClose: () => void;
+}
+
+const requestStatusColors: Record<RateCardRequestStatus, string> = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  received: 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300',
+  declined: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+};
+
+const formatDay = (value: string) => new Date(value).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+// Line items being edited; the amount stays text until it is saved
+type DraftLineItem = Omit<RateCardLineItem, 'amount'> & { amount: string };
+
+const toDraftItems = (document: RateCardDocument): DraftLineItem[] =>
+  document.line_items.map(item => ({ ...item, amount: String(item.amount) }));
+
+/**
+ * The prices of one received rate card, editable
+ */
+const RateCardLineItems: React.FC<{
+  document: RateCardDocument;
+  onSave: (items: DraftLineItem[]) => Promise<void>;
+}> = ({ document, onSave }) => {
+  const [items, setItems] = React.useState<DraftLineItem[]>(() => toDraftItems(document));
+  const [editing, setEditing] = React.useState(false);
+  const [saving, setSaving] = React.useState(false);
+
+  React.useEffect(() => {
+    setItems(toDraftItems(document));
+    setEditing(false);
+  }, [document]);
+
+  const updateItem = (index: number, changes: Partial<DraftLineItem>) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(items);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="mt-2">
+        {document.line_items.length > 0 ? (
+          <table className="w-full text-xs">
+            <tbody>
+              {document.line_items.map((item, index) => (
+                <tr key={item.id || index} className="border-t border-gray-100 dark:border-gray-700">
+                  <td className="py-1 pr-2 text-gray-800 dark:text-gray-200">{item.description}</td>
+                  <td className="py-1 pr-2 text-right whitespace-nowrap font-medium">{formatPrice(item.amount, item.currency)}</td>
+                  <td className="py-1 text-gray-500 whitespace-nowrap">{item.unit || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-xs text-gray-500">No prices yet</p>
+        )}
+        <button
+          onClick={() => setEditing(true)}
+          className="mt-1 text-xs text-blue-600 hover:underline"
+        >
+          Edit prices
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 space-y-1">
+      {items.map((item, index) => (
+        <div key={index} className="flex items-center gap-1">
+          <input
+            type="text"
+            value={item.description}
+            onChange={(e) => updateItem(index, { description: e.target.value })}
+            placeholder="What for"
+            className="flex-1 min-w-0 px-2 py-1 text-xs border rounded dark:bg-gray-700 dark:border-gray-600"
+          />
+          <input
+            type="text"
+            inputMode="decimal"
+            value={item.amount}
+            onChange={(e) => updateItem(index, { amount: e.target.value })}
+            placeholder="Price"
+            className="w-20 px-2 py-1 text-xs border rounded text-right dark:bg-gray-700 dark:border-gray-600"
+          />
+          <input
+            type="text"
+            value={item.currency}
+            onChange={(e) => updateItem(index, { currency: e.target.value.toUpperCase() })}
+            maxLength={3}
+            className="w-12 px-1 py-1 text-xs border rounded dark:bg-gray-700 dark:border-gray-600"
+          />
+          <input
+            type="text"
+            value={item.unit || ''}
+            onChange={(e) => updateItem(index, { unit: e.target.value })}
+            placeholder="per day"
+            className="w-20 px-2 py-1 text-xs border rounded dark:bg-gray-700 dark:border-gray-600"
+          />
+          <button
+            onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove price"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      <div className="flex justify-between items-center pt-1">
+        <button
+          onClick={() => setItems(prev => [...prev, { description: '', amount: '', currency: 'EUR', unit: null, parsed: false }])}
+          className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+        >
+          <Plus size={12} />
+          Add price
+        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => {
+              setItems(toDraftItems(document));
+              setEditing(false);
+            }}
+            className="px-2 py-1 text-xs rounded bg-gray-200 hover:bg-gray-300 text-gray-800"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center gap-1 px-2 py-1 text-xs rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+          >
+            {saving ? <Loader2 size={12} className="animate-spin" /> : <Save size={12} />}
+            Save prices
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Slide-over with the rate card workflow of one festival: log a request to one of its
+ * contacts, upload the rate card that came back and check the prices read from it
+ */
+const RateCardDrawer: React.FC<RateCardDrawerProps> = ({ festivalId, festivalName, onClose }) => {
+  const { session } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [rateCards, setRateCards] = React.useState<FestivalRateCards>({ requests: [], documents: [] });
+  const [contacts, setContacts] = React.useState<FestivalContact[]>([]);
+  const [isLoading, setIsLoading] = React.useState(false);
+  const [isSaving, setIsSaving] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+
+  // New request
+  const [contactId, setContactId] = React.useState('');
+  const [channel, setChannel] = React.useState<RateCardChannel>('email');
+  const [message, setMessage] = React.useState('');
+
+  const fileInputRef = React.useRef<HTMLInputElement>(null);
+  const basePath = `/api/festivals/${festivalId}/rate-card`;
+  const authHeaders: Record<string, string> = session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+
+  const loadRateCards = React.useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const [rateCardResponse, contactResponse] = await Promise.all([
+        fetch(basePath),
+        fetch(`/api/festivals/${festivalId}/contacts`),
+      ]);
+      const rateCardResult = await rateCardResponse.json();
+      if (!rateCardResponse.ok) {
+        throw new Error(rateCardResult.error || rateCardResult.message || 'Failed to load rate cards');
+      }
+      setRateCards(rateCardResult.data);
+      const contactResult = await contactResponse.json();
+      if (contactResponse.ok) setContacts(contactResult.data || []);
+    } catch (loadError) {
+      console.error('Error loading rate cards:', loadError);
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load rate cards');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [basePath, festivalId]);
+
+  React.useEffect(() => {
+    loadRateCards();
+  }, [loadRateCards]);
+
+  // Send a change and reload; the festival's rate card status follows through realtime sync
+  const send = async (what: string, path: string, init: RequestInit): Promise<boolean> => {
+    try {
+      setIsSaving(true);
+      const response = await fetch(path, { ...init, headers: { ...authHeaders, ...init.headers } });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || `Failed to ${what}`);
+      }
+      showSuccess(result.message);
+      await loadRateCards();
+      return true;
+    } catch (sendError) {
+      console.error(`Error trying to ${what}:`, sendError);
+      showError(`Failed to ${what}: ${sendError instanceof Error ? sendError.message : 'Unknown error'}`);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLogRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const logged = await send('log the request', `${basePath}/requests`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contact_id: contactId || null, channel, message }),
+    });
+    if (logged) setMessage('');
+  };
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const form = new FormData();
+    form.append('file', file);
+    await send('upload the rate card', `${basePath}/documents`, { method: 'POST', body: form });
+  };
+
+  const openDocument = async (document: RateCardDocument) => {
+    try {
+      const response = await fetch(`${basePath}/documents/${document.id}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to open rate card');
+      }
+      window.open(result.data.url, '_blank', 'noopener');
+    } catch (openError) {
+      console.error('Error opening rate card:', openError);
+      showError(`Failed to open rate card: ${openError instanceof Error ? openError.message : 'Unknown error'}`);
+    }
+  };
+
+  const saveLineItems = async (document: RateCardDocument, items: DraftLineItem[]) => {
+    await send('save the prices', `${basePath}/documents/${document.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ line_items: items }),
+    });
+  };
+
+  const hasPending = rateCards.requests.some(request => request.status === 'pending');
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-lg h-full bg-white dark:bg-gray-800 shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <FileSpreadsheet size={16} />
+              Rate card
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{festivalName}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadRateCards}
+              disabled={isLoading}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3 space-y-5">
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded p-2">{error}</div>
+          )}
+
+          <section>
+            <h3 className="text-xs font-semibold uppercase text-gray-500 mb-2">Requests</h3>
+            <form onSubmit={handleLogRequest} className="space-y-2 mb-3">
+              <div className="flex gap-2">
+                <select
+                  value={contactId}
+                  onChange={(e) => setContactId(e.target.value)}
+                  className="flex-1 min-w-0 p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="Who the request went to"
+                >
+                  <option value="">No contact</option>
+                  {contacts.map(contact => (
+                    <option key={contact.id} value={contact.id}>{contactDisplayName(contact)}</option>
+                  ))}
+                </select>
+                <select
+                  value={channel}
+                  onChange={(e) => setChannel(e.target.value as RateCardChannel)}
+                  className="p-1.5 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                  title="How the rate card was requested"
+                >
+                  {RATE_CARD_CHANNELS.map(option => (
+                    <option key={option} value={option}>{RATE_CARD_CHANNEL_LABELS[option]}</option>
+                  ))}
+                </select>
+              </div>
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                rows={2}
+                maxLength={2000}
+                placeholder="What was asked (optional)"
+                className="w-full p-2 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex items-center gap-1 px-3 py-1 text-sm rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+              >
+                <Send size={14} />
+                Log request
+              </button>
+            </form>
+
+            {isLoading && rateCards.requests.length === 0 ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+              </div>
+            ) : rateCards.requests.length === 0 ? (
+              <p className="text-sm text-gray-500">No rate card requested yet</p>
+            ) : (
+              <ul className="space-y-2">
+                {rateCards.requests.map(request => {
+                  const overdue = isOverdue(request, DEFAULT_REMINDER_DAYS);
+                  return (
+                    <li key={request.id} className="border border-gray-200 dark:border-gray-700 rounded p-2 text-sm">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-gray-900 dark:text-gray-100">
+                          {formatDay(request.requested_at)} · {RATE_CARD_CHANNEL_LABELS[request.channel]}
+                          {request.contact && ` · ${request.contact.name || request.contact.email}`}
+                        </span>
+                        <span className={`px-1.5 py-0.5 rounded text-xs ${requestStatusColors[request.status]}`}>
+                          {RATE_CARD_REQUEST_STATUS_LABELS[request.status]}
+                        </span>
+                      </div>
+                      {request.message && (
+                        <p className="mt-1 text-xs text-gray-600 dark:text-gray-400 whitespace-pre-line">{request.message}</p>
+                      )}
+                      {overdue && (
+                        <p className="mt-1 text-xs text-amber-700 flex items-center gap-1">
+                          <AlertTriangle size={12} />
+                          No answer after {daysWaiting(request)} days
+                        </p>
+                      )}
+                      {request.status === 'pending' ? (
+                        <div className="mt-1 flex gap-3 text-xs">
+                          <button
+                            onClick={() => send('update the request', `${basePath}/requests/${request.id}`, {
+                              method: 'PATCH',
+                              headers: { 'Content-Type': 'application/json' },
+                              body: JSON.stringify({ status: 'received' }),
+                            })}
+                            disabled={isSaving}
+                            className="text-green-700 hover:underline disabled:opacity-50"
+                          >
+                            Received without a file
+                          </button>
+                          <button
+                            onClick={() => send('update the request', `${basePath}/requests/${request.id}`, {
+                              method: 'PATCH',
+                              headers: { 'Content-Type': 'application/json' },
+                              body: JSON.stringify({ status: 'declined' }),
+                            })}
+                            disabled={isSaving}
+                            className="text-gray-600 hover:underline disabled:opacity-50"
+                          >
+                            Declined
+                          </button>
+                        </div>
+                      ) : request.answered_at && (
+                        <p className="mt-1 text-xs text-gray-500">Answered {formatDay(request.answered_at)}</p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-xs font-semibold uppercase text-gray-500">Received rate cards</h3>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isSaving}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200 text-gray-800 disabled:opacity-50"
+                title={hasPending ? 'Upload the rate card; it answers the open requests' : 'Upload a rate card'}
+              >
+                {isSaving ? <Loader2 size={12} className="animate-spin" /> : <Upload size={12} />}
+                Upload PDF or image
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={RATE_CARD_CONTENT_TYPES.join(',')}
+                onChange={handleUpload}
+                className="hidden"
+              />
+            </div>
+
+            {rateCards.documents.length === 0 ? (
+              <p className="text-sm text-gray-500">No rate card received yet</p>
+            ) : (
+              <ul className="space-y-3">
+                {rateCards.documents.map(document => (
+                  <li key={document.id} className="border border-gray-200 dark:border-gray-700 rounded p-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <button
+                        onClick={() => openDocument(document)}
+                        className="min-w-0 flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                        title="Open the file"
+                      >
+                        <span className="truncate">{document.file_name}</span>
+                        <ExternalLink size={12} className="shrink-0" />
+                      </button>
+                      <div className="flex items-center gap-2 shrink-0">
+                        <button
+                          onClick={() => send('read the prices', `${basePath}/documents/${document.id}/parse`, { method: 'POST' })}
+                          disabled={isSaving}
+                          className="text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                          title="Read the prices from the file again, replacing the prices below"
+                        >
+                          <Sparkles size={14} />
+                        </button>
+                        <button
+                          onClick={() => {
+                            if (window.confirm(`Delete ${document.file_name}?`)) {
+                              send('delete the rate card', `${basePath}/documents/${document.id}`, { method: 'DELETE' });
+                            }
+                          }}
+                          disabled={isSaving}
+                          className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                          title="Delete rate card"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {formatDay(document.created_at)}
+                      {document.parse_status === 'parsed' && ' · prices read from the file'}
+                    </p>
+                    {document.parse_status === 'failed' && (
+                      <p className="mt-1 text-xs text-red-600">Prices could not be read: {document.parse_error}</p>
+                    )}
+                    <RateCardLineItems document={document} onSave={(items) => saveLineItems(document, items)} />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RateCardDrawer;
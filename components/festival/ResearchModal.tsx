@@ -1,8 +1,47 @@
 import React, { useEffect, useState } from 'react';
-import { X, Printer, RefreshCw, Download } from 'lucide-react';
+import { X, Printer, RefreshCw, Download, History, RotateCcw } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useFestival } from '../../app/contexts/FestivalContext';
+import ResearchVersionChanges from './ResearchVersionChanges';
+import {
+  extractVersionFacts,
+  type ResearchVersion,
+  type ResearchVersionDiff,
+  type ResearchVersionSummary
+} from '../../lib/research/research-versions';
+
+interface VersionDetail {
+  version: ResearchVersion;
+  previous: ResearchVersionSummary | null;
+  diff: ResearchVersionDiff | null;
+}
+
+const providerLabel = (provider?: string) =>
+  provider === 'perplexity' ? 'Perplexity AI' :
+  provider === 'exa' ? 'EXA.AI' :
+  provider === 'orchestrated' ? 'Orchestrated research' :
+  'OpenAI';
+
+// Orchestrated versions have structured data instead of a report; render their key facts
+const formatVersionAsMarkdown = (version: ResearchVersion, festivalName: string) => {
+  if (version.research_log) return version.research_log;
+
+  const facts = extractVersionFacts(version);
+  const lines = [`# ${festivalName}`, '', '## KEY BUSINESS INFORMATION', ''];
+  lines.push(`- 🏢 **Organization**: ${facts.organizingCompany || 'Not found'}`);
+  if (version.quality_score !== null) lines.push(`- 📊 **Quality score**: ${Math.round(version.quality_score)}%`);
+  lines.push('', '### Contacts', '');
+  facts.contacts.forEach(contact => {
+    const name = contact.url ? `[${contact.name}](${contact.url})` : contact.name;
+    lines.push(`- ${name}${contact.detail ? ` – ${contact.detail}` : ''}`);
+  });
+  if (facts.contacts.length === 0) lines.push('No contacts found.');
+  lines.push('', '### News', '');
+  facts.news.forEach(item => lines.push(`- [${item.title}](${item.url})`));
+  if (facts.news.length === 0) lines.push('No news found.');
+  return lines.join('\n');
+};
 
 interface ResearchModalProps {
   festivalId: string;
@@ -29,19 +68,77 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [hasExtractedEmails, setHasExtractedEmails] = useState(false);
+  // Research history: null selects the current research entry
+  const [versions, setVersions] = useState<ResearchVersionSummary[]>([]);
+  const [selectedVersionId, setSelectedVersionId] = useState<string | null>(null);
+  const [versionDetail, setVersionDetail] = useState<VersionDetail | null>(null);
+  const [isVersionLoading, setIsVersionLoading] = useState(false);
+  const [view, setView] = useState<'report' | 'changes'>('report');
   
   useEffect(() => {
     if (isOpen && festivalId) {
       fetchResearchData();
+      fetchVersions();
     } else {
       // Reset state when modal closes
       setResearchData(null);
       setIsLoading(true);
       setError(null);
       setHasExtractedEmails(false);
+      setVersions([]);
+      setSelectedVersionId(null);
+      setVersionDetail(null);
+      setView('report');
     }
   }, [isOpen, festivalId]);
+
+  // The changes view of the current research compares the latest version
+  const activeVersionId = selectedVersionId || (view === 'changes' ? versions[0]?.id : null) || null;
+
+  useEffect(() => {
+    if (!activeVersionId) {
+      setVersionDetail(null);
+      return;
+    }
+    fetchVersionDetail(activeVersionId);
+  }, [activeVersionId]);
+
+  const fetchVersions = async () => {
+    try {
+      const response = await fetch(`/api/festivals/${festivalId}/research/versions`);
+      if (!response.ok) return;
+      const data = await response.json();
+      setVersions(data.versions || []);
+    } catch (error) {
+      console.error('Error fetching research versions:', error);
+    }
+  };
+
+  const fetchVersionDetail = async (versionId: string) => {
+    try {
+      setIsVersionLoading(true);
+      const response = await fetch(`/api/festivals/${festivalId}/research/versions/${versionId}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch research version: ${response.statusText}`);
+      }
+      setVersionDetail(await response.json());
+    } catch (error) {
+      console.error('Error fetching research version:', error);
+      setVersionDetail(null);
+    } finally {
+      setIsVersionLoading(false);
+    }
+  };
   
+  // Content of the selected history entry, or the current research
+  const selectedVersion = selectedVersionId && versionDetail?.version.id === selectedVersionId
+    ? versionDetail.version
+    : null;
+  const displayedLog = selectedVersion
+    ? formatVersionAsMarkdown(selectedVersion, festivalName)
+    : researchData?.research_log || '';
+  const displayedService = selectedVersion ? selectedVersion.provider : researchData?.ai_service;
+
   // Extract email addresses from research content
   const extractEmailsFromResearch = (researchContent: string): string[] => {
     const emails: string[] = [];
@@ -130,8 +227,28 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
     }
   };
   
+  // Queue a new run with the same provider; the finished run becomes a new version
+  const handleRerun = async () => {
+    try {
+      const response = await fetch(`/api/festivals/${festivalId}/research`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ aiService: researchData?.ai_service || 'exa', force: true })
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to start research: ${response.statusText}`);
+      }
+      setSelectedVersionId(null);
+      setView('report');
+      await fetchResearchData();
+    } catch (error) {
+      console.error('Error re-running research:', error);
+      setError('Failed to start a new research run. Please try again.');
+    }
+  };
+
   const handlePrint = () => {
-    if (!researchData?.research_log) return;
+    if (!displayedLog) return;
     
     // Create a new window for printing
     const printWindow = window.open('', '_blank');
@@ -365,7 +482,7 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
         });
         
         // Process content with custom styling for blockquotes and key information
-        let content = \`${researchData.research_log.replace(/`/g, '\\`')}\`;
+        let content = \`${displayedLog.replace(/`/g, '\\`')}\`;
         
         // Parse the markdown to HTML
         let parsedContent = marked.parse(content);
@@ -396,10 +513,10 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
   };
   
   const handleExport = () => {
-    if (!researchData?.research_log) return;
+    if (!displayedLog) return;
     
     // Create a blob with the markdown content
-    const blob = new Blob([researchData.research_log], { type: 'text/markdown' });
+    const blob = new Blob([displayedLog], { type: 'text/markdown' });
     const url = URL.createObjectURL(blob);
     
     // Create a link element to trigger the download
@@ -433,18 +550,15 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
             <h2 className="text-xl font-semibold text-purple-800 dark:text-purple-200">
               Research: {festivalName}
             </h2>
-            {researchData?.ai_service && (
+            {displayedService && (
               <p className="text-sm text-purple-600 dark:text-purple-300 mt-1">
-                Generated by {
-                  researchData.ai_service === 'perplexity' ? 'Perplexity AI' : 
-                  researchData.ai_service === 'exa' ? 'EXA.AI' : 
-                  'OpenAI'
-                }
+                Generated by {providerLabel(displayedService)}
+                {selectedVersion && ` on ${new Date(selectedVersion.created_at).toLocaleString()}`}
               </p>
             )}
           </div>
           <div className="flex items-center space-x-2">
-            {!isLoading && researchData?.status === 'complete' && (
+            {!isLoading && (researchData?.status === 'complete' || selectedVersion) && (
               <>
                 <button
                   onClick={handlePrint}
@@ -467,6 +581,15 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
                 >
                   <RefreshCw size={20} />
                 </button>
+                {researchData?.status === 'complete' && (
+                  <button
+                    onClick={handleRerun}
+                    title="Run research again (the current result is kept in the history)"
+                    className="p-2 text-purple-600 hover:text-purple-800 dark:text-purple-300 dark:hover:text-purple-100 hover:bg-purple-100 dark:hover:bg-purple-800 rounded-full"
+                  >
+                    <RotateCcw size={20} />
+                  </button>
+                )}
               </>
             )}
             <button 
@@ -478,9 +601,47 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
           </div>
         </div>
         
+        {/* History */}
+        {versions.length > 0 && (
+          <div className="flex items-center justify-between px-4 py-2 border-b dark:border-gray-700 text-sm">
+            <div className="flex items-center">
+              <History size={16} className="mr-2 text-gray-500" />
+              <select
+                value={selectedVersionId || ''}
+                onChange={(e) => setSelectedVersionId(e.target.value || null)}
+                className="pl-2 pr-8 py-1 text-sm border-gray-300 rounded-md focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:border-gray-600"
+              >
+                <option value="">Current research</option>
+                {versions.map(version => (
+                  <option key={version.id} value={version.id}>
+                    {new Date(version.created_at).toLocaleString()} · {providerLabel(version.provider)}
+                    {version.quality_score !== null ? ` · ${Math.round(version.quality_score)}%` : ''}
+                  </option>
+                ))}
+              </select>
+              <span className="ml-2 text-xs text-gray-500">{versions.length} runs</span>
+            </div>
+            <div className="flex rounded-md border border-gray-200 dark:border-gray-700 overflow-hidden">
+              {(['report', 'changes'] as const).map(option => (
+                <button
+                  key={option}
+                  onClick={() => setView(option)}
+                  className={`px-3 py-1 text-xs font-medium ${
+                    view === option
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-purple-50'
+                  }`}
+                >
+                  {option === 'report' ? 'Report' : 'Changes since previous run'}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Content */}
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
-          {isLoading ? (
+          {isLoading || ((view === 'changes' || selectedVersionId) && isVersionLoading) ? (
             <div className="flex justify-center items-center h-64">
               <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-purple-500"></div>
             </div>
@@ -494,7 +655,12 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
                 Try Again
               </button>
             </div>
-          ) : researchData?.status === 'pending' ? (
+          ) : view === 'changes' ? (
+            <ResearchVersionChanges
+              diff={versionDetail?.diff ?? null}
+              previous={versionDetail?.previous ?? null}
+            />
+          ) : !selectedVersion && researchData?.status === 'pending' ? (
             <div className="text-amber-500 text-center py-8">
               <p>Research is still in progress. Please check back later.</p>
               <div className="mt-4 animate-pulse rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500 mx-auto"></div>
@@ -505,7 +671,7 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
                 Refresh
               </button>
             </div>
-          ) : researchData?.status === 'failed' ? (
+          ) : !selectedVersion && researchData?.status === 'failed' ? (
             <div className="text-red-500 text-center py-8">
               <p>Research generation failed. Please try again.</p>
               <p className="text-sm mt-2 text-gray-600 dark:text-gray-400">
@@ -598,7 +764,7 @@ const ResearchModal: React.FC<ResearchModalProps> = ({
                   }
                 }}
               >
-                {researchData?.research_log || ''}
+                {displayedLog}
               </ReactMarkdown>
             </div>
           )}
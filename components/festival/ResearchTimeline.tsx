@@ -0,0 +1,151 @@
+'use client';
+
+import React from 'react';
+import {
+  PlayCircle,
+  CheckCircle,
+  SkipForward,
+  Sparkles,
+  AlertTriangle,
+  XCircle,
+  RefreshCw,
+  ExternalLink,
+  ChevronDown,
+  ChevronUp
+} from 'lucide-react';
+import type { ResearchEvent } from '../../lib/types/research-events';
+
+interface ResearchTimelineProps {
+  events: ResearchEvent[];
+  isRunning?: boolean;
+  getPhaseDisplay?: (phase: string) => string;
+}
+
+// Events per type, used for the collapsed summary
+const countByType = (events: ResearchEvent[], type: ResearchEvent['type']) =>
+  events.filter(e => e.type === type).length;
+
+const ResearchTimeline: React.FC<ResearchTimelineProps> = ({
+  events,
+  isRunning = false,
+  getPhaseDisplay = (phase) => phase
+}) => {
+  const [isExpanded, setIsExpanded] = React.useState(true);
+  const listRef = React.useRef<HTMLDivElement>(null);
+
+  // Keep the newest event in view while research is running
+  React.useEffect(() => {
+    if (isRunning && isExpanded && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [events.length, isRunning, isExpanded]);
+
+  if (events.length === 0) return null;
+
+  const startTime = new Date(events[0].timestamp).getTime();
+  const formatOffset = (timestamp: string) => {
+    const seconds = Math.max(0, Math.round((new Date(timestamp).getTime() - startTime) / 1000));
+    return `+${seconds}s`;
+  };
+
+  const renderEvent = (event: ResearchEvent) => {
+    switch (event.type) {
+      case 'phase_start':
+        return (
+          <div className="flex items-center text-gray-700 dark:text-gray-300">
+            <PlayCircle size={10} className="mr-1.5 flex-shrink-0 text-blue-500" />
+            <span>{getPhaseDisplay(event.phase)}</span>
+          </div>
+        );
+      case 'phase_complete':
+        return (
+          <div className="flex items-center text-gray-500">
+            <CheckCircle size={10} className="mr-1.5 flex-shrink-0 text-green-500" />
+            <span>{getPhaseDisplay(event.phase)} done</span>
+            <span className="ml-1 text-gray-400">({(event.durationMs / 1000).toFixed(1)}s)</span>
+          </div>
+        );
+      case 'phase_skipped':
+        return (
+          <div className="flex items-center text-gray-400">
+            <SkipForward size={10} className="mr-1.5 flex-shrink-0" />
+            <span>{getPhaseDisplay(event.phase)} skipped – {event.reason}</span>
+          </div>
+        );
+      case 'finding':
+        return (
+          <div className="flex items-start text-purple-700 dark:text-purple-300">
+            <Sparkles size={10} className="mr-1.5 mt-0.5 flex-shrink-0" />
+            {event.finding.url ? (
+              <a
+                href={event.finding.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="hover:underline truncate"
+              >
+                {event.finding.title}
+                <ExternalLink size={8} className="inline ml-1" />
+              </a>
+            ) : (
+              <span className="truncate">{event.finding.title}</span>
+            )}
+            {event.finding.confidence !== undefined && (
+              <span className="ml-1 text-gray-400 flex-shrink-0">
+                {Math.round(event.finding.confidence * 100)}%
+              </span>
+            )}
+          </div>
+        );
+      case 'warning':
+        return (
+          <div className="flex items-start text-yellow-600">
+            <AlertTriangle size={10} className="mr-1.5 mt-0.5 flex-shrink-0" />
+            <span>{event.message}</span>
+          </div>
+        );
+      case 'error':
+        return (
+          <div className="flex items-start text-red-600">
+            <XCircle size={10} className="mr-1.5 mt-0.5 flex-shrink-0" />
+            <span>{event.message}</span>
+          </div>
+        );
+      case 'retry':
+        return (
+          <div className="flex items-start text-indigo-600">
+            <RefreshCw size={10} className="mr-1.5 mt-0.5 flex-shrink-0" />
+            <span>Retry {event.attempt} ({event.weakPhases.join(', ')}): {event.suggestion}</span>
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="text-[11px]">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="flex items-center justify-between w-full text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+      >
+        <span>
+          Research log • {countByType(events, 'finding')} findings
+          {countByType(events, 'warning') > 0 && ` • ${countByType(events, 'warning')} warnings`}
+        </span>
+        {isExpanded ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+      </button>
+      {isExpanded && (
+        <div ref={listRef} className="mt-1 max-h-48 overflow-y-auto space-y-0.5 pr-1">
+          {events.map((event, i) => (
+            <div key={i} className="flex items-start space-x-2">
+              <span className="w-8 flex-shrink-0 text-right text-gray-400 tabular-nums">
+                {formatOffset(event.timestamp)}
+              </span>
+              <div className="min-w-0 flex-1">{renderEvent(event)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResearchTimeline;
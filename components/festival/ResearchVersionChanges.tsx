@@ -0,0 +1,119 @@
+'use client';
+
+import React from 'react';
+import { UserPlus, UserMinus, Building2, Newspaper, ExternalLink, TrendingUp, TrendingDown } from 'lucide-react';
+import {
+  hasVersionChanges,
+  type ResearchVersionDiff,
+  type ResearchVersionSummary
+} from '../../lib/research/research-versions';
+
+interface ResearchVersionChangesProps {
+  diff: ResearchVersionDiff | null;
+  previous: Pick<ResearchVersionSummary, 'provider' | 'created_at'> | null;
+}
+
+const ResearchVersionChanges: React.FC<ResearchVersionChangesProps> = ({ diff, previous }) => {
+  if (!diff || !previous) {
+    return (
+      <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+        This is the first research run for this festival, so there is nothing to compare with yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 text-sm">
+      <div className="flex items-center justify-between text-gray-500 dark:text-gray-400">
+        <span>
+          Compared with the {previous.provider} run of {new Date(previous.created_at).toLocaleString()}
+        </span>
+        {diff.qualityChange !== null && diff.qualityChange !== 0 && (
+          <span className={`flex items-center ${diff.qualityChange > 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {diff.qualityChange > 0 ? <TrendingUp size={14} className="mr-1" /> : <TrendingDown size={14} className="mr-1" />}
+            Quality {diff.qualityChange > 0 ? '+' : ''}{Math.round(diff.qualityChange)}
+          </span>
+        )}
+      </div>
+
+      {!hasVersionChanges(diff) && (
+        <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+          No new contacts, company changes or news since the previous run.
+        </div>
+      )}
+
+      {diff.companyChange && (
+        <section>
+          <h3 className="flex items-center font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            <Building2 size={16} className="mr-2 text-amber-600" />
+            Organizing company changed
+          </h3>
+          <div className="rounded-md border border-amber-200 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-800 p-3">
+            <span className="line-through text-gray-500">{diff.companyChange.from || 'unknown'}</span>
+            <span className="mx-2 text-gray-400">→</span>
+            <span className="font-medium text-gray-900 dark:text-gray-100">{diff.companyChange.to || 'unknown'}</span>
+          </div>
+        </section>
+      )}
+
+      {diff.newContacts.length > 0 && (
+        <section>
+          <h3 className="flex items-center font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            <UserPlus size={16} className="mr-2 text-green-600" />
+            New contacts ({diff.newContacts.length})
+          </h3>
+          <ul className="space-y-1">
+            {diff.newContacts.map(contact => (
+              <li key={contact.key} className="flex items-center rounded-md bg-green-50 dark:bg-green-900/20 px-3 py-1.5">
+                <span className="font-medium text-gray-900 dark:text-gray-100">{contact.name}</span>
+                {contact.detail && <span className="ml-2 text-gray-500">{contact.detail}</span>}
+                {contact.url && (
+                  <a href={contact.url} target="_blank" rel="noopener noreferrer" className="ml-auto text-blue-600 hover:text-blue-700">
+                    <ExternalLink size={12} />
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {diff.removedContacts.length > 0 && (
+        <section>
+          <h3 className="flex items-center font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            <UserMinus size={16} className="mr-2 text-red-600" />
+            No longer found ({diff.removedContacts.length})
+          </h3>
+          <ul className="space-y-1">
+            {diff.removedContacts.map(contact => (
+              <li key={contact.key} className="rounded-md bg-red-50 dark:bg-red-900/20 px-3 py-1.5 text-gray-600 dark:text-gray-300">
+                {contact.name}
+                {contact.detail && <span className="ml-2 text-gray-400">{contact.detail}</span>}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {diff.newNews.length > 0 && (
+        <section>
+          <h3 className="flex items-center font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            <Newspaper size={16} className="mr-2 text-blue-600" />
+            New news ({diff.newNews.length})
+          </h3>
+          <ul className="space-y-1">
+            {diff.newNews.map(item => (
+              <li key={item.url} className="rounded-md bg-blue-50 dark:bg-blue-900/20 px-3 py-1.5">
+                <a href={item.url} target="_blank" rel="noopener noreferrer" className="text-blue-700 dark:text-blue-300 hover:underline">
+                  {item.title}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ResearchVersionChanges;
@@ -0,0 +1,40 @@
+'use client';
+
+import React from 'react';
+import { SEARCH_FIELD_LABELS, type SearchMatch } from '../../lib/festivals/search';
+
+interface SearchSnippetProps {
+  match: SearchMatch;
+  // Prefix the excerpt with the field it comes from
+  showField?: boolean;
+  className?: string;
+}
+
+/**
+ * A search match excerpt with the matching parts highlighted
+ */
+const SearchSnippet: React.FC<SearchSnippetProps> = ({ match, showField = true, className = '' }) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  match.highlights.forEach(([start, end], index) => {
+    if (start < position) return;
+    if (start > position) parts.push(match.text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm px-0.5">
+        {match.text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < match.text.length) parts.push(match.text.slice(position));
+
+  return (
+    <span className={`text-xs text-muted-foreground ${className}`}>
+      {showField && <span className="font-medium">{SEARCH_FIELD_LABELS[match.field]}: </span>}
+      {parts}
+    </span>
+  );
+};
+
+export default SearchSnippet;
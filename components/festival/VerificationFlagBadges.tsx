@@ -0,0 +1,81 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { CalendarX, CalendarPlus, X } from 'lucide-react';
+import type { VerificationFlag } from '../../lib/research/reverification';
+
+interface VerificationFlagBadgesProps {
+  festivalId: string;
+  flags?: string[] | null;
+  lastVerified?: string | null;
+}
+
+const FLAG_DISPLAY: Record<VerificationFlag, { label: string; title: string; className: string; icon: React.ReactNode }> = {
+  vanished: {
+    label: 'Not on calendars',
+    title: 'No longer listed on any festival calendar',
+    className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+    icon: <CalendarX size={12} className="mr-1" />,
+  },
+  new_edition: {
+    label: 'New edition',
+    title: 'Calendars list a newer edition year',
+    className: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+    icon: <CalendarPlus size={12} className="mr-1" />,
+  },
+};
+
+/**
+ * Badges for the findings of the scheduled calendar re-verification, each dismissible
+ */
+const VerificationFlagBadges: React.FC<VerificationFlagBadgesProps> = ({ festivalId, flags, lastVerified }) => {
+  const [visibleFlags, setVisibleFlags] = useState<VerificationFlag[]>([]);
+
+  useEffect(() => {
+    setVisibleFlags((flags || []).filter((flag): flag is VerificationFlag => flag in FLAG_DISPLAY));
+  }, [flags]);
+
+  const dismiss = async (flag: VerificationFlag) => {
+    setVisibleFlags(current => current.filter(existing => existing !== flag));
+    try {
+      const response = await fetch(`/api/festivals/${festivalId}/verification-flags?flag=${flag}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        throw new Error(`Failed with status ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Error dismissing verification flag:', error);
+      setVisibleFlags(current => (current.includes(flag) ? current : [...current, flag]));
+      alert('Failed to dismiss flag. Please try again.');
+    }
+  };
+
+  if (visibleFlags.length === 0) return null;
+
+  const verifiedSuffix = lastVerified ? ` (checked ${new Date(lastVerified).toLocaleDateString()})` : '';
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {visibleFlags.map(flag => (
+        <span
+          key={flag}
+          className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${FLAG_DISPLAY[flag].className}`}
+          title={`${FLAG_DISPLAY[flag].title}${verifiedSuffix}`}
+        >
+          {FLAG_DISPLAY[flag].icon}
+          {FLAG_DISPLAY[flag].label}
+          <button
+            onClick={() => dismiss(flag)}
+            className="ml-1 opacity-60 hover:opacity-100"
+            title="Dismiss"
+          >
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default VerificationFlagBadges;
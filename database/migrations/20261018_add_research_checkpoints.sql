@@ -0,0 +1,30 @@
+-- Migration: Add research_checkpoints table for resumable orchestrated research
+-- Purpose: The self-healing orchestrator checkpoints its state after every phase
+-- so a run interrupted by a serverless timeout can resume where it stopped
+
+CREATE TABLE IF NOT EXISTS public.research_checkpoints (
+  festival_id UUID PRIMARY KEY REFERENCES public.festivals(id) ON DELETE CASCADE,
+  phase TEXT NOT NULL,
+  completed_phases TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'running',
+  state JSONB NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_research_checkpoint_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+-- Index for finding unfinished runs
+CREATE INDEX IF NOT EXISTS idx_research_checkpoints_status ON public.research_checkpoints (status) WHERE status <> 'completed';
+
+COMMENT ON TABLE public.research_checkpoints IS 'Latest orchestrator state per festival, written on every research phase transition';
+COMMENT ON COLUMN public.research_checkpoints.completed_phases IS 'Research phases that finished and are skipped when the run is resumed';
+COMMENT ON COLUMN public.research_checkpoints.state IS 'Full ResearchState snapshot from the self-healing orchestrator';
+
+-- Allow the API (anon key) to read and write checkpoints
+ALTER TABLE public.research_checkpoints ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow research checkpoint access"
+  ON public.research_checkpoints
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
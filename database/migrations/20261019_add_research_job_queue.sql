@@ -0,0 +1,120 @@
+-- Migration: Add research_jobs table as a durable queue for background research
+-- Purpose: Replace the "pick 5 pending rows" cron loop with leased jobs so that
+-- overlapping cron runs never process the same research, failed jobs are retried
+-- with exponential backoff and jobs that keep failing end up as 'dead'
+
+CREATE TABLE IF NOT EXISTS public.research_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  research_id UUID NOT NULL REFERENCES public.festival_research(id) ON DELETE CASCADE,
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL DEFAULT 'exa',
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT NULL,
+  lease_expires_at TIMESTAMPTZ NULL,
+  last_error TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ NULL,
+  CONSTRAINT chk_research_job_status CHECK (status IN ('queued', 'running', 'completed', 'dead'))
+);
+
+-- One open job per research entry
+CREATE UNIQUE INDEX IF NOT EXISTS idx_research_jobs_open_research
+  ON public.research_jobs (research_id) WHERE status IN ('queued', 'running');
+
+-- Index for claiming due jobs per provider
+CREATE INDEX IF NOT EXISTS idx_research_jobs_claim
+  ON public.research_jobs (provider, status, run_at);
+
+COMMENT ON TABLE public.research_jobs IS 'Durable queue of background research jobs processed by /api/cron/process-research';
+COMMENT ON COLUMN public.research_jobs.attempts IS 'Number of times the job has been claimed, including runs that timed out';
+COMMENT ON COLUMN public.research_jobs.run_at IS 'Earliest time the job may be claimed; pushed back exponentially after each failure';
+COMMENT ON COLUMN public.research_jobs.lease_expires_at IS 'A running job whose lease has expired is considered abandoned and can be claimed again';
+COMMENT ON COLUMN public.research_jobs.status IS 'queued, running, completed or dead (failed permanently after max_attempts)';
+
+-- Enqueue a job whenever a pending research entry is created
+CREATE OR REPLACE FUNCTION enqueue_research_job()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'pending' THEN
+    INSERT INTO public.research_jobs (research_id, festival_id, provider)
+    VALUES (NEW.id, NEW.festival_id, COALESCE(NEW.ai_service, 'exa'))
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_enqueue_research_job ON public.festival_research;
+CREATE TRIGGER trg_enqueue_research_job
+  AFTER INSERT ON public.festival_research
+  FOR EACH ROW
+  EXECUTE FUNCTION enqueue_research_job();
+
+-- Backfill jobs for research that is already pending
+INSERT INTO public.research_jobs (research_id, festival_id, provider, created_at)
+SELECT fr.id, fr.festival_id, COALESCE(fr.ai_service, 'exa'), fr.created_at
+FROM public.festival_research fr
+WHERE fr.status = 'pending'
+ON CONFLICT DO NOTHING;
+
+-- Atomically claim due jobs for one provider without exceeding its concurrency limit.
+-- Running jobs with an expired lease count as claimable, not as running.
+CREATE OR REPLACE FUNCTION claim_research_jobs(
+  p_provider TEXT,
+  p_worker TEXT,
+  p_max_concurrency INTEGER,
+  p_lease_seconds INTEGER DEFAULT 240
+)
+RETURNS SETOF public.research_jobs AS $$
+DECLARE
+  v_running INTEGER;
+  v_slots INTEGER;
+BEGIN
+  -- Serialize claims per provider so concurrent workers see each other's leases
+  PERFORM pg_advisory_xact_lock(hashtext('research_jobs:' || p_provider));
+
+  SELECT COUNT(*) INTO v_running
+  FROM public.research_jobs
+  WHERE provider = p_provider
+    AND status = 'running'
+    AND lease_expires_at > NOW();
+
+  v_slots := p_max_concurrency - v_running;
+  IF v_slots <= 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE public.research_jobs j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      locked_by = p_worker,
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+      updated_at = NOW()
+  WHERE j.id IN (
+    SELECT id FROM public.research_jobs
+    WHERE provider = p_provider
+      AND (
+        (status = 'queued' AND run_at <= NOW())
+        OR (status = 'running' AND lease_expires_at <= NOW())
+      )
+    ORDER BY run_at ASC
+    LIMIT v_slots
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Allow the API (anon key) to read and write jobs
+ALTER TABLE public.research_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow research job access"
+  ON public.research_jobs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,67 @@
+-- Migration: Add research_versions table with an immutable history of research runs
+-- Purpose: festival_research rows are deleted and recreated and festivals.research_data
+-- is overwritten in place; every completed run is now also appended here so runs
+-- can be compared with each other
+
+CREATE TABLE IF NOT EXISTS public.research_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  -- festival_research row that produced this version; not a foreign key because those rows get replaced
+  research_id UUID NULL,
+  provider TEXT NOT NULL,
+  research_log TEXT NULL,
+  research_data JSONB NULL,
+  quality_score NUMERIC NULL,
+  confidence NUMERIC NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for the per-festival history, newest first
+CREATE INDEX IF NOT EXISTS idx_research_versions_festival ON public.research_versions (festival_id, created_at DESC);
+
+COMMENT ON TABLE public.research_versions IS 'Append-only history of completed research runs per festival';
+COMMENT ON COLUMN public.research_versions.provider IS 'exa, perplexity, openai or orchestrated';
+COMMENT ON COLUMN public.research_versions.research_log IS 'Markdown research report (exa, perplexity, openai)';
+COMMENT ON COLUMN public.research_versions.research_data IS 'Structured orchestrator result, same shape as festivals.research_data';
+COMMENT ON COLUMN public.research_versions.quality_score IS 'Research quality score 0-100, when the provider computes one';
+
+-- Versions are immutable
+CREATE OR REPLACE FUNCTION prevent_research_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'research_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_research_versions_immutable ON public.research_versions;
+CREATE TRIGGER trg_research_versions_immutable
+  BEFORE UPDATE ON public.research_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_research_version_update();
+
+-- Backfill the current research as the first version
+INSERT INTO public.research_versions (festival_id, research_id, provider, research_log, created_at)
+SELECT fr.festival_id, fr.id, COALESCE(fr.ai_service, 'openai'), fr.research_log, COALESCE(fr.updated_at, fr.created_at)
+FROM public.festival_research fr
+WHERE fr.status = 'complete';
+
+INSERT INTO public.research_versions (festival_id, provider, research_data, confidence, created_at)
+SELECT f.id, 'orchestrated', f.research_data,
+  NULLIF(f.research_data->'confidence'->>'overall', '')::NUMERIC,
+  COALESCE(f.last_verified, NOW())
+FROM public.festivals f
+WHERE f.research_data IS NOT NULL
+  AND f.research_data ? 'company';
+
+-- Allow the API (anon key) to read and append versions; no update or delete policy
+ALTER TABLE public.research_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow research version reads"
+  ON public.research_versions
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow research version inserts"
+  ON public.research_versions
+  FOR INSERT
+  WITH CHECK (true);
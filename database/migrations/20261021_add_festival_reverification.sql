@@ -0,0 +1,40 @@
+-- Migration: Scheduled re-verification of festivals on calendar sources
+-- Purpose: Flag festivals that vanished from every calendar or announced a new edition,
+-- and select the favorited / in-pipeline festivals whose last_verified is stale
+
+ALTER TABLE public.festivals
+ADD COLUMN IF NOT EXISTS verification_flags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.festivals
+ADD COLUMN IF NOT EXISTS verification_flagged_at TIMESTAMPTZ NULL;
+
+COMMENT ON COLUMN public.festivals.verification_flags IS 'Findings of the latest calendar re-verification: vanished, new_edition';
+COMMENT ON COLUMN public.festivals.verification_flagged_at IS 'When verification_flags last changed to a non-empty value';
+
+-- Index for picking the stalest festivals first
+CREATE INDEX IF NOT EXISTS idx_festivals_last_verified ON public.festivals (last_verified NULLS FIRST);
+
+-- Festivals worth re-verifying: favorited or in the sales pipeline, not archived,
+-- never verified or verified longer than p_max_age_days ago. Stalest first.
+CREATE OR REPLACE FUNCTION festivals_due_for_verification(
+  p_max_age_days INTEGER,
+  p_limit INTEGER
+)
+RETURNS SETOF public.festivals AS $$
+BEGIN
+  RETURN QUERY
+  SELECT f.*
+  FROM public.festivals f
+  WHERE COALESCE(f.archived, false) = false
+    AND (
+      f.favorite = true
+      OR f.sales_stage IN ('outreach', 'talking', 'offer', 'deal')
+    )
+    AND (
+      f.last_verified IS NULL
+      OR f.last_verified < NOW() - make_interval(days => p_max_age_days)
+    )
+  ORDER BY f.last_verified ASC NULLS FIRST
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
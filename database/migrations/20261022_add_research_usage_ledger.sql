@@ -0,0 +1,125 @@
+-- Migration: Research usage ledger and monthly budgets per provider
+-- Purpose: Record tokens, Apify compute units, request counts and estimated cost of every
+-- research API call per festival and per run, and cap monthly spend per provider
+
+CREATE TABLE IF NOT EXISTS public.research_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL CHECK (provider IN ('apify', 'exa', 'perplexity', 'openai', 'claude')),
+  -- Actor id, API endpoint or model name
+  operation TEXT NULL,
+  festival_id UUID NULL REFERENCES public.festivals(id) ON DELETE SET NULL,
+  -- Research job id or orchestrator run id the call belonged to
+  run_id TEXT NULL,
+  requests INTEGER NOT NULL DEFAULT 1,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  compute_units NUMERIC NOT NULL DEFAULT 0,
+  cost_usd NUMERIC NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_usage_provider_created ON public.research_usage (provider, created_at);
+CREATE INDEX IF NOT EXISTS idx_research_usage_festival ON public.research_usage (festival_id, created_at) WHERE festival_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_research_usage_run ON public.research_usage (run_id) WHERE run_id IS NOT NULL;
+
+COMMENT ON TABLE public.research_usage IS 'One row per billable research API call';
+COMMENT ON COLUMN public.research_usage.cost_usd IS 'Cost reported by the provider, or estimated from tokens and list prices';
+
+CREATE TABLE IF NOT EXISTS public.research_budgets (
+  provider TEXT PRIMARY KEY CHECK (provider IN ('apify', 'exa', 'perplexity', 'openai', 'claude')),
+  monthly_limit_usd NUMERIC NOT NULL CHECK (monthly_limit_usd >= 0),
+  -- What happens to new research once the limit is reached
+  on_exceeded TEXT NOT NULL DEFAULT 'block' CHECK (on_exceeded IN ('block', 'downgrade')),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.research_budgets IS 'Monthly spend limit per provider; providers without a row are unlimited';
+COMMENT ON COLUMN public.research_budgets.on_exceeded IS 'block: research using this provider fails; downgrade: a cheaper research provider is used instead';
+
+-- Spend per provider between p_since and p_until (open-ended when NULL)
+CREATE OR REPLACE FUNCTION research_usage_by_provider(p_since TIMESTAMPTZ, p_until TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+  provider TEXT,
+  requests BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  compute_units NUMERIC,
+  cost_usd NUMERIC
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT u.provider,
+    SUM(u.requests)::BIGINT,
+    SUM(u.input_tokens)::BIGINT,
+    SUM(u.output_tokens)::BIGINT,
+    SUM(u.compute_units),
+    SUM(u.cost_usd)
+  FROM public.research_usage u
+  WHERE u.created_at >= p_since
+    AND (p_until IS NULL OR u.created_at < p_until)
+  GROUP BY u.provider
+  ORDER BY SUM(u.cost_usd) DESC;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Spend per festival between p_since and p_until, most expensive first
+CREATE OR REPLACE FUNCTION research_usage_by_festival(p_since TIMESTAMPTZ, p_until TIMESTAMPTZ, p_limit INTEGER)
+RETURNS TABLE (
+  festival_id UUID,
+  festival_name TEXT,
+  runs BIGINT,
+  requests BIGINT,
+  cost_usd NUMERIC,
+  cost_by_provider JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH usage_since AS (
+    SELECT u.*
+    FROM public.research_usage u
+    WHERE u.created_at >= p_since
+      AND (p_until IS NULL OR u.created_at < p_until)
+      AND u.festival_id IS NOT NULL
+  ),
+  per_provider AS (
+    SELECT us.festival_id, us.provider, SUM(us.cost_usd) AS cost_usd
+    FROM usage_since us
+    GROUP BY us.festival_id, us.provider
+  )
+  SELECT us.festival_id,
+    MAX(f.name)::TEXT,
+    COUNT(DISTINCT us.run_id)::BIGINT,
+    SUM(us.requests)::BIGINT,
+    SUM(us.cost_usd),
+    (
+      SELECT jsonb_object_agg(pp.provider, pp.cost_usd)
+      FROM per_provider pp
+      WHERE pp.festival_id = us.festival_id
+    )
+  FROM usage_since us
+  JOIN public.festivals f ON f.id = us.festival_id
+  GROUP BY us.festival_id
+  ORDER BY SUM(us.cost_usd) DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Allow the API (anon key) to append usage and manage budgets
+ALTER TABLE public.research_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.research_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow research usage reads"
+  ON public.research_usage
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow research usage inserts"
+  ON public.research_usage
+  FOR INSERT
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on research_budgets"
+  ON public.research_budgets
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,155 @@
+-- Migration: Cross-source festival entity resolution and merging
+-- Purpose: the same festival is inserted separately by eblive2, festivalinfo, the Chrome
+-- extension and manual creation. Likely duplicates are scored into a review queue; a
+-- confirmed merge keeps one canonical festival and links the other source records to it.
+
+-- Source records merged into a canonical festival point at it and are hidden from lists
+ALTER TABLE public.festivals ADD COLUMN IF NOT EXISTS merged_into UUID NULL REFERENCES public.festivals(id) ON DELETE SET NULL;
+ALTER TABLE public.festivals ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_festivals_merged_into ON public.festivals (merged_into) WHERE merged_into IS NOT NULL;
+
+COMMENT ON COLUMN public.festivals.merged_into IS 'Canonical festival this source record was merged into; NULL for canonical and unmerged festivals';
+
+-- Review queue of candidate duplicate pairs
+CREATE TABLE IF NOT EXISTS public.festival_merge_candidates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Pair is stored with festival_a < festival_b so each pair exists once
+  festival_a UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  festival_b UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  score NUMERIC NOT NULL,
+  signals JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rejected')),
+  canonical_id UUID NULL REFERENCES public.festivals(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_at TIMESTAMPTZ NULL,
+  CONSTRAINT chk_merge_candidate_order CHECK (festival_a < festival_b),
+  CONSTRAINT uq_merge_candidate_pair UNIQUE (festival_a, festival_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_merge_candidates_pending ON public.festival_merge_candidates (score DESC) WHERE status = 'pending';
+
+COMMENT ON TABLE public.festival_merge_candidates IS 'Candidate duplicate festival pairs awaiting review; rejected pairs are never proposed again';
+COMMENT ON COLUMN public.festival_merge_candidates.signals IS 'Per-signal scores 0-1 (name, dates, location, domain); null when a signal could not be compared';
+COMMENT ON COLUMN public.festival_merge_candidates.canonical_id IS 'Festival kept when the merge was confirmed';
+
+-- Merged research versions move to the canonical festival; everything else stays immutable
+CREATE OR REPLACE FUNCTION prevent_research_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.festival_id IS DISTINCT FROM OLD.festival_id
+    AND (NEW.id, NEW.research_id, NEW.provider, NEW.research_log, NEW.research_data,
+         NEW.quality_score, NEW.confidence, NEW.created_at)
+      IS NOT DISTINCT FROM
+        (OLD.id, OLD.research_id, OLD.provider, OLD.research_log, OLD.research_data,
+         OLD.quality_score, OLD.confidence, OLD.created_at) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'research_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Merge p_duplicate into p_canonical in one transaction:
+-- emails are combined, notes appended, missing details filled in, the further sales stage
+-- kept, and research moved over. The duplicate stays as a linked source record.
+CREATE OR REPLACE FUNCTION merge_festivals(p_canonical UUID, p_duplicate UUID)
+RETURNS SETOF public.festivals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  canonical public.festivals%ROWTYPE;
+  duplicate public.festivals%ROWTYPE;
+  stage_order CONSTANT TEXT[] := ARRAY['favorited', 'outreach', 'talking', 'offer', 'deal'];
+  canonical_research public.festival_research%ROWTYPE;
+  duplicate_research public.festival_research%ROWTYPE;
+BEGIN
+  IF p_canonical = p_duplicate THEN
+    RAISE EXCEPTION 'Cannot merge a festival into itself';
+  END IF;
+
+  SELECT * INTO canonical FROM public.festivals WHERE id = p_canonical FOR UPDATE;
+  SELECT * INTO duplicate FROM public.festivals WHERE id = p_duplicate FOR UPDATE;
+
+  IF canonical.id IS NULL OR duplicate.id IS NULL THEN
+    RAISE EXCEPTION 'Festival not found';
+  END IF;
+  IF canonical.merged_into IS NOT NULL OR duplicate.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Festival has already been merged';
+  END IF;
+
+  UPDATE public.festivals f SET
+    emails = (
+      SELECT ARRAY(SELECT DISTINCT lower(e) FROM unnest(COALESCE(canonical.emails, '{}') || COALESCE(duplicate.emails, '{}')) AS e)
+    ),
+    notes = CASE
+      WHEN COALESCE(btrim(duplicate.notes), '') = '' OR duplicate.notes = canonical.notes THEN canonical.notes
+      WHEN COALESCE(btrim(canonical.notes), '') = '' THEN duplicate.notes
+      ELSE canonical.notes || E'\n\n' || duplicate.notes
+    END,
+    start_date = COALESCE(canonical.start_date, duplicate.start_date),
+    end_date = COALESCE(canonical.end_date, duplicate.end_date),
+    location = COALESCE(NULLIF(canonical.location, ''), duplicate.location),
+    country = COALESCE(NULLIF(canonical.country, ''), duplicate.country),
+    homepage_url = COALESCE(NULLIF(canonical.homepage_url, ''), duplicate.homepage_url),
+    linkedin_url = COALESCE(NULLIF(canonical.linkedin_url, ''), duplicate.linkedin_url),
+    organizing_company = COALESCE(NULLIF(canonical.organizing_company, ''), duplicate.organizing_company),
+    research_data = COALESCE(canonical.research_data, duplicate.research_data),
+    favorite = COALESCE(canonical.favorite, FALSE) OR COALESCE(duplicate.favorite, FALSE),
+    archived = COALESCE(canonical.archived, FALSE) AND COALESCE(duplicate.archived, FALSE),
+    sales_stage = CASE
+      WHEN COALESCE(array_position(stage_order, duplicate.sales_stage::TEXT), 0)
+         > COALESCE(array_position(stage_order, canonical.sales_stage::TEXT), 0)
+      THEN duplicate.sales_stage
+      ELSE canonical.sales_stage
+    END,
+    last_verified = GREATEST(canonical.last_verified, duplicate.last_verified),
+    verification_flags = ARRAY(
+      SELECT DISTINCT flag FROM unnest(COALESCE(canonical.verification_flags, '{}') || COALESCE(duplicate.verification_flags, '{}')) AS flag
+    )
+  WHERE f.id = p_canonical;
+
+  -- Current research: the canonical keeps its own unless the duplicate has a completed run and it doesn't
+  SELECT * INTO canonical_research FROM public.festival_research WHERE festival_id = p_canonical LIMIT 1;
+  SELECT * INTO duplicate_research FROM public.festival_research WHERE festival_id = p_duplicate LIMIT 1;
+
+  IF duplicate_research.id IS NOT NULL
+    AND (canonical_research.id IS NULL
+      OR (canonical_research.status <> 'complete' AND duplicate_research.status = 'complete')) THEN
+    IF canonical_research.id IS NOT NULL THEN
+      DELETE FROM public.festival_research WHERE id = canonical_research.id;
+    END IF;
+    UPDATE public.festival_research SET festival_id = p_canonical WHERE id = duplicate_research.id;
+    UPDATE public.research_jobs SET festival_id = p_canonical WHERE research_id = duplicate_research.id;
+  END IF;
+
+  -- Research history and spend follow the canonical festival
+  UPDATE public.research_versions SET festival_id = p_canonical WHERE festival_id = p_duplicate;
+  UPDATE public.research_usage SET festival_id = p_canonical WHERE festival_id = p_duplicate;
+  DELETE FROM public.research_checkpoints WHERE festival_id = p_duplicate;
+
+  -- Link the duplicate, and anything merged into it earlier, to the canonical festival
+  UPDATE public.festivals SET merged_into = p_canonical, merged_at = NOW()
+  WHERE id = p_duplicate OR merged_into = p_duplicate;
+
+  UPDATE public.festival_merge_candidates
+  SET status = 'confirmed', canonical_id = p_canonical, reviewed_at = NOW()
+  WHERE festival_a = LEAST(p_canonical, p_duplicate) AND festival_b = GREATEST(p_canonical, p_duplicate);
+
+  -- Other open candidates of the duplicate are rediscovered against the canonical on the next scan
+  DELETE FROM public.festival_merge_candidates
+  WHERE status = 'pending' AND (festival_a = p_duplicate OR festival_b = p_duplicate);
+
+  RETURN QUERY SELECT * FROM public.festivals WHERE id = p_canonical;
+END;
+$$;
+
+-- Allow the API (anon key) to manage the review queue
+ALTER TABLE public.festival_merge_candidates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow merge candidate access"
+  ON public.festival_merge_candidates
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
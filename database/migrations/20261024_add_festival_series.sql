@@ -0,0 +1,121 @@
+-- Migration: Festival series with yearly editions
+-- Purpose: every row in festivals is one dated event, so a festival that returns every
+-- summer showed up as unrelated rows. Editions now belong to a festival_series; new rows
+-- are attached to the series with the same normalized name by a trigger, so every
+-- scraper, the Chrome extension and manual creation link editions without changes.
+
+CREATE TABLE IF NOT EXISTS public.festival_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  -- Normalized name new editions are matched on; NULL for series split off by hand
+  series_key TEXT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.festivals ADD COLUMN IF NOT EXISTS series_id UUID NULL REFERENCES public.festival_series(id) ON DELETE SET NULL;
+ALTER TABLE public.festivals ADD COLUMN IF NOT EXISTS edition_year INTEGER NULL;
+
+CREATE INDEX IF NOT EXISTS idx_festivals_series ON public.festivals (series_id, edition_year);
+
+COMMENT ON TABLE public.festival_series IS 'A recurring festival; its yearly editions are the festivals rows with this series_id';
+COMMENT ON COLUMN public.festival_series.series_key IS 'Lowercased name without accents, years, edition numbers and the word festival';
+COMMENT ON COLUMN public.festivals.edition_year IS 'Year of this edition, from start_date';
+
+-- "Pinkpop Festival 2025" and "Pinkpop 2026" both become "pinkpop"
+CREATE OR REPLACE FUNCTION festival_series_key(p_name TEXT)
+RETURNS TEXT AS $$
+  SELECT NULLIF(btrim(regexp_replace(
+    regexp_replace(
+      regexp_replace(
+        lower(translate(
+          COALESCE(p_name, ''),
+          'ÁÀÂÄÃÅáàâäãåÇçÉÈÊËéèêëÍÌÎÏíìîïÑñÓÒÔÖÕóòôöõÚÙÛÜúùûüÝýÿ',
+          'AAAAAAaaaaaaCcEEEEeeeeIIIIiiiiNnOOOOOoooooUUUUuuuuYyy'
+        )),
+        '\m(19|20)\d{2}\M|\m\d+(e|ste|de|th|st|nd|rd)\M|\m(festival|festivals|fest|editie|edition)\M', ' ', 'g'
+      ),
+      '[^a-z0-9]+', ' ', 'g'
+    ),
+    '\s+', ' ', 'g'
+  )), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Display name of a series: the edition name without its year
+CREATE OR REPLACE FUNCTION festival_series_name(p_name TEXT)
+RETURNS TEXT AS $$
+  SELECT btrim(regexp_replace(p_name, '\s*\m(19|20)\d{2}\M\s*', ' ', 'g'));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION assign_festival_series()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_key TEXT;
+BEGIN
+  NEW.edition_year := CASE WHEN NEW.start_date IS NULL THEN NULL ELSE EXTRACT(YEAR FROM NEW.start_date::DATE)::INTEGER END;
+
+  IF TG_OP = 'INSERT' AND NEW.series_id IS NULL THEN
+    v_key := festival_series_key(NEW.name);
+    IF v_key IS NOT NULL THEN
+      INSERT INTO public.festival_series (name, series_key)
+      VALUES (festival_series_name(NEW.name), v_key)
+      ON CONFLICT (series_key) DO UPDATE SET updated_at = NOW()
+      RETURNING id INTO NEW.series_id;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_assign_festival_series ON public.festivals;
+CREATE TRIGGER trg_assign_festival_series
+  BEFORE INSERT OR UPDATE OF start_date ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION assign_festival_series();
+
+-- Backfill: one series per normalized name, named after its oldest edition
+INSERT INTO public.festival_series (name, series_key)
+SELECT DISTINCT ON (festival_series_key(f.name)) festival_series_name(f.name), festival_series_key(f.name)
+FROM public.festivals f
+WHERE festival_series_key(f.name) IS NOT NULL
+ORDER BY festival_series_key(f.name), f.start_date NULLS LAST, f.created_at
+ON CONFLICT (series_key) DO NOTHING;
+
+UPDATE public.festivals f
+SET series_id = s.id
+FROM public.festival_series s
+WHERE f.series_id IS NULL
+  AND s.series_key = festival_series_key(f.name);
+
+UPDATE public.festivals
+SET edition_year = EXTRACT(YEAR FROM start_date::DATE)::INTEGER
+WHERE start_date IS NOT NULL AND edition_year IS NULL;
+
+-- A merged festival keeps the series of the record it was merged with when it has none
+CREATE OR REPLACE FUNCTION merge_festival_series()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL AND NEW.series_id IS NOT NULL THEN
+    UPDATE public.festivals
+    SET series_id = NEW.series_id
+    WHERE id = NEW.merged_into AND series_id IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_series ON public.festivals;
+CREATE TRIGGER trg_merge_festival_series
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_series();
+
+-- Allow the API (anon key) to manage series
+ALTER TABLE public.festival_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow festival series access"
+  ON public.festival_series
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,145 @@
+-- Migration: Per-user festival preferences
+-- Purpose: 20250627_add_user_preferences.sql stored favorite, archived, notes and sales_stage
+-- on the shared festivals row, so one colleague archiving a festival archived it for the
+-- whole team. Preferences are now stored per Supabase user; the festivals columns remain
+-- only as the fallback for requests without a signed-in user (development bypass).
+
+-- Teams group colleagues for the team view
+CREATE TABLE IF NOT EXISTS public.teams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Who a Supabase user is, kept up to date whenever they save a preference
+CREATE TABLE IF NOT EXISTS public.user_profiles (
+  user_id UUID PRIMARY KEY,
+  email TEXT NULL,
+  display_name TEXT NULL,
+  team_id UUID NULL REFERENCES public.teams(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_team ON public.user_profiles (team_id);
+
+CREATE TABLE IF NOT EXISTS public.festival_user_preferences (
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  favorite BOOLEAN NOT NULL DEFAULT FALSE,
+  archived BOOLEAN NOT NULL DEFAULT FALSE,
+  notes TEXT NULL,
+  sales_stage VARCHAR(20) NOT NULL DEFAULT 'favorited'
+    CHECK (sales_stage IN ('favorited', 'outreach', 'talking', 'offer', 'deal')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (festival_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_festival_user_preferences_user ON public.festival_user_preferences (user_id);
+-- Leads for the team view
+CREATE INDEX IF NOT EXISTS idx_festival_user_preferences_leads ON public.festival_user_preferences (festival_id)
+  WHERE archived = FALSE AND (favorite = TRUE OR sales_stage <> 'favorited');
+
+COMMENT ON TABLE public.festival_user_preferences IS 'Favorite, archived, notes and sales stage of a festival for one Supabase user';
+COMMENT ON COLUMN public.festival_user_preferences.user_id IS 'auth.users id';
+COMMENT ON TABLE public.user_profiles IS 'Email, name and team of Supabase users, for showing who owns a lead';
+
+DROP TRIGGER IF EXISTS update_festival_user_preferences_updated_at ON public.festival_user_preferences;
+CREATE TRIGGER update_festival_user_preferences_updated_at
+  BEFORE UPDATE ON public.festival_user_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill: every existing user starts from the shared values they saw until now
+INSERT INTO public.user_profiles (user_id, email, display_name)
+SELECT u.id, u.email, u.raw_user_meta_data->>'full_name'
+FROM auth.users u
+ON CONFLICT (user_id) DO NOTHING;
+
+INSERT INTO public.festival_user_preferences (festival_id, user_id, favorite, archived, notes, sales_stage)
+SELECT f.id, u.id, COALESCE(f.favorite, FALSE), COALESCE(f.archived, FALSE), f.notes, COALESCE(f.sales_stage, 'favorited')
+FROM public.festivals f
+CROSS JOIN auth.users u
+WHERE COALESCE(f.favorite, FALSE)
+   OR COALESCE(f.archived, FALSE)
+   OR COALESCE(btrim(f.notes), '') <> ''
+   OR COALESCE(f.sales_stage, 'favorited') <> 'favorited'
+ON CONFLICT (festival_id, user_id) DO NOTHING;
+
+-- Preferences on a merged duplicate move to the canonical festival unless the user has some there already
+CREATE OR REPLACE FUNCTION merge_festival_preferences()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    INSERT INTO public.festival_user_preferences (festival_id, user_id, favorite, archived, notes, sales_stage)
+    SELECT NEW.merged_into, p.user_id, p.favorite, p.archived, p.notes, p.sales_stage
+    FROM public.festival_user_preferences p
+    WHERE p.festival_id = NEW.id
+    ON CONFLICT (festival_id, user_id) DO NOTHING;
+
+    DELETE FROM public.festival_user_preferences WHERE festival_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_preferences ON public.festivals;
+CREATE TRIGGER trg_merge_festival_preferences
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_preferences();
+
+-- Re-verification covers festivals anyone favorited or has in their pipeline
+CREATE OR REPLACE FUNCTION festivals_due_for_verification(
+  p_max_age_days INTEGER,
+  p_limit INTEGER
+)
+RETURNS SETOF public.festivals AS $$
+BEGIN
+  RETURN QUERY
+  SELECT f.*
+  FROM public.festivals f
+  WHERE (
+      (
+        COALESCE(f.archived, false) = false
+        AND (f.favorite = true OR f.sales_stage IN ('outreach', 'talking', 'offer', 'deal'))
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM public.festival_user_preferences p
+        WHERE p.festival_id = f.id
+          AND p.archived = false
+          AND (p.favorite = true OR p.sales_stage IN ('outreach', 'talking', 'offer', 'deal'))
+      )
+    )
+    AND (
+      f.last_verified IS NULL
+      OR f.last_verified < NOW() - make_interval(days => p_max_age_days)
+    )
+  ORDER BY f.last_verified ASC NULLS FIRST
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- The API enforces which user's preferences are read and written
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.festival_user_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow team access"
+  ON public.teams
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow user profile access"
+  ON public.user_profiles
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow festival user preference access"
+  ON public.festival_user_preferences
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
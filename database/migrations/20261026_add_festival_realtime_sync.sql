@@ -0,0 +1,42 @@
+-- Migration: Server-authoritative festival sync
+-- Purpose: The browser no longer mirrors preferences, rate cards and research status in
+-- localStorage. Rate cards get columns of their own, and festivals and per-user
+-- preferences are published over Supabase realtime so other tabs, devices and
+-- colleagues see changes live.
+
+-- Rate cards were only ever kept in the browser
+ALTER TABLE public.festivals
+  ADD COLUMN IF NOT EXISTS rate_card_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS rate_card_received BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS rate_card_date DATE NULL,
+  ADD COLUMN IF NOT EXISTS rate_card_notes TEXT NULL;
+
+COMMENT ON COLUMN public.festivals.rate_card_requested IS 'A rate card was requested from the organizer';
+COMMENT ON COLUMN public.festivals.rate_card_received IS 'The rate card was received';
+COMMENT ON COLUMN public.festivals.rate_card_date IS 'When the rate card was received';
+
+CREATE INDEX IF NOT EXISTS idx_festivals_rate_card_pending ON public.festivals (id)
+  WHERE rate_card_requested = TRUE AND rate_card_received = FALSE;
+
+-- Publish changes to realtime subscribers
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    CREATE PUBLICATION supabase_realtime;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'festivals'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.festivals;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'festival_user_preferences'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.festival_user_preferences;
+  END IF;
+END;
+$$;
@@ -0,0 +1,188 @@
+-- Migration: Filtered, sorted and keyset-paginated festival queries
+-- Purpose: the festivals API had separate search, null-date and date-range RPCs, each
+-- returning every match, and the browser downloaded all festivals to filter, sort and
+-- paginate them itself. query_festivals combines all filters, sorts on one field with the
+-- id as tie-breaker and continues after a cursor (the last row's sort value and id), so
+-- the API only returns the page that is shown.
+--
+-- Filters (p_filters, every key optional):
+--   sources, countries, sales_stages, research_statuses, series_ids  JSON arrays
+--   favorite, archived, dateless                                      booleans
+--   date_from, date_to                                                dates, overlap with the festival
+--   search                                                            ILIKE pattern on name and location
+--   rate_card                                                         requested | received | pending
+-- Favorite, archived, notes and sales stage are p_user_id's own preferences; without a
+-- user the shared festivals columns are used.
+
+-- The filtered festivals as a SELECT statement, shared by the page and count functions
+CREATE OR REPLACE FUNCTION festival_query_sql(
+  p_filters JSONB,
+  p_user_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+  -- Where preferences come from: the user's preference row or the shared columns
+  v_pref TEXT := CASE WHEN p_user_id IS NULL THEN 'f' ELSE 'p' END;
+  v_sql TEXT;
+BEGIN
+  v_sql := format($sql$
+    SELECT * FROM (
+      SELECT
+        f.id, f.name, f.start_date, f.end_date, f.location, f.country, f.url, f.source,
+        f.emails, f.created_at, f.updated_at, f.linkedin_url, f.research_data,
+        f.homepage_url, f.organizing_company, f.last_verified, f.verification_flags,
+        f.series_id, f.edition_year,
+        COALESCE(f.rate_card_requested, FALSE) AS rate_card_requested,
+        COALESCE(f.rate_card_received, FALSE) AS rate_card_received,
+        f.rate_card_date, f.rate_card_notes,
+        COALESCE(%1$s.favorite, FALSE) AS favorite,
+        COALESCE(%1$s.archived, FALSE) AS archived,
+        %1$s.notes AS notes,
+        COALESCE(%1$s.sales_stage, 'favorited') AS sales_stage,
+        r.id AS research_id,
+        COALESCE(r.status, 'none') AS research_status
+      FROM public.festivals f
+      LEFT JOIN public.festival_user_preferences p
+        ON p.festival_id = f.id AND p.user_id = %2$L::uuid
+      LEFT JOIN LATERAL (
+        SELECT fr.id, fr.status
+        FROM public.festival_research fr
+        WHERE fr.festival_id = f.id
+        ORDER BY fr.updated_at DESC NULLS LAST
+        LIMIT 1
+      ) r ON TRUE
+      WHERE f.merged_into IS NULL
+    ) q
+    WHERE TRUE
+  $sql$, v_pref, p_user_id);
+
+  IF jsonb_typeof(p_filters->'sources') = 'array' THEN
+    v_sql := v_sql || format(' AND q.source = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sources')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'countries') = 'array' THEN
+    v_sql := v_sql || format(' AND lower(q.country) = ANY(%L::text[])',
+      ARRAY(SELECT lower(value) FROM jsonb_array_elements_text(p_filters->'countries')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'sales_stages') = 'array' THEN
+    v_sql := v_sql || format(' AND q.sales_stage = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sales_stages')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'research_statuses') = 'array' THEN
+    v_sql := v_sql || format(' AND q.research_status = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'research_statuses')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'series_ids') = 'array' THEN
+    v_sql := v_sql || format(' AND q.series_id = ANY(%L::uuid[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'series_ids')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'favorite') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.favorite = %L::boolean', p_filters->>'favorite');
+  END IF;
+
+  IF jsonb_typeof(p_filters->'archived') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.archived = %L::boolean', p_filters->>'archived');
+  END IF;
+
+  IF (p_filters->>'dateless')::boolean IS TRUE THEN
+    v_sql := v_sql || ' AND q.start_date IS NULL AND q.end_date IS NULL';
+  END IF;
+
+  -- Overlap: the festival starts before the range ends and ends after it starts
+  IF p_filters->>'date_from' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND COALESCE(q.end_date, q.start_date) >= %L::date', p_filters->>'date_from');
+  END IF;
+
+  IF p_filters->>'date_to' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND q.start_date <= %L::date', p_filters->>'date_to');
+  END IF;
+
+  IF p_filters->>'search' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND (q.name ILIKE %1$L OR q.location ILIKE %1$L)', p_filters->>'search');
+  END IF;
+
+  v_sql := v_sql || CASE p_filters->>'rate_card'
+    WHEN 'requested' THEN ' AND q.rate_card_requested'
+    WHEN 'received' THEN ' AND q.rate_card_received'
+    WHEN 'pending' THEN ' AND q.rate_card_requested AND NOT q.rate_card_received'
+    ELSE ''
+  END;
+
+  RETURN v_sql;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- One page of festivals. Each row is the festival as JSON plus sort_key, the value to
+-- continue after (p_after_value) when this is the last row of the page. Rows without a
+-- sort value come last in both directions; a NULL p_after_value with a p_after_id
+-- continues among those.
+CREATE OR REPLACE FUNCTION query_festivals(
+  p_filters JSONB DEFAULT '{}'::jsonb,
+  p_user_id UUID DEFAULT NULL,
+  p_sort TEXT DEFAULT 'start_date',
+  p_descending BOOLEAN DEFAULT FALSE,
+  p_after_value TEXT DEFAULT NULL,
+  p_after_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF JSONB AS $$
+DECLARE
+  v_sort_expr TEXT;
+  v_sort_type TEXT;
+  v_direction TEXT := CASE WHEN p_descending THEN 'DESC' ELSE 'ASC' END;
+  v_comparison TEXT := CASE WHEN p_descending THEN '<' ELSE '>' END;
+  v_after TEXT := '';
+BEGIN
+  -- Text sorts ignore case
+  CASE p_sort
+    WHEN 'start_date' THEN v_sort_expr := 'q.start_date'; v_sort_type := 'date';
+    WHEN 'end_date' THEN v_sort_expr := 'q.end_date'; v_sort_type := 'date';
+    WHEN 'created_at' THEN v_sort_expr := 'q.created_at'; v_sort_type := 'timestamptz';
+    WHEN 'name' THEN v_sort_expr := 'lower(q.name)'; v_sort_type := 'text';
+    WHEN 'location' THEN v_sort_expr := 'lower(q.location)'; v_sort_type := 'text';
+    WHEN 'country' THEN v_sort_expr := 'lower(q.country)'; v_sort_type := 'text';
+    WHEN 'source' THEN v_sort_expr := 'lower(q.source)'; v_sort_type := 'text';
+    ELSE RAISE EXCEPTION 'Unsupported festival sort: %', p_sort;
+  END CASE;
+
+  IF p_after_id IS NOT NULL THEN
+    IF p_after_value IS NULL THEN
+      v_after := format(' AND %s IS NULL AND q.id > %L::uuid', v_sort_expr, p_after_id);
+    ELSE
+      v_after := format(
+        ' AND (%1$s %2$s %3$L::%4$s OR (%1$s = %3$L::%4$s AND q.id > %5$L::uuid) OR %1$s IS NULL)',
+        v_sort_expr, v_comparison, p_after_value, v_sort_type, p_after_id
+      );
+    END IF;
+  END IF;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT to_jsonb(q) || jsonb_build_object(''sort_key'', (%1$s)::text) FROM (%2$s%3$s) q ORDER BY %1$s %4$s NULLS LAST, q.id ASC LIMIT %5$s',
+    v_sort_expr, festival_query_sql(p_filters, p_user_id), v_after, v_direction, GREATEST(LEAST(p_limit, 1000), 1)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Number of festivals matching the filters, for "x of y" and page counts
+CREATE OR REPLACE FUNCTION count_festivals(
+  p_filters JSONB DEFAULT '{}'::jsonb,
+  p_user_id UUID DEFAULT NULL
+)
+RETURNS BIGINT AS $$
+DECLARE
+  v_count BIGINT;
+BEGIN
+  EXECUTE format('SELECT count(*) FROM (%s) q', festival_query_sql(p_filters, p_user_id)) INTO v_count;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Keyset pagination reads these in sort order
+CREATE INDEX IF NOT EXISTS idx_festivals_start_date_id ON public.festivals (start_date, id) WHERE merged_into IS NULL;
+CREATE INDEX IF NOT EXISTS idx_festivals_name_lower_id ON public.festivals (lower(name), id) WHERE merged_into IS NULL;
+CREATE INDEX IF NOT EXISTS idx_festival_research_festival_updated ON public.festival_research (festival_id, updated_at DESC);
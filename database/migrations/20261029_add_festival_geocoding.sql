@@ -0,0 +1,286 @@
+-- Migration: Geocoded festival locations
+-- Purpose: location and country are free text ("Biddinghuizen (NL)", "Werchter, België"),
+-- so festivals couldn't be put on a map or searched by distance. Festivals now also keep
+-- the city, province, country code and coordinates their location was geocoded to (by
+-- the app, against its offline gazetteer). Changing the location or country clears them
+-- so the geocode-festivals cron geocodes the festival again. query_festivals gains the
+-- geocoded columns, a mapped filter, a radius filter and a 'distance' sort.
+
+ALTER TABLE public.festivals
+  ADD COLUMN IF NOT EXISTS city TEXT,
+  ADD COLUMN IF NOT EXISTS province TEXT,
+  ADD COLUMN IF NOT EXISTS country_code TEXT,
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  -- Set once geocoded, also when the location wasn't recognized; NULL means pending
+  ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_festivals_coordinates
+  ON public.festivals (latitude, longitude) WHERE latitude IS NOT NULL AND merged_into IS NULL;
+CREATE INDEX IF NOT EXISTS idx_festivals_geocode_pending
+  ON public.festivals (created_at) WHERE geocoded_at IS NULL;
+
+-- An edited location is geocoded again, unless the update stores its geocoding too
+CREATE OR REPLACE FUNCTION reset_festival_geocoding()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.location IS DISTINCT FROM OLD.location OR NEW.country IS DISTINCT FROM OLD.country)
+     AND NEW.geocoded_at IS NOT DISTINCT FROM OLD.geocoded_at THEN
+    NEW.city := NULL;
+    NEW.province := NULL;
+    NEW.country_code := NULL;
+    NEW.latitude := NULL;
+    NEW.longitude := NULL;
+    NEW.geocoded_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reset_festival_geocoding ON public.festivals;
+CREATE TRIGGER trg_reset_festival_geocoding
+  BEFORE UPDATE OF location, country ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION reset_festival_geocoding();
+
+-- Great-circle distance in kilometres; NULL when either point is missing
+CREATE OR REPLACE FUNCTION festival_distance_km(
+  p_lat1 DOUBLE PRECISION,
+  p_lng1 DOUBLE PRECISION,
+  p_lat2 DOUBLE PRECISION,
+  p_lng2 DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION AS $$
+  SELECT 2 * 6371 * asin(LEAST(1, sqrt(
+    power(sin(radians(p_lat2 - p_lat1) / 2), 2) +
+    cos(radians(p_lat1)) * cos(radians(p_lat2)) * power(sin(radians(p_lng2 - p_lng1) / 2), 2)
+  )))
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- As in 20261028_add_festival_search.sql, with the geocoded columns and distance_km
+-- (only with a near_lat/near_lng filter). mapped keeps festivals with or without
+-- coordinates; radius_km keeps festivals within that distance of the near point.
+CREATE OR REPLACE FUNCTION festival_query_sql(
+  p_filters JSONB,
+  p_user_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+  -- Where preferences come from: the user's preference row or the shared columns
+  v_pref TEXT := CASE WHEN p_user_id IS NULL THEN 'f' ELSE 'p' END;
+  v_term TEXT := festival_search_normalize(p_filters->>'search');
+  v_compact TEXT;
+  v_notes TEXT;
+  v_rank TEXT := '0::real';
+  v_match TEXT := '';
+  v_distance TEXT := 'NULL::double precision';
+  v_near_lat DOUBLE PRECISION := (p_filters->>'near_lat')::double precision;
+  v_near_lng DOUBLE PRECISION := (p_filters->>'near_lng')::double precision;
+  v_radius DOUBLE PRECISION := (p_filters->>'radius_km')::double precision;
+  v_sql TEXT;
+BEGIN
+  IF length(v_term) >= 2 THEN
+    v_compact := replace(v_term, ' ', '');
+    v_notes := format('festival_search_normalize(%s.notes)', v_pref);
+
+    -- The normalized term only contains letters, digits and spaces, so it is safe in LIKE patterns
+    v_match := format($match$
+      AND (
+        f.search_name LIKE %1$L
+        OR f.search_compact LIKE %2$L
+        OR f.search_document LIKE %1$L
+        OR %3$L <%% f.search_name
+        OR %4$L <%% f.search_compact
+        OR %3$L <%% f.search_document
+        OR %5$s LIKE %1$L
+        OR %3$L <%% %5$s
+      )
+    $match$, '%' || v_term || '%', '%' || v_compact || '%', v_term, v_compact, v_notes);
+
+    -- Name matches first: exact, then prefix, then anywhere, then look-alikes
+    v_rank := format($rank$
+      GREATEST(
+        CASE
+          WHEN f.search_name = %1$L THEN 1.0
+          WHEN f.search_name LIKE %2$L THEN 0.9
+          WHEN f.search_name LIKE %3$L OR f.search_compact LIKE %4$L THEN 0.8
+          ELSE 0
+        END,
+        word_similarity(%1$L, f.search_name) * 0.75,
+        word_similarity(%5$L, f.search_compact) * 0.7,
+        CASE WHEN f.search_document LIKE %3$L OR %6$s LIKE %3$L THEN 0.5 ELSE 0 END,
+        word_similarity(%1$L, f.search_document) * 0.45,
+        COALESCE(word_similarity(%1$L, %6$s), 0) * 0.45
+      )::real
+    $rank$, v_term, v_term || '%', '%' || v_term || '%', '%' || v_compact || '%', v_compact, v_notes);
+  END IF;
+
+  IF v_near_lat IS NOT NULL AND v_near_lng IS NOT NULL THEN
+    v_distance := format('festival_distance_km(f.latitude, f.longitude, %L::double precision, %L::double precision)',
+      v_near_lat, v_near_lng);
+  END IF;
+
+  v_sql := format($sql$
+    SELECT * FROM (
+      SELECT
+        f.id, f.name, f.start_date, f.end_date, f.location, f.country, f.url, f.source,
+        f.emails, f.created_at, f.updated_at, f.linkedin_url, f.research_data,
+        f.homepage_url, f.organizing_company, f.last_verified, f.verification_flags,
+        f.series_id, f.edition_year,
+        f.city, f.province, f.country_code, f.latitude, f.longitude,
+        COALESCE(f.rate_card_requested, FALSE) AS rate_card_requested,
+        COALESCE(f.rate_card_received, FALSE) AS rate_card_received,
+        f.rate_card_date, f.rate_card_notes,
+        COALESCE(%1$s.favorite, FALSE) AS favorite,
+        COALESCE(%1$s.archived, FALSE) AS archived,
+        %1$s.notes AS notes,
+        COALESCE(%1$s.sales_stage, 'favorited') AS sales_stage,
+        r.id AS research_id,
+        COALESCE(r.status, 'none') AS research_status,
+        %3$s AS search_rank,
+        %5$s AS distance_km
+      FROM public.festivals f
+      LEFT JOIN public.festival_user_preferences p
+        ON p.festival_id = f.id AND p.user_id = %2$L::uuid
+      LEFT JOIN LATERAL (
+        SELECT fr.id, fr.status
+        FROM public.festival_research fr
+        WHERE fr.festival_id = f.id
+        ORDER BY fr.updated_at DESC NULLS LAST
+        LIMIT 1
+      ) r ON TRUE
+      WHERE f.merged_into IS NULL
+      %4$s
+    ) q
+    WHERE TRUE
+  $sql$, v_pref, p_user_id, v_rank, v_match, v_distance);
+
+  IF jsonb_typeof(p_filters->'sources') = 'array' THEN
+    v_sql := v_sql || format(' AND q.source = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sources')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'countries') = 'array' THEN
+    v_sql := v_sql || format(' AND lower(q.country) = ANY(%L::text[])',
+      ARRAY(SELECT lower(value) FROM jsonb_array_elements_text(p_filters->'countries')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'sales_stages') = 'array' THEN
+    v_sql := v_sql || format(' AND q.sales_stage = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sales_stages')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'research_statuses') = 'array' THEN
+    v_sql := v_sql || format(' AND q.research_status = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'research_statuses')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'series_ids') = 'array' THEN
+    v_sql := v_sql || format(' AND q.series_id = ANY(%L::uuid[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'series_ids')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'favorite') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.favorite = %L::boolean', p_filters->>'favorite');
+  END IF;
+
+  IF jsonb_typeof(p_filters->'archived') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.archived = %L::boolean', p_filters->>'archived');
+  END IF;
+
+  IF (p_filters->>'dateless')::boolean IS TRUE THEN
+    v_sql := v_sql || ' AND q.start_date IS NULL AND q.end_date IS NULL';
+  END IF;
+
+  -- Overlap: the festival starts before the range ends and ends after it starts
+  IF p_filters->>'date_from' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND COALESCE(q.end_date, q.start_date) >= %L::date', p_filters->>'date_from');
+  END IF;
+
+  IF p_filters->>'date_to' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND q.start_date <= %L::date', p_filters->>'date_to');
+  END IF;
+
+  IF jsonb_typeof(p_filters->'mapped') = 'boolean' THEN
+    v_sql := v_sql || CASE WHEN (p_filters->>'mapped')::boolean
+      THEN ' AND q.latitude IS NOT NULL'
+      ELSE ' AND q.latitude IS NULL'
+    END;
+  END IF;
+
+  -- Within the radius; the bounding box around it lets the coordinates index narrow
+  -- things down before distances are computed
+  IF v_near_lat IS NOT NULL AND v_near_lng IS NOT NULL AND v_radius IS NOT NULL THEN
+    v_sql := v_sql || format(
+      ' AND q.latitude BETWEEN %1$L::double precision AND %2$L::double precision'
+      ' AND q.longitude BETWEEN %3$L::double precision AND %4$L::double precision'
+      ' AND q.distance_km <= %5$L::double precision',
+      v_near_lat - v_radius / 111.32,
+      v_near_lat + v_radius / 111.32,
+      v_near_lng - v_radius / (111.32 * cos(radians(v_near_lat))),
+      v_near_lng + v_radius / (111.32 * cos(radians(v_near_lat))),
+      v_radius
+    );
+  END IF;
+
+  v_sql := v_sql || CASE p_filters->>'rate_card'
+    WHEN 'requested' THEN ' AND q.rate_card_requested'
+    WHEN 'received' THEN ' AND q.rate_card_received'
+    WHEN 'pending' THEN ' AND q.rate_card_requested AND NOT q.rate_card_received'
+    ELSE ''
+  END;
+
+  RETURN v_sql;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- As in 20261028_add_festival_search.sql, with the 'distance' sort on distance_km
+CREATE OR REPLACE FUNCTION query_festivals(
+  p_filters JSONB DEFAULT '{}'::jsonb,
+  p_user_id UUID DEFAULT NULL,
+  p_sort TEXT DEFAULT 'start_date',
+  p_descending BOOLEAN DEFAULT FALSE,
+  p_after_value TEXT DEFAULT NULL,
+  p_after_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF JSONB AS $$
+DECLARE
+  v_sort_expr TEXT;
+  v_sort_type TEXT;
+  v_direction TEXT := CASE WHEN p_descending THEN 'DESC' ELSE 'ASC' END;
+  v_comparison TEXT := CASE WHEN p_descending THEN '<' ELSE '>' END;
+  v_after TEXT := '';
+BEGIN
+  -- Text sorts ignore case
+  CASE p_sort
+    WHEN 'start_date' THEN v_sort_expr := 'q.start_date'; v_sort_type := 'date';
+    WHEN 'end_date' THEN v_sort_expr := 'q.end_date'; v_sort_type := 'date';
+    WHEN 'created_at' THEN v_sort_expr := 'q.created_at'; v_sort_type := 'timestamptz';
+    WHEN 'name' THEN v_sort_expr := 'lower(q.name)'; v_sort_type := 'text';
+    WHEN 'location' THEN v_sort_expr := 'lower(q.location)'; v_sort_type := 'text';
+    WHEN 'country' THEN v_sort_expr := 'lower(q.country)'; v_sort_type := 'text';
+    WHEN 'source' THEN v_sort_expr := 'lower(q.source)'; v_sort_type := 'text';
+    WHEN 'relevance' THEN v_sort_expr := 'q.search_rank'; v_sort_type := 'real';
+    WHEN 'distance' THEN v_sort_expr := 'q.distance_km'; v_sort_type := 'double precision';
+    ELSE RAISE EXCEPTION 'Unsupported festival sort: %', p_sort;
+  END CASE;
+
+  IF p_after_id IS NOT NULL THEN
+    IF p_after_value IS NULL THEN
+      v_after := format(' AND %s IS NULL AND q.id > %L::uuid', v_sort_expr, p_after_id);
+    ELSE
+      v_after := format(
+        ' AND (%1$s %2$s %3$L::%4$s OR (%1$s = %3$L::%4$s AND q.id > %5$L::uuid) OR %1$s IS NULL)',
+        v_sort_expr, v_comparison, p_after_value, v_sort_type, p_after_id
+      );
+    END IF;
+  END IF;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT to_jsonb(q) || jsonb_build_object(''sort_key'', (%1$s)::text) FROM (%2$s%3$s) q ORDER BY %1$s %4$s NULLS LAST, q.id ASC LIMIT %5$s',
+    v_sort_expr, festival_query_sql(p_filters, p_user_id), v_after, v_direction, GREATEST(LEAST(p_limit, 1000), 1)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE
+SET search_path = public, extensions;
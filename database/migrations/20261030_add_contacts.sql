@@ -0,0 +1,278 @@
+-- Migration: Contacts
+-- Purpose: Contacts were scattered over festivals.emails, the LinkedIn people in
+-- research_data and the emails the Chrome extension sends along. People are now
+-- stored once in contacts and linked to every festival they organize, with the
+-- source that found each fact. festivals.emails is kept as a read-only summary of
+-- the linked contacts' email addresses for the festival list.
+
+CREATE TABLE IF NOT EXISTS public.contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NULL,
+  -- Job title as found, e.g. "Festival Director"
+  title TEXT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'unknown'
+    CHECK (role IN ('decision_maker', 'manager', 'team_member', 'unknown')),
+  -- Lowercased
+  email TEXT NULL,
+  phone TEXT NULL,
+  -- Normalized to https://www.linkedin.com/<path>
+  linkedin_url TEXT NULL,
+  organizing_company TEXT NULL,
+  verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+    CHECK (verification_status IN ('unverified', 'verified', 'bounced', 'invalid')),
+  last_contacted_at TIMESTAMPTZ NULL,
+  -- Per field: {"email": {"source": "manual", "found_at": "..."}}
+  sources JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (email IS NOT NULL OR linkedin_url IS NOT NULL OR name IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_email ON public.contacts (email) WHERE email IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_linkedin_url ON public.contacts (linkedin_url) WHERE linkedin_url IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_contacts_organizing_company ON public.contacts (lower(organizing_company));
+
+CREATE TABLE IF NOT EXISTS public.festival_contacts (
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES public.contacts(id) ON DELETE CASCADE,
+  -- What linked the contact to this festival
+  source TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (festival_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_festival_contacts_contact ON public.festival_contacts (contact_id);
+
+COMMENT ON TABLE public.contacts IS 'People at festival organizers, with the source of each fact';
+COMMENT ON COLUMN public.contacts.sources IS 'Provenance per field: source and time found';
+COMMENT ON TABLE public.festival_contacts IS 'Which contacts work on which festivals';
+COMMENT ON COLUMN public.festivals.emails IS 'Email addresses of the linked contacts, maintained by triggers on festival_contacts';
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON public.contacts;
+CREATE TRIGGER update_contacts_updated_at
+  BEFORE UPDATE ON public.contacts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Same normalization as normalizeLinkedInUrl in lib/festivals/contacts.ts
+CREATE OR REPLACE FUNCTION normalize_linkedin_url(p_url TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN p_url IS NULL OR lower(p_url) NOT LIKE '%linkedin.com/%' THEN NULL
+    ELSE 'https://www.linkedin.com/' || regexp_replace(
+      lower(split_part(split_part(btrim(p_url), '?', 1), '#', 1)),
+      '^(https?://)?([a-z0-9-]+\.)?linkedin\.com/|/+$',
+      '',
+      'g'
+    )
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Rebuild festivals.emails from the festival's contacts
+CREATE OR REPLACE FUNCTION refresh_festival_emails(p_festival_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_emails TEXT[];
+BEGIN
+  SELECT COALESCE(array_agg(c.email ORDER BY fc.created_at, c.email), '{}')
+  INTO v_emails
+  FROM public.festival_contacts fc
+  JOIN public.contacts c ON c.id = fc.contact_id
+  WHERE fc.festival_id = p_festival_id
+    AND c.email IS NOT NULL;
+
+  -- Compared as sets so the festivals trigger below doesn't bounce back and forth
+  UPDATE public.festivals
+  SET emails = v_emails
+  WHERE id = p_festival_id
+    AND NOT (COALESCE(emails, '{}') @> v_emails AND v_emails @> COALESCE(emails, '{}'));
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_festival_contact_emails()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM refresh_festival_emails(OLD.festival_id);
+    RETURN OLD;
+  END IF;
+  PERFORM refresh_festival_emails(NEW.festival_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_sync_festival_contact_emails ON public.festival_contacts;
+CREATE TRIGGER trg_sync_festival_contact_emails
+  AFTER INSERT OR DELETE ON public.festival_contacts
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_festival_contact_emails();
+
+CREATE OR REPLACE FUNCTION sync_contact_emails()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_festival_id UUID;
+BEGIN
+  FOR v_festival_id IN
+    SELECT festival_id FROM public.festival_contacts WHERE contact_id = NEW.id
+  LOOP
+    PERFORM refresh_festival_emails(v_festival_id);
+  END LOOP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_sync_contact_emails ON public.contacts;
+CREATE TRIGGER trg_sync_contact_emails
+  AFTER UPDATE OF email ON public.contacts
+  FOR EACH ROW
+  WHEN (OLD.email IS DISTINCT FROM NEW.email)
+  EXECUTE FUNCTION sync_contact_emails();
+
+-- Emails written straight to festivals.emails (imports, older clients) become contacts,
+-- with the festival's source as their provenance
+CREATE OR REPLACE FUNCTION import_festival_emails()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_email TEXT;
+  v_source TEXT := COALESCE(NULLIF(NEW.source, ''), 'import');
+  v_contact_id UUID;
+BEGIN
+  FOR v_email IN
+    SELECT DISTINCT lower(btrim(e))
+    FROM unnest(COALESCE(NEW.emails, '{}')) AS e
+    WHERE btrim(e) <> ''
+  LOOP
+    INSERT INTO public.contacts (email, organizing_company, sources)
+    VALUES (
+      v_email,
+      NEW.organizing_company,
+      jsonb_build_object('email', jsonb_build_object('source', v_source, 'found_at', NOW()))
+    )
+    ON CONFLICT (email) WHERE email IS NOT NULL DO NOTHING;
+
+    SELECT id INTO v_contact_id FROM public.contacts WHERE email = v_email;
+
+    INSERT INTO public.festival_contacts (festival_id, contact_id, source)
+    VALUES (NEW.id, v_contact_id, v_source)
+    ON CONFLICT (festival_id, contact_id) DO NOTHING;
+  END LOOP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_import_festival_emails ON public.festivals;
+CREATE TRIGGER trg_import_festival_emails
+  AFTER INSERT OR UPDATE OF emails ON public.festivals
+  FOR EACH ROW
+  WHEN (COALESCE(cardinality(NEW.emails), 0) > 0)
+  EXECUTE FUNCTION import_festival_emails();
+
+-- Contacts of a merged duplicate move to the canonical festival
+CREATE OR REPLACE FUNCTION merge_festival_contacts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    INSERT INTO public.festival_contacts (festival_id, contact_id, source, created_at)
+    SELECT NEW.merged_into, fc.contact_id, fc.source, fc.created_at
+    FROM public.festival_contacts fc
+    WHERE fc.festival_id = NEW.id
+    ON CONFLICT (festival_id, contact_id) DO NOTHING;
+
+    DELETE FROM public.festival_contacts WHERE festival_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_contacts ON public.festivals;
+CREATE TRIGGER trg_merge_festival_contacts
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_contacts();
+
+-- Backfill: festival emails
+INSERT INTO public.contacts (email, organizing_company, sources)
+SELECT DISTINCT ON (lower(btrim(e)))
+  lower(btrim(e)),
+  f.organizing_company,
+  jsonb_build_object('email', jsonb_build_object(
+    'source', COALESCE(NULLIF(f.source, ''), 'import'),
+    'found_at', COALESCE(f.created_at, NOW())
+  ))
+FROM public.festivals f
+CROSS JOIN LATERAL unnest(COALESCE(f.emails, '{}')) AS e
+WHERE btrim(e) <> ''
+ORDER BY lower(btrim(e)), f.created_at
+ON CONFLICT (email) WHERE email IS NOT NULL DO NOTHING;
+
+INSERT INTO public.festival_contacts (festival_id, contact_id, source, created_at)
+SELECT DISTINCT ON (f.id, c.id) f.id, c.id, COALESCE(NULLIF(f.source, ''), 'import'), COALESCE(f.created_at, NOW())
+FROM public.festivals f
+CROSS JOIN LATERAL unnest(COALESCE(f.emails, '{}')) AS e
+JOIN public.contacts c ON c.email = lower(btrim(e))
+ON CONFLICT (festival_id, contact_id) DO NOTHING;
+
+-- Backfill: LinkedIn people found by research, both the verified connections and the
+-- older plain search results
+WITH people AS (
+  SELECT
+    f.id AS festival_id,
+    f.last_verified,
+    f.organizing_company,
+    person,
+    normalize_linkedin_url(person->>'url') AS linkedin_url,
+    'linkedin_research' AS source
+  FROM public.festivals f
+  CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(f.research_data->'linkedInConnections') = 'array'
+      THEN f.research_data->'linkedInConnections' ELSE '[]'::jsonb END
+    || CASE WHEN jsonb_typeof(f.research_data->'linkedin'->'people') = 'array'
+      THEN f.research_data->'linkedin'->'people' ELSE '[]'::jsonb END
+  ) AS person
+  WHERE f.research_data IS NOT NULL
+)
+INSERT INTO public.contacts (name, title, role, linkedin_url, organizing_company, verification_status, sources)
+SELECT DISTINCT ON (p.linkedin_url)
+  NULLIF(btrim(p.person->>'name'), ''),
+  NULLIF(btrim(p.person->>'title'), ''),
+  CASE WHEN p.person->>'role' IN ('decision_maker', 'manager', 'team_member') THEN p.person->>'role' ELSE 'unknown' END,
+  p.linkedin_url,
+  COALESCE(NULLIF(btrim(p.person->>'company'), ''), p.organizing_company),
+  CASE WHEN (p.person->>'employmentVerified')::boolean IS TRUE THEN 'verified' ELSE 'unverified' END,
+  (
+    SELECT jsonb_object_agg(field, jsonb_build_object('source', p.source, 'found_at', COALESCE(p.last_verified, NOW())))
+    FROM unnest(ARRAY['name', 'title', 'linkedin_url', 'organizing_company']) AS field
+  )
+FROM people p
+WHERE p.linkedin_url IS NOT NULL
+-- Verified connections win over plain search results for the same person
+ORDER BY p.linkedin_url, (p.person->>'employmentVerified')::boolean IS TRUE DESC
+ON CONFLICT (linkedin_url) WHERE linkedin_url IS NOT NULL DO NOTHING;
+
+INSERT INTO public.festival_contacts (festival_id, contact_id, source, created_at)
+SELECT DISTINCT ON (f.id, c.id) f.id, c.id, 'linkedin_research', COALESCE(f.last_verified, NOW())
+FROM public.festivals f
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(f.research_data->'linkedInConnections') = 'array'
+    THEN f.research_data->'linkedInConnections' ELSE '[]'::jsonb END
+  || CASE WHEN jsonb_typeof(f.research_data->'linkedin'->'people') = 'array'
+    THEN f.research_data->'linkedin'->'people' ELSE '[]'::jsonb END
+) AS person
+JOIN public.contacts c ON c.linkedin_url = normalize_linkedin_url(person->>'url')
+WHERE f.research_data IS NOT NULL
+ON CONFLICT (festival_id, contact_id) DO NOTHING;
+
+-- The API decides who may change contacts
+ALTER TABLE public.contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.festival_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow contact access"
+  ON public.contacts
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow festival contact access"
+  ON public.festival_contacts
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,182 @@
+-- Migration: Organizing companies
+-- Purpose: company discovery and research find the organizer's name and KvK number, but
+-- they were only kept as the organizing_company text on each festival or inside
+-- research_data, so an organizer running five festivals was five unrelated leads.
+-- Companies are now stored once, keyed by KvK number or else by normalized name, and
+-- every festival links to its organizer through festivals.company_id, kept up to date
+-- by a trigger whenever the organizer name or KvK number changes.
+
+CREATE TABLE IF NOT EXISTS public.companies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  -- Lowercase, unaccented, without legal form ("Mojo Concerts B.V." -> "mojo concerts")
+  normalized_name TEXT NOT NULL,
+  -- Dutch Chamber of Commerce number, 8 digits
+  kvk_number VARCHAR(8) NULL CHECK (kvk_number ~ '^[0-9]{8}$'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_kvk_number ON public.companies (kvk_number) WHERE kvk_number IS NOT NULL;
+-- Without a KvK number the normalized name is the key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_normalized_name ON public.companies (normalized_name) WHERE kvk_number IS NULL;
+CREATE INDEX IF NOT EXISTS idx_companies_normalized_name_trgm ON public.companies USING gin (normalized_name extensions.gin_trgm_ops);
+
+ALTER TABLE public.festivals
+ADD COLUMN IF NOT EXISTS company_id UUID NULL REFERENCES public.companies(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_festivals_company ON public.festivals (company_id) WHERE company_id IS NOT NULL;
+
+COMMENT ON TABLE public.companies IS 'Festival organizers, keyed by KvK number or normalized name';
+COMMENT ON COLUMN public.festivals.company_id IS 'Organizer, resolved from organizing_company and the KvK number in research_data';
+
+DROP TRIGGER IF EXISTS update_companies_updated_at ON public.companies;
+CREATE TRIGGER update_companies_updated_at
+  BEFORE UPDATE ON public.companies
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Same as normalizeCompanyName in lib/festivals/companies.ts
+CREATE OR REPLACE FUNCTION normalize_company_name(p_name TEXT)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    NULLIF(btrim(regexp_replace(
+      regexp_replace(
+        ' ' || festival_search_normalize(p_name) || ' ',
+        ' (b v|bv|n v|nv|v o f|vof|bvba|vzw|stichting|gmbh|ltd|inc|llc)(?= )', '', 'g'
+      ),
+      ' +', ' ', 'g'
+    )), ''),
+    festival_search_normalize(p_name)
+  )
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- The KvK number research found for a festival: the company discovery panel stores it
+-- under companyDiscovery, orchestrated research under company
+CREATE OR REPLACE FUNCTION festival_kvk_number(p_research_data JSONB)
+RETURNS TEXT AS $$
+  SELECT substring(
+    regexp_replace(
+      COALESCE(p_research_data->'companyDiscovery'->>'kvkNumber', p_research_data->'company'->>'kvkNumber', ''),
+      '[^0-9]', '', 'g'
+    )
+    FROM '^[0-9]{8}$'
+  )
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Find or create the company for an organizer name and/or KvK number
+CREATE OR REPLACE FUNCTION resolve_company(p_name TEXT, p_kvk_number TEXT)
+RETURNS UUID AS $$
+DECLARE
+  v_name TEXT := NULLIF(btrim(p_name), '');
+  v_kvk TEXT := substring(regexp_replace(COALESCE(p_kvk_number, ''), '[^0-9]', '', 'g') FROM '^[0-9]{8}$');
+  v_normalized TEXT;
+  v_company_id UUID;
+BEGIN
+  IF v_name IS NULL AND v_kvk IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_name := COALESCE(v_name, 'KvK ' || v_kvk);
+  v_normalized := normalize_company_name(v_name);
+  IF v_normalized = '' THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_kvk IS NOT NULL THEN
+    SELECT id INTO v_company_id FROM public.companies WHERE kvk_number = v_kvk;
+    IF v_company_id IS NOT NULL THEN
+      RETURN v_company_id;
+    END IF;
+
+    -- A company known by name only gets the KvK number
+    UPDATE public.companies
+    SET kvk_number = v_kvk
+    WHERE normalized_name = v_normalized AND kvk_number IS NULL
+    RETURNING id INTO v_company_id;
+    IF v_company_id IS NOT NULL THEN
+      RETURN v_company_id;
+    END IF;
+
+    INSERT INTO public.companies (name, normalized_name, kvk_number)
+    VALUES (v_name, v_normalized, v_kvk)
+    ON CONFLICT (kvk_number) WHERE kvk_number IS NOT NULL DO NOTHING
+    RETURNING id INTO v_company_id;
+    IF v_company_id IS NULL THEN
+      SELECT id INTO v_company_id FROM public.companies WHERE kvk_number = v_kvk;
+    END IF;
+    RETURN v_company_id;
+  END IF;
+
+  -- By name: the company with that name, the oldest if several have their own KvK number
+  SELECT id INTO v_company_id
+  FROM public.companies
+  WHERE normalized_name = v_normalized
+  ORDER BY kvk_number IS NULL DESC, created_at
+  LIMIT 1;
+  IF v_company_id IS NOT NULL THEN
+    RETURN v_company_id;
+  END IF;
+
+  INSERT INTO public.companies (name, normalized_name)
+  VALUES (v_name, v_normalized)
+  ON CONFLICT (normalized_name) WHERE kvk_number IS NULL DO NOTHING
+  RETURNING id INTO v_company_id;
+  IF v_company_id IS NULL THEN
+    SELECT id INTO v_company_id FROM public.companies WHERE normalized_name = v_normalized AND kvk_number IS NULL;
+  END IF;
+  RETURN v_company_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Relink a festival when its organizer name or KvK number changes
+CREATE OR REPLACE FUNCTION link_festival_company()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.organizing_company IS NOT DISTINCT FROM OLD.organizing_company
+    AND festival_kvk_number(NEW.research_data) IS NOT DISTINCT FROM festival_kvk_number(OLD.research_data) THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.company_id := resolve_company(NEW.organizing_company, festival_kvk_number(NEW.research_data));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_link_festival_company ON public.festivals;
+CREATE TRIGGER trg_link_festival_company
+  BEFORE INSERT OR UPDATE OF organizing_company, research_data ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION link_festival_company();
+
+-- Organizers with their festival count, for the companies list
+CREATE OR REPLACE VIEW public.company_summaries AS
+SELECT
+  c.id,
+  c.name,
+  c.normalized_name,
+  c.kvk_number,
+  c.created_at,
+  c.updated_at,
+  COUNT(f.id) AS festival_count,
+  MIN(f.start_date) FILTER (WHERE f.start_date >= CURRENT_DATE) AS next_start_date
+FROM public.companies c
+LEFT JOIN public.festivals f ON f.company_id = c.id AND f.merged_into IS NULL
+GROUP BY c.id;
+
+COMMENT ON VIEW public.company_summaries IS 'Companies with their number of festivals and next festival date';
+
+-- Backfill
+UPDATE public.festivals
+SET company_id = resolve_company(organizing_company, festival_kvk_number(research_data))
+WHERE company_id IS NULL
+  AND (NULLIF(btrim(organizing_company), '') IS NOT NULL OR festival_kvk_number(research_data) IS NOT NULL);
+
+-- The API decides who may change companies
+ALTER TABLE public.companies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow company access"
+  ON public.companies
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,237 @@
+-- Migration: Festival activity log
+-- Purpose: moving a festival between sales stages only overwrote sales_stage, so nobody
+-- could tell when it moved, who moved it or what happened in between. Stage changes,
+-- notes edits, contacts added, research runs and rate card changes are now appended to
+-- festival_activity with their actor and time, by triggers on the tables they change, so
+-- every write path is logged. The stage changes give the time a festival spent per stage.
+
+CREATE TABLE IF NOT EXISTS public.festival_activity (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  -- auth.users id of whoever did it; NULL for the system and for requests without a user
+  actor_id UUID NULL,
+  activity_type VARCHAR(20) NOT NULL
+    CHECK (activity_type IN ('stage_change', 'notes_edit', 'contact_added', 'research_run', 'rate_card')),
+  from_value TEXT NULL,
+  to_value TEXT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for the per-festival timeline, newest first
+CREATE INDEX IF NOT EXISTS idx_festival_activity_festival ON public.festival_activity (festival_id, created_at DESC);
+-- Index for the time-in-stage metrics of one user
+CREATE INDEX IF NOT EXISTS idx_festival_activity_stage_changes ON public.festival_activity (actor_id, created_at)
+  WHERE activity_type = 'stage_change';
+
+COMMENT ON TABLE public.festival_activity IS 'Append-only log of what happened to a festival, by whom and when';
+COMMENT ON COLUMN public.festival_activity.actor_id IS 'auth.users id; NULL for the system and for requests without a user';
+COMMENT ON COLUMN public.festival_activity.from_value IS 'Value before the change: stage, notes or rate card status';
+COMMENT ON COLUMN public.festival_activity.to_value IS 'Value after the change: stage, notes, contact email or name, research provider or rate card status';
+
+-- Who changed the rate card and who linked a contact, for the log
+ALTER TABLE public.festivals ADD COLUMN IF NOT EXISTS rate_card_updated_by UUID NULL;
+ALTER TABLE public.festival_contacts ADD COLUMN IF NOT EXISTS linked_by UUID NULL;
+
+COMMENT ON COLUMN public.festivals.rate_card_updated_by IS 'auth.users id of whoever last changed the rate card';
+COMMENT ON COLUMN public.festival_contacts.linked_by IS 'auth.users id of whoever linked the contact; NULL for imports and research';
+
+-- Activity is never rewritten; it only moves from a merged duplicate to its canonical festival
+CREATE OR REPLACE FUNCTION prevent_festival_activity_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.festival_id IS DISTINCT FROM OLD.festival_id
+    AND to_jsonb(NEW) - 'festival_id' = to_jsonb(OLD) - 'festival_id'
+    AND EXISTS (SELECT 1 FROM public.festivals f WHERE f.id = OLD.festival_id AND f.merged_into = NEW.festival_id) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'festival_activity rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_festival_activity_immutable ON public.festival_activity;
+CREATE TRIGGER trg_festival_activity_immutable
+  BEFORE UPDATE ON public.festival_activity
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_festival_activity_update();
+
+-- Rate card status as one value: received, requested or none
+CREATE OR REPLACE FUNCTION festival_rate_card_status(p_requested BOOLEAN, p_received BOOLEAN)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN COALESCE(p_received, FALSE) THEN 'received'
+    WHEN COALESCE(p_requested, FALSE) THEN 'requested'
+    ELSE 'none'
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Stage and notes changes of one user
+CREATE OR REPLACE FUNCTION log_preference_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_stage TEXT := CASE WHEN TG_OP = 'UPDATE' THEN OLD.sales_stage END;
+  v_old_notes TEXT := CASE WHEN TG_OP = 'UPDATE' THEN NULLIF(OLD.notes, '') END;
+BEGIN
+  -- A first preference starts in favorited; only moving it is a stage change
+  IF NEW.sales_stage IS DISTINCT FROM COALESCE(v_old_stage, 'favorited') THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value)
+    VALUES (NEW.festival_id, NEW.user_id, 'stage_change', COALESCE(v_old_stage, 'favorited'), NEW.sales_stage);
+  END IF;
+
+  IF NULLIF(NEW.notes, '') IS DISTINCT FROM v_old_notes THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value)
+    VALUES (NEW.festival_id, NEW.user_id, 'notes_edit', v_old_notes, NULLIF(NEW.notes, ''));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_log_preference_activity ON public.festival_user_preferences;
+CREATE TRIGGER trg_log_preference_activity
+  AFTER INSERT OR UPDATE OF sales_stage, notes ON public.festival_user_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION log_preference_activity();
+
+-- Changes to the shared stage and notes (requests without a user) and to the rate card
+CREATE OR REPLACE FUNCTION log_festival_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_status TEXT := festival_rate_card_status(OLD.rate_card_requested, OLD.rate_card_received);
+  v_new_status TEXT := festival_rate_card_status(NEW.rate_card_requested, NEW.rate_card_received);
+BEGIN
+  IF COALESCE(NEW.sales_stage, 'favorited') IS DISTINCT FROM COALESCE(OLD.sales_stage, 'favorited') THEN
+    INSERT INTO public.festival_activity (festival_id, activity_type, from_value, to_value)
+    VALUES (NEW.id, 'stage_change', COALESCE(OLD.sales_stage, 'favorited'), COALESCE(NEW.sales_stage, 'favorited'));
+  END IF;
+
+  IF NULLIF(NEW.notes, '') IS DISTINCT FROM NULLIF(OLD.notes, '') THEN
+    INSERT INTO public.festival_activity (festival_id, activity_type, from_value, to_value)
+    VALUES (NEW.id, 'notes_edit', NULLIF(OLD.notes, ''), NULLIF(NEW.notes, ''));
+  END IF;
+
+  IF v_new_status IS DISTINCT FROM v_old_status
+    OR NEW.rate_card_date IS DISTINCT FROM OLD.rate_card_date
+    OR NULLIF(NEW.rate_card_notes, '') IS DISTINCT FROM NULLIF(OLD.rate_card_notes, '') THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value, details)
+    VALUES (
+      NEW.id,
+      NEW.rate_card_updated_by,
+      'rate_card',
+      v_old_status,
+      v_new_status,
+      jsonb_strip_nulls(jsonb_build_object('date', NEW.rate_card_date, 'notes', NULLIF(NEW.rate_card_notes, '')))
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_log_festival_activity ON public.festivals;
+CREATE TRIGGER trg_log_festival_activity
+  AFTER UPDATE OF sales_stage, notes, rate_card_requested, rate_card_received, rate_card_date, rate_card_notes
+  ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION log_festival_activity();
+
+-- Contacts linked to a festival. Links moved by a festival merge keep their original time.
+CREATE OR REPLACE FUNCTION log_contact_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, to_value, details, created_at)
+  SELECT
+    NEW.festival_id,
+    NEW.linked_by,
+    'contact_added',
+    COALESCE(c.name, c.email, c.linkedin_url),
+    jsonb_build_object('contact_id', NEW.contact_id, 'source', NEW.source),
+    NEW.created_at
+  FROM public.contacts c
+  WHERE c.id = NEW.contact_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_log_contact_activity ON public.festival_contacts;
+CREATE TRIGGER trg_log_contact_activity
+  AFTER INSERT ON public.festival_contacts
+  FOR EACH ROW
+  EXECUTE FUNCTION log_contact_activity();
+
+-- Completed research runs
+CREATE OR REPLACE FUNCTION log_research_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.festival_activity (festival_id, activity_type, to_value, details, created_at)
+  VALUES (
+    NEW.festival_id,
+    'research_run',
+    NEW.provider,
+    jsonb_strip_nulls(jsonb_build_object('version_id', NEW.id, 'quality_score', NEW.quality_score)),
+    NEW.created_at
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_log_research_activity ON public.research_versions;
+CREATE TRIGGER trg_log_research_activity
+  AFTER INSERT ON public.research_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION log_research_activity();
+
+-- The history of a merged duplicate moves to the canonical festival. Contact links are
+-- logged again when merge_festival_contacts moves them, or were logged on the canonical
+-- already, so those rows stay with the duplicate.
+CREATE OR REPLACE FUNCTION merge_festival_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    UPDATE public.festival_activity
+    SET festival_id = NEW.merged_into
+    WHERE festival_id = NEW.id AND activity_type <> 'contact_added';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_activity ON public.festivals;
+CREATE TRIGGER trg_merge_festival_activity
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_activity();
+
+-- Backfill: the stage each festival is in now, from when it was last changed, and the
+-- research and contact history that was already recorded
+INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value, details, created_at)
+SELECT p.festival_id, p.user_id, 'stage_change', 'favorited', p.sales_stage, '{"backfilled": true}'::jsonb, p.updated_at
+FROM public.festival_user_preferences p
+WHERE p.sales_stage <> 'favorited';
+
+INSERT INTO public.festival_activity (festival_id, activity_type, from_value, to_value, details, created_at)
+SELECT f.id, 'stage_change', 'favorited', f.sales_stage, '{"backfilled": true}'::jsonb, COALESCE(f.updated_at, f.created_at, NOW())
+FROM public.festivals f
+WHERE COALESCE(f.sales_stage, 'favorited') <> 'favorited'
+  AND f.merged_into IS NULL;
+
+INSERT INTO public.festival_activity (festival_id, activity_type, to_value, details, created_at)
+SELECT rv.festival_id, 'research_run', rv.provider, jsonb_build_object('version_id', rv.id, 'backfilled', true), rv.created_at
+FROM public.research_versions rv;
+
+INSERT INTO public.festival_activity (festival_id, activity_type, to_value, details, created_at)
+SELECT fc.festival_id, 'contact_added', COALESCE(c.name, c.email, c.linkedin_url),
+  jsonb_build_object('contact_id', fc.contact_id, 'source', fc.source, 'backfilled', true), fc.created_at
+FROM public.festival_contacts fc
+JOIN public.contacts c ON c.id = fc.contact_id;
+
+-- Allow the API (anon key) to read and append activity; no update or delete policy
+ALTER TABLE public.festival_activity ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow festival activity reads"
+  ON public.festival_activity
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow festival activity inserts"
+  ON public.festival_activity
+  FOR INSERT
+  WITH CHECK (true);
@@ -0,0 +1,561 @@
+-- Migration: Configurable sales pipelines
+-- Purpose: the sales stages favorited, outreach, talking, offer and deal were hard-coded
+-- in the sales monitor, the API, the SalesStage type and the chk_valid_sales_stage
+-- constraint, and a lead could not be lost. Pipelines are now stored here: ordered stages
+-- with a color and an outcome (open, won or lost), and more than one pipeline, e.g. for
+-- new and returning clients. Each festival preference is in one pipeline; its stage must
+-- belong to that pipeline, and a lost stage records why the lead was lost.
+--
+-- Every pipeline starts with the "favorited" stage, so new preferences (which default
+-- to favorited) are valid in any pipeline and "past favorited" still means in the pipeline.
+
+CREATE TABLE IF NOT EXISTS public.sales_pipelines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  description TEXT NULL,
+  -- The pipeline festivals start in
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_pipelines_default ON public.sales_pipelines (is_default) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS public.sales_pipeline_stages (
+  pipeline_id UUID NOT NULL REFERENCES public.sales_pipelines(id) ON DELETE CASCADE,
+  -- Stored as sales_stage; the same key in two pipelines is the same kind of stage
+  key VARCHAR(20) NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+  label TEXT NOT NULL,
+  color VARCHAR(7) NOT NULL DEFAULT '#6b7280' CHECK (color ~ '^#[0-9a-f]{6}$'),
+  position INTEGER NOT NULL,
+  outcome VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (outcome IN ('open', 'won', 'lost')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (pipeline_id, key),
+  -- Stages are renumbered in one statement when they are reordered
+  UNIQUE (pipeline_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
+COMMENT ON TABLE public.sales_pipelines IS 'Sales pipelines festivals move through';
+COMMENT ON TABLE public.sales_pipeline_stages IS 'Ordered stages of a sales pipeline, with their color and outcome';
+COMMENT ON COLUMN public.sales_pipeline_stages.outcome IS 'open while the lead is being worked on; won and lost end it';
+
+DROP TRIGGER IF EXISTS update_sales_pipelines_updated_at ON public.sales_pipelines;
+CREATE TRIGGER update_sales_pipelines_updated_at
+  BEFORE UPDATE ON public.sales_pipelines
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The stages that were hard-coded, now with a lost outcome, and a pipeline for
+-- festivals that were clients before
+INSERT INTO public.sales_pipelines (name, description, is_default, position)
+VALUES
+  ('New clients', 'Festivals we have not worked with yet', TRUE, 0),
+  ('Returning clients', 'Festivals we worked with in an earlier edition', FALSE, 1)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO public.sales_pipeline_stages (pipeline_id, key, label, color, position, outcome)
+SELECT p.id, s.key, s.label, s.color, s.position, s.outcome
+FROM public.sales_pipelines p
+CROSS JOIN (VALUES
+  ('favorited', 'Favorited', '#6b7280', 0, 'open'),
+  ('outreach', 'Outreach', '#ef4444', 1, 'open'),
+  ('talking', 'Talking', '#f97316', 2, 'open'),
+  ('offer', 'Offer', '#eab308', 3, 'open'),
+  ('deal', 'Deal', '#22c55e', 4, 'won'),
+  ('lost', 'Lost', '#475569', 5, 'lost')
+) AS s (key, label, color, position, outcome)
+WHERE p.name = 'New clients'
+ON CONFLICT (pipeline_id, key) DO NOTHING;
+
+INSERT INTO public.sales_pipeline_stages (pipeline_id, key, label, color, position, outcome)
+SELECT p.id, s.key, s.label, s.color, s.position, s.outcome
+FROM public.sales_pipelines p
+CROSS JOIN (VALUES
+  ('favorited', 'Favorited', '#6b7280', 0, 'open'),
+  ('check_in', 'Check-in', '#3b82f6', 1, 'open'),
+  ('offer', 'Offer', '#eab308', 2, 'open'),
+  ('deal', 'Rebooked', '#22c55e', 3, 'won'),
+  ('lost', 'Not returning', '#475569', 4, 'lost')
+) AS s (key, label, color, position, outcome)
+WHERE p.name = 'Returning clients'
+ON CONFLICT (pipeline_id, key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION default_sales_pipeline_id()
+RETURNS UUID AS $$
+  SELECT id FROM public.sales_pipelines ORDER BY is_default DESC, position, created_at LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+-- How far along a stage is: its position, with lost below everything and unknown
+-- stages at the start
+CREATE OR REPLACE FUNCTION sales_stage_rank(p_pipeline_id UUID, p_stage TEXT)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(
+    (SELECT CASE WHEN s.outcome = 'lost' THEN -1 ELSE s.position END
+     FROM public.sales_pipeline_stages s
+     WHERE s.pipeline_id = p_pipeline_id AND s.key = p_stage),
+    0
+  )
+$$ LANGUAGE sql STABLE;
+
+-- Preferences and the shared festivals columns are in a pipeline, with a loss reason
+ALTER TABLE public.festival_user_preferences
+  ADD COLUMN IF NOT EXISTS pipeline_id UUID NULL,
+  ADD COLUMN IF NOT EXISTS lost_reason TEXT NULL;
+
+ALTER TABLE public.festivals
+  ADD COLUMN IF NOT EXISTS pipeline_id UUID NULL,
+  ADD COLUMN IF NOT EXISTS lost_reason TEXT NULL;
+
+COMMENT ON COLUMN public.festival_user_preferences.pipeline_id IS 'Sales pipeline the festival is in for this user';
+COMMENT ON COLUMN public.festival_user_preferences.lost_reason IS 'Why the lead was lost, while it is in a lost stage';
+COMMENT ON COLUMN public.festivals.pipeline_id IS 'Sales pipeline, fallback for requests without a user';
+COMMENT ON COLUMN public.festivals.lost_reason IS 'Why the lead was lost, fallback for requests without a user';
+
+-- Stages are checked against the pipeline definitions instead of a fixed list
+ALTER TABLE public.festivals DROP CONSTRAINT IF EXISTS chk_valid_sales_stage;
+ALTER TABLE public.festival_user_preferences DROP CONSTRAINT IF EXISTS festival_user_preferences_sales_stage_check;
+
+UPDATE public.festival_user_preferences SET pipeline_id = default_sales_pipeline_id() WHERE pipeline_id IS NULL;
+UPDATE public.festivals SET pipeline_id = default_sales_pipeline_id() WHERE pipeline_id IS NULL;
+
+ALTER TABLE public.festival_user_preferences ALTER COLUMN pipeline_id SET NOT NULL;
+ALTER TABLE public.festivals ALTER COLUMN pipeline_id SET NOT NULL;
+
+ALTER TABLE public.festival_user_preferences DROP CONSTRAINT IF EXISTS fk_festival_user_preferences_stage;
+ALTER TABLE public.festival_user_preferences ADD CONSTRAINT fk_festival_user_preferences_stage
+  FOREIGN KEY (pipeline_id, sales_stage) REFERENCES public.sales_pipeline_stages (pipeline_id, key) ON UPDATE CASCADE;
+
+ALTER TABLE public.festivals DROP CONSTRAINT IF EXISTS fk_festivals_sales_stage;
+ALTER TABLE public.festivals ADD CONSTRAINT fk_festivals_sales_stage
+  FOREIGN KEY (pipeline_id, sales_stage) REFERENCES public.sales_pipeline_stages (pipeline_id, key) ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_festival_user_preferences_pipeline ON public.festival_user_preferences (pipeline_id);
+
+-- New rows start in the default pipeline; leaving a lost stage forgets the loss reason
+CREATE OR REPLACE FUNCTION set_sales_pipeline()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.pipeline_id := COALESCE(NEW.pipeline_id, default_sales_pipeline_id());
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.sales_pipeline_stages s
+    WHERE s.pipeline_id = NEW.pipeline_id AND s.key = NEW.sales_stage AND s.outcome = 'lost'
+  ) THEN
+    NEW.lost_reason := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_set_preference_pipeline ON public.festival_user_preferences;
+CREATE TRIGGER trg_set_preference_pipeline
+  BEFORE INSERT OR UPDATE OF pipeline_id, sales_stage, lost_reason ON public.festival_user_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION set_sales_pipeline();
+
+DROP TRIGGER IF EXISTS trg_set_festival_pipeline ON public.festivals;
+CREATE TRIGGER trg_set_festival_pipeline
+  BEFORE INSERT OR UPDATE OF pipeline_id, sales_stage, lost_reason ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION set_sales_pipeline();
+
+-- As in 20261025_add_festival_user_preferences.sql, keeping the pipeline and loss reason
+CREATE OR REPLACE FUNCTION merge_festival_preferences()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    INSERT INTO public.festival_user_preferences (festival_id, user_id, favorite, archived, notes, sales_stage, pipeline_id, lost_reason)
+    SELECT NEW.merged_into, p.user_id, p.favorite, p.archived, p.notes, p.sales_stage, p.pipeline_id, p.lost_reason
+    FROM public.festival_user_preferences p
+    WHERE p.festival_id = NEW.id
+    ON CONFLICT (festival_id, user_id) DO NOTHING;
+
+    DELETE FROM public.festival_user_preferences WHERE festival_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- As in 20261023_add_festival_merges.sql, comparing stages by their pipeline position
+CREATE OR REPLACE FUNCTION merge_festivals(p_canonical UUID, p_duplicate UUID)
+RETURNS SETOF public.festivals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  canonical public.festivals%ROWTYPE;
+  duplicate public.festivals%ROWTYPE;
+  v_duplicate_stage BOOLEAN;
+  canonical_research public.festival_research%ROWTYPE;
+  duplicate_research public.festival_research%ROWTYPE;
+BEGIN
+  IF p_canonical = p_duplicate THEN
+    RAISE EXCEPTION 'Cannot merge a festival into itself';
+  END IF;
+
+  SELECT * INTO canonical FROM public.festivals WHERE id = p_canonical FOR UPDATE;
+  SELECT * INTO duplicate FROM public.festivals WHERE id = p_duplicate FOR UPDATE;
+
+  IF canonical.id IS NULL OR duplicate.id IS NULL THEN
+    RAISE EXCEPTION 'Festival not found';
+  END IF;
+  IF canonical.merged_into IS NOT NULL OR duplicate.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Festival has already been merged';
+  END IF;
+
+  -- The stage furthest along wins, with the pipeline it belongs to
+  v_duplicate_stage := sales_stage_rank(duplicate.pipeline_id, duplicate.sales_stage)
+    > sales_stage_rank(canonical.pipeline_id, canonical.sales_stage);
+
+  UPDATE public.festivals f SET
+    emails = (
+      SELECT ARRAY(SELECT DISTINCT lower(e) FROM unnest(COALESCE(canonical.emails, '{}') || COALESCE(duplicate.emails, '{}')) AS e)
+    ),
+    notes = CASE
+      WHEN COALESCE(btrim(duplicate.notes), '') = '' OR duplicate.notes = canonical.notes THEN canonical.notes
+      WHEN COALESCE(btrim(canonical.notes), '') = '' THEN duplicate.notes
+      ELSE canonical.notes || E'\n\n' || duplicate.notes
+    END,
+    start_date = COALESCE(canonical.start_date, duplicate.start_date),
+    end_date = COALESCE(canonical.end_date, duplicate.end_date),
+    location = COALESCE(NULLIF(canonical.location, ''), duplicate.location),
+    country = COALESCE(NULLIF(canonical.country, ''), duplicate.country),
+    homepage_url = COALESCE(NULLIF(canonical.homepage_url, ''), duplicate.homepage_url),
+    linkedin_url = COALESCE(NULLIF(canonical.linkedin_url, ''), duplicate.linkedin_url),
+    organizing_company = COALESCE(NULLIF(canonical.organizing_company, ''), duplicate.organizing_company),
+    research_data = COALESCE(canonical.research_data, duplicate.research_data),
+    favorite = COALESCE(canonical.favorite, FALSE) OR COALESCE(duplicate.favorite, FALSE),
+    archived = COALESCE(canonical.archived, FALSE) AND COALESCE(duplicate.archived, FALSE),
+    sales_stage = CASE WHEN v_duplicate_stage THEN duplicate.sales_stage ELSE canonical.sales_stage END,
+    pipeline_id = CASE WHEN v_duplicate_stage THEN duplicate.pipeline_id ELSE canonical.pipeline_id END,
+    lost_reason = CASE WHEN v_duplicate_stage THEN duplicate.lost_reason ELSE canonical.lost_reason END,
+    last_verified = GREATEST(canonical.last_verified, duplicate.last_verified),
+    verification_flags = ARRAY(
+      SELECT DISTINCT flag FROM unnest(COALESCE(canonical.verification_flags, '{}') || COALESCE(duplicate.verification_flags, '{}')) AS flag
+    )
+  WHERE f.id = p_canonical;
+
+  -- Current research: the canonical keeps its own unless the duplicate has a completed run and it doesn't
+  SELECT * INTO canonical_research FROM public.festival_research WHERE festival_id = p_canonical LIMIT 1;
+  SELECT * INTO duplicate_research FROM public.festival_research WHERE festival_id = p_duplicate LIMIT 1;
+
+  IF duplicate_research.id IS NOT NULL
+    AND (canonical_research.id IS NULL
+      OR (canonical_research.status <> 'complete' AND duplicate_research.status = 'complete')) THEN
+    IF canonical_research.id IS NOT NULL THEN
+      DELETE FROM public.festival_research WHERE id = canonical_research.id;
+    END IF;
+    UPDATE public.festival_research SET festival_id = p_canonical WHERE id = duplicate_research.id;
+    UPDATE public.research_jobs SET festival_id = p_canonical WHERE research_id = duplicate_research.id;
+  END IF;
+
+  -- Research history and spend follow the canonical festival
+  UPDATE public.research_versions SET festival_id = p_canonical WHERE festival_id = p_duplicate;
+  UPDATE public.research_usage SET festival_id = p_canonical WHERE festival_id = p_duplicate;
+  DELETE FROM public.research_checkpoints WHERE festival_id = p_duplicate;
+
+  -- Link the duplicate, and anything merged into it earlier, to the canonical festival
+  UPDATE public.festivals SET merged_into = p_canonical, merged_at = NOW()
+  WHERE id = p_duplicate OR merged_into = p_duplicate;
+
+  UPDATE public.festival_merge_candidates
+  SET status = 'confirmed', canonical_id = p_canonical, reviewed_at = NOW()
+  WHERE festival_a = LEAST(p_canonical, p_duplicate) AND festival_b = GREATEST(p_canonical, p_duplicate);
+
+  -- Other open candidates of the duplicate are rediscovered against the canonical on the next scan
+  DELETE FROM public.festival_merge_candidates
+  WHERE status = 'pending' AND (festival_a = p_duplicate OR festival_b = p_duplicate);
+
+  RETURN QUERY SELECT * FROM public.festivals WHERE id = p_canonical;
+END;
+$$;
+-- As in 20261025_add_festival_user_preferences.sql, with any stage past favorited
+-- except a lost one counting as in the pipeline
+CREATE OR REPLACE FUNCTION festivals_due_for_verification(
+  p_max_age_days INTEGER,
+  p_limit INTEGER
+)
+RETURNS SETOF public.festivals AS $$
+BEGIN
+  RETURN QUERY
+  SELECT f.*
+  FROM public.festivals f
+  WHERE (
+      (
+        COALESCE(f.archived, false) = false
+        AND (f.favorite = true OR sales_stage_rank(f.pipeline_id, f.sales_stage) > 0)
+      )
+      OR EXISTS (
+        SELECT 1
+        FROM public.festival_user_preferences p
+        WHERE p.festival_id = f.id
+          AND p.archived = false
+          AND (p.favorite = true OR sales_stage_rank(p.pipeline_id, p.sales_stage) > 0)
+      )
+    )
+    AND (
+      f.last_verified IS NULL
+      OR f.last_verified < NOW() - make_interval(days => p_max_age_days)
+    )
+  ORDER BY f.last_verified ASC NULLS FIRST
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- As in 20261101_add_festival_activity.sql, with the pipeline and loss reason of a stage change
+CREATE OR REPLACE FUNCTION log_preference_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_stage TEXT := CASE WHEN TG_OP = 'UPDATE' THEN OLD.sales_stage END;
+  v_old_notes TEXT := CASE WHEN TG_OP = 'UPDATE' THEN NULLIF(OLD.notes, '') END;
+BEGIN
+  IF NEW.sales_stage IS DISTINCT FROM COALESCE(v_old_stage, 'favorited') THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value, details)
+    VALUES (
+      NEW.festival_id, NEW.user_id, 'stage_change', COALESCE(v_old_stage, 'favorited'), NEW.sales_stage,
+      jsonb_strip_nulls(jsonb_build_object('pipeline_id', NEW.pipeline_id, 'lost_reason', NEW.lost_reason))
+    );
+  END IF;
+
+  IF NULLIF(NEW.notes, '') IS DISTINCT FROM v_old_notes THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value)
+    VALUES (NEW.festival_id, NEW.user_id, 'notes_edit', v_old_notes, NULLIF(NEW.notes, ''));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION log_festival_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_status TEXT := festival_rate_card_status(OLD.rate_card_requested, OLD.rate_card_received);
+  v_new_status TEXT := festival_rate_card_status(NEW.rate_card_requested, NEW.rate_card_received);
+BEGIN
+  IF COALESCE(NEW.sales_stage, 'favorited') IS DISTINCT FROM COALESCE(OLD.sales_stage, 'favorited') THEN
+    INSERT INTO public.festival_activity (festival_id, activity_type, from_value, to_value, details)
+    VALUES (
+      NEW.id, 'stage_change', COALESCE(OLD.sales_stage, 'favorited'), COALESCE(NEW.sales_stage, 'favorited'),
+      jsonb_strip_nulls(jsonb_build_object('pipeline_id', NEW.pipeline_id, 'lost_reason', NEW.lost_reason))
+    );
+  END IF;
+
+  IF NULLIF(NEW.notes, '') IS DISTINCT FROM NULLIF(OLD.notes, '') THEN
+    INSERT INTO public.festival_activity (festival_id, activity_type, from_value, to_value)
+    VALUES (NEW.id, 'notes_edit', NULLIF(OLD.notes, ''), NULLIF(NEW.notes, ''));
+  END IF;
+
+  IF v_new_status IS DISTINCT FROM v_old_status
+    OR NEW.rate_card_date IS DISTINCT FROM OLD.rate_card_date
+    OR NULLIF(NEW.rate_card_notes, '') IS DISTINCT FROM NULLIF(OLD.rate_card_notes, '') THEN
+    INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, from_value, to_value, details)
+    VALUES (
+      NEW.id,
+      NEW.rate_card_updated_by,
+      'rate_card',
+      v_old_status,
+      v_new_status,
+      jsonb_strip_nulls(jsonb_build_object('date', NEW.rate_card_date, 'notes', NULLIF(NEW.rate_card_notes, '')))
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- As in 20261029_add_festival_geocoding.sql, with the pipeline and loss reason, and a
+-- pipeline_ids filter
+CREATE OR REPLACE FUNCTION festival_query_sql(
+  p_filters JSONB,
+  p_user_id UUID
+)
+RETURNS TEXT AS $$
+DECLARE
+  -- Where preferences come from: the user's preference row or the shared columns
+  v_pref TEXT := CASE WHEN p_user_id IS NULL THEN 'f' ELSE 'p' END;
+  v_term TEXT := festival_search_normalize(p_filters->>'search');
+  v_compact TEXT;
+  v_notes TEXT;
+  v_rank TEXT := '0::real';
+  v_match TEXT := '';
+  v_distance TEXT := 'NULL::double precision';
+  v_near_lat DOUBLE PRECISION := (p_filters->>'near_lat')::double precision;
+  v_near_lng DOUBLE PRECISION := (p_filters->>'near_lng')::double precision;
+  v_radius DOUBLE PRECISION := (p_filters->>'radius_km')::double precision;
+  v_sql TEXT;
+BEGIN
+  IF length(v_term) >= 2 THEN
+    v_compact := replace(v_term, ' ', '');
+    v_notes := format('festival_search_normalize(%s.notes)', v_pref);
+
+    -- The normalized term only contains letters, digits and spaces, so it is safe in LIKE patterns
+    v_match := format($match$
+      AND (
+        f.search_name LIKE %1$L
+        OR f.search_compact LIKE %2$L
+        OR f.search_document LIKE %1$L
+        OR %3$L <%% f.search_name
+        OR %4$L <%% f.search_compact
+        OR %3$L <%% f.search_document
+        OR %5$s LIKE %1$L
+        OR %3$L <%% %5$s
+      )
+    $match$, '%' || v_term || '%', '%' || v_compact || '%', v_term, v_compact, v_notes);
+
+    -- Name matches first: exact, then prefix, then anywhere, then look-alikes
+    v_rank := format($rank$
+      GREATEST(
+        CASE
+          WHEN f.search_name = %1$L THEN 1.0
+          WHEN f.search_name LIKE %2$L THEN 0.9
+          WHEN f.search_name LIKE %3$L OR f.search_compact LIKE %4$L THEN 0.8
+          ELSE 0
+        END,
+        word_similarity(%1$L, f.search_name) * 0.75,
+        word_similarity(%5$L, f.search_compact) * 0.7,
+        CASE WHEN f.search_document LIKE %3$L OR %6$s LIKE %3$L THEN 0.5 ELSE 0 END,
+        word_similarity(%1$L, f.search_document) * 0.45,
+        COALESCE(word_similarity(%1$L, %6$s), 0) * 0.45
+      )::real
+    $rank$, v_term, v_term || '%', '%' || v_term || '%', '%' || v_compact || '%', v_compact, v_notes);
+  END IF;
+
+  IF v_near_lat IS NOT NULL AND v_near_lng IS NOT NULL THEN
+    v_distance := format('festival_distance_km(f.latitude, f.longitude, %L::double precision, %L::double precision)',
+      v_near_lat, v_near_lng);
+  END IF;
+
+  v_sql := format($sql$
+    SELECT * FROM (
+      SELECT
+        f.id, f.name, f.start_date, f.end_date, f.location, f.country, f.url, f.source,
+        f.emails, f.created_at, f.updated_at, f.linkedin_url, f.research_data,
+        f.homepage_url, f.organizing_company, f.last_verified, f.verification_flags,
+        f.series_id, f.edition_year,
+        f.city, f.province, f.country_code, f.latitude, f.longitude,
+        COALESCE(f.rate_card_requested, FALSE) AS rate_card_requested,
+        COALESCE(f.rate_card_received, FALSE) AS rate_card_received,
+        f.rate_card_date, f.rate_card_notes,
+        COALESCE(%1$s.favorite, FALSE) AS favorite,
+        COALESCE(%1$s.archived, FALSE) AS archived,
+        %1$s.notes AS notes,
+        COALESCE(%1$s.sales_stage, 'favorited') AS sales_stage,
+        COALESCE(%1$s.pipeline_id, default_sales_pipeline_id()) AS pipeline_id,
+        %1$s.lost_reason AS lost_reason,
+        r.id AS research_id,
+        COALESCE(r.status, 'none') AS research_status,
+        %3$s AS search_rank,
+        %5$s AS distance_km
+      FROM public.festivals f
+      LEFT JOIN public.festival_user_preferences p
+        ON p.festival_id = f.id AND p.user_id = %2$L::uuid
+      LEFT JOIN LATERAL (
+        SELECT fr.id, fr.status
+        FROM public.festival_research fr
+        WHERE fr.festival_id = f.id
+        ORDER BY fr.updated_at DESC NULLS LAST
+        LIMIT 1
+      ) r ON TRUE
+      WHERE f.merged_into IS NULL
+      %4$s
+    ) q
+    WHERE TRUE
+  $sql$, v_pref, p_user_id, v_rank, v_match, v_distance);
+
+  IF jsonb_typeof(p_filters->'sources') = 'array' THEN
+    v_sql := v_sql || format(' AND q.source = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sources')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'countries') = 'array' THEN
+    v_sql := v_sql || format(' AND lower(q.country) = ANY(%L::text[])',
+      ARRAY(SELECT lower(value) FROM jsonb_array_elements_text(p_filters->'countries')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'sales_stages') = 'array' THEN
+    v_sql := v_sql || format(' AND q.sales_stage = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'sales_stages')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'pipeline_ids') = 'array' THEN
+    v_sql := v_sql || format(' AND q.pipeline_id = ANY(%L::uuid[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'pipeline_ids')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'research_statuses') = 'array' THEN
+    v_sql := v_sql || format(' AND q.research_status = ANY(%L::text[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'research_statuses')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'series_ids') = 'array' THEN
+    v_sql := v_sql || format(' AND q.series_id = ANY(%L::uuid[])',
+      ARRAY(SELECT jsonb_array_elements_text(p_filters->'series_ids')));
+  END IF;
+
+  IF jsonb_typeof(p_filters->'favorite') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.favorite = %L::boolean', p_filters->>'favorite');
+  END IF;
+
+  IF jsonb_typeof(p_filters->'archived') = 'boolean' THEN
+    v_sql := v_sql || format(' AND q.archived = %L::boolean', p_filters->>'archived');
+  END IF;
+
+  IF (p_filters->>'dateless')::boolean IS TRUE THEN
+    v_sql := v_sql || ' AND q.start_date IS NULL AND q.end_date IS NULL';
+  END IF;
+
+  -- Overlap: the festival starts before the range ends and ends after it starts
+  IF p_filters->>'date_from' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND COALESCE(q.end_date, q.start_date) >= %L::date', p_filters->>'date_from');
+  END IF;
+
+  IF p_filters->>'date_to' IS NOT NULL THEN
+    v_sql := v_sql || format(' AND q.start_date <= %L::date', p_filters->>'date_to');
+  END IF;
+
+  IF jsonb_typeof(p_filters->'mapped') = 'boolean' THEN
+    v_sql := v_sql || CASE WHEN (p_filters->>'mapped')::boolean
+      THEN ' AND q.latitude IS NOT NULL'
+      ELSE ' AND q.latitude IS NULL'
+    END;
+  END IF;
+
+  -- Within the radius; the bounding box around it lets the coordinates index narrow
+  -- things down before distances are computed
+  IF v_near_lat IS NOT NULL AND v_near_lng IS NOT NULL AND v_radius IS NOT NULL THEN
+    v_sql := v_sql || format(
+      ' AND q.latitude BETWEEN %1$L::double precision AND %2$L::double precision'
+      ' AND q.longitude BETWEEN %3$L::double precision AND %4$L::double precision'
+      ' AND q.distance_km <= %5$L::double precision',
+      v_near_lat - v_radius / 111.32,
+      v_near_lat + v_radius / 111.32,
+      v_near_lng - v_radius / (111.32 * cos(radians(v_near_lat))),
+      v_near_lng + v_radius / (111.32 * cos(radians(v_near_lat))),
+      v_radius
+    );
+  END IF;
+
+  v_sql := v_sql || CASE p_filters->>'rate_card'
+    WHEN 'requested' THEN ' AND q.rate_card_requested'
+    WHEN 'received' THEN ' AND q.rate_card_received'
+    WHEN 'pending' THEN ' AND q.rate_card_requested AND NOT q.rate_card_received'
+    ELSE ''
+  END;
+
+  RETURN v_sql;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+-- The API decides who may change pipelines
+ALTER TABLE public.sales_pipelines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sales_pipeline_stages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow sales pipeline access"
+  ON public.sales_pipelines
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow sales pipeline stage access"
+  ON public.sales_pipeline_stages
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
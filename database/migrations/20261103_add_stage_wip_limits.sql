@@ -0,0 +1,9 @@
+-- Migration: Work-in-progress limits per pipeline stage
+-- Purpose: the sales monitor warns when a column holds more festivals than the team can
+-- work on at once. The limit belongs to the stage, so everyone sees the same warning;
+-- NULL means no limit.
+
+ALTER TABLE public.sales_pipeline_stages
+ADD COLUMN IF NOT EXISTS wip_limit INTEGER NULL CHECK (wip_limit IS NULL OR wip_limit > 0);
+
+COMMENT ON COLUMN public.sales_pipeline_stages.wip_limit IS 'Most festivals the stage should hold at once; the sales monitor warns above it. NULL for no limit';
@@ -0,0 +1,157 @@
+-- Migration: Rate card requests and documents
+-- Purpose: rate cards were only tracked as the rate_card_requested / received / date /
+-- notes columns on festivals. Each request is now logged with the contact it went to
+-- and how, received rate cards (PDF or image) are stored in the private "rate-cards"
+-- storage bucket and linked to the festival, and the prices parsed out of a rate card
+-- are kept as line items. Requests without an answer after a number of days are
+-- flagged by the API.
+--
+-- The festivals columns stay as the summary the festival list filters on; the API keeps
+-- them up to date, so the activity log still records every change.
+
+CREATE TABLE IF NOT EXISTS public.rate_card_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  -- Who the request went to; kept when the contact is removed
+  contact_id UUID NULL REFERENCES public.contacts(id) ON DELETE SET NULL,
+  channel VARCHAR(20) NOT NULL DEFAULT 'email'
+    CHECK (channel IN ('email', 'phone', 'form', 'in_person', 'other')),
+  message TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'received', 'declined')),
+  requested_by UUID NULL,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- When the rate card came in or the organizer declined
+  answered_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((status = 'pending') = (answered_at IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_card_requests_festival ON public.rate_card_requests (festival_id, requested_at DESC);
+
+-- Finding requests nobody answered, oldest first
+CREATE INDEX IF NOT EXISTS idx_rate_card_requests_pending ON public.rate_card_requests (requested_at)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS public.rate_card_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  -- The request this rate card answers, when known
+  request_id UUID NULL REFERENCES public.rate_card_requests(id) ON DELETE SET NULL,
+  -- Object path in the rate-cards bucket
+  storage_path TEXT NOT NULL UNIQUE,
+  file_name TEXT NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  uploaded_by UUID NULL,
+  parse_status VARCHAR(20) NOT NULL DEFAULT 'unparsed'
+    CHECK (parse_status IN ('unparsed', 'parsed', 'failed')),
+  parse_error TEXT NULL,
+  parsed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_card_documents_festival ON public.rate_card_documents (festival_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.rate_card_line_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID NOT NULL REFERENCES public.rate_card_documents(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'EUR' CHECK (currency ~ '^[A-Z]{3}$'),
+  -- What the price is for, e.g. "per day" or "per m2"
+  unit TEXT NULL,
+  -- Set when the item was parsed from the document rather than entered by hand
+  parsed BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (document_id, position)
+);
+
+COMMENT ON TABLE public.rate_card_requests IS 'Rate card requests to festival organizers, with the contact they went to';
+COMMENT ON TABLE public.rate_card_documents IS 'Received rate cards, stored in the rate-cards storage bucket';
+COMMENT ON TABLE public.rate_card_line_items IS 'Prices from a rate card, parsed or entered by hand';
+
+DROP TRIGGER IF EXISTS update_rate_card_requests_updated_at ON public.rate_card_requests;
+CREATE TRIGGER update_rate_card_requests_updated_at
+  BEFORE UPDATE ON public.rate_card_requests
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Requests and rate cards of a merged duplicate move to the canonical festival, and its
+-- summary columns are raised to match, as the API does when a request or rate card comes in
+CREATE OR REPLACE FUNCTION merge_festival_rate_cards()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    UPDATE public.rate_card_requests SET festival_id = NEW.merged_into WHERE festival_id = NEW.id;
+    UPDATE public.rate_card_documents SET festival_id = NEW.merged_into WHERE festival_id = NEW.id;
+
+    UPDATE public.festivals f SET
+      rate_card_requested = TRUE,
+      rate_card_received = f.rate_card_received OR NEW.rate_card_received,
+      rate_card_date = COALESCE(f.rate_card_date, NEW.rate_card_date)
+    WHERE f.id = NEW.merged_into
+      AND (NEW.rate_card_requested OR NEW.rate_card_received)
+      AND (NOT f.rate_card_requested
+        OR (NEW.rate_card_received AND NOT f.rate_card_received)
+        OR (f.rate_card_date IS NULL AND NEW.rate_card_date IS NOT NULL));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_rate_cards ON public.festivals;
+CREATE TRIGGER trg_merge_festival_rate_cards
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_rate_cards();
+
+-- Rate cards that were requested but not received before this migration. When they
+-- were requested is unknown, so they count as requested now.
+INSERT INTO public.rate_card_requests (festival_id, channel, message, status)
+SELECT f.id, 'other', 'Requested before requests were logged', 'pending'
+FROM public.festivals f
+WHERE f.rate_card_requested = TRUE
+  AND f.rate_card_received = FALSE
+  AND NOT EXISTS (SELECT 1 FROM public.rate_card_requests r WHERE r.festival_id = f.id);
+
+-- Private bucket for the rate card files; the API hands out short-lived signed URLs
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'rate-cards',
+  'rate-cards',
+  FALSE,
+  10485760,
+  ARRAY['application/pdf', 'image/png', 'image/jpeg', 'image/webp', 'image/gif']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- The API decides who may change rate cards
+ALTER TABLE public.rate_card_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rate_card_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rate_card_line_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow rate card request access"
+  ON public.rate_card_requests
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow rate card document access"
+  ON public.rate_card_documents
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow rate card line item access"
+  ON public.rate_card_line_items
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow rate card file access"
+  ON storage.objects
+  FOR ALL
+  USING (bucket_id = 'rate-cards')
+  WITH CHECK (bucket_id = 'rate-cards');
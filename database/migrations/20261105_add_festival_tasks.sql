@@ -0,0 +1,143 @@
+-- Migration: Follow-up tasks
+-- Purpose: nothing reminded anyone to chase a lead. Tasks (call, email, send an offer, ...)
+-- now belong to a festival, with a due date and an assignee, and rules create them
+-- automatically: entering a stage creates a task due some days later for whoever moved
+-- the festival, and a favorited festival that starts soon and was never contacted gets a
+-- "reach out now" task (created by the daily /api/cron/create-tasks run).
+
+CREATE TABLE IF NOT EXISTS public.task_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  -- stage_entered: due `days` after a festival enters stage_key
+  -- starts_soon_without_contact: when a festival nobody contacted starts within `days`
+  trigger_type VARCHAR(30) NOT NULL CHECK (trigger_type IN ('stage_entered', 'starts_soon_without_contact')),
+  stage_key VARCHAR(20) NULL,
+  days INTEGER NOT NULL CHECK (days >= 0 AND days <= 365),
+  task_type VARCHAR(20) NOT NULL CHECK (task_type IN ('call', 'email', 'send_offer', 'meeting', 'other')),
+  title VARCHAR(200) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_task_rule_stage CHECK ((trigger_type = 'stage_entered') = (stage_key IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS public.festival_tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  task_type VARCHAR(20) NOT NULL DEFAULT 'other'
+    CHECK (task_type IN ('call', 'email', 'send_offer', 'meeting', 'other')),
+  due_date DATE NOT NULL,
+  -- auth.users id; NULL when nobody in particular has to do it
+  assignee_id UUID NULL,
+  notes TEXT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'dismissed')),
+  completed_at TIMESTAMPTZ NULL,
+  -- The rule that created the task; NULL for tasks added by hand
+  rule_id UUID NULL REFERENCES public.task_rules(id) ON DELETE SET NULL,
+  created_by UUID NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_festival_task_completed CHECK ((status = 'open') = (completed_at IS NULL))
+);
+
+-- Index for "My tasks" and the overdue badges
+CREATE INDEX IF NOT EXISTS idx_festival_tasks_open_due ON public.festival_tasks (assignee_id, due_date) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_festival_tasks_festival ON public.festival_tasks (festival_id, due_date);
+-- A rule creates one open task per festival and assignee
+CREATE UNIQUE INDEX IF NOT EXISTS idx_festival_tasks_open_rule
+  ON public.festival_tasks (rule_id, festival_id, COALESCE(assignee_id, '00000000-0000-0000-0000-000000000000'::uuid))
+  WHERE status = 'open' AND rule_id IS NOT NULL;
+
+COMMENT ON TABLE public.task_rules IS 'Rules that create festival tasks automatically';
+COMMENT ON TABLE public.festival_tasks IS 'Follow-up tasks for a festival, with a due date and an assignee';
+COMMENT ON COLUMN public.festival_tasks.assignee_id IS 'auth.users id; NULL when nobody in particular has to do it';
+COMMENT ON COLUMN public.festival_tasks.rule_id IS 'The rule that created the task; NULL for tasks added by hand';
+
+DROP TRIGGER IF EXISTS update_task_rules_updated_at ON public.task_rules;
+CREATE TRIGGER update_task_rules_updated_at
+  BEFORE UPDATE ON public.task_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_festival_tasks_updated_at ON public.festival_tasks;
+CREATE TRIGGER update_festival_tasks_updated_at
+  BEFORE UPDATE ON public.festival_tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Stage rules run on the logged stage change, so every way of moving a festival creates
+-- the task; it goes to whoever moved the festival
+CREATE OR REPLACE FUNCTION create_stage_tasks()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.festival_tasks (festival_id, title, task_type, due_date, assignee_id, rule_id)
+  SELECT NEW.festival_id, r.title, r.task_type, (NEW.created_at AT TIME ZONE 'UTC')::date + r.days, NEW.actor_id, r.id
+  FROM public.task_rules r
+  WHERE r.enabled
+    AND r.trigger_type = 'stage_entered'
+    AND r.stage_key = NEW.to_value
+  ON CONFLICT DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_create_stage_tasks ON public.festival_activity;
+CREATE TRIGGER trg_create_stage_tasks
+  AFTER INSERT ON public.festival_activity
+  FOR EACH ROW
+  WHEN (NEW.activity_type = 'stage_change' AND NOT NEW.details ? 'backfilled')
+  EXECUTE FUNCTION create_stage_tasks();
+
+-- Tasks of a merged duplicate move to the canonical festival. Where both have an open
+-- task from the same rule for the same assignee, the canonical's stays open and the
+-- duplicate's is dismissed, as a rule creates one open task per festival and assignee.
+CREATE OR REPLACE FUNCTION merge_festival_tasks()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    UPDATE public.festival_tasks d
+    SET status = 'dismissed', completed_at = NOW()
+    WHERE d.festival_id = NEW.id
+      AND d.status = 'open'
+      AND d.rule_id IS NOT NULL
+      AND EXISTS (
+        SELECT 1 FROM public.festival_tasks c
+        WHERE c.festival_id = NEW.merged_into
+          AND c.status = 'open'
+          AND c.rule_id = d.rule_id
+          AND c.assignee_id IS NOT DISTINCT FROM d.assignee_id
+      );
+
+    UPDATE public.festival_tasks SET festival_id = NEW.merged_into WHERE festival_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_tasks ON public.festivals;
+CREATE TRIGGER trg_merge_festival_tasks
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_tasks();
+
+INSERT INTO public.task_rules (name, trigger_type, stage_key, days, task_type, title)
+VALUES
+  ('Follow up after outreach', 'stage_entered', 'outreach', 7, 'email', 'Follow up'),
+  ('Reach out before the festival', 'starts_soon_without_contact', NULL, 60, 'call', 'Reach out now');
+
+-- The API decides who may change tasks
+ALTER TABLE public.task_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.festival_tasks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow task rule access"
+  ON public.task_rules
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow festival task access"
+  ON public.festival_tasks
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,147 @@
+-- Migration: Email outreach
+-- Purpose: addresses were copied from festivals.emails into a mail client by hand, so
+-- nothing recorded what was sent to whom. Outreach templates (a Dutch and an English
+-- variant per template) now hold merge fields like {{festival_name}}, the app sends the
+-- filled-in mail over SMTP and every message is stored here, grouped into threads per
+-- festival and address. Sent messages show up in the festival's activity log.
+
+CREATE TABLE IF NOT EXISTS public.outreach_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  language VARCHAR(2) NOT NULL CHECK (language IN ('nl', 'en')),
+  subject VARCHAR(300) NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- The variants of one template share its name
+  UNIQUE (name, language)
+);
+
+CREATE TABLE IF NOT EXISTS public.outreach_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  festival_id UUID NOT NULL REFERENCES public.festivals(id) ON DELETE CASCADE,
+  contact_id UUID NULL REFERENCES public.contacts(id) ON DELETE SET NULL,
+  template_id UUID NULL REFERENCES public.outreach_templates(id) ON DELETE SET NULL,
+  language VARCHAR(2) NOT NULL CHECK (language IN ('nl', 'en')),
+  -- Lowercased
+  to_email TEXT NOT NULL,
+  from_email TEXT NOT NULL,
+  subject VARCHAR(300) NOT NULL,
+  body TEXT NOT NULL,
+  -- The first message to this address about this festival; the thread's own id for the first
+  thread_id UUID NOT NULL,
+  -- Message-ID header given to the mail, and the one it answers, so mail clients thread them too
+  message_id TEXT NULL,
+  in_reply_to TEXT NULL,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT NULL,
+  sent_by UUID NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for the threads of a festival, and for finding the thread of an address
+CREATE INDEX IF NOT EXISTS idx_outreach_messages_festival ON public.outreach_messages (festival_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_outreach_messages_thread ON public.outreach_messages (festival_id, to_email, created_at DESC)
+  WHERE status = 'sent';
+
+COMMENT ON TABLE public.outreach_templates IS 'Outreach mail templates with merge fields, one row per language variant';
+COMMENT ON TABLE public.outreach_messages IS 'Outreach mails sent (or attempted) to festival contacts, grouped into threads';
+COMMENT ON COLUMN public.outreach_messages.thread_id IS 'id of the first message to this address about this festival';
+COMMENT ON COLUMN public.outreach_messages.sent_by IS 'auth.users id of the sender';
+
+DROP TRIGGER IF EXISTS update_outreach_templates_updated_at ON public.outreach_templates;
+CREATE TRIGGER update_outreach_templates_updated_at
+  BEFORE UPDATE ON public.outreach_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Sent mails are part of the festival's history
+ALTER TABLE public.festival_activity DROP CONSTRAINT IF EXISTS festival_activity_activity_type_check;
+ALTER TABLE public.festival_activity ADD CONSTRAINT festival_activity_activity_type_check
+  CHECK (activity_type IN ('stage_change', 'notes_edit', 'contact_added', 'research_run', 'rate_card', 'email_sent'));
+
+CREATE OR REPLACE FUNCTION log_outreach_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.festival_activity (festival_id, actor_id, activity_type, to_value, details, created_at)
+  VALUES (
+    NEW.festival_id,
+    NEW.sent_by,
+    'email_sent',
+    NEW.to_email,
+    jsonb_strip_nulls(jsonb_build_object(
+      'message_id', NEW.id,
+      'thread_id', NEW.thread_id,
+      'subject', NEW.subject,
+      'reply', NEW.in_reply_to IS NOT NULL
+    )),
+    NEW.created_at
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_log_outreach_activity ON public.outreach_messages;
+CREATE TRIGGER trg_log_outreach_activity
+  AFTER INSERT ON public.outreach_messages
+  FOR EACH ROW
+  WHEN (NEW.status = 'sent')
+  EXECUTE FUNCTION log_outreach_activity();
+
+-- Mails about a merged duplicate move to the canonical festival; their threads stay as
+-- they were, so a later mail continues the oldest thread to that address
+CREATE OR REPLACE FUNCTION merge_festival_outreach()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.merged_into IS NOT NULL AND OLD.merged_into IS NULL THEN
+    UPDATE public.outreach_messages SET festival_id = NEW.merged_into WHERE festival_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_merge_festival_outreach ON public.festivals;
+CREATE TRIGGER trg_merge_festival_outreach
+  AFTER UPDATE OF merged_into ON public.festivals
+  FOR EACH ROW
+  EXECUTE FUNCTION merge_festival_outreach();
+
+INSERT INTO public.outreach_templates (name, language, subject, body)
+VALUES
+  (
+    'Introduction',
+    'nl',
+    'Samenwerking {{festival_name}}',
+    E'Beste {{contact_first_name|organisatie}},\n\n'
+      || E'Ik zag dat {{festival_name}} op {{festival_dates}} plaatsvindt in {{festival_location}}. '
+      || E'Graag vertel ik u meer over wat wij voor {{organizing_company|uw organisatie}} kunnen betekenen.\n\n'
+      || E'Zullen we hier deze of volgende week kort over bellen?\n\n'
+      || E'Met vriendelijke groet,\n{{sender_name}}'
+  ),
+  (
+    'Introduction',
+    'en',
+    'Working together on {{festival_name}}',
+    E'Dear {{contact_first_name|organizer}},\n\n'
+      || E'I saw that {{festival_name}} takes place on {{festival_dates}} in {{festival_location}}. '
+      || E'I would love to tell you more about what we can do for {{organizing_company|your organization}}.\n\n'
+      || E'Could we have a short call about it this week or next?\n\n'
+      || E'Kind regards,\n{{sender_name}}'
+  )
+ON CONFLICT (name, language) DO NOTHING;
+
+-- The API decides who may send and change templates
+ALTER TABLE public.outreach_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.outreach_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow outreach template access"
+  ON public.outreach_templates
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow outreach message access"
+  ON public.outreach_messages
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
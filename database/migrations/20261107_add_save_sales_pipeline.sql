@@ -0,0 +1,59 @@
+-- Migration: Save a sales pipeline in one transaction
+-- Purpose: saving a pipeline took four requests: clear the old default, write the
+-- pipeline, remove the stages left out and upsert the rest. When a later one failed,
+-- e.g. because festivals were still in a removed stage, there was no default pipeline
+-- left or the pipeline was saved without its stages. save_sales_pipeline does it all
+-- or nothing, and clears the old default only after the new one is written.
+
+-- p_stages is a JSON array of {key, label, color, outcome, wip_limit} in pipeline order.
+-- Returns the pipeline id, or NULL when p_id is not a pipeline.
+CREATE OR REPLACE FUNCTION save_sales_pipeline(
+  p_id UUID,
+  p_name TEXT,
+  p_description TEXT,
+  p_is_default BOOLEAN,
+  p_stages JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  IF p_id IS NULL THEN
+    INSERT INTO public.sales_pipelines (name, description, is_default, position)
+    VALUES (p_name, p_description, FALSE, (SELECT COALESCE(MAX(position) + 1, 0) FROM public.sales_pipelines))
+    RETURNING id INTO v_id;
+  ELSE
+    UPDATE public.sales_pipelines
+    SET name = p_name, description = p_description, is_default = is_default AND p_is_default
+    WHERE id = p_id
+    RETURNING id INTO v_id;
+
+    IF v_id IS NULL THEN
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  -- Fails with a foreign key violation while festivals are in a removed stage
+  DELETE FROM public.sales_pipeline_stages s
+  WHERE s.pipeline_id = v_id
+    AND s.key NOT IN (SELECT stage->>'key' FROM jsonb_array_elements(p_stages) AS stage);
+
+  INSERT INTO public.sales_pipeline_stages (pipeline_id, key, label, color, outcome, wip_limit, position)
+  SELECT v_id, t.stage->>'key', t.stage->>'label', t.stage->>'color', t.stage->>'outcome',
+         (t.stage->>'wip_limit')::INTEGER, (t.ordinality - 1)::INTEGER
+  FROM jsonb_array_elements(p_stages) WITH ORDINALITY AS t (stage, ordinality)
+  ON CONFLICT (pipeline_id, key) DO UPDATE SET
+    label = EXCLUDED.label,
+    color = EXCLUDED.color,
+    outcome = EXCLUDED.outcome,
+    wip_limit = EXCLUDED.wip_limit,
+    position = EXCLUDED.position;
+
+  IF p_is_default THEN
+    UPDATE public.sales_pipelines SET is_default = FALSE WHERE is_default AND id <> v_id;
+    UPDATE public.sales_pipelines SET is_default = TRUE WHERE id = v_id;
+  END IF;
+
+  RETURN v_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
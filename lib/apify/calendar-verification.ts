@@ -0,0 +1,211 @@
+/**
+ * Calendar Presence Verification
+ *
+ * Checks whether a festival is listed on the Dutch festival calendar websites and
+ * which edition year the listing is for. Shared by the calendar-verify API and the
+ * scheduled re-verification cron.
+ */
+
+import { getApifyClient, APIFY_ACTORS } from './client';
+import {
+  FESTIVAL_CALENDAR_SOURCES,
+  type CalendarSourceKey,
+  type CalendarVerificationResult,
+  type FullVerificationResult,
+} from './calendar-tools';
+
+export interface CalendarPresenceVerification extends FullVerificationResult {
+  summary: FullVerificationResult['summary'] & {
+    currentListings: number;
+    isActiveOnCalendars: boolean;
+  };
+}
+
+/**
+ * Stored shape of festivals.calendar_presence, keyed by normalized source name
+ */
+export interface CalendarPresenceEntry {
+  found: boolean;
+  url?: string;
+  editionYear?: number | null;
+  isCurrent?: boolean;
+  lastChecked: string;
+}
+
+export type CalendarPresence = Record<string, CalendarPresenceEntry>;
+
+/**
+ * Extract edition year from text content
+ */
+export function extractEditionYear(text: string): number | null {
+  const currentYear = new Date().getFullYear();
+  const nextYear = currentYear + 1;
+
+  // Look for years in the text (current year, next year, or previous year)
+  const yearPattern = new RegExp(`\\b(${currentYear - 1}|${currentYear}|${nextYear})\\b`, 'g');
+  const matches = text.match(yearPattern);
+
+  if (!matches) return null;
+
+  // Parse all found years
+  const years = matches.map(y => parseInt(y, 10));
+
+  // Prefer current or next year over previous year
+  if (years.includes(nextYear)) return nextYear;
+  if (years.includes(currentYear)) return currentYear;
+  if (years.includes(currentYear - 1)) return currentYear - 1;
+
+  // Return the highest year found
+  return Math.max(...years);
+}
+
+/**
+ * Check if a year is considered "current" (this year or next year)
+ */
+export function isCurrentEdition(year: number | null): boolean {
+  if (!year) return false;
+  const currentYear = new Date().getFullYear();
+  return year >= currentYear;
+}
+
+/**
+ * Extract date information from search result
+ */
+function extractDateFromResult(item: any): string | null {
+  const text = `${item.title || ''} ${item.description || ''} ${item.snippet || ''}`;
+
+  // Look for date patterns
+  const datePatterns = [
+    // "15 juni 2025", "15 juni"
+    /\b(\d{1,2})\s+(januari|februari|maart|april|mei|juni|juli|augustus|september|oktober|november|december)(?:\s+(202[4-6]))?\b/gi,
+    // "15-06-2025", "15/06/2025"
+    /\b(\d{1,2})[-/](\d{1,2})[-/](202[4-6])\b/g,
+  ];
+
+  for (const pattern of datePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Search every requested calendar source for the festival, in parallel.
+ * Callers must check `getApifyClient().isConfigured()` first.
+ */
+export async function verifyCalendarPresence(
+  festivalName: string,
+  options: { sources?: CalendarSourceKey[]; extractYear?: boolean } = {}
+): Promise<CalendarPresenceVerification> {
+  const client = getApifyClient();
+  const extractYear = options.extractYear ?? true;
+  const sourcesToCheck = options.sources?.length
+    ? options.sources
+    : Object.keys(FESTIVAL_CALENDAR_SOURCES) as CalendarSourceKey[];
+
+  // Check ALL sources in PARALLEL for speed (7x faster!)
+  const searchPromises = sourcesToCheck.map(async (sourceKey): Promise<CalendarVerificationResult> => {
+    const source = FESTIVAL_CALENDAR_SOURCES[sourceKey];
+
+    try {
+      console.log(`Checking ${source.name}...`);
+
+      // Use site-restricted Google search
+      const hostname = new URL(source.url).hostname;
+      const searchQuery = `site:${hostname} "${festivalName}"`;
+
+      const { items } = await client.runActor(
+        APIFY_ACTORS.GOOGLE_SEARCH_SCRAPER,
+        {
+          queries: searchQuery,
+          maxPagesPerQuery: 1,
+          resultsPerPage: 3,
+        },
+        { waitForFinish: 25 }
+      );
+
+      const found = (items as any[]).length > 0;
+      const firstResult = (items as any[])[0];
+
+      // Extract year from the search result
+      let editionYear: number | null = null;
+      let dateFound: string | null = null;
+
+      if (found && firstResult && extractYear) {
+        const combinedText = `${firstResult.title || ''} ${firstResult.description || ''} ${firstResult.snippet || ''}`;
+        editionYear = extractEditionYear(combinedText);
+        dateFound = extractDateFromResult(firstResult);
+      }
+
+      return {
+        source: source.name,
+        sourceUrl: source.url,
+        found,
+        festivalUrl: found ? (firstResult?.url || firstResult?.link) : undefined,
+        listingDetails: found ? {
+          name: firstResult?.title,
+          date: dateFound || undefined,
+        } : undefined,
+        editionYear,
+        isCurrent: isCurrentEdition(editionYear),
+        checkedAt: new Date().toISOString(),
+      };
+
+    } catch (error: any) {
+      console.error(`Error checking ${source.name}:`, error);
+      return {
+        source: source.name,
+        sourceUrl: source.url,
+        found: false,
+        checkedAt: new Date().toISOString(),
+        error: error.message,
+      };
+    }
+  });
+
+  const results = await Promise.all(searchPromises);
+
+  // Calculate summary with year information
+  const foundCount = results.filter(r => r.found).length;
+  const currentListings = results.filter(r => r.found && r.isCurrent).length;
+  const errorCount = results.filter(r => r.error).length;
+
+  // Determine if festival is actively listed (found on current year calendars)
+  const isActiveOnCalendars = currentListings > 0 || foundCount >= 2;
+
+  return {
+    festivalName,
+    verifiedAt: new Date().toISOString(),
+    sources: results,
+    summary: {
+      totalSources: results.length,
+      foundOn: foundCount,
+      notFoundOn: results.length - foundCount - errorCount,
+      errors: errorCount,
+      currentListings,
+      isActiveOnCalendars,
+    },
+    isActive: foundCount > 0,
+  };
+}
+
+/**
+ * Build the festivals.calendar_presence object from verification results
+ */
+export function buildCalendarPresence(results: CalendarVerificationResult[]): CalendarPresence {
+  const calendarPresence: CalendarPresence = {};
+  for (const result of results) {
+    const key = result.source.toLowerCase().replace(/[^a-z]/g, '');
+    calendarPresence[key] = {
+      found: result.found,
+      url: result.festivalUrl,
+      editionYear: result.editionYear,
+      isCurrent: result.isCurrent,
+      lastChecked: result.checkedAt,
+    };
+  }
+  return calendarPresence;
+}
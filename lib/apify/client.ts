@@ -6,6 +6,8 @@
  */
 
 import { z } from 'zod';
+import { recordUsage } from '../research/usage-ledger';
+import { getFixtureMode, isFixtureReplay, withFixture } from '../research/provider-fixtures';
 
 // Apify API configuration
 const APIFY_API_BASE = 'https://api.apify.com/v2';
@@ -60,6 +62,12 @@ export type ActorRunResult = z.infer<typeof ActorRunResultSchema>;
 export const DatasetItemSchema = z.record(z.string(), z.any());
 export type DatasetItem = z.infer<typeof DatasetItemSchema>;
 
+interface RunActorOptions {
+  waitForFinish?: number; // seconds to wait, 0 = don't wait
+  memory?: number; // MB
+  timeout?: number; // seconds
+}
+
 /**
  * Apify Client class for interacting with the Apify API
  */
@@ -109,16 +117,45 @@ export class ApifyClient {
   }
 
   /**
-   * Run an actor and wait for it to complete
+   * Run an actor and wait for it to complete.
+   * In fixture record/replay mode the dataset items of successful runs are
+   * recorded or replayed (see provider-fixtures).
    */
   async runActor<TInput = Record<string, any>, TOutput = DatasetItem[]>(
     actorId: string,
     input: TInput,
-    options: {
-      waitForFinish?: number; // seconds to wait, 0 = don't wait
-      memory?: number; // MB
-      timeout?: number; // seconds
-    } = {}
+    options: RunActorOptions = {}
+  ): Promise<{
+    run: ActorRunResult;
+    items: TOutput;
+  }> {
+    if (getFixtureMode() === 'off') {
+      return this.runActorLive<TInput, TOutput>(actorId, input, options);
+    }
+
+    const live: { run?: ActorRunResult } = {};
+    const items = await withFixture<TOutput>(
+      'apify',
+      actorId,
+      input,
+      async () => {
+        const result = await this.runActorLive<TInput, TOutput>(actorId, input, options);
+        live.run = result.run;
+        return result.items;
+      },
+      { shouldRecord: () => live.run?.status === 'SUCCEEDED' }
+    );
+
+    return {
+      run: live.run ?? { id: 'fixture', actId: actorId, status: 'SUCCEEDED' },
+      items,
+    };
+  }
+
+  private async runActorLive<TInput = Record<string, any>, TOutput = DatasetItem[]>(
+    actorId: string,
+    input: TInput,
+    options: RunActorOptions = {}
   ): Promise<{
     run: ActorRunResult;
     items: TOutput;
@@ -150,6 +187,15 @@ export class ApifyClient {
     const run = runResponse.data;
     console.log(`Actor run started: ${run.id}, status: ${run.status}`);
 
+    // Usage so far; runs still going after waitForFinish are only partially counted
+    const usage = runResponse.data as { stats?: { computeUnits?: number }; usageTotalUsd?: number };
+    await recordUsage({
+      provider: 'apify',
+      operation: actorId,
+      computeUnits: usage.stats?.computeUnits ?? 0,
+      costUsd: usage.usageTotalUsd ?? null,
+    });
+
     // If we waited for finish and have a dataset, fetch the items
     let items: TOutput = [] as unknown as TOutput;
     
@@ -229,7 +275,7 @@ export class ApifyClient {
    * Check if the client is configured with a valid API token
    */
   isConfigured(): boolean {
-    return !!this.apiToken;
+    return !!this.apiToken || isFixtureReplay();
   }
 }
 
@@ -39,3 +39,13 @@ export {
   type CalendarVerificationResult,
   type FullVerificationResult,
 } from './calendar-tools';
+
+export {
+  verifyCalendarPresence,
+  buildCalendarPresence,
+  extractEditionYear,
+  isCurrentEdition,
+  type CalendarPresenceVerification,
+  type CalendarPresenceEntry,
+  type CalendarPresence,
+} from './calendar-verification';
@@ -1,4 +1,6 @@
-// Authentication utilities for Chrome extension
+// Authentication utilities for Chrome extension and signed-in users
+
+import { supabase } from './supabase-client';
 
 const VALID_API_KEYS = [
   process.env.CHROME_EXTENSION_API_KEY || 'festifind-extension-key-2025'
@@ -20,4 +22,57 @@ export function validateExtensionApiKey(apiKey: string): boolean {
  */
 export function getApiKeyFromRequest(request: Request): string | null {
   return request.headers.get('X-API-Key') || request.headers.get('Authorization')?.replace('Bearer ', '') || null;
-} 
\ No newline at end of file
+}
+
+export interface RequestUser {
+  id: string;
+  email: string | null;
+  displayName: string | null;
+}
+
+/**
+ * Thrown when a request sends a session token that does not resolve to a user, e.g. an
+ * expired session. Routes answer 401 so the request is not handled as one without a
+ * user, which would write to the shared festival columns.
+ */
+export class InvalidSessionError extends Error {
+  constructor(message: string = 'Your session has expired; sign in again') {
+    super(message);
+    this.name = 'InvalidSessionError';
+  }
+}
+
+/**
+ * Resolves the signed-in Supabase user from the request's Bearer access token
+ * @param request - Next.js request object
+ * @returns The user, or null when the request has no Authorization header
+ * @throws InvalidSessionError when the header is there but does not resolve to a user
+ */
+export async function getRequestUser(request: Request): Promise<RequestUser | null> {
+  const header = request.headers.get('Authorization');
+  if (!header) return null;
+
+  const token = header.replace('Bearer ', '').trim();
+  if (!token) {
+    throw new InvalidSessionError();
+  }
+
+  let result;
+  try {
+    result = await supabase.auth.getUser(token);
+  } catch (error) {
+    console.error('Error resolving request user:', error);
+    throw new InvalidSessionError('Could not check your session; sign in again');
+  }
+
+  const { data, error } = result;
+  if (error || !data?.user) {
+    throw new InvalidSessionError();
+  }
+
+  return {
+    id: data.user.id,
+    email: data.user.email || null,
+    displayName: data.user.user_metadata?.full_name || null,
+  };
+}
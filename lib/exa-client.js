@@ -4,6 +4,9 @@
  * Enhanced with comprehensive anti-hallucination measures
  */
 
+import { recordUsage } from './research/usage-ledger';
+import { withFixture } from './research/provider-fixtures';
+
 // EXA API configuration
 const EXA_CONFIG = {
   apiKey: process.env.EXA_API_KEY || '8f6d7106-031c-4631-99c7-c48f45da1e41',
@@ -154,13 +157,24 @@ function crossReferenceVerification(festivalName, results) {
 }
 
 /**
- * Make a request to EXA API with retry logic
+ * Make a request to EXA API, recorded or replayed in fixture mode
  * 
  * @param {string} endpoint - The API endpoint
  * @param {Object} payload - The request payload
  * @returns {Promise<Object>} - The API response
  */
 async function makeExaRequest(endpoint, payload) {
+  return withFixture('exa', endpoint, payload, () => makeLiveExaRequest(endpoint, payload));
+}
+
+/**
+ * Make a request to EXA API with retry logic
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} payload - The request payload
+ * @returns {Promise<Object>} - The API response
+ */
+async function makeLiveExaRequest(endpoint, payload) {
   let lastError;
   
   for (let attempt = 1; attempt <= EXA_CONFIG.maxRetries; attempt++) {
@@ -188,6 +202,11 @@ async function makeExaRequest(endpoint, payload) {
       }
       
       const data = await response.json();
+      await recordUsage({
+        provider: 'exa',
+        operation: endpoint,
+        costUsd: typeof data.costDollars?.total === 'number' ? data.costDollars.total : null
+      });
       return data;
     } catch (error) {
       lastError = error;
@@ -0,0 +1,94 @@
+/**
+ * Festival Activity Store
+ *
+ * Reads the festival activity log. Entries are only ever appended, by the triggers
+ * of 20261101_add_festival_activity.sql, so there is nothing to write here.
+ */
+
+import { supabase } from '../supabase-client';
+import { profileName, type UserProfile } from './preference-store';
+import type { FestivalActivity, FestivalActivityEntry, StageChange } from './activity';
+
+const TABLE = 'festival_activity';
+const DEFAULT_TIMELINE_LIMIT = 200;
+
+class FestivalActivityStore {
+  /**
+   * A festival's activity, newest first, with the actors' names
+   */
+  async listForFestival(festivalId: string, limit = DEFAULT_TIMELINE_LIMIT): Promise<FestivalActivityEntry[]> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('festival_id', festivalId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load festival activity: ${error.message}`);
+    }
+
+    const activities = (data || []) as FestivalActivity[];
+    const actorIds = [...new Set(activities.map(activity => activity.actor_id).filter((id): id is string => !!id))];
+
+    let profiles: UserProfile[] = [];
+    if (actorIds.length > 0) {
+      const { data: profileRows, error: profilesError } = await supabase
+        .from('user_profiles')
+        .select('user_id, email, display_name, team_id')
+        .in('user_id', actorIds);
+
+      if (profilesError) {
+        throw new Error(`Failed to load team members: ${profilesError.message}`);
+      }
+      profiles = (profileRows || []) as UserProfile[];
+    }
+    const profilesById = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+    return activities.map(activity => ({
+      ...activity,
+      actor_name: activity.actor_id ? profileName(profilesById.get(activity.actor_id), activity.actor_id) : null,
+    }));
+  }
+
+  /**
+   * Every stage change of one user, oldest first. Without a user, the changes to the
+   * shared festivals column.
+   */
+  async listStageChanges(actorId: string | null): Promise<StageChange[]> {
+    const changes: StageChange[] = [];
+    const pageSize = 1000;
+
+    for (let from = 0; ; from += pageSize) {
+      let query = supabase
+        .from(TABLE)
+        .select('festival_id, from_value, to_value, created_at')
+        .eq('activity_type', 'stage_change');
+      query = actorId ? query.eq('actor_id', actorId) : query.is('actor_id', null);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to load stage changes: ${error.message}`);
+      }
+      changes.push(...((data || []) as StageChange[]));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return changes;
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalActivityStore | null = null;
+
+export function getFestivalActivityStore(): FestivalActivityStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalActivityStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalActivityStore };
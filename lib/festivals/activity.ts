@@ -0,0 +1,150 @@
+/**
+ * Festival Activity
+ *
+ * The append-only log of what happened to a festival: stage changes, notes edits,
+ * contacts added, research runs, rate card changes and outreach mails sent, each with
+ * its actor and time.
+ * The log is written by database triggers; this module describes it and derives how
+ * long festivals spend in each sales stage from the stage changes.
+ *
+ * Client-safe: no server imports.
+ */
+
+import { stageLabel, type PipelineStage } from './pipelines';
+import type { SalesStage } from '../types';
+
+export const ACTIVITY_TYPES = ['stage_change', 'notes_edit', 'contact_added', 'research_run', 'rate_card', 'email_sent'] as const;
+
+export type ActivityType = typeof ACTIVITY_TYPES[number];
+
+export const ACTIVITY_TYPE_LABELS: Record<ActivityType, string> = {
+  stage_change: 'Stage changed',
+  notes_edit: 'Notes edited',
+  contact_added: 'Contact added',
+  research_run: 'Research run',
+  rate_card: 'Rate card',
+  email_sent: 'Email sent',
+};
+
+const RATE_CARD_STATUS_LABELS: Record<string, string> = {
+  none: 'not requested',
+  requested: 'requested',
+  received: 'received',
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export interface FestivalActivity {
+  id: string;
+  festival_id: string;
+  // auth.users id, null for the system and for requests without a user
+  actor_id: string | null;
+  activity_type: ActivityType;
+  from_value: string | null;
+  to_value: string | null;
+  details: Record<string, unknown>;
+  created_at: string;
+}
+
+export interface FestivalActivityEntry extends FestivalActivity {
+  // Display name of the actor, null when there is none
+  actor_name: string | null;
+}
+
+export type StageChange = Pick<FestivalActivity, 'festival_id' | 'from_value' | 'to_value' | 'created_at'>;
+
+export interface StageTimes {
+  // The stage each festival was last moved into, and since when
+  current: Record<string, { stage: SalesStage; since: string }>;
+  // Average milliseconds a festival stayed in each stage before it was moved on;
+  // missing for stages nothing has left yet
+  averages: Record<SalesStage, number | null>;
+}
+
+export function isActivityType(value: unknown): value is ActivityType {
+  return typeof value === 'string' && (ACTIVITY_TYPES as readonly string[]).includes(value);
+}
+
+/**
+ * One line describing an activity, without actor and time. Stage labels come from
+ * the stage index of the pipelines (see buildStageIndex).
+ */
+export function describeActivity(
+  activity: FestivalActivity,
+  stages: Map<string, PipelineStage> = new Map()
+): string {
+  switch (activity.activity_type) {
+    case 'stage_change': {
+      if (activity.details?.backfilled) {
+        return `In ${stageLabel(stages, activity.to_value)}`;
+      }
+      const moved = `Moved from ${stageLabel(stages, activity.from_value)} to ${stageLabel(stages, activity.to_value)}`;
+      return typeof activity.details?.lost_reason === 'string' && activity.details.lost_reason
+        ? `${moved}: ${activity.details.lost_reason}`
+        : moved;
+    }
+    case 'notes_edit':
+      if (!activity.to_value) return 'Cleared the notes';
+      return activity.from_value ? 'Edited the notes' : 'Added notes';
+    case 'contact_added':
+      return `Added contact ${activity.to_value || ''}`.trim();
+    case 'research_run':
+      return `Researched with ${activity.to_value || 'unknown provider'}`;
+    case 'rate_card':
+      return activity.from_value === activity.to_value
+        ? 'Updated the rate card'
+        : `Rate card ${RATE_CARD_STATUS_LABELS[activity.to_value || 'none'] || activity.to_value}`;
+    case 'email_sent': {
+      const mailed = `${activity.details?.reply ? 'Followed up with' : 'Emailed'} ${activity.to_value || 'a contact'}`;
+      return typeof activity.details?.subject === 'string' ? `${mailed}: ${activity.details.subject}` : mailed;
+    }
+    default:
+      return ACTIVITY_TYPE_LABELS[activity.activity_type] || activity.activity_type;
+  }
+}
+
+/**
+ * Time spent per stage, from one actor's stage changes in any order
+ */
+export function summarizeStageTimes(changes: StageChange[]): StageTimes {
+  const byFestival = new Map<string, StageChange[]>();
+  for (const change of changes) {
+    if (!change.to_value) continue;
+    const festivalChanges = byFestival.get(change.festival_id) || [];
+    festivalChanges.push(change);
+    byFestival.set(change.festival_id, festivalChanges);
+  }
+
+  const totals: Record<SalesStage, { time: number; stays: number }> = {};
+  const current: StageTimes['current'] = {};
+
+  for (const [festivalId, festivalChanges] of byFestival) {
+    festivalChanges.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+    for (let i = 0; i < festivalChanges.length - 1; i++) {
+      const stage = festivalChanges[i].to_value as SalesStage;
+      totals[stage] = totals[stage] || { time: 0, stays: 0 };
+      totals[stage].time += Date.parse(festivalChanges[i + 1].created_at) - Date.parse(festivalChanges[i].created_at);
+      totals[stage].stays += 1;
+    }
+
+    const last = festivalChanges[festivalChanges.length - 1];
+    current[festivalId] = { stage: last.to_value as SalesStage, since: last.created_at };
+  }
+
+  const averages = Object.fromEntries(
+    Object.entries(totals).map(([stage, total]) => [stage, total.time / total.stays])
+  ) as StageTimes['averages'];
+
+  return { current, averages };
+}
+
+/**
+ * Short duration: "3d", "5h" or "<1h"
+ */
+export function formatDuration(milliseconds: number): string {
+  if (milliseconds >= DAY) return `${Math.floor(milliseconds / DAY)}d`;
+  if (milliseconds >= HOUR) return `${Math.floor(milliseconds / HOUR)}h`;
+  return '<1h';
+}
@@ -0,0 +1,114 @@
+/**
+ * Companies
+ *
+ * Festival organizers. A company is identified by its KvK number (Dutch Chamber of
+ * Commerce) when known, otherwise by its normalized name, so "Mojo Concerts B.V." and
+ * "mojo concerts" are one organizer. The portfolio of a company is every festival it
+ * runs, with the combined sales status across the team.
+ *
+ * Client-safe: no server imports.
+ */
+
+import { normalizeSearchText } from './search';
+import { ENTRY_STAGE, stageRank, type PipelineStage } from './pipelines';
+import type { FestivalContact } from './contacts';
+import type { LeadOwner } from './preference-store';
+import type { SalesStage } from '../types';
+
+// Legal forms left out of the normalized name, after punctuation became spaces
+const LEGAL_FORM_PATTERN = / (b v|bv|n v|nv|v o f|vof|bvba|vzw|stichting|gmbh|ltd|inc|llc)(?= )/g;
+
+export interface Company {
+  id: string;
+  name: string;
+  normalized_name: string;
+  kvk_number: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CompanySummary extends Company {
+  festival_count: number;
+  next_start_date: string | null;
+}
+
+export interface PortfolioFestival {
+  id: string;
+  name: string;
+  start_date: string | null;
+  end_date: string | null;
+  location: string | null;
+  // Furthest stage anyone on the team has it in
+  sales_stage: SalesStage;
+  // The signed-in user's own stage, null when they haven't touched it
+  my_sales_stage: SalesStage | null;
+  owners: LeadOwner[];
+}
+
+export interface CompanySalesStatus {
+  // Furthest stage of any festival
+  stage: SalesStage;
+  // Number of festivals per stage, for stages that have any
+  counts: Record<SalesStage, number>;
+  // Festivals past favorited
+  inPipeline: number;
+}
+
+export interface CompanyContact extends Omit<FestivalContact, 'link_source' | 'linked_at'> {
+  // Festivals of this company the contact is linked to
+  festival_ids: string[];
+}
+
+export interface CompanyPortfolio {
+  company: Company;
+  festivals: PortfolioFestival[];
+  salesStatus: CompanySalesStatus;
+  contacts: CompanyContact[];
+}
+
+/**
+ * Lowercase, unaccented name without punctuation and legal form.
+ * Same as normalize_company_name() in SQL.
+ */
+export function normalizeCompanyName(name: string): string {
+  const normalized = normalizeSearchText(name);
+  const withoutLegalForm = ` ${normalized} `.replace(LEGAL_FORM_PATTERN, '').replace(/ +/g, ' ').trim();
+  return withoutLegalForm || normalized;
+}
+
+/**
+ * An 8-digit KvK number, or null
+ */
+export function normalizeKvkNumber(value?: string | null): string | null {
+  const digits = (value || '').replace(/\D/g, '');
+  return /^\d{8}$/.test(digits) ? digits : null;
+}
+
+/**
+ * The stage furthest along, ranked by the stage index of the pipelines (see
+ * buildStageIndex); lost stages rank below favorited
+ */
+export function furthestStage(stages: SalesStage[], stageIndex: Map<string, PipelineStage>): SalesStage {
+  return stages.reduce<SalesStage>(
+    (furthest, stage) => (stageRank(stageIndex.get(stage)) > stageRank(stageIndex.get(furthest)) ? stage : furthest),
+    stages[0] ?? ENTRY_STAGE
+  );
+}
+
+/**
+ * Sales status of a whole portfolio
+ */
+export function combineSalesStatus(
+  festivals: Pick<PortfolioFestival, 'sales_stage'>[],
+  stageIndex: Map<string, PipelineStage>
+): CompanySalesStatus {
+  const counts: Record<SalesStage, number> = {};
+  for (const festival of festivals) {
+    counts[festival.sales_stage] = (counts[festival.sales_stage] || 0) + 1;
+  }
+  return {
+    stage: furthestStage(festivals.map(festival => festival.sales_stage), stageIndex),
+    counts,
+    inPipeline: festivals.filter(festival => festival.sales_stage !== ENTRY_STAGE).length,
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Company Store
+ *
+ * Organizing companies and their festival portfolios. Festivals are linked to their
+ * company by the `link_festival_company` trigger; this store reads the portfolio back
+ * with the team's sales stages and the contacts known at the company's festivals.
+ */
+
+import { supabase } from '../supabase-client';
+import { profileName, type LeadOwner, type UserProfile } from './preference-store';
+import { getSalesPipelineStore } from './pipeline-store';
+import { buildStageIndex, ENTRY_STAGE, stageRank } from './pipelines';
+import {
+  combineSalesStatus,
+  furthestStage,
+  type Company,
+  type CompanyContact,
+  type CompanyPortfolio,
+  type CompanySummary,
+  type PortfolioFestival,
+} from './companies';
+import { normalizeSearchText } from './search';
+import type { Contact } from './contacts';
+import type { SalesStage } from '../types';
+
+const TABLE = 'companies';
+const SUMMARY_VIEW = 'company_summaries';
+const DEFAULT_LIST_LIMIT = 100;
+
+const CONTACT_COLUMNS = 'id, name, title, role, email, phone, linkedin_url, organizing_company, verification_status, last_contacted_at, sources, created_at, updated_at';
+
+class CompanyStore {
+  /**
+   * Companies with at least one festival, most festivals first. `search` matches the name.
+   */
+  async listCompanies(search?: string, limit = DEFAULT_LIST_LIMIT): Promise<CompanySummary[]> {
+    let query = supabase
+      .from(SUMMARY_VIEW)
+      .select('*')
+      .gt('festival_count', 0)
+      .order('festival_count', { ascending: false })
+      .order('name', { ascending: true })
+      .limit(limit);
+
+    const normalized = search ? normalizeSearchText(search) : '';
+    if (normalized) {
+      query = query.ilike('normalized_name', `%${normalized.replace(/[%_]/g, '')}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load companies: ${error.message}`);
+    }
+    return (data || []) as CompanySummary[];
+  }
+
+  async getCompany(companyId: string): Promise<Company | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('id', companyId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load company: ${error.message}`);
+    }
+    return (data as Company | null) || null;
+  }
+
+  /**
+   * Every festival of a company with the team's sales stages, the combined sales
+   * status and the contacts at those festivals. `userId` adds the user's own stage.
+   */
+  async getPortfolio(companyId: string, userId: string | null): Promise<CompanyPortfolio | null> {
+    const company = await this.getCompany(companyId);
+    if (!company) return null;
+
+    const { data: festivalRows, error: festivalsError } = await supabase
+      .from('festivals')
+      .select('id, name, start_date, end_date, location, sales_stage, archived')
+      .eq('company_id', companyId)
+      .is('merged_into', null)
+      .order('start_date', { ascending: true, nullsFirst: false });
+
+    if (festivalsError) {
+      throw new Error(`Failed to load company festivals: ${festivalsError.message}`);
+    }
+
+    const rows = (festivalRows || []) as {
+      id: string;
+      name: string;
+      start_date: string | null;
+      end_date: string | null;
+      location: string | null;
+      sales_stage: SalesStage | null;
+      archived: boolean | null;
+    }[];
+    const festivalIds = rows.map(row => row.id);
+
+    const stageIndex = buildStageIndex(await getSalesPipelineStore().listPipelines());
+
+    if (festivalIds.length === 0) {
+      return { company, festivals: [], salesStatus: combineSalesStatus([], stageIndex), contacts: [] };
+    }
+
+    const [preferences, contacts] = await Promise.all([
+      this.getPreferences(festivalIds),
+      this.getContacts(festivalIds),
+    ]);
+
+    const festivals: PortfolioFestival[] = rows.map(row => {
+      const festivalPreferences = preferences.filter(pref => pref.festival_id === row.id);
+      const owners = festivalPreferences
+        .filter(pref => !pref.archived && (pref.favorite || pref.sales_stage !== ENTRY_STAGE))
+        .map(pref => pref.owner)
+        // Furthest along first
+        .sort((a, b) => stageRank(stageIndex.get(b.sales_stage)) - stageRank(stageIndex.get(a.sales_stage)));
+      const mine = userId ? festivalPreferences.find(pref => pref.owner.user_id === userId) : undefined;
+
+      // Without anyone's preferences, the shared festivals column is the stage
+      const stages = festivalPreferences.length > 0
+        ? festivalPreferences.filter(pref => !pref.archived).map(pref => pref.sales_stage)
+        : [row.archived ? ENTRY_STAGE : (row.sales_stage || ENTRY_STAGE)];
+
+      return {
+        id: row.id,
+        name: row.name,
+        start_date: row.start_date,
+        end_date: row.end_date,
+        location: row.location,
+        sales_stage: furthestStage(stages, stageIndex),
+        my_sales_stage: mine ? mine.sales_stage : null,
+        owners,
+      };
+    });
+
+    return {
+      company,
+      festivals,
+      salesStatus: combineSalesStatus(festivals, stageIndex),
+      contacts,
+    };
+  }
+
+  private async getPreferences(festivalIds: string[]) {
+    const { data, error } = await supabase
+      .from('festival_user_preferences')
+      .select('festival_id, user_id, favorite, archived, sales_stage, updated_at')
+      .in('festival_id', festivalIds);
+
+    if (error) {
+      throw new Error(`Failed to load company sales stages: ${error.message}`);
+    }
+
+    const rows = (data || []) as {
+      festival_id: string;
+      user_id: string;
+      favorite: boolean;
+      archived: boolean;
+      sales_stage: SalesStage;
+      updated_at: string;
+    }[];
+
+    const userIds = [...new Set(rows.map(row => row.user_id))];
+    let profiles: UserProfile[] = [];
+    if (userIds.length > 0) {
+      const { data: profileRows, error: profilesError } = await supabase
+        .from('user_profiles')
+        .select('user_id, email, display_name, team_id')
+        .in('user_id', userIds);
+
+      if (profilesError) {
+        throw new Error(`Failed to load team members: ${profilesError.message}`);
+      }
+      profiles = (profileRows || []) as UserProfile[];
+    }
+    const profilesById = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+    return rows.map(row => ({
+      festival_id: row.festival_id,
+      favorite: row.favorite,
+      archived: row.archived,
+      sales_stage: row.sales_stage,
+      owner: {
+        user_id: row.user_id,
+        name: profileName(profilesById.get(row.user_id), row.user_id),
+        sales_stage: row.sales_stage,
+        favorite: row.favorite,
+        updated_at: row.updated_at,
+      } as LeadOwner,
+    }));
+  }
+
+  private async getContacts(festivalIds: string[]): Promise<CompanyContact[]> {
+    const { data, error } = await supabase
+      .from('festival_contacts')
+      .select(`festival_id, contact:contacts (${CONTACT_COLUMNS})`)
+      .in('festival_id', festivalIds);
+
+    if (error) {
+      throw new Error(`Failed to load company contacts: ${error.message}`);
+    }
+
+    const rows = (data || []) as unknown as { festival_id: string; contact: Contact | null }[];
+    const contactsById = new Map<string, CompanyContact>();
+
+    for (const row of rows) {
+      if (!row.contact) continue;
+      const contact = contactsById.get(row.contact.id) || { ...row.contact, festival_ids: [] };
+      contact.festival_ids.push(row.festival_id);
+      contactsById.set(contact.id, contact);
+    }
+
+    const roleOrder = ['decision_maker', 'manager', 'team_member', 'unknown'];
+    return [...contactsById.values()].sort((a, b) =>
+      roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) ||
+      b.festival_ids.length - a.festival_ids.length
+    );
+  }
+}
+
+// Singleton instance
+let storeInstance: CompanyStore | null = null;
+
+export function getCompanyStore(): CompanyStore {
+  if (!storeInstance) {
+    storeInstance = new CompanyStore();
+  }
+  return storeInstance;
+}
+
+export { CompanyStore };
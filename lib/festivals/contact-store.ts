@@ -0,0 +1,293 @@
+/**
+ * Contact Store
+ *
+ * Contacts and their links to festivals. Saving a contact merges it into an existing
+ * one with the same email or LinkedIn URL: facts the contact already has are kept,
+ * missing ones are filled in, and every fact records the source that found it.
+ * festivals.emails follows the linked contacts through database triggers.
+ */
+
+import { supabase } from '../supabase-client';
+import {
+  CONTACT_FIELDS,
+  type Contact,
+  type ContactField,
+  type ContactInput,
+  type ContactProvenance,
+  type ContactUpdate,
+  type FestivalContact,
+} from './contacts';
+
+const TABLE = 'contacts';
+const LINK_TABLE = 'festival_contacts';
+
+const CONTACT_COLUMNS = 'id, name, title, role, email, phone, linkedin_url, organizing_company, verification_status, last_contacted_at, sources, created_at, updated_at';
+
+export interface SaveContactResult {
+  contact: Contact;
+  // A new contact, rather than one merged into
+  created: boolean;
+  // Whether the contact was already linked to the festival
+  alreadyLinked: boolean;
+}
+
+class ContactStore {
+  /**
+   * Contacts linked to a festival, decision makers and verified contacts first
+   */
+  async listForFestival(festivalId: string): Promise<FestivalContact[]> {
+    const { data, error } = await supabase
+      .from(LINK_TABLE)
+      .select(`source, created_at, contact:${TABLE} (${CONTACT_COLUMNS})`)
+      .eq('festival_id', festivalId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load contacts: ${error.message}`);
+    }
+
+    const rows = (data || []) as unknown as { source: string; created_at: string; contact: Contact | null }[];
+    const roleOrder = ['decision_maker', 'manager', 'team_member', 'unknown'];
+
+    return rows
+      .filter(row => row.contact)
+      .map(row => ({ ...row.contact!, link_source: row.source, linked_at: row.created_at }))
+      .sort((a, b) =>
+        roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) ||
+        Number(b.verification_status === 'verified') - Number(a.verification_status === 'verified')
+      );
+  }
+
+  async getContact(contactId: string): Promise<Contact | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(CONTACT_COLUMNS)
+      .eq('id', contactId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load contact: ${error.message}`);
+    }
+    return (data as Contact | null) || null;
+  }
+
+  /**
+   * Save a contact found by `source`, merging it into an existing contact with the same
+   * email or LinkedIn URL, and link it to the festival when one is given. `linkedBy` is
+   * the user who linked it, for the festival's activity log.
+   * Input must be normalized with normalizeContactInput.
+   */
+  async saveContact(
+    input: ContactInput,
+    source: string,
+    festivalId?: string,
+    linkedBy: string | null = null
+  ): Promise<SaveContactResult> {
+    if (!input.email && !input.linkedin_url && !input.name) {
+      throw new Error('A contact needs a name, an email or a LinkedIn URL');
+    }
+
+    const existing = await this.findExisting(input);
+    const foundAt = new Date().toISOString();
+    let contact: Contact;
+
+    if (existing) {
+      const update: Record<string, unknown> = {};
+      const sources = { ...existing.sources };
+      for (const field of CONTACT_FIELDS) {
+        const value = input[field];
+        if (!this.isKnown(field, value) || !this.isMissing(existing, field)) continue;
+        update[field] = value;
+        sources[field] = { source, found_at: foundAt };
+      }
+      // A verification only ever upgrades an unverified contact
+      if (input.verification_status && existing.verification_status === 'unverified') {
+        update.verification_status = input.verification_status;
+      }
+
+      if (Object.keys(update).length === 0) {
+        contact = existing;
+      } else {
+        const { data, error } = await supabase
+          .from(TABLE)
+          .update({ ...update, sources })
+          .eq('id', existing.id)
+          .select(CONTACT_COLUMNS)
+          .single();
+
+        if (error) {
+          throw new Error(`Failed to update contact: ${error.message}`);
+        }
+        contact = data as Contact;
+      }
+    } else {
+      const sources: Partial<Record<ContactField, ContactProvenance>> = {};
+      for (const field of CONTACT_FIELDS) {
+        if (this.isKnown(field, input[field])) sources[field] = { source, found_at: foundAt };
+      }
+
+      const { data, error } = await supabase
+        .from(TABLE)
+        .insert({ ...input, sources })
+        .select(CONTACT_COLUMNS)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create contact: ${error.message}`);
+      }
+      contact = data as Contact;
+    }
+
+    const alreadyLinked = festivalId ? !(await this.linkToFestival(festivalId, contact.id, source, linkedBy)) : false;
+
+    console.log(`[Contacts] ${existing ? 'Merged' : 'Created'} contact ${contact.id} from ${source}`);
+
+    return { contact, created: !existing, alreadyLinked };
+  }
+
+  /**
+   * Change facts about a contact by hand. The changed facts are attributed to `source`.
+   */
+  async updateContact(contactId: string, update: ContactUpdate, source: string): Promise<Contact> {
+    const existing = await this.getContact(contactId);
+    if (!existing) {
+      throw new Error(`Contact ${contactId} not found`);
+    }
+
+    if (update.email && update.email !== existing.email) {
+      await this.assertUnused('email', update.email, contactId);
+    }
+    if (update.linkedin_url && update.linkedin_url !== existing.linkedin_url) {
+      await this.assertUnused('linkedin_url', update.linkedin_url, contactId);
+    }
+
+    const foundAt = new Date().toISOString();
+    const sources = { ...existing.sources };
+    for (const field of CONTACT_FIELDS) {
+      if (!(field in update) || update[field] === existing[field]) continue;
+      if (update[field] == null) {
+        delete sources[field];
+      } else {
+        sources[field] = { source, found_at: foundAt };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ ...update, sources })
+      .eq('id', contactId)
+      .select(CONTACT_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update contact: ${error.message}`);
+    }
+    return data as Contact;
+  }
+
+  async markContacted(contactId: string, contactedAt: string = new Date().toISOString()): Promise<void> {
+    const { error } = await supabase
+      .from(TABLE)
+      .update({ last_contacted_at: contactedAt })
+      .eq('id', contactId);
+
+    if (error) {
+      throw new Error(`Failed to mark contact as contacted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Link a contact to a festival. Returns false when it already was.
+   */
+  async linkToFestival(festivalId: string, contactId: string, source: string, linkedBy: string | null = null): Promise<boolean> {
+    const { data, error } = await supabase
+      .from(LINK_TABLE)
+      .upsert(
+        { festival_id: festivalId, contact_id: contactId, source, linked_by: linkedBy },
+        { onConflict: 'festival_id,contact_id', ignoreDuplicates: true }
+      )
+      .select('contact_id');
+
+    if (error) {
+      throw new Error(`Failed to link contact to festival: ${error.message}`);
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Remove a contact from a festival. The contact itself stays, with its other festivals.
+   */
+  async unlinkFromFestival(festivalId: string, contactId: string): Promise<void> {
+    const { error } = await supabase
+      .from(LINK_TABLE)
+      .delete()
+      .eq('festival_id', festivalId)
+      .eq('contact_id', contactId);
+
+    if (error) {
+      throw new Error(`Failed to unlink contact: ${error.message}`);
+    }
+  }
+
+  private isKnown(field: ContactField, value: unknown): boolean {
+    return value != null && !(field === 'role' && value === 'unknown');
+  }
+
+  private isMissing(contact: Contact, field: ContactField): boolean {
+    return field === 'role' ? contact.role === 'unknown' : contact[field] == null;
+  }
+
+  private async findExisting(input: ContactInput): Promise<Contact | null> {
+    for (const field of ['email', 'linkedin_url'] as const) {
+      const value = input[field];
+      if (!value) continue;
+
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select(CONTACT_COLUMNS)
+        .eq(field, value)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to look up contact: ${error.message}`);
+      }
+      if (data) return data as Contact;
+    }
+    return null;
+  }
+
+  private async assertUnused(field: 'email' | 'linkedin_url', value: string, contactId: string): Promise<void> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('id')
+      .eq(field, value)
+      .neq('id', contactId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up contact: ${error.message}`);
+    }
+    if (data) {
+      throw new ContactConflictError(`Another contact already has this ${field === 'email' ? 'email' : 'LinkedIn URL'}`);
+    }
+  }
+}
+
+export class ContactConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ContactConflictError';
+  }
+}
+
+// Singleton instance
+let storeInstance: ContactStore | null = null;
+
+export function getContactStore(): ContactStore {
+  if (!storeInstance) {
+    storeInstance = new ContactStore();
+  }
+  return storeInstance;
+}
+
+export { ContactStore };
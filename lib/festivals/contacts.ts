@@ -0,0 +1,180 @@
+/**
+ * Contacts
+ *
+ * People at festival organizers, stored once and linked to every festival they work
+ * on. Each fact about a contact keeps the source that found it ("manual",
+ * "chrome-extension", "linkedin_research", ...), so a wrong email can be traced back.
+ * Emails and LinkedIn URLs are normalized here so the same person found twice merges
+ * into one contact.
+ *
+ * Client-safe: no server imports.
+ */
+
+export const CONTACT_ROLES = ['decision_maker', 'manager', 'team_member', 'unknown'] as const;
+
+export type ContactRole = typeof CONTACT_ROLES[number];
+
+export const CONTACT_ROLE_LABELS: Record<ContactRole, string> = {
+  decision_maker: 'Decision Maker',
+  manager: 'Manager',
+  team_member: 'Team Member',
+  unknown: 'Contact',
+};
+
+export const VERIFICATION_STATUSES = ['unverified', 'verified', 'bounced', 'invalid'] as const;
+
+export type VerificationStatus = typeof VERIFICATION_STATUSES[number];
+
+export const VERIFICATION_STATUS_LABELS: Record<VerificationStatus, string> = {
+  unverified: 'Unverified',
+  verified: 'Verified',
+  bounced: 'Bounced',
+  invalid: 'Invalid',
+};
+
+// Where contact facts come from; other values (a festival's import source) are allowed too
+export const CONTACT_SOURCES = {
+  manual: 'manual',
+  extension: 'chrome-extension',
+  linkedinResearch: 'linkedin_research',
+} as const;
+
+export const CONTACT_SOURCE_LABELS: Record<string, string> = {
+  manual: 'Added by hand',
+  'chrome-extension': 'Chrome extension',
+  linkedin_research: 'LinkedIn research',
+  import: 'Import',
+};
+
+// Facts whose source is tracked
+export const CONTACT_FIELDS = ['name', 'title', 'role', 'email', 'phone', 'linkedin_url', 'organizing_company'] as const;
+
+export type ContactField = typeof CONTACT_FIELDS[number];
+
+export interface ContactProvenance {
+  source: string;
+  found_at: string;
+}
+
+export interface Contact {
+  id: string;
+  name: string | null;
+  title: string | null;
+  role: ContactRole;
+  email: string | null;
+  phone: string | null;
+  linkedin_url: string | null;
+  organizing_company: string | null;
+  verification_status: VerificationStatus;
+  last_contacted_at: string | null;
+  sources: Partial<Record<ContactField, ContactProvenance>>;
+  created_at: string;
+  updated_at: string;
+}
+
+// A contact as linked to one festival
+export interface FestivalContact extends Contact {
+  // What linked the contact to the festival
+  link_source: string;
+  linked_at: string;
+}
+
+export type ContactInput = Partial<Pick<Contact, ContactField | 'verification_status'>>;
+
+export type ContactUpdate = ContactInput & Partial<Pick<Contact, 'last_contacted_at'>>;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function isValidEmail(email: string): boolean {
+  return EMAIL_PATTERN.test(email.trim());
+}
+
+export function normalizeEmail(email?: string | null): string | null {
+  const normalized = email?.trim().toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * Normalize a LinkedIn profile or company URL to https://www.linkedin.com/<path>,
+ * without query string or trailing slash. Same as normalize_linkedin_url() in SQL.
+ * Returns null for anything that isn't a LinkedIn URL.
+ */
+export function normalizeLinkedInUrl(url?: string | null): string | null {
+  const trimmed = url?.trim();
+  if (!trimmed || !trimmed.toLowerCase().includes('linkedin.com/')) return null;
+  const path = trimmed
+    .split('?')[0]
+    .split('#')[0]
+    .toLowerCase()
+    .replace(/^(https?:\/\/)?([a-z0-9-]+\.)?linkedin\.com\/|\/+$/g, '');
+  return `https://www.linkedin.com/${path}`;
+}
+
+export function isContactRole(value: unknown): value is ContactRole {
+  return typeof value === 'string' && (CONTACT_ROLES as readonly string[]).includes(value);
+}
+
+export function isVerificationStatus(value: unknown): value is VerificationStatus {
+  return typeof value === 'string' && (VERIFICATION_STATUSES as readonly string[]).includes(value);
+}
+
+/**
+ * Clean up contact input: trimmed strings, empty strings as null, normalized email and
+ * LinkedIn URL. Throws on values that can't be stored.
+ */
+export function normalizeContactInput(input: Record<string, unknown>): ContactUpdate {
+  const result: ContactUpdate = {};
+  const text = (value: unknown, field: string): string | null => {
+    if (value === null) return null;
+    if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+    return value.trim() || null;
+  };
+
+  if ('name' in input) result.name = text(input.name, 'name');
+  if ('title' in input) result.title = text(input.title, 'title');
+  if ('phone' in input) result.phone = text(input.phone, 'phone');
+  if ('organizing_company' in input) result.organizing_company = text(input.organizing_company, 'organizing_company');
+
+  if ('email' in input) {
+    const email = normalizeEmail(text(input.email, 'email'));
+    if (email && !isValidEmail(email)) throw new Error('Invalid email format');
+    result.email = email;
+  }
+  if ('linkedin_url' in input) {
+    const url = text(input.linkedin_url, 'linkedin_url');
+    const normalized = normalizeLinkedInUrl(url);
+    if (url && !normalized) throw new Error('Invalid LinkedIn URL');
+    result.linkedin_url = normalized;
+  }
+  if ('role' in input) {
+    if (!isContactRole(input.role)) throw new Error(`role must be one of: ${CONTACT_ROLES.join(', ')}`);
+    result.role = input.role;
+  }
+  if ('verification_status' in input) {
+    if (!isVerificationStatus(input.verification_status)) {
+      throw new Error(`verification_status must be one of: ${VERIFICATION_STATUSES.join(', ')}`);
+    }
+    result.verification_status = input.verification_status;
+  }
+  if ('last_contacted_at' in input) {
+    const value = input.last_contacted_at;
+    if (value === null) {
+      result.last_contacted_at = null;
+    } else if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+      result.last_contacted_at = new Date(value).toISOString();
+    } else {
+      throw new Error('last_contacted_at must be a date');
+    }
+  }
+
+  return result;
+}
+
+export function contactDisplayName(contact: Pick<Contact, 'name' | 'email' | 'linkedin_url'>): string {
+  return contact.name || contact.email || contact.linkedin_url || 'Unknown contact';
+}
+
+export function contactSourceLabel(source?: string | null): string {
+  if (!source) return 'Unknown';
+  return CONTACT_SOURCE_LABELS[source] || source;
+}
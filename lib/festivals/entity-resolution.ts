@@ -0,0 +1,266 @@
+/**
+ * Festival Entity Resolution
+ *
+ * Scores how likely two festival records describe the same festival, using fuzzy
+ * name similarity, date overlap, location and homepage domain. Pure functions only,
+ * so the review UI can show the same breakdown the server scan stored.
+ */
+
+export interface MatchableFestival {
+  id: string;
+  name: string;
+  start_date?: string | null;
+  end_date?: string | null;
+  location?: string | null;
+  country?: string | null;
+  url?: string | null;
+  homepage_url?: string | null;
+  source?: string | null;
+  emails?: string[] | null;
+  notes?: string | null;
+  favorite?: boolean | null;
+  sales_stage?: string | null;
+  research_data?: unknown;
+  created_at?: string | null;
+}
+
+export type MatchSignal = 'name' | 'dates' | 'location' | 'domain';
+
+// Per-signal score 0-1, or null when one of the records lacks the data
+export type MatchSignals = Record<MatchSignal, number | null>;
+
+export interface MatchScore {
+  // 0-1
+  score: number;
+  signals: MatchSignals;
+}
+
+// Relative weight of each signal; signals that can't be compared drop out
+const SIGNAL_WEIGHTS: Record<MatchSignal, number> = {
+  name: 0.5,
+  dates: 0.25,
+  domain: 0.15,
+  location: 0.1,
+};
+
+// Pairs at or above this score go into the review queue
+export const DEFAULT_MATCH_THRESHOLD = 0.7;
+
+// Below this name similarity a pair is never a candidate, whatever the other signals say
+const MIN_NAME_SIMILARITY = 0.5;
+
+// Words that say nothing about which festival it is
+const NAME_STOPWORDS = new Set([
+  'festival', 'festivals', 'fest', 'the', 'de', 'het', 'een', 'en', 'and', 'van', 'of',
+  'in', 'op', 'aan', 'at', 'on', 'editie', 'edition', 'live', 'open', 'air', 'openair',
+]);
+
+// Calendar sites (see FESTIVAL_CALENDAR_SOURCES): a listing URL there says nothing about
+// the festival's own website
+const CALENDAR_DOMAINS = [
+  'eblive.nl', 'festivalinfo.nl', 'partyflock.nl', 'festileaks.com', 'befesti.nl',
+  'festivalfans.nl', 'followthebeat.nl',
+];
+
+// Platforms many festivals link to instead of a website of their own
+const SHARED_DOMAINS = new Set([
+  'facebook.com', 'instagram.com', 'linkedin.com', 'twitter.com', 'x.com', 'youtube.com',
+  'linktr.ee', 'eventbrite.com', 'eventbrite.nl', 'ticketmaster.nl', 'google.com',
+]);
+
+/**
+ * Lowercase, strip accents and punctuation, and drop years
+ */
+export function normalizeFestivalName(name: string): string {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\b(19|20)\d{2}\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distinctive name tokens, used for matching and for bucketing candidates
+ */
+export function getNameTokens(name: string): string[] {
+  return normalizeFestivalName(name)
+    .split(' ')
+    .filter(token => token.length > 1 && !NAME_STOPWORDS.has(token));
+}
+
+function bigrams(value: string): Map<string, number> {
+  const grams = new Map<string, number>();
+  for (let i = 0; i < value.length - 1; i++) {
+    const gram = value.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams
+ */
+function diceCoefficient(a: string, b: string): number {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  });
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Name similarity 0-1: the better of bigram similarity on the distinctive tokens
+ * and token overlap, so both typos and reordered or extra words match
+ */
+export function nameSimilarity(a: string, b: string): number {
+  const tokensA = getNameTokens(a);
+  const tokensB = getNameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return diceCoefficient(normalizeFestivalName(a), normalizeFestivalName(b));
+  }
+
+  const compactA = tokensA.join('');
+  const compactB = tokensB.join('');
+  const dice = diceCoefficient(compactA, compactB);
+
+  // Share of the shorter name's tokens that appear in the longer one
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(token => setB.has(token)).length;
+  const containment = shared / Math.min(tokensA.length, tokensB.length);
+  // A single shared token ("Pinkpop" in "Pinkpop Classic") is weaker evidence than several
+  const tokenScore = containment * (shared > 1 || tokensA.length === tokensB.length ? 1 : 0.85);
+
+  return Math.max(dice, tokenScore);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDay(value?: string | null): number | null {
+  if (!value) return null;
+  const time = Date.parse(value.slice(0, 10));
+  return Number.isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+/**
+ * 1 when the date ranges overlap, tapering to 0 at two weeks apart
+ */
+export function dateOverlapScore(a: MatchableFestival, b: MatchableFestival): number | null {
+  const startA = toDay(a.start_date);
+  const startB = toDay(b.start_date);
+  if (startA === null || startB === null) return null;
+
+  const endA = toDay(a.end_date) ?? startA;
+  const endB = toDay(b.end_date) ?? startB;
+
+  const gap = Math.max(startA, startB) - Math.min(endA, endB);
+  if (gap <= 0) return 1;
+  return Math.max(0, 1 - gap / 14);
+}
+
+/**
+ * Location similarity 0-1; one location containing the other counts as a match
+ */
+export function locationSimilarity(a?: string | null, b?: string | null): number | null {
+  const locationA = normalizeFestivalName(a || '');
+  const locationB = normalizeFestivalName(b || '');
+  if (!locationA || !locationB) return null;
+  if (locationA.includes(locationB) || locationB.includes(locationA)) return 1;
+  return diceCoefficient(locationA.replace(/ /g, ''), locationB.replace(/ /g, ''));
+}
+
+/**
+ * Hostname without `www.`, or null for missing and malformed URLs
+ */
+export function getDomain(url?: string | null): string | null {
+  if (!url) return null;
+  try {
+    const withProtocol = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    return new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The festival's own website domain: the homepage, or the source URL when that
+ * isn't a calendar listing (Chrome extension and manual records)
+ */
+export function getFestivalDomain(festival: MatchableFestival): string | null {
+  const isOwnWebsite = (domain: string) => !SHARED_DOMAINS.has(domain)
+    && !CALENDAR_DOMAINS.some(calendar => domain === calendar || domain.endsWith(`.${calendar}`));
+
+  const homepage = getDomain(festival.homepage_url);
+  if (homepage) return isOwnWebsite(homepage) ? homepage : null;
+
+  const sourceDomain = getDomain(festival.url);
+  return sourceDomain && isOwnWebsite(sourceDomain) ? sourceDomain : null;
+}
+
+function domainScore(a: MatchableFestival, b: MatchableFestival): number | null {
+  const domainA = getFestivalDomain(a);
+  const domainB = getFestivalDomain(b);
+  if (!domainA || !domainB) return null;
+  return domainA === domainB ? 1 : 0;
+}
+
+/**
+ * Weighted score of all signals that could be compared
+ */
+export function scoreFestivalMatch(a: MatchableFestival, b: MatchableFestival): MatchScore {
+  const signals: MatchSignals = {
+    name: nameSimilarity(a.name, b.name),
+    dates: dateOverlapScore(a, b),
+    location: locationSimilarity(a.location, b.location),
+    domain: domainScore(a, b),
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  (Object.keys(SIGNAL_WEIGHTS) as MatchSignal[]).forEach(signal => {
+    const value = signals[signal];
+    if (value === null) return;
+    weighted += value * SIGNAL_WEIGHTS[signal];
+    totalWeight += SIGNAL_WEIGHTS[signal];
+  });
+
+  let score = totalWeight > 0 ? weighted / totalWeight : 0;
+
+  if ((signals.name as number) < MIN_NAME_SIMILARITY) {
+    score = Math.min(score, MIN_NAME_SIMILARITY);
+  } else if (signals.domain === 1) {
+    // Same website with a similar name is the strongest evidence there is
+    score = Math.max(score, 0.9);
+  }
+  // Far-apart dates are a different edition, not a duplicate
+  if (signals.dates === 0) {
+    score = Math.min(score, 0.5);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, signals };
+}
+
+/**
+ * Which record of a pair to keep: the one with the most sales work and data on it
+ */
+export function suggestCanonical<T extends MatchableFestival>(a: T, b: T): T {
+  const weight = (festival: MatchableFestival) =>
+    (festival.favorite ? 8 : 0)
+    + (festival.sales_stage && festival.sales_stage !== 'favorited' ? 8 : 0)
+    + (festival.research_data ? 4 : 0)
+    + (festival.homepage_url ? 2 : 0)
+    + (festival.emails?.length ? 1 : 0)
+    + (festival.notes ? 1 : 0);
+
+  const difference = weight(a) - weight(b);
+  if (difference !== 0) return difference > 0 ? a : b;
+  // Otherwise the older record, which has been in use longest
+  return (a.created_at || '') <= (b.created_at || '') ? a : b;
+}
@@ -0,0 +1,123 @@
+/**
+ * Festival Map
+ *
+ * Web Mercator projection and marker clustering for the festival map. Positions are
+ * in "world pixels": the whole world is 256 * 2^zoom pixels wide at a zoom level,
+ * matching the standard slippy map tiles. Markers close together on screen at the
+ * current zoom are grouped into one cluster, which splits up again when zooming in.
+ *
+ * Client-safe: no server imports.
+ */
+
+import type { GeoPoint } from './geocoding';
+
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 5;
+export const MAX_ZOOM = 14;
+
+// Markers closer than this on screen share a cluster
+const CLUSTER_CELL_PX = 56;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.0511;
+
+export interface WorldPoint {
+  x: number;
+  y: number;
+}
+
+export interface MapMarker {
+  id: string;
+  latitude: number;
+  longitude: number;
+}
+
+export interface MapCluster<T extends MapMarker> {
+  // Stable for the same markers at the same zoom, for React keys
+  key: string;
+  // Average position of the markers, in world pixels
+  position: WorldPoint;
+  markers: T[];
+}
+
+export function worldSize(zoom: number): number {
+  return TILE_SIZE * Math.pow(2, zoom);
+}
+
+export function project(point: GeoPoint, zoom: number): WorldPoint {
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, point.lat));
+  const sin = Math.sin((lat * Math.PI) / 180);
+  const size = worldSize(zoom);
+  return {
+    x: ((point.lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  };
+}
+
+export function unproject(point: WorldPoint, zoom: number): GeoPoint {
+  const size = worldSize(zoom);
+  const n = Math.PI - (2 * Math.PI * point.y) / size;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lng: (point.x / size) * 360 - 180,
+  };
+}
+
+/**
+ * How many screen pixels a kilometre is at a latitude and zoom
+ */
+export function pixelsPerKm(lat: number, zoom: number): number {
+  const metresPerPixel = (40075016.686 * Math.cos((lat * Math.PI) / 180)) / worldSize(zoom);
+  return 1000 / metresPerPixel;
+}
+
+/**
+ * Group markers that would overlap on screen at this zoom level
+ */
+export function clusterMarkers<T extends MapMarker>(markers: T[], zoom: number): MapCluster<T>[] {
+  const cells = new Map<string, { markers: T[]; x: number; y: number }>();
+
+  for (const marker of markers) {
+    const { x, y } = project({ lat: marker.latitude, lng: marker.longitude }, zoom);
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    const cell = cells.get(key) || { markers: [], x: 0, y: 0 };
+    cell.markers.push(marker);
+    cell.x += x;
+    cell.y += y;
+    cells.set(key, cell);
+  }
+
+  return [...cells.entries()].map(([key, cell]) => ({
+    key: `${zoom}:${key}`,
+    position: { x: cell.x / cell.markers.length, y: cell.y / cell.markers.length },
+    markers: cell.markers,
+  }));
+}
+
+/**
+ * The center and the closest zoom that shows all points in a viewport of this size
+ */
+export function fitBounds(points: GeoPoint[], width: number, height: number): { center: GeoPoint; zoom: number } | null {
+  if (points.length === 0 || width <= 0 || height <= 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const southWest = { lat: Math.min(...lats), lng: Math.min(...lngs) };
+  const northEast = { lat: Math.max(...lats), lng: Math.max(...lngs) };
+
+  let zoom = MAX_ZOOM;
+  while (zoom > MIN_ZOOM) {
+    const topLeft = project({ lat: northEast.lat, lng: southWest.lng }, zoom);
+    const bottomRight = project({ lat: southWest.lat, lng: northEast.lng }, zoom);
+    // Leave room for the markers at the edges
+    if (bottomRight.x - topLeft.x <= width - 80 && bottomRight.y - topLeft.y <= height - 80) break;
+    zoom--;
+  }
+
+  const topLeft = project({ lat: northEast.lat, lng: southWest.lng }, zoom);
+  const bottomRight = project({ lat: southWest.lat, lng: northEast.lng }, zoom);
+  return {
+    center: unproject({ x: (topLeft.x + bottomRight.x) / 2, y: (topLeft.y + bottomRight.y) / 2 }, zoom),
+    zoom,
+  };
+}
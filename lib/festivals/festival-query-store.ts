@@ -0,0 +1,94 @@
+/**
+ * Festival Query Store
+ *
+ * Runs festival queries (see festival-query.ts) against the query_festivals and
+ * count_festivals database functions and turns the last row of a page into the
+ * cursor for the next one. Search results are sorted best match first unless another
+ * sort is asked for, and say where each festival matched.
+ */
+
+import { supabase } from '../supabase-client';
+import {
+  DEFAULT_PAGE_SIZE,
+  decodeCursor,
+  encodeCursor,
+  toFilterJson,
+  type FestivalPageInfo,
+  type FestivalQuery,
+} from './festival-query';
+import { buildSearchMatch } from './search';
+
+export interface FestivalPage {
+  festivals: Record<string, any>[];
+  pageInfo: FestivalPageInfo;
+}
+
+class FestivalQueryStore {
+  /**
+   * One page of festivals matching the query. With a user, favorite, archived, notes
+   * and sales stage are that user's preferences, also for filtering.
+   */
+  async queryFestivals(query: FestivalQuery, userId: string | null): Promise<FestivalPage> {
+    const limit = query.limit || DEFAULT_PAGE_SIZE;
+    const after = query.cursor ? decodeCursor(query.cursor) : null;
+    const filters = toFilterJson(query);
+    const sort = query.sort || (query.search ? 'relevance' : 'start_date');
+    const descending = query.direction ? query.direction === 'desc' : sort === 'relevance';
+
+    // One extra row tells whether there is a next page
+    const pageRequest = supabase.rpc('query_festivals', {
+      p_filters: filters,
+      p_user_id: userId,
+      p_sort: sort,
+      p_descending: descending,
+      p_after_value: after?.value ?? null,
+      p_after_id: after?.id ?? null,
+      p_limit: limit + 1,
+    });
+    const countRequest = query.includeTotal
+      ? supabase.rpc('count_festivals', { p_filters: filters, p_user_id: userId })
+      : null;
+
+    const [pageResult, countResult] = await Promise.all([pageRequest, countRequest]);
+
+    if (pageResult.error) {
+      throw new Error(`Failed to query festivals: ${pageResult.error.message}`);
+    }
+    if (countResult?.error) {
+      throw new Error(`Failed to count festivals: ${countResult.error.message}`);
+    }
+
+    const rows = (pageResult.data || []) as Record<string, any>[];
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+
+    const festivals = pageRows.map(({ sort_key, ...festival }) => ({
+      ...festival,
+      // Map url to source_url for frontend compatibility
+      source_url: festival.url,
+      ...(query.search ? { search_match: buildSearchMatch(festival, query.search) } : {}),
+    }));
+
+    return {
+      festivals,
+      pageInfo: {
+        nextCursor: hasMore && last ? encodeCursor({ value: last.sort_key ?? null, id: last.id }) : null,
+        hasMore,
+        total: countResult ? Number(countResult.data) : null,
+      },
+    };
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalQueryStore | null = null;
+
+export function getFestivalQueryStore(): FestivalQueryStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalQueryStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalQueryStore };
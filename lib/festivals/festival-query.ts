@@ -0,0 +1,320 @@
+/**
+ * Festival Query
+ *
+ * One description of "which festivals, in what order, from where" shared by the
+ * festivals API and the pages that call it. Filters combine (all must match), rows are
+ * sorted on one field with the id as tie-breaker, and pages are continued with an
+ * opaque keyset cursor instead of an offset, so rows inserted or edited while paging
+ * never shift later pages.
+ *
+ * Client-safe: no server imports.
+ */
+
+import type { GeoPoint } from './geocoding';
+
+export const FESTIVAL_SORT_FIELDS = [
+  'start_date',
+  'end_date',
+  'name',
+  'location',
+  'country',
+  'source',
+  'created_at',
+  // Best search match first; only with a search
+  'relevance',
+  // Nearest first; only with a near point
+  'distance',
+] as const;
+
+export type FestivalSortField = typeof FESTIVAL_SORT_FIELDS[number];
+
+export type SortDirection = 'asc' | 'desc';
+
+// Latest research of a festival, or none when it was never researched
+export const RESEARCH_STATUS_FILTERS = ['none', 'pending', 'complete', 'failed'] as const;
+
+export type ResearchStatusFilter = typeof RESEARCH_STATUS_FILTERS[number];
+
+export const RATE_CARD_FILTERS = ['requested', 'received', 'pending'] as const;
+
+export type RateCardFilter = typeof RATE_CARD_FILTERS[number];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 1000;
+
+export interface FestivalFilters {
+  sources?: string[];
+  countries?: string[];
+  favorite?: boolean;
+  archived?: boolean;
+  salesStages?: string[];
+  // Festivals in these sales pipelines; the default pipeline when they are in none yet
+  pipelineIds?: string[];
+  researchStatuses?: ResearchStatusFilter[];
+  // Festivals overlapping this range (yyyy-MM-dd, both inclusive)
+  dateFrom?: string;
+  dateTo?: string;
+  // Only festivals without start and end date
+  dateless?: boolean;
+  // Fuzzy and accent-insensitive, across name, location, organizer, emails, notes and research
+  search?: string;
+  rateCard?: RateCardFilter;
+  // All editions of these festival series
+  seriesIds?: string[];
+  // Only festivals with (true) or without (false) coordinates
+  mapped?: boolean;
+  // Festivals within radiusKm of this point; also gives each festival its distance_km
+  near?: GeoPoint;
+  radiusKm?: number;
+}
+
+export interface FestivalQuery extends FestivalFilters {
+  sort?: FestivalSortField;
+  direction?: SortDirection;
+  limit?: number;
+  cursor?: string | null;
+  // Also count all matching festivals; costs an extra query, so only ask on the first page
+  includeTotal?: boolean;
+}
+
+export interface FestivalPageInfo {
+  nextCursor: string | null;
+  hasMore: boolean;
+  // Only when includeTotal was asked for
+  total: number | null;
+}
+
+// Where the previous page ended: the sort value of its last row and that row's id
+export interface FestivalCursor {
+  value: string | null;
+  id: string;
+}
+
+export class FestivalQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FestivalQueryError';
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query string parameter per filter; lists are comma separated
+const LIST_PARAMS = {
+  sources: 'source',
+  countries: 'country',
+  salesStages: 'salesStage',
+  pipelineIds: 'pipeline',
+  researchStatuses: 'research',
+  seriesIds: 'series',
+} as const;
+
+function parseList(value: string | null): string[] | undefined {
+  if (!value) return undefined;
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : undefined;
+}
+
+function parseBoolean(name: string, value: string | null): boolean | undefined {
+  if (value === null || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new FestivalQueryError(`${name} must be true or false`);
+}
+
+function parseDate(name: string, value: string | null): string | undefined {
+  if (!value) return undefined;
+  if (!DATE_PATTERN.test(value)) {
+    throw new FestivalQueryError(`${name} must be a date like 2025-06-01`);
+  }
+  return value;
+}
+
+function parseNear(value: string | null): GeoPoint | undefined {
+  if (!value) return undefined;
+  const [lat, lng] = value.split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new FestivalQueryError('near must be a latitude and longitude like 52.09,5.12');
+  }
+  return { lat, lng };
+}
+
+function toBase64Url(text: string): string {
+  const base64 = typeof btoa === 'function'
+    ? btoa(unescape(encodeURIComponent(text)))
+    : Buffer.from(text, 'utf8').toString('base64');
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded: string): string {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return typeof atob === 'function'
+    ? decodeURIComponent(escape(atob(base64)))
+    : Buffer.from(base64, 'base64').toString('utf8');
+}
+
+export function encodeCursor(cursor: FestivalCursor): string {
+  return toBase64Url(JSON.stringify([cursor.value, cursor.id]));
+}
+
+export function decodeCursor(encoded: string): FestivalCursor {
+  try {
+    const [value, id] = JSON.parse(fromBase64Url(encoded));
+    if (typeof id === 'string' && (value === null || typeof value === 'string')) {
+      return { value, id };
+    }
+  } catch {
+    // Reported below
+  }
+  throw new FestivalQueryError('Invalid cursor');
+}
+
+/**
+ * Read a festival query from the festivals API query string. Throws a
+ * FestivalQueryError for values that can't be used.
+ */
+export function parseFestivalQuery(params: URLSearchParams): FestivalQuery {
+  const query: FestivalQuery = {};
+
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    const items = parseList(params.get(param));
+    if (items) (query as Record<string, unknown>)[key] = items;
+  }
+
+  const invalidStatus = query.researchStatuses?.find(status => !RESEARCH_STATUS_FILTERS.includes(status));
+  if (invalidStatus) {
+    throw new FestivalQueryError(`research must be one of ${RESEARCH_STATUS_FILTERS.join(', ')}`);
+  }
+
+  query.favorite = parseBoolean('favorite', params.get('favorite'));
+  query.archived = parseBoolean('archived', params.get('archived'));
+  query.dateless = parseBoolean('dateless', params.get('dateless'));
+  query.dateFrom = parseDate('from', params.get('from'));
+  query.dateTo = parseDate('to', params.get('to'));
+
+  const search = params.get('search')?.trim();
+  if (search) query.search = search;
+
+  query.mapped = parseBoolean('mapped', params.get('mapped'));
+  query.near = parseNear(params.get('near'));
+
+  const radius = params.get('radius');
+  if (radius) {
+    const parsed = Number(radius);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      throw new FestivalQueryError('radius must be a positive number of kilometres');
+    }
+    if (!query.near) {
+      throw new FestivalQueryError('radius needs a near point');
+    }
+    query.radiusKm = parsed;
+  }
+
+  const rateCard = params.get('rateCard');
+  if (rateCard) {
+    if (!RATE_CARD_FILTERS.includes(rateCard as RateCardFilter)) {
+      throw new FestivalQueryError(`rateCard must be one of ${RATE_CARD_FILTERS.join(', ')}`);
+    }
+    query.rateCard = rateCard as RateCardFilter;
+  }
+
+  const sort = params.get('sort');
+  if (sort) {
+    if (!FESTIVAL_SORT_FIELDS.includes(sort as FestivalSortField)) {
+      throw new FestivalQueryError(`sort must be one of ${FESTIVAL_SORT_FIELDS.join(', ')}`);
+    }
+    query.sort = sort as FestivalSortField;
+  }
+  if (query.sort === 'relevance' && !query.search) {
+    throw new FestivalQueryError('sort=relevance needs a search');
+  }
+  if (query.sort === 'distance' && !query.near) {
+    throw new FestivalQueryError('sort=distance needs a near point');
+  }
+
+  const direction = params.get('direction');
+  if (direction) {
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new FestivalQueryError('direction must be asc or desc');
+    }
+    query.direction = direction;
+  }
+
+  const limit = params.get('limit');
+  if (limit) {
+    const parsed = parseInt(limit, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+      throw new FestivalQueryError('limit must be a positive number');
+    }
+    query.limit = Math.min(parsed, MAX_PAGE_SIZE);
+  }
+
+  const cursor = params.get('cursor');
+  if (cursor) {
+    decodeCursor(cursor); // Reject bad cursors before querying
+    query.cursor = cursor;
+  }
+
+  query.includeTotal = params.get('total') === 'true';
+
+  // Drop unset fields so queries compare and serialize cleanly
+  for (const key of Object.keys(query) as (keyof FestivalQuery)[]) {
+    if (query[key] === undefined) delete query[key];
+  }
+  return query;
+}
+
+/**
+ * The festivals API query string for a query; the inverse of parseFestivalQuery
+ */
+export function toSearchParams(query: FestivalQuery): URLSearchParams {
+  const params = new URLSearchParams();
+
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    const items = (query as Record<string, unknown>)[key] as string[] | undefined;
+    if (items && items.length > 0) params.set(param, items.join(','));
+  }
+
+  if (query.favorite !== undefined) params.set('favorite', String(query.favorite));
+  if (query.archived !== undefined) params.set('archived', String(query.archived));
+  if (query.dateless !== undefined) params.set('dateless', String(query.dateless));
+  if (query.dateFrom) params.set('from', query.dateFrom);
+  if (query.dateTo) params.set('to', query.dateTo);
+  if (query.search) params.set('search', query.search);
+  if (query.mapped !== undefined) params.set('mapped', String(query.mapped));
+  if (query.near) params.set('near', `${query.near.lat},${query.near.lng}`);
+  if (query.radiusKm) params.set('radius', String(query.radiusKm));
+  if (query.rateCard) params.set('rateCard', query.rateCard);
+  if (query.sort) params.set('sort', query.sort);
+  if (query.direction) params.set('direction', query.direction);
+  if (query.limit) params.set('limit', String(query.limit));
+  if (query.cursor) params.set('cursor', query.cursor);
+  if (query.includeTotal) params.set('total', 'true');
+
+  return params;
+}
+
+/**
+ * The filters of a query as the jsonb object the query_festivals database function reads
+ */
+export function toFilterJson(filters: FestivalFilters): Record<string, unknown> {
+  return {
+    sources: filters.sources,
+    countries: filters.countries,
+    favorite: filters.favorite,
+    archived: filters.archived,
+    sales_stages: filters.salesStages,
+    pipeline_ids: filters.pipelineIds,
+    research_statuses: filters.researchStatuses,
+    date_from: filters.dateFrom,
+    date_to: filters.dateTo,
+    dateless: filters.dateless,
+    search: filters.search,
+    rate_card: filters.rateCard,
+    series_ids: filters.seriesIds,
+    mapped: filters.mapped,
+    near_lat: filters.near?.lat,
+    near_lng: filters.near?.lng,
+    radius_km: filters.radiusKm,
+  };
+}
@@ -0,0 +1,563 @@
+/**
+ * Gazetteer
+ *
+ * Offline list of Dutch, Belgian and German places festivals are held in: the cities
+ * and towns of the region, well-known festival sites, and the provinces and states
+ * they belong to. Coordinates are the town centre, accurate to about a kilometre,
+ * which is plenty for clustering on a map and for radius searches. Add places here
+ * when festivals show up on the map without a location.
+ *
+ * Client-safe: no server imports.
+ */
+
+export type CountryCode = 'NL' | 'BE' | 'DE';
+
+export interface GazetteerCountry {
+  code: CountryCode;
+  name: string;
+  // Names and codes the country is written as in festival data, Dutch first
+  aliases: string[];
+}
+
+export interface GazetteerRegion {
+  // ISO 3166-2 code, e.g. NL-UT
+  code: string;
+  name: string;
+  aliases?: string[];
+}
+
+export interface GazetteerPlace {
+  name: string;
+  region: string;
+  lat: number;
+  lng: number;
+  aliases?: string[];
+}
+
+export const COUNTRIES: GazetteerCountry[] = [
+  { code: 'NL', name: 'Netherlands', aliases: ['Nederland', 'The Netherlands', 'Holland', 'NL', 'NLD', 'Pays-Bas', 'Niederlande'] },
+  { code: 'BE', name: 'Belgium', aliases: ['België', 'Belgique', 'Belgien', 'BE', 'BEL'] },
+  { code: 'DE', name: 'Germany', aliases: ['Duitsland', 'Deutschland', 'Allemagne', 'DE', 'DEU', 'GER'] },
+];
+
+export const REGIONS: GazetteerRegion[] = [
+  { code: 'NL-GR', name: 'Groningen' },
+  { code: 'NL-FR', name: 'Friesland', aliases: ['Fryslân'] },
+  { code: 'NL-DR', name: 'Drenthe' },
+  { code: 'NL-OV', name: 'Overijssel' },
+  { code: 'NL-FL', name: 'Flevoland' },
+  { code: 'NL-GE', name: 'Gelderland' },
+  { code: 'NL-UT', name: 'Utrecht' },
+  { code: 'NL-NH', name: 'Noord-Holland', aliases: ['North Holland'] },
+  { code: 'NL-ZH', name: 'Zuid-Holland', aliases: ['South Holland'] },
+  { code: 'NL-ZE', name: 'Zeeland' },
+  { code: 'NL-NB', name: 'Noord-Brabant', aliases: ['North Brabant', 'Brabant'] },
+  { code: 'NL-LI', name: 'Limburg' },
+
+  { code: 'BE-VAN', name: 'Antwerpen', aliases: ['Antwerp', 'Provincie Antwerpen'] },
+  { code: 'BE-VLI', name: 'Limburg', aliases: ['Belgisch Limburg'] },
+  { code: 'BE-VOV', name: 'Oost-Vlaanderen', aliases: ['East Flanders'] },
+  { code: 'BE-VWV', name: 'West-Vlaanderen', aliases: ['West Flanders'] },
+  { code: 'BE-VBR', name: 'Vlaams-Brabant', aliases: ['Flemish Brabant'] },
+  { code: 'BE-BRU', name: 'Brussel', aliases: ['Brussels Hoofdstedelijk Gewest', 'Brussels-Capital Region'] },
+  { code: 'BE-WBR', name: 'Waals-Brabant', aliases: ['Brabant wallon', 'Walloon Brabant'] },
+  { code: 'BE-WHT', name: 'Henegouwen', aliases: ['Hainaut'] },
+  { code: 'BE-WLG', name: 'Luik', aliases: ['Liège', 'Provincie Luik'] },
+  { code: 'BE-WNA', name: 'Namen', aliases: ['Namur', 'Provincie Namen'] },
+  { code: 'BE-WLX', name: 'Luxemburg', aliases: ['Belgisch Luxemburg', 'Province de Luxembourg'] },
+
+  { code: 'DE-BW', name: 'Baden-Württemberg' },
+  { code: 'DE-BY', name: 'Bayern', aliases: ['Bavaria', 'Beieren'] },
+  { code: 'DE-BE', name: 'Berlin' },
+  { code: 'DE-BB', name: 'Brandenburg' },
+  { code: 'DE-HB', name: 'Bremen' },
+  { code: 'DE-HH', name: 'Hamburg' },
+  { code: 'DE-HE', name: 'Hessen', aliases: ['Hesse'] },
+  { code: 'DE-MV', name: 'Mecklenburg-Vorpommern' },
+  { code: 'DE-NI', name: 'Niedersachsen', aliases: ['Lower Saxony', 'Nedersaksen'] },
+  { code: 'DE-NW', name: 'Nordrhein-Westfalen', aliases: ['NRW', 'North Rhine-Westphalia', 'Noordrijn-Westfalen'] },
+  { code: 'DE-RP', name: 'Rheinland-Pfalz', aliases: ['Rhineland-Palatinate'] },
+  { code: 'DE-SL', name: 'Saarland' },
+  { code: 'DE-SN', name: 'Sachsen', aliases: ['Saxony', 'Saksen'] },
+  { code: 'DE-ST', name: 'Sachsen-Anhalt', aliases: ['Saxony-Anhalt'] },
+  { code: 'DE-SH', name: 'Schleswig-Holstein' },
+  { code: 'DE-TH', name: 'Thüringen', aliases: ['Thuringia'] },
+];
+
+// Where a name is used in more than one place, the first one listed wins unless the
+// location says otherwise, so the Dutch places come first
+export const PLACES: GazetteerPlace[] = [
+  // Noord-Holland
+  { name: 'Amsterdam', region: 'NL-NH', lat: 52.3676, lng: 4.9041 },
+  { name: 'Haarlem', region: 'NL-NH', lat: 52.3874, lng: 4.6462 },
+  { name: 'Zaandam', region: 'NL-NH', lat: 52.4420, lng: 4.8292, aliases: ['Zaanstad'] },
+  { name: 'Alkmaar', region: 'NL-NH', lat: 52.6324, lng: 4.7534 },
+  { name: 'Hilversum', region: 'NL-NH', lat: 52.2292, lng: 5.1669 },
+  { name: 'Amstelveen', region: 'NL-NH', lat: 52.3114, lng: 4.8701 },
+  { name: 'Hoofddorp', region: 'NL-NH', lat: 52.3025, lng: 4.6889, aliases: ['Haarlemmermeer'] },
+  { name: 'Spaarnwoude', region: 'NL-NH', lat: 52.4130, lng: 4.6960 },
+  { name: 'Zandvoort', region: 'NL-NH', lat: 52.3713, lng: 4.5331 },
+  { name: 'Bloemendaal', region: 'NL-NH', lat: 52.4067, lng: 4.6217 },
+  { name: 'IJmuiden', region: 'NL-NH', lat: 52.4600, lng: 4.6100, aliases: ['Velsen'] },
+  { name: 'Beverwijk', region: 'NL-NH', lat: 52.4833, lng: 4.6569 },
+  { name: 'Heemskerk', region: 'NL-NH', lat: 52.5111, lng: 4.6736 },
+  { name: 'Castricum', region: 'NL-NH', lat: 52.5483, lng: 4.6694 },
+  { name: 'Bergen', region: 'NL-NH', lat: 52.6697, lng: 4.7047 },
+  { name: 'Schagen', region: 'NL-NH', lat: 52.7875, lng: 4.7986 },
+  { name: 'Den Helder', region: 'NL-NH', lat: 52.9563, lng: 4.7600 },
+  { name: 'Texel', region: 'NL-NH', lat: 53.0550, lng: 4.7970, aliases: ['Den Burg'] },
+  { name: 'Hoorn', region: 'NL-NH', lat: 52.6424, lng: 5.0597 },
+  { name: 'Enkhuizen', region: 'NL-NH', lat: 52.7033, lng: 5.2917 },
+  { name: 'Purmerend', region: 'NL-NH', lat: 52.5050, lng: 4.9597 },
+  { name: 'Volendam', region: 'NL-NH', lat: 52.4950, lng: 5.0708, aliases: ['Edam-Volendam'] },
+  { name: 'Edam', region: 'NL-NH', lat: 52.5133, lng: 5.0483 },
+  { name: 'Huizen', region: 'NL-NH', lat: 52.2992, lng: 5.2419 },
+  { name: 'Bussum', region: 'NL-NH', lat: 52.2733, lng: 5.1611, aliases: ['Gooise Meren'] },
+  { name: 'Naarden', region: 'NL-NH', lat: 52.2953, lng: 5.1622 },
+  { name: 'Weesp', region: 'NL-NH', lat: 52.3075, lng: 5.0417 },
+
+  // Zuid-Holland
+  { name: 'Rotterdam', region: 'NL-ZH', lat: 51.9244, lng: 4.4777 },
+  { name: 'Den Haag', region: 'NL-ZH', lat: 52.0705, lng: 4.3007, aliases: ["'s-Gravenhage", 'The Hague', 'Den Haag Centrum'] },
+  { name: 'Scheveningen', region: 'NL-ZH', lat: 52.1080, lng: 4.2750 },
+  { name: 'Leiden', region: 'NL-ZH', lat: 52.1601, lng: 4.4970 },
+  { name: 'Delft', region: 'NL-ZH', lat: 52.0116, lng: 4.3571 },
+  { name: 'Dordrecht', region: 'NL-ZH', lat: 51.8133, lng: 4.6901 },
+  { name: 'Zoetermeer', region: 'NL-ZH', lat: 52.0607, lng: 4.4940 },
+  { name: 'Gouda', region: 'NL-ZH', lat: 52.0115, lng: 4.7105 },
+  { name: 'Schiedam', region: 'NL-ZH', lat: 51.9192, lng: 4.3989 },
+  { name: 'Vlaardingen', region: 'NL-ZH', lat: 51.9122, lng: 4.3419 },
+  { name: 'Hoek van Holland', region: 'NL-ZH', lat: 51.9775, lng: 4.1336 },
+  { name: 'Capelle aan den IJssel', region: 'NL-ZH', lat: 51.9292, lng: 4.5778 },
+  { name: 'Spijkenisse', region: 'NL-ZH', lat: 51.8450, lng: 4.3292 },
+  { name: 'Alphen aan den Rijn', region: 'NL-ZH', lat: 52.1290, lng: 4.6550 },
+  { name: 'Naaldwijk', region: 'NL-ZH', lat: 51.9944, lng: 4.2097, aliases: ['Westland'] },
+  { name: 'Rijswijk', region: 'NL-ZH', lat: 52.0364, lng: 4.3250 },
+  { name: 'Wassenaar', region: 'NL-ZH', lat: 52.1450, lng: 4.4008 },
+  { name: 'Katwijk', region: 'NL-ZH', lat: 52.2033, lng: 4.4000 },
+  { name: 'Noordwijk', region: 'NL-ZH', lat: 52.2400, lng: 4.4467 },
+  { name: 'Lisse', region: 'NL-ZH', lat: 52.2583, lng: 4.5567 },
+  { name: 'Gorinchem', region: 'NL-ZH', lat: 51.8350, lng: 4.9747 },
+  { name: 'Hellevoetsluis', region: 'NL-ZH', lat: 51.8317, lng: 4.1333 },
+  { name: 'Ouddorp', region: 'NL-ZH', lat: 51.8117, lng: 3.9353 },
+  { name: 'Ridderkerk', region: 'NL-ZH', lat: 51.8725, lng: 4.6028 },
+  { name: 'Barendrecht', region: 'NL-ZH', lat: 51.8567, lng: 4.5347 },
+
+  // Utrecht
+  { name: 'Utrecht', region: 'NL-UT', lat: 52.0907, lng: 5.1214 },
+  { name: 'Amersfoort', region: 'NL-UT', lat: 52.1561, lng: 5.3878 },
+  { name: 'Nieuwegein', region: 'NL-UT', lat: 52.0292, lng: 5.0806 },
+  { name: 'Zeist', region: 'NL-UT', lat: 52.0906, lng: 5.2333 },
+  { name: 'Veenendaal', region: 'NL-UT', lat: 52.0286, lng: 5.5589 },
+  { name: 'Houten', region: 'NL-UT', lat: 52.0283, lng: 5.1681 },
+  { name: 'Woerden', region: 'NL-UT', lat: 52.0858, lng: 4.8833 },
+  { name: 'Soest', region: 'NL-UT', lat: 52.1733, lng: 5.2917 },
+  { name: 'De Bilt', region: 'NL-UT', lat: 52.1100, lng: 5.1806, aliases: ['Bilthoven'] },
+  { name: 'Maarssen', region: 'NL-UT', lat: 52.1350, lng: 5.0417 },
+  { name: 'IJsselstein', region: 'NL-UT', lat: 52.0200, lng: 5.0433 },
+  { name: 'Rhenen', region: 'NL-UT', lat: 51.9592, lng: 5.5681 },
+  { name: 'Leusden', region: 'NL-UT', lat: 52.1325, lng: 5.4297 },
+  { name: 'Baarn', region: 'NL-UT', lat: 52.2117, lng: 5.2872 },
+  { name: 'Doorn', region: 'NL-UT', lat: 52.0333, lng: 5.3417 },
+  { name: 'Bunnik', region: 'NL-UT', lat: 52.0667, lng: 5.1986 },
+
+  // Noord-Brabant
+  { name: 'Eindhoven', region: 'NL-NB', lat: 51.4416, lng: 5.4697 },
+  { name: 'Tilburg', region: 'NL-NB', lat: 51.5555, lng: 5.0913 },
+  { name: 'Breda', region: 'NL-NB', lat: 51.5719, lng: 4.7683 },
+  { name: "'s-Hertogenbosch", region: 'NL-NB', lat: 51.6978, lng: 5.3037, aliases: ['Den Bosch', 'Hertogenbosch'] },
+  { name: 'Helmond', region: 'NL-NB', lat: 51.4793, lng: 5.6570 },
+  { name: 'Oss', region: 'NL-NB', lat: 51.7650, lng: 5.5180 },
+  { name: 'Roosendaal', region: 'NL-NB', lat: 51.5308, lng: 4.4653 },
+  { name: 'Bergen op Zoom', region: 'NL-NB', lat: 51.4949, lng: 4.2911 },
+  { name: 'Hilvarenbeek', region: 'NL-NB', lat: 51.4862, lng: 5.1371, aliases: ['Beekse Bergen'] },
+  { name: 'Oisterwijk', region: 'NL-NB', lat: 51.5794, lng: 5.1889 },
+  { name: 'Veldhoven', region: 'NL-NB', lat: 51.4180, lng: 5.4025 },
+  { name: 'Uden', region: 'NL-NB', lat: 51.6606, lng: 5.6194 },
+  { name: 'Boxtel', region: 'NL-NB', lat: 51.5906, lng: 5.3292 },
+  { name: 'Waalwijk', region: 'NL-NB', lat: 51.6826, lng: 5.0705 },
+  { name: 'Kaatsheuvel', region: 'NL-NB', lat: 51.6567, lng: 5.0378 },
+  { name: 'Oosterhout', region: 'NL-NB', lat: 51.6451, lng: 4.8597 },
+  { name: 'Vught', region: 'NL-NB', lat: 51.6530, lng: 5.2878 },
+  { name: 'Best', region: 'NL-NB', lat: 51.5075, lng: 5.3903 },
+  { name: 'Gemert', region: 'NL-NB', lat: 51.5558, lng: 5.6900 },
+  { name: 'Someren', region: 'NL-NB', lat: 51.3850, lng: 5.7111 },
+  { name: 'Deurne', region: 'NL-NB', lat: 51.4614, lng: 5.7958 },
+  { name: 'Eersel', region: 'NL-NB', lat: 51.3575, lng: 5.3178 },
+  { name: 'Valkenswaard', region: 'NL-NB', lat: 51.3500, lng: 5.4597 },
+  { name: 'Geldrop', region: 'NL-NB', lat: 51.4217, lng: 5.5597 },
+  { name: 'Nuenen', region: 'NL-NB', lat: 51.4725, lng: 5.5519 },
+  { name: 'Son', region: 'NL-NB', lat: 51.5117, lng: 5.4931, aliases: ['Son en Breugel'] },
+  { name: 'Schijndel', region: 'NL-NB', lat: 51.6225, lng: 5.4322 },
+  { name: 'Veghel', region: 'NL-NB', lat: 51.6167, lng: 5.5486 },
+  { name: 'Cuijk', region: 'NL-NB', lat: 51.7300, lng: 5.8792 },
+  { name: 'Boxmeer', region: 'NL-NB', lat: 51.6467, lng: 5.9472 },
+  { name: 'Dongen', region: 'NL-NB', lat: 51.6267, lng: 4.9389 },
+  { name: 'Etten-Leur', region: 'NL-NB', lat: 51.5700, lng: 4.6375 },
+  { name: 'Rosmalen', region: 'NL-NB', lat: 51.7167, lng: 5.3653 },
+  { name: 'Heusden', region: 'NL-NB', lat: 51.7317, lng: 5.1383 },
+  { name: 'Goirle', region: 'NL-NB', lat: 51.5208, lng: 5.0667 },
+  { name: 'Mierlo', region: 'NL-NB', lat: 51.4408, lng: 5.6194 },
+  { name: 'Asten', region: 'NL-NB', lat: 51.4042, lng: 5.7472 },
+  { name: 'Sint-Michielsgestel', region: 'NL-NB', lat: 51.6417, lng: 5.3528 },
+
+  // Limburg
+  { name: 'Maastricht', region: 'NL-LI', lat: 50.8514, lng: 5.6910 },
+  { name: 'Venlo', region: 'NL-LI', lat: 51.3704, lng: 6.1724 },
+  { name: 'Heerlen', region: 'NL-LI', lat: 50.8882, lng: 5.9795 },
+  { name: 'Roermond', region: 'NL-LI', lat: 51.1942, lng: 5.9870 },
+  { name: 'Sittard', region: 'NL-LI', lat: 50.9983, lng: 5.8692, aliases: ['Sittard-Geleen'] },
+  { name: 'Geleen', region: 'NL-LI', lat: 50.9740, lng: 5.8290 },
+  { name: 'Landgraaf', region: 'NL-LI', lat: 50.9077, lng: 6.0236, aliases: ['Megaland'] },
+  { name: 'Kerkrade', region: 'NL-LI', lat: 50.8659, lng: 6.0705 },
+  { name: 'Valkenburg', region: 'NL-LI', lat: 50.8652, lng: 5.8320, aliases: ['Valkenburg aan de Geul'] },
+  { name: 'Weert', region: 'NL-LI', lat: 51.2517, lng: 5.7062 },
+  { name: 'Venray', region: 'NL-LI', lat: 51.5255, lng: 5.9747 },
+  { name: 'Horst', region: 'NL-LI', lat: 51.4542, lng: 6.0514, aliases: ['Horst aan de Maas'] },
+  { name: 'Echt', region: 'NL-LI', lat: 51.1042, lng: 5.8722 },
+  { name: 'Brunssum', region: 'NL-LI', lat: 50.9467, lng: 5.9706 },
+  { name: 'Gennep', region: 'NL-LI', lat: 51.6983, lng: 5.9733 },
+  { name: 'Nederweert', region: 'NL-LI', lat: 51.2858, lng: 5.7486 },
+  { name: 'Panningen', region: 'NL-LI', lat: 51.3283, lng: 5.9786, aliases: ['Peel en Maas'] },
+  { name: 'Beek', region: 'NL-LI', lat: 50.9408, lng: 5.7972 },
+  { name: 'Meerssen', region: 'NL-LI', lat: 50.8883, lng: 5.7500 },
+  { name: 'Gulpen', region: 'NL-LI', lat: 50.8150, lng: 5.8903 },
+  { name: 'Vaals', region: 'NL-LI', lat: 50.7708, lng: 6.0186 },
+  { name: 'Stein', region: 'NL-LI', lat: 50.9694, lng: 5.7667 },
+  { name: 'Thorn', region: 'NL-LI', lat: 51.1617, lng: 5.8422 },
+  { name: 'Arcen', region: 'NL-LI', lat: 51.4767, lng: 6.1800 },
+
+  // Zeeland
+  { name: 'Middelburg', region: 'NL-ZE', lat: 51.4988, lng: 3.6136 },
+  { name: 'Vlissingen', region: 'NL-ZE', lat: 51.4425, lng: 3.5736, aliases: ['Flushing'] },
+  { name: 'Goes', region: 'NL-ZE', lat: 51.5044, lng: 3.8880 },
+  { name: 'Terneuzen', region: 'NL-ZE', lat: 51.3358, lng: 3.8276 },
+  { name: 'Domburg', region: 'NL-ZE', lat: 51.5633, lng: 3.4969 },
+  { name: 'Zierikzee', region: 'NL-ZE', lat: 51.6503, lng: 3.9194 },
+  { name: 'Renesse', region: 'NL-ZE', lat: 51.7332, lng: 3.7744 },
+  { name: 'Hulst', region: 'NL-ZE', lat: 51.2800, lng: 4.0525 },
+
+  // Gelderland
+  { name: 'Nijmegen', region: 'NL-GE', lat: 51.8126, lng: 5.8372 },
+  { name: 'Arnhem', region: 'NL-GE', lat: 51.9851, lng: 5.8987 },
+  { name: 'Apeldoorn', region: 'NL-GE', lat: 52.2112, lng: 5.9699 },
+  { name: 'Ede', region: 'NL-GE', lat: 52.0402, lng: 5.6649 },
+  { name: 'Doetinchem', region: 'NL-GE', lat: 51.9650, lng: 6.2886 },
+  { name: 'Zutphen', region: 'NL-GE', lat: 52.1383, lng: 6.2014 },
+  { name: 'Harderwijk', region: 'NL-GE', lat: 52.3417, lng: 5.6208 },
+  { name: 'Tiel', region: 'NL-GE', lat: 51.8861, lng: 5.4292 },
+  { name: 'Culemborg', region: 'NL-GE', lat: 51.9550, lng: 5.2278 },
+  { name: 'Wageningen', region: 'NL-GE', lat: 51.9692, lng: 5.6654 },
+  { name: 'Barneveld', region: 'NL-GE', lat: 52.1400, lng: 5.5847 },
+  { name: 'Nijkerk', region: 'NL-GE', lat: 52.2200, lng: 5.4861 },
+  { name: 'Zevenaar', region: 'NL-GE', lat: 51.9300, lng: 6.0708 },
+  { name: 'Winterswijk', region: 'NL-GE', lat: 51.9725, lng: 6.7194 },
+  { name: 'Groenlo', region: 'NL-GE', lat: 52.0425, lng: 6.6153 },
+  { name: 'Lichtenvoorde', region: 'NL-GE', lat: 51.9867, lng: 6.5667, aliases: ['Oost Gelre'] },
+  { name: 'Aalten', region: 'NL-GE', lat: 51.9250, lng: 6.5806 },
+  { name: 'Borculo', region: 'NL-GE', lat: 52.1158, lng: 6.5203 },
+  { name: 'Eibergen', region: 'NL-GE', lat: 52.1000, lng: 6.6500 },
+  { name: 'Neede', region: 'NL-GE', lat: 52.1342, lng: 6.6139 },
+  { name: 'Lochem', region: 'NL-GE', lat: 52.1592, lng: 6.4111 },
+  { name: 'Elburg', region: 'NL-GE', lat: 52.4483, lng: 5.8347 },
+  { name: 'Epe', region: 'NL-GE', lat: 52.3475, lng: 5.9833 },
+  { name: 'Ermelo', region: 'NL-GE', lat: 52.2983, lng: 5.6222 },
+  { name: 'Putten', region: 'NL-GE', lat: 52.2592, lng: 5.6069 },
+  { name: 'Nunspeet', region: 'NL-GE', lat: 52.3792, lng: 5.7861 },
+  { name: 'Hattem', region: 'NL-GE', lat: 52.4750, lng: 6.0639 },
+  { name: 'Beekbergen', region: 'NL-GE', lat: 52.1600, lng: 5.9650 },
+  { name: 'Hoenderloo', region: 'NL-GE', lat: 52.1167, lng: 5.8833 },
+  { name: 'Otterlo', region: 'NL-GE', lat: 52.1000, lng: 5.7750 },
+  { name: 'Voorthuizen', region: 'NL-GE', lat: 52.1850, lng: 5.6056 },
+  { name: 'Wijchen', region: 'NL-GE', lat: 51.8092, lng: 5.7250 },
+  { name: 'Groesbeek', region: 'NL-GE', lat: 51.7767, lng: 5.9361 },
+  { name: 'Malden', region: 'NL-GE', lat: 51.7817, lng: 5.8542 },
+  { name: 'Rheden', region: 'NL-GE', lat: 52.0100, lng: 6.0300 },
+  { name: 'Velp', region: 'NL-GE', lat: 51.9950, lng: 5.9861 },
+  { name: 'Duiven', region: 'NL-GE', lat: 51.9467, lng: 6.0139 },
+  { name: 'Oosterbeek', region: 'NL-GE', lat: 51.9867, lng: 5.8431 },
+  { name: 'Renkum', region: 'NL-GE', lat: 51.9767, lng: 5.7333 },
+
+  // Overijssel
+  { name: 'Zwolle', region: 'NL-OV', lat: 52.5168, lng: 6.0830 },
+  { name: 'Enschede', region: 'NL-OV', lat: 52.2215, lng: 6.8937 },
+  { name: 'Deventer', region: 'NL-OV', lat: 52.2550, lng: 6.1639 },
+  { name: 'Hengelo', region: 'NL-OV', lat: 52.2658, lng: 6.7931 },
+  { name: 'Almelo', region: 'NL-OV', lat: 52.3567, lng: 6.6625 },
+  { name: 'Oldenzaal', region: 'NL-OV', lat: 52.3131, lng: 6.9292 },
+  { name: 'Kampen', region: 'NL-OV', lat: 52.5550, lng: 5.9114 },
+  { name: 'Hardenberg', region: 'NL-OV', lat: 52.5756, lng: 6.6194 },
+  { name: 'Raalte', region: 'NL-OV', lat: 52.3863, lng: 6.2761 },
+  { name: 'Hellendoorn', region: 'NL-OV', lat: 52.3894, lng: 6.4506 },
+  { name: 'Ommen', region: 'NL-OV', lat: 52.5211, lng: 6.4208 },
+  { name: 'Rijssen', region: 'NL-OV', lat: 52.3050, lng: 6.5181 },
+  { name: 'Dalfsen', region: 'NL-OV', lat: 52.5117, lng: 6.2567 },
+  { name: 'Steenwijk', region: 'NL-OV', lat: 52.7876, lng: 6.1199 },
+  { name: 'Giethoorn', region: 'NL-OV', lat: 52.7400, lng: 6.0775 },
+
+  // Flevoland
+  { name: 'Almere', region: 'NL-FL', lat: 52.3508, lng: 5.2647 },
+  { name: 'Lelystad', region: 'NL-FL', lat: 52.5185, lng: 5.4714 },
+  { name: 'Biddinghuizen', region: 'NL-FL', lat: 52.4553, lng: 5.6942, aliases: ['Walibi Holland'] },
+  { name: 'Dronten', region: 'NL-FL', lat: 52.5250, lng: 5.7181 },
+  { name: 'Emmeloord', region: 'NL-FL', lat: 52.7103, lng: 5.7481, aliases: ['Noordoostpolder'] },
+  { name: 'Zeewolde', region: 'NL-FL', lat: 52.3308, lng: 5.5411 },
+  { name: 'Urk', region: 'NL-FL', lat: 52.6617, lng: 5.6017 },
+
+  // Friesland
+  { name: 'Leeuwarden', region: 'NL-FR', lat: 53.2012, lng: 5.7999, aliases: ['Ljouwert'] },
+  { name: 'Sneek', region: 'NL-FR', lat: 53.0326, lng: 5.6589, aliases: ['Snits'] },
+  { name: 'Heerenveen', region: 'NL-FR', lat: 52.9600, lng: 5.9200 },
+  { name: 'Drachten', region: 'NL-FR', lat: 53.1050, lng: 6.0983 },
+  { name: 'Harlingen', region: 'NL-FR', lat: 53.1744, lng: 5.4214 },
+  { name: 'Franeker', region: 'NL-FR', lat: 53.1870, lng: 5.5414 },
+  { name: 'Dokkum', region: 'NL-FR', lat: 53.3264, lng: 5.9986 },
+  { name: 'Terschelling', region: 'NL-FR', lat: 53.3979, lng: 5.3466, aliases: ['West-Terschelling'] },
+  { name: 'Ameland', region: 'NL-FR', lat: 53.4500, lng: 5.7700 },
+  { name: 'Vlieland', region: 'NL-FR', lat: 53.2960, lng: 5.0700 },
+  { name: 'Schiermonnikoog', region: 'NL-FR', lat: 53.4800, lng: 6.1600 },
+
+  // Groningen
+  { name: 'Groningen', region: 'NL-GR', lat: 53.2194, lng: 6.5665 },
+  { name: 'Delfzijl', region: 'NL-GR', lat: 53.3300, lng: 6.9183 },
+  { name: 'Veendam', region: 'NL-GR', lat: 53.1067, lng: 6.8792 },
+  { name: 'Hoogezand', region: 'NL-GR', lat: 53.1611, lng: 6.7611, aliases: ['Midden-Groningen'] },
+  { name: 'Stadskanaal', region: 'NL-GR', lat: 52.9892, lng: 6.9500 },
+  { name: 'Winschoten', region: 'NL-GR', lat: 53.1442, lng: 7.0347 },
+  { name: 'Haren', region: 'NL-GR', lat: 53.1733, lng: 6.6042 },
+  { name: 'Zuidhorn', region: 'NL-GR', lat: 53.2467, lng: 6.4031 },
+  { name: 'Appingedam', region: 'NL-GR', lat: 53.3217, lng: 6.8583 },
+  { name: 'Leek', region: 'NL-GR', lat: 53.1625, lng: 6.3761 },
+
+  // Drenthe
+  { name: 'Assen', region: 'NL-DR', lat: 52.9925, lng: 6.5649 },
+  { name: 'Emmen', region: 'NL-DR', lat: 52.7858, lng: 6.8976 },
+  { name: 'Meppel', region: 'NL-DR', lat: 52.6956, lng: 6.1944 },
+  { name: 'Hoogeveen', region: 'NL-DR', lat: 52.7225, lng: 6.4764 },
+  { name: 'Dwingeloo', region: 'NL-DR', lat: 52.8339, lng: 6.3697 },
+  { name: 'Coevorden', region: 'NL-DR', lat: 52.6611, lng: 6.7408 },
+
+  // Belgium
+  { name: 'Brussel', region: 'BE-BRU', lat: 50.8503, lng: 4.3517, aliases: ['Brussels', 'Bruxelles', 'Brüssel'] },
+  { name: 'Antwerpen', region: 'BE-VAN', lat: 51.2194, lng: 4.4025, aliases: ['Antwerp', 'Anvers'] },
+  { name: 'Mechelen', region: 'BE-VAN', lat: 51.0259, lng: 4.4776, aliases: ['Malines'] },
+  { name: 'Turnhout', region: 'BE-VAN', lat: 51.3225, lng: 4.9447 },
+  { name: 'Lier', region: 'BE-VAN', lat: 51.1311, lng: 4.5703 },
+  { name: 'Herentals', region: 'BE-VAN', lat: 51.1767, lng: 4.8353 },
+  { name: 'Mol', region: 'BE-VAN', lat: 51.1911, lng: 5.1161 },
+  { name: 'Geel', region: 'BE-VAN', lat: 51.1614, lng: 4.9908 },
+  { name: 'Boom', region: 'BE-VAN', lat: 51.0875, lng: 4.3667, aliases: ['De Schorre'] },
+  { name: 'Dessel', region: 'BE-VAN', lat: 51.2389, lng: 5.1133 },
+  { name: 'Schoten', region: 'BE-VAN', lat: 51.2525, lng: 4.5022 },
+  { name: 'Gent', region: 'BE-VOV', lat: 51.0543, lng: 3.7174, aliases: ['Ghent', 'Gand'] },
+  { name: 'Aalst', region: 'BE-VOV', lat: 50.9378, lng: 4.0408, aliases: ['Alost'] },
+  { name: 'Sint-Niklaas', region: 'BE-VOV', lat: 51.1650, lng: 4.1433 },
+  { name: 'Dendermonde', region: 'BE-VOV', lat: 51.0283, lng: 4.1011 },
+  { name: 'Lokeren', region: 'BE-VOV', lat: 51.1042, lng: 3.9931 },
+  { name: 'Oudenaarde', region: 'BE-VOV', lat: 50.8450, lng: 3.6053 },
+  { name: 'Geraardsbergen', region: 'BE-VOV', lat: 50.7736, lng: 3.8817 },
+  { name: 'Brugge', region: 'BE-VWV', lat: 51.2093, lng: 3.2247, aliases: ['Bruges'] },
+  { name: 'Kortrijk', region: 'BE-VWV', lat: 50.8281, lng: 3.2650, aliases: ['Courtrai'] },
+  { name: 'Oostende', region: 'BE-VWV', lat: 51.2300, lng: 2.9200, aliases: ['Ostend', 'Ostende'] },
+  { name: 'Roeselare', region: 'BE-VWV', lat: 50.9465, lng: 3.1226 },
+  { name: 'Ieper', region: 'BE-VWV', lat: 50.8503, lng: 2.8850, aliases: ['Ypres'] },
+  { name: 'Knokke-Heist', region: 'BE-VWV', lat: 51.3450, lng: 3.2900, aliases: ['Knokke'] },
+  { name: 'De Panne', region: 'BE-VWV', lat: 51.0986, lng: 2.5931 },
+  { name: 'Blankenberge', region: 'BE-VWV', lat: 51.3128, lng: 3.1319 },
+  { name: 'Leuven', region: 'BE-VBR', lat: 50.8798, lng: 4.7005, aliases: ['Louvain'] },
+  { name: 'Werchter', region: 'BE-VBR', lat: 50.9700, lng: 4.7000 },
+  { name: 'Rotselaar', region: 'BE-VBR', lat: 50.9536, lng: 4.7147 },
+  { name: 'Tienen', region: 'BE-VBR', lat: 50.8075, lng: 4.9381, aliases: ['Tirlemont'] },
+  { name: 'Vilvoorde', region: 'BE-VBR', lat: 50.9281, lng: 4.4247 },
+  { name: 'Halle', region: 'BE-VBR', lat: 50.7339, lng: 4.2345 },
+  { name: 'Aarschot', region: 'BE-VBR', lat: 50.9869, lng: 4.8369 },
+  { name: 'Diest', region: 'BE-VBR', lat: 50.9892, lng: 5.0506 },
+  { name: 'Hasselt', region: 'BE-VLI', lat: 50.9307, lng: 5.3325 },
+  { name: 'Kiewit', region: 'BE-VLI', lat: 50.9600, lng: 5.3500 },
+  { name: 'Genk', region: 'BE-VLI', lat: 50.9650, lng: 5.5008 },
+  { name: 'Lommel', region: 'BE-VLI', lat: 51.2300, lng: 5.3133 },
+  { name: 'Tongeren', region: 'BE-VLI', lat: 50.7806, lng: 5.4647 },
+  { name: 'Sint-Truiden', region: 'BE-VLI', lat: 50.8156, lng: 5.1861 },
+  { name: 'Beringen', region: 'BE-VLI', lat: 51.0494, lng: 5.2261 },
+  { name: 'Maasmechelen', region: 'BE-VLI', lat: 50.9650, lng: 5.6942 },
+  { name: 'Lanaken', region: 'BE-VLI', lat: 50.8917, lng: 5.6461 },
+  { name: 'Houthalen-Helchteren', region: 'BE-VLI', lat: 51.0333, lng: 5.3833 },
+  { name: 'Bilzen', region: 'BE-VLI', lat: 50.8733, lng: 5.5186 },
+  { name: 'Liège', region: 'BE-WLG', lat: 50.6326, lng: 5.5797, aliases: ['Luik', 'Lüttich'] },
+  { name: 'Verviers', region: 'BE-WLG', lat: 50.5894, lng: 5.8625 },
+  { name: 'Spa', region: 'BE-WLG', lat: 50.4922, lng: 5.8650 },
+  { name: 'Francorchamps', region: 'BE-WLG', lat: 50.4500, lng: 5.9500, aliases: ['Stavelot'] },
+  { name: 'Eupen', region: 'BE-WLG', lat: 50.6281, lng: 6.0364 },
+  { name: 'Huy', region: 'BE-WLG', lat: 50.5181, lng: 5.2397, aliases: ['Hoei'] },
+  { name: 'Namur', region: 'BE-WNA', lat: 50.4674, lng: 4.8720, aliases: ['Namen'] },
+  { name: 'Dinant', region: 'BE-WNA', lat: 50.2606, lng: 4.9122 },
+  { name: 'Charleroi', region: 'BE-WHT', lat: 50.4108, lng: 4.4446 },
+  { name: 'Mons', region: 'BE-WHT', lat: 50.4542, lng: 3.9523, aliases: ['Bergen'] },
+  { name: 'Tournai', region: 'BE-WHT', lat: 50.6056, lng: 3.3881, aliases: ['Doornik'] },
+  { name: 'La Louvière', region: 'BE-WHT', lat: 50.4800, lng: 4.1878 },
+  { name: 'Dour', region: 'BE-WHT', lat: 50.3958, lng: 3.7778 },
+  { name: 'Wavre', region: 'BE-WBR', lat: 50.7167, lng: 4.6000, aliases: ['Waver'] },
+  { name: 'Louvain-la-Neuve', region: 'BE-WBR', lat: 50.6681, lng: 4.6118, aliases: ['Ottignies'] },
+  { name: 'Nivelles', region: 'BE-WBR', lat: 50.5983, lng: 4.3286, aliases: ['Nijvel'] },
+  { name: 'Waterloo', region: 'BE-WBR', lat: 50.7147, lng: 4.3994 },
+  { name: 'Arlon', region: 'BE-WLX', lat: 49.6833, lng: 5.8167, aliases: ['Aarlen'] },
+  { name: 'Bastogne', region: 'BE-WLX', lat: 50.0000, lng: 5.7167, aliases: ['Bastenaken'] },
+  { name: 'Durbuy', region: 'BE-WLX', lat: 50.3528, lng: 5.4564 },
+
+  // Germany
+  { name: 'Berlin', region: 'DE-BE', lat: 52.5200, lng: 13.4050, aliases: ['Berlijn'] },
+  { name: 'Hamburg', region: 'DE-HH', lat: 53.5511, lng: 9.9937 },
+  { name: 'Bremen', region: 'DE-HB', lat: 53.0793, lng: 8.8017 },
+  { name: 'Bremerhaven', region: 'DE-HB', lat: 53.5396, lng: 8.5809 },
+  { name: 'München', region: 'DE-BY', lat: 48.1351, lng: 11.5820, aliases: ['Munich', 'Munchen', 'Muenchen'] },
+  { name: 'Nürnberg', region: 'DE-BY', lat: 49.4521, lng: 11.0767, aliases: ['Nuremberg', 'Neurenberg'] },
+  { name: 'Augsburg', region: 'DE-BY', lat: 48.3705, lng: 10.8978 },
+  { name: 'Regensburg', region: 'DE-BY', lat: 49.0134, lng: 12.1016 },
+  { name: 'Würzburg', region: 'DE-BY', lat: 49.7913, lng: 9.9534 },
+  { name: 'Ingolstadt', region: 'DE-BY', lat: 48.7665, lng: 11.4258 },
+  { name: 'Bamberg', region: 'DE-BY', lat: 49.8988, lng: 10.9028 },
+  { name: 'Bayreuth', region: 'DE-BY', lat: 49.9456, lng: 11.5713 },
+  { name: 'Erlangen', region: 'DE-BY', lat: 49.5897, lng: 11.0120 },
+  { name: 'Fürth', region: 'DE-BY', lat: 49.4771, lng: 10.9887 },
+  { name: 'Passau', region: 'DE-BY', lat: 48.5665, lng: 13.4312 },
+  { name: 'Rosenheim', region: 'DE-BY', lat: 47.8561, lng: 12.1289 },
+  { name: 'Kempten', region: 'DE-BY', lat: 47.7267, lng: 10.3139 },
+  { name: 'Landshut', region: 'DE-BY', lat: 48.5442, lng: 12.1469 },
+  { name: 'Lindau', region: 'DE-BY', lat: 47.5460, lng: 9.6829 },
+  { name: 'Garmisch-Partenkirchen', region: 'DE-BY', lat: 47.4921, lng: 11.0958 },
+  { name: 'Stuttgart', region: 'DE-BW', lat: 48.7758, lng: 9.1829 },
+  { name: 'Karlsruhe', region: 'DE-BW', lat: 49.0069, lng: 8.4037 },
+  { name: 'Mannheim', region: 'DE-BW', lat: 49.4875, lng: 8.4660 },
+  { name: 'Freiburg im Breisgau', region: 'DE-BW', lat: 47.9990, lng: 7.8421, aliases: ['Freiburg'] },
+  { name: 'Heidelberg', region: 'DE-BW', lat: 49.3988, lng: 8.6724 },
+  { name: 'Ulm', region: 'DE-BW', lat: 48.4011, lng: 9.9876 },
+  { name: 'Heilbronn', region: 'DE-BW', lat: 49.1427, lng: 9.2109 },
+  { name: 'Pforzheim', region: 'DE-BW', lat: 48.8922, lng: 8.6946 },
+  { name: 'Reutlingen', region: 'DE-BW', lat: 48.4914, lng: 9.2043 },
+  { name: 'Tübingen', region: 'DE-BW', lat: 48.5216, lng: 9.0576 },
+  { name: 'Konstanz', region: 'DE-BW', lat: 47.6779, lng: 9.1732 },
+  { name: 'Friedrichshafen', region: 'DE-BW', lat: 47.6542, lng: 9.4792 },
+  { name: 'Hockenheim', region: 'DE-BW', lat: 49.3225, lng: 8.5478 },
+  { name: 'Neuhausen ob Eck', region: 'DE-BW', lat: 47.9775, lng: 8.9131 },
+  { name: 'Frankfurt am Main', region: 'DE-HE', lat: 50.1109, lng: 8.6821, aliases: ['Frankfurt'] },
+  { name: 'Wiesbaden', region: 'DE-HE', lat: 50.0782, lng: 8.2398 },
+  { name: 'Kassel', region: 'DE-HE', lat: 51.3127, lng: 9.4797 },
+  { name: 'Darmstadt', region: 'DE-HE', lat: 49.8728, lng: 8.6512 },
+  { name: 'Offenbach am Main', region: 'DE-HE', lat: 50.0956, lng: 8.7761, aliases: ['Offenbach'] },
+  { name: 'Fulda', region: 'DE-HE', lat: 50.5558, lng: 9.6808 },
+  { name: 'Marburg', region: 'DE-HE', lat: 50.8021, lng: 8.7667 },
+  { name: 'Gießen', region: 'DE-HE', lat: 50.5841, lng: 8.6784, aliases: ['Giessen'] },
+  { name: 'Eschwege', region: 'DE-HE', lat: 51.1881, lng: 10.0525 },
+  { name: 'Köln', region: 'DE-NW', lat: 50.9375, lng: 6.9603, aliases: ['Cologne', 'Keulen', 'Koeln'] },
+  { name: 'Düsseldorf', region: 'DE-NW', lat: 51.2277, lng: 6.7735, aliases: ['Duesseldorf'] },
+  { name: 'Dortmund', region: 'DE-NW', lat: 51.5136, lng: 7.4653 },
+  { name: 'Essen', region: 'DE-NW', lat: 51.4556, lng: 7.0116 },
+  { name: 'Duisburg', region: 'DE-NW', lat: 51.4344, lng: 6.7623 },
+  { name: 'Bochum', region: 'DE-NW', lat: 51.4818, lng: 7.2162 },
+  { name: 'Wuppertal', region: 'DE-NW', lat: 51.2562, lng: 7.1508 },
+  { name: 'Bielefeld', region: 'DE-NW', lat: 52.0302, lng: 8.5325 },
+  { name: 'Bonn', region: 'DE-NW', lat: 50.7374, lng: 7.0982 },
+  { name: 'Münster', region: 'DE-NW', lat: 51.9607, lng: 7.6261, aliases: ['Muenster', 'Munster'] },
+  { name: 'Gelsenkirchen', region: 'DE-NW', lat: 51.5177, lng: 7.0857 },
+  { name: 'Mönchengladbach', region: 'DE-NW', lat: 51.1805, lng: 6.4428 },
+  { name: 'Aachen', region: 'DE-NW', lat: 50.7753, lng: 6.0839, aliases: ['Aken'] },
+  { name: 'Krefeld', region: 'DE-NW', lat: 51.3388, lng: 6.5853 },
+  { name: 'Oberhausen', region: 'DE-NW', lat: 51.4963, lng: 6.8638 },
+  { name: 'Mülheim an der Ruhr', region: 'DE-NW', lat: 51.4275, lng: 6.8825, aliases: ['Mülheim'] },
+  { name: 'Herne', region: 'DE-NW', lat: 51.5388, lng: 7.2257 },
+  { name: 'Hagen', region: 'DE-NW', lat: 51.3671, lng: 7.4633 },
+  { name: 'Hamm', region: 'DE-NW', lat: 51.6739, lng: 7.8150 },
+  { name: 'Leverkusen', region: 'DE-NW', lat: 51.0459, lng: 7.0192 },
+  { name: 'Solingen', region: 'DE-NW', lat: 51.1652, lng: 7.0671 },
+  { name: 'Neuss', region: 'DE-NW', lat: 51.1985, lng: 6.6913 },
+  { name: 'Ratingen', region: 'DE-NW', lat: 51.2971, lng: 6.8494 },
+  { name: 'Recklinghausen', region: 'DE-NW', lat: 51.6141, lng: 7.1979 },
+  { name: 'Bottrop', region: 'DE-NW', lat: 51.5216, lng: 6.9289 },
+  { name: 'Moers', region: 'DE-NW', lat: 51.4516, lng: 6.6408 },
+  { name: 'Paderborn', region: 'DE-NW', lat: 51.7189, lng: 8.7575 },
+  { name: 'Siegen', region: 'DE-NW', lat: 50.8748, lng: 8.0243 },
+  { name: 'Gütersloh', region: 'DE-NW', lat: 51.9032, lng: 8.3858 },
+  { name: 'Detmold', region: 'DE-NW', lat: 51.9378, lng: 8.8833 },
+  { name: 'Herford', region: 'DE-NW', lat: 52.1146, lng: 8.6734 },
+  { name: 'Minden', region: 'DE-NW', lat: 52.2894, lng: 8.9170 },
+  { name: 'Rheine', region: 'DE-NW', lat: 52.2806, lng: 7.4406 },
+  { name: 'Gronau', region: 'DE-NW', lat: 52.2125, lng: 7.0417 },
+  { name: 'Bocholt', region: 'DE-NW', lat: 51.8386, lng: 6.6150 },
+  { name: 'Borken', region: 'DE-NW', lat: 51.8436, lng: 6.8578 },
+  { name: 'Coesfeld', region: 'DE-NW', lat: 51.9458, lng: 7.1675 },
+  { name: 'Kleve', region: 'DE-NW', lat: 51.7887, lng: 6.1386, aliases: ['Kleef'] },
+  { name: 'Emmerich am Rhein', region: 'DE-NW', lat: 51.8386, lng: 6.2467, aliases: ['Emmerich', 'Emmerik'] },
+  { name: 'Goch', region: 'DE-NW', lat: 51.6775, lng: 6.1614 },
+  { name: 'Weeze', region: 'DE-NW', lat: 51.6270, lng: 6.1970 },
+  { name: 'Xanten', region: 'DE-NW', lat: 51.6622, lng: 6.4539 },
+  { name: 'Wesel', region: 'DE-NW', lat: 51.6583, lng: 6.6178 },
+  { name: 'Geldern', region: 'DE-NW', lat: 51.5197, lng: 6.3236 },
+  { name: 'Kempen', region: 'DE-NW', lat: 51.3642, lng: 6.4194 },
+  { name: 'Viersen', region: 'DE-NW', lat: 51.2564, lng: 6.3939 },
+  { name: 'Heinsberg', region: 'DE-NW', lat: 51.0647, lng: 6.0958 },
+  { name: 'Erkelenz', region: 'DE-NW', lat: 51.0797, lng: 6.3156 },
+  { name: 'Jülich', region: 'DE-NW', lat: 50.9220, lng: 6.3583 },
+  { name: 'Düren', region: 'DE-NW', lat: 50.8036, lng: 6.4822 },
+  { name: 'Hannover', region: 'DE-NI', lat: 52.3759, lng: 9.7320, aliases: ['Hanover'] },
+  { name: 'Braunschweig', region: 'DE-NI', lat: 52.2689, lng: 10.5268, aliases: ['Brunswick'] },
+  { name: 'Oldenburg', region: 'DE-NI', lat: 53.1435, lng: 8.2146 },
+  { name: 'Osnabrück', region: 'DE-NI', lat: 52.2799, lng: 8.0472 },
+  { name: 'Wolfsburg', region: 'DE-NI', lat: 52.4227, lng: 10.7865 },
+  { name: 'Göttingen', region: 'DE-NI', lat: 51.5413, lng: 9.9158 },
+  { name: 'Salzgitter', region: 'DE-NI', lat: 52.1503, lng: 10.3593 },
+  { name: 'Hildesheim', region: 'DE-NI', lat: 52.1508, lng: 9.9511 },
+  { name: 'Celle', region: 'DE-NI', lat: 52.6226, lng: 10.0805 },
+  { name: 'Lüneburg', region: 'DE-NI', lat: 53.2464, lng: 10.4115 },
+  { name: 'Goslar', region: 'DE-NI', lat: 51.9059, lng: 10.4289 },
+  { name: 'Delmenhorst', region: 'DE-NI', lat: 53.0507, lng: 8.6315 },
+  { name: 'Wilhelmshaven', region: 'DE-NI', lat: 53.5300, lng: 8.1100 },
+  { name: 'Cuxhaven', region: 'DE-NI', lat: 53.8614, lng: 8.6946 },
+  { name: 'Emden', region: 'DE-NI', lat: 53.3670, lng: 7.2061 },
+  { name: 'Leer', region: 'DE-NI', lat: 53.2316, lng: 7.4610 },
+  { name: 'Papenburg', region: 'DE-NI', lat: 53.0775, lng: 7.4033 },
+  { name: 'Meppen', region: 'DE-NI', lat: 52.6906, lng: 7.2911 },
+  { name: 'Lingen', region: 'DE-NI', lat: 52.5220, lng: 7.3166 },
+  { name: 'Nordhorn', region: 'DE-NI', lat: 52.4319, lng: 7.0700 },
+  { name: 'Scheeßel', region: 'DE-NI', lat: 53.1706, lng: 9.4833, aliases: ['Scheessel'] },
+  { name: 'Kiel', region: 'DE-SH', lat: 54.3233, lng: 10.1228 },
+  { name: 'Lübeck', region: 'DE-SH', lat: 53.8655, lng: 10.6866 },
+  { name: 'Flensburg', region: 'DE-SH', lat: 54.7937, lng: 9.4469 },
+  { name: 'Neumünster', region: 'DE-SH', lat: 54.0747, lng: 9.9818 },
+  { name: 'Norderstedt', region: 'DE-SH', lat: 53.7062, lng: 9.9999 },
+  { name: 'Wacken', region: 'DE-SH', lat: 54.0228, lng: 9.3747 },
+  { name: 'Sylt', region: 'DE-SH', lat: 54.9077, lng: 8.3108, aliases: ['Westerland'] },
+  { name: 'Mainz', region: 'DE-RP', lat: 49.9929, lng: 8.2473 },
+  { name: 'Koblenz', region: 'DE-RP', lat: 50.3569, lng: 7.5890 },
+  { name: 'Trier', region: 'DE-RP', lat: 49.7499, lng: 6.6371 },
+  { name: 'Ludwigshafen am Rhein', region: 'DE-RP', lat: 49.4774, lng: 8.4452, aliases: ['Ludwigshafen'] },
+  { name: 'Kaiserslautern', region: 'DE-RP', lat: 49.4447, lng: 7.7690 },
+  { name: 'Worms', region: 'DE-RP', lat: 49.6341, lng: 8.3507 },
+  { name: 'Nürburg', region: 'DE-RP', lat: 50.3436, lng: 6.9519, aliases: ['Nürburgring'] },
+  { name: 'Saarbrücken', region: 'DE-SL', lat: 49.2402, lng: 6.9969 },
+  { name: 'Saarlouis', region: 'DE-SL', lat: 49.3136, lng: 6.7519 },
+  { name: 'Neunkirchen', region: 'DE-SL', lat: 49.3446, lng: 7.1808 },
+  { name: 'Homburg', region: 'DE-SL', lat: 49.3270, lng: 7.3386 },
+  { name: 'St. Wendel', region: 'DE-SL', lat: 49.4670, lng: 7.1684, aliases: ['Sankt Wendel'] },
+  { name: 'Leipzig', region: 'DE-SN', lat: 51.3397, lng: 12.3731 },
+  { name: 'Dresden', region: 'DE-SN', lat: 51.0504, lng: 13.7373 },
+  { name: 'Chemnitz', region: 'DE-SN', lat: 50.8278, lng: 12.9214 },
+  { name: 'Zwickau', region: 'DE-SN', lat: 50.7189, lng: 12.4961 },
+  { name: 'Görlitz', region: 'DE-SN', lat: 51.1522, lng: 14.9872 },
+  { name: 'Plauen', region: 'DE-SN', lat: 50.4954, lng: 12.1366 },
+  { name: 'Halle', region: 'DE-ST', lat: 51.4969, lng: 11.9688, aliases: ['Halle an der Saale'] },
+  { name: 'Magdeburg', region: 'DE-ST', lat: 52.1205, lng: 11.6276 },
+  { name: 'Dessau', region: 'DE-ST', lat: 51.8354, lng: 12.2453, aliases: ['Dessau-Roßlau'] },
+  { name: 'Gräfenhainichen', region: 'DE-ST', lat: 51.7303, lng: 12.4553, aliases: ['Ferropolis'] },
+  { name: 'Erfurt', region: 'DE-TH', lat: 50.9848, lng: 11.0299 },
+  { name: 'Jena', region: 'DE-TH', lat: 50.9271, lng: 11.5892 },
+  { name: 'Weimar', region: 'DE-TH', lat: 50.9795, lng: 11.3235 },
+  { name: 'Gera', region: 'DE-TH', lat: 50.8808, lng: 12.0822 },
+  { name: 'Potsdam', region: 'DE-BB', lat: 52.3906, lng: 13.0645 },
+  { name: 'Cottbus', region: 'DE-BB', lat: 51.7563, lng: 14.3329 },
+  { name: 'Frankfurt an der Oder', region: 'DE-BB', lat: 52.3471, lng: 14.5506, aliases: ['Frankfurt Oder'] },
+  { name: 'Rostock', region: 'DE-MV', lat: 54.0924, lng: 12.0991 },
+  { name: 'Schwerin', region: 'DE-MV', lat: 53.6355, lng: 11.4012 },
+  { name: 'Stralsund', region: 'DE-MV', lat: 54.3091, lng: 13.0818 },
+  { name: 'Greifswald', region: 'DE-MV', lat: 54.0865, lng: 13.3923 },
+  { name: 'Neubrandenburg', region: 'DE-MV', lat: 53.5568, lng: 13.2606 },
+];
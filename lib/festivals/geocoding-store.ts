@@ -0,0 +1,86 @@
+/**
+ * Festival Geocoding Store
+ *
+ * Geocodes festivals whose location hasn't been geocoded yet: new festivals from
+ * sources that don't geocode on import, and festivals whose location or country was
+ * edited (the `reset_festival_geocoding` trigger clears their geocoding).
+ */
+
+import { supabase } from '../supabase-client';
+import { geocodeColumns } from './geocoding';
+
+const DEFAULT_BATCH_SIZE = 500;
+
+export interface GeocodeRunResult {
+  checked: number;
+  located: number;
+  unresolved: number;
+  // Festivals still waiting after this run
+  remaining: number;
+}
+
+class FestivalGeocodingStore {
+  /**
+   * Geocode up to `limit` festivals that are waiting for it, oldest first
+   */
+  async geocodePending(limit = DEFAULT_BATCH_SIZE): Promise<GeocodeRunResult> {
+    const { data, error } = await supabase
+      .from('festivals')
+      .select('id, location, country')
+      .is('geocoded_at', null)
+      .is('merged_into', null)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load festivals to geocode: ${error.message}`);
+    }
+
+    const festivals = (data || []) as { id: string; location: string | null; country: string | null }[];
+    let located = 0;
+
+    for (const festival of festivals) {
+      const columns = geocodeColumns(festival.location, festival.country);
+      const { error: updateError } = await supabase
+        .from('festivals')
+        .update(columns)
+        .eq('id', festival.id);
+
+      if (updateError) {
+        throw new Error(`Failed to store geocoding for festival ${festival.id}: ${updateError.message}`);
+      }
+      if (columns.latitude !== null) located++;
+    }
+
+    const { count, error: countError } = await supabase
+      .from('festivals')
+      .select('id', { count: 'exact', head: true })
+      .is('geocoded_at', null)
+      .is('merged_into', null);
+
+    if (countError) {
+      throw new Error(`Failed to count festivals to geocode: ${countError.message}`);
+    }
+
+    console.log(`[Geocoding] Geocoded ${festivals.length} festivals, ${located} placed on the map`);
+
+    return {
+      checked: festivals.length,
+      located,
+      unresolved: festivals.length - located,
+      remaining: count || 0,
+    };
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalGeocodingStore | null = null;
+
+export function getFestivalGeocodingStore(): FestivalGeocodingStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalGeocodingStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalGeocodingStore };
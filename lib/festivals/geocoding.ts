@@ -0,0 +1,265 @@
+/**
+ * Festival Geocoding
+ *
+ * Turns the free-text location and country of a festival ("Biddinghuizen (NL)",
+ * "Werchter, België", "Walibi Holland - Biddinghuizen") into a city, province and
+ * country with coordinates, using the offline gazetteer. Matching is case- and
+ * accent-insensitive; a country or province in the text narrows down which place is
+ * meant. Locations outside the gazetteer's countries are left alone rather than
+ * matched to a namesake here.
+ *
+ * Client-safe: no server imports.
+ */
+
+import {
+  COUNTRIES,
+  PLACES,
+  REGIONS,
+  type CountryCode,
+  type GazetteerCountry,
+  type GazetteerPlace,
+  type GazetteerRegion,
+} from './gazetteer';
+import { normalizeSearchText } from './search';
+
+export type GeocodePrecision = 'city' | 'province' | 'country';
+
+export interface GeocodedLocation {
+  city: string | null;
+  province: string | null;
+  // English country name
+  country: string | null;
+  countryCode: CountryCode | null;
+  // Only for city precision
+  latitude: number | null;
+  longitude: number | null;
+  precision: GeocodePrecision;
+}
+
+export interface GeoPoint {
+  lat: number;
+  lng: number;
+}
+
+// The festivals columns a geocoded location is stored in
+export interface GeocodeColumns {
+  city: string | null;
+  province: string | null;
+  country_code: CountryCode | null;
+  latitude: number | null;
+  longitude: number | null;
+  geocoded_at: string;
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+// Single words shorter than this only match a place when they are the whole location
+// part, so "Ede" or "Spa" are not found inside venue names
+const MIN_WORD_MATCH_LENGTH = 4;
+
+// Country codes in parentheses, like "Lille (FR)"
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2,3}$/;
+
+interface GazetteerIndex {
+  places: Map<string, GazetteerPlace[]>;
+  regions: Map<string, GazetteerRegion[]>;
+  countries: Map<string, GazetteerCountry>;
+  regionsByCode: Map<string, GazetteerRegion>;
+  countriesByCode: Map<CountryCode, GazetteerCountry>;
+}
+
+let gazetteerIndex: GazetteerIndex | null = null;
+
+function addToIndex<T>(index: Map<string, T[]>, names: string[], item: T): void {
+  for (const name of names) {
+    const key = normalizeSearchText(name);
+    const items = index.get(key) || [];
+    if (!items.includes(item)) items.push(item);
+    index.set(key, items);
+  }
+}
+
+function getIndex(): GazetteerIndex {
+  if (gazetteerIndex) return gazetteerIndex;
+
+  const places = new Map<string, GazetteerPlace[]>();
+  const regions = new Map<string, GazetteerRegion[]>();
+  const countries = new Map<string, GazetteerCountry>();
+
+  for (const place of PLACES) {
+    addToIndex(places, [place.name, ...(place.aliases || [])], place);
+  }
+  for (const region of REGIONS) {
+    addToIndex(regions, [region.name, ...(region.aliases || [])], region);
+  }
+  for (const country of COUNTRIES) {
+    for (const name of [country.name, ...country.aliases]) {
+      countries.set(normalizeSearchText(name), country);
+    }
+  }
+
+  gazetteerIndex = {
+    places,
+    regions,
+    countries,
+    regionsByCode: new Map(REGIONS.map(region => [region.code, region])),
+    countriesByCode: new Map(COUNTRIES.map(country => [country.code, country])),
+  };
+  return gazetteerIndex;
+}
+
+function countryOf(regionCode: string): CountryCode {
+  return regionCode.slice(0, 2) as CountryCode;
+}
+
+// Every run of consecutive words, longest first
+function wordRuns(text: string): string[] {
+  const words = text.split(' ');
+  const runs: string[] = [];
+  for (let size = words.length; size >= 1; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const run = words.slice(start, start + size).join(' ');
+      if (size > 1 || run.length >= MIN_WORD_MATCH_LENGTH || size === words.length) {
+        runs.push(run);
+      }
+    }
+  }
+  return runs;
+}
+
+/**
+ * Geocode a festival location. Returns null when neither a place, a province nor a
+ * country could be recognized, or when the location is in another country.
+ */
+export function geocodeLocation(location?: string | null, country?: string | null): GeocodedLocation | null {
+  const index = getIndex();
+  const text = location || '';
+
+  // Parenthesized parts ("Utrecht (NL)") mostly say which country or province
+  const hints = [...text.matchAll(/\(([^)]*)\)/g)].map(match => match[1].trim()).filter(Boolean);
+  const parts = text
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[,;|/]|\s[-–]\s/)
+    .map(normalizeSearchText)
+    .filter(Boolean);
+
+  let countryCode: CountryCode | null = null;
+  const regionHints: GazetteerRegion[] = [];
+  const placeHints: string[] = [];
+
+  for (const hint of [country?.trim() || '', ...hints]) {
+    if (!hint) continue;
+    const normalized = normalizeSearchText(hint);
+    const known = index.countries.get(normalized);
+    if (known) {
+      countryCode = countryCode || known.code;
+    } else if (index.regions.has(normalized) && !index.places.has(normalized)) {
+      regionHints.push(...index.regions.get(normalized)!);
+    } else if (!index.places.has(normalized) && (hint === country?.trim() || COUNTRY_CODE_PATTERN.test(hint))) {
+      // A country we have no places for
+      return null;
+    } else if (normalized) {
+      // "Beekse Bergen (Hilvarenbeek)"
+      placeHints.push(normalized);
+    }
+  }
+
+  // Countries and provinces written as part of the location
+  const placeParts: string[] = [];
+  for (const part of [...parts, ...placeHints]) {
+    const known = index.countries.get(part);
+    if (known) {
+      countryCode = countryCode || known.code;
+    } else if (index.regions.has(part) && !index.places.has(part)) {
+      regionHints.push(...index.regions.get(part)!);
+    } else {
+      placeParts.push(part);
+    }
+  }
+  // Or at the end of one, like "Amsterdam Nederland"
+  for (const part of placeParts) {
+    const words = part.split(' ');
+    const known = words.length > 1 ? index.countries.get(words[words.length - 1]) : undefined;
+    if (known && words[words.length - 1].length >= MIN_WORD_MATCH_LENGTH) {
+      countryCode = countryCode || known.code;
+    }
+  }
+
+  const matchesHints = (regionCode: string) =>
+    (!countryCode || countryOf(regionCode) === countryCode) &&
+    (regionHints.length === 0 || regionHints.some(region => region.code === regionCode));
+
+  for (const part of placeParts) {
+    for (const run of wordRuns(part)) {
+      const place = index.places.get(run)?.find(candidate => matchesHints(candidate.region));
+      if (place) {
+        const code = countryOf(place.region);
+        return {
+          city: place.name,
+          province: index.regionsByCode.get(place.region)?.name ?? null,
+          country: index.countriesByCode.get(code)?.name ?? null,
+          countryCode: code,
+          latitude: place.lat,
+          longitude: place.lng,
+          precision: 'city',
+        };
+      }
+    }
+  }
+
+  const region = regionHints.find(candidate => !countryCode || countryOf(candidate.code) === countryCode);
+  if (region) {
+    const code = countryOf(region.code);
+    return {
+      city: null,
+      province: region.name,
+      country: index.countriesByCode.get(code)?.name ?? null,
+      countryCode: code,
+      latitude: null,
+      longitude: null,
+      precision: 'province',
+    };
+  }
+
+  if (countryCode) {
+    return {
+      city: null,
+      province: null,
+      country: index.countriesByCode.get(countryCode)?.name ?? null,
+      countryCode,
+      latitude: null,
+      longitude: null,
+      precision: 'country',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The geocoding columns to store with a festival. Unrecognized locations are stored
+ * as geocoded too, with empty columns, so they aren't retried until they change.
+ */
+export function geocodeColumns(location?: string | null, country?: string | null): GeocodeColumns {
+  const geocoded = geocodeLocation(location, country);
+  return {
+    city: geocoded?.city ?? null,
+    province: geocoded?.province ?? null,
+    country_code: geocoded?.countryCode ?? null,
+    latitude: geocoded?.latitude ?? null,
+    longitude: geocoded?.longitude ?? null,
+    geocoded_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export function haversineKm(from: GeoPoint, to: GeoPoint): number {
+  const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
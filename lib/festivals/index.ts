@@ -0,0 +1,393 @@
+/**
+ * Festival Data Module
+ *
+ * Cross-source entity resolution and merging of festival records, festival
+ * series linking the yearly editions of a recurring festival, per-user
+ * festival preferences with an offline write queue, filtered, sorted,
+ * cursor-paginated festival queries, fuzzy festival search, offline
+ * geocoding of festival locations for the festival map, contacts linked to
+ * festivals with the source of each fact, organizing companies with their
+ * festival portfolios, the activity log of each festival with the time
+ * spent per sales stage, the configurable sales pipelines whose stages
+ * festivals move through, with their WIP limits, the rate card workflow:
+ * logged requests, stored rate cards and the prices parsed from them,
+ * follow-up tasks per festival with the rules that create them, and email
+ * outreach from Dutch and English templates, sent over SMTP in threads.
+ */
+
+export {
+  scoreFestivalMatch,
+  nameSimilarity,
+  dateOverlapScore,
+  locationSimilarity,
+  normalizeFestivalName,
+  getNameTokens,
+  getDomain,
+  getFestivalDomain,
+  suggestCanonical,
+  DEFAULT_MATCH_THRESHOLD,
+  type MatchableFestival,
+  type MatchSignal,
+  type MatchSignals,
+  type MatchScore,
+} from './entity-resolution';
+
+export {
+  getFestivalMergeStore,
+  FestivalMergeStore,
+  MERGE_CANDIDATE_STATUSES,
+  type MergeCandidate,
+  type MergeCandidateStatus,
+  type MergeCandidateWithFestivals,
+  type DuplicateScanResult,
+} from './merge-store';
+
+export {
+  buildEditionIndex,
+  describeEditionOutcome,
+  isWonEdition,
+  getEditionYear,
+  type FestivalEdition,
+  type EditionHistory,
+} from './series';
+
+export {
+  getFestivalSeriesStore,
+  FestivalSeriesStore,
+  type FestivalSeries,
+  type SeriesEditions,
+} from './series-store';
+
+export {
+  getFestivalPreferenceStore,
+  FestivalPreferenceStore,
+  PREFERENCE_DEFAULTS,
+  type FestivalPreference,
+  type PreferenceUpdate,
+  type PreferenceField,
+  type PreferenceConflict,
+  type StagePlacement,
+  type UserProfile,
+  type Team,
+  type TeamLead,
+  type LeadOwner,
+  type TeamOverview,
+} from './preference-store';
+
+export {
+  PreferenceWriteQueue,
+  PREFERENCE_QUEUE_KEY,
+  samePreferenceValue,
+  type QueuedPreferenceWrite,
+  type QueuedWriteConflict,
+  type QueuedWriteFailure,
+  type PreferenceFlushResult,
+  type QueueStorage,
+} from './preference-queue';
+
+export {
+  FESTIVAL_SORT_FIELDS,
+  RESEARCH_STATUS_FILTERS,
+  RATE_CARD_FILTERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  FestivalQueryError,
+  parseFestivalQuery,
+  toSearchParams,
+  toFilterJson,
+  encodeCursor,
+  decodeCursor,
+  type FestivalQuery,
+  type FestivalFilters,
+  type FestivalSortField,
+  type SortDirection,
+  type ResearchStatusFilter,
+  type RateCardFilter,
+  type FestivalPageInfo,
+  type FestivalCursor,
+} from './festival-query';
+
+export {
+  getFestivalQueryStore,
+  FestivalQueryStore,
+  type FestivalPage,
+} from './festival-query-store';
+
+export {
+  normalizeSearchText,
+  trigramSimilarity,
+  findHighlights,
+  buildSearchMatch,
+  SEARCH_FIELD_LABELS,
+  MIN_SEARCH_LENGTH,
+  type SearchField,
+  type SearchMatch,
+  type SearchableFestival,
+} from './search';
+
+export {
+  COUNTRIES,
+  REGIONS,
+  PLACES,
+  type CountryCode,
+  type GazetteerCountry,
+  type GazetteerRegion,
+  type GazetteerPlace,
+} from './gazetteer';
+
+export {
+  geocodeLocation,
+  geocodeColumns,
+  haversineKm,
+  type GeocodedLocation,
+  type GeocodePrecision,
+  type GeocodeColumns,
+  type GeoPoint,
+} from './geocoding';
+
+export {
+  getFestivalGeocodingStore,
+  FestivalGeocodingStore,
+  type GeocodeRunResult,
+} from './geocoding-store';
+
+export {
+  project,
+  unproject,
+  worldSize,
+  pixelsPerKm,
+  clusterMarkers,
+  fitBounds,
+  TILE_SIZE,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  type WorldPoint,
+  type MapMarker,
+  type MapCluster,
+} from './festival-map';
+
+export {
+  CONTACT_ROLES,
+  CONTACT_ROLE_LABELS,
+  VERIFICATION_STATUSES,
+  VERIFICATION_STATUS_LABELS,
+  CONTACT_SOURCES,
+  CONTACT_SOURCE_LABELS,
+  CONTACT_FIELDS,
+  isValidEmail,
+  normalizeEmail,
+  normalizeLinkedInUrl,
+  normalizeContactInput,
+  isContactRole,
+  isVerificationStatus,
+  contactDisplayName,
+  contactSourceLabel,
+  type Contact,
+  type ContactRole,
+  type ContactField,
+  type ContactInput,
+  type ContactUpdate,
+  type ContactProvenance,
+  type FestivalContact,
+  type VerificationStatus,
+} from './contacts';
+
+export {
+  getContactStore,
+  ContactStore,
+  ContactConflictError,
+  type SaveContactResult,
+} from './contact-store';
+
+export {
+  normalizeCompanyName,
+  normalizeKvkNumber,
+  furthestStage,
+  combineSalesStatus,
+  type Company,
+  type CompanySummary,
+  type CompanyContact,
+  type CompanyPortfolio,
+  type CompanySalesStatus,
+  type PortfolioFestival,
+} from './companies';
+
+export {
+  getCompanyStore,
+  CompanyStore,
+} from './company-store';
+
+export {
+  ACTIVITY_TYPES,
+  ACTIVITY_TYPE_LABELS,
+  isActivityType,
+  describeActivity,
+  summarizeStageTimes,
+  formatDuration,
+  type ActivityType,
+  type FestivalActivity,
+  type FestivalActivityEntry,
+  type StageChange,
+  type StageTimes,
+} from './activity';
+
+export {
+  getFestivalActivityStore,
+  FestivalActivityStore,
+} from './activity-store';
+
+export {
+  STAGE_OUTCOMES,
+  STAGE_OUTCOME_LABELS,
+  ENTRY_STAGE,
+  stageKeyFromLabel,
+  isStageOutcome,
+  normalizePipelineInput,
+  normalizeLostReason,
+  defaultPipeline,
+  pipelineFor,
+  findStage,
+  buildStageIndex,
+  stageRank,
+  stageLabel,
+  isOverWipLimit,
+  stageBadgeStyle,
+  type StageOutcome,
+  type PipelineStage,
+  type SalesPipeline,
+  type PipelineStageInput,
+  type PipelineInput,
+} from './pipelines';
+
+export {
+  getSalesPipelineStore,
+  SalesPipelineStore,
+  PipelineConflictError,
+  InvalidStageError,
+} from './pipeline-store';
+
+export {
+  RATE_CARD_CHANNELS,
+  RATE_CARD_CHANNEL_LABELS,
+  RATE_CARD_REQUEST_STATUSES,
+  RATE_CARD_REQUEST_STATUS_LABELS,
+  PARSE_STATUSES,
+  RATE_CARD_CONTENT_TYPES,
+  MAX_RATE_CARD_BYTES,
+  DEFAULT_REMINDER_DAYS,
+  isRateCardChannel,
+  isRateCardRequestStatus,
+  isRateCardContentType,
+  normalizeRateCardRequestInput,
+  normalizeLineItems,
+  parsePrice,
+  formatPrice,
+  daysWaiting,
+  isOverdue,
+  rateCardStoragePath,
+  type RateCardChannel,
+  type RateCardRequestStatus,
+  type ParseStatus,
+  type RateCardContentType,
+  type RateCardRequest,
+  type RateCardLineItem,
+  type RateCardDocument,
+  type FestivalRateCards,
+  type RateCardRequestInput,
+  type OverdueRateCardRequest,
+} from './rate-cards';
+
+export {
+  parseRateCard,
+  isRateCardParserAvailable,
+  RateCardParseError,
+} from './rate-card-parser';
+
+export {
+  getRateCardStore,
+  getRateCardReminderDays,
+  RateCardStore,
+  InvalidRateCardError,
+  type RateCardUpload,
+} from './rate-card-store';
+
+export {
+  TASK_TYPES,
+  TASK_TYPE_LABELS,
+  TASK_STATUSES,
+  TASK_STATUS_LABELS,
+  TASK_RULE_TRIGGERS,
+  isTaskType,
+  isTaskStatus,
+  isTaskOverdue,
+  daysOverdue,
+  toDateKey,
+  addDaysToDateKey,
+  normalizeTaskInput,
+  normalizeTaskUpdate,
+  normalizeTaskRuleUpdate,
+  describeTaskRule,
+  type TaskType,
+  type TaskStatus,
+  type TaskRuleTrigger,
+  type FestivalTask,
+  type TaskRule,
+  type TaskInput,
+  type TaskUpdate,
+  type TaskRuleUpdate,
+  type OverdueTaskSummary,
+} from './tasks';
+
+export {
+  getTaskStore,
+  TaskStore,
+  InvalidTaskError,
+  type DateRuleRun,
+} from './task-store';
+
+export {
+  OUTREACH_LANGUAGES,
+  OUTREACH_LANGUAGE_LABELS,
+  MERGE_FIELDS,
+  MERGE_FIELD_LABELS,
+  isOutreachLanguage,
+  isMergeField,
+  formatFestivalDates,
+  buildMergeValues,
+  renderMergeFields,
+  renderOutreach,
+  unknownMergeFields,
+  normalizeTemplateInput,
+  normalizeOutreachSendInput,
+  groupThreads,
+  templateVariants,
+  type OutreachLanguage,
+  type MergeField,
+  type MergeValues,
+  type OutreachTemplate,
+  type OutreachTemplateInput,
+  type OutreachMessage,
+  type OutreachThread,
+  type OutreachRecipient,
+  type OutreachContext,
+  type OutreachSendInput,
+  type RenderedOutreach,
+} from './outreach';
+
+export {
+  getOutreachStore,
+  OutreachStore,
+  OUTREACH_STAGE,
+  InvalidOutreachError,
+  OutreachSendError,
+  type OutreachSendResult,
+} from './outreach-store';
+
+export {
+  getMailerConfig,
+  isMailerConfigured,
+  sendOutreachMail,
+  type MailerConfig,
+  type OutreachMail,
+  type SentMail,
+} from './outreach-mailer';
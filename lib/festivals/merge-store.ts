@@ -0,0 +1,313 @@
+/**
+ * Festival Merge Store
+ *
+ * Finds likely duplicate festivals across sources and manages the review queue in
+ * `festival_merge_candidates`. A scan compares every unmerged festival against the
+ * others that share a distinctive name token or website domain and queues pairs that
+ * score above the threshold. Confirming a candidate runs the `merge_festivals` RPC,
+ * which keeps one canonical festival and links the other record to it.
+ */
+
+import { supabase } from '../supabase-client';
+import {
+  scoreFestivalMatch,
+  getNameTokens,
+  getFestivalDomain,
+  suggestCanonical,
+  DEFAULT_MATCH_THRESHOLD,
+  type MatchableFestival,
+  type MatchSignals,
+} from './entity-resolution';
+
+const TABLE = 'festival_merge_candidates';
+
+const MATCH_COLUMNS = 'id, name, start_date, end_date, location, country, url, homepage_url, source, favorite, sales_stage, created_at';
+
+// The review queue also shows what a merge would combine
+const REVIEW_COLUMNS = `${MATCH_COLUMNS}, emails, notes, research_data`;
+
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// Tokens or domains shared by more festivals than this ("summer", "jazz") are too common to block on
+const MAX_BLOCK_SIZE = 150;
+
+export type MergeCandidateStatus = 'pending' | 'confirmed' | 'rejected';
+
+export const MERGE_CANDIDATE_STATUSES: MergeCandidateStatus[] = ['pending', 'confirmed', 'rejected'];
+
+export interface MergeCandidate {
+  id: string;
+  festival_a: string;
+  festival_b: string;
+  score: number;
+  signals: MatchSignals;
+  status: MergeCandidateStatus;
+  canonical_id: string | null;
+  created_at: string;
+  reviewed_at: string | null;
+}
+
+export interface MergeCandidateWithFestivals extends MergeCandidate {
+  festivalA: MatchableFestival | null;
+  festivalB: MatchableFestival | null;
+  // Festival the review queue proposes to keep
+  suggestedCanonicalId: string | null;
+}
+
+export interface DuplicateScanResult {
+  festivals: number;
+  compared: number;
+  found: number;
+  queued: number;
+}
+
+class FestivalMergeStore {
+  /**
+   * All festivals that haven't been merged into another one
+   */
+  private async loadActiveFestivals(): Promise<MatchableFestival[]> {
+    const festivals: MatchableFestival[] = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('festivals')
+        .select(MATCH_COLUMNS)
+        .is('merged_into', null)
+        .order('id')
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to load festivals: ${error.message}`);
+      }
+      festivals.push(...((data || []) as MatchableFestival[]));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return festivals;
+  }
+
+  /**
+   * Score festivals that share a name token or domain and queue likely duplicates.
+   * Pairs already in the queue keep their status, so rejected pairs stay rejected.
+   */
+  async scan(threshold: number = DEFAULT_MATCH_THRESHOLD): Promise<DuplicateScanResult> {
+    const festivals = await this.loadActiveFestivals();
+
+    const blocks = new Map<string, number[]>();
+    const addToBlock = (key: string, index: number) => {
+      const block = blocks.get(key);
+      if (block) {
+        block.push(index);
+      } else {
+        blocks.set(key, [index]);
+      }
+    };
+
+    festivals.forEach((festival, index) => {
+      const tokens = new Set(getNameTokens(festival.name).filter(token => token.length >= 3));
+      tokens.forEach(token => addToBlock(`name:${token}`, index));
+      const domain = getFestivalDomain(festival);
+      if (domain) addToBlock(`domain:${domain}`, index);
+    });
+
+    const seen = new Set<string>();
+    const candidates: Array<{ festival_a: string; festival_b: string; score: number; signals: MatchSignals }> = [];
+    let compared = 0;
+
+    blocks.forEach((indexes, key) => {
+      if (indexes.length < 2) return;
+      if (indexes.length > MAX_BLOCK_SIZE) {
+        console.log(`[Merge] Skipping ${key}, shared by ${indexes.length} festivals`);
+        return;
+      }
+
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          const a = festivals[indexes[i]];
+          const b = festivals[indexes[j]];
+          const [first, second] = a.id < b.id ? [a, b] : [b, a];
+          const pairKey = `${first.id}:${second.id}`;
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+
+          compared++;
+          const match = scoreFestivalMatch(first, second);
+          if (match.score >= threshold) {
+            candidates.push({
+              festival_a: first.id,
+              festival_b: second.id,
+              score: match.score,
+              signals: match.signals,
+            });
+          }
+        }
+      }
+    });
+
+    let queued = 0;
+    for (let i = 0; i < candidates.length; i += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .upsert(candidates.slice(i, i + PAGE_SIZE), { onConflict: 'festival_a,festival_b', ignoreDuplicates: true })
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to queue merge candidates: ${error.message}`);
+      }
+      queued += data?.length || 0;
+    }
+
+    console.log(`[Merge] Scanned ${festivals.length} festivals, ${compared} pairs compared, ${candidates.length} likely duplicates, ${queued} new`);
+    return { festivals: festivals.length, compared, found: candidates.length, queued };
+  }
+
+  /**
+   * Candidates with a status, highest score first, together with both festivals
+   */
+  async list(status: MergeCandidateStatus = 'pending', limit: number = 100): Promise<MergeCandidateWithFestivals[]> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('status', status)
+      .order(status === 'pending' ? 'score' : 'reviewed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to list merge candidates: ${error.message}`);
+    }
+
+    const candidates = (data || []) as MergeCandidate[];
+    const ids = Array.from(new Set(candidates.flatMap(candidate => [candidate.festival_a, candidate.festival_b])));
+    const festivals = new Map<string, MatchableFestival>();
+
+    if (ids.length > 0) {
+      const { data: rows, error: festivalsError } = await supabase
+        .from('festivals')
+        .select(REVIEW_COLUMNS)
+        .in('id', ids);
+
+      if (festivalsError) {
+        throw new Error(`Failed to load candidate festivals: ${festivalsError.message}`);
+      }
+      ((rows || []) as MatchableFestival[]).forEach(row => festivals.set(row.id, row));
+    }
+
+    return candidates.map(candidate => {
+      const festivalA = festivals.get(candidate.festival_a) || null;
+      const festivalB = festivals.get(candidate.festival_b) || null;
+      return {
+        ...candidate,
+        score: Number(candidate.score),
+        festivalA,
+        festivalB,
+        suggestedCanonicalId: candidate.canonical_id
+          ?? (festivalA && festivalB ? suggestCanonical(festivalA, festivalB).id : null),
+      };
+    });
+  }
+
+  /**
+   * Number of candidates per status
+   */
+  async counts(): Promise<Record<MergeCandidateStatus, number>> {
+    const entries = await Promise.all(MERGE_CANDIDATE_STATUSES.map(async status => {
+      const { count, error } = await supabase
+        .from(TABLE)
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) {
+        throw new Error(`Failed to count merge candidates: ${error.message}`);
+      }
+      return [status, count || 0] as const;
+    }));
+
+    return Object.fromEntries(entries) as Record<MergeCandidateStatus, number>;
+  }
+
+  private async getCandidate(candidateId: string): Promise<MergeCandidate | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('id', candidateId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load merge candidate: ${error.message}`);
+    }
+    return data as MergeCandidate | null;
+  }
+
+  /**
+   * Merge the pair, keeping `canonicalId` (one of the two festivals).
+   * Returns the canonical festival, or null when the candidate doesn't exist or isn't pending.
+   */
+  async confirm(candidateId: string, canonicalId: string): Promise<Record<string, any> | null> {
+    const candidate = await this.getCandidate(candidateId);
+    if (!candidate || candidate.status !== 'pending') {
+      return null;
+    }
+    if (canonicalId !== candidate.festival_a && canonicalId !== candidate.festival_b) {
+      throw new Error('canonicalId must be one of the two festivals of the candidate');
+    }
+
+    const duplicateId = canonicalId === candidate.festival_a ? candidate.festival_b : candidate.festival_a;
+    const { data, error } = await supabase.rpc('merge_festivals', {
+      p_canonical: canonicalId,
+      p_duplicate: duplicateId,
+    });
+
+    if (error) {
+      throw new Error(`Failed to merge festivals: ${error.message}`);
+    }
+
+    console.log(`[Merge] Merged festival ${duplicateId} into ${canonicalId}`);
+    return (Array.isArray(data) ? data[0] : data) || null;
+  }
+
+  /**
+   * Mark the pair as not a duplicate; it won't be proposed again
+   */
+  async reject(candidateId: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ status: 'rejected', reviewed_at: new Date().toISOString() })
+      .eq('id', candidateId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to reject merge candidate: ${error.message}`);
+    }
+    return (data?.length || 0) > 0;
+  }
+
+  /**
+   * Source records that were merged into a canonical festival
+   */
+  async getSourceRecords(festivalId: string): Promise<MatchableFestival[]> {
+    const { data, error } = await supabase
+      .from('festivals')
+      .select(`${REVIEW_COLUMNS}, merged_at`)
+      .eq('merged_into', festivalId)
+      .order('merged_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load source records: ${error.message}`);
+    }
+    return (data || []) as MatchableFestival[];
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalMergeStore | null = null;
+
+export function getFestivalMergeStore(): FestivalMergeStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalMergeStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalMergeStore };
@@ -0,0 +1,94 @@
+/**
+ * Outreach Mailer
+ *
+ * Sends outreach mails over SMTP. The server comes from SMTP_HOST / SMTP_PORT
+ * (SMTP_SECURE=true for TLS from the start, SMTP_USER / SMTP_PASS when it needs a
+ * login) and mails are sent from SMTP_FROM. Locally MailHog on port 1025 catches
+ * everything, so nothing reaches real organizers.
+ */
+
+import nodemailer, { type Transporter } from 'nodemailer';
+
+export interface MailerConfig {
+  host: string;
+  port: number;
+  secure: boolean;
+  user: string | null;
+  pass: string | null;
+  from: string;
+}
+
+export interface OutreachMail {
+  to: string;
+  subject: string;
+  text: string;
+  // Sender name shown next to SMTP_FROM
+  fromName?: string | null;
+  replyTo?: string | null;
+  // Message-ID of the mail this one follows up on, and of the whole thread so far
+  inReplyTo?: string | null;
+  references?: string[];
+}
+
+export interface SentMail {
+  messageId: string;
+  from: string;
+}
+
+export function getMailerConfig(): MailerConfig | null {
+  const host = process.env.SMTP_HOST;
+  const from = process.env.SMTP_FROM;
+  if (!host || !from) return null;
+
+  const port = parseInt(process.env.SMTP_PORT || '', 10);
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host,
+    port: port > 0 ? port : secure ? 465 : 587,
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from,
+  };
+}
+
+export function isMailerConfigured(): boolean {
+  return getMailerConfig() !== null;
+}
+
+let transporter: Transporter | null = null;
+
+function getTransporter(config: MailerConfig): Transporter {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass || '' } : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send one mail; throws when SMTP is not configured or the server refuses it
+ */
+export async function sendOutreachMail(mail: OutreachMail): Promise<SentMail> {
+  const config = getMailerConfig();
+  if (!config) {
+    throw new Error('SMTP is not configured. Set SMTP_HOST and SMTP_FROM.');
+  }
+
+  const info = await getTransporter(config).sendMail({
+    from: mail.fromName ? { name: mail.fromName, address: config.from } : config.from,
+    to: mail.to,
+    replyTo: mail.replyTo || undefined,
+    subject: mail.subject,
+    text: mail.text,
+    inReplyTo: mail.inReplyTo || undefined,
+    references: mail.references?.length ? mail.references : undefined,
+  });
+
+  console.log(`[Outreach] Sent "${mail.subject}" to ${mail.to} via ${config.host}:${config.port}`);
+  return { messageId: info.messageId, from: config.from };
+}
@@ -0,0 +1,320 @@
+/**
+ * Outreach Store
+ *
+ * Outreach templates, the merge values of a festival and the mails sent to its
+ * contacts. Every attempt is stored, failed ones included; the database logs sent
+ * mails in the festival's activity. The first mail sent about a festival still in the
+ * entry stage moves it to the outreach stage.
+ */
+
+import { randomUUID } from 'crypto';
+import { supabase } from '../supabase-client';
+import type { RequestUser } from '../auth';
+import { getContactStore } from './contact-store';
+import { getFestivalPreferenceStore } from './preference-store';
+import { getSalesPipelineStore, InvalidStageError } from './pipeline-store';
+import { ENTRY_STAGE } from './pipelines';
+import { sendOutreachMail } from './outreach-mailer';
+import type {
+  OutreachContext,
+  OutreachMessage,
+  OutreachRecipient,
+  OutreachSendInput,
+  OutreachTemplate,
+  OutreachTemplateInput,
+} from './outreach';
+
+const TEMPLATES_TABLE = 'outreach_templates';
+const MESSAGES_TABLE = 'outreach_messages';
+
+// The stage a festival moves to on its first mail
+export const OUTREACH_STAGE = 'outreach';
+
+/**
+ * An outreach request the API refuses, e.g. a contact that is not on the festival
+ */
+export class InvalidOutreachError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidOutreachError';
+  }
+}
+
+/**
+ * The SMTP server did not take the mail. The failed attempt is stored.
+ */
+export class OutreachSendError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OutreachSendError';
+  }
+}
+
+export interface OutreachSendResult {
+  message: OutreachMessage;
+  // The stage the festival moved to, when this was its first mail
+  moved_to: string | null;
+}
+
+class OutreachStore {
+  /**
+   * All template variants, by name and then language
+   */
+  async listTemplates(): Promise<OutreachTemplate[]> {
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .select('*')
+      .order('name', { ascending: true })
+      .order('language', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load outreach templates: ${error.message}`);
+    }
+    return (data || []) as OutreachTemplate[];
+  }
+
+  /**
+   * Add a template variant, or replace the variant with the given id
+   */
+  async saveTemplate(input: OutreachTemplateInput, templateId?: string): Promise<OutreachTemplate | null> {
+    const query = templateId
+      ? supabase.from(TEMPLATES_TABLE).update(input).eq('id', templateId)
+      : supabase.from(TEMPLATES_TABLE).insert(input);
+    const { data, error } = await query.select('*').maybeSingle();
+
+    if (error) {
+      // unique_violation: the template already has a variant in this language
+      if (error.code === '23505') {
+        throw new InvalidOutreachError(`"${input.name}" already has a ${input.language.toUpperCase()} version`);
+      }
+      throw new Error(`Failed to save outreach template: ${error.message}`);
+    }
+    return data as OutreachTemplate | null;
+  }
+
+  async deleteTemplate(templateId: string): Promise<void> {
+    const { error } = await supabase.from(TEMPLATES_TABLE).delete().eq('id', templateId);
+    if (error) {
+      throw new Error(`Failed to delete outreach template: ${error.message}`);
+    }
+  }
+
+  /**
+   * What a festival's templates are filled in with: the festival, its organizing
+   * company and everyone it can be mailed to. Linked contacts come first; addresses on
+   * the festival without a contact follow. Bounced and invalid addresses are left out.
+   */
+  async getContext(festivalId: string, user: RequestUser | null): Promise<OutreachContext | null> {
+    const { data: festival, error } = await supabase
+      .from('festivals')
+      .select('id, name, start_date, end_date, location, emails, company:companies (name)')
+      .eq('id', festivalId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load festival: ${error.message}`);
+    }
+    if (!festival) return null;
+
+    const contacts = await getContactStore().listForFestival(festivalId);
+    const recipients: OutreachRecipient[] = [];
+    const seen = new Set<string>();
+    for (const contact of contacts) {
+      const email = contact.email?.toLowerCase();
+      if (!email || seen.has(email) || ['bounced', 'invalid'].includes(contact.verification_status)) continue;
+      seen.add(email);
+      recipients.push({ email, name: contact.name, contact_id: contact.id });
+    }
+    for (const address of (festival.emails as string[] | null) || []) {
+      const email = address.trim().toLowerCase();
+      if (!email || seen.has(email)) continue;
+      seen.add(email);
+      recipients.push({ email, name: null, contact_id: null });
+    }
+
+    const company = festival.company as unknown as { name: string } | null;
+    return {
+      festival: {
+        id: festival.id,
+        name: festival.name,
+        start_date: festival.start_date,
+        end_date: festival.end_date,
+        location: festival.location,
+      },
+      // Research stores the organizer on the contacts before a company is linked
+      organizing_company: company?.name || contacts.find(contact => contact.organizing_company)?.organizing_company || null,
+      sender_name: user?.displayName || null,
+      recipients,
+    };
+  }
+
+  /**
+   * Mails sent about a festival, newest first
+   */
+  async listMessages(festivalId: string): Promise<OutreachMessage[]> {
+    const { data, error } = await supabase
+      .from(MESSAGES_TABLE)
+      .select('*')
+      .eq('festival_id', festivalId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load outreach messages: ${error.message}`);
+    }
+    return (data || []) as OutreachMessage[];
+  }
+
+  /**
+   * Send a mail about a festival to one of its recipients (see getContext). A mail to an
+   * address that was mailed before about the same festival continues that thread, so it
+   * also threads in the recipient's inbox. Input must be normalized with
+   * normalizeOutreachSendInput. Returns null when the festival does not exist.
+   */
+  async send(festivalId: string, input: OutreachSendInput, user: RequestUser): Promise<OutreachSendResult | null> {
+    const context = await this.getContext(festivalId, user);
+    if (!context) return null;
+
+    const recipient = context.recipients.find(option => option.email === input.to_email);
+    if (!recipient) {
+      throw new InvalidOutreachError(`${input.to_email} is not a contact or address of this festival, or it bounced`);
+    }
+    if (input.contact_id && input.contact_id !== recipient.contact_id) {
+      throw new InvalidOutreachError('Contact is not linked to this festival with this address');
+    }
+
+    const { data: earlier, error: earlierError } = await supabase
+      .from(MESSAGES_TABLE)
+      .select('thread_id, message_id')
+      .eq('festival_id', festivalId)
+      .eq('status', 'sent')
+      .eq('to_email', input.to_email)
+      .order('created_at', { ascending: true });
+
+    if (earlierError) {
+      throw new Error(`Failed to load earlier outreach: ${earlierError.message}`);
+    }
+
+    const id = randomUUID();
+    const thread = earlier || [];
+    const references = thread.map(message => message.message_id).filter((messageId): messageId is string => !!messageId);
+    const inReplyTo = references.length > 0 ? references[references.length - 1] : null;
+    const row = {
+      id,
+      festival_id: festivalId,
+      contact_id: recipient.contact_id,
+      template_id: input.template_id,
+      language: input.language,
+      to_email: input.to_email,
+      subject: input.subject,
+      body: input.body,
+      thread_id: thread.length > 0 ? thread[0].thread_id : id,
+      in_reply_to: inReplyTo,
+      sent_by: user.id,
+    };
+
+    let sent;
+    try {
+      sent = await sendOutreachMail({
+        to: input.to_email,
+        subject: input.subject,
+        text: input.body,
+        fromName: user.displayName,
+        replyTo: user.email,
+        inReplyTo,
+        references,
+      });
+    } catch (sendError) {
+      const reason = sendError instanceof Error ? sendError.message : String(sendError);
+      console.error(`[Outreach] Sending to ${input.to_email} failed:`, reason);
+      const { error } = await supabase
+        .from(MESSAGES_TABLE)
+        .insert({ ...row, from_email: process.env.SMTP_FROM || '', status: 'failed', error: reason });
+      if (error) {
+        console.error('[Outreach] Failed to store the failed attempt:', error.message);
+      }
+      throw new OutreachSendError(`The mail server refused the mail: ${reason}`);
+    }
+
+    const { data, error } = await supabase
+      .from(MESSAGES_TABLE)
+      .insert({ ...row, from_email: sent.from, message_id: sent.messageId, status: 'sent' })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Mail was sent but could not be stored: ${error.message}`);
+    }
+
+    if (recipient.contact_id) {
+      await getContactStore().markContacted(recipient.contact_id, data.created_at);
+    }
+
+    const isFirst = await this.isFirstSent(festivalId, id);
+    const movedTo = isFirst ? await this.moveToOutreach(festivalId, user) : null;
+
+    return { message: data as OutreachMessage, moved_to: movedTo };
+  }
+
+  private async isFirstSent(festivalId: string, messageId: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from(MESSAGES_TABLE)
+      .select('id')
+      .eq('festival_id', festivalId)
+      .eq('status', 'sent')
+      .neq('id', messageId)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to load earlier outreach: ${error.message}`);
+    }
+    return (data || []).length === 0;
+  }
+
+  // Move a festival still in the entry stage to the user's outreach stage. Festivals
+  // already further along stay where they are, and so do festivals in a pipeline
+  // without an outreach stage.
+  private async moveToOutreach(festivalId: string, user: RequestUser): Promise<string | null> {
+    const { data: current, error: currentError } = await supabase
+      .from('festival_user_preferences')
+      .select('sales_stage')
+      .eq('festival_id', festivalId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (currentError) {
+      throw new Error(`Failed to load sales stage: ${currentError.message}`);
+    }
+    const stage = (current as { sales_stage: string | null } | null)?.sales_stage || ENTRY_STAGE;
+    if (stage !== ENTRY_STAGE) return null;
+
+    const pipelineId = await getFestivalPreferenceStore().getPipelineId(user, festivalId);
+    let pipeline_id: string;
+    try {
+      const { pipeline } = await getSalesPipelineStore().resolveStage(pipelineId, OUTREACH_STAGE, null);
+      pipeline_id = pipeline.id;
+    } catch (stageError) {
+      if (stageError instanceof InvalidStageError) {
+        console.log(`[Outreach] Festival ${festivalId} stays in ${ENTRY_STAGE}: ${stageError.message}`);
+        return null;
+      }
+      throw stageError;
+    }
+
+    await getFestivalPreferenceStore().setPreference(user, festivalId, { sales_stage: OUTREACH_STAGE, pipeline_id, lost_reason: null });
+
+    console.log(`[Outreach] Moved festival ${festivalId} to ${OUTREACH_STAGE} after its first mail`);
+    return OUTREACH_STAGE;
+  }
+}
+
+// Singleton instance
+let storeInstance: OutreachStore | null = null;
+
+export function getOutreachStore(): OutreachStore {
+  if (!storeInstance) {
+    storeInstance = new OutreachStore();
+  }
+  return storeInstance;
+}
+
+export { OutreachStore };
@@ -0,0 +1,324 @@
+/**
+ * Email Outreach
+ *
+ * Outreach templates and the mails sent with them. A template has a Dutch and an
+ * English variant sharing its name; {{merge_fields}} in the subject and body are filled
+ * in from the festival and the contact, and {{field|fallback}} gives the text to use
+ * when a field is empty. Sent mails are threads per festival and address.
+ *
+ * Client-safe: no server imports.
+ */
+
+import { isValidEmail, normalizeEmail } from './contacts';
+
+export const OUTREACH_LANGUAGES = ['nl', 'en'] as const;
+
+export type OutreachLanguage = typeof OUTREACH_LANGUAGES[number];
+
+export const OUTREACH_LANGUAGE_LABELS: Record<OutreachLanguage, string> = {
+  nl: 'Nederlands',
+  en: 'English',
+};
+
+export const MERGE_FIELDS = [
+  'festival_name',
+  'festival_dates',
+  'festival_location',
+  'organizing_company',
+  'contact_name',
+  'contact_first_name',
+  'sender_name',
+] as const;
+
+export type MergeField = typeof MERGE_FIELDS[number];
+
+export const MERGE_FIELD_LABELS: Record<MergeField, string> = {
+  festival_name: 'Festival name',
+  festival_dates: 'Festival dates, written out in the mail language',
+  festival_location: 'Festival location',
+  organizing_company: 'Organizing company',
+  contact_name: 'Full name of the contact',
+  contact_first_name: 'First name of the contact',
+  sender_name: 'Your name',
+};
+
+export type MergeValues = Partial<Record<MergeField, string | null>>;
+
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_SUBJECT_LENGTH = 300;
+const MAX_BODY_LENGTH = 20000;
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const DATE_LOCALES: Record<OutreachLanguage, string> = {
+  nl: 'nl-NL',
+  en: 'en-GB',
+};
+
+export interface OutreachTemplate {
+  id: string;
+  name: string;
+  language: OutreachLanguage;
+  subject: string;
+  body: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export type OutreachTemplateInput = Pick<OutreachTemplate, 'name' | 'language' | 'subject' | 'body'>;
+
+export interface OutreachMessage {
+  id: string;
+  festival_id: string;
+  contact_id: string | null;
+  template_id: string | null;
+  language: OutreachLanguage;
+  to_email: string;
+  from_email: string;
+  subject: string;
+  body: string;
+  thread_id: string;
+  message_id: string | null;
+  in_reply_to: string | null;
+  status: 'sent' | 'failed';
+  error: string | null;
+  sent_by: string | null;
+  created_at: string;
+}
+
+export interface OutreachThread {
+  id: string;
+  to_email: string;
+  // Oldest first
+  messages: OutreachMessage[];
+  last_sent_at: string;
+}
+
+export interface OutreachRecipient {
+  email: string;
+  name: string | null;
+  // The linked contact, null for addresses only known from festivals.emails
+  contact_id: string | null;
+}
+
+// What the templates of one festival are filled in with, apart from the contact
+export interface OutreachContext {
+  festival: {
+    id: string;
+    name: string;
+    start_date: string | null;
+    end_date: string | null;
+    location: string | null;
+  };
+  organizing_company: string | null;
+  sender_name: string | null;
+  recipients: OutreachRecipient[];
+}
+
+export interface OutreachSendInput {
+  to_email: string;
+  contact_id: string | null;
+  template_id: string | null;
+  language: OutreachLanguage;
+  subject: string;
+  body: string;
+}
+
+export interface RenderedOutreach {
+  subject: string;
+  body: string;
+  // Merge fields left empty because there was no value and no fallback
+  missing: MergeField[];
+}
+
+export function isOutreachLanguage(value: unknown): value is OutreachLanguage {
+  return typeof value === 'string' && (OUTREACH_LANGUAGES as readonly string[]).includes(value);
+}
+
+export function isMergeField(value: unknown): value is MergeField {
+  return typeof value === 'string' && (MERGE_FIELDS as readonly string[]).includes(value);
+}
+
+/**
+ * Festival dates written out, e.g. "12 – 14 juni 2026" or "12 June 2026"
+ */
+export function formatFestivalDates(startDate: string | null, endDate: string | null, language: OutreachLanguage): string | null {
+  if (!startDate) return null;
+  const locale = DATE_LOCALES[language];
+  const toDate = (value: string) => new Date(`${value.slice(0, 10)}T00:00:00Z`);
+  const start = toDate(startDate);
+  const end = endDate ? toDate(endDate) : start;
+  if (Number.isNaN(start.getTime())) return null;
+
+  const full: Intl.DateTimeFormatOptions = { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' };
+  if (Number.isNaN(end.getTime()) || end.getTime() <= start.getTime()) {
+    return start.toLocaleDateString(locale, full);
+  }
+  const sameMonth = start.getUTCFullYear() === end.getUTCFullYear() && start.getUTCMonth() === end.getUTCMonth();
+  const from = sameMonth
+    ? start.toLocaleDateString(locale, { day: 'numeric', timeZone: 'UTC' })
+    : start.toLocaleDateString(locale, full);
+  return `${from} – ${end.toLocaleDateString(locale, full)}`;
+}
+
+/**
+ * The merge field values for one recipient of a festival's outreach
+ */
+export function buildMergeValues(
+  context: OutreachContext,
+  recipient: Pick<OutreachRecipient, 'name'> | null,
+  language: OutreachLanguage
+): MergeValues {
+  const contactName = recipient?.name?.trim() || null;
+  return {
+    festival_name: context.festival.name,
+    festival_dates: formatFestivalDates(context.festival.start_date, context.festival.end_date, language),
+    festival_location: context.festival.location,
+    organizing_company: context.organizing_company,
+    contact_name: contactName,
+    contact_first_name: contactName ? contactName.split(/\s+/)[0] : null,
+    sender_name: context.sender_name,
+  };
+}
+
+/**
+ * Fill in the merge fields of a text. Unknown fields are left as they are, so a typo
+ * shows up in the preview instead of disappearing.
+ */
+export function renderMergeFields(text: string, values: MergeValues): { text: string; missing: MergeField[] } {
+  const missing = new Set<MergeField>();
+  const rendered = text.replace(MERGE_FIELD_PATTERN, (match, field: string, fallback?: string) => {
+    if (!isMergeField(field)) return match;
+    const value = values[field]?.trim();
+    if (value) return value;
+    if (fallback !== undefined) return fallback.trim();
+    missing.add(field);
+    return '';
+  });
+  return { text: rendered, missing: Array.from(missing) };
+}
+
+export function renderOutreach(template: Pick<OutreachTemplate, 'subject' | 'body'>, values: MergeValues): RenderedOutreach {
+  const subject = renderMergeFields(template.subject, values);
+  const body = renderMergeFields(template.body, values);
+  return {
+    subject: subject.text.replace(/\s+/g, ' ').trim(),
+    body: body.text,
+    missing: Array.from(new Set([...subject.missing, ...body.missing])),
+  };
+}
+
+/**
+ * Merge fields a template uses that do not exist
+ */
+export function unknownMergeFields(text: string): string[] {
+  const unknown = new Set<string>();
+  for (const match of text.matchAll(MERGE_FIELD_PATTERN)) {
+    if (!isMergeField(match[1])) unknown.add(match[1]);
+  }
+  return Array.from(unknown);
+}
+
+function requireText(value: unknown, what: string, maxLength: number): string {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    throw new Error(`${what} is required`);
+  }
+  if (text.length > maxLength) {
+    throw new Error(`${what} can be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Check a template variant; throws with a message for the user when it is invalid
+ */
+export function normalizeTemplateInput(input: unknown): OutreachTemplateInput {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+
+  const name = requireText(raw.name, 'A template name', MAX_TEMPLATE_NAME_LENGTH);
+  if (!isOutreachLanguage(raw.language)) {
+    throw new Error(`Language must be one of: ${OUTREACH_LANGUAGES.join(', ')}`);
+  }
+  const subject = requireText(raw.subject, 'A subject', MAX_SUBJECT_LENGTH);
+  const body = requireText(raw.body, 'A body', MAX_BODY_LENGTH);
+
+  const unknown = unknownMergeFields(`${subject}\n${body}`);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown merge fields: ${unknown.map(field => `{{${field}}}`).join(', ')}. Use ${MERGE_FIELDS.map(field => `{{${field}}}`).join(', ')}`);
+  }
+
+  return { name, language: raw.language, subject, body };
+}
+
+/**
+ * Check a mail about to be sent; throws with a message for the user when it is invalid
+ */
+export function normalizeOutreachSendInput(input: unknown): OutreachSendInput {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+
+  const toEmail = typeof raw.to_email === 'string' ? normalizeEmail(raw.to_email) : null;
+  if (!toEmail || !isValidEmail(toEmail)) {
+    throw new Error('to_email must be an email address');
+  }
+
+  for (const field of ['contact_id', 'template_id'] as const) {
+    const value = raw[field] ?? null;
+    if (value !== null && (typeof value !== 'string' || !value.trim())) {
+      throw new Error(`${field} must be an id`);
+    }
+  }
+
+  const language = raw.language ?? 'nl';
+  if (!isOutreachLanguage(language)) {
+    throw new Error(`Language must be one of: ${OUTREACH_LANGUAGES.join(', ')}`);
+  }
+
+  const subject = requireText(raw.subject, 'A subject', MAX_SUBJECT_LENGTH);
+  const body = requireText(raw.body, 'A message', MAX_BODY_LENGTH);
+
+  // A merge field still in the text was not filled in
+  const leftOver = [...subject.matchAll(MERGE_FIELD_PATTERN), ...body.matchAll(MERGE_FIELD_PATTERN)];
+  if (leftOver.length > 0) {
+    throw new Error(`Fill in ${leftOver.map(match => match[0]).join(', ')} before sending`);
+  }
+
+  return {
+    to_email: toEmail,
+    contact_id: (raw.contact_id as string | null | undefined) ?? null,
+    template_id: (raw.template_id as string | null | undefined) ?? null,
+    language,
+    subject,
+    body,
+  };
+}
+
+/**
+ * Messages grouped into threads, the most recently active thread first
+ */
+export function groupThreads(messages: OutreachMessage[]): OutreachThread[] {
+  const threads = new Map<string, OutreachThread>();
+  const ordered = [...messages].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+  for (const message of ordered) {
+    const thread = threads.get(message.thread_id) || {
+      id: message.thread_id,
+      to_email: message.to_email,
+      messages: [],
+      last_sent_at: message.created_at,
+    };
+    thread.messages.push(message);
+    thread.last_sent_at = message.created_at;
+    threads.set(message.thread_id, thread);
+  }
+  return Array.from(threads.values()).sort((a, b) => Date.parse(b.last_sent_at) - Date.parse(a.last_sent_at));
+}
+
+/**
+ * Template names with the languages they have a variant in
+ */
+export function templateVariants(templates: OutreachTemplate[]): Map<string, Partial<Record<OutreachLanguage, OutreachTemplate>>> {
+  const variants = new Map<string, Partial<Record<OutreachLanguage, OutreachTemplate>>>();
+  for (const template of templates) {
+    variants.set(template.name, { ...variants.get(template.name), [template.language]: template });
+  }
+  return variants;
+}
@@ -0,0 +1,190 @@
+/**
+ * Sales Pipeline Store
+ *
+ * Pipeline definitions: the ordered stages festivals move through in sales. Festival
+ * preferences reference a pipeline stage by (pipeline_id, sales_stage), so stages that
+ * festivals are in cannot be removed and the database refuses stages a pipeline lacks.
+ */
+
+import { supabase } from '../supabase-client';
+import {
+  defaultPipeline,
+  findStage,
+  type PipelineInput,
+  type PipelineStage,
+  type SalesPipeline,
+} from './pipelines';
+
+const TABLE = 'sales_pipelines';
+
+const PIPELINE_COLUMNS = 'id, name, description, is_default, position, created_at, updated_at, stages:sales_pipeline_stages (key, label, color, position, outcome, wip_limit)';
+
+// Postgres foreign key violation: festivals are still in the stage or pipeline
+const FOREIGN_KEY_VIOLATION = '23503';
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * A pipeline change that conflicts with existing data, e.g. removing a stage
+ * festivals are in or reusing a pipeline name
+ */
+export class PipelineConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PipelineConflictError';
+  }
+}
+
+/**
+ * A stage that is not in the pipeline, or a lost stage without a reason
+ */
+export class InvalidStageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidStageError';
+  }
+}
+
+function sortStages(pipeline: SalesPipeline): SalesPipeline {
+  return { ...pipeline, stages: [...(pipeline.stages || [])].sort((a, b) => a.position - b.position) };
+}
+
+class SalesPipelineStore {
+  /**
+   * Every pipeline with its stages in order, default pipeline first
+   */
+  async listPipelines(): Promise<SalesPipeline[]> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(PIPELINE_COLUMNS)
+      .order('is_default', { ascending: false })
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load sales pipelines: ${error.message}`);
+    }
+    return ((data || []) as unknown as SalesPipeline[]).map(sortStages);
+  }
+
+  async getPipeline(pipelineId: string): Promise<SalesPipeline | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(PIPELINE_COLUMNS)
+      .eq('id', pipelineId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load sales pipeline: ${error.message}`);
+    }
+    return data ? sortStages(data as unknown as SalesPipeline) : null;
+  }
+
+  /**
+   * Check that a stage exists in a pipeline (the default pipeline when none is given)
+   * and that a lost stage has a reason. Returns the pipeline and stage.
+   */
+  async resolveStage(
+    pipelineId: string | null,
+    stageKey: string,
+    lostReason: string | null
+  ): Promise<{ pipeline: SalesPipeline; stage: PipelineStage }> {
+    const pipeline = pipelineId
+      ? await this.getPipeline(pipelineId)
+      : defaultPipeline(await this.listPipelines());
+
+    if (!pipeline) {
+      throw new InvalidStageError(pipelineId ? 'Sales pipeline not found' : 'No sales pipeline is defined');
+    }
+
+    const stage = findStage(pipeline, stageKey);
+    if (!stage) {
+      throw new InvalidStageError(
+        `Invalid sales stage for ${pipeline.name}. Must be one of: ${pipeline.stages.map(s => s.key).join(', ')}`
+      );
+    }
+    if (stage.outcome === 'lost' && !lostReason) {
+      throw new InvalidStageError(`Give a reason for moving the festival to ${stage.label}`);
+    }
+
+    return { pipeline, stage };
+  }
+
+  /**
+   * Create a pipeline, or replace the definition of an existing one. Stages left out
+   * are removed, which fails while festivals are in them. Saved in one transaction, so
+   * a failed save leaves the pipeline and the default as they were.
+   */
+  async savePipeline(input: PipelineInput, pipelineId?: string): Promise<SalesPipeline> {
+    const stages = input.stages.map(stage => ({
+      key: stage.key,
+      label: stage.label,
+      color: stage.color,
+      outcome: stage.outcome,
+      wip_limit: stage.wip_limit ?? null,
+    }));
+
+    const { data, error } = await supabase.rpc('save_sales_pipeline', {
+      p_id: pipelineId ?? null,
+      p_name: input.name,
+      p_description: input.description ?? null,
+      p_is_default: !!input.is_default,
+      p_stages: stages,
+    });
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new PipelineConflictError(`A pipeline named "${input.name}" already exists`);
+      }
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        throw new PipelineConflictError('Festivals are still in a stage you removed; move them to another stage first');
+      }
+      throw new Error(`Failed to save sales pipeline: ${error.message}`);
+    }
+    if (!data) {
+      throw new Error('Sales pipeline not found');
+    }
+
+    console.log(`[Pipelines] Saved pipeline "${input.name}" with ${stages.length} stages`);
+
+    const pipeline = await this.getPipeline(data as string);
+    if (!pipeline) {
+      throw new Error('Sales pipeline not found');
+    }
+    return pipeline;
+  }
+
+  /**
+   * Delete a pipeline nobody has festivals in. The default pipeline stays.
+   */
+  async deletePipeline(pipelineId: string): Promise<void> {
+    const pipeline = await this.getPipeline(pipelineId);
+    if (!pipeline) {
+      throw new Error('Sales pipeline not found');
+    }
+    if (pipeline.is_default) {
+      throw new PipelineConflictError('The default pipeline cannot be deleted; make another pipeline the default first');
+    }
+
+    const { error } = await supabase.from(TABLE).delete().eq('id', pipelineId);
+    if (error) {
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        throw new PipelineConflictError(`Festivals are still in ${pipeline.name}; move them to another pipeline first`);
+      }
+      throw new Error(`Failed to delete sales pipeline: ${error.message}`);
+    }
+
+    console.log(`[Pipelines] Deleted pipeline "${pipeline.name}"`);
+  }
+}
+
+// Singleton instance
+let storeInstance: SalesPipelineStore | null = null;
+
+export function getSalesPipelineStore(): SalesPipelineStore {
+  if (!storeInstance) {
+    storeInstance = new SalesPipelineStore();
+  }
+  return storeInstance;
+}
+
+export { SalesPipelineStore };
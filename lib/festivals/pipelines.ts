@@ -0,0 +1,222 @@
+/**
+ * Sales Pipelines
+ *
+ * The stages festivals move through in sales, defined in the database rather than in
+ * code: each pipeline has ordered stages with a color and an outcome. Open stages are
+ * being worked on, a won or lost stage ends the lead; a lost stage records why. Every
+ * pipeline starts with the "favorited" stage, so a festival can enter any pipeline.
+ * A stage can have a work-in-progress limit the sales monitor warns about.
+ *
+ * Client-safe: no server imports.
+ */
+
+import { normalizeSearchText } from './search';
+import type { SalesStage } from '../types';
+
+export const STAGE_OUTCOMES = ['open', 'won', 'lost'] as const;
+
+export type StageOutcome = typeof STAGE_OUTCOMES[number];
+
+export const STAGE_OUTCOME_LABELS: Record<StageOutcome, string> = {
+  open: 'Open',
+  won: 'Won',
+  lost: 'Lost',
+};
+
+// The first stage of every pipeline, and the stage of a festival nobody moved yet
+export const ENTRY_STAGE = 'favorited';
+
+const MAX_STAGE_KEY_LENGTH = 20;
+const MAX_LOST_REASON_LENGTH = 500;
+const MAX_WIP_LIMIT = 999;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+export interface PipelineStage {
+  // Stored as sales_stage; the same key in two pipelines is the same kind of stage
+  key: SalesStage;
+  label: string;
+  color: string;
+  position: number;
+  outcome: StageOutcome;
+  // Most festivals the stage should hold at once, or null for no limit
+  wip_limit: number | null;
+}
+
+export interface SalesPipeline {
+  id: string;
+  name: string;
+  description: string | null;
+  is_default: boolean;
+  position: number;
+  // In order
+  stages: PipelineStage[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface PipelineStageInput {
+  key?: string;
+  label: string;
+  color?: string;
+  outcome?: StageOutcome;
+  wip_limit?: number | null;
+}
+
+export interface PipelineInput {
+  name: string;
+  description?: string | null;
+  is_default?: boolean;
+  // In order; positions follow from the order
+  stages: PipelineStageInput[];
+}
+
+/**
+ * Stage key for a label: "Check-in call" -> "check_in_call"
+ */
+export function stageKeyFromLabel(label: string): string {
+  const key = normalizeSearchText(label)
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+/, '')
+    .slice(0, MAX_STAGE_KEY_LENGTH)
+    .replace(/_+$/, '');
+  return key || 'stage';
+}
+
+export function isStageOutcome(value: unknown): value is StageOutcome {
+  return typeof value === 'string' && (STAGE_OUTCOMES as readonly string[]).includes(value);
+}
+
+/**
+ * Check and complete a pipeline definition; throws with a message for the user when
+ * it is invalid.
+ */
+export function normalizePipelineInput(input: unknown): PipelineInput {
+  if (!input || typeof input !== 'object') {
+    throw new Error('A pipeline needs a name and stages');
+  }
+  const raw = input as Record<string, unknown>;
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) {
+    throw new Error('A pipeline needs a name');
+  }
+  if (!Array.isArray(raw.stages) || raw.stages.length < 2) {
+    throw new Error('A pipeline needs at least two stages');
+  }
+
+  const stages: PipelineStageInput[] = raw.stages.map((stage: any, index: number) => {
+    const label = typeof stage?.label === 'string' ? stage.label.trim() : '';
+    if (!label) {
+      throw new Error(`Stage ${index + 1} needs a label`);
+    }
+    const key = typeof stage.key === 'string' && stage.key.trim() ? stage.key.trim() : stageKeyFromLabel(label);
+    if (!/^[a-z][a-z0-9_]*$/.test(key) || key.length > MAX_STAGE_KEY_LENGTH) {
+      throw new Error(`Stage key "${key}" must be lowercase letters, digits and underscores, at most ${MAX_STAGE_KEY_LENGTH} long`);
+    }
+    const color = typeof stage.color === 'string' ? stage.color.toLowerCase() : '#6b7280';
+    if (!COLOR_PATTERN.test(color)) {
+      throw new Error(`Color of stage "${label}" must look like #1a2b3c`);
+    }
+    const outcome = stage.outcome ?? 'open';
+    if (!isStageOutcome(outcome)) {
+      throw new Error(`Outcome of stage "${label}" must be one of: ${STAGE_OUTCOMES.join(', ')}`);
+    }
+    const wipLimit = stage.wip_limit ?? null;
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1 || wipLimit > MAX_WIP_LIMIT)) {
+      throw new Error(`WIP limit of stage "${label}" must be a whole number from 1 to ${MAX_WIP_LIMIT}`);
+    }
+    return { key, label, color, outcome, wip_limit: wipLimit };
+  });
+
+  const keys = stages.map(stage => stage.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new Error(`Two stages have the key "${duplicate}"`);
+  }
+  if (stages[0].key !== ENTRY_STAGE || stages[0].outcome !== 'open') {
+    throw new Error(`The first stage must be the open "${ENTRY_STAGE}" stage`);
+  }
+  if (!stages.some(stage => stage.outcome === 'won')) {
+    throw new Error('A pipeline needs a won stage');
+  }
+
+  return {
+    name,
+    description: typeof raw.description === 'string' && raw.description.trim() ? raw.description.trim() : null,
+    is_default: raw.is_default === true,
+    stages,
+  };
+}
+
+/**
+ * A loss reason, or null; throws when it is too long
+ */
+export function normalizeLostReason(value: unknown): string | null {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    throw new Error('The loss reason must be text');
+  }
+  const reason = value.trim();
+  if (reason.length > MAX_LOST_REASON_LENGTH) {
+    throw new Error(`The loss reason can be at most ${MAX_LOST_REASON_LENGTH} characters`);
+  }
+  return reason || null;
+}
+
+export function defaultPipeline(pipelines: SalesPipeline[]): SalesPipeline | null {
+  return pipelines.find(pipeline => pipeline.is_default) || pipelines[0] || null;
+}
+
+/**
+ * The pipeline with this id, or the default pipeline
+ */
+export function pipelineFor(pipelines: SalesPipeline[], pipelineId?: string | null): SalesPipeline | null {
+  return (pipelineId && pipelines.find(pipeline => pipeline.id === pipelineId)) || defaultPipeline(pipelines);
+}
+
+export function findStage(pipeline: SalesPipeline | null, key?: string | null): PipelineStage | null {
+  return (pipeline && key && pipeline.stages.find(stage => stage.key === key)) || null;
+}
+
+/**
+ * Every stage by key, for showing stages without knowing their pipeline. The default
+ * pipeline's label and color win when pipelines share a key.
+ */
+export function buildStageIndex(pipelines: SalesPipeline[]): Map<string, PipelineStage> {
+  const ordered = [...pipelines].sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.position - b.position);
+  const index = new Map<string, PipelineStage>();
+  for (const pipeline of ordered) {
+    for (const stage of pipeline.stages) {
+      if (!index.has(stage.key)) index.set(stage.key, stage);
+    }
+  }
+  return index;
+}
+
+/**
+ * How far along a stage is: its position, with lost below everything
+ */
+export function stageRank(stage: PipelineStage | null | undefined): number {
+  if (!stage) return 0;
+  return stage.outcome === 'lost' ? -1 : stage.position;
+}
+
+export function stageLabel(stages: Map<string, PipelineStage>, key?: string | null): string {
+  if (!key) return 'none';
+  return stages.get(key)?.label || key.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+}
+
+/**
+ * Whether a stage holds more festivals than its WIP limit
+ */
+export function isOverWipLimit(stage: PipelineStage, count: number): boolean {
+  return stage.wip_limit != null && count > stage.wip_limit;
+}
+
+/**
+ * Inline badge colors for a stage color: a light tint with the color as text
+ */
+export function stageBadgeStyle(color?: string | null): { backgroundColor: string; color: string } {
+  const base = color && COLOR_PATTERN.test(color) ? color : '#6b7280';
+  return { backgroundColor: `${base}22`, color: base };
+}
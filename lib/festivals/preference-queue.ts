@@ -0,0 +1,222 @@
+/**
+ * Festival Preference Write Queue
+ *
+ * Favorite, archived, notes and sales stage changes made in the browser go through
+ * this queue, so changes made offline (or while the API is down) are sent once the
+ * connection is back instead of being lost or kept in a local mirror. Each write
+ * carries the value it replaced; the preference routes refuse the write with a 409
+ * when the field was changed to something else elsewhere in the meantime, and the
+ * newer server value wins. A write can carry details sent along with its value, like
+ * the pipeline and loss reason of a sales stage. Writes the API refuses outright are
+ * reported with what they replaced, so the change can be rolled back in the UI.
+ *
+ * Client-safe: no server imports.
+ */
+
+export type PreferenceField = 'favorite' | 'archived' | 'notes' | 'sales_stage';
+
+export interface QueuedPreferenceWrite {
+  festivalId: string;
+  // Who made the change; only flushed while the same user (or nobody) is signed in
+  userId: string | null;
+  field: PreferenceField;
+  value: unknown;
+  // The value the change replaced, sent as the `expected` value for conflict detection
+  expected: unknown;
+  // More request body fields that belong to the value, e.g. { pipeline_id, lost_reason }
+  details?: Record<string, unknown>;
+  // The details the change replaced, restored when the write is rejected
+  expectedDetails?: Record<string, unknown>;
+  queuedAt: string;
+}
+
+export interface QueuedWriteConflict {
+  festivalId: string;
+  field: PreferenceField;
+  // The value we tried to write and the one that was kept
+  value: unknown;
+  current: unknown;
+}
+
+export interface QueuedWriteFailure {
+  festivalId: string;
+  field: PreferenceField;
+  // The value we tried to write and what it replaced
+  value: unknown;
+  expected: unknown;
+  expectedDetails?: Record<string, unknown>;
+  // Why the API refused the write, when it said so
+  error: string | null;
+}
+
+export interface PreferenceFlushResult {
+  written: number;
+  conflicts: QueuedWriteConflict[];
+  // Rejected for another reason than a conflict, and dropped
+  failed: QueuedWriteFailure[];
+  // Stopped because the API could not be reached; remaining writes stay queued
+  offline: boolean;
+}
+
+export interface QueueStorage {
+  getItem: (key: string) => string | null;
+  setItem: (key: string, value: string) => void;
+}
+
+export const PREFERENCE_QUEUE_KEY = 'festifind-pending-preference-writes';
+
+// Route and request body key per field
+const PREFERENCE_ROUTES: Record<PreferenceField, { path: string; bodyKey: string }> = {
+  favorite: { path: 'favorite', bodyKey: 'favorite' },
+  archived: { path: 'archive', bodyKey: 'archived' },
+  notes: { path: 'notes', bodyKey: 'notes' },
+  sales_stage: { path: 'sales-stage', bodyKey: 'sales_stage' },
+};
+
+/**
+ * Whether two values of a preference field are the same; empty notes and no notes are equal
+ */
+export function samePreferenceValue(a: unknown, b: unknown): boolean {
+  const normalize = (value: unknown) => (value === undefined || value === '' ? null : value);
+  return normalize(a) === normalize(b);
+}
+
+// A write with details may change more than its field, so it is never a no-op
+function changesNothing(write: Pick<QueuedPreferenceWrite, 'value' | 'expected' | 'details'>): boolean {
+  return !write.details && samePreferenceValue(write.value, write.expected);
+}
+
+class PreferenceWriteQueue {
+  private flushing: Promise<PreferenceFlushResult> | null = null;
+
+  constructor(
+    private storage: QueueStorage,
+    private getHeaders: () => HeadersInit
+  ) {}
+
+  private load(): QueuedPreferenceWrite[] {
+    try {
+      const saved = this.storage.getItem(PREFERENCE_QUEUE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('[PreferenceQueue] Discarding unreadable queue:', error);
+      return [];
+    }
+  }
+
+  private save(writes: QueuedPreferenceWrite[]): void {
+    this.storage.setItem(PREFERENCE_QUEUE_KEY, JSON.stringify(writes));
+  }
+
+  /**
+   * Queue a change. A second change to the same field replaces the first but keeps
+   * its expected values; changing a field back to where it started drops the write.
+   */
+  enqueue(write: Omit<QueuedPreferenceWrite, 'queuedAt'>): void {
+    const writes = this.load();
+    const index = writes.findIndex(queued =>
+      queued.festivalId === write.festivalId && queued.userId === write.userId && queued.field === write.field
+    );
+    const expected = index >= 0 ? writes[index].expected : write.expected;
+    const expectedDetails = index >= 0 ? writes[index].expectedDetails : write.expectedDetails;
+    if (index >= 0) writes.splice(index, 1);
+
+    if (!changesNothing({ ...write, expected })) {
+      writes.push({ ...write, expected, expectedDetails, queuedAt: new Date().toISOString() });
+    }
+    this.save(writes);
+  }
+
+  /**
+   * Queued writes of a user, oldest first
+   */
+  pending(userId: string | null): QueuedPreferenceWrite[] {
+    return this.load().filter(write => write.userId === userId);
+  }
+
+  /**
+   * Send the user's queued writes in order. Concurrent calls share one flush.
+   */
+  flush(userId: string | null): Promise<PreferenceFlushResult> {
+    if (!this.flushing) {
+      this.flushing = this.send(userId).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  private async send(userId: string | null): Promise<PreferenceFlushResult> {
+    const result: PreferenceFlushResult = { written: 0, conflicts: [], failed: [], offline: false };
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      result.offline = this.pending(userId).length > 0;
+      return result;
+    }
+
+    for (const write of this.pending(userId)) {
+      const route = PREFERENCE_ROUTES[write.field];
+
+      let response: Response;
+      try {
+        response = await fetch(`/api/festivals/${write.festivalId}/${route.path}`, {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify({ ...write.details, [route.bodyKey]: write.value, expected: write.expected }),
+        });
+      } catch (error) {
+        console.warn('[PreferenceQueue] API unreachable, keeping queued writes:', error);
+        result.offline = true;
+        return result;
+      }
+
+      // Server trouble: keep this and later writes so they stay in order
+      if (response.status >= 500) {
+        console.warn(`[PreferenceQueue] Server error ${response.status}, keeping queued writes`);
+        result.offline = true;
+        return result;
+      }
+
+      if (response.status === 409) {
+        const data = await response.json().catch(() => ({}));
+        result.conflicts.push({ festivalId: write.festivalId, field: write.field, value: write.value, current: data.current });
+      } else if (response.ok) {
+        result.written++;
+      } else {
+        const data = await response.json().catch(() => ({}));
+        console.error(`[PreferenceQueue] Dropping rejected ${write.field} write for ${write.festivalId}: ${response.status}`);
+        result.failed.push({
+          festivalId: write.festivalId,
+          field: write.field,
+          value: write.value,
+          expected: write.expected,
+          expectedDetails: write.expectedDetails,
+          error: data.error || data.message || null,
+        });
+      }
+
+      this.remove(write, response.ok);
+    }
+
+    return result;
+  }
+
+  private remove(sent: QueuedPreferenceWrite, written: boolean): void {
+    const writes: QueuedPreferenceWrite[] = [];
+
+    for (const write of this.load()) {
+      const sameField = write.festivalId === sent.festivalId && write.userId === sent.userId && write.field === sent.field;
+      if (!sameField) {
+        writes.push(write);
+      } else if (write.queuedAt !== sent.queuedAt) {
+        // Changed again while this write was in flight: the newer change now replaces what was just written
+        const rebased = written ? { ...write, expected: sent.value } : write;
+        if (!changesNothing(rebased)) writes.push(rebased);
+      }
+    }
+
+    this.save(writes);
+  }
+}
+
+export { PreferenceWriteQueue };
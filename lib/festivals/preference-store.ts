@@ -0,0 +1,373 @@
+/**
+ * Festival Preference Store
+ *
+ * Favorite, archived, notes and sales stage per signed-in user. The same columns on
+ * the festivals row are only the fallback for requests without a user, so one
+ * colleague archiving a festival no longer archives it for everyone.
+ */
+
+import { supabase } from '../supabase-client';
+import { getSalesPipelineStore } from './pipeline-store';
+import { buildStageIndex, stageRank } from './pipelines';
+import type { RequestUser } from '../auth';
+import type { SalesStage } from '../types';
+
+const TABLE = 'festival_user_preferences';
+
+export interface FestivalPreference {
+  festival_id: string;
+  user_id: string;
+  favorite: boolean;
+  archived: boolean;
+  notes: string | null;
+  sales_stage: SalesStage;
+  // Sales pipeline the stage belongs to, and why the festival was lost in a lost stage
+  pipeline_id: string;
+  lost_reason: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export type PreferenceUpdate = Partial<Pick<FestivalPreference, 'favorite' | 'archived' | 'notes' | 'sales_stage'>>;
+
+export type PreferenceField = keyof PreferenceUpdate;
+
+// Written together with sales_stage; the database clears lost_reason outside lost stages
+export type StagePlacement = Partial<Pick<FestivalPreference, 'pipeline_id' | 'lost_reason'>>;
+
+// Values a festival has for a user before they set anything
+export const PREFERENCE_DEFAULTS: Required<PreferenceUpdate> = {
+  favorite: false,
+  archived: false,
+  notes: null,
+  sales_stage: 'favorited',
+};
+
+export interface PreferenceConflict {
+  // The value the field has now, which is kept
+  current: unknown;
+}
+
+export interface UserProfile {
+  user_id: string;
+  email: string | null;
+  display_name: string | null;
+  team_id: string | null;
+}
+
+export interface Team {
+  id: string;
+  name: string;
+  created_at: string;
+}
+
+export interface LeadOwner {
+  user_id: string;
+  name: string;
+  sales_stage: SalesStage;
+  favorite: boolean;
+  updated_at: string;
+}
+
+export interface TeamLead {
+  festival: {
+    id: string;
+    name: string;
+    start_date: string | null;
+    end_date: string | null;
+    location: string | null;
+  };
+  owners: LeadOwner[];
+}
+
+export interface TeamOverview {
+  team: Team | null;
+  members: UserProfile[];
+  // Festivals someone favorited or moved into the pipeline, soonest first
+  leads: TeamLead[];
+}
+
+// Empty notes and no notes are the same
+function sameValue(a: unknown, b: unknown): boolean {
+  const normalize = (value: unknown) => (value === undefined || value === '' ? null : value);
+  return normalize(a) === normalize(b);
+}
+
+export function profileName(profile: UserProfile | undefined, userId: string): string {
+  return profile?.display_name || profile?.email || userId.slice(0, 8);
+}
+
+class FestivalPreferenceStore {
+  /**
+   * All preferences of one user
+   */
+  async getPreferences(userId: string): Promise<FestivalPreference[]> {
+    const preferences: FestivalPreference[] = [];
+    const pageSize = 1000;
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('user_id', userId)
+        .range(from, from + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to load festival preferences: ${error.message}`);
+      }
+      preferences.push(...((data || []) as FestivalPreference[]));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Save some preference fields of a user for a festival; fields left out keep
+   * their stored value (or the default for a first preference)
+   */
+  async setPreference(
+    user: RequestUser,
+    festivalId: string,
+    update: PreferenceUpdate & StagePlacement
+  ): Promise<FestivalPreference> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .upsert({ festival_id: festivalId, user_id: user.id, ...update }, { onConflict: 'festival_id,user_id' })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save festival preference: ${error.message}`);
+    }
+
+    await this.registerUser(user);
+    return data as FestivalPreference;
+  }
+
+  /**
+   * Set preference fields only where the user has no preference for the festival yet.
+   * Used for importing old browser-stored preferences without overwriting newer ones.
+   * Returns whether anything was written.
+   */
+  async fillPreference(user: RequestUser, festivalId: string, update: PreferenceUpdate): Promise<boolean> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .upsert(
+        { ...PREFERENCE_DEFAULTS, ...update, festival_id: festivalId, user_id: user.id },
+        { onConflict: 'festival_id,user_id', ignoreDuplicates: true }
+      )
+      .select('festival_id');
+
+    if (error) {
+      throw new Error(`Failed to import festival preference: ${error.message}`);
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Check a write against the value its sender last saw. The write conflicts when the
+   * field has since been changed elsewhere to something other than the new value.
+   * Without a user the shared festivals column is checked.
+   */
+  async findConflict(
+    user: RequestUser | null,
+    festivalId: string,
+    field: PreferenceField,
+    expected: unknown,
+    value: unknown
+  ): Promise<PreferenceConflict | null> {
+    const query = user
+      ? supabase.from(TABLE).select(field).eq('festival_id', festivalId).eq('user_id', user.id)
+      : supabase.from('festivals').select(field).eq('id', festivalId);
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load current ${field}: ${error.message}`);
+    }
+
+    const row = data as Record<string, unknown> | null;
+    const current = row && row[field] !== null && row[field] !== undefined ? row[field] : PREFERENCE_DEFAULTS[field];
+    if (sameValue(current, expected) || sameValue(current, value)) return null;
+
+    console.log(`[Preferences] Conflicting ${field} write for festival ${festivalId}`);
+    return { current };
+  }
+
+  /**
+   * The sales pipeline a festival is in for a user, or in the shared festivals column
+   * without a user. Null when the user has no preference for it yet.
+   */
+  async getPipelineId(user: RequestUser | null, festivalId: string): Promise<string | null> {
+    const query = user
+      ? supabase.from(TABLE).select('pipeline_id').eq('festival_id', festivalId).eq('user_id', user.id)
+      : supabase.from('festivals').select('pipeline_id').eq('id', festivalId);
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load sales pipeline of festival: ${error.message}`);
+    }
+    return (data as { pipeline_id: string | null } | null)?.pipeline_id || null;
+  }
+
+  /**
+   * Keep the user's email and name current for the team view. Never touches the team.
+   */
+  async registerUser(user: RequestUser): Promise<void> {
+    const { error } = await supabase
+      .from('user_profiles')
+      .upsert({
+        user_id: user.id,
+        email: user.email,
+        display_name: user.displayName,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id' });
+
+    // A stale profile only affects how the owner is shown
+    if (error) {
+      console.warn(`[Preferences] Failed to register user ${user.id}: ${error.message}`);
+    }
+  }
+
+  async getProfile(userId: string): Promise<UserProfile | null> {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('user_id, email, display_name, team_id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load user profile: ${error.message}`);
+    }
+    return data as UserProfile | null;
+  }
+
+  /**
+   * Join the team with this name, creating it if nobody uses it yet.
+   * An empty name leaves the current team.
+   */
+  async setTeam(user: RequestUser, teamName: string): Promise<Team | null> {
+    await this.registerUser(user);
+
+    let team: Team | null = null;
+    const name = teamName.trim();
+    if (name) {
+      const { data, error } = await supabase
+        .from('teams')
+        .upsert({ name }, { onConflict: 'name' })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save team: ${error.message}`);
+      }
+      team = data as Team;
+    }
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({ team_id: team?.id || null, updated_at: new Date().toISOString() })
+      .eq('user_id', user.id);
+
+    if (error) {
+      throw new Error(`Failed to update user team: ${error.message}`);
+    }
+
+    console.log(`[Preferences] User ${user.id} ${team ? `joined team "${team.name}"` : 'left their team'}`);
+    return team;
+  }
+
+  /**
+   * Who owns which lead: festivals the members of the user's team favorited or moved
+   * into the pipeline. Users without a team see every user's leads.
+   */
+  async getTeamOverview(userId: string): Promise<TeamOverview> {
+    const profile = await this.getProfile(userId);
+
+    let team: Team | null = null;
+    let membersQuery = supabase.from('user_profiles').select('user_id, email, display_name, team_id');
+    if (profile?.team_id) {
+      const { data, error } = await supabase.from('teams').select('*').eq('id', profile.team_id).maybeSingle();
+      if (error) {
+        throw new Error(`Failed to load team: ${error.message}`);
+      }
+      team = data as Team | null;
+      membersQuery = membersQuery.eq('team_id', profile.team_id);
+    }
+
+    const { data: memberRows, error: membersError } = await membersQuery.order('display_name', { ascending: true });
+    if (membersError) {
+      throw new Error(`Failed to load team members: ${membersError.message}`);
+    }
+    const members = (memberRows || []) as UserProfile[];
+    if (members.length === 0) {
+      return { team, members, leads: [] };
+    }
+
+    const { data: rows, error } = await supabase
+      .from(TABLE)
+      .select('user_id, favorite, sales_stage, updated_at, festivals!inner(id, name, start_date, end_date, location, merged_into)')
+      .in('user_id', members.map(member => member.user_id))
+      .eq('archived', false)
+      .or('favorite.eq.true,sales_stage.neq.favorited')
+      .is('festivals.merged_into', null);
+
+    if (error) {
+      throw new Error(`Failed to load team leads: ${error.message}`);
+    }
+
+    const profilesById = new Map(members.map(member => [member.user_id, member]));
+    const leadsById = new Map<string, TeamLead>();
+
+    for (const row of rows || []) {
+      // Many-to-one embed: a single festival object, though typed as an array
+      const festival = row.festivals as unknown as TeamLead['festival'] | null;
+      if (!festival) continue;
+
+      let lead = leadsById.get(festival.id);
+      if (!lead) {
+        lead = {
+          festival: {
+            id: festival.id,
+            name: festival.name,
+            start_date: festival.start_date,
+            end_date: festival.end_date,
+            location: festival.location,
+          },
+          owners: [],
+        };
+        leadsById.set(festival.id, lead);
+      }
+
+      lead.owners.push({
+        user_id: row.user_id,
+        name: profileName(profilesById.get(row.user_id), row.user_id),
+        sales_stage: row.sales_stage,
+        favorite: row.favorite,
+        updated_at: row.updated_at,
+      });
+    }
+
+    const stageIndex = buildStageIndex(await getSalesPipelineStore().listPipelines());
+    const leads = Array.from(leadsById.values());
+    for (const lead of leads) {
+      // Furthest along first
+      lead.owners.sort((a, b) => stageRank(stageIndex.get(b.sales_stage)) - stageRank(stageIndex.get(a.sales_stage)));
+    }
+    leads.sort((a, b) => (a.festival.start_date || '9999').localeCompare(b.festival.start_date || '9999'));
+
+    return { team, members, leads };
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalPreferenceStore | null = null;
+
+export function getFestivalPreferenceStore(): FestivalPreferenceStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalPreferenceStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalPreferenceStore };
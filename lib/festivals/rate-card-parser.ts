@@ -0,0 +1,128 @@
+/**
+ * Rate Card Parser
+ *
+ * Reads the prices off a received rate card with Claude, which takes PDFs and images
+ * as they are, so scanned and designed rate cards parse the same way. The result is a
+ * list of line items for the team to check; nothing is priced from it automatically.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { z } from 'zod';
+import { recordUsage, runWithUsageContext } from '../research/usage-ledger';
+import { isFixtureReplay, withFixture } from '../research/provider-fixtures';
+import { normalizeLineItems, type RateCardContentType, type RateCardLineItem } from './rate-cards';
+
+const CLAUDE_MODEL = 'claude-sonnet-4-20250514';
+
+const ParsedRateCardSchema = z.object({
+  items: z.array(z.object({
+    description: z.string(),
+    amount: z.union([z.number(), z.string()]),
+    currency: z.string().nullable().optional(),
+    unit: z.string().nullable().optional(),
+  })),
+});
+
+const PROMPT = `This is the rate card of a festival: what the organizer charges vendors, exhibitors or
+partners. List every price on it.
+
+Response format (JSON only):
+{
+  "items": [
+    {
+      "description": string (what the price is for, as on the rate card),
+      "amount": number (the price without currency symbol; excluding VAT when both are given),
+      "currency": string (ISO code, e.g. "EUR"),
+      "unit": string or null (e.g. "per day", "per m2", "per festival")
+    }
+  ]
+}
+
+Return {"items": []} when the document has no prices.`;
+
+/**
+ * The rate card could not be read
+ */
+export class RateCardParseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RateCardParseError';
+  }
+}
+
+let client: Anthropic | null = null;
+
+function getClient(): Anthropic | null {
+  if (!client && process.env.ANTHROPIC_API_KEY) {
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return client;
+}
+
+export function isRateCardParserAvailable(): boolean {
+  return !!process.env.ANTHROPIC_API_KEY || isFixtureReplay();
+}
+
+/**
+ * The prices on a rate card file, as line items marked as parsed
+ */
+export async function parseRateCard(
+  file: { data: Buffer; contentType: RateCardContentType },
+  festivalId: string
+): Promise<RateCardLineItem[]> {
+  const anthropic = getClient();
+  if (!anthropic && !isFixtureReplay()) {
+    throw new RateCardParseError('Rate card parsing is not configured (ANTHROPIC_API_KEY)');
+  }
+
+  const data = file.data.toString('base64');
+  const source: Anthropic.Messages.ContentBlockParam = file.contentType === 'application/pdf'
+    ? { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data } }
+    : { type: 'image', source: { type: 'base64', media_type: file.contentType, data } };
+
+  const request: Anthropic.Messages.MessageCreateParamsNonStreaming = {
+    model: CLAUDE_MODEL,
+    max_tokens: 4096,
+    temperature: 0,
+    messages: [{ role: 'user', content: [source, { type: 'text', text: PROMPT }] }],
+  };
+
+  const response = await runWithUsageContext({ festivalId }, () =>
+    withFixture('claude', CLAUDE_MODEL, request, async () => {
+      const liveResponse = await anthropic!.messages.create(request);
+      await recordUsage({
+        provider: 'claude',
+        operation: CLAUDE_MODEL,
+        inputTokens: liveResponse.usage?.input_tokens ?? 0,
+        outputTokens: liveResponse.usage?.output_tokens ?? 0,
+      });
+      return liveResponse;
+    })
+  );
+
+  const textBlock = response.content.find(block => block.type === 'text');
+  const text = textBlock && textBlock.type === 'text' ? textBlock.text : '';
+
+  let parsed: z.infer<typeof ParsedRateCardSchema>;
+  try {
+    // Extract JSON from response (handle markdown code blocks)
+    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    parsed = ParsedRateCardSchema.parse(JSON.parse(jsonMatch ? jsonMatch[1] : text));
+  } catch (error) {
+    console.error('[RateCards] Unreadable parser response:', error);
+    throw new RateCardParseError('No prices could be read from the rate card');
+  }
+
+  // Prices the model could not turn into a number are left for the team to enter
+  const items = parsed.items.filter(item => {
+    try {
+      normalizeLineItems([item]);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+
+  console.log(`[RateCards] Parsed ${items.length} of ${parsed.items.length} prices for festival ${festivalId}`);
+  return normalizeLineItems(items, true);
+}
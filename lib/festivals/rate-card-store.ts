@@ -0,0 +1,423 @@
+/**
+ * Rate Card Store
+ *
+ * Rate card requests, the received rate card files in the rate-cards storage bucket and
+ * their line items. The rate_card_requested / received / date columns on festivals
+ * follow along: a logged request sets requested, a received rate card sets received.
+ * They are only ever raised here, so statuses set by hand before requests were logged
+ * stay as they are.
+ */
+
+import { randomUUID } from 'crypto';
+import { supabase } from '../supabase-client';
+import { parseRateCard } from './rate-card-parser';
+import {
+  DEFAULT_REMINDER_DAYS,
+  MAX_RATE_CARD_BYTES,
+  RATE_CARD_CONTENT_TYPES,
+  daysWaiting,
+  isRateCardContentType,
+  rateCardStoragePath,
+  type FestivalRateCards,
+  type OverdueRateCardRequest,
+  type RateCardDocument,
+  type RateCardLineItem,
+  type RateCardRequest,
+  type RateCardRequestInput,
+  type RateCardRequestStatus,
+} from './rate-cards';
+
+const REQUESTS_TABLE = 'rate_card_requests';
+const DOCUMENTS_TABLE = 'rate_card_documents';
+const LINE_ITEMS_TABLE = 'rate_card_line_items';
+const BUCKET = 'rate-cards';
+
+const REQUEST_COLUMNS = 'id, festival_id, contact_id, channel, message, status, requested_by, requested_at, answered_at, created_at, updated_at, contact:contacts (id, name, email)';
+const DOCUMENT_COLUMNS = 'id, festival_id, request_id, storage_path, file_name, content_type, size_bytes, uploaded_by, parse_status, parse_error, parsed_at, created_at, line_items:rate_card_line_items (id, position, description, amount, currency, unit, parsed)';
+
+// How long a signed download link works
+const DOWNLOAD_URL_SECONDS = 5 * 60;
+
+/**
+ * A rate card request or file the API refuses, e.g. a contact that is not on the
+ * festival or a file type that cannot be stored
+ */
+export class InvalidRateCardError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidRateCardError';
+  }
+}
+
+export interface RateCardUpload {
+  fileName: string;
+  contentType: string;
+  data: Buffer;
+}
+
+/**
+ * Days a request may go unanswered before it is flagged,
+ * from RATE_CARD_REMINDER_DAYS (default 14 days)
+ */
+export function getRateCardReminderDays(): number {
+  const configured = parseInt(process.env.RATE_CARD_REMINDER_DAYS || '', 10);
+  return configured > 0 ? configured : DEFAULT_REMINDER_DAYS;
+}
+
+type DocumentRow = Omit<RateCardDocument, 'line_items'> & {
+  line_items: (RateCardLineItem & { position: number })[] | null;
+};
+
+function toDocument(row: DocumentRow): RateCardDocument {
+  const lineItems = [...(row.line_items || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...item }) => ({ ...item, amount: Number(item.amount) }));
+  return { ...row, line_items: lineItems };
+}
+
+class RateCardStore {
+  /**
+   * Requests and received rate cards of a festival, newest first
+   */
+  async getForFestival(festivalId: string): Promise<FestivalRateCards> {
+    const [requests, documents] = await Promise.all([
+      supabase
+        .from(REQUESTS_TABLE)
+        .select(REQUEST_COLUMNS)
+        .eq('festival_id', festivalId)
+        .order('requested_at', { ascending: false }),
+      supabase
+        .from(DOCUMENTS_TABLE)
+        .select(DOCUMENT_COLUMNS)
+        .eq('festival_id', festivalId)
+        .order('created_at', { ascending: false }),
+    ]);
+
+    if (requests.error) {
+      throw new Error(`Failed to load rate card requests: ${requests.error.message}`);
+    }
+    if (documents.error) {
+      throw new Error(`Failed to load rate cards: ${documents.error.message}`);
+    }
+
+    return {
+      requests: (requests.data || []) as unknown as RateCardRequest[],
+      documents: ((documents.data || []) as unknown as DocumentRow[]).map(toDocument),
+    };
+  }
+
+  async getRequest(requestId: string): Promise<RateCardRequest | null> {
+    const { data, error } = await supabase
+      .from(REQUESTS_TABLE)
+      .select(REQUEST_COLUMNS)
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load rate card request: ${error.message}`);
+    }
+    return (data as unknown as RateCardRequest | null) || null;
+  }
+
+  /**
+   * Log a rate card request. The contact must be linked to the festival.
+   * Input must be normalized with normalizeRateCardRequestInput.
+   */
+  async createRequest(festivalId: string, input: RateCardRequestInput, requestedBy: string | null): Promise<RateCardRequest> {
+    if (input.contact_id) {
+      const { data: link, error: linkError } = await supabase
+        .from('festival_contacts')
+        .select('contact_id')
+        .eq('festival_id', festivalId)
+        .eq('contact_id', input.contact_id)
+        .maybeSingle();
+
+      if (linkError) {
+        throw new Error(`Failed to check contact: ${linkError.message}`);
+      }
+      if (!link) {
+        throw new InvalidRateCardError('The contact is not linked to this festival');
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(REQUESTS_TABLE)
+      .insert({ festival_id: festivalId, ...input, requested_by: requestedBy })
+      .select(REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to log rate card request: ${error.message}`);
+    }
+
+    await this.raiseFestivalStatus(festivalId, { requested: true }, requestedBy);
+    console.log(`[RateCards] Logged ${input.channel} request for festival ${festivalId}`);
+    return data as unknown as RateCardRequest;
+  }
+
+  /**
+   * Record the answer to a request, or reopen it
+   */
+  async setRequestStatus(requestId: string, status: RateCardRequestStatus, userId: string | null): Promise<RateCardRequest> {
+    const { data, error } = await supabase
+      .from(REQUESTS_TABLE)
+      .update({ status, answered_at: status === 'pending' ? null : new Date().toISOString() })
+      .eq('id', requestId)
+      .select(REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update rate card request: ${error.message}`);
+    }
+
+    const request = data as unknown as RateCardRequest;
+    if (status === 'received') {
+      await this.raiseFestivalStatus(request.festival_id, { received: true }, userId);
+    }
+    return request;
+  }
+
+  /**
+   * Store a received rate card. It answers the given request, or every pending request
+   * of the festival when none is given.
+   */
+  async uploadDocument(
+    festivalId: string,
+    file: RateCardUpload,
+    requestId: string | null,
+    uploadedBy: string | null
+  ): Promise<RateCardDocument> {
+    if (!isRateCardContentType(file.contentType)) {
+      throw new InvalidRateCardError(`A rate card must be one of: ${RATE_CARD_CONTENT_TYPES.join(', ')}`);
+    }
+    if (file.data.length === 0 || file.data.length > MAX_RATE_CARD_BYTES) {
+      throw new InvalidRateCardError(`A rate card must be a file of at most ${MAX_RATE_CARD_BYTES / 1024 / 1024} MB`);
+    }
+    if (requestId) {
+      const request = await this.getRequest(requestId);
+      if (!request || request.festival_id !== festivalId) {
+        throw new InvalidRateCardError('The request is not one of this festival');
+      }
+    }
+
+    const id = randomUUID();
+    const storagePath = rateCardStoragePath(festivalId, id, file.fileName);
+
+    const { error: uploadError } = await supabase.storage
+      .from(BUCKET)
+      .upload(storagePath, file.data, { contentType: file.contentType, upsert: false });
+
+    if (uploadError) {
+      throw new Error(`Failed to store rate card: ${uploadError.message}`);
+    }
+
+    const { data, error } = await supabase
+      .from(DOCUMENTS_TABLE)
+      .insert({
+        id,
+        festival_id: festivalId,
+        request_id: requestId,
+        storage_path: storagePath,
+        file_name: file.fileName,
+        content_type: file.contentType,
+        size_bytes: file.data.length,
+        uploaded_by: uploadedBy,
+      })
+      .select(DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      await supabase.storage.from(BUCKET).remove([storagePath]);
+      throw new Error(`Failed to save rate card: ${error.message}`);
+    }
+
+    let answered = supabase
+      .from(REQUESTS_TABLE)
+      .update({ status: 'received', answered_at: new Date().toISOString() })
+      .eq('festival_id', festivalId)
+      .eq('status', 'pending');
+    if (requestId) answered = answered.eq('id', requestId);
+
+    const { error: answerError } = await answered;
+    if (answerError) {
+      throw new Error(`Failed to mark rate card requests as received: ${answerError.message}`);
+    }
+
+    await this.raiseFestivalStatus(festivalId, { requested: true, received: true }, uploadedBy);
+    console.log(`[RateCards] Stored ${file.fileName} (${file.data.length} bytes) for festival ${festivalId}`);
+    return toDocument(data as unknown as DocumentRow);
+  }
+
+  async getDocument(documentId: string): Promise<RateCardDocument | null> {
+    const { data, error } = await supabase
+      .from(DOCUMENTS_TABLE)
+      .select(DOCUMENT_COLUMNS)
+      .eq('id', documentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load rate card: ${error.message}`);
+    }
+    return data ? toDocument(data as unknown as DocumentRow) : null;
+  }
+
+  /**
+   * A short-lived link to download the rate card file
+   */
+  async getDownloadUrl(document: RateCardDocument): Promise<string> {
+    const { data, error } = await supabase.storage
+      .from(BUCKET)
+      .createSignedUrl(document.storage_path, DOWNLOAD_URL_SECONDS, { download: document.file_name });
+
+    if (error || !data) {
+      throw new Error(`Failed to create rate card link: ${error?.message || 'no link returned'}`);
+    }
+    return data.signedUrl;
+  }
+
+  /**
+   * Read the prices off the rate card, replacing its line items. A failed parse is
+   * recorded on the document and thrown.
+   */
+  async parseDocument(document: RateCardDocument): Promise<RateCardDocument> {
+    try {
+      const { data: blob, error } = await supabase.storage.from(BUCKET).download(document.storage_path);
+      if (error || !blob) {
+        throw new Error(`Failed to read rate card file: ${error?.message || 'file is missing'}`);
+      }
+
+      const items = await parseRateCard(
+        { data: Buffer.from(await blob.arrayBuffer()), contentType: document.content_type },
+        document.festival_id
+      );
+      await this.saveLineItems(document.id, items);
+      await this.setParseStatus(document.id, 'parsed', null);
+    } catch (error) {
+      await this.setParseStatus(document.id, 'failed', error instanceof Error ? error.message : String(error));
+      throw error;
+    }
+
+    return (await this.getDocument(document.id))!;
+  }
+
+  /**
+   * Replace the line items of a rate card.
+   * Items must be normalized with normalizeLineItems.
+   */
+  async saveLineItems(documentId: string, items: RateCardLineItem[]): Promise<void> {
+    const { error: deleteError } = await supabase
+      .from(LINE_ITEMS_TABLE)
+      .delete()
+      .eq('document_id', documentId);
+
+    if (deleteError) {
+      throw new Error(`Failed to replace rate card line items: ${deleteError.message}`);
+    }
+    if (items.length === 0) return;
+
+    const { error } = await supabase
+      .from(LINE_ITEMS_TABLE)
+      .insert(items.map(({ id, ...item }, position) => ({ ...item, document_id: documentId, position })));
+
+    if (error) {
+      throw new Error(`Failed to save rate card line items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a rate card and its file. The festival keeps its received status.
+   */
+  async deleteDocument(document: RateCardDocument): Promise<void> {
+    const { error } = await supabase.from(DOCUMENTS_TABLE).delete().eq('id', document.id);
+    if (error) {
+      throw new Error(`Failed to delete rate card: ${error.message}`);
+    }
+
+    const { error: removeError } = await supabase.storage.from(BUCKET).remove([document.storage_path]);
+    if (removeError) {
+      console.error(`[RateCards] Failed to remove file ${document.storage_path}:`, removeError.message);
+    }
+  }
+
+  /**
+   * Pending requests made at least `reminderDays` ago, longest waiting first
+   */
+  async listOverdueRequests(reminderDays: number = getRateCardReminderDays()): Promise<OverdueRateCardRequest[]> {
+    const cutoff = new Date(Date.now() - reminderDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from(REQUESTS_TABLE)
+      .select(`${REQUEST_COLUMNS}, festival:festivals (name)`)
+      .eq('status', 'pending')
+      .lte('requested_at', cutoff)
+      .order('requested_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load overdue rate card requests: ${error.message}`);
+    }
+
+    const now = Date.now();
+    return ((data || []) as unknown as (RateCardRequest & { festival: { name: string } | null })[])
+      .map(({ festival, ...request }) => ({
+        ...request,
+        festival_name: festival?.name || 'Unknown festival',
+        days_waiting: daysWaiting(request, now),
+      }));
+  }
+
+  private async setParseStatus(documentId: string, status: 'parsed' | 'failed', parseError: string | null): Promise<void> {
+    const { error } = await supabase
+      .from(DOCUMENTS_TABLE)
+      .update({ parse_status: status, parse_error: parseError, parsed_at: new Date().toISOString() })
+      .eq('id', documentId);
+
+    if (error) {
+      throw new Error(`Failed to update rate card parse status: ${error.message}`);
+    }
+  }
+
+  // Raise the rate card summary on festivals; the activity log records the change
+  private async raiseFestivalStatus(
+    festivalId: string,
+    status: { requested?: boolean; received?: boolean },
+    userId: string | null
+  ): Promise<void> {
+    const { data: festival, error: loadError } = await supabase
+      .from('festivals')
+      .select('rate_card_requested, rate_card_received, rate_card_date')
+      .eq('id', festivalId)
+      .maybeSingle();
+
+    if (loadError) {
+      throw new Error(`Failed to load festival rate card status: ${loadError.message}`);
+    }
+    if (!festival) return;
+
+    const update: Record<string, unknown> = {};
+    if ((status.requested || status.received) && !festival.rate_card_requested) update.rate_card_requested = true;
+    if (status.received && !festival.rate_card_received) update.rate_card_received = true;
+    if (status.received && !festival.rate_card_date) update.rate_card_date = new Date().toISOString().slice(0, 10);
+    if (Object.keys(update).length === 0) return;
+
+    const { error } = await supabase
+      .from('festivals')
+      .update({ ...update, rate_card_updated_by: userId })
+      .eq('id', festivalId);
+
+    if (error) {
+      throw new Error(`Failed to update festival rate card status: ${error.message}`);
+    }
+  }
+}
+
+// Singleton instance
+let storeInstance: RateCardStore | null = null;
+
+export function getRateCardStore(): RateCardStore {
+  if (!storeInstance) {
+    storeInstance = new RateCardStore();
+  }
+  return storeInstance;
+}
+
+export { RateCardStore };
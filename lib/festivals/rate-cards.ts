@@ -0,0 +1,267 @@
+/**
+ * Rate Cards
+ *
+ * The rate card workflow of a festival: requests logged with the contact they went to,
+ * the rate cards that came back (a PDF or image in storage) and the prices on them as
+ * line items. A request nobody answered within a number of days is overdue. The
+ * rate_card_* columns on festivals remain the summary the festival list filters on.
+ *
+ * Client-safe: no server imports.
+ */
+
+import type { Contact } from './contacts';
+
+export const RATE_CARD_CHANNELS = ['email', 'phone', 'form', 'in_person', 'other'] as const;
+
+export type RateCardChannel = typeof RATE_CARD_CHANNELS[number];
+
+export const RATE_CARD_CHANNEL_LABELS: Record<RateCardChannel, string> = {
+  email: 'Email',
+  phone: 'Phone',
+  form: 'Website form',
+  in_person: 'In person',
+  other: 'Other',
+};
+
+export const RATE_CARD_REQUEST_STATUSES = ['pending', 'received', 'declined'] as const;
+
+export type RateCardRequestStatus = typeof RATE_CARD_REQUEST_STATUSES[number];
+
+export const RATE_CARD_REQUEST_STATUS_LABELS: Record<RateCardRequestStatus, string> = {
+  pending: 'Waiting for an answer',
+  received: 'Received',
+  declined: 'Declined',
+};
+
+export const PARSE_STATUSES = ['unparsed', 'parsed', 'failed'] as const;
+
+export type ParseStatus = typeof PARSE_STATUSES[number];
+
+// File types a rate card can be stored and parsed as
+export const RATE_CARD_CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp', 'image/gif'] as const;
+
+export type RateCardContentType = typeof RATE_CARD_CONTENT_TYPES[number];
+
+export const MAX_RATE_CARD_BYTES = 10 * 1024 * 1024;
+
+// Days a request may go unanswered before it is flagged
+export const DEFAULT_REMINDER_DAYS = 14;
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_LINE_ITEMS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface RateCardRequest {
+  id: string;
+  festival_id: string;
+  contact_id: string | null;
+  channel: RateCardChannel;
+  message: string | null;
+  status: RateCardRequestStatus;
+  requested_by: string | null;
+  requested_at: string;
+  answered_at: string | null;
+  created_at: string;
+  updated_at: string;
+  // The contact, while it still exists
+  contact?: Pick<Contact, 'id' | 'name' | 'email'> | null;
+}
+
+export interface RateCardLineItem {
+  id?: string;
+  description: string;
+  amount: number;
+  currency: string;
+  unit: string | null;
+  parsed: boolean;
+}
+
+export interface RateCardDocument {
+  id: string;
+  festival_id: string;
+  request_id: string | null;
+  storage_path: string;
+  file_name: string;
+  content_type: RateCardContentType;
+  size_bytes: number;
+  uploaded_by: string | null;
+  parse_status: ParseStatus;
+  parse_error: string | null;
+  parsed_at: string | null;
+  created_at: string;
+  // In order
+  line_items: RateCardLineItem[];
+}
+
+export interface FestivalRateCards {
+  // Newest first
+  requests: RateCardRequest[];
+  documents: RateCardDocument[];
+}
+
+export interface RateCardRequestInput {
+  contact_id: string | null;
+  channel: RateCardChannel;
+  message: string | null;
+  // Defaults to now; lets a request made earlier be logged afterwards
+  requested_at?: string;
+}
+
+export interface OverdueRateCardRequest extends RateCardRequest {
+  festival_name: string;
+  days_waiting: number;
+}
+
+export function isRateCardChannel(value: unknown): value is RateCardChannel {
+  return typeof value === 'string' && (RATE_CARD_CHANNELS as readonly string[]).includes(value);
+}
+
+export function isRateCardRequestStatus(value: unknown): value is RateCardRequestStatus {
+  return typeof value === 'string' && (RATE_CARD_REQUEST_STATUSES as readonly string[]).includes(value);
+}
+
+export function isRateCardContentType(value: unknown): value is RateCardContentType {
+  return typeof value === 'string' && (RATE_CARD_CONTENT_TYPES as readonly string[]).includes(value);
+}
+
+/**
+ * Check a logged request; throws with a message for the user when it is invalid
+ */
+export function normalizeRateCardRequestInput(input: unknown): RateCardRequestInput {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+
+  const contactId = raw.contact_id ?? null;
+  if (contactId !== null && (typeof contactId !== 'string' || !contactId.trim())) {
+    throw new Error('contact_id must be a contact id');
+  }
+
+  const channel = raw.channel ?? 'email';
+  if (!isRateCardChannel(channel)) {
+    throw new Error(`Channel must be one of: ${RATE_CARD_CHANNELS.join(', ')}`);
+  }
+
+  if (raw.message !== undefined && raw.message !== null && typeof raw.message !== 'string') {
+    throw new Error('The message must be text');
+  }
+  const message = typeof raw.message === 'string' ? raw.message.trim() : '';
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`The message can be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const result: RateCardRequestInput = {
+    contact_id: contactId as string | null,
+    channel,
+    message: message || null,
+  };
+
+  if (raw.requested_at !== undefined && raw.requested_at !== null) {
+    const requestedAt = typeof raw.requested_at === 'string' ? Date.parse(raw.requested_at) : NaN;
+    if (Number.isNaN(requestedAt)) {
+      throw new Error('requested_at must be a date');
+    }
+    if (requestedAt > Date.now()) {
+      throw new Error('A request cannot be logged in the future');
+    }
+    result.requested_at = new Date(requestedAt).toISOString();
+  }
+
+  return result;
+}
+
+/**
+ * Check line items, from the parser or entered by hand; throws with a message for the
+ * user when one is invalid. Amounts are rounded to cents and currencies uppercased.
+ */
+export function normalizeLineItems(input: unknown, parsed = false): RateCardLineItem[] {
+  if (!Array.isArray(input)) {
+    throw new Error('Line items must be a list');
+  }
+  if (input.length > MAX_LINE_ITEMS) {
+    throw new Error(`A rate card can have at most ${MAX_LINE_ITEMS} line items`);
+  }
+
+  return input.map((item: any, index: number) => {
+    const description = typeof item?.description === 'string' ? item.description.trim() : '';
+    if (!description) {
+      throw new Error(`Line item ${index + 1} needs a description`);
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`The description of line item ${index + 1} can be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const amount = typeof item.amount === 'string' ? parsePrice(item.amount) : item.amount;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Line item "${description}" needs a price of 0 or more`);
+    }
+
+    const currency = typeof item.currency === 'string' && item.currency.trim() ? item.currency.trim().toUpperCase() : 'EUR';
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Currency of line item "${description}" must be a code like EUR`);
+    }
+
+    const unit = typeof item.unit === 'string' && item.unit.trim() ? item.unit.trim() : null;
+
+    return { description, amount: Math.round(amount * 100) / 100, currency, unit, parsed };
+  });
+}
+
+/**
+ * A price as written on a rate card: "€ 1.250,-", "1,250.00" or "95" -> 1250, 1250, 95.
+ * NaN when there is no number in it.
+ */
+export function parsePrice(text: string): number {
+  const match = text.replace(/\s/g, '').match(/\d[\d.,]*/);
+  if (!match) return NaN;
+
+  let number = match[0].replace(/[.,]-?$/, '');
+  const lastSeparator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  // A separator followed by one or two digits is the decimal separator
+  const decimals = number.length - lastSeparator - 1;
+  if (lastSeparator >= 0 && decimals >= 1 && decimals <= 2) {
+    number = `${number.slice(0, lastSeparator).replace(/[.,]/g, '')}.${number.slice(lastSeparator + 1)}`;
+  } else {
+    number = number.replace(/[.,]/g, '');
+  }
+  return Number(number);
+}
+
+export function formatPrice(amount: number, currency = 'EUR'): string {
+  try {
+    return new Intl.NumberFormat('nl-NL', { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+/**
+ * Whole days since a request was made
+ */
+export function daysWaiting(request: Pick<RateCardRequest, 'requested_at'>, now = Date.now()): number {
+  return Math.max(0, Math.floor((now - Date.parse(request.requested_at)) / DAY_MS));
+}
+
+/**
+ * A pending request older than `reminderDays`
+ */
+export function isOverdue(
+  request: Pick<RateCardRequest, 'status' | 'requested_at'>,
+  reminderDays = DEFAULT_REMINDER_DAYS,
+  now = Date.now()
+): boolean {
+  return request.status === 'pending' && daysWaiting(request, now) >= reminderDays;
+}
+
+/**
+ * Storage path of an uploaded rate card: one folder per festival, and a file name that
+ * is safe in a URL
+ */
+export function rateCardStoragePath(festivalId: string, documentId: string, fileName: string): string {
+  const safeName = fileName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(-100) || 'rate-card';
+  return `${festivalId}/${documentId}-${safeName}`;
+}
@@ -0,0 +1,215 @@
+/**
+ * Festival Search
+ *
+ * Text normalization and match snippets for festival search. The database does the
+ * matching and ranking (festival_search_normalize and query_festivals); this module
+ * normalizes text the same way (lowercase, no accents, no apostrophes, punctuation as
+ * spaces) so it can point out where a festival matched and highlight it.
+ *
+ * Client-safe: no server imports.
+ */
+
+export type SearchField = 'name' | 'location' | 'organizing_company' | 'notes' | 'emails' | 'research';
+
+export interface SearchMatch {
+  field: SearchField;
+  // Excerpt of the field around the match
+  text: string;
+  // [start, end) character ranges of `text` to highlight
+  highlights: [number, number][];
+}
+
+export interface SearchableFestival {
+  name?: string | null;
+  location?: string | null;
+  country?: string | null;
+  organizing_company?: string | null;
+  notes?: string | null;
+  emails?: string[] | null;
+  research_data?: unknown;
+}
+
+export const SEARCH_FIELD_LABELS: Record<SearchField, string> = {
+  name: 'Name',
+  location: 'Location',
+  organizing_company: 'Organizer',
+  notes: 'Notes',
+  emails: 'Emails',
+  research: 'Research',
+};
+
+// Search terms shorter than this after normalizing are not searched
+export const MIN_SEARCH_LENGTH = 2;
+
+// Words at least this similar (trigram similarity) count as a typo'd match
+const FUZZY_WORD_SIMILARITY = 0.45;
+const SNIPPET_LENGTH = 120;
+
+interface NormalizedText {
+  text: string;
+  // Index in the original text of each normalized character
+  positions: number[];
+}
+
+function normalizeChar(char: string): string {
+  if (/['\u2018\u2019`]/.test(char)) return '';
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  return base.replace(/[^a-z0-9]/g, ' ');
+}
+
+function normalizeWithPositions(text: string): NormalizedText {
+  let normalized = '';
+  const positions: number[] = [];
+
+  for (let i = 0; i < text.length; i++) {
+    for (const char of normalizeChar(text[i])) {
+      // Runs of punctuation and spaces become one space
+      if (char === ' ' && (normalized === '' || normalized.endsWith(' '))) continue;
+      normalized += char;
+      positions.push(i);
+    }
+  }
+
+  if (normalized.endsWith(' ')) {
+    normalized = normalized.slice(0, -1);
+    positions.pop();
+  }
+  return { text: normalized, positions };
+}
+
+/**
+ * Lowercase, without accents or apostrophes, punctuation as single spaces.
+ * Matches festival_search_normalize in the database.
+ */
+export function normalizeSearchText(text: string): string {
+  return normalizeWithPositions(text).text;
+}
+
+function trigrams(word: string): Set<string> {
+  const padded = `  ${word} `;
+  const result = new Set<string>();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Trigram similarity of two normalized words, like pg_trgm's similarity()
+ */
+export function trigramSimilarity(a: string, b: string): number {
+  const aTrigrams = trigrams(a);
+  const bTrigrams = trigrams(b);
+  let shared = 0;
+  aTrigrams.forEach(trigram => {
+    if (bTrigrams.has(trigram)) shared++;
+  });
+  const total = aTrigrams.size + bTrigrams.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+// Normalized [start, end) ranges of the term, its words, or words similar to them
+function findNormalizedRanges(haystack: string, term: string): [number, number][] {
+  const ranges: [number, number][] = [];
+  const addAll = (needle: string) => {
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+      ranges.push([index, index + needle.length]);
+    }
+  };
+
+  addAll(term);
+  if (ranges.length > 0) return ranges;
+
+  const words = term.split(' ').filter(word => word.length >= MIN_SEARCH_LENGTH);
+  words.forEach(addAll);
+  if (ranges.length > 0) return ranges;
+
+  // Typos: highlight whole words that look like one of the search words
+  const wordPattern = /[a-z0-9]+/g;
+  let match: RegExpExecArray | null;
+  while ((match = wordPattern.exec(haystack)) !== null) {
+    const candidate = match[0];
+    if (words.some(word => trigramSimilarity(word, candidate) >= FUZZY_WORD_SIMILARITY)) {
+      ranges.push([match.index, match.index + candidate.length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Where `term` occurs in `text`, ignoring case, accents and punctuation, as ranges of
+ * the original text. Falls back to the separate words and then to similar words.
+ */
+export function findHighlights(text: string, term: string): [number, number][] {
+  const needle = normalizeSearchText(term);
+  if (needle.length < MIN_SEARCH_LENGTH || !text) return [];
+
+  const normalized = normalizeWithPositions(text);
+  return findNormalizedRanges(normalized.text, needle)
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, end]): [number, number] => [
+      normalized.positions[start],
+      normalized.positions[end - 1] + 1,
+    ]);
+}
+
+// An excerpt around the first highlight, with the highlights moved along
+function excerpt(text: string, highlights: [number, number][]): { text: string; highlights: [number, number][] } {
+  if (text.length <= SNIPPET_LENGTH) return { text, highlights };
+
+  const first = highlights[0][0];
+  let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]): [number, number] => [from + shift, to + shift]),
+  };
+}
+
+function researchText(researchData: unknown): string {
+  const values: string[] = [];
+  const collect = (value: unknown) => {
+    if (typeof value === 'string') {
+      values.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(researchData);
+  return values.join(' · ');
+}
+
+/**
+ * The field a festival matched a search on, with a highlighted excerpt. Fields are
+ * tried in the order people recognize a festival by; null when nothing matches
+ * literally or closely (the database can still rank it, for example on compound words).
+ */
+export function buildSearchMatch(festival: SearchableFestival, term: string): SearchMatch | null {
+  const fields: [SearchField, string | null | undefined][] = [
+    ['name', festival.name],
+    ['location', [festival.location, festival.country].filter(Boolean).join(', ')],
+    ['organizing_company', festival.organizing_company],
+    ['notes', festival.notes],
+    ['emails', festival.emails?.join(', ')],
+    ['research', festival.research_data ? researchText(festival.research_data) : null],
+  ];
+
+  for (const [field, text] of fields) {
+    if (!text) continue;
+    const highlights = findHighlights(text, term);
+    if (highlights.length > 0) {
+      return { field, ...excerpt(text, highlights) };
+    }
+  }
+  return null;
+}
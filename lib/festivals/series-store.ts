@@ -0,0 +1,143 @@
+/**
+ * Festival Series Store
+ *
+ * Reads and corrects the series festivals are attached to. New festivals are
+ * attached automatically by the `assign_festival_series` trigger on their normalized
+ * name; this store is for looking up editions and for fixing wrong links by hand.
+ */
+
+import { supabase } from '../supabase-client';
+import type { FestivalEdition } from './series';
+
+const TABLE = 'festival_series';
+
+const EDITION_COLUMNS = 'id, name, start_date, end_date, location, series_id, edition_year, sales_stage, favorite, archived, notes';
+
+export interface FestivalSeries {
+  id: string;
+  name: string;
+  series_key: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SeriesEditions {
+  series: FestivalSeries | null;
+  // Most recent first; merged source records are left out
+  editions: FestivalEdition[];
+}
+
+class FestivalSeriesStore {
+  private async getFestival(festivalId: string): Promise<FestivalEdition | null> {
+    const { data, error } = await supabase
+      .from('festivals')
+      .select(EDITION_COLUMNS)
+      .eq('id', festivalId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load festival: ${error.message}`);
+    }
+    return data as FestivalEdition | null;
+  }
+
+  private async createSeries(name: string): Promise<FestivalSeries> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .insert({ name })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create festival series: ${error.message}`);
+    }
+    return data as FestivalSeries;
+  }
+
+  private async setSeries(festivalId: string, seriesId: string): Promise<void> {
+    const { error } = await supabase
+      .from('festivals')
+      .update({ series_id: seriesId })
+      .eq('id', festivalId);
+
+    if (error) {
+      throw new Error(`Failed to update festival series: ${error.message}`);
+    }
+  }
+
+  /**
+   * The series of a festival with all its editions.
+   * Returns null when the festival doesn't exist.
+   */
+  async getEditions(festivalId: string): Promise<SeriesEditions | null> {
+    const festival = await this.getFestival(festivalId);
+    if (!festival) return null;
+    if (!festival.series_id) {
+      return { series: null, editions: [festival] };
+    }
+
+    const [{ data: series, error: seriesError }, { data: editions, error: editionsError }] = await Promise.all([
+      supabase.from(TABLE).select('*').eq('id', festival.series_id).maybeSingle(),
+      supabase
+        .from('festivals')
+        .select(EDITION_COLUMNS)
+        .eq('series_id', festival.series_id)
+        .is('merged_into', null)
+        .order('start_date', { ascending: false, nullsFirst: false }),
+    ]);
+
+    const loadError = seriesError || editionsError;
+    if (loadError) {
+      throw new Error(`Failed to load festival editions: ${loadError.message}`);
+    }
+    return { series: series as FestivalSeries | null, editions: (editions || []) as FestivalEdition[] };
+  }
+
+  /**
+   * Make a festival an edition of the series another festival belongs to.
+   * Returns false when either festival doesn't exist.
+   */
+  async linkToFestival(festivalId: string, targetFestivalId: string): Promise<boolean> {
+    const [festival, target] = await Promise.all([
+      this.getFestival(festivalId),
+      this.getFestival(targetFestivalId),
+    ]);
+    if (!festival || !target) return false;
+
+    let seriesId = target.series_id;
+    if (!seriesId) {
+      seriesId = (await this.createSeries(target.name)).id;
+      await this.setSeries(target.id, seriesId);
+    }
+
+    await this.setSeries(festivalId, seriesId);
+    console.log(`[Series] Linked festival ${festivalId} to series ${seriesId}`);
+    return true;
+  }
+
+  /**
+   * Split a wrongly attached festival off into a series of its own.
+   * The new series has no key, so future editions are not attached to it automatically.
+   */
+  async detach(festivalId: string): Promise<FestivalSeries | null> {
+    const festival = await this.getFestival(festivalId);
+    if (!festival) return null;
+
+    const series = await this.createSeries(festival.name);
+    await this.setSeries(festivalId, series.id);
+    console.log(`[Series] Detached festival ${festivalId} into series ${series.id}`);
+    return series;
+  }
+}
+
+// Singleton instance
+let storeInstance: FestivalSeriesStore | null = null;
+
+export function getFestivalSeriesStore(): FestivalSeriesStore {
+  if (!storeInstance) {
+    storeInstance = new FestivalSeriesStore();
+  }
+  return storeInstance;
+}
+
+export { FestivalSeriesStore };
@@ -0,0 +1,101 @@
+/**
+ * Festival Series
+ *
+ * A festival series is a recurring festival; each festivals row is one yearly edition
+ * linked by `series_id`. These helpers work on the festival list the client already
+ * has loaded, so the table and the sales monitor can show earlier editions without
+ * extra requests.
+ */
+
+import { ENTRY_STAGE, stageLabel, type PipelineStage } from './pipelines';
+
+export interface FestivalEdition {
+  id: string;
+  name: string;
+  start_date?: string | null;
+  end_date?: string | null;
+  series_id?: string | null;
+  edition_year?: number | null;
+  sales_stage?: string | null;
+  favorite?: boolean | null;
+  archived?: boolean | null;
+  notes?: string | null;
+}
+
+export interface EditionHistory {
+  seriesId: string;
+  // Earlier editions, most recent first
+  previousEditions: FestivalEdition[];
+  // Whether the festival has been held before
+  isReturning: boolean;
+  // The edition right before this one
+  lastEdition: FestivalEdition | null;
+}
+
+export function getEditionYear(festival: FestivalEdition): number | null {
+  if (festival.edition_year) return festival.edition_year;
+  const year = festival.start_date ? parseInt(festival.start_date.slice(0, 4), 10) : NaN;
+  return Number.isNaN(year) ? null : year;
+}
+
+/**
+ * Edition history per festival id, for festivals that belong to a series.
+ * Only editions in an earlier year count as previous editions.
+ */
+export function buildEditionIndex<T extends FestivalEdition>(festivals: T[]): Map<string, EditionHistory> {
+  const bySeries = new Map<string, T[]>();
+  festivals.forEach(festival => {
+    if (!festival.series_id) return;
+    const editions = bySeries.get(festival.series_id);
+    if (editions) {
+      editions.push(festival);
+    } else {
+      bySeries.set(festival.series_id, [festival]);
+    }
+  });
+
+  const index = new Map<string, EditionHistory>();
+  bySeries.forEach((editions, seriesId) => {
+    editions.forEach(festival => {
+      const year = getEditionYear(festival);
+      const previousEditions = year === null ? [] : editions
+        .filter(other => {
+          const otherYear = getEditionYear(other);
+          return otherYear !== null && otherYear < year;
+        })
+        .sort((a, b) => (getEditionYear(b) as number) - (getEditionYear(a) as number));
+
+      index.set(festival.id, {
+        seriesId,
+        previousEditions,
+        isReturning: previousEditions.length > 0,
+        lastEdition: previousEditions[0] || null,
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Whether an edition ended in a won stage of its pipeline
+ */
+export function isWonEdition(edition: FestivalEdition, stages: Map<string, PipelineStage>): boolean {
+  return !!edition.sales_stage && stages.get(edition.sales_stage)?.outcome === 'won';
+}
+
+/**
+ * Short label for how an earlier edition ended in the sales pipeline. Stage labels
+ * come from the stage index of the pipelines (see buildStageIndex).
+ */
+export function describeEditionOutcome(edition: FestivalEdition, stages: Map<string, PipelineStage> = new Map()): string {
+  const year = getEditionYear(edition);
+  const prefix = year ? `${year}: ` : '';
+  const label = stageLabel(stages, edition.sales_stage).toLowerCase();
+  // Won and lost stages are where it ended; other stages are how far it got
+  const outcome = edition.sales_stage ? stages.get(edition.sales_stage)?.outcome : undefined;
+  if (outcome === 'won' || outcome === 'lost') return `${prefix}${label}`;
+  if (edition.sales_stage && edition.sales_stage !== ENTRY_STAGE) return `${prefix}reached ${label}`;
+  if (edition.favorite) return `${prefix}favorited`;
+  return `${prefix}not pursued`;
+}
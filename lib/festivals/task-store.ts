@@ -0,0 +1,347 @@
+/**
+ * Task Store
+ *
+ * Festival tasks and the rules that create them. Stage rules are applied by the
+ * database when a stage change is logged; the rules about festivals that start soon
+ * depend on the date, so applyDateRules runs them from the daily cron job.
+ */
+
+import { supabase } from '../supabase-client';
+import type { RequestUser } from '../auth';
+import { ENTRY_STAGE } from './pipelines';
+import {
+  addDaysToDateKey,
+  toDateKey,
+  type FestivalTask,
+  type OverdueTaskSummary,
+  type TaskInput,
+  type TaskRule,
+  type TaskRuleUpdate,
+  type TaskUpdate,
+} from './tasks';
+
+const TASKS_TABLE = 'festival_tasks';
+const RULES_TABLE = 'task_rules';
+
+const TASK_COLUMNS = 'id, festival_id, title, task_type, due_date, assignee_id, notes, status, completed_at, rule_id, created_by, created_at, updated_at';
+const TASK_WITH_FESTIVAL_COLUMNS = `${TASK_COLUMNS}, festival:festivals (id, name, start_date, location)`;
+
+/**
+ * A task the API refuses, e.g. for a festival that does not exist
+ */
+export class InvalidTaskError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidTaskError';
+  }
+}
+
+export interface DateRuleRun {
+  rules: number;
+  checked: number;
+  created: number;
+}
+
+class TaskStore {
+  /**
+   * Tasks assigned to a user, soonest due first; done and dismissed tasks only when asked
+   */
+  async listForAssignee(userId: string, includeClosed = false): Promise<FestivalTask[]> {
+    let query = supabase
+      .from(TASKS_TABLE)
+      .select(TASK_WITH_FESTIVAL_COLUMNS)
+      .eq('assignee_id', userId);
+    if (!includeClosed) {
+      query = query.eq('status', 'open');
+    }
+
+    const { data, error } = await query
+      .order('due_date', { ascending: true })
+      .order('created_at', { ascending: true })
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load tasks: ${error.message}`);
+    }
+    return (data || []) as unknown as FestivalTask[];
+  }
+
+  /**
+   * All tasks of a festival: open ones soonest due first, then closed ones
+   */
+  async listForFestival(festivalId: string): Promise<FestivalTask[]> {
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .select(TASK_COLUMNS)
+      .eq('festival_id', festivalId)
+      .order('due_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load festival tasks: ${error.message}`);
+    }
+    const tasks = (data || []) as FestivalTask[];
+    return [...tasks.filter(task => task.status === 'open'), ...tasks.filter(task => task.status !== 'open')];
+  }
+
+  async getTask(taskId: string): Promise<FestivalTask | null> {
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .select(TASK_COLUMNS)
+      .eq('id', taskId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load task: ${error.message}`);
+    }
+    return data as FestivalTask | null;
+  }
+
+  /**
+   * Add a task by hand; it goes to the user adding it unless an assignee is given
+   */
+  async createTask(festivalId: string, input: TaskInput, user: RequestUser | null): Promise<FestivalTask> {
+    const { data: festival, error: festivalError } = await supabase
+      .from('festivals')
+      .select('id')
+      .eq('id', festivalId)
+      .maybeSingle();
+
+    if (festivalError) {
+      throw new Error(`Failed to load festival: ${festivalError.message}`);
+    }
+    if (!festival) {
+      throw new InvalidTaskError('Festival not found');
+    }
+
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .insert({
+        festival_id: festivalId,
+        ...input,
+        assignee_id: input.assignee_id !== undefined ? input.assignee_id : user?.id ?? null,
+        created_by: user?.id ?? null,
+      })
+      .select(TASK_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create task: ${error.message}`);
+    }
+
+    console.log(`[Tasks] Added "${input.title}" to festival ${festivalId}`);
+    return data as FestivalTask;
+  }
+
+  /**
+   * Change a task; closing it records when, reopening it clears that
+   */
+  async updateTask(taskId: string, update: TaskUpdate): Promise<FestivalTask> {
+    const changes: Record<string, unknown> = { ...update };
+    if (update.status !== undefined) {
+      changes.completed_at = update.status === 'open' ? null : new Date().toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .update(changes)
+      .eq('id', taskId)
+      .select(TASK_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update task: ${error.message}`);
+    }
+    return data as FestivalTask;
+  }
+
+  async deleteTask(taskId: string): Promise<void> {
+    const { error } = await supabase.from(TASKS_TABLE).delete().eq('id', taskId);
+    if (error) {
+      throw new Error(`Failed to delete task: ${error.message}`);
+    }
+  }
+
+  /**
+   * Festivals with open tasks past their due date, with the longest overdue task
+   */
+  async listOverdue(today: string = toDateKey(new Date())): Promise<OverdueTaskSummary[]> {
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .select('festival_id, title, due_date')
+      .eq('status', 'open')
+      .lt('due_date', today)
+      .order('due_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load overdue tasks: ${error.message}`);
+    }
+
+    const summaries = new Map<string, OverdueTaskSummary>();
+    for (const task of data || []) {
+      const summary = summaries.get(task.festival_id);
+      if (summary) {
+        summary.count++;
+      } else {
+        summaries.set(task.festival_id, {
+          festival_id: task.festival_id,
+          count: 1,
+          oldest_due_date: task.due_date,
+          title: task.title,
+        });
+      }
+    }
+    return Array.from(summaries.values());
+  }
+
+  async listRules(): Promise<TaskRule[]> {
+    const { data, error } = await supabase
+      .from(RULES_TABLE)
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load task rules: ${error.message}`);
+    }
+    return (data || []) as TaskRule[];
+  }
+
+  async updateRule(ruleId: string, update: TaskRuleUpdate): Promise<TaskRule | null> {
+    const { data, error } = await supabase
+      .from(RULES_TABLE)
+      .update(update)
+      .eq('id', ruleId)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update task rule: ${error.message}`);
+    }
+    return data as TaskRule | null;
+  }
+
+  /**
+   * Run the enabled "starts soon without contact" rules: a festival someone favorited
+   * that is still in the entry stage, starts within the rule's days and none of whose
+   * contacts was contacted gets a task due today, once per rule. It goes to whoever
+   * favorited it last; festivals only favorited without a user get an unassigned task.
+   */
+  async applyDateRules(today: string = toDateKey(new Date())): Promise<DateRuleRun> {
+    const rules = (await this.listRules())
+      .filter(rule => rule.enabled && rule.trigger_type === 'starts_soon_without_contact');
+
+    let checked = 0;
+    let created = 0;
+    for (const rule of rules) {
+      const candidates = await this.findUncontactedFestivals(today, addDaysToDateKey(today, rule.days));
+      checked += candidates.size;
+      if (candidates.size === 0) continue;
+
+      // Once per festival: a done or dismissed task is not created again
+      const { data: existing, error: existingError } = await supabase
+        .from(TASKS_TABLE)
+        .select('festival_id')
+        .eq('rule_id', rule.id)
+        .in('festival_id', Array.from(candidates.keys()));
+
+      if (existingError) {
+        throw new Error(`Failed to load existing tasks: ${existingError.message}`);
+      }
+      for (const task of existing || []) {
+        candidates.delete(task.festival_id);
+      }
+      if (candidates.size === 0) continue;
+
+      const { data, error } = await supabase
+        .from(TASKS_TABLE)
+        .insert(Array.from(candidates.entries()).map(([festivalId, assigneeId]) => ({
+          festival_id: festivalId,
+          title: rule.title,
+          task_type: rule.task_type,
+          due_date: today,
+          assignee_id: assigneeId,
+          rule_id: rule.id,
+        })))
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to create tasks for rule "${rule.name}": ${error.message}`);
+      }
+      created += data?.length || 0;
+      console.log(`[Tasks] Rule "${rule.name}" created ${data?.length || 0} tasks`);
+    }
+
+    return { rules: rules.length, checked, created };
+  }
+
+  // Favorited festivals in the entry stage starting between two dates that nobody
+  // contacted, with who should reach out
+  private async findUncontactedFestivals(from: string, to: string): Promise<Map<string, string | null>> {
+    const candidates = new Map<string, string | null>();
+
+    const { data: preferences, error: preferencesError } = await supabase
+      .from('festival_user_preferences')
+      .select('festival_id, user_id, updated_at, festivals!inner(start_date, merged_into)')
+      .eq('favorite', true)
+      .eq('archived', false)
+      .eq('sales_stage', ENTRY_STAGE)
+      .gte('festivals.start_date', from)
+      .lte('festivals.start_date', to)
+      .is('festivals.merged_into', null)
+      .order('updated_at', { ascending: true });
+
+    if (preferencesError) {
+      throw new Error(`Failed to load favorited festivals: ${preferencesError.message}`);
+    }
+    // Oldest first, so the last one to favorite it wins
+    for (const preference of preferences || []) {
+      candidates.set(preference.festival_id, preference.user_id);
+    }
+
+    // Favorites stored on the festival itself, from requests without a user
+    const { data: festivals, error: festivalsError } = await supabase
+      .from('festivals')
+      .select('id')
+      .eq('favorite', true)
+      .eq('archived', false)
+      .or(`sales_stage.is.null,sales_stage.eq.${ENTRY_STAGE}`)
+      .gte('start_date', from)
+      .lte('start_date', to)
+      .is('merged_into', null);
+
+    if (festivalsError) {
+      throw new Error(`Failed to load favorited festivals: ${festivalsError.message}`);
+    }
+    for (const festival of festivals || []) {
+      if (!candidates.has(festival.id)) candidates.set(festival.id, null);
+    }
+
+    if (candidates.size === 0) return candidates;
+
+    const { data: contacted, error: contactedError } = await supabase
+      .from('festival_contacts')
+      .select('festival_id, contacts!inner(last_contacted_at)')
+      .in('festival_id', Array.from(candidates.keys()))
+      .not('contacts.last_contacted_at', 'is', null);
+
+    if (contactedError) {
+      throw new Error(`Failed to load contacted festivals: ${contactedError.message}`);
+    }
+    for (const link of contacted || []) {
+      candidates.delete(link.festival_id);
+    }
+
+    return candidates;
+  }
+}
+
+// Singleton instance
+let storeInstance: TaskStore | null = null;
+
+export function getTaskStore(): TaskStore {
+  if (!storeInstance) {
+    storeInstance = new TaskStore();
+  }
+  return storeInstance;
+}
+
+export { TaskStore };
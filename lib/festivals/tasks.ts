@@ -0,0 +1,264 @@
+/**
+ * Festival Tasks
+ *
+ * Follow-up tasks for a festival: what to do (call, email, send an offer, ...), when and
+ * by whom. Tasks are added by hand or created by task rules, when a festival enters a
+ * stage or when a festival nobody contacted yet starts soon. An open task past its due
+ * date is overdue.
+ *
+ * Client-safe: no server imports.
+ */
+
+export const TASK_TYPES = ['call', 'email', 'send_offer', 'meeting', 'other'] as const;
+
+export type TaskType = typeof TASK_TYPES[number];
+
+export const TASK_TYPE_LABELS: Record<TaskType, string> = {
+  call: 'Call',
+  email: 'Email',
+  send_offer: 'Send offer',
+  meeting: 'Meeting',
+  other: 'Other',
+};
+
+export const TASK_STATUSES = ['open', 'done', 'dismissed'] as const;
+
+export type TaskStatus = typeof TASK_STATUSES[number];
+
+export const TASK_STATUS_LABELS: Record<TaskStatus, string> = {
+  open: 'Open',
+  done: 'Done',
+  dismissed: 'Dismissed',
+};
+
+export const TASK_RULE_TRIGGERS = ['stage_entered', 'starts_soon_without_contact'] as const;
+
+export type TaskRuleTrigger = typeof TASK_RULE_TRIGGERS[number];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_RULE_DAYS = 365;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface FestivalTask {
+  id: string;
+  festival_id: string;
+  title: string;
+  task_type: TaskType;
+  // YYYY-MM-DD
+  due_date: string;
+  assignee_id: string | null;
+  notes: string | null;
+  status: TaskStatus;
+  completed_at: string | null;
+  rule_id: string | null;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  // Joined for lists across festivals
+  festival?: {
+    id: string;
+    name: string;
+    start_date: string | null;
+    location: string | null;
+  };
+}
+
+export interface TaskRule {
+  id: string;
+  name: string;
+  trigger_type: TaskRuleTrigger;
+  // The stage a stage_entered rule reacts to
+  stage_key: string | null;
+  // stage_entered: due this many days after entering the stage;
+  // starts_soon_without_contact: when the festival starts within this many days
+  days: number;
+  task_type: TaskType;
+  title: string;
+  enabled: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export type TaskUpdate = Partial<Pick<FestivalTask, 'title' | 'task_type' | 'due_date' | 'assignee_id' | 'notes' | 'status'>>;
+
+export type TaskInput = Pick<FestivalTask, 'title' | 'task_type' | 'due_date'> & Partial<Pick<FestivalTask, 'assignee_id' | 'notes'>>;
+
+export type TaskRuleUpdate = Partial<Pick<TaskRule, 'enabled' | 'days' | 'task_type' | 'title'>>;
+
+// Overdue open tasks of one festival, for the badges on festival rows and cards
+export interface OverdueTaskSummary {
+  festival_id: string;
+  count: number;
+  // The longest overdue task
+  oldest_due_date: string;
+  title: string;
+}
+
+export function isTaskType(value: unknown): value is TaskType {
+  return typeof value === 'string' && (TASK_TYPES as readonly string[]).includes(value);
+}
+
+export function isTaskStatus(value: unknown): value is TaskStatus {
+  return typeof value === 'string' && (TASK_STATUSES as readonly string[]).includes(value);
+}
+
+/**
+ * A date as YYYY-MM-DD in local time, the format of due dates
+ */
+export function toDateKey(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The YYYY-MM-DD date `days` after another one
+ */
+export function addDaysToDateKey(dateKey: string, days: number): string {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+}
+
+function isDateKey(value: unknown): value is string {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * An open task whose due date has passed
+ */
+export function isTaskOverdue(task: Pick<FestivalTask, 'status' | 'due_date'>, today = toDateKey(new Date())): boolean {
+  return task.status === 'open' && task.due_date < today;
+}
+
+/**
+ * Whole days a task is past its due date; 0 when it is not overdue
+ */
+export function daysOverdue(dueDate: string, today = toDateKey(new Date())): number {
+  const [dueYear, dueMonth, dueDay] = dueDate.split('-').map(Number);
+  const [year, month, day] = today.split('-').map(Number);
+  const days = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(dueYear, dueMonth - 1, dueDay)) / (24 * 60 * 60 * 1000));
+  return Math.max(0, days);
+}
+
+/**
+ * Check changes to a task; throws with a message for the user when one is invalid.
+ * Only the fields present are checked and returned.
+ */
+export function normalizeTaskUpdate(input: unknown): TaskUpdate {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+  const update: TaskUpdate = {};
+
+  if (raw.title !== undefined) {
+    const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+    if (!title) {
+      throw new Error('A task needs a title');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`The title can be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    update.title = title;
+  }
+
+  if (raw.task_type !== undefined) {
+    if (!isTaskType(raw.task_type)) {
+      throw new Error(`Type must be one of: ${TASK_TYPES.join(', ')}`);
+    }
+    update.task_type = raw.task_type;
+  }
+
+  if (raw.due_date !== undefined) {
+    if (!isDateKey(raw.due_date)) {
+      throw new Error('due_date must be a date like 2026-05-31');
+    }
+    update.due_date = raw.due_date;
+  }
+
+  if (raw.assignee_id !== undefined) {
+    if (raw.assignee_id !== null && (typeof raw.assignee_id !== 'string' || !raw.assignee_id.trim())) {
+      throw new Error('assignee_id must be a user id');
+    }
+    update.assignee_id = raw.assignee_id as string | null;
+  }
+
+  if (raw.notes !== undefined) {
+    if (raw.notes !== null && typeof raw.notes !== 'string') {
+      throw new Error('Notes must be text');
+    }
+    const notes = typeof raw.notes === 'string' ? raw.notes.trim() : '';
+    if (notes.length > MAX_NOTES_LENGTH) {
+      throw new Error(`Notes can be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    update.notes = notes || null;
+  }
+
+  if (raw.status !== undefined) {
+    if (!isTaskStatus(raw.status)) {
+      throw new Error(`Status must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+    update.status = raw.status;
+  }
+
+  return update;
+}
+
+/**
+ * Check a new task; throws with a message for the user when it is invalid
+ */
+export function normalizeTaskInput(input: unknown): TaskInput {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+  if (raw.title === undefined) {
+    throw new Error('A task needs a title');
+  }
+  if (raw.due_date === undefined) {
+    throw new Error('A task needs a due date');
+  }
+
+  // New tasks are always open
+  const update = normalizeTaskUpdate({ ...raw, task_type: raw.task_type ?? 'other', status: undefined });
+  return update as TaskInput;
+}
+
+/**
+ * Check changes to a task rule; throws with a message for the user when one is invalid
+ */
+export function normalizeTaskRuleUpdate(input: unknown): TaskRuleUpdate {
+  const raw = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+  const update: TaskRuleUpdate = {};
+
+  if (raw.enabled !== undefined) {
+    if (typeof raw.enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    update.enabled = raw.enabled;
+  }
+
+  if (raw.days !== undefined) {
+    if (!Number.isInteger(raw.days) || (raw.days as number) < 0 || (raw.days as number) > MAX_RULE_DAYS) {
+      throw new Error(`Days must be a whole number from 0 to ${MAX_RULE_DAYS}`);
+    }
+    update.days = raw.days as number;
+  }
+
+  const { title, task_type } = normalizeTaskUpdate({ title: raw.title, task_type: raw.task_type });
+  if (title !== undefined) update.title = title;
+  if (task_type !== undefined) update.task_type = task_type;
+
+  return update;
+}
+
+/**
+ * What a rule does, in words: "Follow up (email) 7 days after entering Outreach"
+ */
+export function describeTaskRule(rule: Pick<TaskRule, 'trigger_type' | 'stage_key' | 'days' | 'task_type' | 'title'>, stageName?: string): string {
+  const task = `${rule.title} (${TASK_TYPE_LABELS[rule.task_type].toLowerCase()})`;
+  const days = `${rule.days} ${rule.days === 1 ? 'day' : 'days'}`;
+  if (rule.trigger_type === 'stage_entered') {
+    return rule.days === 0
+      ? `${task} on entering ${stageName || rule.stage_key}`
+      : `${task} ${days} after entering ${stageName || rule.stage_key}`;
+  }
+  return `${task} when a favorited festival nobody contacted starts within ${days}`;
+}
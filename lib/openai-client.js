@@ -4,6 +4,8 @@
  */
 
 import OpenAI from 'openai';
+import { recordUsage } from './research/usage-ledger';
+import { withFixture, isFixtureReplay } from './research/provider-fixtures';
 
 // Lazy initialization to avoid build-time errors when OPENAI_API_KEY is not set
 let _openai = null;
@@ -102,7 +104,8 @@ IMPORTANT FORMATTING INSTRUCTIONS:
  * @returns {Promise<string>} - Markdown formatted research results
  */
 export async function generateFestivalResearch(festivalData, customPrompt = null) {
-  const openai = getOpenAIClient();
+  // Replayed responses don't need an API key
+  const openai = isFixtureReplay() ? null : getOpenAIClient();
   
   try {
     // Convert string input to object if needed
@@ -127,7 +130,7 @@ export async function generateFestivalResearch(festivalData, customPrompt = null
     console.log(`Generating research for festival: ${festivalInfo.name}`);
     
     // Call OpenAI API with GPT-4o model
-    const response = await openai.chat.completions.create({
+    const request = {
       model: 'gpt-4o', // Using GPT-4o as specified in the plan
       messages: [
         {
@@ -141,6 +144,17 @@ export async function generateFestivalResearch(festivalData, customPrompt = null
       ],
       temperature: 0.7, // Slightly creative but mostly factual
       max_tokens: 2000, // Generous token limit for comprehensive research
+    };
+
+    const response = await withFixture('openai', request.model, request, async () => {
+      const liveResponse = await openai.chat.completions.create(request);
+      await recordUsage({
+        provider: 'openai',
+        operation: request.model,
+        inputTokens: liveResponse.usage?.prompt_tokens ?? 0,
+        outputTokens: liveResponse.usage?.completion_tokens ?? 0
+      });
+      return liveResponse;
     });
     
     // Extract and return the research content
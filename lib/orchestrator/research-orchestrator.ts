@@ -11,6 +11,7 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { z } from 'zod';
+import { isFixtureReplay, withFixture } from '../research/provider-fixtures';
 import {
   type ResearchQuery,
   type ResearchResult,
@@ -59,13 +60,14 @@ Always provide structured findings that can be imported into a database.
 For LinkedIn profiles, ensure URLs are properly formatted and validated.`;
 
 export class ResearchOrchestrator {
-  private client: Anthropic;
+  // null when responses are replayed from fixtures
+  private client: Anthropic | null;
   private config: OrchestratorConfig;
   private eventHandlers: ((event: OrchestratorEvent) => void)[] = [];
 
   constructor(config: Partial<OrchestratorConfig> = {}) {
     // Initialize Anthropic client - uses ANTHROPIC_API_KEY env var automatically
-    this.client = new Anthropic();
+    this.client = isFixtureReplay() ? null : new Anthropic();
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
 
@@ -194,14 +196,17 @@ export class ResearchOrchestrator {
       while (iteration < this.config.maxIterations) {
         iteration++;
         
-        const response = await this.client.messages.create({
+        const request: Anthropic.Messages.MessageCreateParamsNonStreaming = {
           model: this.config.model,
           max_tokens: this.config.maxTokens,
           temperature: this.config.temperature,
           system: RESEARCH_SYSTEM_PROMPT,
           tools: this.getAnthropicTools(),
           messages,
-        });
+        };
+        const response = await withFixture('claude', request.model, request, () =>
+          this.client!.messages.create(request)
+        );
 
         // Process response content
         for (const block of response.content) {
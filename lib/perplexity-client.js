@@ -3,6 +3,9 @@
  * Used as a secondary AI service for festival research
  */
 
+import { recordUsage } from './research/usage-ledger';
+import { withFixture } from './research/provider-fixtures';
+
 // Perplexity API configuration
 const PERPLEXITY_CONFIG = {
   apiKey: 'YOUR_PERPLEXITY_API_KEY',
@@ -83,12 +86,22 @@ IMPORTANT FORMATTING INSTRUCTIONS:
 `;
 
 /**
- * Make a request to Perplexity API with retry logic
+ * Make a request to Perplexity API, recorded or replayed in fixture mode
  * 
  * @param {Object} payload - The request payload
  * @returns {Promise<Object>} - The API response
  */
 async function makePerplexityRequest(payload) {
+  return withFixture('perplexity', payload.model, payload, () => makeLivePerplexityRequest(payload));
+}
+
+/**
+ * Make a request to Perplexity API with retry logic
+ * 
+ * @param {Object} payload - The request payload
+ * @returns {Promise<Object>} - The API response
+ */
+async function makeLivePerplexityRequest(payload) {
   let lastError;
   
   for (let attempt = 1; attempt <= PERPLEXITY_CONFIG.maxRetries; attempt++) {
@@ -116,6 +129,12 @@ async function makePerplexityRequest(payload) {
       }
       
       const data = await response.json();
+      await recordUsage({
+        provider: 'perplexity',
+        operation: payload.model,
+        inputTokens: data.usage?.prompt_tokens ?? 0,
+        outputTokens: data.usage?.completion_tokens ?? 0
+      });
       return data;
     } catch (error) {
       lastError = error;
@@ -10,6 +10,8 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { z } from 'zod';
+import { recordUsage } from './usage-ledger';
+import { isFixtureReplay, withFixture } from './provider-fixtures';
 
 // Validation result schemas
 const CompanyValidationSchema = z.object({
@@ -38,9 +40,21 @@ const ContentValidationSchema = z.object({
   reasoning: z.string(),
 });
 
+const RetryStrategySchema = z.object({
+  operation: z.string(),
+  suggestion: z.string(),
+  alternativeName: z.string().nullable().optional(),
+  queries: z.array(z.string()).nullable().optional(),
+  // An actor we don't know should not throw away the whole strategy
+  actor: z.enum(['google-search', 'rag-web-browser']).nullable().optional().catch(null),
+});
+
 export type CompanyValidation = z.infer<typeof CompanyValidationSchema>;
 export type PersonValidation = z.infer<typeof PersonValidationSchema>;
 export type ContentValidation = z.infer<typeof ContentValidationSchema>;
+export type RetryStrategy = z.infer<typeof RetryStrategySchema>;
+
+const CLAUDE_MODEL = 'claude-sonnet-4-20250514';
 
 interface AIValidationOptions {
   maxTokens?: number;
@@ -66,7 +80,7 @@ class AIValidationService {
   }
 
   isAvailable(): boolean {
-    return this.isConfigured;
+    return this.isConfigured || isFixtureReplay();
   }
 
   /**
@@ -77,19 +91,31 @@ class AIValidationService {
     userPrompt: string,
     options: AIValidationOptions = {}
   ): Promise<string | null> {
-    if (!this.client) return null;
+    const client = this.client;
+    if (!client && !isFixtureReplay()) return null;
+
+    const request: Anthropic.Messages.MessageCreateParamsNonStreaming = {
+      model: CLAUDE_MODEL,
+      max_tokens: options.maxTokens ?? 1024,
+      temperature: options.temperature ?? 0.1,
+      messages: [
+        {
+          role: 'user',
+          content: `${systemPrompt}\n\n${userPrompt}`,
+        },
+      ],
+    };
 
     try {
-      const response = await this.client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: options.maxTokens ?? 1024,
-        temperature: options.temperature ?? 0.1,
-        messages: [
-          {
-            role: 'user',
-            content: `${systemPrompt}\n\n${userPrompt}`,
-          },
-        ],
+      const response = await withFixture('claude', CLAUDE_MODEL, request, async () => {
+        const liveResponse = await client!.messages.create(request);
+        await recordUsage({
+          provider: 'claude',
+          operation: CLAUDE_MODEL,
+          inputTokens: liveResponse.usage?.input_tokens ?? 0,
+          outputTokens: liveResponse.usage?.output_tokens ?? 0,
+        });
+        return liveResponse;
       });
 
       const textBlock = response.content.find(block => block.type === 'text');
@@ -139,7 +165,7 @@ class AIValidationService {
       reasoning: 'AI validation unavailable',
     };
 
-    if (!this.client || !extractedCompany) return defaultResult;
+    if (!this.isAvailable() || !extractedCompany) return defaultResult;
 
     const systemPrompt = `You are an expert at validating company information for Dutch festivals.
 Your task is to validate if an extracted company name is legitimate and actually organizes the given festival.
@@ -187,7 +213,7 @@ Validate this company extraction. Consider:
       reasoning: 'AI validation unavailable',
     };
 
-    if (!this.client) return defaultResult;
+    if (!this.isAvailable()) return defaultResult;
 
     const systemPrompt = `You are an expert at identifying key people involved in festival organization.
 Determine if a LinkedIn profile is relevant to the festival and likely to be a decision-maker.
@@ -235,7 +261,7 @@ Evaluate if this person is:
       reasoning: 'AI validation unavailable',
     };
 
-    if (!this.client || !content) return defaultResult;
+    if (!this.isAvailable() || !content) return defaultResult;
 
     const systemPrompt = `You are an expert at analyzing content about music festivals.
 Evaluate if content is relevant, extract key information, and assess quality.
@@ -284,7 +310,7 @@ Analyze this content for:
       reasoning: 'Unable to calculate confidence',
     };
 
-    if (!this.client) {
+    if (!this.isAvailable()) {
       // Calculate basic score without AI
       let score = 0;
       if (researchResults.companyFound) score += 0.3;
@@ -335,7 +361,10 @@ Generate a confidence score considering:
   }
 
   /**
-   * Suggest retry strategies based on current results
+   * Suggest retry strategies based on current results.
+   * Operations are the weak result groups (company, linkedin, news, calendar);
+   * each strategy may carry an alternative name spelling, replacement search
+   * queries or a different search actor that the orchestrator will apply.
    */
   async suggestRetryStrategy(
     festivalName: string,
@@ -343,7 +372,7 @@ Generate a confidence score considering:
     failedOperations: string[]
   ): Promise<{
     shouldRetry: boolean;
-    strategies: Array<{ operation: string; suggestion: string }>;
+    strategies: RetryStrategy[];
     alternativeApproaches: string[];
   }> {
     const defaultResult = {
@@ -355,15 +384,26 @@ Generate a confidence score considering:
       alternativeApproaches: [],
     };
 
-    if (!this.client) return defaultResult;
+    if (!this.isAvailable()) return defaultResult;
 
     const systemPrompt = `You are a research strategy advisor for festival data collection.
-Based on current results and failures, suggest retry strategies and alternatives.
+Based on current results and failures, suggest concrete retry strategies that will be executed automatically.
+
+Operations that can be retried:
+- "company": find the festival website and its organizing company
+- "linkedin": find the company LinkedIn page and people working for the organizer
+- "news": find recent news articles about the festival
+- "calendar": check Dutch festival calendars (Festivalinfo, Partyflock, EB Live, Festileaks, Follow the Beat)
+
+For each strategy you may provide:
+- "alternativeName": a different spelling of the festival name (e.g. without "Festival", with/without year, Dutch vs English spelling)
+- "queries": replacement Google search queries for that operation
+- "actor": "google-search" or "rag-web-browser" to switch the search backend
 
 Response format (JSON only):
 {
   "shouldRetry": boolean,
-  "strategies": [{"operation": string, "suggestion": string}],
+  "strategies": [{"operation": string, "suggestion": string, "alternativeName": string or null, "queries": string[], "actor": "google-search" | "rag-web-browser" | null}],
   "alternativeApproaches": string[]
 }`;
 
@@ -371,20 +411,17 @@ Response format (JSON only):
 
 Current Results: ${JSON.stringify(currentResults, null, 2)}
 
-Failed Operations: ${failedOperations.join(', ')}
+Weak or Failed Operations: ${failedOperations.join(', ')}
 
 Suggest:
-1. Should we retry failed operations? If so, how?
-2. What alternative approaches could yield better results?
-3. Are there different search terms or strategies to try?`;
+1. Should we retry these operations? If so, how?
+2. Which alternative name spellings, search queries or search backend should each retry use?
+3. Do not repeat strategies from previous attempts that did not improve the results.`;
 
     const response = await this.callClaude(systemPrompt, userPrompt);
     const parsed = this.parseJsonResponse(response, z.object({
       shouldRetry: z.boolean(),
-      strategies: z.array(z.object({
-        operation: z.string(),
-        suggestion: z.string(),
-      })),
+      strategies: z.array(RetryStrategySchema),
       alternativeApproaches: z.array(z.string()),
     }));
 
@@ -0,0 +1,60 @@
+/**
+ * Bulk Research
+ *
+ * Provider metadata and cost estimates for launching research on many
+ * festivals at once. Shared by the bulk research API and the launcher UI,
+ * so this module must stay free of server-only imports.
+ */
+
+export type BulkResearchProvider = 'exa' | 'perplexity' | 'openai' | 'orchestrated';
+
+export interface BulkResearchProviderInfo {
+  id: BulkResearchProvider;
+  label: string;
+  description: string;
+  // Rough API spend per festival in USD
+  estimatedCostPerFestival: number;
+}
+
+export const BULK_RESEARCH_PROVIDERS: BulkResearchProviderInfo[] = [
+  {
+    id: 'exa',
+    label: 'Exa',
+    description: 'Neural web search across ~10 queries per festival',
+    estimatedCostPerFestival: 0.06,
+  },
+  {
+    id: 'perplexity',
+    label: 'Perplexity',
+    description: 'Single sonar-pro research report',
+    estimatedCostPerFestival: 0.04,
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    description: 'GPT-4o research report from model knowledge',
+    estimatedCostPerFestival: 0.03,
+  },
+  {
+    id: 'orchestrated',
+    label: 'Orchestrated',
+    description: 'Apify + Claude: website, company, LinkedIn, news and calendars',
+    estimatedCostPerFestival: 0.35,
+  },
+];
+
+// Upper bound for a single bulk request
+export const MAX_BULK_RESEARCH_FESTIVALS = 200;
+
+export function isBulkResearchProvider(value: unknown): value is BulkResearchProvider {
+  return BULK_RESEARCH_PROVIDERS.some(provider => provider.id === value);
+}
+
+/**
+ * Estimated total cost in USD for researching `count` festivals
+ */
+export function estimateBulkResearchCost(provider: BulkResearchProvider, count: number): number {
+  const info = BULK_RESEARCH_PROVIDERS.find(p => p.id === provider);
+  if (!info) return 0;
+  return Math.round(info.estimatedCostPerFestival * count * 100) / 100;
+}
@@ -0,0 +1,133 @@
+/**
+ * Research Checkpoint Store
+ *
+ * Persists orchestrator state to the `research_checkpoints` table so that a
+ * research run interrupted by a serverless timeout can be resumed:
+ * - One checkpoint row per festival (upserted on every phase transition)
+ * - Tracks which phases have completed
+ * - Failures are logged, never thrown, so research keeps running without a DB
+ */
+
+import { supabase } from '../supabase-client';
+import type { ResearchPhase, ResearchState } from './self-healing-orchestrator';
+
+export type CheckpointStatus = 'running' | 'completed' | 'failed';
+
+export interface ResearchCheckpoint {
+  festivalId: string;
+  phase: ResearchPhase;
+  completedPhases: string[];
+  status: CheckpointStatus;
+  state: ResearchState;
+  startedAt: string;
+  updatedAt: string;
+}
+
+const TABLE = 'research_checkpoints';
+
+// Checkpoints older than this are treated as abandoned and not resumed
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+class ResearchCheckpointStore {
+  /**
+   * Save (upsert) the checkpoint for a festival
+   */
+  async save(state: ResearchState, status: CheckpointStatus = 'running'): Promise<boolean> {
+    try {
+      const { error } = await supabase
+        .from(TABLE)
+        .upsert({
+          festival_id: state.festivalId,
+          phase: state.phase,
+          completed_phases: state.completedPhases,
+          status,
+          state,
+          started_at: state.startedAt,
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'festival_id' });
+
+      if (error) {
+        console.warn('[Checkpoint] Failed to save checkpoint:', error.message);
+        return false;
+      }
+      return true;
+    } catch (error: any) {
+      console.warn('[Checkpoint] Save error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load the checkpoint for a festival, if any
+   */
+  async load(festivalId: string): Promise<ResearchCheckpoint | null> {
+    try {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('festival_id', festivalId)
+        .maybeSingle();
+
+      if (error) {
+        console.warn('[Checkpoint] Failed to load checkpoint:', error.message);
+        return null;
+      }
+      if (!data) return null;
+
+      return {
+        festivalId: data.festival_id,
+        phase: data.phase,
+        completedPhases: data.completed_phases || [],
+        status: data.status,
+        state: data.state,
+        startedAt: data.started_at,
+        updatedAt: data.updated_at,
+      };
+    } catch (error: any) {
+      console.warn('[Checkpoint] Load error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load a checkpoint only if it belongs to an unfinished, recent run
+   */
+  async loadResumable(
+    festivalId: string,
+    maxAgeMs: number = DEFAULT_MAX_AGE_MS
+  ): Promise<ResearchCheckpoint | null> {
+    const checkpoint = await this.load(festivalId);
+    if (!checkpoint || checkpoint.status === 'completed') return null;
+
+    const age = Date.now() - new Date(checkpoint.updatedAt).getTime();
+    if (age > maxAgeMs) {
+      console.log(`[Checkpoint] Ignoring stale checkpoint for ${festivalId} (${Math.round(age / 60000)} min old)`);
+      return null;
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Remove the checkpoint for a festival
+   */
+  async clear(festivalId: string): Promise<void> {
+    try {
+      await supabase.from(TABLE).delete().eq('festival_id', festivalId);
+    } catch (error: any) {
+      console.warn('[Checkpoint] Clear error:', error.message);
+    }
+  }
+}
+
+// Singleton instance
+let storeInstance: ResearchCheckpointStore | null = null;
+
+export function getCheckpointStore(): ResearchCheckpointStore {
+  if (!storeInstance) {
+    storeInstance = new ResearchCheckpointStore();
+  }
+  return storeInstance;
+}
+
+export { ResearchCheckpointStore };
@@ -19,6 +19,7 @@ export {
   type CompanyValidation,
   type PersonValidation,
   type ContentValidation,
+  type RetryStrategy,
 } from './ai-validation-service';
 
 export {
@@ -27,10 +28,126 @@ export {
   ResearchPhase,
   type ResearchState,
   type OrchestratorOptions,
+  type RetryablePhase,
+  type RetryAttempt,
   type LinkedInConnection,
   type EmploymentVerification,
 } from './self-healing-orchestrator';
 
+export {
+  getCheckpointStore,
+  ResearchCheckpointStore,
+  type ResearchCheckpoint,
+  type CheckpointStatus,
+} from './checkpoint-store';
+
+export {
+  getResearchJobQueue,
+  ResearchJobQueue,
+  LeaseLostError,
+  getBackoffMs,
+  PROVIDER_CONCURRENCY,
+  LEASE_SECONDS,
+  type ResearchJob,
+  type ResearchJobWithFestival,
+  type ResearchJobStatus,
+  type ResearchJobProvider,
+} from './job-queue';
+
+export {
+  saveResearchResult,
+  buildResearchUpdatePayload,
+} from './save-research';
+
+export {
+  getResearchVersionStore,
+  ResearchVersionStore,
+  type RecordVersionInput,
+} from './version-store';
+
+export {
+  extractVersionFacts,
+  diffResearchVersions,
+  hasVersionChanges,
+  type ResearchVersion,
+  type ResearchVersionSummary,
+  type ResearchVersionDiff,
+  type ResearchVersionFacts,
+  type ResearchContact,
+  type ResearchNewsItem,
+} from './research-versions';
+
+export {
+  BULK_RESEARCH_PROVIDERS,
+  MAX_BULK_RESEARCH_FESTIVALS,
+  isBulkResearchProvider,
+  estimateBulkResearchCost,
+  type BulkResearchProvider,
+  type BulkResearchProviderInfo,
+} from './bulk-research';
+
+export {
+  withFixture,
+  getFixtureMode,
+  isFixtureReplay,
+  getFixtureDir,
+  getFixturePath,
+  getMissingFixtures,
+  resetMissingFixtures,
+  FixtureMissingError,
+  type FixtureMode,
+  type FixtureProvider,
+  type ProviderFixture,
+} from './provider-fixtures';
+
+export {
+  getUsageLedger,
+  recordUsage,
+  runWithUsageContext,
+  getUsageContext,
+  UsageLedger,
+  type UsageContext,
+  type ResearchProviderDecision,
+} from './usage-ledger';
+
+export {
+  USAGE_PROVIDERS,
+  RESEARCH_PROVIDER_USAGE,
+  APIFY_COMPUTE_UNIT_USD,
+  estimateUsageCost,
+  getBudgetPeriodStart,
+  formatUsd,
+  type UsageProvider,
+  type UsageEntry,
+  type BudgetAction,
+  type BudgetStatus,
+  type ProviderBudget,
+  type ProviderUsageSummary,
+  type FestivalUsageSummary,
+} from './research-usage';
+
+export {
+  getFestivalsDueForVerification,
+  reverifyFestival,
+  detectVerificationFlags,
+  getVerificationMaxAgeDays,
+  VERIFICATION_FLAGS,
+  DEFAULT_VERIFICATION_MAX_AGE_DAYS,
+  type VerificationFlag,
+  type FestivalDueForVerification,
+  type ReverificationOutcome,
+} from './reverification';
+
+export {
+  registerResearchPhase,
+  unregisterResearchPhase,
+  getRegisteredPhases,
+  resolvePhaseOrder,
+  type ResearchPhaseDefinition,
+  type PhaseContext,
+  type WebSearchResult,
+} from './phase-registry';
+
 export {
   verifyEmployment,
   determineRole,
@@ -0,0 +1,252 @@
+/**
+ * Research Job Queue
+ *
+ * Durable queue for background research on top of the `research_jobs` table:
+ * - Jobs are enqueued by a trigger when a pending `festival_research` row is created
+ * - Workers claim jobs with a lease through the `claim_research_jobs` RPC, which
+ *   uses SKIP LOCKED so overlapping cron runs never process the same job
+ * - Each provider has its own concurrency limit
+ * - Failed jobs are retried with exponential backoff until max_attempts,
+ *   after which they are marked 'dead' (failed permanently)
+ */
+
+import { supabase } from '../supabase-client';
+
+export type ResearchJobStatus = 'queued' | 'running' | 'completed' | 'dead';
+export type ResearchJobProvider = 'exa' | 'perplexity' | 'openai' | 'orchestrated';
+
+export interface ResearchJob {
+  id: string;
+  research_id: string;
+  festival_id: string;
+  provider: ResearchJobProvider;
+  status: ResearchJobStatus;
+  attempts: number;
+  max_attempts: number;
+  run_at: string;
+  locked_by: string | null;
+  lease_expires_at: string | null;
+  last_error: string | null;
+  created_at: string;
+  updated_at: string;
+  completed_at: string | null;
+}
+
+/**
+ * The worker's lease expired and another run claimed the job
+ */
+export class LeaseLostError extends Error {
+  constructor(jobId: string) {
+    super(`Lease on research job ${jobId} was lost`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+export interface ResearchJobWithFestival extends ResearchJob {
+  festivals?: { name: string } | null;
+}
+
+const TABLE = 'research_jobs';
+
+// Maximum number of jobs running at the same time per provider
+export const PROVIDER_CONCURRENCY: Record<ResearchJobProvider, number> = {
+  exa: 3,
+  perplexity: 2,
+  openai: 2,
+  orchestrated: 1,
+};
+
+// Any job can run for the cron's whole maxDuration (300s) while a new cron run starts
+// every 2 minutes, so the lease has to outlast the invocation that claimed it
+export const LEASE_SECONDS = 360;
+
+const BASE_BACKOFF_MS = 60 * 1000; // 1 minute
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * Delay before the next attempt: 1m, 2m, 4m, 8m, ... capped at 6h
+ */
+export function getBackoffMs(attempts: number): number {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+}
+
+class ResearchJobQueue {
+  /**
+   * Claim due jobs for a provider, up to its free concurrency slots
+   */
+  async claim(provider: ResearchJobProvider, workerId: string): Promise<ResearchJob[]> {
+    const { data, error } = await supabase.rpc('claim_research_jobs', {
+      p_provider: provider,
+      p_worker: workerId,
+      p_max_concurrency: PROVIDER_CONCURRENCY[provider],
+      p_lease_seconds: LEASE_SECONDS,
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim ${provider} research jobs: ${error.message}`);
+    }
+    return (data || []) as ResearchJob[];
+  }
+
+  /**
+   * Renew the lease before writing results, so the job cannot be claimed again
+   * while they are saved. Throws LeaseLostError when the worker no longer holds it.
+   */
+  async extendLease(job: ResearchJob): Promise<void> {
+    const now = Date.now();
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        lease_expires_at: new Date(now + LEASE_SECONDS * 1000).toISOString(),
+        updated_at: new Date(now).toISOString(),
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', job.locked_by)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to extend job lease: ${error.message}`);
+    }
+    if (!data || data.length === 0) {
+      throw new LeaseLostError(job.id);
+    }
+  }
+
+  /**
+   * Mark a job as completed. Only the worker holding the lease can complete it.
+   * Returns false when the lease was lost.
+   */
+  async complete(job: ResearchJob): Promise<boolean> {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        status: 'completed',
+        locked_by: null,
+        lease_expires_at: null,
+        last_error: null,
+        completed_at: now,
+        updated_at: now,
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', job.locked_by)
+      .select('id');
+
+    if (error) {
+      console.warn('[JobQueue] Failed to complete job:', error.message);
+      return false;
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Record a failed attempt. Schedules a retry with backoff, or marks the job
+   * dead once it has used all its attempts. Only the worker holding the lease can do so.
+   * Returns the status the job ended up in, or null when the lease was lost or the
+   * failure could not be recorded.
+   */
+  async fail(job: ResearchJob, message: string): Promise<ResearchJobStatus | null> {
+    const now = Date.now();
+    const exhausted = job.attempts >= job.max_attempts;
+    const status: ResearchJobStatus = exhausted ? 'dead' : 'queued';
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        status,
+        locked_by: null,
+        lease_expires_at: null,
+        last_error: message,
+        run_at: exhausted ? job.run_at : new Date(now + getBackoffMs(job.attempts)).toISOString(),
+        updated_at: new Date(now).toISOString(),
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', job.locked_by)
+      .select('id');
+
+    if (error) {
+      console.warn('[JobQueue] Failed to record job failure:', error.message);
+      return null;
+    }
+    return (data || []).length > 0 ? status : null;
+  }
+
+  /**
+   * Put a dead or queued job back at the front of the queue with fresh attempts
+   */
+  async retry(jobId: string): Promise<ResearchJob | null> {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        status: 'queued',
+        attempts: 0,
+        run_at: now,
+        locked_by: null,
+        lease_expires_at: null,
+        updated_at: now,
+      })
+      .eq('id', jobId)
+      .in('status', ['queued', 'dead'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to retry job: ${error.message}`);
+    }
+    return data as ResearchJob | null;
+  }
+
+  /**
+   * List jobs for the admin view, newest activity first
+   */
+  async list(status?: ResearchJobStatus, limit: number = 100): Promise<ResearchJobWithFestival[]> {
+    let query = supabase
+      .from(TABLE)
+      .select('*, festivals(name)')
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to list research jobs: ${error.message}`);
+    }
+    return (data || []) as ResearchJobWithFestival[];
+  }
+
+  /**
+   * Number of jobs per status
+   */
+  async counts(): Promise<Record<ResearchJobStatus, number>> {
+    const statuses: ResearchJobStatus[] = ['queued', 'running', 'completed', 'dead'];
+    const results = await Promise.all(
+      statuses.map(status =>
+        supabase.from(TABLE).select('id', { count: 'exact', head: true }).eq('status', status)
+      )
+    );
+
+    return statuses.reduce((counts, status, i) => {
+      counts[status] = results[i].count || 0;
+      return counts;
+    }, {} as Record<ResearchJobStatus, number>);
+  }
+}
+
+// Singleton instance
+let queueInstance: ResearchJobQueue | null = null;
+
+export function getResearchJobQueue(): ResearchJobQueue {
+  if (!queueInstance) {
+    queueInstance = new ResearchJobQueue();
+  }
+  return queueInstance;
+}
+
+export { ResearchJobQueue };
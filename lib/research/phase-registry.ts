@@ -0,0 +1,115 @@
+/**
+ * Research Phase Registry
+ *
+ * Declarative definitions for the phases of the self-healing orchestrator:
+ * - Each phase declares its inputs, outputs, dependencies and confidence contribution
+ * - Extra phases (ticketing lookup, social media, ...) can be registered without
+ *   touching the orchestrator class
+ * - The orchestrator resolves the dependency graph and runs independent phases in parallel
+ */
+
+import type { ResilientApifyClient } from './resilient-apify-client';
+import type { AIValidationService } from './ai-validation-service';
+import type { OrchestratorOptions, ResearchState, RetryablePhase } from './self-healing-orchestrator';
+import type { ResearchFinding } from '../types/research-events';
+
+export interface WebSearchResult {
+  url: string;
+  title: string;
+  snippet: string;
+}
+
+// Everything a phase needs to do its work and report results
+export interface PhaseContext {
+  state: Readonly<ResearchState>;
+  options: OrchestratorOptions;
+  apifyClient: ResilientApifyClient;
+  aiService: AIValidationService;
+  updateState: (updates: Partial<ResearchState>) => void;
+  // Store this phase's result under state.phaseResults[phaseId]
+  setResult: (data: unknown) => void;
+  recordWarning: (message: string) => void;
+  // Report a finding on the live research timeline
+  recordFinding: (finding: ResearchFinding) => void;
+  searchWeb: (query: string, resultsPerPage: number) => Promise<WebSearchResult[]>;
+}
+
+export interface ResearchPhaseDefinition {
+  id: string;
+  description: string;
+  // State fields read and written by the phase (documentation and UI only)
+  inputs: string[];
+  outputs: string[];
+  // Phases that must have settled (completed, skipped or failed) before this one starts
+  dependsOn: string[];
+  // Share of the overall confidence score; scores are normalized over enabled phases
+  confidence?: {
+    weight: number;
+    score: (state: ResearchState) => number;
+  };
+  // Result group this phase belongs to when the retry loop re-runs weak results
+  retryGroup?: RetryablePhase;
+  // Phases that are off unless explicitly enabled per request
+  enabledByDefault?: boolean;
+  // Skip the phase when its inputs are not available
+  shouldRun?: (state: ResearchState) => boolean;
+  run: (context: PhaseContext) => Promise<void>;
+}
+
+// Phases registered from outside the orchestrator
+const registeredPhases = new Map<string, ResearchPhaseDefinition>();
+
+/**
+ * Register an additional research phase. Re-registering an id replaces it.
+ */
+export function registerResearchPhase(definition: ResearchPhaseDefinition): void {
+  registeredPhases.set(definition.id, definition);
+}
+
+/**
+ * Remove a previously registered phase
+ */
+export function unregisterResearchPhase(id: string): void {
+  registeredPhases.delete(id);
+}
+
+/**
+ * Get all externally registered phases
+ */
+export function getRegisteredPhases(): ResearchPhaseDefinition[] {
+  return Array.from(registeredPhases.values());
+}
+
+/**
+ * Order phases so that every phase comes after its dependencies.
+ * Dependencies on phases that are not in the list (disabled or unknown) are ignored.
+ * Throws when the dependency graph contains a cycle.
+ */
+export function resolvePhaseOrder(phases: ResearchPhaseDefinition[]): ResearchPhaseDefinition[] {
+  const byId = new Map(phases.map(phase => [phase.id, phase]));
+  const ordered: ResearchPhaseDefinition[] = [];
+  const visiting = new Set<string>();
+  const visited = new Set<string>();
+
+  const visit = (phase: ResearchPhaseDefinition, path: string[]) => {
+    if (visited.has(phase.id)) return;
+    if (visiting.has(phase.id)) {
+      throw new Error(`Research phase dependency cycle: ${[...path, phase.id].join(' -> ')}`);
+    }
+
+    visiting.add(phase.id);
+    for (const dependencyId of phase.dependsOn) {
+      const dependency = byId.get(dependencyId);
+      if (dependency) visit(dependency, [...path, phase.id]);
+    }
+    visiting.delete(phase.id);
+    visited.add(phase.id);
+    ordered.push(phase);
+  };
+
+  for (const phase of phases) {
+    visit(phase, []);
+  }
+
+  return ordered;
+}
@@ -0,0 +1,159 @@
+/**
+ * Research Provider Fixtures
+ *
+ * Record/replay layer for the external research APIs (Apify, Exa, Perplexity,
+ * OpenAI, Claude). Set RESEARCH_FIXTURE_MODE to:
+ * - `record`: call the live API and save each successful response as a fixture file
+ * - `replay`: serve responses from fixture files only; no API keys or network needed
+ * - `off` (default): call the live API
+ *
+ * Fixtures live in RESEARCH_FIXTURE_DIR (default `data/research-fixtures`), one JSON
+ * file per request under a directory per provider. The file name is a hash of the
+ * operation and request payload, so replaying the same research hits the same files.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export type FixtureProvider = 'apify' | 'exa' | 'perplexity' | 'openai' | 'claude';
+
+export type FixtureMode = 'off' | 'record' | 'replay';
+
+export interface ProviderFixture<T = any> {
+  provider: FixtureProvider;
+  operation: string;
+  request: unknown;
+  response: T;
+  recordedAt: string;
+}
+
+const DEFAULT_FIXTURE_DIR = 'data/research-fixtures';
+
+// Fixtures replay asked for and did not find. Phases catch the error and carry on
+// with less data, so a replay check reads this instead.
+const missingFixtures = new Set<string>();
+
+/**
+ * Thrown in replay mode when no fixture was recorded for a request
+ */
+export class FixtureMissingError extends Error {
+  constructor(
+    public readonly provider: FixtureProvider,
+    public readonly operation: string,
+    public readonly fixturePath: string
+  ) {
+    super(
+      `No ${provider} fixture for ${operation} at ${fixturePath}. ` +
+      'Run the same research once with RESEARCH_FIXTURE_MODE=record to capture it.'
+    );
+    this.name = 'FixtureMissingError';
+  }
+}
+
+export function getFixtureMode(): FixtureMode {
+  const mode = (process.env.RESEARCH_FIXTURE_MODE || '').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'off';
+}
+
+/**
+ * Whether responses come from fixtures, so missing API keys are not an error
+ */
+export function isFixtureReplay(): boolean {
+  return getFixtureMode() === 'replay';
+}
+
+/**
+ * Fixture files replay mode needed but could not find since the last reset
+ */
+export function getMissingFixtures(): string[] {
+  return Array.from(missingFixtures);
+}
+
+export function resetMissingFixtures(): void {
+  missingFixtures.clear();
+}
+
+export function getFixtureDir(): string {
+  return path.resolve(process.cwd(), process.env.RESEARCH_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+}
+
+/**
+ * JSON with object keys sorted, so equal payloads hash the same
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+export function getFixturePath(provider: FixtureProvider, operation: string, request: unknown): string {
+  const hash = createHash('sha256')
+    .update(`${operation}\n${stableStringify(request)}`)
+    .digest('hex')
+    .slice(0, 24);
+  const slug = operation.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(getFixtureDir(), provider, `${slug}-${hash}.json`);
+}
+
+/**
+ * Run a provider call through the fixture layer.
+ * `live` performs the real API call; it is skipped entirely in replay mode.
+ * In record mode `shouldRecord` can keep failed calls out of the fixtures.
+ */
+export async function withFixture<T>(
+  provider: FixtureProvider,
+  operation: string,
+  request: unknown,
+  live: () => Promise<T>,
+  options: { shouldRecord?: (response: T) => boolean } = {}
+): Promise<T> {
+  const mode = getFixtureMode();
+  if (mode === 'off') {
+    return live();
+  }
+
+  const fixturePath = getFixturePath(provider, operation, request);
+
+  if (mode === 'replay') {
+    let contents: string;
+    try {
+      contents = await fs.readFile(fixturePath, 'utf8');
+    } catch {
+      missingFixtures.add(fixturePath);
+      throw new FixtureMissingError(provider, operation, fixturePath);
+    }
+    console.log(`[Fixtures] Replaying ${provider} ${operation} from ${path.basename(fixturePath)}`);
+    return (JSON.parse(contents) as ProviderFixture<T>).response;
+  }
+
+  const response = await live();
+  if (options.shouldRecord && !options.shouldRecord(response)) {
+    return response;
+  }
+
+  try {
+    const fixture: ProviderFixture<T> = {
+      provider,
+      operation,
+      request,
+      response,
+      recordedAt: new Date().toISOString(),
+    };
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`[Fixtures] Recorded ${provider} ${operation} to ${path.basename(fixturePath)}`);
+  } catch (error: any) {
+    console.warn('[Fixtures] Failed to write fixture:', error.message);
+  }
+
+  return response;
+}
@@ -0,0 +1,125 @@
+/**
+ * Research Usage
+ *
+ * Types, list prices and cost estimates for the research usage ledger. Shared by
+ * the provider clients, the ledger and the usage dashboard, so this module must
+ * stay free of server-only imports.
+ */
+
+import type { BulkResearchProvider } from './bulk-research';
+
+export type UsageProvider = 'apify' | 'exa' | 'perplexity' | 'openai' | 'claude';
+
+export const USAGE_PROVIDERS: { id: UsageProvider; label: string; unit: string }[] = [
+  { id: 'apify', label: 'Apify', unit: 'compute units' },
+  { id: 'exa', label: 'Exa', unit: 'searches' },
+  { id: 'perplexity', label: 'Perplexity', unit: 'tokens' },
+  { id: 'openai', label: 'OpenAI', unit: 'tokens' },
+  { id: 'claude', label: 'Claude', unit: 'tokens' },
+];
+
+export type BudgetAction = 'block' | 'downgrade';
+
+export interface UsageEntry {
+  provider: UsageProvider;
+  operation?: string | null;
+  festivalId?: string | null;
+  runId?: string | null;
+  requests?: number;
+  inputTokens?: number;
+  outputTokens?: number;
+  computeUnits?: number;
+  // Cost reported by the provider; estimated from list prices when missing
+  costUsd?: number | null;
+}
+
+export interface ProviderBudget {
+  provider: UsageProvider;
+  monthly_limit_usd: number;
+  on_exceeded: BudgetAction;
+  updated_at?: string;
+}
+
+export interface ProviderUsageSummary {
+  provider: UsageProvider;
+  requests: number;
+  input_tokens: number;
+  output_tokens: number;
+  compute_units: number;
+  cost_usd: number;
+}
+
+export interface FestivalUsageSummary {
+  festival_id: string;
+  festival_name: string;
+  runs: number;
+  requests: number;
+  cost_usd: number;
+  cost_by_provider: Partial<Record<UsageProvider, number>>;
+}
+
+export interface BudgetStatus {
+  provider: UsageProvider;
+  spentUsd: number;
+  limitUsd: number | null;
+  action: BudgetAction | null;
+  exceeded: boolean;
+}
+
+// USD per million tokens
+const TOKEN_PRICES: Record<string, { input: number; output: number }> = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'sonar-pro': { input: 3, output: 15 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+};
+
+// USD per request on top of tokens (Perplexity search fee) or instead of them (Exa)
+const REQUEST_PRICES: Partial<Record<UsageProvider, number>> = {
+  perplexity: 0.006,
+  exa: 0.005,
+};
+
+// Apify platform price per compute unit on the starter plan
+export const APIFY_COMPUTE_UNIT_USD = 0.4;
+
+/**
+ * Which usage providers a research provider spends on
+ */
+export const RESEARCH_PROVIDER_USAGE: Record<BulkResearchProvider, UsageProvider[]> = {
+  exa: ['exa'],
+  perplexity: ['perplexity'],
+  openai: ['openai'],
+  orchestrated: ['apify', 'claude'],
+};
+
+/**
+ * Cost of a usage entry in USD, estimated from list prices unless the provider reported it
+ */
+export function estimateUsageCost(entry: UsageEntry): number {
+  if (typeof entry.costUsd === 'number') return entry.costUsd;
+
+  const requests = entry.requests ?? 1;
+  let cost = (REQUEST_PRICES[entry.provider] ?? 0) * requests;
+
+  const prices = entry.operation ? TOKEN_PRICES[entry.operation] : undefined;
+  if (prices) {
+    cost += ((entry.inputTokens ?? 0) * prices.input + (entry.outputTokens ?? 0) * prices.output) / 1000000;
+  }
+
+  if (entry.computeUnits) {
+    cost += entry.computeUnits * APIFY_COMPUTE_UNIT_USD;
+  }
+
+  return cost;
+}
+
+/**
+ * Start of the current calendar month (UTC), the window budgets apply to
+ */
+export function getBudgetPeriodStart(now: Date = new Date()): Date {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+export function formatUsd(amount: number): string {
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 3 : 2)}`;
+}
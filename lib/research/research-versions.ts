@@ -0,0 +1,183 @@
+/**
+ * Research Versions
+ *
+ * Every completed research run is stored as an immutable row in `research_versions`.
+ * This module extracts the comparable facts of a version (contacts, organizing
+ * company, news) and diffs two versions. It has no server-only imports so the
+ * research modal can diff versions in the browser.
+ */
+
+export interface ResearchVersionSummary {
+  id: string;
+  festival_id: string;
+  provider: string;
+  quality_score: number | null;
+  confidence: number | null;
+  created_at: string;
+}
+
+export interface ResearchVersion extends ResearchVersionSummary {
+  research_id: string | null;
+  research_log: string | null;
+  research_data: Record<string, any> | null;
+}
+
+export interface ResearchContact {
+  // Email address or LinkedIn profile URL; used to match contacts across versions
+  key: string;
+  name: string;
+  detail?: string;
+  url?: string;
+}
+
+export interface ResearchNewsItem {
+  title: string;
+  url: string;
+}
+
+export interface ResearchVersionFacts {
+  organizingCompany: string | null;
+  contacts: ResearchContact[];
+  news: ResearchNewsItem[];
+}
+
+export interface ResearchVersionDiff {
+  newContacts: ResearchContact[];
+  removedContacts: ResearchContact[];
+  companyChange: { from: string | null; to: string | null } | null;
+  newNews: ResearchNewsItem[];
+  qualityChange: number | null;
+}
+
+const EMAIL_REGEX = /\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/g;
+const MARKDOWN_LINK_REGEX = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/;
+
+const normalizeUrl = (url: string) => url.trim().toLowerCase().replace(/\/+$/, '').replace(/^https?:\/\/(www\.)?/, '');
+
+const cleanValue = (value: string | undefined | null) => {
+  const cleaned = (value || '').replace(/\*\*/g, '').replace(/^\[|\]$/g, '').trim();
+  if (!cleaned || /^(unknown|n\/a|not (found|available)|-)$/i.test(cleaned)) return null;
+  return cleaned;
+};
+
+/**
+ * Facts from a markdown research report (exa, perplexity, openai)
+ */
+function extractFactsFromLog(log: string): ResearchVersionFacts {
+  const organizationMatch = log.match(/\*\*Organi[sz]ation\*\*:\s*(.+)/i);
+  const decisionMakerMatch = log.match(/\*\*Decision Maker\*\*:\s*(.+)/i);
+
+  const contacts: ResearchContact[] = [];
+  const emails = new Set((log.match(EMAIL_REGEX) || []).map(email => email.toLowerCase()));
+  emails.forEach(email => contacts.push({ key: email, name: email }));
+
+  const decisionMaker = cleanValue(decisionMakerMatch?.[1]);
+  if (decisionMaker) {
+    contacts.push({ key: `person:${decisionMaker.toLowerCase()}`, name: decisionMaker, detail: 'Decision maker' });
+  }
+
+  // Links listed under a heading that mentions news
+  const news: ResearchNewsItem[] = [];
+  let inNewsSection = false;
+  for (const line of log.split('\n')) {
+    if (/^#{1,6}\s/.test(line)) {
+      inNewsSection = /news|press/i.test(line);
+      continue;
+    }
+    if (!inNewsSection) continue;
+    const linkRegex = new RegExp(MARKDOWN_LINK_REGEX.source, 'g');
+    let match;
+    while ((match = linkRegex.exec(line)) !== null) {
+      news.push({ title: match[1], url: match[2] });
+    }
+  }
+
+  return {
+    organizingCompany: cleanValue(organizationMatch?.[1]),
+    contacts,
+    news,
+  };
+}
+
+/**
+ * Facts from orchestrated research data (festivals.research_data)
+ */
+function extractFactsFromData(data: Record<string, any>): ResearchVersionFacts {
+  const people: any[] = data.linkedin?.people || [];
+  const articles: any[] = data.news?.articles || [];
+
+  return {
+    organizingCompany: data.company?.name || null,
+    contacts: people
+      .filter(person => person?.url || person?.name)
+      .map(person => ({
+        key: person.url ? normalizeUrl(person.url) : `person:${String(person.name).toLowerCase()}`,
+        name: person.name,
+        detail: person.title,
+        url: person.url,
+      })),
+    news: articles
+      .filter(article => article?.url)
+      .map(article => ({ title: article.title || article.url, url: article.url })),
+  };
+}
+
+/**
+ * Extract the comparable facts of a research version
+ */
+export function extractVersionFacts(version: Pick<ResearchVersion, 'research_log' | 'research_data'>): ResearchVersionFacts {
+  const fromData = version.research_data ? extractFactsFromData(version.research_data) : null;
+  const fromLog = version.research_log ? extractFactsFromLog(version.research_log) : null;
+
+  if (fromData && fromLog) {
+    return {
+      organizingCompany: fromData.organizingCompany || fromLog.organizingCompany,
+      contacts: [...fromData.contacts, ...fromLog.contacts],
+      news: [...fromData.news, ...fromLog.news],
+    };
+  }
+  return fromData || fromLog || { organizingCompany: null, contacts: [], news: [] };
+}
+
+/**
+ * What changed in `current` compared to the `previous` run
+ */
+export function diffResearchVersions(
+  previous: ResearchVersion,
+  current: ResearchVersion
+): ResearchVersionDiff {
+  const before = extractVersionFacts(previous);
+  const after = extractVersionFacts(current);
+
+  const beforeContacts = new Set(before.contacts.map(contact => contact.key));
+  const afterContacts = new Set(after.contacts.map(contact => contact.key));
+  const beforeNews = new Set(before.news.map(item => normalizeUrl(item.url)));
+
+  const companyChanged =
+    (before.organizingCompany || '').toLowerCase() !== (after.organizingCompany || '').toLowerCase();
+
+  return {
+    newContacts: after.contacts.filter(contact => !beforeContacts.has(contact.key)),
+    removedContacts: before.contacts.filter(contact => !afterContacts.has(contact.key)),
+    companyChange: companyChanged
+      ? { from: before.organizingCompany, to: after.organizingCompany }
+      : null,
+    newNews: after.news.filter(item => !beforeNews.has(normalizeUrl(item.url))),
+    qualityChange:
+      previous.quality_score !== null && current.quality_score !== null
+        ? current.quality_score - previous.quality_score
+        : null,
+  };
+}
+
+/**
+ * Whether a diff contains any change worth showing
+ */
+export function hasVersionChanges(diff: ResearchVersionDiff): boolean {
+  return (
+    diff.newContacts.length > 0 ||
+    diff.removedContacts.length > 0 ||
+    diff.companyChange !== null ||
+    diff.newNews.length > 0
+  );
+}
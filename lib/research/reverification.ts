@@ -0,0 +1,160 @@
+/**
+ * Festival Re-verification
+ *
+ * Periodically re-checks favorited and in-pipeline festivals on the Dutch calendar
+ * sources. Refreshes `calendar_presence` and `last_verified`, and flags festivals that
+ * vanished from every calendar or whose listings announce a newer edition year.
+ * Flags stay set until dismissed, except `vanished`, which clears once a calendar
+ * lists the festival again.
+ */
+
+import { supabase } from '../supabase-client';
+import {
+  verifyCalendarPresence,
+  buildCalendarPresence,
+  type CalendarPresence,
+  type CalendarPresenceVerification,
+} from '../apify/calendar-verification';
+
+export type VerificationFlag = 'vanished' | 'new_edition';
+
+export const VERIFICATION_FLAGS: VerificationFlag[] = ['vanished', 'new_edition'];
+
+export const DEFAULT_VERIFICATION_MAX_AGE_DAYS = 30;
+
+export interface FestivalDueForVerification {
+  id: string;
+  name: string;
+  start_date?: string | null;
+  calendar_presence?: CalendarPresence | null;
+  verification_flags?: string[] | null;
+  last_verified?: string | null;
+}
+
+export interface ReverificationOutcome {
+  festivalId: string;
+  festivalName: string;
+  foundOn: number;
+  totalSources: number;
+  newFlags: VerificationFlag[];
+  flags: VerificationFlag[];
+}
+
+/**
+ * Maximum age of last_verified before a festival is re-verified,
+ * from VERIFICATION_MAX_AGE_DAYS (default 30 days)
+ */
+export function getVerificationMaxAgeDays(): number {
+  const configured = parseInt(process.env.VERIFICATION_MAX_AGE_DAYS || '', 10);
+  return configured > 0 ? configured : DEFAULT_VERIFICATION_MAX_AGE_DAYS;
+}
+
+const maxEditionYear = (years: Array<number | null | undefined>): number | null => {
+  const known = years.filter((year): year is number => typeof year === 'number');
+  return known.length > 0 ? Math.max(...known) : null;
+};
+
+/**
+ * Work out which flags a verification run raises for a festival
+ */
+export function detectVerificationFlags(
+  festival: Pick<FestivalDueForVerification, 'start_date' | 'calendar_presence'>,
+  verification: CalendarPresenceVerification
+): VerificationFlag[] {
+  const flags: VerificationFlag[] = [];
+  const previous = Object.values(festival.calendar_presence || {});
+
+  // Only trust "found nowhere" when every source actually answered
+  const wasListed = previous.some(entry => entry?.found);
+  if (wasListed && verification.summary.foundOn === 0 && verification.summary.errors === 0) {
+    flags.push('vanished');
+  }
+
+  // A listing for a later year than we already knew about means a new edition was announced
+  const listedYear = maxEditionYear(verification.sources.filter(r => r.found).map(r => r.editionYear));
+  const startYear = festival.start_date ? new Date(festival.start_date).getFullYear() : null;
+  const knownYear = maxEditionYear([...previous.map(entry => entry?.editionYear), startYear]);
+  if (listedYear !== null && knownYear !== null && listedYear > knownYear) {
+    flags.push('new_edition');
+  }
+
+  return flags;
+}
+
+/**
+ * Festivals whose last_verified is older than maxAgeDays, stalest first
+ */
+export async function getFestivalsDueForVerification(
+  maxAgeDays: number,
+  limit: number
+): Promise<FestivalDueForVerification[]> {
+  const { data, error } = await supabase.rpc('festivals_due_for_verification', {
+    p_max_age_days: maxAgeDays,
+    p_limit: limit,
+  });
+
+  if (error) {
+    throw new Error(`Failed to load festivals due for verification: ${error.message}`);
+  }
+  return (data || []) as FestivalDueForVerification[];
+}
+
+/**
+ * Re-verify one festival on all calendar sources and store the result.
+ * Throws when no source could be checked, leaving last_verified untouched so
+ * the festival is picked up again on the next run.
+ */
+export async function reverifyFestival(festival: FestivalDueForVerification): Promise<ReverificationOutcome> {
+  const verification = await verifyCalendarPresence(festival.name);
+
+  if (verification.summary.errors === verification.summary.totalSources) {
+    throw new Error('All calendar sources failed');
+  }
+
+  // Keep the previous entry for sources that errored this time
+  const previousPresence = festival.calendar_presence || {};
+  const calendarPresence = buildCalendarPresence(verification.sources);
+  verification.sources.forEach(result => {
+    const key = result.source.toLowerCase().replace(/[^a-z]/g, '');
+    if (result.error && previousPresence[key]) {
+      calendarPresence[key] = previousPresence[key];
+    }
+  });
+
+  const detected = detectVerificationFlags(festival, verification);
+  const existing = (festival.verification_flags || []).filter(
+    (flag): flag is VerificationFlag => VERIFICATION_FLAGS.includes(flag as VerificationFlag)
+  );
+  const newFlags = detected.filter(flag => !existing.includes(flag));
+  const flags = [
+    ...existing.filter(flag => flag !== 'vanished' || verification.summary.foundOn === 0),
+    ...newFlags,
+  ];
+
+  const update: Record<string, any> = {
+    calendar_presence: calendarPresence,
+    last_verified: new Date().toISOString(),
+    verification_flags: flags,
+  };
+  if (newFlags.length > 0) {
+    update.verification_flagged_at = new Date().toISOString();
+  }
+
+  const { error } = await supabase
+    .from('festivals')
+    .update(update)
+    .eq('id', festival.id);
+
+  if (error) {
+    throw new Error(`Failed to save verification: ${error.message}`);
+  }
+
+  return {
+    festivalId: festival.id,
+    festivalName: festival.name,
+    foundOn: verification.summary.foundOn,
+    totalSources: verification.summary.totalSources,
+    newFlags,
+    flags,
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Persist orchestrated research results on the festival row and append them
+ * to the research version history.
+ * Used by the streaming research API and the background job queue.
+ */
+
+import { supabase } from '../supabase-client';
+import type { ResearchState } from './self-healing-orchestrator';
+import { getResearchVersionStore } from './version-store';
+
+/**
+ * Build the festivals update payload for a finished research run
+ */
+export function buildResearchUpdatePayload(result: ResearchState): Record<string, any> {
+  const updatePayload: Record<string, any> = {
+    research_data: {
+      company: result.organizingCompany,
+      linkedin: result.linkedInResults,
+      news: result.newsResults,
+      calendar: result.calendarResults,
+      confidence: {
+        overall: result.overallConfidence,
+        level: result.confidenceLevel,
+      },
+      meta: {
+        startedAt: result.startedAt,
+        completedAt: result.lastUpdatedAt,
+        phase: result.phase,
+        attempts: result.attempts,
+        resumedAt: result.resumedAt,
+        retryHistory: result.retryHistory,
+        errors: result.errors,
+        warnings: result.warnings,
+      },
+    },
+    last_verified: new Date().toISOString(),
+  };
+
+  // Update additional fields if discovered
+  if (result.discoveredHomepage) {
+    updatePayload.homepage_url = result.discoveredHomepage;
+  }
+  if (result.organizingCompany?.name) {
+    updatePayload.organizing_company = result.organizingCompany.name;
+  }
+
+  return updatePayload;
+}
+
+/**
+ * Save a research result to the festivals table. Returns whether the save succeeded.
+ */
+export async function saveResearchResult(
+  festivalId: string,
+  result: ResearchState,
+  researchId?: string
+): Promise<boolean> {
+  try {
+    const updatePayload = buildResearchUpdatePayload(result);
+    const { error } = await supabase
+      .from('festivals')
+      .update(updatePayload)
+      .eq('id', festivalId);
+
+    if (error) {
+      console.error('[Orchestrator] Failed to save research to database:', error);
+      return false;
+    }
+
+    console.log('[Orchestrator] Research saved to database for festival:', festivalId);
+
+    await getResearchVersionStore().record({
+      festivalId,
+      provider: 'orchestrated',
+      researchId,
+      researchData: updatePayload.research_data,
+      qualityScore: result.qualityScore?.overall ?? null,
+      confidence: result.overallConfidence,
+    });
+    return true;
+  } catch (dbError: any) {
+    console.error('[Orchestrator] Database save error:', dbError.message);
+    return false;
+  }
+}
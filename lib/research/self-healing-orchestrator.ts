@@ -3,6 +3,7 @@
  * 
  * A sophisticated orchestrator that:
  * - Manages research pipeline with state persistence
+ * - Runs a pluggable phase pipeline along its dependency graph
  * - Implements self-healing with automatic retries and fallbacks
  * - Uses AI for validation and quality scoring
  * - Provides confidence levels for research results
@@ -10,7 +11,16 @@
  */
 
 import { getResilientApifyClient, ApifyErrorType, ActorRunResult } from './resilient-apify-client';
-import { getAIValidationService, ContentValidation, PersonValidation, CompanyValidation } from './ai-validation-service';
+import { getAIValidationService, ContentValidation, PersonValidation, CompanyValidation, RetryStrategy } from './ai-validation-service';
+import { getCheckpointStore, CheckpointStatus } from './checkpoint-store';
+import {
+  getRegisteredPhases,
+  resolvePhaseOrder,
+  ResearchPhaseDefinition,
+  PhaseContext,
+  WebSearchResult,
+} from './phase-registry';
+import type { ResearchEvent, ResearchFinding } from '../types/research-events';
 
 // Research state types
 export enum ResearchPhase {
@@ -48,6 +58,22 @@ export interface LinkedInConnection {
   validation?: PersonValidation;
 }
 
+// Result groups that can be re-run by the retry loop
+export type RetryablePhase = 'company' | 'linkedin' | 'news' | 'calendar';
+
+// One iteration of the retry loop, kept so we can see which strategy helped
+export interface RetryAttempt {
+  attempt: number;
+  weakPhases: RetryablePhase[];
+  strategies: RetryStrategy[];
+  scoresBefore: Record<RetryablePhase, number>;
+  scoresAfter: Record<RetryablePhase, number>;
+  confidenceBefore: number;
+  confidenceAfter: number;
+  improved: boolean;
+  timestamp: string;
+}
+
 export interface ResearchState {
   phase: ResearchPhase;
   festivalId: string;
@@ -56,6 +82,14 @@ export interface ResearchState {
   startedAt: string;
   lastUpdatedAt: string;
   attempts: number;
+  // Phase ids that finished and are skipped when the run is resumed
+  completedPhases: string[];
+  // Phase ids currently executing (several when phases run in parallel)
+  runningPhases: string[];
+  // Results of externally registered phases, keyed by phase id
+  phaseResults: Record<string, unknown>;
+  resumedAt?: string;
+  retryHistory: RetryAttempt[];
   
   // Results
   discoveredHomepage?: string;
@@ -132,6 +166,42 @@ export interface OrchestratorOptions {
   minConfidenceToPass?: number;
   parallelExecution?: boolean;
   fallbackToBasicSearch?: boolean;
+  persistCheckpoints?: boolean;
+  // Phase ids to run in addition to the defaults (e.g. opt-in registered phases)
+  enabledPhases?: string[];
+  // Phase ids to skip for this run
+  disabledPhases?: string[];
+  // Clock for the year in search queries; fixed in fixture replays so the recorded
+  // requests still match after New Year
+  now?: () => Date;
+}
+
+/**
+ * Map a free-form AI operation name (e.g. "searchLinkedInEmployees") to a retryable phase
+ */
+function toRetryablePhase(operation: string): RetryablePhase | null {
+  const op = operation.toLowerCase();
+  if (op.includes('linkedin')) return 'linkedin';
+  if (op.includes('news')) return 'news';
+  if (op.includes('calendar')) return 'calendar';
+  if (op.includes('company') || op.includes('website')) return 'company';
+  return null;
+}
+
+/**
+ * LinkedIn confidence with emphasis on verified employees
+ */
+function calculateLinkedInConfidence(state: ResearchState): number {
+  const verifiedCount = state.linkedInConnections?.filter(c => c.employmentVerified).length || 0;
+  const decisionMakerCount = state.linkedInConnections?.filter(c => c.role === 'decision_maker').length || 0;
+  const hasCompanyLinkedIn = !!state.companyLinkedIn;
+
+  return Math.min(0.95,
+    (state.linkedInResults?.confidence || 0) * 0.4 +
+    (verifiedCount > 0 ? 0.3 : 0) +
+    (decisionMakerCount > 0 ? 0.2 : 0) +
+    (hasCompanyLinkedIn ? 0.15 : 0)
+  );
 }
 
 // Calendar sources to verify
@@ -146,9 +216,13 @@ const CALENDAR_SOURCES = [
 class SelfHealingOrchestrator {
   private apifyClient = getResilientApifyClient();
   private aiService = getAIValidationService();
+  private checkpointStore = getCheckpointStore();
   private state: ResearchState | null = null;
   private options: OrchestratorOptions;
   private onProgressCallback?: (state: ResearchState) => void;
+  private eventHandlers: ((event: ResearchEvent) => void)[] = [];
+  // Strategy overrides applied while re-running weak phases
+  private retryOverrides: Partial<Record<RetryablePhase, RetryStrategy>> = {};
 
   constructor(options: OrchestratorOptions = {}) {
     this.options = {
@@ -157,6 +231,7 @@ class SelfHealingOrchestrator {
       minConfidenceToPass: 0.3,
       parallelExecution: true,
       fallbackToBasicSearch: true,
+      persistCheckpoints: true,
       ...options,
     };
   }
@@ -168,6 +243,36 @@ class SelfHealingOrchestrator {
     this.onProgressCallback = callback;
   }
 
+  /**
+   * Subscribe to live events (phase changes, findings, warnings) for streaming
+   */
+  onEvent(handler: (event: ResearchEvent) => void): () => void {
+    this.eventHandlers.push(handler);
+    return () => {
+      this.eventHandlers = this.eventHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Emit an event to all subscribers
+   */
+  private emit(event: ResearchEvent): void {
+    for (const handler of this.eventHandlers) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.warn('[Orchestrator] Event handler error:', error);
+      }
+    }
+  }
+
+  /**
+   * Emit a finding for the live timeline
+   */
+  private recordFinding(phase: string, finding: ResearchFinding): void {
+    this.emit({ type: 'finding', phase, finding, timestamp: new Date().toISOString() });
+  }
+
   /**
    * Initialize research state
    */
@@ -180,6 +285,10 @@ class SelfHealingOrchestrator {
       startedAt: new Date().toISOString(),
       lastUpdatedAt: new Date().toISOString(),
       attempts: 0,
+      completedPhases: [],
+      runningPhases: [],
+      phaseResults: {},
+      retryHistory: [],
       errors: [],
       warnings: [],
       overallConfidence: 0,
@@ -201,56 +310,148 @@ class SelfHealingOrchestrator {
     }
   }
 
+  /**
+   * Persist the current state so the run can be resumed later
+   */
+  private async checkpoint(status: CheckpointStatus = 'running'): Promise<void> {
+    if (!this.state || !this.options.persistCheckpoints) return;
+    await this.checkpointStore.save(this.state, status);
+  }
+
+  /**
+   * Run a phase unless a previous (interrupted) run already completed it,
+   * then mark it completed and checkpoint
+   */
+  private async runPhase(phase: string, fn: () => Promise<void>): Promise<void> {
+    if (this.state?.completedPhases.includes(phase)) {
+      console.log(`[Orchestrator] Skipping ${phase} (completed in previous run)`);
+      this.emit({ type: 'phase_skipped', phase, reason: 'completed in previous run', timestamp: new Date().toISOString() });
+      return;
+    }
+
+    const startedAt = Date.now();
+    this.emit({ type: 'phase_start', phase, timestamp: new Date().toISOString() });
+
+    await fn();
+
+    this.emit({ type: 'phase_complete', phase, durationMs: Date.now() - startedAt, timestamp: new Date().toISOString() });
+
+    if (this.state && !this.state.completedPhases.includes(phase)) {
+      this.updateState({ completedPhases: [...this.state.completedPhases, phase] });
+    }
+    await this.checkpoint();
+  }
+
   /**
    * Record an error
    */
   private recordError(phase: string, message: string): void {
-    this.state?.errors.push({
-      phase,
-      message,
-      timestamp: new Date().toISOString(),
-    });
+    const timestamp = new Date().toISOString();
+    this.state?.errors.push({ phase, message, timestamp });
+    this.emit({ type: 'error', phase, message, timestamp });
   }
 
   /**
    * Record a warning
    */
   private recordWarning(phase: string, message: string): void {
-    this.state?.warnings.push({
-      phase,
-      message,
-      timestamp: new Date().toISOString(),
-    });
+    const timestamp = new Date().toISOString();
+    this.state?.warnings.push({ phase, message, timestamp });
+    this.emit({ type: 'warning', phase, message, timestamp });
   }
 
   /**
-   * Phase 1: Discover website if not provided
+   * Festival name to search with (a retry strategy may suggest an alternative spelling)
    */
-  private async discoverWebsite(): Promise<string | null> {
-    this.updateState({ phase: ResearchPhase.DISCOVERING_WEBSITE });
+  private nameFor(phase: RetryablePhase): string {
+    return this.retryOverrides[phase]?.alternativeName || this.state?.festivalName || '';
+  }
 
-    if (this.state?.festivalUrl) {
-      console.log('[Orchestrator] Using provided festival URL');
-      return this.state.festivalUrl;
+  /**
+   * Search queries for a phase (a retry strategy may replace the defaults)
+   */
+  private queriesFor(phase: RetryablePhase, defaults: string[]): string[] {
+    const queries = this.retryOverrides[phase]?.queries;
+    return queries?.length ? queries : defaults;
+  }
+
+  /**
+   * Run a web search and return normalized organic results.
+   * Uses Google Search by default; a retry strategy can switch to the RAG web browser.
+   */
+  private async searchWeb(
+    phase: RetryablePhase | null,
+    query: string,
+    resultsPerPage: number
+  ): Promise<WebSearchResult[]> {
+    const actor = (phase && this.retryOverrides[phase]?.actor) || 'google-search';
+
+    if (actor === 'rag-web-browser') {
+      const result = await this.apifyClient.runActor<any[]>(
+        'apify/rag-web-browser',
+        {
+          query,
+          maxResults: Math.min(resultsPerPage, 5),
+          outputFormats: ['markdown'],
+        },
+        { maxRetries: 1 }
+      );
+
+      if (!result.success || !result.data?.length) return [];
+
+      return result.data
+        .map((item: any) => ({
+          url: item.metadata?.url || item.crawl?.requestUrl || item.url || '',
+          title: item.metadata?.title || '',
+          snippet: item.metadata?.description || (item.markdown || '').substring(0, 300),
+        }))
+        .filter(item => item.url);
     }
 
-    console.log('[Orchestrator] Searching for festival website...');
-    
-    const searchQuery = `"${this.state?.festivalName}" festival official website`;
     const result = await this.apifyClient.runActor<any[]>(
       'apify/google-search-scraper',
       {
-        queries: searchQuery,
+        queries: query,
         maxPagesPerQuery: 1,
-        resultsPerPage: 5,
+        resultsPerPage,
       },
       { maxRetries: 2 }
     );
 
     // Google Search Scraper returns results in organicResults array
     const organicResults = result.success && result.data?.[0]?.organicResults;
+    if (!organicResults?.length) return [];
+
+    return organicResults.map((item: any) => ({
+      url: item.url || item.link || '',
+      title: item.title || '',
+      snippet: item.snippet || item.description || '',
+    }));
+  }
+
+  /**
+   * Phase 1: Discover website if not provided
+   */
+  private async discoverWebsite(): Promise<string | null> {
+    this.updateState({ phase: ResearchPhase.DISCOVERING_WEBSITE });
+
+    if (this.state?.festivalUrl) {
+      console.log('[Orchestrator] Using provided festival URL');
+      return this.state.festivalUrl;
+    }
+
+    console.log('[Orchestrator] Searching for festival website...');
+    
+    const festivalName = this.nameFor('company');
+    const searchQueries = this.queriesFor('company', [`"${festivalName}" festival official website`]);
+
+    let organicResults: WebSearchResult[] = [];
+    for (const query of searchQueries) {
+      organicResults = await this.searchWeb('company', query, 5);
+      if (organicResults.length) break;
+    }
     
-    if (!organicResults?.length) {
+    if (!organicResults.length) {
       this.recordWarning('discoverWebsite', 'Could not find festival website via search');
       
       // Fallback: try RAG web browser for direct search
@@ -258,7 +459,7 @@ class SelfHealingOrchestrator {
         const fallbackResult = await this.apifyClient.runActor<any[]>(
           'apify/rag-web-browser',
           {
-            query: `${this.state?.festivalName} festival official site`,
+            query: `${festivalName} festival official site`,
             maxResults: 3,
             outputFormats: ['markdown'],
           },
@@ -282,7 +483,7 @@ class SelfHealingOrchestrator {
     ];
 
     for (const item of organicResults) {
-      const url = item.url || item.link;
+      const url = item.url;
       if (url && !excludePatterns.some(p => p.test(url))) {
         return url;
       }
@@ -380,15 +581,22 @@ class SelfHealingOrchestrator {
         }
       }
 
+      const name = validationResult?.normalizedName || bestMatch.name;
       this.updateState({
         organizingCompany: {
-          name: validationResult?.normalizedName || bestMatch.name,
+          name,
           confidence,
           kvkNumber,
           validated: !!validationResult,
           validationResult,
         },
       });
+      this.recordFinding(ResearchPhase.EXTRACTING_COMPANY, {
+        kind: 'company',
+        title: kvkNumber ? `${name} (KvK ${kvkNumber})` : name,
+        url: bestMatch.source,
+        confidence,
+      });
     } else {
       this.recordWarning('extractCompany', 'No company information found on website');
       this.updateState({
@@ -489,7 +697,7 @@ class SelfHealingOrchestrator {
     this.updateState({ phase: ResearchPhase.SEARCHING_LINKEDIN_COMPANY });
     console.log('[Orchestrator] Searching LinkedIn for company page...');
 
-    const festivalName = this.state?.festivalName || '';
+    const festivalName = this.nameFor('linkedin');
     const companyName = this.state?.organizingCompany?.name;
 
     if (!companyName) {
@@ -504,25 +712,15 @@ class SelfHealingOrchestrator {
     companyQueries.push(`site:linkedin.com/company "${festivalName}"`);
     
     for (const query of companyQueries) {
-      const result = await this.apifyClient.runActor<any[]>(
-        'apify/google-search-scraper',
-        {
-          queries: query,
-          maxPagesPerQuery: 1,
-          resultsPerPage: 5,
-        },
-        { maxRetries: 2 }
-      );
-
-      const organicResults = result.success && result.data?.[0]?.organicResults;
+      const organicResults = await this.searchWeb('linkedin', query, 5);
       
-      if (organicResults?.length) {
+      if (organicResults.length) {
         for (const item of organicResults) {
-          const url = item.url || item.link;
+          const url = item.url;
           if (!url?.includes('linkedin.com/company/')) continue;
 
-          const title = item.title || '';
-          const snippet = item.snippet || item.description || '';
+          const title = item.title;
+          const snippet = item.snippet;
           
           // Extract company name from title (format: "Company Name | LinkedIn")
           const companyNameMatch = title.replace(/ \| LinkedIn$/, '').replace(/: Overview$/, '');
@@ -537,6 +735,11 @@ class SelfHealingOrchestrator {
           });
           
           console.log(`[Orchestrator] Found company LinkedIn page: ${url}`);
+          this.recordFinding(ResearchPhase.SEARCHING_LINKEDIN_COMPANY, {
+            kind: 'linkedin_company',
+            title: companyNameMatch || companyName || festivalName,
+            url,
+          });
           return; // Found company page, move on
         }
       }
@@ -552,7 +755,7 @@ class SelfHealingOrchestrator {
     this.updateState({ phase: ResearchPhase.SEARCHING_LINKEDIN_EMPLOYEES });
     console.log('[Orchestrator] Searching LinkedIn for company employees...');
 
-    const festivalName = this.state?.festivalName || '';
+    const festivalName = this.nameFor('linkedin');
     const companyName = this.state?.organizingCompany?.name;
     
     const connections: LinkedInConnection[] = [];
@@ -567,26 +770,16 @@ class SelfHealingOrchestrator {
       ];
 
       for (const query of employeeQueries) {
-        const result = await this.apifyClient.runActor<any[]>(
-          'apify/google-search-scraper',
-          {
-            queries: query,
-            maxPagesPerQuery: 1,
-            resultsPerPage: 10,
-          },
-          { maxRetries: 2 }
-        );
-
-        const organicResults = result.success && result.data?.[0]?.organicResults;
+        const organicResults = await this.searchWeb('linkedin', query, 10);
         
-        if (organicResults?.length) {
+        if (organicResults.length) {
           for (const item of organicResults) {
-            const url = item.url || item.link;
+            const url = item.url;
             if (!url?.includes('linkedin.com/in/') || seenUrls.has(url)) continue;
             seenUrls.add(url);
 
-            const title = item.title || '';
-            const snippet = item.snippet || item.description || '';
+            const title = item.title;
+            const snippet = item.snippet;
             
             // Parse name and job title
             const nameMatch = title.match(/^([^-–|]+)/);
@@ -638,32 +831,22 @@ class SelfHealingOrchestrator {
     }
 
     // Phase B: Search for people associated with festival name (fallback/additional)
-    const festivalQueries = [
+    const festivalQueries = this.queriesFor('linkedin', [
       `site:linkedin.com/in "${festivalName}" organizer OR director OR founder OR producer`,
       `site:linkedin.com/in "${festivalName}" festival manager OR event manager`,
-    ];
+    ]);
 
     for (const query of festivalQueries) {
-      const result = await this.apifyClient.runActor<any[]>(
-        'apify/google-search-scraper',
-        {
-          queries: query,
-          maxPagesPerQuery: 1,
-          resultsPerPage: 8,
-        },
-        { maxRetries: 2 }
-      );
-
-      const organicResults = result.success && result.data?.[0]?.organicResults;
+      const organicResults = await this.searchWeb('linkedin', query, 8);
       
-      if (organicResults?.length) {
+      if (organicResults.length) {
         for (const item of organicResults) {
-          const url = item.url || item.link;
+          const url = item.url;
           if (!url?.includes('linkedin.com/in/') || seenUrls.has(url)) continue;
           seenUrls.add(url);
 
-          const title = item.title || '';
-          const snippet = item.snippet || item.description || '';
+          const title = item.title;
+          const snippet = item.snippet;
           
           const nameMatch = title.match(/^([^-–|]+)/);
           const name = nameMatch ? nameMatch[1].trim() : '';
@@ -751,6 +934,14 @@ class SelfHealingOrchestrator {
     });
 
     console.log(`[Orchestrator] Found ${connections.length} LinkedIn connections (${verifiedCount} verified employees)`);
+    for (const connection of connections.slice(0, 15)) {
+      this.recordFinding(ResearchPhase.SEARCHING_LINKEDIN_EMPLOYEES, {
+        kind: 'linkedin_person',
+        title: connection.title ? `${connection.name} – ${connection.title}` : connection.name,
+        url: connection.url,
+        confidence: connection.verification?.confidence,
+      });
+    }
 
     if (connections.length === 0) {
       this.recordWarning('searchLinkedInEmployees', 'No relevant LinkedIn profiles found');
@@ -764,9 +955,9 @@ class SelfHealingOrchestrator {
     this.updateState({ phase: ResearchPhase.FETCHING_NEWS });
     console.log('[Orchestrator] Fetching news articles...');
 
-    const festivalName = this.state?.festivalName || '';
+    const festivalName = this.nameFor('news');
     const companyName = this.state?.organizingCompany?.name;
-    const currentYear = new Date().getFullYear();
+    const currentYear = (this.options.now?.() ?? new Date()).getFullYear();
 
     // Build search query - include company name if available for better results
     let searchQuery = `"${festivalName}" festival ${currentYear} news OR review`;
@@ -774,16 +965,14 @@ class SelfHealingOrchestrator {
       searchQuery = `("${festivalName}" OR "${companyName}") festival ${currentYear} news OR review OR organisator`;
     }
 
-    // Search for recent news
-    const result = await this.apifyClient.runActor<any[]>(
-      'apify/google-search-scraper',
-      {
-        queries: searchQuery,
-        maxPagesPerQuery: 1,
-        resultsPerPage: 10,
-      },
-      { maxRetries: 2 }
-    );
+    // Search for recent news (a retry strategy may supply alternative queries)
+    const organicResults: WebSearchResult[] = [];
+    for (const query of this.queriesFor('news', [searchQuery])) {
+      const results = await this.searchWeb('news', query, 10);
+      for (const item of results) {
+        if (!organicResults.some(r => r.url === item.url)) organicResults.push(item);
+      }
+    }
 
     const articles: Array<{
       title: string;
@@ -795,13 +984,10 @@ class SelfHealingOrchestrator {
       validation?: ContentValidation;
     }> = [];
 
-    // Google Search Scraper returns results in organicResults array
-    const organicResults = result.success && result.data?.[0]?.organicResults;
-    
-    if (organicResults?.length) {
+    if (organicResults.length) {
       // Filter to actual news articles
-      const newsItems = organicResults.filter((item: any) => {
-        const url = item.url || item.link || '';
+      const newsItems = organicResults.filter(item => {
+        const url = item.url;
         return !url.includes('linkedin.com') && 
                !url.includes('facebook.com') &&
                !url.includes('instagram.com');
@@ -809,7 +995,7 @@ class SelfHealingOrchestrator {
 
       // Fetch and summarize each article
       for (const item of newsItems) {
-        const url = item.url || item.link;
+        const url = item.url;
         if (!url) continue;
 
         const article: typeof articles[0] = {
@@ -855,6 +1041,7 @@ class SelfHealingOrchestrator {
         }
 
         articles.push(article);
+        this.recordFinding(ResearchPhase.FETCHING_NEWS, { kind: 'news', title: article.title, url: article.url });
       }
     }
 
@@ -881,8 +1068,10 @@ class SelfHealingOrchestrator {
     this.updateState({ phase: ResearchPhase.VERIFYING_CALENDARS });
     console.log('[Orchestrator] Verifying calendar sources...');
 
-    const festivalName = this.state?.festivalName || '';
-    const currentYear = new Date().getFullYear();
+    const festivalName = this.nameFor('calendar');
+    const currentYear = (this.options.now?.() ?? new Date()).getFullYear();
+    // A retry strategy may switch from fetching calendar search pages to site: searches
+    const useSiteSearch = this.retryOverrides.calendar?.actor === 'google-search';
     
     const sources: Array<{
       name: string;
@@ -895,31 +1084,46 @@ class SelfHealingOrchestrator {
     // Check each calendar source
     for (const calendar of CALENDAR_SOURCES) {
       const searchUrl = `${calendar.searchUrl}${encodeURIComponent(festivalName)}`;
-      
-      const result = await this.apifyClient.runActor<any[]>(
-        'apify/rag-web-browser',
-        {
-          query: searchUrl,
-          maxResults: 1,
-          outputFormats: ['markdown'],
-        },
-        { maxRetries: 1 }
-      );
 
       const source: typeof sources[0] = {
         name: calendar.name,
         found: false,
       };
 
-      if (result.success && result.data?.[0]) {
-        const content = result.data[0].markdown || result.data[0].text || '';
+      let content = '';
+      let foundUrl = searchUrl;
+
+      if (useSiteSearch) {
+        const results = await this.searchWeb('calendar', `site:${calendar.baseUrl} "${festivalName}"`, 5);
+        const match = results.find(r => r.url.includes(calendar.baseUrl));
+        if (match) {
+          content = `${match.title} ${match.snippet}`;
+          foundUrl = match.url;
+        }
+      } else {
+        const result = await this.apifyClient.runActor<any[]>(
+          'apify/rag-web-browser',
+          {
+            query: searchUrl,
+            maxResults: 1,
+            outputFormats: ['markdown'],
+          },
+          { maxRetries: 1 }
+        );
+
+        if (result.success && result.data?.[0]) {
+          content = result.data[0].markdown || result.data[0].text || '';
+        }
+      }
+
+      if (content) {
         const contentLower = content.toLowerCase();
         const festivalLower = festivalName.toLowerCase();
 
         // Check if festival is mentioned
         if (contentLower.includes(festivalLower)) {
           source.found = true;
-          source.url = searchUrl;
+          source.url = foundUrl;
           
           // Try to extract edition year
           const yearMatches = content.match(/\b(202[4-9]|203[0-9])\b/g);
@@ -933,6 +1137,13 @@ class SelfHealingOrchestrator {
       }
 
       sources.push(source);
+      if (source.found) {
+        this.recordFinding(ResearchPhase.VERIFYING_CALENDARS, {
+          kind: 'calendar',
+          title: source.editionYear ? `${source.name} (${source.editionYear})` : source.name,
+          url: source.url,
+        });
+      }
     }
 
     const foundCount = sources.filter(s => s.found).length;
@@ -955,43 +1166,21 @@ class SelfHealingOrchestrator {
   }
 
   /**
-   * Calculate overall confidence score with emphasis on verified LinkedIn connections
+   * Calculate overall confidence score from the confidence contribution of each enabled phase.
+   * Weights are normalized, so disabling a phase does not lower the scale.
    */
   private calculateOverallConfidence(): void {
     this.updateState({ phase: ResearchPhase.VALIDATING_RESULTS });
 
-    // Updated weights - LinkedIn connections are more important
-    const weights = {
-      company: 0.25,
-      linkedin: 0.35,  // Increased weight for LinkedIn
-      news: 0.15,
-      calendar: 0.25,
-    };
-
-    // Calculate LinkedIn confidence with emphasis on verified employees
-    const verifiedCount = this.state?.linkedInConnections?.filter(c => c.employmentVerified).length || 0;
-    const decisionMakerCount = this.state?.linkedInConnections?.filter(c => c.role === 'decision_maker').length || 0;
-    const hasCompanyLinkedIn = !!this.state?.companyLinkedIn;
-    
-    const linkedinConfidence = Math.min(0.95, 
-      (this.state?.linkedInResults?.confidence || 0) * 0.4 +
-      (verifiedCount > 0 ? 0.3 : 0) +
-      (decisionMakerCount > 0 ? 0.2 : 0) +
-      (hasCompanyLinkedIn ? 0.15 : 0)
-    );
-
-    const scores = {
-      company: this.state?.organizingCompany?.confidence || 0,
-      linkedin: linkedinConfidence,
-      news: this.state?.newsResults?.confidence || 0,
-      calendar: this.state?.calendarResults?.confidence || 0,
-    };
+    const contributors = this.getActivePhases().filter(phase => phase.confidence);
+    const totalWeight = contributors.reduce((sum, phase) => sum + phase.confidence!.weight, 0);
 
-    const overall = 
-      (scores.company * weights.company) +
-      (scores.linkedin * weights.linkedin) +
-      (scores.news * weights.news) +
-      (scores.calendar * weights.calendar);
+    const overall = this.state && totalWeight > 0
+      ? contributors.reduce(
+          (sum, phase) => sum + phase.confidence!.weight * phase.confidence!.score(this.state!),
+          0
+        ) / totalWeight
+      : 0;
 
     const level: 'high' | 'medium' | 'low' = 
       overall >= 0.7 ? 'high' : overall >= 0.4 ? 'medium' : 'low';
@@ -1034,61 +1223,407 @@ class SelfHealingOrchestrator {
     });
   }
 
+  /**
+   * Built-in phases. Confidence weights favour LinkedIn connections:
+   * company 0.25, LinkedIn 0.35, news 0.15, calendar 0.25.
+   * Ids are ResearchPhase values so checkpoints stay compatible.
+   */
+  private getBuiltInPhases(): ResearchPhaseDefinition[] {
+    return [
+      {
+        id: ResearchPhase.DISCOVERING_WEBSITE,
+        description: 'Find the official festival website',
+        inputs: ['festivalName', 'festivalUrl'],
+        outputs: ['discoveredHomepage'],
+        dependsOn: [],
+        retryGroup: 'company',
+        run: async () => {
+          const websiteUrl = await this.discoverWebsite();
+          if (websiteUrl) {
+            this.updateState({ discoveredHomepage: websiteUrl });
+            this.recordFinding(ResearchPhase.DISCOVERING_WEBSITE, { kind: 'website', title: websiteUrl, url: websiteUrl });
+          }
+        },
+      },
+      {
+        // REQUIRED for LinkedIn: this must complete before the LinkedIn searches
+        id: ResearchPhase.EXTRACTING_COMPANY,
+        description: 'Extract the organizing company and KvK number from the website',
+        inputs: ['discoveredHomepage'],
+        outputs: ['organizingCompany'],
+        dependsOn: [ResearchPhase.DISCOVERING_WEBSITE],
+        confidence: { weight: 0.25, score: state => state.organizingCompany?.confidence || 0 },
+        retryGroup: 'company',
+        shouldRun: state => !!state.discoveredHomepage,
+        run: () => this.extractCompanyInfo(this.state!.discoveredHomepage!),
+      },
+      {
+        id: ResearchPhase.SEARCHING_LINKEDIN_COMPANY,
+        description: 'Find the LinkedIn company page of the organizer',
+        inputs: ['festivalName', 'organizingCompany'],
+        outputs: ['companyLinkedIn'],
+        dependsOn: [ResearchPhase.EXTRACTING_COMPANY],
+        retryGroup: 'linkedin',
+        run: () => this.searchLinkedInCompany(),
+      },
+      {
+        id: ResearchPhase.SEARCHING_LINKEDIN_EMPLOYEES,
+        description: 'Find verified employees of the organizer on LinkedIn',
+        inputs: ['festivalName', 'organizingCompany'],
+        outputs: ['linkedInConnections', 'linkedInResults'],
+        dependsOn: [ResearchPhase.EXTRACTING_COMPANY, ResearchPhase.SEARCHING_LINKEDIN_COMPANY],
+        confidence: { weight: 0.35, score: calculateLinkedInConfidence },
+        retryGroup: 'linkedin',
+        run: () => this.searchLinkedInEmployees(),
+      },
+      {
+        id: ResearchPhase.FETCHING_NEWS,
+        description: 'Find and summarize recent news articles',
+        inputs: ['festivalName', 'organizingCompany'],
+        outputs: ['newsResults'],
+        dependsOn: [ResearchPhase.EXTRACTING_COMPANY],
+        confidence: { weight: 0.15, score: state => state.newsResults?.confidence || 0 },
+        retryGroup: 'news',
+        run: () => this.fetchNews(),
+      },
+      {
+        id: ResearchPhase.VERIFYING_CALENDARS,
+        description: 'Check presence on Dutch festival calendar sites',
+        inputs: ['festivalName'],
+        outputs: ['calendarResults'],
+        dependsOn: [],
+        confidence: { weight: 0.25, score: state => state.calendarResults?.confidence || 0 },
+        retryGroup: 'calendar',
+        run: () => this.verifyCalendars(),
+      },
+    ];
+  }
+
+  /**
+   * Built-in and registered phases, filtered by the enabled/disabled phase options
+   */
+  private getActivePhases(): ResearchPhaseDefinition[] {
+    const enabled = this.options.enabledPhases || [];
+    const disabled = this.options.disabledPhases || [];
+
+    return [...this.getBuiltInPhases(), ...getRegisteredPhases()].filter(phase =>
+      !disabled.includes(phase.id) &&
+      (phase.enabledByDefault !== false || enabled.includes(phase.id))
+    );
+  }
+
+  /**
+   * Describe all known phases (for API documentation and UIs)
+   */
+  getPhases(): Array<Pick<ResearchPhaseDefinition, 'id' | 'description' | 'inputs' | 'outputs' | 'dependsOn'> & { enabled: boolean }> {
+    const active = new Set(this.getActivePhases().map(phase => phase.id));
+    return [...this.getBuiltInPhases(), ...getRegisteredPhases()].map(phase => ({
+      id: phase.id,
+      description: phase.description,
+      inputs: phase.inputs,
+      outputs: phase.outputs,
+      dependsOn: phase.dependsOn,
+      enabled: active.has(phase.id),
+    }));
+  }
+
+  /**
+   * Context handed to a phase's run function
+   */
+  private createPhaseContext(phase: ResearchPhaseDefinition): PhaseContext {
+    return {
+      state: this.state!,
+      options: this.options,
+      apifyClient: this.apifyClient,
+      aiService: this.aiService,
+      updateState: updates => this.updateState(updates),
+      setResult: data => this.updateState({
+        phaseResults: { ...this.state?.phaseResults, [phase.id]: data },
+      }),
+      recordWarning: message => this.recordWarning(phase.id, message),
+      recordFinding: finding => this.recordFinding(phase.id, finding),
+      searchWeb: (query, resultsPerPage) => this.searchWeb(phase.retryGroup || null, query, resultsPerPage),
+    };
+  }
+
+  /**
+   * Run a single phase. Errors are recorded and do not stop independent phases.
+   */
+  private async executePhase(phase: ResearchPhaseDefinition): Promise<void> {
+    if (phase.shouldRun && this.state && !phase.shouldRun(this.state)) {
+      console.log(`[Orchestrator] Skipping ${phase.id} (inputs not available)`);
+      this.emit({ type: 'phase_skipped', phase: phase.id, reason: 'inputs not available', timestamp: new Date().toISOString() });
+      return;
+    }
+
+    this.updateState({ runningPhases: [...(this.state?.runningPhases || []), phase.id] });
+    try {
+      await this.runPhase(phase.id, () => phase.run(this.createPhaseContext(phase)));
+    } catch (error: any) {
+      console.error(`[Orchestrator] Phase ${phase.id} failed:`, error);
+      this.recordError(phase.id, error.message);
+    } finally {
+      this.updateState({ runningPhases: (this.state?.runningPhases || []).filter(id => id !== phase.id) });
+    }
+  }
+
+  /**
+   * Run phases along their dependency graph. A phase starts as soon as all of its
+   * dependencies have settled; with parallelExecution disabled they run one by one.
+   */
+  private async executePhaseGraph(phases: ResearchPhaseDefinition[]): Promise<void> {
+    const ordered = resolvePhaseOrder(phases);
+    const ids = new Set(ordered.map(phase => phase.id));
+
+    if (!this.options.parallelExecution) {
+      for (const phase of ordered) {
+        await this.executePhase(phase);
+      }
+      return;
+    }
+
+    const settled = new Set<string>();
+    const pending = [...ordered];
+    const running = new Map<string, Promise<void>>();
+
+    while (pending.length || running.size) {
+      const ready = pending.filter(phase =>
+        phase.dependsOn.every(id => settled.has(id) || !ids.has(id))
+      );
+
+      for (const phase of ready) {
+        pending.splice(pending.indexOf(phase), 1);
+        running.set(phase.id, this.executePhase(phase).finally(() => {
+          settled.add(phase.id);
+          running.delete(phase.id);
+        }));
+      }
+
+      await Promise.race(running.values());
+    }
+  }
+
+  /**
+   * Confidence per retryable result group
+   */
+  private getPhaseScores(): Record<RetryablePhase, number> {
+    return {
+      company: this.state?.organizingCompany?.confidence || 0,
+      linkedin: this.state ? calculateLinkedInConfidence(this.state) : 0,
+      news: this.state?.newsResults?.confidence || 0,
+      calendar: this.state?.calendarResults?.confidence || 0,
+    };
+  }
+
+  /**
+   * Snapshot the state fields a retryable phase writes, so a worse retry can be rolled back
+   */
+  private snapshotPhase(phase: RetryablePhase): Partial<ResearchState> {
+    switch (phase) {
+      case 'company':
+        return {
+          discoveredHomepage: this.state?.discoveredHomepage,
+          organizingCompany: this.state?.organizingCompany,
+        };
+      case 'linkedin':
+        return {
+          companyLinkedIn: this.state?.companyLinkedIn,
+          linkedInConnections: this.state?.linkedInConnections,
+          linkedInResults: this.state?.linkedInResults,
+        };
+      case 'news':
+        return { newsResults: this.state?.newsResults };
+      case 'calendar':
+        return { calendarResults: this.state?.calendarResults };
+    }
+  }
+
+  /**
+   * Run the phases behind a retryable result group again, in dependency order
+   */
+  private async rerunPhase(group: RetryablePhase): Promise<void> {
+    const phases = resolvePhaseOrder(this.getActivePhases()).filter(phase => phase.retryGroup === group);
+    const ids = phases.map(phase => phase.id);
+
+    this.updateState({
+      completedPhases: (this.state?.completedPhases || []).filter(id => !ids.includes(id)),
+    });
+
+    for (const phase of phases) {
+      await this.executePhase(phase);
+    }
+  }
+
+  /**
+   * Self-healing retry loop: while overall confidence is below minConfidenceToPass,
+   * ask the AI for retry strategies and re-run only the weak phases with them,
+   * up to maxRetries attempts. Every attempt is recorded in state.retryHistory.
+   */
+  private async retryWeakPhases(festivalName: string): Promise<void> {
+    const minConfidence = this.options.minConfidenceToPass || 0.3;
+    const maxRetries = this.options.maxRetries || 3;
+
+    while (
+      this.state &&
+      this.state.overallConfidence < minConfidence &&
+      this.state.attempts < maxRetries
+    ) {
+      if (!this.aiService.isAvailable()) {
+        console.log('[Orchestrator] Low confidence, but AI unavailable for retry strategies');
+        return;
+      }
+
+      const scoresBefore = this.getPhaseScores();
+      const weakPhases = (Object.keys(scoresBefore) as RetryablePhase[])
+        .filter(phase => scoresBefore[phase] < minConfidence);
+
+      if (weakPhases.length === 0) return;
+
+      console.log(`[Orchestrator] Low confidence, asking AI for retry strategies (weak: ${weakPhases.join(', ')})...`);
+
+      const suggestion = await this.aiService.suggestRetryStrategy(
+        festivalName,
+        {
+          company: this.state.organizingCompany,
+          linkedin: this.state.linkedInResults,
+          news: this.state.newsResults,
+          calendar: this.state.calendarResults,
+          previousAttempts: this.state.retryHistory.map(h => ({
+            strategies: h.strategies,
+            improved: h.improved,
+          })),
+        },
+        weakPhases
+      );
+
+      if (!suggestion.shouldRetry) {
+        console.log('[Orchestrator] AI advised against retrying');
+        return;
+      }
+
+      // Apply the first strategy suggested for each weak phase
+      const strategies = suggestion.strategies.filter(strategy => {
+        const phase = toRetryablePhase(strategy.operation);
+        return phase && weakPhases.includes(phase);
+      });
+      this.retryOverrides = {};
+      for (const strategy of strategies) {
+        const phase = toRetryablePhase(strategy.operation) as RetryablePhase;
+        if (!this.retryOverrides[phase]) this.retryOverrides[phase] = strategy;
+      }
+
+      const attempt = this.state.attempts + 1;
+      const confidenceBefore = this.state.overallConfidence;
+      this.recordWarning('orchestrator', `Retry ${attempt}: ${strategies[0]?.suggestion || 'default parameters'}`);
+      this.emit({
+        type: 'retry',
+        attempt,
+        weakPhases,
+        suggestion: strategies[0]?.suggestion || 'default parameters',
+        timestamp: new Date().toISOString(),
+      });
+      this.updateState({ attempts: attempt });
+
+      // Re-run weak phases in pipeline order, keeping the better result of each
+      for (const phase of weakPhases) {
+        const snapshot = this.snapshotPhase(phase);
+        try {
+          await this.rerunPhase(phase);
+        } catch (error: any) {
+          this.recordError(`retry:${phase}`, error.message);
+        }
+        if (this.getPhaseScores()[phase] < scoresBefore[phase]) {
+          this.updateState(snapshot);
+        }
+      }
+      this.retryOverrides = {};
+
+      this.calculateOverallConfidence();
+      this.calculateQualityScore();
+
+      const confidenceAfter = this.state.overallConfidence;
+      this.updateState({
+        retryHistory: [
+          ...this.state.retryHistory,
+          {
+            attempt,
+            weakPhases,
+            strategies,
+            scoresBefore,
+            scoresAfter: this.getPhaseScores(),
+            confidenceBefore,
+            confidenceAfter,
+            improved: confidenceAfter > confidenceBefore,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      });
+      await this.checkpoint();
+
+      console.log(`[Orchestrator] Retry ${attempt} confidence: ${confidenceBefore.toFixed(2)} -> ${confidenceAfter.toFixed(2)}`);
+    }
+  }
+
   /**
    * Main orchestration method - run the full research pipeline
-   * Uses STRICT SEQUENTIAL flow for better data quality
+   * Phases run along their dependency graph (see getBuiltInPhases)
    */
   async runResearch(
     festivalId: string,
     festivalName: string,
     festivalUrl?: string
   ): Promise<ResearchState> {
-    console.log(`[Orchestrator] Starting SEQUENTIAL research for: ${festivalName}`);
+    console.log(`[Orchestrator] Starting research for: ${festivalName}`);
     
     // Initialize state
     this.state = this.initState(festivalId, festivalName, festivalUrl);
     this.updateState({ attempts: 1 });
+    await this.checkpoint();
 
-    try {
-      // ============================================
-      // PHASE 1: Discover festival website
-      // ============================================
-      const websiteUrl = await this.discoverWebsite();
-      if (websiteUrl) {
-        this.updateState({ discoveredHomepage: websiteUrl });
-        
-        // ============================================
-        // PHASE 2: Extract company info (REQUIRED for LinkedIn)
-        // This MUST complete before LinkedIn search
-        // ============================================
-        await this.extractCompanyInfo(websiteUrl);
-      }
+    return this.executePipeline();
+  }
 
-      // ============================================
-      // PHASE 3a: Search LinkedIn for company page
-      // Uses company name from Phase 2
-      // ============================================
-      await this.searchLinkedInCompany();
-      
-      // ============================================
-      // PHASE 3b: Search LinkedIn for employees
-      // Uses company name from Phase 2 for verification
-      // ============================================
-      await this.searchLinkedInEmployees();
+  /**
+   * Resume an interrupted research run from its last checkpoint.
+   * Phases that already completed are skipped.
+   * Returns null when there is no resumable checkpoint for the festival.
+   */
+  async resume(festivalId: string): Promise<ResearchState | null> {
+    const checkpoint = await this.checkpointStore.loadResumable(festivalId);
+    if (!checkpoint) return null;
+
+    console.log(
+      `[Orchestrator] Resuming research for: ${checkpoint.state.festivalName} ` +
+      `(${checkpoint.completedPhases.length} phases already completed)`
+    );
+
+    this.state = {
+      ...checkpoint.state,
+      completedPhases: checkpoint.completedPhases,
+      runningPhases: [],
+      phaseResults: checkpoint.state.phaseResults || {},
+      retryHistory: checkpoint.state.retryHistory || [],
+      errors: checkpoint.state.errors || [],
+      warnings: checkpoint.state.warnings || [],
+    };
+    this.updateState({ resumedAt: new Date().toISOString() });
+
+    return this.executePipeline();
+  }
+
+  /**
+   * Execute all phases that have not completed yet
+   */
+  private async executePipeline(): Promise<ResearchState> {
+    const festivalName = this.state?.festivalName || '';
 
+    try {
       // ============================================
-      // PHASE 4-5: News and Calendar can run in parallel
-      // These use company name for better queries
+      // PHASES 1-5: Run enabled phases along their dependency graph.
+      // Company extraction MUST complete before the LinkedIn searches;
+      // independent phases (e.g. calendar checks) run in parallel.
       // ============================================
-      if (this.options.parallelExecution) {
-        await Promise.all([
-          this.fetchNews(),
-          this.verifyCalendars(),
-        ]);
-      } else {
-        await this.fetchNews();
-        await this.verifyCalendars();
-      }
+      await this.executePhaseGraph(this.getActivePhases());
 
       // ============================================
       // PHASE 6: Calculate quality metrics
@@ -1096,43 +1631,22 @@ class SelfHealingOrchestrator {
       this.calculateOverallConfidence();
       this.calculateQualityScore();
 
-      // Check if we should retry for better results
-      if (this.state.overallConfidence < (this.options.minConfidenceToPass || 0.3)) {
-        if (this.state.attempts < (this.options.maxRetries || 3)) {
-          console.log('[Orchestrator] Low confidence, attempting retry with AI suggestions...');
-          
-          if (this.aiService.isAvailable()) {
-            const strategy = await this.aiService.suggestRetryStrategy(
-              festivalName,
-              {
-                company: this.state.organizingCompany,
-                linkedin: this.state.linkedInResults,
-                news: this.state.newsResults,
-                calendar: this.state.calendarResults,
-              },
-              this.state.errors.map(e => e.phase)
-            );
-
-            if (strategy.shouldRetry) {
-              this.recordWarning('orchestrator', `Retrying based on AI suggestion: ${strategy.strategies[0]?.suggestion || 'default'}`);
-              this.updateState({ attempts: this.state.attempts + 1 });
-              // Could implement more sophisticated retry here
-            }
-          }
-        }
-      }
+      // Re-run weak phases with AI-suggested strategies
+      await this.retryWeakPhases(festivalName);
 
       this.updateState({ phase: ResearchPhase.COMPLETED });
+      await this.checkpoint('completed');
       
-      console.log(`[Orchestrator] Research completed. Quality score: ${this.state.qualityScore?.overall || 0}%`);
+      console.log(`[Orchestrator] Research completed. Quality score: ${this.state!.qualityScore?.overall || 0}%`);
       
     } catch (error: any) {
       console.error('[Orchestrator] Research failed:', error);
       this.recordError('orchestrator', error.message);
       this.updateState({ phase: ResearchPhase.FAILED });
+      await this.checkpoint('failed');
     }
 
-    return this.state;
+    return this.state!;
   }
 
   /**
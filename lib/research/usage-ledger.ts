@@ -0,0 +1,253 @@
+/**
+ * Research Usage Ledger
+ *
+ * Records every billable research API call (Apify, Exa, Perplexity, OpenAI, Claude)
+ * in `research_usage` and enforces the monthly budgets in `research_budgets`.
+ * The festival and run a call belongs to come from the usage context, which the
+ * research job runner and the orchestrated API set around each run, so the
+ * provider clients don't need festival ids threaded through them.
+ * Recording failures are logged, never thrown, so research never breaks on accounting.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { supabase } from '../supabase-client';
+import { BULK_RESEARCH_PROVIDERS, type BulkResearchProvider } from './bulk-research';
+import {
+  RESEARCH_PROVIDER_USAGE,
+  estimateUsageCost,
+  getBudgetPeriodStart,
+  formatUsd,
+  type UsageEntry,
+  type UsageProvider,
+  type BudgetAction,
+  type BudgetStatus,
+  type ProviderBudget,
+  type ProviderUsageSummary,
+  type FestivalUsageSummary,
+} from './research-usage';
+
+const USAGE_TABLE = 'research_usage';
+const BUDGETS_TABLE = 'research_budgets';
+
+export interface UsageContext {
+  festivalId?: string | null;
+  runId?: string | null;
+}
+
+export interface ResearchProviderDecision {
+  // null when research is blocked
+  provider: BulkResearchProvider | null;
+  downgradedFrom?: BulkResearchProvider;
+  reason?: string;
+}
+
+const usageContext = new AsyncLocalStorage<UsageContext>();
+
+/**
+ * Run `fn` with usage attributed to the given festival and run
+ */
+export function runWithUsageContext<T>(context: UsageContext, fn: () => Promise<T>): Promise<T> {
+  return usageContext.run(context, fn);
+}
+
+export function getUsageContext(): UsageContext {
+  return usageContext.getStore() || {};
+}
+
+const toNumber = (value: unknown) => Number(value) || 0;
+
+class UsageLedger {
+  /**
+   * Append a usage entry; festival and run default to the current usage context
+   */
+  async record(entry: UsageEntry): Promise<void> {
+    const context = getUsageContext();
+
+    try {
+      const { error } = await supabase.from(USAGE_TABLE).insert({
+        provider: entry.provider,
+        operation: entry.operation ?? null,
+        festival_id: entry.festivalId ?? context.festivalId ?? null,
+        run_id: entry.runId ?? context.runId ?? null,
+        requests: entry.requests ?? 1,
+        input_tokens: entry.inputTokens ?? 0,
+        output_tokens: entry.outputTokens ?? 0,
+        compute_units: entry.computeUnits ?? 0,
+        cost_usd: estimateUsageCost(entry),
+      });
+
+      if (error) {
+        console.warn('[Usage] Failed to record usage:', error.message);
+      }
+    } catch (error: any) {
+      console.warn('[Usage] Record error:', error.message);
+    }
+  }
+
+  /**
+   * Spend per provider from `since` (defaults to the start of this month) until `until`
+   */
+  async getSpendByProvider(since: Date = getBudgetPeriodStart(), until?: Date): Promise<ProviderUsageSummary[]> {
+    const { data, error } = await supabase.rpc('research_usage_by_provider', {
+      p_since: since.toISOString(),
+      p_until: until ? until.toISOString() : null,
+    });
+
+    if (error) {
+      throw new Error(`Failed to load usage per provider: ${error.message}`);
+    }
+    return (data || []).map((row: any) => ({
+      provider: row.provider,
+      requests: toNumber(row.requests),
+      input_tokens: toNumber(row.input_tokens),
+      output_tokens: toNumber(row.output_tokens),
+      compute_units: toNumber(row.compute_units),
+      cost_usd: toNumber(row.cost_usd),
+    }));
+  }
+
+  /**
+   * Most expensive festivals from `since` until `until`
+   */
+  async getSpendByFestival(
+    since: Date = getBudgetPeriodStart(),
+    until?: Date,
+    limit: number = 50
+  ): Promise<FestivalUsageSummary[]> {
+    const { data, error } = await supabase.rpc('research_usage_by_festival', {
+      p_since: since.toISOString(),
+      p_until: until ? until.toISOString() : null,
+      p_limit: limit,
+    });
+
+    if (error) {
+      throw new Error(`Failed to load usage per festival: ${error.message}`);
+    }
+    return (data || []).map((row: any) => ({
+      festival_id: row.festival_id,
+      festival_name: row.festival_name,
+      runs: toNumber(row.runs),
+      requests: toNumber(row.requests),
+      cost_usd: toNumber(row.cost_usd),
+      cost_by_provider: row.cost_by_provider || {},
+    }));
+  }
+
+  async getBudgets(): Promise<ProviderBudget[]> {
+    const { data, error } = await supabase
+      .from(BUDGETS_TABLE)
+      .select('*')
+      .order('provider');
+
+    if (error) {
+      throw new Error(`Failed to load budgets: ${error.message}`);
+    }
+    return (data || []).map((row: any) => ({ ...row, monthly_limit_usd: toNumber(row.monthly_limit_usd) }));
+  }
+
+  async setBudget(provider: UsageProvider, monthlyLimitUsd: number, onExceeded: BudgetAction): Promise<void> {
+    const { error } = await supabase
+      .from(BUDGETS_TABLE)
+      .upsert({
+        provider,
+        monthly_limit_usd: monthlyLimitUsd,
+        on_exceeded: onExceeded,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'provider' });
+
+    if (error) {
+      throw new Error(`Failed to save budget: ${error.message}`);
+    }
+  }
+
+  async removeBudget(provider: UsageProvider): Promise<void> {
+    const { error } = await supabase
+      .from(BUDGETS_TABLE)
+      .delete()
+      .eq('provider', provider);
+
+    if (error) {
+      throw new Error(`Failed to remove budget: ${error.message}`);
+    }
+  }
+
+  /**
+   * This month's spend against the budget of every provider that has one
+   */
+  async getBudgetStatuses(): Promise<BudgetStatus[]> {
+    const [budgets, spend] = await Promise.all([this.getBudgets(), this.getSpendByProvider()]);
+
+    return budgets.map(budget => {
+      const spentUsd = spend.find(row => row.provider === budget.provider)?.cost_usd ?? 0;
+      return {
+        provider: budget.provider,
+        spentUsd,
+        limitUsd: budget.monthly_limit_usd,
+        action: budget.on_exceeded,
+        exceeded: spentUsd >= budget.monthly_limit_usd,
+      };
+    });
+  }
+
+  /**
+   * Decide which research provider may run given this month's budgets.
+   * Returns the requested provider when within budget, a cheaper provider when an
+   * exceeded budget allows downgrading, or `provider: null` when research is blocked.
+   * If budgets can't be loaded, research is allowed.
+   */
+  async resolveResearchProvider(requested: BulkResearchProvider): Promise<ResearchProviderDecision> {
+    let statuses: BudgetStatus[];
+    try {
+      statuses = await this.getBudgetStatuses();
+    } catch (error: any) {
+      console.warn('[Usage] Budget check skipped:', error.message);
+      return { provider: requested };
+    }
+
+    const exceededFor = (provider: BulkResearchProvider) =>
+      statuses.filter(status => status.exceeded && RESEARCH_PROVIDER_USAGE[provider].includes(status.provider));
+
+    const exceeded = exceededFor(requested);
+    if (exceeded.length === 0) {
+      return { provider: requested };
+    }
+
+    const describe = (status: BudgetStatus) =>
+      `${status.provider} budget of ${formatUsd(status.limitUsd ?? 0)} exceeded (${formatUsd(status.spentUsd)} spent this month)`;
+    const reason = exceeded.map(describe).join('; ');
+
+    if (exceeded.some(status => status.action === 'block')) {
+      return { provider: null, reason };
+    }
+
+    // Most capable cheaper provider that is still within budget
+    const requestedCost = BULK_RESEARCH_PROVIDERS.find(p => p.id === requested)?.estimatedCostPerFestival ?? 0;
+    const fallback = BULK_RESEARCH_PROVIDERS
+      .filter(p => p.estimatedCostPerFestival < requestedCost && exceededFor(p.id).length === 0)
+      .sort((a, b) => b.estimatedCostPerFestival - a.estimatedCostPerFestival)[0];
+
+    if (!fallback) {
+      return { provider: null, reason: `${reason}; no cheaper provider within budget` };
+    }
+    return { provider: fallback.id, downgradedFrom: requested, reason };
+  }
+}
+
+// Singleton instance
+let ledgerInstance: UsageLedger | null = null;
+
+export function getUsageLedger(): UsageLedger {
+  if (!ledgerInstance) {
+    ledgerInstance = new UsageLedger();
+  }
+  return ledgerInstance;
+}
+
+/**
+ * Record usage on the shared ledger. Never throws.
+ */
+export function recordUsage(entry: UsageEntry): Promise<void> {
+  return getUsageLedger().record(entry);
+}
+
+export { UsageLedger };
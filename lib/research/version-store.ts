@@ -0,0 +1,123 @@
+/**
+ * Research Version Store
+ *
+ * Appends completed research runs to the `research_versions` table. Rows are never
+ * updated, so earlier runs stay available for history and diffs even after
+ * `festival_research` or `festivals.research_data` is overwritten.
+ * Failures are logged, never thrown, so saving research never breaks on versioning.
+ */
+
+import { supabase } from '../supabase-client';
+import type { ResearchVersion, ResearchVersionSummary } from './research-versions';
+
+const TABLE = 'research_versions';
+
+const SUMMARY_COLUMNS = 'id, festival_id, provider, quality_score, confidence, created_at';
+
+export interface RecordVersionInput {
+  festivalId: string;
+  provider: string;
+  researchId?: string | null;
+  researchLog?: string | null;
+  researchData?: Record<string, any> | null;
+  // 0-100
+  qualityScore?: number | null;
+  // 0-1
+  confidence?: number | null;
+}
+
+class ResearchVersionStore {
+  /**
+   * Store a completed research run as a new version
+   */
+  async record(input: RecordVersionInput): Promise<ResearchVersionSummary | null> {
+    try {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .insert({
+          festival_id: input.festivalId,
+          provider: input.provider,
+          research_id: input.researchId ?? null,
+          research_log: input.researchLog ?? null,
+          research_data: input.researchData ?? null,
+          quality_score: input.qualityScore ?? null,
+          confidence: input.confidence ?? null,
+        })
+        .select(SUMMARY_COLUMNS)
+        .single();
+
+      if (error) {
+        console.warn('[Versions] Failed to record research version:', error.message);
+        return null;
+      }
+      return data as ResearchVersionSummary;
+    } catch (error: any) {
+      console.warn('[Versions] Record error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * All versions of a festival, newest first, without their content
+   */
+  async list(festivalId: string): Promise<ResearchVersionSummary[]> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(SUMMARY_COLUMNS)
+      .eq('festival_id', festivalId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list research versions: ${error.message}`);
+    }
+    return (data || []) as ResearchVersionSummary[];
+  }
+
+  /**
+   * A single version including its content
+   */
+  async get(festivalId: string, versionId: string): Promise<ResearchVersion | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('festival_id', festivalId)
+      .eq('id', versionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load research version: ${error.message}`);
+    }
+    return data as ResearchVersion | null;
+  }
+
+  /**
+   * The version recorded just before the given one, if any
+   */
+  async getPrevious(version: ResearchVersionSummary): Promise<ResearchVersion | null> {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .eq('festival_id', version.festival_id)
+      .lt('created_at', version.created_at)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load previous research version: ${error.message}`);
+    }
+    return data as ResearchVersion | null;
+  }
+}
+
+// Singleton instance
+let storeInstance: ResearchVersionStore | null = null;
+
+export function getResearchVersionStore(): ResearchVersionStore {
+  if (!storeInstance) {
+    storeInstance = new ResearchVersionStore();
+  }
+  return storeInstance;
+}
+
+export { ResearchVersionStore };
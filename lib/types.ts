@@ -18,8 +18,9 @@ export interface ResearchStatus {
   status: 'pending' | 'complete' | 'failed';
 }
 
-// Define a type for sales stages
-export type SalesStage = 'favorited' | 'outreach' | 'talking' | 'offer' | 'deal';
+// Key of a stage in a sales pipeline (sales_pipeline_stages.key); the stages
+// themselves are defined in the database, see lib/festivals/pipelines.ts
+export type SalesStage = string;
 
 // User preference for a festival (favorite, archived, notes)
 export interface FestivalPreference {
@@ -39,5 +40,7 @@ export interface FestivalWithPreferences extends Festival {
   archived: boolean;
   notes?: string;
   sales_stage?: SalesStage;
+  pipeline_id?: string;
+  lost_reason?: string | null;
   research?: ResearchStatus | null;
 } 
\ No newline at end of file
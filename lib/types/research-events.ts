@@ -0,0 +1,27 @@
+// Live events emitted by the self-healing research orchestrator
+// and streamed to the browser by /api/research/orchestrated
+
+export type ResearchFindingKind =
+  | 'website'
+  | 'company'
+  | 'linkedin_company'
+  | 'linkedin_person'
+  | 'news'
+  | 'calendar'
+  | 'custom';
+
+export interface ResearchFinding {
+  kind: ResearchFindingKind;
+  title: string;
+  url?: string;
+  confidence?: number;
+}
+
+export type ResearchEvent =
+  | { type: 'phase_start'; phase: string; timestamp: string }
+  | { type: 'phase_complete'; phase: string; durationMs: number; timestamp: string }
+  | { type: 'phase_skipped'; phase: string; reason: string; timestamp: string }
+  | { type: 'finding'; phase: string; finding: ResearchFinding; timestamp: string }
+  | { type: 'warning'; phase: string; message: string; timestamp: string }
+  | { type: 'error'; phase: string; message: string; timestamp: string }
+  | { type: 'retry'; attempt: number; weakPhases: string[]; suggestion: string; timestamp: string };
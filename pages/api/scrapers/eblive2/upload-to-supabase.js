@@ -1,4 +1,5 @@
 import supabase from '../../../../lib/supabase-client';
+import { geocodeColumns, geocodeLocation } from '../../../../lib/festivals/geocoding';
 import fs from 'fs';
 import path from 'path';
 
@@ -97,11 +98,18 @@ export default async function handler(req, res) {
         festivalData[idField] = festival.id;
       }
       
+      // Normalize the location ("Biddinghuizen (NL)") to city, province and country
+      const geocoded = geocodeLocation(festival.location);
+
       // Check if country field exists
       if (schemaCheck.length && 'country' in schemaCheck[0]) {
-        festivalData.country = festival.location?.includes('(') 
-          ? festival.location.match(/\(([^)]+)\)/)?.[1] 
-          : null;
+        // Countries outside the gazetteer keep the code from the location
+        festivalData.country = geocoded?.country || festival.location?.match(/\(([^)]+)\)/)?.[1] || null;
+      }
+
+      // Check if geocoding fields exist
+      if (schemaCheck.length && 'geocoded_at' in schemaCheck[0]) {
+        Object.assign(festivalData, geocodeColumns(festival.location));
       }
       
       // Check if original_dates field exists
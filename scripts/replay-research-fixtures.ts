@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Replays the research pipeline for the sample festival from the fixtures in
+ * data/research-fixtures and checks what it finds. No API keys, network or Supabase
+ * needed. Fails when a request has no fixture, so a changed prompt or query shows up
+ * here instead of as quietly emptier research.
+ *
+ * After changing a query or prompt, re-record with RESEARCH_FIXTURE_MODE=record and
+ * commit the new fixture files.
+ */
+
+import { createOrchestrator, ResearchPhase, type ResearchState } from '../lib/research/self-healing-orchestrator';
+import { getMissingFixtures, resetMissingFixtures } from '../lib/research/provider-fixtures';
+
+const FESTIVAL_ID = '00000000-0000-4000-8000-000000000001';
+const FESTIVAL_NAME = 'Zomerfeest Utrecht';
+const FESTIVAL_URL = 'https://zomerfeest-utrecht.example';
+// The year in the news query and calendar checks comes from this, so the fixtures
+// keep matching after New Year
+const RECORDED_AT = new Date('2026-06-01T00:00:00Z');
+
+function check(failures: string[], ok: boolean, message: string): void {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures.push(message);
+}
+
+async function replayResearchFixtures(): Promise<void> {
+  process.env.RESEARCH_FIXTURE_MODE = 'replay';
+  resetMissingFixtures();
+
+  const orchestrator = createOrchestrator({
+    persistCheckpoints: false,
+    now: () => RECORDED_AT,
+  });
+  const state: ResearchState = await orchestrator.runResearch(FESTIVAL_ID, FESTIVAL_NAME, FESTIVAL_URL);
+
+  console.log('\n🔍 Checking replayed research...\n');
+  const failures: string[] = [];
+  const missing = getMissingFixtures();
+
+  check(failures, missing.length === 0, `All requests replayed (${missing.length} fixtures missing)`);
+  for (const fixturePath of missing) {
+    console.log(`   missing: ${fixturePath}`);
+  }
+  check(failures, state.phase === ResearchPhase.COMPLETED, `Research completed (phase: ${state.phase})`);
+  check(failures, state.errors.length === 0, `No phase errors (${state.errors.length})`);
+  check(
+    failures,
+    state.organizingCompany?.name === 'Zomerfeest Events B.V.' && state.organizingCompany.kvkNumber === '81234567',
+    `Organizer found: ${state.organizingCompany?.name || 'none'} (KvK ${state.organizingCompany?.kvkNumber || 'none'})`
+  );
+  check(failures, !!state.companyLinkedIn?.url, `Company LinkedIn page found: ${state.companyLinkedIn?.url || 'none'}`);
+
+  const verified = (state.linkedInConnections || []).filter(connection => connection.employmentVerified);
+  check(failures, verified.length >= 2, `Verified employees found: ${verified.map(connection => connection.name).join(', ') || 'none'}`);
+
+  const articles = state.newsResults?.articles || [];
+  check(failures, articles.length === 2 && articles.every(article => article.validated), `Validated news articles: ${articles.length}`);
+
+  const current = (state.calendarResults?.sources || []).filter(source => source.isCurrent);
+  check(failures, current.length === 2, `Calendars listing this year's edition: ${current.map(source => source.name).join(', ') || 'none'}`);
+
+  check(failures, state.overallConfidence >= 0.7, `Overall confidence ${state.overallConfidence.toFixed(2)}`);
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} research fixture check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✅ Research fixtures replay cleanly');
+}
+
+replayResearchFixtures().catch(error => {
+  console.error('❌ Research fixture replay failed:', error);
+  process.exit(1);
+});